@@ -0,0 +1,269 @@
+/**
+ * ExtractionScorer.js - Field-level scoring of extraction results against expected values
+ * Only fields named in a fixture's expected.json are scored. A wrong value counts against both
+ * precision (it was extracted) and recall (the right value was not); a field expected as null
+ * must stay empty. List fields (revenue items, tenants, ...) are matched item by item on name.
+ */
+
+const CALIBRATION_BINS = 5;
+
+class ExtractionScorer {
+  /**
+   * @param {Object} options
+   * @param {number} options.tolerance - default relative tolerance for numbers (0.01 = 1%)
+   */
+  constructor(options = {}) {
+    this.tolerance = options.tolerance ?? 0.01;
+    this.fields = {};       // field -> { tp, fp, fn }
+    this.numeric = {};      // field or list.key -> { exact, withinTolerance, outside }
+    this.predictions = [];  // { confidence, correct } for calibration
+    this.cases = [];
+  }
+
+  static isEmpty(value) {
+    return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+  }
+
+  static normalizeName(name) {
+    return String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  }
+
+  counts(field) {
+    if (!this.fields[field]) this.fields[field] = { tp: 0, fp: 0, fn: 0 };
+    return this.fields[field];
+  }
+
+  /**
+   * Compare one value. Numbers are exact, within tolerance or outside; dates compare on the
+   * day; other values as trimmed, case-insensitive text.
+   * @returns {'exact'|'tolerance'|'mismatch'}
+   */
+  compareValue(expected, actual, tolerance) {
+    if (typeof expected === 'number') {
+      const number = typeof actual === 'number' ? actual : parseFloat(String(actual).replace(/[^0-9.-]/g, ''));
+      if (isNaN(number)) return 'mismatch';
+      if (Math.abs(number - expected) < 1e-9) return 'exact';
+      const scale = Math.max(Math.abs(expected), 1e-9);
+      return Math.abs(number - expected) / scale <= tolerance ? 'tolerance' : 'mismatch';
+    }
+    if (typeof expected === 'boolean') {
+      return actual === expected ? 'exact' : 'mismatch';
+    }
+
+    const text = (value) => String(value).trim().toLowerCase();
+    if (/^\d{4}-\d{2}-\d{2}$/.test(String(expected))) {
+      return text(actual).slice(0, 10) === text(expected) ? 'exact' : 'mismatch';
+    }
+    return text(actual) === text(expected) ? 'exact' : 'mismatch';
+  }
+
+  recordNumeric(key, outcome) {
+    if (!this.numeric[key]) this.numeric[key] = { exact: 0, withinTolerance: 0, outside: 0 };
+    if (outcome === 'exact') this.numeric[key].exact++;
+    else if (outcome === 'tolerance') this.numeric[key].withinTolerance++;
+    else this.numeric[key].outside++;
+  }
+
+  /**
+   * Score one fixture's extraction
+   * @param {string} name - fixture name
+   * @param {Object} expected - expected.json ({ fields, tolerances })
+   * @param {Object} extracted - AutoFillIntegrator.extractAllData() result ({ field: { value, confidence } })
+   * @returns {Array<{ field: string, outcome: string, expected, actual }>} per-field results
+   */
+  scoreCase(name, expected, extracted) {
+    const results = [];
+    const tolerances = expected.tolerances || {};
+
+    Object.entries(expected.fields || {}).forEach(([field, expectedValue]) => {
+      const extractedField = extracted[field];
+      const actual = extractedField && typeof extractedField === 'object' && 'value' in extractedField
+        ? extractedField.value
+        : extractedField;
+      const confidence = typeof extractedField?.confidence === 'number' ? extractedField.confidence : null;
+      const counts = this.counts(field);
+
+      if (Array.isArray(expectedValue)) {
+        results.push(...this.scoreList(field, expectedValue, Array.isArray(actual) ? actual : [], confidence, tolerances));
+        return;
+      }
+
+      if (ExtractionScorer.isEmpty(expectedValue)) {
+        if (!ExtractionScorer.isEmpty(actual)) {
+          counts.fp++;
+          this.addPrediction(confidence, false);
+          results.push({ field, outcome: 'unexpected', expected: null, actual });
+        }
+        return;
+      }
+
+      if (ExtractionScorer.isEmpty(actual)) {
+        counts.fn++;
+        results.push({ field, outcome: 'missing', expected: expectedValue, actual: null });
+        return;
+      }
+
+      const outcome = this.compareValue(expectedValue, actual, tolerances[field] ?? this.tolerance);
+      if (typeof expectedValue === 'number') this.recordNumeric(field, outcome);
+      if (outcome === 'mismatch') {
+        counts.fp++;
+        counts.fn++;
+      } else {
+        counts.tp++;
+      }
+      this.addPrediction(confidence, outcome !== 'mismatch');
+      results.push({ field, outcome, expected: expectedValue, actual });
+    });
+
+    this.cases.push({ name, results });
+    return results;
+  }
+
+  /**
+   * List fields: each expected item is paired with the extracted item of the same name (or one
+   * whose name contains the other). An item is right when every property the fixture gives for
+   * it matches; extra extracted items are false positives.
+   */
+  scoreList(field, expectedItems, actualItems, fieldConfidence, tolerances) {
+    const results = [];
+    const counts = this.counts(field);
+    const unmatched = actualItems.map((item, index) => ({ item, index }));
+
+    expectedItems.forEach(expectedItem => {
+      const name = ExtractionScorer.normalizeName(expectedItem.name);
+      const candidates = [
+        (candidate) => ExtractionScorer.normalizeName(candidate.item.name) === name,
+        (candidate) => {
+          const candidateName = ExtractionScorer.normalizeName(candidate.item.name);
+          return candidateName && name && (candidateName.includes(name) || name.includes(candidateName));
+        }
+      ];
+      let match = null;
+      for (const test of candidates) {
+        match = unmatched.find(test);
+        if (match) break;
+      }
+
+      const label = `${field}[${expectedItem.name}]`;
+      if (!match) {
+        counts.fn++;
+        results.push({ field: label, outcome: 'missing', expected: expectedItem, actual: null });
+        return;
+      }
+      unmatched.splice(unmatched.indexOf(match), 1);
+
+      let correct = true;
+      const mismatches = [];
+      Object.entries(expectedItem).filter(([key]) => key !== 'name').forEach(([key, expectedValue]) => {
+        const actualValue = match.item[key];
+        const outcome = ExtractionScorer.isEmpty(expectedValue)
+          ? (ExtractionScorer.isEmpty(actualValue) ? 'exact' : 'mismatch')
+          : (ExtractionScorer.isEmpty(actualValue) ? 'mismatch' : this.compareValue(expectedValue, actualValue, tolerances[`${field}.${key}`] ?? tolerances[field] ?? this.tolerance));
+        if (typeof expectedValue === 'number') this.recordNumeric(`${field}.${key}`, outcome);
+        if (outcome === 'mismatch') {
+          correct = false;
+          mismatches.push(key);
+        }
+      });
+
+      if (correct) {
+        counts.tp++;
+      } else {
+        counts.fp++;
+        counts.fn++;
+      }
+      this.addPrediction(typeof match.item.confidence === 'number' ? match.item.confidence : fieldConfidence, correct);
+      results.push({
+        field: label,
+        outcome: correct ? 'correct' : `mismatch (${mismatches.join(', ')})`,
+        expected: expectedItem,
+        actual: match.item
+      });
+    });
+
+    unmatched.forEach(({ item }) => {
+      counts.fp++;
+      this.addPrediction(typeof item.confidence === 'number' ? item.confidence : fieldConfidence, false);
+      results.push({ field: `${field}[${item.name}]`, outcome: 'unexpected', expected: null, actual: item });
+    });
+
+    return results;
+  }
+
+  addPrediction(confidence, correct) {
+    if (confidence === null || confidence === undefined) return;
+    this.predictions.push({ confidence: Math.max(0, Math.min(1, confidence)), correct });
+  }
+
+  static ratio(numerator, denominator) {
+    return denominator === 0 ? null : numerator / denominator;
+  }
+
+  /**
+   * Precision, recall and F1 per field and overall, numeric tolerance hits and calibration
+   */
+  summarize() {
+    const fields = {};
+    const total = { tp: 0, fp: 0, fn: 0 };
+    Object.keys(this.fields).sort().forEach(field => {
+      const { tp, fp, fn } = this.fields[field];
+      total.tp += tp;
+      total.fp += fp;
+      total.fn += fn;
+      fields[field] = { tp, fp, fn, ...ExtractionScorer.rates(tp, fp, fn) };
+    });
+
+    return {
+      fields,
+      overall: { ...total, ...ExtractionScorer.rates(total.tp, total.fp, total.fn) },
+      numeric: this.numeric,
+      calibration: this.calibration()
+    };
+  }
+
+  static rates(tp, fp, fn) {
+    const precision = ExtractionScorer.ratio(tp, tp + fp);
+    const recall = ExtractionScorer.ratio(tp, tp + fn);
+    const f1 = precision === null || recall === null || precision + recall === 0
+      ? null
+      : 2 * precision * recall / (precision + recall);
+    return { precision, recall, f1 };
+  }
+
+  /**
+   * How well confidence predicts correctness: per confidence bin the mean confidence against the
+   * share correct, the expected calibration error (bin-weighted gap) and the Brier score
+   */
+  calibration() {
+    const count = this.predictions.length;
+    if (count === 0) return { count: 0, bins: [], ece: null, brier: null };
+
+    const bins = Array.from({ length: CALIBRATION_BINS }, (_, index) => ({
+      from: index / CALIBRATION_BINS,
+      to: (index + 1) / CALIBRATION_BINS,
+      count: 0,
+      confidenceSum: 0,
+      correct: 0
+    }));
+    let brier = 0;
+    this.predictions.forEach(({ confidence, correct }) => {
+      const bin = bins[Math.min(CALIBRATION_BINS - 1, Math.floor(confidence * CALIBRATION_BINS))];
+      bin.count++;
+      bin.confidenceSum += confidence;
+      if (correct) bin.correct++;
+      brier += (confidence - (correct ? 1 : 0)) ** 2;
+    });
+
+    let ece = 0;
+    const summary = bins.filter(bin => bin.count > 0).map(bin => {
+      const meanConfidence = bin.confidenceSum / bin.count;
+      const accuracy = bin.correct / bin.count;
+      ece += bin.count / count * Math.abs(accuracy - meanConfidence);
+      return { from: bin.from, to: bin.to, count: bin.count, meanConfidence, accuracy };
+    });
+
+    return { count, bins: summary, ece, brier: brier / count };
+  }
+}
+
+module.exports = { ExtractionScorer };
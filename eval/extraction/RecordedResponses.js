@@ -0,0 +1,90 @@
+/**
+ * RecordedResponses.js - Stand-in for the AI endpoint during evaluation
+ * Each fixture keeps the endpoint's responses in recorded-responses.json, keyed by extraction
+ * type and the files sent. A recording also stores hashes of the system prompt and file contents,
+ * so a prompt or document change shows up as a stale recording instead of passing silently.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex').slice(0, 16);
+
+class RecordedResponses {
+  /**
+   * @param {string} filePath - the fixture's recorded-responses.json (need not exist yet)
+   * @param {Object} options
+   * @param {boolean} options.record - call the live endpoint for missing or stale recordings
+   * @param {string} options.endpoint - endpoint to record from
+   */
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.record = !!options.record;
+    this.endpoint = options.endpoint || null;
+    this.recordings = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : {};
+    this.changed = false;
+    this.missing = [];
+    this.stale = [];
+  }
+
+  static key(extractionType, fileContents) {
+    return `${extractionType}:${fileContents.map(file => file.metadata.filename).sort().join('|')}`;
+  }
+
+  static fingerprint(strategy, fileContents) {
+    return {
+      promptHash: sha256(strategy.systemPrompt || ''),
+      contentHash: sha256(fileContents.map(file => `${file.metadata.filename}\u0000${file.content}`).sort().join('\u0001'))
+    };
+  }
+
+  /**
+   * AIExtractionService whose endpoint call replays (or, when recording, makes and saves) the
+   * recorded response. Everything after the call - response parsing, confidence scoring,
+   * citations - runs as in the task pane.
+   */
+  createService(AIExtractionService) {
+    const responses = this;
+
+    class RecordedExtractionService extends AIExtractionService {
+      async callAIWithRetry(fileContents, strategy, extractionType) {
+        return responses.respond(fileContents, strategy, extractionType,
+          () => super.callAIWithRetry(fileContents, strategy, extractionType));
+      }
+    }
+
+    const service = new RecordedExtractionService();
+    service.maxRetries = 0;
+    if (this.endpoint) service.apiEndpoint = this.endpoint;
+    return service;
+  }
+
+  async respond(fileContents, strategy, extractionType, callEndpoint) {
+    const key = RecordedResponses.key(extractionType, fileContents);
+    const fingerprint = RecordedResponses.fingerprint(strategy, fileContents);
+    const recording = this.recordings[key];
+    const isStale = recording && (recording.promptHash !== fingerprint.promptHash || recording.contentHash !== fingerprint.contentHash);
+
+    if (this.record && (!recording || isStale)) {
+      const response = await callEndpoint();
+      this.recordings[key] = { ...fingerprint, recordedAt: new Date().toISOString(), response };
+      this.changed = true;
+      return response;
+    }
+
+    if (!recording) {
+      this.missing.push(key);
+      throw new Error(`No recorded response for ${key}`);
+    }
+    if (isStale) this.stale.push(key);
+    return recording.response;
+  }
+
+  save() {
+    if (!this.changed) return false;
+    fs.writeFileSync(this.filePath, JSON.stringify(this.recordings, null, 2) + '\n');
+    return true;
+  }
+}
+
+module.exports = { RecordedResponses };
@@ -0,0 +1,162 @@
+/**
+ * WidgetSandbox.js - Runs the add-in's extraction widgets under Node
+ * Loads the same scripts taskpane.html loads for AI Autofill into a VM context with a `window`
+ * global, and swaps the AI call for recorded responses (see RecordedResponses.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const REPO_ROOT = path.resolve(__dirname, '..', '..');
+
+// Script order follows taskpane.html
+const WIDGET_SCRIPTS = [
+  'widgets/core/PeriodCalendar.js',
+  'widgets/core/RentRoll.js',
+  'widgets/core/HistoricalFinancials.js',
+  'widgets/services/ExtractionCache.js',
+  'widgets/services/AIExtractionService.js',
+  'widgets/core/ImageOcrExtractor.js',
+  'widgets/core/PdfTextExtractor.js',
+  'widgets/core/SpreadsheetReader.js',
+  'widgets/core/DocumentTables.js',
+  'widgets/core/FxRateProvider.js',
+  'widgets/core/DocumentLocale.js',
+  'widgets/core/DataStandardizer.js',
+  'widgets/core/FieldReconciler.js',
+  'widgets/core/FieldMappingEngine.js',
+  'widgets/extractors/HighLevelParametersExtractor.js',
+  'widgets/extractors/DealAssumptionsExtractor.js',
+  'widgets/extractors/RevenueItemsExtractor.js',
+  'widgets/extractors/RentRollExtractor.js',
+  'widgets/extractors/CostItemsExtractor.js',
+  'widgets/extractors/HistoricalFinancialsExtractor.js',
+  'widgets/extractors/DebtModelExtractor.js',
+  'widgets/extractors/ExitAssumptionsExtractor.js',
+  'widgets/AutoFillIntegrator.js'
+];
+
+const MIME_TYPES = {
+  '.csv': 'text/csv',
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.xls': 'application/vnd.ms-excel'
+};
+
+class WidgetSandbox {
+  /**
+   * @param {Object} options
+   * @param {boolean} options.verbose - pass the widgets' console output through
+   * @param {Function} options.fetch - network access for recording; without it any request fails
+   */
+  constructor(options = {}) {
+    this.verbose = !!options.verbose;
+    this.errors = [];
+
+    // Errors are always collected, so the harness can fail on them; verbose also prints them
+    const quiet = () => {};
+    const recordError = (...args) => this.errors.push(args.map(arg => arg instanceof Error ? arg.message : String(arg)).join(' '));
+    const sandboxConsole = this.verbose ? {
+      log: console.log,
+      info: console.info,
+      debug: console.debug,
+      warn: console.warn,
+      error: (...args) => {
+        recordError(...args);
+        console.error(...args);
+      }
+    } : {
+      log: quiet,
+      info: quiet,
+      debug: quiet,
+      warn: quiet,
+      error: recordError
+    };
+
+    const sandbox = {
+      console: sandboxConsole,
+      location: { hostname: 'localhost' },
+      fetch: options.fetch || (async (url) => {
+        throw new Error(`Network access is disabled during evaluation (${url})`);
+      }),
+      crypto: globalThis.crypto,
+      TextEncoder,
+      TextDecoder,
+      Blob,
+      Response,
+      DecompressionStream: globalThis.DecompressionStream,
+      URL,
+      setTimeout,
+      clearTimeout
+    };
+    sandbox.window = sandbox;
+    this.context = vm.createContext(sandbox);
+
+    WIDGET_SCRIPTS.forEach(script => {
+      const code = fs.readFileSync(path.join(REPO_ROOT, script), 'utf8');
+      vm.runInContext(code, this.context, { filename: script });
+    });
+  }
+
+  get window() {
+    return this.context;
+  }
+
+  /**
+   * An AutoFillIntegrator with its core services and extractors set up the way initialize()
+   * does, minus the UI. FX rates come from assets/fx-rates.json on disk.
+   * @param {Function} createExtractionService - (AIExtractionService class) => service instance
+   */
+  async createIntegrator(createExtractionService) {
+    const { AutoFillIntegrator, LocalFxRateProvider } = this.window;
+    const integrator = new AutoFillIntegrator();
+
+    await integrator.initializeCoreServices();
+    integrator.aiExtractionService = createExtractionService(this.window.AIExtractionService);
+    integrator.dataStandardizer.setRateProvider(new LocalFxRateProvider({
+      data: fs.readFileSync(path.join(REPO_ROOT, 'assets', 'fx-rates.json'), 'utf8'),
+      source: 'assets/fx-rates.json'
+    }));
+    // No localStorage or notifications outside the task pane
+    integrator.extractionHistory = null;
+    integrator.showProgress = () => {};
+
+    await integrator.initializeExtractionWidgets();
+    return integrator;
+  }
+
+  /**
+   * Fixture documents in the shape FileUploader.readAllFiles() returns. Text and CSV files are
+   * read as text, workbooks through SpreadsheetReader, and `*.file.json` files are taken as an
+   * already-read file (e.g. a PDF's pages and tables captured from the task pane).
+   */
+  async readDocuments(directory) {
+    const files = [];
+    const names = fs.readdirSync(directory).filter(name => !name.startsWith('.')).sort();
+
+    for (const name of names) {
+      const fullPath = path.join(directory, name);
+      const extension = path.extname(name).toLowerCase();
+      const size = fs.statSync(fullPath).size;
+
+      if (name.endsWith('.file.json')) {
+        files.push({ pages: null, tables: null, workbook: null, ocr: null, ...JSON.parse(fs.readFileSync(fullPath, 'utf8')) });
+      } else if (extension === '.xlsx' || extension === '.xls') {
+        const reader = new this.window.SpreadsheetReader();
+        const workbook = await reader.readBytes(new Uint8Array(fs.readFileSync(fullPath)), name);
+        files.push({ name, type: MIME_TYPES[extension], content: workbook.text, size, pages: null, tables: null, workbook, ocr: null });
+      } else if (MIME_TYPES[extension]) {
+        const content = fs.readFileSync(fullPath, 'utf8');
+        files.push({ name, type: MIME_TYPES[extension], content, size, pages: null, tables: null, workbook: null, ocr: null });
+      } else {
+        throw new Error(`Unsupported fixture document ${name} - save PDFs and images as a captured .file.json`);
+      }
+    }
+
+    return files;
+  }
+}
+
+module.exports = { WidgetSandbox, REPO_ROOT };
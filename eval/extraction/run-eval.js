@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+/**
+ * run-eval.js - Extraction evaluation harness
+ * Runs every AI Autofill extractor over the fixture documents, replaying recorded AI responses,
+ * and reports per-field precision/recall, numeric tolerance hits and confidence calibration.
+ * Compared against baseline.json it exits non-zero when a field gets worse; any error an extractor
+ * throws or logs fails the run as well.
+ *
+ *   node eval/extraction/run-eval.js                    score all fixtures against the baseline
+ *   node eval/extraction/run-eval.js --only rent-roll   one fixture, with its field results
+ *   node eval/extraction/run-eval.js --update-baseline  accept the current scores
+ *   node eval/extraction/run-eval.js --record --endpoint http://localhost:8888/.netlify/functions/chat
+ *                                                       re-record missing or stale AI responses
+ *
+ * Other options: --tolerance 0.01 (relative, for numbers), --max-drop 0 (allowed precision or
+ * recall drop per field), --fixtures <dir>, --baseline <file>, --json, --verbose
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { WidgetSandbox } = require('./WidgetSandbox');
+const { RecordedResponses } = require('./RecordedResponses');
+const { ExtractionScorer } = require('./ExtractionScorer');
+
+function parseArgs(argv) {
+  const options = {
+    fixtures: path.join(__dirname, 'fixtures'),
+    baseline: path.join(__dirname, 'baseline.json'),
+    only: null,
+    tolerance: 0.01,
+    maxDrop: 0,
+    maxEceRise: 0.05,
+    record: false,
+    endpoint: null,
+    updateBaseline: false,
+    json: false,
+    verbose: false
+  };
+  const numbers = { '--tolerance': 'tolerance', '--max-drop': 'maxDrop', '--max-ece-rise': 'maxEceRise' };
+  const strings = { '--fixtures': 'fixtures', '--baseline': 'baseline', '--only': 'only', '--endpoint': 'endpoint' };
+  const flags = { '--record': 'record', '--update-baseline': 'updateBaseline', '--json': 'json', '--verbose': 'verbose' };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (flags[arg]) {
+      options[flags[arg]] = true;
+    } else if (numbers[arg] || strings[arg]) {
+      const value = argv[++i];
+      if (value === undefined) throw new Error(`${arg} needs a value`);
+      if (numbers[arg]) {
+        options[numbers[arg]] = parseFloat(value);
+        if (isNaN(options[numbers[arg]])) throw new Error(`${arg} expects a number, got ${value}`);
+      } else {
+        options[strings[arg]] = value;
+      }
+    } else {
+      throw new Error(`Unknown option ${arg}`);
+    }
+  }
+  if (options.record && !options.endpoint) {
+    throw new Error('--record needs --endpoint (e.g. http://localhost:8888/.netlify/functions/chat)');
+  }
+  return options;
+}
+
+/**
+ * Fixture folders: documents/ plus expected.json, and recorded-responses.json once recorded
+ */
+function listFixtures(directory, only) {
+  return fs.readdirSync(directory)
+    .filter(name => fs.existsSync(path.join(directory, name, 'expected.json')))
+    .filter(name => !only || name === only)
+    .sort()
+    .map(name => ({ name, directory: path.join(directory, name) }));
+}
+
+async function runFixture(fixture, options, scorer) {
+  const sandbox = new WidgetSandbox({ verbose: options.verbose, fetch: options.record ? fetch : null });
+  const responses = new RecordedResponses(path.join(fixture.directory, 'recorded-responses.json'), {
+    record: options.record,
+    endpoint: options.endpoint
+  });
+  const integrator = await sandbox.createIntegrator(AIExtractionService => responses.createService(AIExtractionService));
+
+  const files = await sandbox.readDocuments(path.join(fixture.directory, 'documents'));
+  integrator.uploadedFiles = files;
+  const extracted = await integrator.extractAllData(files);
+
+  const expected = JSON.parse(fs.readFileSync(path.join(fixture.directory, 'expected.json'), 'utf8'));
+  const results = scorer.scoreCase(fixture.name, expected, extracted);
+  responses.save();
+
+  return { results, missing: responses.missing, stale: responses.stale, errors: sandbox.errors };
+}
+
+const percent = (value) => value === null || value === undefined ? '   -  ' : `${(value * 100).toFixed(1).padStart(5)}%`;
+
+function printReport(summary) {
+  console.log('\nPer-field precision / recall');
+  console.log(`  ${'field'.padEnd(28)} ${'prec'.padStart(6)} ${'recall'.padStart(6)} ${'F1'.padStart(6)}   tp  fp  fn`);
+  const row = (name, stats) => console.log(`  ${name.padEnd(28)} ${percent(stats.precision)} ${percent(stats.recall)} ${percent(stats.f1)}  ${String(stats.tp).padStart(3)} ${String(stats.fp).padStart(3)} ${String(stats.fn).padStart(3)}`);
+  Object.entries(summary.fields).forEach(([field, stats]) => row(field, stats));
+  row('OVERALL', summary.overall);
+
+  console.log('\nNumeric values (exact / within tolerance / outside)');
+  Object.keys(summary.numeric).sort().forEach(key => {
+    const { exact, withinTolerance, outside } = summary.numeric[key];
+    console.log(`  ${key.padEnd(28)} ${String(exact).padStart(3)} / ${String(withinTolerance).padStart(3)} / ${String(outside).padStart(3)}`);
+  });
+
+  const { calibration } = summary;
+  console.log(`\nConfidence calibration (${calibration.count} predictions)`);
+  calibration.bins.forEach(bin => {
+    console.log(`  ${bin.from.toFixed(1)}-${bin.to.toFixed(1)}  n=${String(bin.count).padStart(3)}  confidence ${percent(bin.meanConfidence)}  correct ${percent(bin.accuracy)}`);
+  });
+  if (calibration.count > 0) {
+    console.log(`  ECE ${calibration.ece.toFixed(3)}  Brier ${calibration.brier.toFixed(3)}`);
+  }
+}
+
+/**
+ * Fields whose precision or recall fell more than maxDrop below the baseline, and a calibration
+ * error that rose more than maxEceRise
+ */
+function findRegressions(summary, baseline, options) {
+  const regressions = [];
+  Object.entries(baseline.fields || {}).forEach(([field, before]) => {
+    const after = summary.fields[field];
+    if (!after) {
+      regressions.push(`${field}: no longer scored`);
+      return;
+    }
+    ['precision', 'recall'].forEach(metric => {
+      if (before[metric] !== null && (after[metric] ?? 0) < before[metric] - options.maxDrop - 1e-9) {
+        regressions.push(`${field}: ${metric} ${percent(before[metric]).trim()} → ${percent(after[metric]).trim()}`);
+      }
+    });
+  });
+
+  const eceBefore = baseline.calibration?.ece;
+  const eceAfter = summary.calibration.ece;
+  if (typeof eceBefore === 'number' && typeof eceAfter === 'number' && eceAfter > eceBefore + options.maxEceRise) {
+    regressions.push(`calibration: ECE ${eceBefore.toFixed(3)} → ${eceAfter.toFixed(3)}`);
+  }
+  return regressions;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const fixtures = listFixtures(options.fixtures, options.only);
+  if (fixtures.length === 0) {
+    throw new Error(options.only ? `No fixture named ${options.only} in ${options.fixtures}` : `No fixtures in ${options.fixtures}`);
+  }
+
+  const scorer = new ExtractionScorer({ tolerance: options.tolerance });
+  const recordingWarnings = [];
+  const extractorErrors = [];
+  for (const fixture of fixtures) {
+    const outcome = await runFixture(fixture, options, scorer);
+    const wrong = outcome.results.filter(result => !['exact', 'tolerance', 'correct'].includes(result.outcome));
+    console.log(`📄 ${fixture.name}: ${outcome.results.length - wrong.length}/${outcome.results.length} fields right`);
+    if (options.only || options.verbose) {
+      wrong.forEach(result => console.log(`   ✗ ${result.field}: ${result.outcome} (expected ${JSON.stringify(result.expected)}, got ${JSON.stringify(result.actual)})`));
+    }
+    outcome.missing.forEach(key => recordingWarnings.push(`${fixture.name}: no recorded response for ${key}`));
+    outcome.stale.forEach(key => recordingWarnings.push(`${fixture.name}: recorded response for ${key} predates a prompt or document change`));
+    outcome.errors
+      .filter(error => !error.includes('No recorded response'))
+      .forEach(error => extractorErrors.push(`${fixture.name}: ${error}`));
+  }
+
+  const summary = scorer.summarize();
+  if (options.json) {
+    console.log(JSON.stringify(summary, null, 2));
+  } else {
+    printReport(summary);
+  }
+
+  const printList = (heading, items) => {
+    const unique = [...new Set(items)];
+    if (unique.length === 0) return;
+    console.log(`\n${heading} (${unique.length})`);
+    unique.forEach(item => console.log(`  ${item}`));
+  };
+  printList('⚠️ Recordings to refresh with --record --endpoint <url>', recordingWarnings);
+  printList('❌ Errors logged by the extractors', extractorErrors);
+
+  // An extractor that throws is broken whatever the scores say, and must not become the baseline
+  if (extractorErrors.length > 0) {
+    console.log(`\n❌ The extractors logged ${new Set(extractorErrors).size} error(s)${options.updateBaseline ? ' - baseline not written' : ''}`);
+    return 1;
+  }
+
+  if (options.updateBaseline) {
+    const { fields, overall, calibration } = summary;
+    fs.writeFileSync(options.baseline, JSON.stringify({ fields, overall, calibration: { ece: calibration.ece, brier: calibration.brier } }, null, 2) + '\n');
+    console.log(`\n💾 Baseline written to ${path.relative(process.cwd(), options.baseline)}`);
+    return 0;
+  }
+
+  // A partial run (--only) cannot be held to the whole baseline
+  if (options.only || !fs.existsSync(options.baseline)) return 0;
+
+  const regressions = findRegressions(summary, JSON.parse(fs.readFileSync(options.baseline, 'utf8')), options);
+  if (regressions.length > 0) {
+    console.log(`\n❌ ${regressions.length} regression(s) against the baseline`);
+    regressions.forEach(regression => console.log(`  ${regression}`));
+    return 1;
+  }
+  console.log('\n✅ No regressions against the baseline');
+  return 0;
+}
+
+main()
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(error => {
+    console.error('❌ Evaluation failed:', error.message);
+    process.exitCode = 2;
+  });
@@ -156,6 +156,7 @@ class MAModelingAddin {
       try {
         this.excelGenerator = new window.ExcelGenerator();
         window.excelGenerator = this.excelGenerator;
+        this.setupRegenerationMode();
         console.log('✅ ExcelGenerator initialized successfully');
       } catch (error) {
         console.error('❌ Error creating ExcelGenerator:', error);
@@ -246,6 +247,28 @@ class MAModelingAddin {
     }
   }
 
+  async saveModelStateToWorkbook() {
+    if (this.dataManager) {
+      await this.dataManager.saveToWorkbook();
+    }
+  }
+
+  // Wire the 'Update existing sheets in place' option and its preview to the generator
+  setupRegenerationMode() {
+    const checkbox = document.getElementById('updateSheetsInPlace');
+    const confirmChanges = (preview) => {
+      if (!this.regenerationPreview && typeof window.RegenerationPreviewModal !== 'undefined') {
+        this.regenerationPreview = new window.RegenerationPreviewModal();
+      }
+      return this.regenerationPreview ? this.regenerationPreview.show(preview) : Promise.resolve(true);
+    };
+    
+    this.excelGenerator.setUpdateMode(checkbox?.checked, confirmChanges);
+    if (checkbox) {
+      checkbox.addEventListener('change', () => this.excelGenerator.setUpdateMode(checkbox.checked));
+    }
+  }
+
   setupMainEventListeners() {
     console.log('Setting up main event listeners...');
     
@@ -700,15 +723,29 @@ class MAModelingAddin {
     }
   }
   
-  // IRR & MOIC calculations are now automatically included in the FCF sheet
-  // This method is no longer needed
-  /*
   async generateMultiplesAndIRR() {
-    // This functionality has been moved to the FCF sheet
-    // IRR and MOIC are calculated automatically using Excel's built-in functions
-    console.log('IRR & MOIC are now calculated automatically in the FCF sheet');
+    console.log('Starting IRR & MOIC analysis...');
+    
+    try {
+      let modelData = {};
+      if (this.formHandler) {
+        modelData = this.formHandler.collectAllModelData();
+      }
+      
+      if (!this.excelGenerator) {
+        console.error('Excel generator not available');
+        return { success: false, error: 'Excel generator not available' };
+      }
+      
+      // Returns are calculated locally - AI commentary is opt-in
+      const includeCommentary = document.getElementById('includeReturnsCommentary')?.checked || false;
+      return await this.excelGenerator.generateMultiplesAndIRR(modelData, { includeCommentary });
+      
+    } catch (error) {
+      console.error('Error in generateMultiplesAndIRR:', error);
+      return { success: false, error: error.message };
+    }
   }
-  */
 
   async addFinalResults() {
     console.log('🎯 Adding final results to Assumptions sheet...');
@@ -775,11 +812,12 @@ class MAModelingAddin {
       }
       
       const steps = [
-        { name: 'Assumptions', func: () => this.generateAssumptions(), progress: 16 },
-        { name: 'P&L Statement', func: () => this.generatePLWithAI(), progress: 33 },
-        { name: 'CapEx Summary', func: () => this.generateCapExSheet(), progress: 50 },
-        { name: 'Debt Model', func: () => this.generateDebtModelSheet(), progress: 66 },
-        { name: 'Free Cash Flow', func: () => this.generateFCFWithAI(), progress: 83 },
+        { name: 'Assumptions', func: () => this.generateAssumptions(), progress: 14 },
+        { name: 'P&L Statement', func: () => this.generatePLWithAI(), progress: 28 },
+        { name: 'CapEx Summary', func: () => this.generateCapExSheet(), progress: 42 },
+        { name: 'Debt Model', func: () => this.generateDebtModelSheet(), progress: 57 },
+        { name: 'Free Cash Flow', func: () => this.generateFCFWithAI(), progress: 71 },
+        { name: 'Returns Analysis', func: () => this.generateMultiplesAndIRR(), progress: 85 },
         { name: 'Final Results', func: () => this.addFinalResults(), progress: 100 }
       ];
       
@@ -817,6 +855,9 @@ class MAModelingAddin {
       // Model generation completed
       console.log('🎉 Full model generation completed successfully!');
       
+      // Embed the inputs and cell map in the workbook so it can be regenerated elsewhere
+      await this.saveModelStateToWorkbook();
+      
       // Update button to "Refresh Full Model"
       if (generateBtn) {
         generateBtn.disabled = false;
@@ -891,11 +932,12 @@ class MAModelingAddin {
       const statusElement = document.getElementById('generationStatus');
       
       const steps = [
-        { name: 'Assumptions', func: () => this.generateAssumptions(), progress: 16 },
-        { name: 'P&L Statement', func: () => this.generatePLWithAI(), progress: 33 },
-        { name: 'CapEx Summary', func: () => this.generateCapExSheet(), progress: 50 },
-        { name: 'Debt Model', func: () => this.generateDebtModelSheet(), progress: 66 },
-        { name: 'Free Cash Flow', func: () => this.generateFCFWithAI(), progress: 83 },
+        { name: 'Assumptions', func: () => this.generateAssumptions(), progress: 14 },
+        { name: 'P&L Statement', func: () => this.generatePLWithAI(), progress: 28 },
+        { name: 'CapEx Summary', func: () => this.generateCapExSheet(), progress: 42 },
+        { name: 'Debt Model', func: () => this.generateDebtModelSheet(), progress: 57 },
+        { name: 'Free Cash Flow', func: () => this.generateFCFWithAI(), progress: 71 },
+        { name: 'Returns Analysis', func: () => this.generateMultiplesAndIRR(), progress: 85 },
         { name: 'Final Results', func: () => this.addFinalResults(), progress: 100 }
       ];
       
@@ -937,6 +979,9 @@ class MAModelingAddin {
       // Model generation completed
       console.log('🎉 Full model generation with progress completed successfully!');
       
+      // Embed the inputs and cell map in the workbook so it can be regenerated elsewhere
+      await this.saveModelStateToWorkbook();
+      
       // Show success message
       // Complete model generated successfully - no popup needed
       console.log('🎉 Complete M&A financial model generated successfully!');
@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadWidgets } = require('./loadWidgets');
+
+const { DocumentLocale } = loadWidgets(['widgets/core/DocumentLocale.js']);
+
+test('parseNumber scales amounts by their magnitude word', () => {
+  const locale = DocumentLocale.fromTag('en-GB');
+  assert.strictEqual(locale.parseNumber('£3.2m').value, 3200000);
+  assert.strictEqual(locale.parseNumber('1.1bn').value, 1100000000);
+  assert.strictEqual(locale.parseNumber('12k').value, 12000);
+  assert.strictEqual(locale.parseNumber('(1,234)').value, -1234);
+  assert.strictEqual(DocumentLocale.fromTag('de-DE').parseNumber('€12,5 Mio').value, 12500000);
+});
+
+test('parseNumber does not read area units as millions', () => {
+  const locale = DocumentLocale.fromTag('en-GB');
+  assert.strictEqual(locale.parseNumber('1,200 m²').value, 1200);
+  assert.strictEqual(locale.parseNumber('1,200 m2').value, 1200);
+  assert.strictEqual(locale.parseNumber('2,500 m2').value, 2500);
+  assert.strictEqual(locale.parseNumber('1,200 sqm').value, 1200);
+  assert.strictEqual(locale.parseNumber('1,200 sq ft').value, 1200);
+  assert.strictEqual(locale.parseNumber('1,200 m sq').value, 1200);
+  assert.strictEqual(DocumentLocale.fromTag('de-DE').parseNumber('1.200 m²').value, 1200);
+});
@@ -0,0 +1,390 @@
+/**
+ * ExcelEmulator.js - The slice of the Office.js Excel API the model generators use, calculated by
+ * HyperFormula, so a generated workbook can be built and read back under Node.
+ * Values and formulas go to HyperFormula; names become named expressions; formatting, charts and
+ * other presentation calls are accepted and ignored.
+ */
+
+const { HyperFormula } = require('hyperformula');
+
+const MAX_ROWS = 1048576;
+const MAX_COLUMNS = 16384;
+
+// Accepts any property read, write or call (formatting, conditional formats, borders ...)
+function sink() {
+  return new Proxy(function () {}, {
+    get(target, key) {
+      if (key === 'then') return undefined;
+      if (key === 'isNullObject') return false;
+      return sink();
+    },
+    set() {
+      return true;
+    },
+    apply() {
+      return sink();
+    }
+  });
+}
+
+// Unknown members fall through to a sink, so only the calls that matter are implemented
+function withSink(object) {
+  return new Proxy(object, {
+    get(target, key, receiver) {
+      if (key in target || typeof key === 'symbol') return Reflect.get(target, key, receiver);
+      if (key === 'then') return undefined;
+      return sink();
+    },
+    set(target, key, value, receiver) {
+      return Reflect.set(target, key, value, receiver);
+    }
+  });
+}
+
+function columnLetter(index) {
+  let result = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    result = String.fromCharCode(65 + ((n - 1) % 26)) + result;
+  }
+  return result;
+}
+
+function columnIndex(letters) {
+  return letters.toUpperCase().split('').reduce((total, letter) => total * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+// "B3", "$B$3:D10", "B:D" or "3:5" -> 0-based inclusive bounds
+function parseAddress(address) {
+  const clean = String(address).replace(/\$/g, '');
+  const [start, end = start] = clean.split(':');
+  const cell = /^([A-Z]+)?(\d+)?$/i;
+  const a = cell.exec(start);
+  const b = cell.exec(end);
+  if (!a || !b || (!a[1] && !a[2])) throw new Error(`Unsupported address: ${address}`);
+  return {
+    r0: a[2] ? parseInt(a[2], 10) - 1 : 0,
+    c0: a[1] ? columnIndex(a[1]) : 0,
+    r1: b[2] ? parseInt(b[2], 10) - 1 : MAX_ROWS - 1,
+    c1: b[1] ? columnIndex(b[1]) : MAX_COLUMNS - 1
+  };
+}
+
+function quoteSheet(name) {
+  return /^[A-Za-z_][A-Za-z0-9_.]*$/.test(name) ? name : `'${name.replace(/'/g, "''")}'`;
+}
+
+class Workbook {
+  constructor() {
+    this.hf = HyperFormula.buildEmpty({ licenseKey: 'gpl-v3', useArrayArithmetic: true });
+    this.sheets = [];
+    this.namedItems = new Map();
+    this.numberFormats = new Map();
+  }
+
+  sheetId(name) {
+    const id = this.hf.getSheetId(name);
+    if (id === undefined) throw new Error(`ItemNotFound: no worksheet named ${name}`);
+    return id;
+  }
+}
+
+class Range {
+  constructor(workbook, sheet, bounds) {
+    this.workbook = workbook;
+    this.sheet = sheet;
+    Object.assign(this, bounds);
+    return withSink(this);
+  }
+
+  get hf() {
+    return this.workbook.hf;
+  }
+
+  get rowIndex() {
+    return this.r0;
+  }
+
+  get columnIndex() {
+    return this.c0;
+  }
+
+  get rowCount() {
+    return this.r1 - this.r0 + 1;
+  }
+
+  get columnCount() {
+    return this.c1 - this.c0 + 1;
+  }
+
+  get address() {
+    const start = `${columnLetter(this.c0)}${this.r0 + 1}`;
+    const end = `${columnLetter(this.c1)}${this.r1 + 1}`;
+    return `${quoteSheet(this.sheet.name)}!${start === end ? start : `${start}:${end}`}`;
+  }
+
+  load() {
+    return this;
+  }
+
+  // Cells of the range as [row][column] of callback results
+  map(callback) {
+    if (this.rowCount * this.columnCount > 1e6) throw new Error(`Range ${this.address} is too large to read`);
+    const sheet = this.workbook.sheetId(this.sheet.name);
+    return Array.from({ length: this.rowCount }, (_, i) => Array.from({ length: this.columnCount }, (_, j) =>
+      callback({ sheet, row: this.r0 + i, col: this.c0 + j })));
+  }
+
+  // A single value fills the whole range, as Office.js allows
+  write(grid, toContent) {
+    const rows = Array.isArray(grid) ? grid : [[grid]];
+    const single = rows.length === 1 && rows[0].length === 1;
+    if (!single && (rows.length !== this.rowCount || rows.some(row => row.length !== this.columnCount))) {
+      throw new Error(`InvalidArgument: ${rows.length}x${rows[0]?.length} values for ${this.address}`);
+    }
+    if (this.rowCount * this.columnCount > 1e5) return; // Whole rows or columns: formats only
+    const sheet = this.workbook.sheetId(this.sheet.name);
+    const content = Array.from({ length: this.rowCount }, (_, i) => Array.from({ length: this.columnCount }, (_, j) =>
+      toContent(single ? rows[0][0] : rows[i][j])));
+    this.hf.setCellContents({ sheet, row: this.r0, col: this.c0 }, content);
+  }
+
+  get values() {
+    return this.map(address => {
+      const value = this.hf.getCellValue(address);
+      if (value === null || value === undefined) return '';
+      return typeof value === 'object' ? value.value : value;
+    });
+  }
+
+  set values(grid) {
+    this.write(grid, value => (value === '' || value === null || value === undefined ? null : value));
+  }
+
+  get formulas() {
+    return this.map(address => {
+      const content = this.hf.getCellSerialized(address);
+      return content === null || content === undefined ? '' : content;
+    });
+  }
+
+  set formulas(grid) {
+    this.write(grid, value => (value === '' || value === null || value === undefined ? null : value));
+  }
+
+  get numberFormat() {
+    return this.map(({ row, col }) => this.workbook.numberFormats.get(`${this.sheet.name}!${row}:${col}`) || 'General');
+  }
+
+  set numberFormat(grid) {
+    if (this.rowCount * this.columnCount > 1e5) return;
+    const rows = Array.isArray(grid) ? grid : [[grid]];
+    for (let i = 0; i < this.rowCount; i++) {
+      for (let j = 0; j < this.columnCount; j++) {
+        const format = rows[i] && rows[i][j] !== undefined ? rows[i][j] : rows[0][0];
+        this.workbook.numberFormats.set(`${this.sheet.name}!${this.r0 + i}:${this.c0 + j}`, format);
+      }
+    }
+  }
+
+  getCell(row, column) {
+    return new Range(this.workbook, this.sheet, { r0: this.r0 + row, c0: this.c0 + column, r1: this.r0 + row, c1: this.c0 + column });
+  }
+
+  clear() {
+    const sheet = this.workbook.sheetId(this.sheet.name);
+    const bottom = Math.min(this.r1, this.hf.getSheetDimensions(sheet).height - 1);
+    const right = Math.min(this.c1, this.hf.getSheetDimensions(sheet).width - 1);
+    if (bottom < this.r0 || right < this.c0) return;
+    this.hf.setCellContents({ sheet, row: this.r0, col: this.c0 },
+      Array.from({ length: bottom - this.r0 + 1 }, () => new Array(right - this.c0 + 1).fill(null)));
+  }
+}
+
+class Worksheet {
+  constructor(workbook, name) {
+    this.workbook = workbook;
+    this._name = name;
+    this.isNullObject = false;
+    return withSink(this);
+  }
+
+  get name() {
+    return this._name;
+  }
+
+  set name(name) {
+    this.workbook.hf.renameSheet(this.workbook.sheetId(this._name), name);
+    this._name = name;
+  }
+
+  get position() {
+    return this.workbook.sheets.indexOf(this.workbook.sheets.find(sheet => sheet.name === this._name));
+  }
+
+  set position(position) {
+    const sheets = this.workbook.sheets;
+    const current = sheets.findIndex(sheet => sheet.name === this._name);
+    const [sheet] = sheets.splice(current, 1);
+    sheets.splice(Math.min(position, sheets.length), 0, sheet);
+  }
+
+  load() {
+    return this;
+  }
+
+  getRange(address = 'A1') {
+    return new Range(this.workbook, this, parseAddress(address));
+  }
+
+  getCell(row, column) {
+    return new Range(this.workbook, this, { r0: row, c0: column, r1: row, c1: column });
+  }
+
+  getRangeByIndexes(row, column, rowCount, columnCount) {
+    return new Range(this.workbook, this, { r0: row, c0: column, r1: row + rowCount - 1, c1: column + columnCount - 1 });
+  }
+
+  // Bounds of the non-empty cells (an empty sheet gives A1)
+  getUsedRange() {
+    const serialized = this.workbook.hf.getSheetSerialized(this.workbook.sheetId(this._name));
+    const bounds = { r0: Infinity, c0: Infinity, r1: 0, c1: 0 };
+    serialized.forEach((row, i) => row.forEach((content, j) => {
+      if (content === null || content === undefined || content === '') return;
+      bounds.r0 = Math.min(bounds.r0, i);
+      bounds.c0 = Math.min(bounds.c0, j);
+      bounds.r1 = Math.max(bounds.r1, i);
+      bounds.c1 = Math.max(bounds.c1, j);
+    }));
+    if (bounds.r0 === Infinity) return new Range(this.workbook, this, { r0: 0, c0: 0, r1: 0, c1: 0 });
+    return new Range(this.workbook, this, bounds);
+  }
+
+  getUsedRangeOrNullObject() {
+    const range = this.getUsedRange();
+    const empty = this.workbook.hf.getSheetDimensions(this.workbook.sheetId(this._name)).height === 0;
+    return empty ? nullObject() : range;
+  }
+
+  delete() {
+    const workbook = this.workbook;
+    workbook.hf.removeSheet(workbook.sheetId(this._name));
+    workbook.sheets = workbook.sheets.filter(sheet => sheet.name !== this._name);
+  }
+}
+
+function nullObject() {
+  return withSink({ isNullObject: true, load() { return this; } });
+}
+
+class NamedItem {
+  constructor(workbook, name, reference, comment) {
+    this.workbook = workbook;
+    this.name = name;
+    this.comment = comment || '';
+    this.type = 'Range';
+    this.formula = reference;
+    return withSink(this);
+  }
+
+  load() {
+    return this;
+  }
+
+  // "='P&L Statement'!$B$15:$Z$15" -> the range it points at
+  getRange() {
+    const match = /^=?(?:'((?:[^']|'')+)'|([^!]+))!(.+)$/.exec(this.formula);
+    if (!match) throw new Error(`Name ${this.name} does not refer to a range`);
+    const sheetName = match[1] ? match[1].replace(/''/g, "'") : match[2];
+    const sheet = this.workbook.sheets.find(item => item.name === sheetName);
+    if (!sheet) throw new Error(`Name ${this.name} refers to a missing sheet`);
+    return sheet.getRange(match[3]);
+  }
+
+  delete() {
+    this.workbook.hf.removeNamedExpression(this.name);
+    this.workbook.namedItems.delete(this.name.toLowerCase());
+  }
+}
+
+function createNames(workbook) {
+  return withSink({
+    get items() {
+      return [...workbook.namedItems.values()];
+    },
+    load() {
+      return this;
+    },
+    add(name, reference, comment) {
+      const formula = typeof reference === 'string'
+        ? (reference.startsWith('=') ? reference : `=${reference}`)
+        : `=${reference.address.replace(/([A-Z]+)(\d+)/g, '$$$1$$$2')}`;
+      workbook.hf.addNamedExpression(name, formula);
+      const item = new NamedItem(workbook, name, formula, comment);
+      workbook.namedItems.set(name.toLowerCase(), item);
+      return item;
+    },
+    getItem(name) {
+      const item = workbook.namedItems.get(name.toLowerCase());
+      if (!item) throw new Error(`ItemNotFound: no name ${name}`);
+      return item;
+    },
+    getItemOrNullObject(name) {
+      return workbook.namedItems.get(name.toLowerCase()) || nullObject();
+    }
+  });
+}
+
+function createWorksheets(workbook) {
+  return withSink({
+    get items() {
+      return workbook.sheets;
+    },
+    load() {
+      return this;
+    },
+    add(name) {
+      workbook.hf.addSheet(name);
+      const sheet = new Worksheet(workbook, name);
+      workbook.sheets.push(sheet);
+      return sheet;
+    },
+    getItem(name) {
+      const sheet = workbook.sheets.find(item => item.name.toLowerCase() === String(name).toLowerCase());
+      if (!sheet) throw new Error(`ItemNotFound: no worksheet named ${name}`);
+      return sheet;
+    },
+    getItemOrNullObject(name) {
+      return workbook.sheets.find(item => item.name.toLowerCase() === String(name).toLowerCase()) || nullObject();
+    },
+    getActiveWorksheet() {
+      return workbook.sheets[0] || nullObject();
+    }
+  });
+}
+
+/**
+ * An empty workbook and an `Excel` global bound to it
+ * @returns {{ Excel: Object, workbook: Workbook }}
+ */
+function createExcel() {
+  const workbook = new Workbook();
+  const context = {
+    workbook: withSink({
+      worksheets: createWorksheets(workbook),
+      names: createNames(workbook),
+      application: withSink({ calculate() {} })
+    }),
+    sync: async () => {}
+  };
+
+  // Enumerations resolve to their member names (Excel.CalculationType.full -> 'full')
+  const enumeration = () => new Proxy({}, { get: (target, key) => key });
+  const Excel = new Proxy({ run: async (callback) => callback(context) }, {
+    get(target, key) {
+      return key in target ? target[key] : enumeration();
+    }
+  });
+  return { Excel, workbook };
+}
+
+module.exports = { createExcel, columnLetter, parseAddress };
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { z } = require('zod');
+const { loadWidgets } = require('./loadWidgets');
+
+const quiet = () => {};
+const QUIET_CONSOLE = { log: quiet, info: quiet, debug: quiet, warn: quiet, error: quiet };
+
+// zod is a module script in taskpane.html; a load without it is the add-in when that script fails
+function loadSchema({ withZod = true } = {}) {
+  const window = loadWidgets(['widgets/core/ModelDataSchema.js'], { console: QUIET_CONSOLE });
+  if (withZod) window.z = z;
+  return window;
+}
+
+// An export written by the original add-in: every input by id, item lists and version '1.0'
+const baselineExport = () => JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'saved-data', 'baseline-export.json'), 'utf8'));
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+test('a baseline export migrates to the current schema and validates', () => {
+  const { ModelDataSchema } = loadSchema();
+  const { data, fromVersion, applied, unvalidated } = ModelDataSchema.parse(baselineExport());
+
+  assert.strictEqual(fromVersion, 1);
+  assert.strictEqual(applied.length, 1);
+  assert.strictEqual(unvalidated, false);
+  assert.strictEqual(data.schemaVersion, ModelDataSchema.CURRENT_VERSION);
+  assert.strictEqual(data.version, undefined);
+
+  // Growth rates come from the numbered inputs, which the exported item lists left out
+  assert.deepStrictEqual(plain(data.revenueItems), [
+    { name: 'Office Rent', value: 1800000, growthRate: 3, growthMethod: 'compound', reviewYears: 0, startPeriod: 1, endPeriod: null },
+    { name: 'Car Parking', value: 120000, growthRate: 0, growthMethod: 'compound', reviewYears: 0, startPeriod: 1, endPeriod: null }
+  ]);
+  assert.deepStrictEqual(plain(data.operatingExpenses), [
+    { name: 'Service Charge Shortfall', value: 150000, growthRate: 2.5, growthMethod: 'compound', reviewYears: 0, startPeriod: 1, endPeriod: null }
+  ]);
+  // The blank capex row is dropped rather than failing 'Name is required'
+  assert.deepStrictEqual(plain(data.capitalExpenses), [{ name: 'Roof Replacement', value: 400000, growthRate: 0 }]);
+
+  // The single fixed-rate loan becomes a fixed rate type with default covenants and calendar
+  assert.strictEqual(data.fixedRate, '5.5');
+  assert.strictEqual(data.rateTypeFixed, true);
+  assert.strictEqual(data.rateTypeFloating, false);
+  assert.deepStrictEqual(plain(data.debtTranches), []);
+  assert.strictEqual(data.amortizationType, 'interest_only');
+  assert.strictEqual(data.minDSCR, '1.25');
+  assert.strictEqual(data.fiscalYearEnd, '12');
+  assert.strictEqual(data.dealValue, '25,000,000');
+});
+
+test('a baseline export without numbered inputs migrates from its item lists', () => {
+  const { ModelDataSchema } = loadSchema();
+  const exported = baselineExport();
+  Object.keys(exported).filter(key => /_\d+$/.test(key)).forEach(key => delete exported[key]);
+  exported.operatingExpenses = [{ name: 'Insurance', value: null, growthRate: '2' }];
+
+  const { data } = ModelDataSchema.parse(exported);
+  assert.deepStrictEqual(Array.from(data.revenueItems, item => [item.name, item.value, item.growthRate]),
+    [['Office Rent', 1800000, 0], ['Car Parking', 120000, 0]]);
+  assert.deepStrictEqual(Array.from(data.operatingExpenses, item => [item.name, item.value, item.growthRate]), [['Insurance', 0, 2]]);
+  assert.deepStrictEqual(Array.from(data.capitalExpenses, item => item.name), ['Roof Replacement']);
+});
+
+test('current payloads pass through and invalid fields are reported by section', () => {
+  const { ModelDataSchema, ModelDataValidationError } = loadSchema();
+  const { data } = ModelDataSchema.parse(baselineExport());
+  assert.strictEqual(ModelDataSchema.migrate(data).applied.length, 0);
+
+  const invalid = { ...data, dealLTV: '140', revenueItems: [{ name: '', value: 1 }] };
+  assert.throws(() => ModelDataSchema.parse(invalid), (error) => {
+    assert.ok(error instanceof ModelDataValidationError);
+    assert.deepStrictEqual(Array.from(error.errors, ({ path, section }) => [path, section]).sort(), [
+      ['dealLTV', 'Deal Assumptions'],
+      ['revenueItems[0].name', 'Revenue Items']
+    ]);
+    return true;
+  });
+});
+
+test('payloads from a newer schema are refused', () => {
+  const { ModelDataSchema } = loadSchema();
+  assert.throws(() => ModelDataSchema.migrate({ schemaVersion: ModelDataSchema.CURRENT_VERSION + 1 }), /newer version of the add-in/);
+  assert.throws(() => ModelDataSchema.migrate([]), /must be a JSON object/);
+});
+
+test('without zod imports still load after a structural check', () => {
+  const { ModelDataSchema } = loadSchema({ withZod: false });
+  const { data, unvalidated } = ModelDataSchema.parse(baselineExport());
+  assert.strictEqual(unvalidated, true);
+  assert.strictEqual(data.revenueItems.length, 2);
+
+  const malformed = { ...data, capitalExpenses: 'Roof Replacement', revenueItems: [{ name: 'Office Rent', value: '1,800,000' }] };
+  assert.throws(() => ModelDataSchema.parse(malformed), (error) => {
+    assert.deepStrictEqual(Array.from(error.errors, error => error.path), ['revenueItems[0].value', 'capitalExpenses']);
+    return true;
+  });
+
+  const history = ModelDataSchema.parseHistory({ metadata: { version: '1.0' }, sessions: [{ id: 'a', fileMetadata: [] }, { name: 'no id' }] });
+  assert.strictEqual(history.unvalidated, true);
+  assert.deepStrictEqual(Array.from(history.sessions, session => session.id), ['a']);
+  assert.deepStrictEqual(Array.from(history.rejected, rejected => rejected.index), [1]);
+});
@@ -0,0 +1,100 @@
+/**
+ * ModelEvaluator parity - the in-memory evaluator against the workbook ExcelGenerator writes.
+ * Each fixture model is generated through the same calls as the task pane (Assumptions, P&L,
+ * Capital Expenses, Debt Financing, FCF) into ExcelEmulator, where HyperFormula calculates the
+ * formulas. Scenarios are applied to the workbook by ScenarioRunner and to the evaluator as
+ * overrides; the cashflow strips and returns must agree.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createExcel } = require('./ExcelEmulator');
+const { loadWidgets } = require('./loadWidgets');
+
+// Script order follows taskpane.html
+const SCRIPTS = [
+  'widgets/core/PeriodCalendar.js',
+  'widgets/core/RentRoll.js',
+  'widgets/core/HistoricalFinancials.js',
+  'widgets/core/ReturnsEngine.js',
+  'widgets/core/ScenarioRunner.js',
+  'widgets/core/ModelEvaluator.js',
+  'widgets/core/ModelSheetUpdater.js',
+  'widgets/core/WorkbookStateStore.js',
+  'widgets/ExcelGenerator.js'
+];
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+const quiet = () => {};
+const QUIET_CONSOLE = { log: quiet, info: quiet, debug: quiet, warn: quiet, error: quiet };
+
+// The AI P&L call fails without a network, so the template P&L is used as it is offline
+const offline = async (url) => {
+  throw new Error(`Network access is disabled in tests (${url})`);
+};
+
+async function generateWorkbook(modelData) {
+  const { Excel } = createExcel();
+  const widgets = loadWidgets(SCRIPTS, { Excel, console: QUIET_CONSOLE, fetch: offline, setTimeout, clearTimeout });
+  const generator = new widgets.ExcelGenerator();
+
+  const steps = [
+    ['Assumptions', () => generator.generateModel(modelData)],
+    ['P&L', () => generator.generatePLWithAI(modelData)],
+    ['Capital Expenses', () => generator.generateCapExSheet(modelData)],
+    ['Debt Financing', () => generator.generateDebtModelSheet(modelData)],
+    ['FCF', () => generator.generateFCFWithAI(modelData)]
+  ];
+  for (const [sheet, step] of steps) {
+    const result = await step();
+    assert.notStrictEqual(result && result.success, false, `${sheet} generation failed: ${result && result.error}`);
+  }
+  return { widgets, generator };
+}
+
+function assertClose(actual, expected, label) {
+  if (expected === null || actual === null) {
+    assert.strictEqual(actual, expected, `${label}: evaluator ${actual}, workbook ${expected}`);
+    return;
+  }
+  const tolerance = Math.max(1e-6, Math.abs(expected) * 1e-9);
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: evaluator ${actual}, workbook ${expected}`);
+}
+
+function assertSameOutputs(evaluated, workbook, label) {
+  ['unlevered', 'levered'].forEach(strip => {
+    const expected = workbook.cashflows[strip];
+    const actual = evaluated.cashflows[strip];
+    assert.strictEqual(actual.length, expected.length, `${label}: ${strip} cashflow periods`);
+    expected.forEach((value, period) => assertClose(actual[period], value, `${label}: ${strip} cashflow, period ${period}`));
+    assertClose(evaluated[strip].irr, workbook[strip].irr, `${label}: ${strip} IRR`);
+  });
+  // The Cashflows sheet only calculates the levered MOIC
+  assertClose(evaluated.levered.moic, workbook.levered.moic, `${label}: levered MOIC`);
+}
+
+fs.readdirSync(FIXTURES).filter(file => file.endsWith('.json')).sort().forEach(file => {
+  const fixture = JSON.parse(fs.readFileSync(path.join(FIXTURES, file), 'utf8'));
+
+  test(`ModelEvaluator matches the generated workbook: ${path.basename(file, '.json')}`, async (t) => {
+    const { widgets, generator } = await generateWorkbook(fixture.modelData);
+    const runner = new widgets.ScenarioRunner(generator);
+    const baseline = await runner.captureBaseline();
+    const evaluator = new widgets.ModelEvaluator(generator, fixture.modelData, { inputs: baseline.inputs });
+
+    await t.test('base case', () => {
+      assertSameOutputs(evaluator.evaluate(), baseline.outputs, 'base case');
+    });
+
+    for (const scenario of fixture.scenarios || []) {
+      await t.test(scenario.name, async () => {
+        const workbook = await runner.run(scenario.overrides);
+        const evaluated = evaluator.evaluate(evaluator.expandOverrides(scenario.overrides));
+        assertSameOutputs(evaluated, workbook.outputs, scenario.name);
+      });
+    }
+  });
+});
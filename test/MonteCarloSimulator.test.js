@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadWidgets } = require('./loadWidgets');
+
+const { ScenarioRunner, MonteCarloSimulator } = loadWidgets([
+  'widgets/core/ScenarioRunner.js',
+  'widgets/core/SensitivityGrid.js',
+  'widgets/core/MonteCarloSimulator.js'
+], { setTimeout });
+
+// Stands in for ModelEvaluator: records the overrides of every iteration
+function recordingEvaluator(baseInputs) {
+  const runs = [];
+  const outputs = { levered: { annualIRR: 0.1, moic: 1.5 }, unlevered: { annualIRR: 0.08, moic: 1.3 } };
+  return {
+    runs,
+    baseInputs,
+    expandOverrides: (overrides) => Object.fromEntries(Object.entries(overrides).flatMap(([variable, value]) => {
+      const driver = ScenarioRunner.DRIVERS[variable];
+      return Object.keys(baseInputs).filter(key => driver.pattern.test(key)).map(key => [key, value]);
+    })),
+    evaluate: (overrides) => {
+      runs.push({ ...overrides });
+      return outputs;
+    }
+  };
+}
+
+test('multi-input drivers are drawn as one shift added to each input\'s own value', async () => {
+  const evaluator = recordingEvaluator({ revenue_1_growth_rate: 0.03, revenue_2_growth_rate: 0.01, terminalCapRate: 0.06 });
+  const results = await new MonteCarloSimulator(evaluator).run({
+    iterations: 20,
+    seed: 7,
+    variables: [
+      { variable: 'revenueGrowth', distribution: 'normal', params: { stdDev: 0.01 } },
+      { variable: 'terminalCapRate', distribution: 'uniform', params: { min: 0.055, max: 0.065 } }
+    ]
+  });
+
+  const [growth, capRate] = results.variables;
+  assert.strictEqual(growth.shift, true);
+  assert.strictEqual(growth.label, 'Revenue Growth (shift)');
+  assert.strictEqual(growth.base, 0);
+  assert.strictEqual(capRate.shift, false);
+
+  const iterations = evaluator.runs.slice(0, 20);
+  iterations.forEach(overrides => {
+    // Both lines move by the same drawn shift and keep their 2% gap
+    assert.ok(Math.abs(overrides.revenue_1_growth_rate - overrides.revenue_2_growth_rate - 0.02) < 1e-12);
+    assert.ok(overrides.terminalCapRate >= 0.055 && overrides.terminalCapRate <= 0.065);
+  });
+  assert.ok(iterations.some(overrides => overrides.revenue_1_growth_rate !== 0.03));
+  assert.strictEqual(results.outputs.leveredIRR.stats.count, 20);
+});
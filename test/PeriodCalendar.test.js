@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadWidgets } = require('./loadWidgets');
+
+const { PeriodCalendar } = loadWidgets(['widgets/core/PeriodCalendar.js']);
+
+const day = (date) => date.toISOString().slice(0, 10);
+const summary = (period) => ({
+  start: day(period.start),
+  end: day(period.end),
+  days: period.days,
+  isStub: period.isStub,
+  label: period.label
+});
+
+test('monthly periods follow leap years', () => {
+  const calendar = new PeriodCalendar({ startDate: '2024-01-01', endDate: '2024-03-31', periodType: 'monthly' });
+  const february = calendar.getPeriod(2);
+  assert.deepStrictEqual(summary(february), { start: '2024-02-01', end: '2024-02-29', days: 29, isStub: false, label: 'Feb 2024' });
+  assert.strictEqual(february.yearFraction, 1 / 12);
+
+  const daily = new PeriodCalendar({ startDate: '2024-02-28', endDate: '2024-03-01', periodType: 'daily' });
+  assert.deepStrictEqual(Array.from(daily.getPeriods()).map(period => period.label), ['Feb 28', 'Feb 29', 'Mar 1']);
+
+  // A fiscal year running through February 2028 has 366 days and is still one full year
+  const yearly = new PeriodCalendar({ startDate: '2027-04-01', endDate: '2028-03-31', periodType: 'yearly', fiscalYearEnd: 3 });
+  assert.deepStrictEqual(Array.from(yearly.getPeriods()).map(period => [period.days, period.yearFraction, period.isStub]), [[366, 1, false]]);
+});
+
+test('a month-end start date is a one-day stub period', () => {
+  const calendar = new PeriodCalendar({ startDate: '2025-01-31', endDate: '2025-03-31', periodType: 'monthly' });
+  assert.deepStrictEqual(Array.from(calendar.getPeriods()).map(summary), [
+    { start: '2025-01-31', end: '2025-01-31', days: 1, isStub: true, label: 'Jan 2025' },
+    { start: '2025-02-01', end: '2025-02-28', days: 28, isStub: false, label: 'Feb 2025' },
+    { start: '2025-03-01', end: '2025-03-31', days: 31, isStub: false, label: 'Mar 2025' }
+  ]);
+  assert.strictEqual(calendar.getPeriod(1).yearFraction, (1 / 31) / 12);
+});
+
+test('start and end dates inside a period give stub first and last periods', () => {
+  const calendar = new PeriodCalendar({ startDate: '2025-02-15', endDate: '2025-11-20', periodType: 'quarterly' });
+  const periods = Array.from(calendar.getPeriods());
+  assert.deepStrictEqual(periods.map(summary), [
+    { start: '2025-02-15', end: '2025-03-31', days: 45, isStub: true, label: 'Q1 2025' },
+    { start: '2025-04-01', end: '2025-06-30', days: 91, isStub: false, label: 'Q2 2025' },
+    { start: '2025-07-01', end: '2025-09-30', days: 92, isStub: false, label: 'Q3 2025' },
+    { start: '2025-10-01', end: '2025-11-20', days: 51, isStub: true, label: 'Q4 2025' }
+  ]);
+  assert.strictEqual(periods[0].yearFraction, (45 / 90) / 4);
+  assert.strictEqual(periods[3].yearFraction, (51 / 92) / 4);
+});
+
+test('an end date on the first day of a period closes the previous period', () => {
+  const calendar = new PeriodCalendar({ startDate: '2025-01-01', endDate: '2026-01-01', periodType: 'monthly' });
+  assert.strictEqual(calendar.count(), 12);
+  assert.strictEqual(day(calendar.getPeriod(12).end), '2025-12-31');
+});
+
+test('quarters and years follow the fiscal year end', () => {
+  const quarterly = new PeriodCalendar({ startDate: '2025-02-15', endDate: '2025-11-20', periodType: 'quarterly', fiscalYearEnd: 3 });
+  assert.deepStrictEqual(Array.from(quarterly.getPeriods()).map(summary), [
+    { start: '2025-02-15', end: '2025-03-31', days: 45, isStub: true, label: 'Q4 FY2025' },
+    { start: '2025-04-01', end: '2025-06-30', days: 91, isStub: false, label: 'Q1 FY2026' },
+    { start: '2025-07-01', end: '2025-09-30', days: 92, isStub: false, label: 'Q2 FY2026' },
+    { start: '2025-10-01', end: '2025-11-20', days: 51, isStub: true, label: 'Q3 FY2026' }
+  ]);
+
+  const yearly = new PeriodCalendar({ startDate: '2025-01-01', endDate: '2026-06-30', periodType: 'yearly', fiscalYearEnd: 6 });
+  assert.deepStrictEqual(Array.from(yearly.getPeriods()).map(summary), [
+    { start: '2025-01-01', end: '2025-06-30', days: 181, isStub: true, label: 'FY2025' },
+    { start: '2025-07-01', end: '2026-06-30', days: 365, isStub: false, label: 'FY2026' }
+  ]);
+});
+
+test('period 0 ends the day before the start and is labelled as the previous period', () => {
+  const midMonth = new PeriodCalendar({ startDate: '2024-01-15', endDate: '2024-03-31', periodType: 'monthly' });
+  const opening = midMonth.getPeriod(0);
+  assert.strictEqual(day(opening.end), '2024-01-14');
+  assert.strictEqual(opening.dateLabel, '14-Jan-24');
+  assert.strictEqual(opening.label, 'Dec 2023');
+  assert.notStrictEqual(opening.label, midMonth.getPeriod(1).label);
+
+  const onBoundary = new PeriodCalendar({ startDate: '2025-04-01', endDate: '2026-03-31', periodType: 'quarterly', fiscalYearEnd: 3 });
+  assert.strictEqual(onBoundary.getPeriod(0).label, 'Q4 FY2025');
+  assert.strictEqual(day(onBoundary.getPeriod(0).end), '2025-03-31');
+
+  const daily = new PeriodCalendar({ startDate: '2024-03-01', endDate: '2024-03-05', periodType: 'daily' });
+  assert.strictEqual(daily.getPeriod(0).label, 'Feb 29');
+});
+
+test('serial dates use the Excel 1900 date system', () => {
+  assert.strictEqual(PeriodCalendar.toExcelSerial('2025-01-01'), 45658);
+  assert.strictEqual(PeriodCalendar.toExcelSerial('2024-02-29'), 45351);
+  assert.strictEqual(PeriodCalendar.toExcelSerial('1900-03-01'), 61);
+  assert.strictEqual(PeriodCalendar.toExcelSerial('not a date'), null);
+
+  const calendar = new PeriodCalendar({ startDate: '2024-01-15', endDate: '2024-03-31', periodType: 'monthly' });
+  assert.deepStrictEqual(Array.from(calendar.getSerialDates()), [45305, 45322, 45351, 45382]);
+  assert.deepStrictEqual(Array.from(calendar.getDateLabels()), ['14-Jan-24', '31-Jan-24', '29-Feb-24', '31-Mar-24']);
+});
+
+test('periods beyond the end date extend as regular periods', () => {
+  const calendar = new PeriodCalendar({ startDate: '2025-01-15', endDate: '2025-02-28', periodType: 'monthly' });
+  assert.deepStrictEqual(summary(calendar.getPeriod(4)), { start: '2025-04-01', end: '2025-04-30', days: 30, isStub: false, label: 'Apr 2025' });
+});
+
+test('daily calendars over the limit fail instead of building huge timelines', () => {
+  const calendar = new PeriodCalendar({ startDate: '2025-01-01', endDate: '2030-12-31', periodType: 'daily' });
+  assert.throws(() => calendar.getPeriods(), /limited to 1000 periods/);
+});
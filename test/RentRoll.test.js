@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadWidgets } = require('./loadWidgets');
+
+const { RentRoll } = loadWidgets(['widgets/core/RentRoll.js']);
+
+function assertNear(actual, expected, label) {
+  assert.ok(Math.abs(actual - expected) < 1e-12, `${label}: ${actual}, expected ${expected}`);
+}
+
+const AS_OF = '2025-01-01';
+const TENANTS = [
+  { name: 'Acme Ltd', area: 1000, value: 100000, leaseExpiry: '2030-01-01', breakDate: '2027-01-01' },
+  // Break already passed, so the lease runs to expiry
+  { name: 'Globex plc', area: 500, value: 50000, leaseExpiry: '2026-07-02', breakDate: '2024-06-30' },
+  // Holding over past expiry: passing rent counts, the unexpired term is 0
+  { name: 'Initech', area: 250, value: 30000, leaseExpiry: '2024-12-31', breakDate: '' },
+  { name: 'Unit 4', area: 500, value: 0, leaseExpiry: '', breakDate: '' },
+  { name: 'Unit 5 (available)', area: 250, value: 20000, leaseExpiry: '2028-01-01', breakDate: '' }
+];
+
+test('yearsBetween returns fractional years on an actual/365.25 basis', () => {
+  assertNear(RentRoll.yearsBetween('2025-01-01', '2026-07-02'), 547 / 365.25, 'eighteen months');
+  assertNear(RentRoll.yearsBetween('2024-01-01', '2028-01-01'), 1461 / 365.25, 'four years with a leap day');
+  assert.strictEqual(RentRoll.yearsBetween('2025-01-01', '2024-12-31'), 0);
+  assert.strictEqual(RentRoll.yearsBetween('2025-01-01', ''), 0);
+});
+
+test('WAULT to expiry and to break are weighted by passing rent', () => {
+  const metrics = RentRoll.metrics(TENANTS, AS_OF);
+  assert.strictEqual(metrics.passingRent, 180000);
+  // 1,826 days to Acme's expiry, 547 to Globex's, none left for Initech
+  assertNear(metrics.waultToExpiry, (100000 * 1826 + 50000 * 547 + 30000 * 0) / 365.25 / 180000, 'to expiry');
+  // Acme breaks after 730 days; Globex's lapsed break falls back to its expiry
+  assertNear(metrics.waultToBreak, (100000 * 730 + 50000 * 547 + 30000 * 0) / 365.25 / 180000, 'to break');
+});
+
+test('occupancy by area and by count treats unlet and vacant-named units as void', () => {
+  const metrics = RentRoll.metrics(TENANTS, AS_OF);
+  assert.strictEqual(metrics.tenantCount, 3);
+  assert.strictEqual(metrics.vacantCount, 2);
+  assert.strictEqual(metrics.totalArea, 2500);
+  assert.strictEqual(metrics.lettedArea, 1750);
+  assert.strictEqual(metrics.occupancyByArea, 0.7);
+  assert.strictEqual(metrics.occupancyByCount, 0.6);
+});
+
+test('an empty or fully vacant schedule has no WAULT', () => {
+  const vacant = RentRoll.metrics([{ name: 'Vacant suite', area: 800, value: 0 }], AS_OF);
+  assert.strictEqual(vacant.waultToExpiry, null);
+  assert.strictEqual(vacant.waultToBreak, null);
+  assert.strictEqual(vacant.occupancyByArea, 0);
+
+  const empty = RentRoll.metrics([], AS_OF);
+  assert.strictEqual(empty.occupancyByArea, null);
+  assert.strictEqual(empty.occupancyByCount, null);
+});
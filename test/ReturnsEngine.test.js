@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadWidgets } = require('./loadWidgets');
+
+const { ReturnsEngine } = loadWidgets(['widgets/core/ReturnsEngine.js']);
+const engine = new ReturnsEngine();
+
+function assertNear(actual, expected, tolerance, label) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: ${actual}, expected ${expected}`);
+}
+
+test('irr matches Excel IRR for evenly spaced flows', () => {
+  assertNear(engine.irr([-100, 110]), 0.1, 1e-9, 'one period');
+  // Excel's documentation example: IRR(-70000, 12000, 15000, 18000, 21000, 26000) = 8.66%
+  assertNear(engine.irr([-70000, 12000, 15000, 18000, 21000, 26000]), 0.0866309480, 1e-8, 'five periods');
+  // Sheet placeholders ('-', blanks) count as zero
+  assertNear(engine.irr([-1000, '-', '', 1331]), 0.1, 1e-7, 'placeholders');
+});
+
+test('irr falls back to bisection when Newton leaves the valid range', () => {
+  const flows = [-100, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1000];
+  const expected = Math.pow(10, 0.1) - 1;
+  // From a 200% guess Newton steps below -100%, so the rate comes from the bisection bracket
+  const bisect = engine.bisect;
+  let bisections = 0;
+  engine.bisect = (f) => {
+    bisections++;
+    return bisect.call(engine, f);
+  };
+  try {
+    assertNear(engine.irr(flows, 2), expected, 1e-6, 'bisection');
+    assert.strictEqual(bisections, 1);
+  } finally {
+    delete engine.bisect;
+  }
+  assertNear(engine.irr(flows), expected, 1e-9, 'newton');
+  assertNear(engine.irr([-100, 0, 0, 0, 1000000]), 9, 1e-6, 'very high return');
+});
+
+test('irr and xirr are null without a sign change', () => {
+  assert.strictEqual(engine.irr([100, 200, 300]), null);
+  assert.strictEqual(engine.irr([-100, -200]), null);
+  assert.strictEqual(engine.irr([0, 0, 0]), null);
+  assert.strictEqual(engine.xirr([-100, -50], [45000, 45365]), null);
+});
+
+test('irr returns a root of the NPV when the flows change sign more than once', () => {
+  // (1 + r)^2 - 2.3 (1 + r) + 1.32 = 0 has two roots: 10% and 20%
+  const flows = [-100, 230, -132];
+  const rate = engine.irr(flows);
+  assert.ok([0.1, 0.2].some(root => Math.abs(rate - root) < 1e-7), `irr ${rate} is not a root`);
+  assertNear(engine.npv(rate, flows), 0, 1e-6, 'npv at the irr');
+  assertNear(engine.irr(flows, 0.25), 0.2, 1e-7, 'root nearest the guess');
+});
+
+test('xirr matches Excel XIRR for dated flows', () => {
+  // Excel's documentation example: 1-Jan-08, 1-Mar-08, 30-Oct-08, 15-Feb-09, 1-Apr-09 = 37.34%
+  const dates = [39448, 39508, 39751, 39859, 39904];
+  assertNear(engine.xirr([-10000, 2750, 4250, 3250, 2750], dates), 0.373362535, 1e-8, 'xirr');
+  assert.throws(() => engine.xirr([-100, 110], [39448]), /one date per cash flow/);
+});
+
+test('npv leaves the first flow undiscounted', () => {
+  const expected = -10000 + 3000 / 1.1 + 4200 / 1.21 + 6800 / 1.331;
+  assertNear(engine.npv(0.1, [-10000, 3000, 4200, 6800]), expected, 1e-9, 'npv');
+  // Excel's NPV discounts every value it is given: NPV(10%, -10000, 3000, 4200, 6800) = 1,188.44
+  assertNear(engine.npv(0.1, [0, -10000, 3000, 4200, 6800]), 1188.4434123352, 1e-6, 'excel npv');
+  assertNear(engine.xnpv(0.1, [-1000, 1100], [39448, 39813]), 0, 1e-9, 'xnpv over 365 days');
+});
+
+test('moic is cash returned over cash invested', () => {
+  assertNear(engine.moic([-1000, 100, -200, 1500]), 1600 / 1200, 1e-12, 'moic');
+  assert.strictEqual(engine.moic([100, 200]), null);
+});
+
+test('paybackPeriod interpolates within the period the cumulative turns positive', () => {
+  assertNear(engine.paybackPeriod([-100, 30, 30, 30, 30]), 3 + 10 / 30, 1e-12, 'payback');
+  assert.strictEqual(engine.paybackPeriod([-100, 30, 30]), null);
+});
+
+test('cashOnCash averages operating distributions per year over equity', () => {
+  assertNear(engine.cashOnCash(1000, [50, 50, 50, 50], 'quarterly'), 0.2, 1e-12, 'quarterly');
+  assertNear(engine.cashOnCash(1000, [80, 80], 'yearly'), 0.08, 1e-12, 'yearly');
+  assert.strictEqual(engine.cashOnCash(0, [80], 'yearly'), null);
+});
+
+test('analyze annualises the IRR and leaves exit proceeds out of cash-on-cash', () => {
+  const result = engine.analyze({
+    cashflows: [-1000, 50, 50, 50, 1050],
+    periodType: 'quarterly',
+    discountRate: 0.08,
+    exitProceeds: 1000
+  });
+  assertNear(result.periodicIRR, 0.05, 1e-9, 'periodic irr');
+  assertNear(result.irr, Math.pow(1.05, 4) - 1, 1e-9, 'annual irr');
+  assertNear(result.moic, 1.2, 1e-12, 'moic');
+  assertNear(result.cashOnCash, 0.2, 1e-12, 'cash-on-cash');
+  assertNear(result.paybackYears, (3 + 850 / 1050) / 4, 1e-12, 'payback years');
+  assertNear(result.npv, engine.npv(engine.toPeriodicRate(0.08, 'quarterly'), [-1000, 50, 50, 50, 1050]), 1e-9, 'npv');
+  assert.strictEqual(result.xirr, null);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadWidgets } = require('./loadWidgets');
+
+const { SensitivityGrid } = loadWidgets(['widgets/core/ScenarioRunner.js', 'widgets/core/SensitivityGrid.js']);
+
+const inputs = {
+  revenue_1_growth_rate: 0.03,
+  revenue_2_growth_rate: 0.01,
+  terminalCapRate: 0.06
+};
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+test('single-input drivers run over absolute values centred on the input', () => {
+  const grid = SensitivityGrid.resolve({
+    rowVariable: 'terminalCapRate', rowStep: 0.0025, rowSteps: 3,
+    columnVariable: 'revenueGrowth', columnStep: 0.01, columnSteps: 3,
+    output: 'leveredIRR'
+  }, inputs);
+  assert.strictEqual(grid.row.shift, false);
+  assert.deepStrictEqual(Array.from(grid.row.values), [0.0575, 0.06, 0.0625]);
+});
+
+test('multi-input drivers are shifts added to each input\'s own value', () => {
+  const grid = SensitivityGrid.resolve({
+    rowVariable: 'terminalCapRate', rowStep: 0.0025, rowSteps: 3,
+    columnVariable: 'revenueGrowth', columnStep: 0.01, columnSteps: 3,
+    output: 'leveredIRR'
+  }, inputs);
+  assert.strictEqual(grid.column.shift, true);
+  assert.strictEqual(grid.column.label, 'Revenue Growth (shift)');
+  assert.deepStrictEqual(Array.from(grid.column.values), [-0.01, 0, 0.01]);
+
+  const scenarios = plain(SensitivityGrid.scenarios(grid));
+  assert.strictEqual(scenarios.length, 9);
+  // The middle cell is the base case: every input keeps its own value
+  assert.deepStrictEqual(scenarios[4], { terminalCapRate: 0.06, revenue_1_growth_rate: 0.03, revenue_2_growth_rate: 0.01 });
+  assert.deepStrictEqual(scenarios[2], { terminalCapRate: 0.0575, revenue_1_growth_rate: 0.04, revenue_2_growth_rate: 0.02 });
+});
+
+test('a range on a multi-input driver is read as shifts', () => {
+  const grid = SensitivityGrid.resolve({
+    rowVariable: 'revenueGrowth', rowMin: -0.01, rowMax: 0.01, rowSteps: 3,
+    columnVariable: 'terminalCapRate', columnStep: 0.0025, columnSteps: 2,
+    output: 'leveredMOIC'
+  }, inputs);
+  assert.deepStrictEqual(plain(SensitivityGrid.scenarios(grid)[0]),
+    { revenue_1_growth_rate: 0.02, revenue_2_growth_rate: 0, terminalCapRate: 0.06 });
+});
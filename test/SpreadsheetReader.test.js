@@ -0,0 +1,155 @@
+/**
+ * SpreadsheetReader - the ZIP/XML and compound file/BIFF8 readers against small workbooks in
+ * fixtures/spreadsheets. The .xls files were written by SheetJS 0.18.5 (summary.xls keeps its
+ * Workbook stream in the mini stream; shared-strings.xls has an SST split over CONTINUE records).
+ * edge-cases.xlsx is hand-written package XML covering inline strings, rich text and phonetic
+ * runs, shared formulas, date styles, formula string/error results, a sheet whose used range
+ * starts at C4 and a hidden sheet with rows and cells that have no r attributes.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { loadWidgets } = require('./loadWidgets');
+
+const quiet = () => {};
+const { SpreadsheetReader } = loadWidgets(['widgets/core/SpreadsheetReader.js'], {
+  console: { log: quiet, warn: quiet },
+  TextDecoder,
+  DecompressionStream,
+  Blob,
+  Response
+});
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'spreadsheets');
+const read = (file) => new SpreadsheetReader().readBytes(new Uint8Array(fs.readFileSync(path.join(FIXTURES, file))), file);
+const cellsOf = (sheet) => Array.from(sheet.cells, cell => [cell.address, cell.value, cell.type, cell.formula]);
+
+test('xlsx shared and inline strings, formulas, dates and errors', async () => {
+  const workbook = await read('edge-cases.xlsx');
+  assert.strictEqual(workbook.format, 'xlsx');
+  assert.deepStrictEqual(Array.from(workbook.sheets, sheet => [sheet.name, sheet.hidden]),
+    [['Inputs', false], ['Rent & Roll', false], ['Archive', true]]);
+
+  const inputs = workbook.sheets[0];
+  assert.deepStrictEqual(cellsOf(inputs), [
+    ['A1', 'Revenue', 'string', null],
+    ['B1', 100, 'number', null],
+    ['C1', 110, 'number', null],
+    ['D1', 121, 'number', null],
+    ['A2', 'Costs <est.>', 'string', null],
+    ['B2', -40, 'number', null],
+    ['C2', -44, 'number', null],
+    ['D2', -48.4, 'number', null],
+    // Rich text runs are joined; shared formulas expand from the anchor cell
+    ['A3', 'Net operating income', 'string', null],
+    ['B3', 60, 'number', '=B1+B2'],
+    ['C3', 66, 'number', '=C1+C2'],
+    ['D3', 72.6, 'number', '=D1+D2'],
+    // Phonetic hints are dropped; $-anchored parts and quoted text are not shifted
+    ['A4', '東京', 'string', null],
+    ['B4', 0.6, 'number', '=IF($A$1="Revenue",B3/B$1,0)'],
+    ['C4', 0.6, 'number', '=IF($A$1="Revenue",C3/C$1,0)'],
+    ['D4', 0.6, 'number', '=IF($A$1="Revenue",D3/D$1,0)'],
+    // A custom dd/mm/yyyy format and built-in format 22 are dates; a percent format is not
+    ['A5', 'R&D', 'string', null],
+    ['B5', '2024-03-31', 'date', null],
+    ['C5', '2024-03-31T12:00:00', 'date', null],
+    ['A6', true, 'boolean', null],
+    ['B6', '#DIV/0!', 'error', '=1/0'],
+    ['C6', 'Rev-100', 'string', '="Rev-"&B1']
+  ]);
+  assert.strictEqual(inputs.dimension, 'A1:D6');
+});
+
+test('xlsx sheets whose used range does not start at A1 keep their addresses', async () => {
+  const workbook = await read('edge-cases.xlsx');
+  const rentRoll = workbook.sheets[1];
+  assert.deepStrictEqual(cellsOf(rentRoll), [
+    ['C4', 'Tenant', 'string', null],
+    ['D4', 'Annual rent', 'string', null],
+    ['C5', 'Acme Ltd', 'string', null],
+    ['D5', 48000, 'number', null],
+    ['E5', 4000, 'number', '=D5/12'],
+    ['C6', 'Globex plc', 'string', null],
+    ['D6', 30000, 'number', null],
+    ['E6', 2500, 'number', '=D6/12']
+  ]);
+  // The grid is indexed from A1, so grid[row - 1][col - 1] is the cell at that address
+  assert.strictEqual(rentRoll.dimension, 'A1:E6');
+  assert.strictEqual(rentRoll.grid[4][3], 48000);
+  assert.deepStrictEqual(Array.from(rentRoll.grid[3]), [null, null, 'Tenant', 'Annual rent', null]);
+
+  // Rows and cells without r attributes are numbered in order
+  assert.deepStrictEqual(cellsOf(workbook.sheets[2]), [
+    ['A1', 'Old plan', 'string', null],
+    ['B1', 1, 'number', null],
+    ['A2', 2, 'number', null]
+  ]);
+
+  assert.ok(workbook.text.includes('[[Sheet Rent & Roll]]\n,,Tenant,Annual rent\n,,Acme Ltd,48000,4000'));
+  assert.deepStrictEqual(Array.from(SpreadsheetReader.findLabelledValues(workbook, /acme/i), result => [result.value, result.address]),
+    [[48000, 'Rent & Roll!D5']]);
+});
+
+test('xls labels, numbers, booleans and dates from a mini stream workbook', async () => {
+  const workbook = await read('summary.xls');
+  assert.strictEqual(workbook.format, 'xls');
+  assert.deepStrictEqual(Array.from(workbook.sheets, sheet => [sheet.name, sheet.hidden]),
+    [['Summary', false], ['Rent Roll', false], ['Archive', true]]);
+
+  assert.deepStrictEqual(cellsOf(workbook.sheets[0]), [
+    ['A1', 'Line item', 'string', null],
+    ['B1', 'FY2023', 'string', null],
+    ['C1', 'FY2024', 'string', null],
+    ['A2', 'Revenue', 'string', null],
+    ['B2', 1250000, 'number', null],
+    ['C2', 1375000.5, 'number', null],
+    ['D2', 2625000.5, 'number', null],
+    ['A3', 'Operating costs', 'string', null],
+    ['B3', -420000, 'number', null],
+    ['C3', -455000, 'number', null],
+    ['A4', 'Profitable', 'string', null],
+    ['B4', true, 'boolean', null],
+    ['C4', false, 'boolean', null],
+    ['A6', '2024-03-31', 'date', null]
+  ]);
+
+  const rentRoll = workbook.sheets[1];
+  assert.deepStrictEqual(cellsOf(rentRoll), [
+    ['C3', 'Tenant', 'string', null],
+    ['D3', 'Rent', 'string', null],
+    ['C4', 'Acme Ltd', 'string', null],
+    ['D4', 48000, 'number', null]
+  ]);
+  assert.strictEqual(rentRoll.grid[3][3], 48000);
+});
+
+test('xls shared strings continue across CONTINUE records', async () => {
+  const workbook = await read('shared-strings.xls');
+  const values = Array.from(workbook.sheets[0].cells, cell => cell.value);
+  assert.strictEqual(values.length, 72);
+  assert.strictEqual(values[0], 'Note');
+  values.slice(1, 71).forEach((value, index) => {
+    assert.strictEqual(value, `Lease note ${String(index + 1).padStart(2, '0')}: ${'x'.repeat(110)}`);
+  });
+  // Stored as 16-bit characters in the SST
+  assert.strictEqual(values[71], 'Café Zoë – Ünïcode tenant');
+});
+
+test('BIFF helpers decode RK numbers, error codes and 1904 dates', () => {
+  assert.strictEqual(SpreadsheetReader.decodeRk((123 << 2) | 0x02), 123);
+  assert.strictEqual(SpreadsheetReader.decodeRk((-5 << 2) | 0x02), -5);
+  assert.strictEqual(SpreadsheetReader.decodeRk((12345 << 2) | 0x03), 123.45);
+  assert.strictEqual(SpreadsheetReader.decodeRk(0x3FF00000), 1);
+  assert.strictEqual(SpreadsheetReader.decodeRk(0x3FF00001), 0.01);
+  assert.strictEqual(SpreadsheetReader.biffErrorText(0x2A), '#N/A');
+  assert.strictEqual(SpreadsheetReader.serialToDate(0, true), '1904-01-01');
+  assert.strictEqual(SpreadsheetReader.serialToDate(45382), '2024-03-31');
+});
+
+test('files that are not workbooks are refused', async () => {
+  await assert.rejects(new SpreadsheetReader().readBytes(new TextEncoder().encode('Name,Value\nRent,100'), 'rent.csv'),
+    /rent\.csv is not an Excel workbook/);
+});
@@ -0,0 +1,22 @@
+/**
+ * loadWidgets.js - Loads widget scripts into a VM context the way taskpane.html does
+ * Each script defines its class on `window`; the returned window holds them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const REPO_ROOT = path.resolve(__dirname, '..');
+
+function loadWidgets(scripts, globals = {}) {
+  const window = {};
+  const context = vm.createContext({ window, console, ...globals });
+  scripts.forEach(script => {
+    const file = path.join(REPO_ROOT, script);
+    vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+  });
+  return window;
+}
+
+module.exports = { loadWidgets, REPO_ROOT };
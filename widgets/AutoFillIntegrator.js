@@ -8,6 +8,7 @@ class AutoFillIntegrator {
     this.isInitialized = false;
     this.isProcessing = false;
     this.uploadedFiles = [];
+    this.lastSourceFiles = null;
     
     // Initialize all extraction components
     this.aiExtractionService = null;
@@ -21,7 +22,9 @@ class AutoFillIntegrator {
     this.highLevelExtractor = null;
     this.dealAssumptionsExtractor = null;
     this.revenueItemsExtractor = null;
+    this.rentRollExtractor = null;
     this.costItemsExtractor = null;
+    this.historicalFinancialsExtractor = null;
     this.debtModelExtractor = null;
     this.exitAssumptionsExtractor = null;
   }
@@ -71,6 +74,12 @@ class AutoFillIntegrator {
       console.log('✅ DataStandardizer initialized');
     }
     
+    // Initialize cross-document reconciliation
+    if (window.FieldReconciler) {
+      this.fieldReconciler = new window.FieldReconciler({ standardizer: this.dataStandardizer });
+      console.log('✅ FieldReconciler initialized');
+    }
+    
     // Initialize field mapping engine
     if (window.FieldMappingEngine) {
       this.fieldMappingEngine = new window.FieldMappingEngine();
@@ -136,6 +145,18 @@ class AutoFillIntegrator {
       console.error('❌ Error initializing RevenueItemsExtractor:', error);
     }
     
+    try {
+      if (window.RentRollExtractor) {
+        this.rentRollExtractor = new window.RentRollExtractor();
+        this.rentRollExtractor.initialize(services);
+        console.log('✅ RentRollExtractor ready, extract method:', typeof this.rentRollExtractor.extract);
+      } else {
+        console.warn('❌ RentRollExtractor not found on window');
+      }
+    } catch (error) {
+      console.error('❌ Error initializing RentRollExtractor:', error);
+    }
+    
     try {
       if (window.CostItemsExtractor) {
         this.costItemsExtractor = new window.CostItemsExtractor();
@@ -148,6 +169,22 @@ class AutoFillIntegrator {
       console.error('❌ Error initializing CostItemsExtractor:', error);
     }
     
+    try {
+      if (window.HistoricalFinancialsExtractor) {
+        this.historicalFinancialsExtractor = new window.HistoricalFinancialsExtractor();
+        this.historicalFinancialsExtractor.initialize({
+          ...services,
+          revenueItemsExtractor: this.revenueItemsExtractor,
+          costItemsExtractor: this.costItemsExtractor
+        });
+        console.log('✅ HistoricalFinancialsExtractor ready, extract method:', typeof this.historicalFinancialsExtractor.extract);
+      } else {
+        console.warn('❌ HistoricalFinancialsExtractor not found on window');
+      }
+    } catch (error) {
+      console.error('❌ Error initializing HistoricalFinancialsExtractor:', error);
+    }
+    
     try {
       if (window.DebtModelExtractor) {
         this.debtModelExtractor = new window.DebtModelExtractor();
@@ -287,6 +324,9 @@ class AutoFillIntegrator {
       }
       console.log('📊 Final extraction results summary:', Object.keys(extractionResults));
       
+      // Settle values that read more than one way or that documents disagree on before anything is applied
+      await this.reviewFlaggedFields(extractionResults);
+      
       // Step 3: Apply extracted data directly (skip modal for now)
       console.log('📊 Step 3: Auto-applying extracted data...');
       
@@ -312,10 +352,18 @@ class AutoFillIntegrator {
         console.log('✏️ Applying revenue items...');
         await this.applyExtractedData('revenueItems', extractionResults.revenueItems);
       }
+      if (extractionResults.tenants?.value) {
+        console.log('✏️ Applying rent roll...');
+        await this.applyExtractedData('rentRoll', extractionResults);
+      }
       if (extractionResults.costItems) {
         console.log('✏️ Applying cost items...');
         await this.applyExtractedData('costItems', extractionResults.costItems);
       }
+      if (extractionResults.historicals?.value) {
+        console.log('✏️ Applying historical financials...');
+        await this.applyExtractedData('historicals', extractionResults);
+      }
       if (extractionResults.debtModel) {
         console.log('✏️ Applying debt model...');
         await this.applyExtractedData('debtModel', extractionResults.debtModel);
@@ -511,13 +559,22 @@ class AutoFillIntegrator {
     // Extract from each section SEQUENTIALLY to avoid API overload
     console.log('📊 Starting sequential extraction to avoid API overload...');
     
+    if (this.dataStandardizer) {
+      this.dataStandardizer.clearSession();
+      this.dataStandardizer.setTargetCurrency(null);
+    }
+    
     if (this.highLevelExtractor) {
       console.log('🎯 Starting high-level parameters extraction...');
       try {
-        const data = await this.highLevelExtractor.extract(filesWithContent);
+        const data = await this.runExtractor(this.highLevelExtractor, filesWithContent);
         console.log('🎯 High-level parameters extraction completed:', data);
         extractionResults.highLevelParameters = data;
         Object.assign(allExtractedData, data);
+        // Later sections convert amounts into the model currency found here
+        if (this.dataStandardizer && data?.currency?.value) {
+          this.dataStandardizer.setTargetCurrency(data.currency.value);
+        }
         this.showProgress('High-level parameters extracted');
       } catch (error) {
         console.error('❌ High-level parameters extraction failed:', error);
@@ -529,7 +586,7 @@ class AutoFillIntegrator {
     if (this.dealAssumptionsExtractor) {
       console.log('💼 Starting deal assumptions extraction...');
       try {
-        const data = await this.dealAssumptionsExtractor.extract(filesWithContent);
+        const data = await this.runExtractor(this.dealAssumptionsExtractor, filesWithContent);
         extractionResults.dealAssumptions = data;
         Object.assign(allExtractedData, data);
         this.showProgress('Deal assumptions extracted');
@@ -541,7 +598,7 @@ class AutoFillIntegrator {
     if (this.revenueItemsExtractor) {
       console.log('💰 Starting revenue items extraction...');
       try {
-        const data = await this.revenueItemsExtractor.extract(filesWithContent);
+        const data = await this.runExtractor(this.revenueItemsExtractor, filesWithContent);
         extractionResults.revenueItems = data;
         Object.assign(allExtractedData, data);
         this.showProgress('Revenue items extracted');
@@ -550,10 +607,22 @@ class AutoFillIntegrator {
       }
     }
     
+    if (this.rentRollExtractor) {
+      console.log('🏢 Starting rent roll extraction...');
+      try {
+        const data = await this.runExtractor(this.rentRollExtractor, filesWithContent);
+        extractionResults.rentRoll = data;
+        Object.assign(allExtractedData, data);
+        this.showProgress('Rent roll extracted');
+      } catch (error) {
+        console.error('❌ Rent roll extraction failed:', error);
+      }
+    }
+    
     if (this.costItemsExtractor) {
       console.log('💸 Starting cost items extraction...');
       try {
-        const data = await this.costItemsExtractor.extract(filesWithContent);
+        const data = await this.runExtractor(this.costItemsExtractor, filesWithContent);
         extractionResults.costItems = data;
         Object.assign(allExtractedData, data);
         this.showProgress('Cost items extracted');
@@ -562,10 +631,22 @@ class AutoFillIntegrator {
       }
     }
     
+    if (this.historicalFinancialsExtractor) {
+      console.log('📜 Starting historical financials extraction...');
+      try {
+        const data = await this.runExtractor(this.historicalFinancialsExtractor, filesWithContent);
+        extractionResults.historicals = data;
+        Object.assign(allExtractedData, data);
+        this.showProgress('Historical financials extracted');
+      } catch (error) {
+        console.error('❌ Historical financials extraction failed:', error);
+      }
+    }
+    
     if (this.debtModelExtractor) {
       console.log('🏦 Starting debt model extraction...');
       try {
-        const data = await this.debtModelExtractor.extract(filesWithContent);
+        const data = await this.runExtractor(this.debtModelExtractor, filesWithContent);
         extractionResults.debtModel = data;
         Object.assign(allExtractedData, data);
         this.showProgress('Debt model extracted');
@@ -577,7 +658,7 @@ class AutoFillIntegrator {
     if (this.exitAssumptionsExtractor) {
       console.log('🚪 Starting exit assumptions extraction...');
       try {
-        const data = await this.exitAssumptionsExtractor.extract(filesWithContent);
+        const data = await this.runExtractor(this.exitAssumptionsExtractor, filesWithContent);
         extractionResults.exitAssumptions = data;
         Object.assign(allExtractedData, data);
         this.showProgress('Exit assumptions extracted');
@@ -588,6 +669,26 @@ class AutoFillIntegrator {
     
     // All extractions now complete (sequential)
     
+    // Lower confidence for values read from low-confidence OCR regions of scanned files
+    if (typeof ImageOcrExtractor !== 'undefined' && filesWithContent.some(file => file.ocr || (file.pages || []).some(page => page.ocr))) {
+      Object.values(extractionResults).forEach(section => {
+        Object.values(section || {}).forEach(field => ImageOcrExtractor.adjustFieldConfidence(field, filesWithContent));
+      });
+    }
+    
+    // Cite fields the section extractors found without a location (e.g. pattern matches)
+    if (this.aiExtractionService) {
+      const sources = this.aiExtractionService.prepareFileContents(filesWithContent);
+      Object.values(extractionResults).forEach(section => {
+        Object.values(section || {}).forEach(field => {
+          if (!field || typeof field !== 'object' || !('value' in field) || field.location) return;
+          if (['calculated', 'inferred', 'not_found'].includes(field.source)) return;
+          field.location = this.aiExtractionService.locateValue(field.value, sources);
+        });
+      });
+    }
+    this.lastSourceFiles = filesWithContent;
+    
     const duration = Date.now() - startTime;
     console.log(`✅ All extractions completed in ${duration}ms`);
     
@@ -597,6 +698,7 @@ class AutoFillIntegrator {
         files: this.uploadedFiles,
         extractedData: allExtractedData,
         extractionResults: extractionResults,
+        resolutions: window.FieldReconciler ? FieldReconciler.collectResolutions(allExtractedData) : [],
         duration: duration,
         method: 'comprehensive_ai'
       });
@@ -605,6 +707,105 @@ class AutoFillIntegrator {
     return allExtractedData;
   }
 
+  /**
+   * Show only the fields flagged for review - values the standardizer could read more than one
+   * way (1,234 vs 1.234, 03/04 vs 04/03) and values the documents disagree on - so the user
+   * settles them. Results are written back into the field objects, which the per-section results
+   * share, and conflict outcomes go to the extraction history. Cancelling keeps the values as chosen.
+   */
+  async reviewFlaggedFields(extractedData) {
+    const flagged = Object.fromEntries(Object.entries(extractedData || {})
+      .filter(([, field]) => field && typeof field === 'object' && field.needsReview));
+    const fieldNames = Object.keys(flagged);
+    if (!this.reviewModal || fieldNames.length === 0) return;
+    
+    const settle = (fieldName, updates = {}) => {
+      const field = extractedData[fieldName];
+      Object.assign(field, updates);
+      delete field.ambiguity;
+      delete field.needsReview;
+      if (Array.isArray(field.value)) field.value.forEach(item => delete item.ambiguity);
+    };
+    const recordResolutions = () => {
+      if (this.extractionHistory && window.FieldReconciler) {
+        const resolved = Object.fromEntries(fieldNames.map(fieldName => [fieldName, extractedData[fieldName]]));
+        this.extractionHistory.recordResolutions(FieldReconciler.collectResolutions(resolved));
+      }
+    };
+    
+    console.log(`🔀 Asking the user to check ${fieldNames.length} flagged field(s)`);
+    const locale = this.dataStandardizer?.activeLocale?.describe() || 'document format';
+    const conflicts = fieldNames.filter(fieldName => flagged[fieldName].conflict).length;
+    return new Promise((resolve) => {
+      this.reviewModal.show(flagged, {
+        title: conflicts > 0 ? 'Resolve Conflicting Values' : 'Check Ambiguous Values',
+        subtitle: conflicts > 0
+          ? `Your documents disagree on ${conflicts} value(s)${conflicts < fieldNames.length ? ` and others read more than one way under ${locale}` : ''}. Pick the right value before they are applied.`
+          : `These values read more than one way under ${locale}. Pick the right reading before they are applied.`,
+        onApprove: (finalData) => {
+          fieldNames.forEach(fieldName => {
+            const final = finalData[fieldName];
+            if (final === flagged[fieldName]) {
+              settle(fieldName, final.conflict ? { conflict: { ...final.conflict, resolvedBy: 'user' } } : {});
+            } else if (final.conflict) {
+              // Picked one of the documents' values (keeps its citation) or typed another
+              settle(fieldName, {
+                value: final.value,
+                source: final.source,
+                confidence: final.confidence,
+                location: final.location || null,
+                conflict: final.conflict
+              });
+            } else {
+              settle(fieldName, { value: final.value, source: 'user_edited', confidence: 1.0 });
+            }
+          });
+          recordResolutions();
+          console.log('✅ Flagged values confirmed');
+          resolve();
+        },
+        onReject: () => {
+          fieldNames.forEach(fieldName => settle(fieldName, {
+            value: null,
+            confidence: 0,
+            ...(extractedData[fieldName].conflict && {
+              conflict: { ...extractedData[fieldName].conflict, chosenIndex: null, resolvedBy: 'user' }
+            })
+          }));
+          recordResolutions();
+          this.showInfo('Flagged values were left empty - enter them manually');
+          resolve();
+        },
+        onCancel: () => {
+          console.log('🔀 Review closed - keeping the values as chosen');
+          resolve();
+        },
+        confidenceIndicator: this.confidenceIndicator,
+        sources: this.lastSourceFiles || []
+      });
+    });
+  }
+
+  /**
+   * Run a section extractor. With several files each file is extracted on its own and the results
+   * reconciled, so documents that disagree surface as conflicts instead of one silently winning.
+   */
+  async runExtractor(extractor, files) {
+    if (!this.fieldReconciler || files.length < 2) {
+      return extractor.extract(files);
+    }
+    
+    const perFile = [];
+    for (const file of files) {
+      perFile.push({ file, data: await extractor.extract([file]) });
+    }
+    const { data, conflicts } = this.fieldReconciler.reconcile(perFile);
+    if (conflicts.length > 0) {
+      console.warn(`⚖️ Documents disagree on ${conflicts.length} field(s):`, conflicts.map(conflict => conflict.field));
+    }
+    return data;
+  }
+
   async showReviewModal(extractedData) {
     if (!this.reviewModal) {
       // If no review modal, apply directly
@@ -626,7 +827,8 @@ class AutoFillIntegrator {
           this.showInfo('Extraction cancelled by user');
           resolve();
         },
-        confidenceIndicator: this.confidenceIndicator
+        confidenceIndicator: this.confidenceIndicator,
+        sources: this.lastSourceFiles || []
       });
     });
   }
@@ -639,7 +841,9 @@ class AutoFillIntegrator {
       await this.applyHighLevelParameters(extractedData);
       await this.applyDealAssumptions(extractedData);
       await this.applyRevenueItems(extractedData);
+      await this.applyRentRoll(extractedData);
       await this.applyCostItems(extractedData);
+      await this.applyHistoricals(extractedData);
       await this.applyDebtModel(extractedData);
       await this.applyExitAssumptions(extractedData);
       
@@ -766,6 +970,61 @@ class AutoFillIntegrator {
     }
   }
 
+  async applyRentRoll(data) {
+    if (!data.tenants?.value || !Array.isArray(data.tenants.value)) {
+      console.log('🏢 No rent roll to apply');
+      return;
+    }
+    
+    console.log('🏢 Applying rent roll:', data.tenants.value);
+    
+    const container = document.getElementById('rentRollContainer');
+    if (!container || !window.formHandler || typeof window.formHandler.addTenant !== 'function') {
+      console.warn('🏢 Rent roll form not available, cannot add tenants');
+      return;
+    }
+    container.innerHTML = '';
+    
+    if (data.rentRollDate?.value) {
+      this.setFieldValue('rentRollDate', data.rentRollDate.value, data.rentRollDate);
+    }
+    
+    for (let i = 0; i < data.tenants.value.length; i++) {
+      const tenant = data.tenants.value[i];
+      window.formHandler.addTenant();
+      await this.sleep(100);
+      
+      const n = i + 1;
+      this.setFieldValue(`tenantName_${n}`, tenant.name);
+      this.setFieldValue(`tenantArea_${n}`, tenant.area);
+      this.setFieldValue(`tenantRent_${n}`, tenant.value);
+      this.setFieldValue(`tenantLeaseStart_${n}`, tenant.leaseStart);
+      this.setFieldValue(`tenantLeaseExpiry_${n}`, tenant.leaseExpiry);
+      this.setFieldValue(`tenantBreakDate_${n}`, tenant.breakDate);
+      this.setFieldValue(`tenantIndexation_${n}`, tenant.indexation);
+      this.setFieldValue(`tenantErv_${n}`, tenant.erv);
+    }
+    
+    window.formHandler.updateRentRollMetrics();
+    this.showProgress(`Applied ${data.tenants.value.length} tenants`);
+  }
+
+  async applyHistoricals(data) {
+    if (!data.historicals?.value || !Array.isArray(data.historicals.value)) {
+      console.log('📜 No historical financials to apply');
+      return;
+    }
+    
+    if (!window.formHandler || typeof window.formHandler.setHistoricals !== 'function') {
+      console.warn('📜 Form handler not available, cannot show historical suggestions');
+      return;
+    }
+    
+    console.log('📜 Applying historical financials:', data.historicals.value);
+    window.formHandler.setHistoricals(data.historicals.value);
+    this.showProgress(`Historical financials: ${data.historicals.value.length} lines`);
+  }
+
   async applyCostItems(data) {
     // Apply operating expenses
     if (data.operatingExpenses?.value && Array.isArray(data.operatingExpenses.value)) {
@@ -852,6 +1111,19 @@ class AutoFillIntegrator {
     if (data.creditMargin?.value) {
       this.setFieldValue('creditMargin', data.creditMargin.value, data.creditMargin);
     }
+    if (data.rateFloor?.value !== null && data.rateFloor?.value !== undefined) {
+      this.setFieldValue('rateFloor', data.rateFloor.value, data.rateFloor);
+    }
+    if (data.amortizationType?.value) {
+      const amortizationMap = { bullet: 'interest_only', linear: 'straight_line', annuity: 'annuity' };
+      this.setFieldValue('amortizationType', amortizationMap[data.amortizationType.value] || data.amortizationType.value, data.amortizationType);
+    }
+    if (data.amortizationYears?.value) {
+      this.setFieldValue('amortizationYears', data.amortizationYears.value, data.amortizationYears);
+    }
+    if (data.debtTranches?.value && this.fieldMappingEngine) {
+      await this.fieldMappingEngine.applyArrayFields({ debtTranches: data.debtTranches }, { successful: [] });
+    }
   }
 
   async applyExitAssumptions(data) {
@@ -885,6 +1157,14 @@ class AutoFillIntegrator {
         };
         await this.fieldMappingEngine.applyDataToForm(standardizedData);
         
+      } else if (sectionType === 'rentRoll') {
+        // Tenant rows have no field mappings - build them through the form
+        await this.applyRentRoll(extractedData);
+        
+      } else if (sectionType === 'historicals') {
+        // Historical lines become suggestions in the revenue and cost sections, not field values
+        await this.applyHistoricals(extractedData);
+        
       } else if (sectionType === 'costItems') {
         console.log('🗺️ Applying cost items via FieldMappingEngine...');
         const standardizedData = {};
@@ -1067,7 +1347,9 @@ class AutoFillIntegrator {
       { name: 'High Level Extractor', instance: this.highLevelExtractor },
       { name: 'Deal Assumptions Extractor', instance: this.dealAssumptionsExtractor },
       { name: 'Revenue Items Extractor', instance: this.revenueItemsExtractor },
+      { name: 'Rent Roll Extractor', instance: this.rentRollExtractor },
       { name: 'Cost Items Extractor', instance: this.costItemsExtractor },
+      { name: 'Historical Financials Extractor', instance: this.historicalFinancialsExtractor },
       { name: 'Debt Model Extractor', instance: this.debtModelExtractor },
       { name: 'Exit Assumptions Extractor', instance: this.exitAssumptionsExtractor }
     ];
@@ -1110,7 +1392,14 @@ class AutoFillIntegrator {
   }
 
   // Public methods for manual control
-  async extractSpecificSection(sectionName) {
+  
+  /**
+   * Run one section's extractor. With refresh, that section's cached AI result is dropped first;
+   * cached results for the other sections are kept.
+   */
+  async extractSpecificSection(sectionName, options = {}) {
+    const { refresh = false } = options;
+    
     if (!this.uploadedFiles.length) {
       this.showError('No files uploaded');
       return null;
@@ -1122,11 +1411,30 @@ class AutoFillIntegrator {
       return null;
     }
     
+    if (refresh && this.aiExtractionService) {
+      await this.aiExtractionService.invalidateCache(this.getSectionExtractionType(sectionName));
+    }
+    
     // Read file contents first
     const filesWithContent = await this.readFileContents();
     return await extractor.extract(filesWithContent);
   }
 
+  /**
+   * AI extraction type (cache partition) used by each section's extractor
+   */
+  getSectionExtractionType(sectionName) {
+    const types = {
+      highLevel: 'highLevelParameters',
+      dealAssumptions: 'dealAssumptions',
+      revenueItems: 'revenue',
+      costItems: 'costs',
+      debtModel: 'debtModel',
+      exitAssumptions: 'exitAssumptions'
+    };
+    return types[sectionName] || sectionName;
+  }
+
   clearAllConfidenceIndicators() {
     if (this.confidenceIndicator) {
       this.confidenceIndicator.clearAllIndicators();
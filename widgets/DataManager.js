@@ -4,6 +4,11 @@ class DataManager {
     this.isInitialized = false;
     this.autoSaveTimeout = null;
     this.autoSaveDelay = 2000; // 2 seconds delay after last change
+    
+    // Model state embedded in the workbook (see widgets/core/WorkbookStateStore.js)
+    this.workbookStore = typeof WorkbookStateStore !== 'undefined' ? new WorkbookStateStore() : null;
+    this.workbookStateResolved = false; // No workbook writes until the open-time conflict check is done
+    this.conflictModal = null;
   }
 
   initialize() {
@@ -54,6 +59,9 @@ class DataManager {
       // Clean up old backups (keep only the last 5)
       this.cleanupOldBackups();
       
+      // Keep the copy inside the workbook in step
+      await this.saveToWorkbook(formData);
+      
       console.log('Data saved successfully:', formData);
       this.showSaveStatus('Data saved successfully!', 'success');
       
@@ -77,7 +85,7 @@ class DataManager {
         return { success: false, error: 'No saved data found' };
       }
       
-      const formData = JSON.parse(savedData);
+      const formData = this.upgradeSavedData(JSON.parse(savedData));
       console.log('Loaded data:', formData);
       
       // Populate form with loaded data
@@ -119,6 +127,9 @@ class DataManager {
       data.revenueItems = window.formHandler.collectRevenueItems();
       data.operatingExpenses = window.formHandler.collectOperatingExpenses();
       data.capitalExpenses = window.formHandler.collectCapitalExpenses();
+      data.debtTranches = window.formHandler.collectDebtTranches();
+      data.tenants = window.formHandler.collectTenants();
+      data.historicals = window.formHandler.collectHistoricals();
     } else {
       // Fallback to direct collection
       data.revenueItems = this.collectRevenueItemsDirectly();
@@ -128,7 +139,7 @@ class DataManager {
     
     // Add metadata
     data.savedAt = new Date().toISOString();
-    data.version = '1.0';
+    data.schemaVersion = ModelDataSchema.CURRENT_VERSION;
     
     return data;
   }
@@ -139,7 +150,7 @@ class DataManager {
     // Populate basic form fields
     Object.keys(data).forEach(key => {
       const element = document.getElementById(key);
-      if (element && !['revenueItems', 'operatingExpenses', 'capitalExpenses', 'savedAt', 'version'].includes(key)) {
+      if (element && !['revenueItems', 'operatingExpenses', 'capitalExpenses', 'debtTranches', 'tenants', 'historicals', 'savedAt', 'version', 'schemaVersion'].includes(key)) {
         if (element.type === 'checkbox' || element.type === 'radio') {
           element.checked = data[key];
         } else {
@@ -163,6 +174,73 @@ class DataManager {
     if (data.capitalExpenses) {
       this.populateCapitalExpenses(data.capitalExpenses);
     }
+    
+    if (data.debtTranches) {
+      this.populateDebtTranches(data.debtTranches);
+    }
+    
+    if (data.tenants) {
+      this.populateTenants(data.tenants);
+    }
+    
+    if (data.historicals) {
+      window.formHandler?.setHistoricals(data.historicals);
+    }
+  }
+
+  populateTenants(tenants) {
+    console.log('Populating tenants:', tenants);
+    
+    const container = document.getElementById('rentRollContainer');
+    if (container) {
+      container.innerHTML = '';
+    }
+    
+    if (window.formHandler) {
+      tenants.forEach((tenant, index) => {
+        window.formHandler.addTenant();
+        const n = index + 1;
+        
+        this.setInputValue(`tenantName_${n}`, tenant.name);
+        this.setInputValue(`tenantArea_${n}`, tenant.area);
+        this.setInputValue(`tenantRent_${n}`, tenant.value);
+        this.setInputValue(`tenantLeaseStart_${n}`, tenant.leaseStart);
+        this.setInputValue(`tenantLeaseExpiry_${n}`, tenant.leaseExpiry);
+        this.setInputValue(`tenantBreakDate_${n}`, tenant.breakDate);
+        this.setInputValue(`tenantIndexation_${n}`, tenant.indexation);
+        this.setInputValue(`tenantErv_${n}`, tenant.erv);
+      });
+      window.formHandler.updateRentRollMetrics();
+    }
+  }
+
+  populateDebtTranches(tranches) {
+    console.log('Populating debt tranches:', tranches);
+    
+    const container = document.getElementById('debtTranchesContainer');
+    if (container) {
+      container.innerHTML = '';
+    }
+    
+    if (window.formHandler) {
+      tranches.forEach((tranche, index) => {
+        window.formHandler.addDebtTranche();
+        const n = index + 1;
+        
+        this.setInputValue(`trancheName_${n}`, tranche.name);
+        this.setInputValue(`trancheShare_${n}`, tranche.share);
+        this.setInputValue(`trancheRateType_${n}`, tranche.rateType);
+        this.setInputValue(`trancheFixedRate_${n}`, tranche.fixedRate);
+        this.setInputValue(`trancheBaseRate_${n}`, tranche.baseRate);
+        this.setInputValue(`trancheMargin_${n}`, tranche.margin);
+        this.setInputValue(`trancheFloor_${n}`, tranche.floor);
+        this.setInputValue(`trancheAmortization_${n}`, tranche.amortizationType);
+        this.setInputValue(`trancheAmortYears_${n}`, tranche.amortizationYears);
+        
+        window.formHandler.updateTrancheRateFields(document.getElementById(`debtTrancheItem_${n}`));
+      });
+      window.formHandler.updateSeniorShareNote();
+    }
   }
 
   populateRevenueItems(items) {
@@ -183,6 +261,8 @@ class DataManager {
         setTimeout(() => {
           this.setInputValue(`revenueName_${index + 1}`, item.name);
           this.setInputValue(`revenueValue_${index + 1}`, item.value);
+          this.setInputValue(`revenueGrowthRate_${index + 1}`, item.growthRate);
+          this.populateGrowthFields('revenue', index + 1, item);
           
           if (item.growthType) {
             this.setInputValue(`growthType_${index + 1}`, item.growthType);
@@ -203,6 +283,13 @@ class DataManager {
     }
   }
 
+  populateGrowthFields(prefix, itemNumber, item) {
+    this.setInputValue(`${prefix}GrowthMethod_${itemNumber}`, item.growthMethod || 'compound');
+    this.setInputValue(`${prefix}ReviewYears_${itemNumber}`, item.reviewYears || '');
+    this.setInputValue(`${prefix}StartPeriod_${itemNumber}`, item.startPeriod && item.startPeriod > 1 ? item.startPeriod : '');
+    this.setInputValue(`${prefix}EndPeriod_${itemNumber}`, item.endPeriod || '');
+  }
+
   populateOperatingExpenses(items) {
     console.log('Populating operating expenses:', items);
     
@@ -220,6 +307,8 @@ class DataManager {
         setTimeout(() => {
           this.setInputValue(`opExName_${index + 1}`, item.name);
           this.setInputValue(`opExValue_${index + 1}`, item.value);
+          this.setInputValue(`opExGrowthRate_${index + 1}`, item.growthRate);
+          this.populateGrowthFields('opEx', index + 1, item);
           
           if (item.growthType) {
             this.setInputValue(`opExGrowthType_${index + 1}`, item.growthType);
@@ -422,7 +511,10 @@ class DataManager {
   async importData(file) {
     try {
       const text = await this.readFileAsText(file);
-      const data = JSON.parse(text);
+      const { data, fromVersion, applied, unvalidated } = ModelDataSchema.parse(JSON.parse(text));
+      if (applied.length > 0) {
+        console.log(`📦 Upgraded imported data from schema v${fromVersion}:`, applied);
+      }
       
       this.populateAllFormData(data);
       
@@ -431,12 +523,42 @@ class DataManager {
         window.formHandler.triggerCalculations();
       }
       
-      this.showSaveStatus('Data imported successfully!', 'success');
-      return { success: true, data: data };
+      if (unvalidated) {
+        this.showSaveStatus(`Data imported - ${ModelDataSchema.VALIDATOR_UNAVAILABLE}`, 'warning');
+      } else {
+        this.showSaveStatus('Data imported successfully!', 'success');
+      }
+      return { success: true, data: data, unvalidated };
     } catch (error) {
       console.error('Error importing data:', error);
       this.showSaveStatus('Error importing data: ' + error.message, 'error');
-      return { success: false, error: error.message };
+      return { success: false, error: error.message, errors: error.errors || [] };
+    }
+  }
+
+  /**
+   * Bring stored inputs up to the current schema. Unlike importData, stored copies still load
+   * when some fields fail validation so the user can correct them in the form.
+   */
+  upgradeSavedData(data) {
+    if (!data) return data;
+    
+    try {
+      const { data: migrated, fromVersion, applied } = ModelDataSchema.migrate(data);
+      if (applied.length > 0) {
+        console.log(`📦 Upgraded saved data from schema v${fromVersion}:`, applied);
+      }
+      const validation = ModelDataSchema.validate(migrated);
+      if (validation.unavailable) {
+        console.warn('⚠️ Saved model data loaded without full validation:', ModelDataSchema.VALIDATOR_UNAVAILABLE);
+      }
+      if (!validation.success) {
+        console.warn('⚠️ Saved model data has invalid fields:', ModelDataSchema.formatErrors(validation.errors));
+      }
+      return migrated;
+    } catch (error) {
+      console.warn('⚠️ Could not upgrade saved model data:', error.message);
+      return data;
     }
   }
 
@@ -514,6 +636,7 @@ class DataManager {
       const formData = this.collectAllFormData();
       localStorage.setItem(this.storageKey, JSON.stringify(formData));
       console.log('📦 Data auto-saved');
+      await this.saveToWorkbook(formData);
       
       // Show subtle notification
       this.showAutoSaveStatus();
@@ -556,56 +679,159 @@ class DataManager {
     }, 1500);
   }
 
-  autoLoadSavedData() {
+  async autoLoadSavedData() {
     console.log('Checking for saved data to auto-load...');
     
     try {
       const savedData = localStorage.getItem(this.storageKey);
-      
-      if (savedData) {
-        const formData = JSON.parse(savedData);
-        console.log('Found saved data, auto-loading...');
-        
-        // Load ALL data including dynamic items
-        this.populateAllFormData(formData);
-        
-        // Trigger recalculations
-        if (window.formHandler) {
-          window.formHandler.triggerCalculations();
+      const localData = savedData ? this.upgradeSavedData(JSON.parse(savedData)) : null;
+      const workbookState = await this.loadWorkbookState();
+      
+      const source = await this.resolveStateConflict(localData, workbookState);
+      if (source === 'workbook') {
+        console.log('Found model state in the workbook, loading...');
+        this.restoreFormData(workbookState.formData, '📋 Model inputs loaded from this workbook');
+        if (window.excelGenerator && workbookState.cellTrackers) {
+          window.excelGenerator.restoreTrackerState(workbookState.cellTrackers);
         }
-        
-        console.log('✅ Auto-load completed - all form data restored');
-        
-        // Show restoration notification
-        const notification = document.createElement('div');
-        notification.style.cssText = `
-          position: fixed;
-          top: 20px;
-          left: 50%;
-          transform: translateX(-50%);
-          background: #17a2b8;
-          color: white;
-          padding: 12px 20px;
-          border-radius: 6px;
-          font-size: 14px;
-          z-index: 10000;
-          box-shadow: 0 4px 12px rgba(0,0,0,0.15);
-        `;
-        notification.textContent = '📋 Previous form data restored';
-        document.body.appendChild(notification);
-        
-        setTimeout(() => {
-          notification.remove();
-        }, 3000);
-        
+      } else if (source === 'local') {
+        console.log('Found saved data, auto-loading...');
+        this.restoreFormData(localData, '📋 Previous form data restored');
       } else {
         console.log('No saved data found');
       }
+      
+      this.workbookStateResolved = true;
+      
+      // The user picked the local inputs over the workbook's - write them into the workbook now
+      if (source === 'local' && workbookState) {
+        await this.saveToWorkbook(localData);
+      }
     } catch (error) {
+      this.workbookStateResolved = true;
       console.warn('Error auto-loading saved data:', error);
     }
   }
 
+  restoreFormData(formData, message) {
+    // Load ALL data including dynamic items
+    this.populateAllFormData(formData);
+    
+    // Trigger recalculations
+    if (window.formHandler) {
+      window.formHandler.triggerCalculations();
+    }
+    
+    console.log('✅ Auto-load completed - all form data restored');
+    
+    // Show restoration notification
+    const notification = document.createElement('div');
+    notification.style.cssText = `
+      position: fixed;
+      top: 20px;
+      left: 50%;
+      transform: translateX(-50%);
+      background: #17a2b8;
+      color: white;
+      padding: 12px 20px;
+      border-radius: 6px;
+      font-size: 14px;
+      z-index: 10000;
+      box-shadow: 0 4px 12px rgba(0,0,0,0.15);
+    `;
+    notification.textContent = message;
+    document.body.appendChild(notification);
+    
+    setTimeout(() => {
+      notification.remove();
+    }, 3000);
+  }
+
+  /**
+   * Decide which saved inputs to load: 'workbook', 'local' or null.
+   * When both exist and differ the user chooses explicitly.
+   */
+  async resolveStateConflict(localData, workbookState) {
+    const workbookData = workbookState?.formData || null;
+    if (!workbookData) return localData ? 'local' : null;
+    if (!localData) return 'workbook';
+    
+    const fields = WorkbookStateStore.diffFormData(localData, workbookData);
+    if (fields.length === 0) return 'workbook';
+    
+    if (!this.conflictModal && typeof StateConflictModal !== 'undefined') {
+      this.conflictModal = new StateConflictModal();
+    }
+    if (!this.conflictModal) return 'workbook';
+    
+    return this.conflictModal.show({
+      workbookSavedAt: workbookState.savedAt,
+      localSavedAt: localData.savedAt,
+      fields
+    });
+  }
+
+  /**
+   * Everything needed to audit or regenerate the model from the workbook alone
+   */
+  buildWorkbookState(formData) {
+    return {
+      formData,
+      modelData: window.formHandler ? window.formHandler.collectAllModelData() : null,
+      cellTrackers: window.excelGenerator ? window.excelGenerator.getTrackerState() : null,
+      provenance: this.collectProvenance()
+    };
+  }
+
+  /**
+   * Source files and per-field source/confidence from the current extraction session
+   */
+  collectProvenance() {
+    const history = window.autoFillIntegrator?.extractionHistory;
+    const session = history ? history.getCurrentSession() : null;
+    if (!session) return null;
+    
+    const fields = {};
+    Object.entries(history.getProvenance(session.id) || {}).forEach(([field, entry]) => {
+      fields[field] = { source: entry.source, confidence: entry.confidence, location: entry.location };
+    });
+    
+    return {
+      sessionId: session.id,
+      extractedAt: session.timestamp,
+      method: session.metadata?.extractionMethod || null,
+      files: session.files,
+      fields
+    };
+  }
+
+  async saveToWorkbook(formData = this.collectAllFormData()) {
+    if (!this.workbookStore || !this.workbookStateResolved) return { success: false };
+    
+    try {
+      await this.workbookStore.save(this.buildWorkbookState(formData));
+      return { success: true };
+    } catch (error) {
+      console.warn('Could not save model state to the workbook:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async loadWorkbookState() {
+    if (!this.workbookStore) return null;
+    
+    try {
+      const state = await this.workbookStore.load();
+      if (state && state.formData) {
+        state.formData = this.upgradeSavedData(state.formData);
+      }
+      return state;
+    } catch (error) {
+      console.warn('Could not read model state from the workbook:', error.message);
+      return null;
+    }
+  }
+
   getSavedDataInfo() {
     try {
       const savedData = localStorage.getItem(this.storageKey);
@@ -617,7 +843,7 @@ class DataManager {
       return {
         exists: true,
         savedAt: data.savedAt,
-        version: data.version || 'unknown',
+        version: data.schemaVersion ? `v${data.schemaVersion}` : (data.version || 'unknown'),
         hasRevenueItems: data.revenueItems && data.revenueItems.length > 0,
         hasOperatingExpenses: data.operatingExpenses && data.operatingExpenses.length > 0,
         hasCapitalExpenses: data.capitalExpenses && data.capitalExpenses.length > 0
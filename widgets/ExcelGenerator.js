@@ -23,9 +23,12 @@ class ExcelFormatter {
 // Simple Cell Reference Tracker - keeps track of where data is stored
 // Updated: Removed all fallback calculations - API required for IRR/MOIC accuracy - v2.1
 class CellTracker {
-  constructor() {
+  constructor(namePrefix = '') {
     this.cellMap = new Map(); // Map of data keys to cell references
     this.sheetData = new Map(); // Map of sheet names to their data locations
+    this.rangeNames = new Map(); // Map of data keys to workbook-scoped named ranges
+    this.metadata = new Map(); // Layout facts that are not cells (item counts, section rows)
+    this.namePrefix = namePrefix; // e.g. 'PL' for P&L rows (PL_NOI)
   }
 
   // Record where a piece of data is stored
@@ -42,21 +45,150 @@ class CellTracker {
     console.log(`📍 Recorded: ${dataKey} = ${reference}`);
   }
 
-  // Get the cell reference for a piece of data
+  // Get the reference to use in formulas - the named range once defined, otherwise the A1 address
   getCellReference(dataKey) {
+    return this.rangeNames.get(dataKey) || this.cellMap.get(dataKey) || null;
+  }
+
+  // Get the A1 address ('Assumptions!F12') regardless of any named range
+  getAddress(dataKey) {
     return this.cellMap.get(dataKey) || null;
   }
 
+  // Record a layout fact such as an item count. Metadata is saved with the workbook model
+  // state (see serialize) but never becomes a named range.
+  recordMeta(key, value) {
+    this.metadata.set(key, value);
+  }
+
+  getMeta(key) {
+    return this.metadata.has(key) ? this.metadata.get(key) : null;
+  }
+
+  // Line item counts from the tracked item cells (revenue_0, revenue_1 -> revenue_count 2),
+  // for trackers rebuilt without saved metadata
+  countItems() {
+    ['revenue', 'opex', 'capex'].forEach(prefix => {
+      if (this.metadata.has(`${prefix}_count`)) return;
+      const pattern = new RegExp(`^${prefix}_\\d+$`);
+      const count = [...this.cellMap.keys()].filter(key => pattern.test(key)).length;
+      if (count > 0) this.metadata.set(`${prefix}_count`, count);
+    });
+  }
+
   // Get all data for a specific sheet
   getSheetData(sheetName) {
     return this.sheetData.get(sheetName) || new Map();
   }
 
+  // Workbook name for a data key: dealValue -> Deal_Value, revenue_0_growth_rate -> Revenue_1_Growth
+  getRangeName(dataKey) {
+    const name = CellTracker.toRangeName(dataKey);
+    return this.namePrefix ? `${this.namePrefix}_${name}` : name;
+  }
+
+  static toRangeName(dataKey) {
+    const itemPrefixes = { revenue: 'Revenue', opex: 'OpEx', capex: 'CapEx', tenant: 'Tenant' };
+    const itemSuffixes = { growth_rate: 'Growth' };
+    const acronyms = ['noi', 'ltv', 'dscr', 'icr', 'wacc', 'irr', 'moic', 'npv', 'fx', 'erv', 'wault', 'ttm', 'yoy'];
+    const capitalize = word => acronyms.includes(word.toLowerCase())
+      ? word.toUpperCase()
+      : word.charAt(0).toUpperCase() + word.slice(1);
+
+    const item = /^(revenue|opex|capex|tenant)_(\d+)(?:_(.+))?$/.exec(dataKey);
+    if (item) {
+      const base = `${itemPrefixes[item[1]]}_${parseInt(item[2], 10) + 1}`;
+      if (!item[3]) return base;
+      return `${base}_${itemSuffixes[item[3]] || item[3].split('_').map(capitalize).join('_')}`;
+    }
+
+    return dataKey
+      .replace(/([a-z\d])([A-Z])/g, '$1_$2')
+      .split('_')
+      .filter(Boolean)
+      .map(capitalize)
+      .join('_');
+  }
+
+  // Tracked cells and ranges with the workbook name each one gets
+  getNameableCells() {
+    const cells = [];
+    for (const [sheetName, entries] of this.sheetData.entries()) {
+      for (const [dataKey, address] of entries.entries()) {
+        cells.push({ dataKey, sheetName, address, name: this.getRangeName(dataKey) });
+      }
+    }
+    return cells;
+  }
+
+  static isCellAddress(address) {
+    return /^\$?[A-Z]{1,3}\$?\d+(:\$?[A-Z]{1,3}\$?\d+)?$/.test(String(address));
+  }
+
+  // Mark a data key as available through a workbook name
+  useRangeName(dataKey, name) {
+    this.rangeNames.set(dataKey, name);
+  }
+
+  // Rebuild the tracker from workbook names (the data key is stored in each name's comment)
+  restoreFromNamedItems(namedItems) {
+    let restored = 0;
+    namedItems.forEach(item => {
+      const parsed = CellTracker.parseNamedItem(item);
+      // Only names this tracker would have written (keeps P&L and Assumptions names apart)
+      if (!parsed || this.getRangeName(parsed.dataKey) !== parsed.name) return;
+      this.recordCell(parsed.dataKey, parsed.sheetName, parsed.address);
+      this.useRangeName(parsed.dataKey, parsed.name);
+      restored++;
+    });
+    this.countItems();
+    return restored;
+  }
+
+  // { name, comment, formula: "='P&L Statement'!$B$15:$Z$15" } -> { name, dataKey, sheetName, address }
+  static parseNamedItem(item) {
+    if (!item || !item.comment || item.type === 'Error') return null;
+    const match = /^=?(?:'((?:[^']|'')+)'|([^!]+))!(.+)$/.exec(item.formula || '');
+    if (!match) return null;
+    const address = match[3].replace(/\$/g, '');
+    if (!CellTracker.isCellAddress(address)) return null;
+    return {
+      name: item.name,
+      dataKey: item.comment,
+      sheetName: match[1] ? match[1].replace(/''/g, "'") : match[2],
+      address
+    };
+  }
+
+  // Plain-object snapshot for the workbook-embedded model state
+  serialize() {
+    const cells = [];
+    for (const [sheetName, entries] of this.sheetData.entries()) {
+      for (const [dataKey, address] of entries.entries()) {
+        cells.push({ dataKey, sheetName, address, name: this.rangeNames.get(dataKey) || null });
+      }
+    }
+    return { namePrefix: this.namePrefix, cells, metadata: Object.fromEntries(this.metadata) };
+  }
+
+  restoreFromSnapshot(snapshot) {
+    (snapshot?.cells || []).forEach(cell => {
+      // Older snapshots kept counts and section rows in the address slot
+      if (!CellTracker.isCellAddress(cell.address)) return;
+      this.recordCell(cell.dataKey, cell.sheetName, cell.address);
+      if (cell.name) this.useRangeName(cell.dataKey, cell.name);
+    });
+    Object.entries(snapshot?.metadata || {}).forEach(([key, value]) => this.recordMeta(key, value));
+    this.countItems();
+    return this.cellMap.size;
+  }
+
   // Print all tracked cells (for debugging)
   printAllCells() {
     console.log('📋 All tracked cells:');
     for (const [key, reference] of this.cellMap.entries()) {
-      console.log(`  ${key}: ${reference}`);
+      const name = this.rangeNames.get(key);
+      console.log(`  ${key}: ${reference}${name ? ` (${name})` : ''}`);
     }
   }
 }
@@ -64,57 +196,51 @@ class CellTracker {
 class ExcelGenerator {
   constructor() {
     this.cellTracker = new CellTracker();
-    this.plCellTracker = new CellTracker(); // Track P&L cell references
+    this.plCellTracker = new CellTracker('PL'); // Track P&L cell references
+    this.historicalsCellTracker = new CellTracker('Hist'); // Historicals sheet TTM and growth cells
     this.currentWorkbook = null;
+    this.sheetUpdater = new ModelSheetUpdater(); // In-place regeneration (see widgets/core/ModelSheetUpdater.js)
+    this.updateInPlace = false;
   }
 
-  // Helper function to format dates as XX-XXX-XX (last day of month)
-  formatDateAsLastDay(date, periodType) {
-    if (!date) return '';
-    
-    const d = new Date(date);
-    const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+  // Regenerate into existing sheets (keeping user edits) instead of deleting and re-adding them
+  setUpdateMode(enabled, confirmChanges) {
+    this.updateInPlace = !!enabled;
+    if (confirmChanges) this.sheetUpdater.confirmChanges = confirmChanges;
+  }
+
+  // Run a sheet builder, merging into the existing sheet when update mode is on
+  async buildModelSheet(sheetName, build) {
+    if (!this.updateInPlace) {
+      const result = await build();
+      await this.sheetUpdater.recordSheet(sheetName);
+      return result;
+    }
     
-    // Get the last day of the month
-    const lastDay = new Date(d.getFullYear(), d.getMonth() + 1, 0).getDate();
-    const monthName = monthNames[d.getMonth()];
-    const year = d.getFullYear().toString().slice(-2); // Last 2 digits of year
+    const outcome = await this.sheetUpdater.update(sheetName, build);
+    console.log(`🔁 ${sheetName}: ${outcome.mode}`, outcome.preview || '');
     
-    return `${lastDay.toString().padStart(2, '0')}-${monthName}-${year}`;
+    // Rows may have moved (or the update was cancelled), so re-read cell locations from the names
+    if (outcome.mode !== 'created') {
+      await this.reloadCellTrackers();
+    }
+    if (outcome.mode === 'cancelled') {
+      return { success: true, cancelled: true, message: `Update cancelled - ${sheetName} left unchanged` };
+    }
+    return outcome.result;
   }
 
-  // Helper function to calculate the previous period label based on period type and start date
-  getPreviousPeriodLabel(startDate, periodType) {
+  // Shared period calendar for the model timeline (see widgets/core/PeriodCalendar.js)
+  getPeriodCalendar(modelData) {
+    return PeriodCalendar.fromModelData(modelData);
+  }
+
+  // Helper function to calculate the previous period label (Period 0) based on period type and start date
+  getPreviousPeriodLabel(startDate, periodType, fiscalYearEnd) {
     if (!startDate) return 'Period 0';
     
-    const date = new Date(startDate);
-    const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-    
-    switch (periodType) {
-      case 'daily':
-        // Previous day
-        date.setDate(date.getDate() - 1);
-        return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
-        
-      case 'monthly':
-        // Previous month
-        date.setMonth(date.getMonth() - 1);
-        return `${monthNames[date.getMonth()]} ${date.getFullYear()}`;
-        
-      case 'quarterly':
-        // Previous quarter
-        const currentQuarter = Math.floor(date.getMonth() / 3) + 1;
-        date.setMonth(date.getMonth() - 3);
-        const prevQuarter = Math.floor(date.getMonth() / 3) + 1;
-        return `Q${prevQuarter} ${date.getFullYear()}`;
-        
-      case 'yearly':
-        // Previous year
-        return (date.getFullYear() - 1).toString();
-        
-      default:
-        return 'Period 0';
-    }
+    const calendar = new PeriodCalendar({ startDate, periodType, fiscalYearEnd });
+    return calendar.getPeriod(0)?.label || 'Period 0';
   }
 
   async generateModel(modelData) {
@@ -131,11 +257,14 @@ class ExcelGenerator {
         this.cellTracker = new CellTracker();
       }
       if (!this.plCellTracker || this.plCellTracker.cellMap.size === 0) {
-        this.plCellTracker = new CellTracker();
+        this.plCellTracker = new CellTracker('PL');
       }
       
       // Step 1: Create Assumptions sheet only
-      await this.createAssumptionsSheet(modelData);
+      const assumptionsResult = await this.buildModelSheet('Assumptions', () => this.createAssumptionsSheet(modelData));
+      if (assumptionsResult && assumptionsResult.cancelled) {
+        return assumptionsResult;
+      }
       
       console.log('✅ Assumptions sheet generation completed successfully!');
       this.cellTracker.printAllCells();
@@ -190,6 +319,10 @@ class ExcelGenerator {
     
     let currentRow = 1;
     
+    // Record every Assumptions cell afresh so keys from a previous generation (a removed
+    // revenue line, say) do not outlive their rows
+    this.cellTracker = new CellTracker();
+    
     // Hide gridlines
     sheet.showGridlines = false;
     
@@ -276,8 +409,8 @@ class ExcelGenerator {
     
     // Equity Contribution (Calculated) - values in column F
     sheet.getRange(`A${currentRow}`).values = [['Equity Contribution']];
-    const dealValueCell = this.cellTracker.getCellReference('dealValue').split('!')[1];
-    const ltvCell = this.cellTracker.getCellReference('dealLTV').split('!')[1];
+    const dealValueCell = this.cellTracker.getAddress('dealValue').split('!')[1];
+    const ltvCell = this.cellTracker.getAddress('dealLTV').split('!')[1];
     sheet.getRange(`F${currentRow}`).formulas = [[`=${dealValueCell}*(1-${ltvCell})`]];
     sheet.getRange(`F${currentRow}`).numberFormat = '#,##0';
     this.cellTracker.recordCell('equityContribution', 'Assumptions', `F${currentRow}`);
@@ -297,12 +430,47 @@ class ExcelGenerator {
       sheet.getRange(`F${currentRow}`).numberFormat = '0.00%';
       this.cellTracker.recordCell('loanIssuanceFees', 'Assumptions', `F${currentRow}`);
       currentRow++;
+
+      // Covenant thresholds and cash sweep - the Debt Financing tests reference these cells
+      const covenants = data.debtSettings?.covenants || {};
+      const covenantInputs = [
+        { key: 'covenantMinDSCR', label: 'Minimum DSCR (x)', value: covenants.minDSCR || 1.25, format: '0.00"x"' },
+        { key: 'covenantMinICR', label: 'Minimum Interest Cover (x)', value: covenants.minICR || 1.5, format: '0.00"x"' },
+        { key: 'covenantMaxLTV', label: 'Maximum LTV (%)', value: (covenants.maxLTV || 75) / 100, format: '0.00%' },
+        { key: 'cashSweepPercent', label: 'Excess Cash Sweep (%)', value: (covenants.cashSweepPercent || 0) / 100, format: '0.00%' }
+      ];
+      covenantInputs.forEach(input => {
+        sheet.getRange(`A${currentRow}`).values = [[input.label]];
+        sheet.getRange(`F${currentRow}`).values = [[input.value]];
+        sheet.getRange(`F${currentRow}`).numberFormat = input.format;
+        this.cellTracker.recordCell(input.key, 'Assumptions', `F${currentRow}`);
+        currentRow++;
+      });
+
+      // Added to every tranche's interest rate on the Debt Financing sheet - zero unless flexed
+      sheet.getRange(`A${currentRow}`).values = [['Interest Rate Shift (%)']];
+      sheet.getRange(`F${currentRow}`).values = [[0]];
+      sheet.getRange(`F${currentRow}`).numberFormat = '0.00%';
+      this.cellTracker.recordCell('interestRateShift', 'Assumptions', `F${currentRow}`);
+      currentRow++;
+    }
+    
+    // Inflation rate drives the index row on the P&L for lines indexed to inflation
+    if (this.usesInflationIndex(data)) {
+      sheet.getRange(`A${currentRow}`).values = [['Inflation Rate (%)']];
+      sheet.getRange(`F${currentRow}`).values = [[(parseFloat(data.inflationRate) || 0) / 100]];
+      sheet.getRange(`F${currentRow}`).numberFormat = '0.00%';
+      this.cellTracker.recordCell('inflationRate', 'Assumptions', `F${currentRow}`);
+      currentRow++;
     }
     
     // Add blank row with height 8.25
     sheet.getRange(`A${currentRow}`).format.rowHeight = 8.25;
     currentRow++;
     
+    // Start/end periods default to the whole hold
+    const totalPeriods = this.calculatePeriods(data.projectStartDate, data.projectEndDate, data.modelPeriods, data.fiscalYearEnd);
+    
     // REVENUE ITEMS - dark blue background, spans to column F, white text
     if (data.revenueItems && data.revenueItems.length > 0) {
       sectionRows['revenueItems'] = currentRow;
@@ -320,6 +488,7 @@ class ExcelGenerator {
       // Add subheaders in the same row as header
       sheet.getRange(`A${currentRow-1}:F${currentRow-1}`).unmerge();
       sheet.getRange(`A${currentRow-1}`).values = [['Revenue Items']];
+      sheet.getRange(`B${currentRow-1}:D${currentRow-1}`).values = [['Start', 'End', 'Review (yrs)']];
       sheet.getRange(`E${currentRow-1}`).values = [['Value']];
       sheet.getRange(`F${currentRow-1}`).values = [['Growth Rate']];
       const revenueSubHeaderRange = sheet.getRange(`A${currentRow-1}:F${currentRow-1}`);
@@ -341,21 +510,28 @@ class ExcelGenerator {
         this.cellTracker.recordCell(`revenue_${index}`, 'Assumptions', `E${currentRow}`);
         this.cellTracker.recordCell(`revenue_${index}_name`, 'Assumptions', `A${currentRow}`);
         this.cellTracker.recordCell(`revenue_${index}_growth_rate`, 'Assumptions', `F${currentRow}`);
+        this.writeLineItemTiming(sheet, item, `revenue_${index}`, currentRow, totalPeriods);
         currentRow++;
       });
       
       this.cellTracker.recordCell('revenue_range', 'Assumptions', `E${revenueStartRow}:E${currentRow - 1}`);
-      this.cellTracker.recordCell('revenue_count', 'Assumptions', data.revenueItems.length.toString());
+      this.cellTracker.recordMeta('revenue_count', data.revenueItems.length);
       
       // Add blank row with height 8.25
       sheet.getRange(`A${currentRow}`).format.rowHeight = 8.25;
       currentRow++;
     }
     
+    // RENT ROLL - re-letting inputs, one row per unit, WAULT and occupancy
+    if (this.usesRentRoll(data)) {
+      currentRow = this.writeRentRollSection(sheet, data, currentRow, sectionRows);
+    }
+    
     // COST ITEMS (OPERATING EXPENSES) - dark blue background, spans to column F, white text  
     if (data.operatingExpenses && data.operatingExpenses.length > 0) {
       sectionRows['operatingExpenses'] = currentRow;
       sheet.getRange(`A${currentRow}`).values = [['Cost Items']];
+      sheet.getRange(`B${currentRow}:D${currentRow}`).values = [['Start', 'End', 'Review (yrs)']];
       sheet.getRange(`E${currentRow}`).values = [['Value']];
       sheet.getRange(`F${currentRow}`).values = [['Growth Rate']];
       const costHeaderRange = sheet.getRange(`A${currentRow}:F${currentRow}`);
@@ -378,11 +554,12 @@ class ExcelGenerator {
         this.cellTracker.recordCell(`opex_${index}`, 'Assumptions', `E${currentRow}`);
         this.cellTracker.recordCell(`opex_${index}_name`, 'Assumptions', `A${currentRow}`);
         this.cellTracker.recordCell(`opex_${index}_growth_rate`, 'Assumptions', `F${currentRow}`);
+        this.writeLineItemTiming(sheet, item, `opex_${index}`, currentRow, totalPeriods);
         currentRow++;
       });
       
       this.cellTracker.recordCell('opex_range', 'Assumptions', `E${opexStartRow}:E${currentRow - 1}`);
-      this.cellTracker.recordCell('opex_count', 'Assumptions', data.operatingExpenses.length.toString());
+      this.cellTracker.recordMeta('opex_count', data.operatingExpenses.length);
       
       // Add blank row with height 8.25
       sheet.getRange(`A${currentRow}`).format.rowHeight = 8.25;
@@ -408,7 +585,7 @@ class ExcelGenerator {
       });
       
       this.cellTracker.recordCell('capex_range', 'Assumptions', `E${capexStartRow}:E${currentRow - 1}`);
-      this.cellTracker.recordCell('capex_count', 'Assumptions', data.capEx.length.toString());
+      this.cellTracker.recordMeta('capex_count', data.capEx.length);
       
       // Add blank row with height 8.25
       sheet.getRange(`A${currentRow}`).format.rowHeight = 8.25;
@@ -449,22 +626,181 @@ class ExcelGenerator {
     this.cellTracker.recordCell('discountRate', 'Assumptions', `F${currentRow}`);
     currentRow++;
     
+    // FX RATES - only when extracted amounts were converted into the model currency
+    if (data.fxRates && data.fxRates.length > 0) {
+      currentRow = this.writeFxRatesTable(sheet, data.fxRates, data.currency || 'USD', currentRow, sectionRows);
+    }
+    
     // Apply Times New Roman font to all cells
     const allCellsRange = sheet.getUsedRange();
     allCellsRange.format.font.name = 'Times New Roman';
     allCellsRange.format.font.size = 12;
     
-    // Auto-resize columns
-    sheet.getRange('A:F').format.autofitColumns();
+    // Auto-resize columns (the rent roll table runs to column I)
+    sheet.getRange(this.usesRentRoll(data) ? 'A:I' : 'A:F').format.autofitColumns();
     
     // Store section row information for reference
-    this.cellTracker.recordCell('section_rows', 'Assumptions', JSON.stringify(sectionRows));
+    this.cellTracker.recordMeta('section_rows', sectionRows);
     
     await context.sync();
+    
+    // Downstream sheets reference these names, so inserted rows no longer break their formulas
+    await this.defineNamedRanges(context, this.cellTracker);
     console.log('✅ Assumptions sheet populated successfully');
     console.log('📍 Section positions:', sectionRows);
   }
 
+  // FX table below the exit assumptions: one row per source currency with the rate and its date
+  writeFxRatesTable(sheet, fxRates, currency, startRow, sectionRows) {
+    let currentRow = startRow;
+    sheet.getRange(`A${currentRow}`).format.rowHeight = 8.25;
+    currentRow++;
+    
+    sectionRows['fxRates'] = currentRow;
+    sheet.getRange(`A${currentRow}:F${currentRow}`).merge();
+    sheet.getRange(`A${currentRow}`).values = [[`FX Rates (to ${currency})`]];
+    const fxHeaderRange = sheet.getRange(`A${currentRow}`);
+    fxHeaderRange.format.font.bold = true;
+    fxHeaderRange.format.horizontalAlignment = 'Left';
+    fxHeaderRange.format.fill.color = ExcelFormatter.colors.darkBlue;
+    fxHeaderRange.format.font.color = ExcelFormatter.colors.white;
+    currentRow++;
+    
+    sheet.getRange(`A${currentRow}:F${currentRow}`).values = [['Currency', '', 'Rate Date', 'Source', '', 'Rate']];
+    sheet.getRange(`A${currentRow}:F${currentRow}`).format.font.italic = true;
+    currentRow++;
+    
+    fxRates.forEach(fx => {
+      sheet.getRange(`A${currentRow}:F${currentRow}`).values = [[
+        `${fx.currency}/${currency}`, '', fx.rateDate || '', fx.source || '', '', fx.rate
+      ]];
+      sheet.getRange(`F${currentRow}`).numberFormat = '0.0000';
+      this.cellTracker.recordCell(`fx_${fx.currency}`, 'Assumptions', `F${currentRow}`);
+      currentRow++;
+    });
+    
+    return currentRow;
+  }
+
+  // Rent roll below the revenue items: re-letting inputs (column F), then one row per unit and the
+  // WAULT / occupancy formulas. Column I is the date each lease is modelled to end - expiry, or the
+  // break when breaks are assumed exercised; vacant units end the day before the rent roll date.
+  writeRentRollSection(sheet, data, startRow, sectionRows) {
+    const rentRoll = data.rentRoll;
+    const tenants = rentRoll.tenants;
+    let currentRow = startRow;
+    
+    sectionRows['rentRoll'] = currentRow;
+    sheet.getRange(`A${currentRow}:F${currentRow}`).merge();
+    sheet.getRange(`A${currentRow}`).values = [['Rent Roll']];
+    const rentRollHeaderRange = sheet.getRange(`A${currentRow}`);
+    rentRollHeaderRange.format.font.bold = true;
+    rentRollHeaderRange.format.horizontalAlignment = 'Left';
+    rentRollHeaderRange.format.fill.color = ExcelFormatter.colors.darkBlue;
+    rentRollHeaderRange.format.font.color = ExcelFormatter.colors.white;
+    currentRow++;
+    
+    const toSerial = (date) => date ? PeriodCalendar.toExcelSerial(date) : '';
+    const settings = [
+      { key: 'rent_roll_date', label: 'Rent Roll Date', value: toSerial(rentRoll.date || data.projectStartDate), format: 'dd-mmm-yy' },
+      { key: 'rent_roll_erv', label: 'ERV (per area unit p.a.)', value: rentRoll.erv || 0, format: '#,##0.00' },
+      { key: 'rent_roll_erv_growth', label: 'ERV Growth (%)', value: (rentRoll.ervGrowth || 0) / 100, format: '0.00%' },
+      { key: 'rent_roll_void_months', label: 'Void on Expiry (months)', value: rentRoll.voidMonths || 0, format: '0.0' },
+      { key: 'rent_roll_rent_free_months', label: 'Rent-Free on Re-letting (months)', value: rentRoll.rentFreeMonths || 0, format: '0.0' },
+      { key: 'rent_roll_renewal', label: 'Renewal Probability (%)', value: (rentRoll.renewalProbability || 0) / 100, format: '0.00%' },
+      { key: 'rent_roll_breaks', label: 'Breaks Exercised (1 = yes)', value: rentRoll.breaksExercised ? 1 : 0, format: '0' }
+    ];
+    settings.forEach(setting => {
+      sheet.getRange(`A${currentRow}`).values = [[setting.label]];
+      sheet.getRange(`F${currentRow}`).values = [[setting.value]];
+      sheet.getRange(`F${currentRow}`).numberFormat = setting.format;
+      this.cellTracker.recordCell(setting.key, 'Assumptions', `F${currentRow}`);
+      currentRow++;
+    });
+    const dateCell = this.cellTracker.getAddress('rent_roll_date').split('!')[1];
+    const breaksCell = this.cellTracker.getAddress('rent_roll_breaks').split('!')[1];
+    
+    sheet.getRange(`A${currentRow}:I${currentRow}`).values = [[
+      'Tenant', 'Area', 'Lease Start', 'Expiry', 'Passing Rent', 'Indexation', 'Break', 'ERV', 'Modelled End'
+    ]];
+    sheet.getRange(`A${currentRow}:I${currentRow}`).format.font.italic = true;
+    currentRow++;
+    
+    const firstTenantRow = currentRow;
+    tenants.forEach((tenant, index) => {
+      const row = currentRow;
+      sheet.getRange(`A${row}:H${row}`).values = [[
+        tenant.name || `Unit ${index + 1}`,
+        tenant.area || 0,
+        toSerial(tenant.leaseStart),
+        toSerial(tenant.leaseExpiry),
+        tenant.value || 0,
+        (tenant.indexation || 0) / 100,
+        toSerial(tenant.breakDate),
+        tenant.erv || 0
+      ]];
+      sheet.getRange(`I${row}`).formulas = [[
+        `=IF(E${row}<=0,${dateCell}-1,MIN(IF(D${row}="",2958465,D${row}),IF(AND(${breaksCell}=1,G${row}>${dateCell}),G${row},2958465)))`
+      ]];
+      ['C', 'D', 'G', 'I'].forEach(column => { sheet.getRange(`${column}${row}`).numberFormat = 'dd-mmm-yy'; });
+      ['B', 'E', 'H'].forEach(column => { sheet.getRange(`${column}${row}`).numberFormat = '#,##0'; });
+      sheet.getRange(`F${row}`).numberFormat = '0.00%';
+      
+      this.cellTracker.recordCell(`tenant_${index}`, 'Assumptions', `E${row}`);
+      this.cellTracker.recordCell(`tenant_${index}_name`, 'Assumptions', `A${row}`);
+      this.cellTracker.recordCell(`tenant_${index}_area`, 'Assumptions', `B${row}`);
+      this.cellTracker.recordCell(`tenant_${index}_start`, 'Assumptions', `C${row}`);
+      this.cellTracker.recordCell(`tenant_${index}_expiry`, 'Assumptions', `D${row}`);
+      this.cellTracker.recordCell(`tenant_${index}_indexation`, 'Assumptions', `F${row}`);
+      this.cellTracker.recordCell(`tenant_${index}_break`, 'Assumptions', `G${row}`);
+      this.cellTracker.recordCell(`tenant_${index}_erv`, 'Assumptions', `H${row}`);
+      this.cellTracker.recordCell(`tenant_${index}_end`, 'Assumptions', `I${row}`);
+      currentRow++;
+    });
+    const lastTenantRow = currentRow - 1;
+    this.cellTracker.recordCell('tenant_range', 'Assumptions', `E${firstTenantRow}:E${lastTenantRow}`);
+    
+    // Rent-weighted unexpired terms from the rent roll date; a break already passed has lapsed
+    const column = (letter) => `${letter}${firstTenantRow}:${letter}${lastTenantRow}`;
+    const metrics = [
+      { key: 'tenant_count', label: 'Number of Units', formula: `=ROWS(${column('A')})`, format: '0' },
+      { key: 'rent_roll_passing_rent', label: 'Total Passing Rent', formula: `=SUM(${column('E')})`, format: '#,##0' },
+      { key: 'wault_expiry', label: 'WAULT to Expiry (yrs)', format: '0.00',
+        formula: `=IFERROR(SUMPRODUCT(${column('E')},(${column('D')}>${dateCell})*(${column('D')}-${dateCell}))/365.25/SUM(${column('E')}),0)` },
+      { key: 'wault_break', label: 'WAULT to Break (yrs)', format: '0.00',
+        formula: `=IFERROR(SUMPRODUCT(${column('E')},(${column('G')}>${dateCell})*(${column('G')}-${dateCell})+(${column('G')}<=${dateCell})*(${column('D')}>${dateCell})*(${column('D')}-${dateCell}))/365.25/SUM(${column('E')}),0)` },
+      { key: 'occupancy', label: 'Occupancy (by area)', format: '0.0%',
+        formula: `=IFERROR(SUMIF(${column('E')},">0",${column('B')})/SUM(${column('B')}),0)` }
+    ];
+    metrics.forEach(metric => {
+      sheet.getRange(`A${currentRow}`).values = [[metric.label]];
+      sheet.getRange(`F${currentRow}`).formulas = [[metric.formula]];
+      sheet.getRange(`F${currentRow}`).numberFormat = metric.format;
+      this.cellTracker.recordCell(metric.key, 'Assumptions', `F${currentRow}`);
+      currentRow++;
+    });
+    
+    // Add blank row with height 8.25
+    sheet.getRange(`A${currentRow}`).format.rowHeight = 8.25;
+    currentRow++;
+    
+    return currentRow;
+  }
+
+  // Start/end period and review interval cells for a revenue or cost line (Assumptions columns B-D)
+  writeLineItemTiming(sheet, item, key, row, totalPeriods) {
+    const startPeriod = Math.max(1, parseInt(item.startPeriod) || 1);
+    const endPeriod = Math.max(startPeriod, parseInt(item.endPeriod) || totalPeriods);
+    sheet.getRange(`B${row}:C${row}`).values = [[startPeriod, endPeriod]];
+    this.cellTracker.recordCell(`${key}_start`, 'Assumptions', `B${row}`);
+    this.cellTracker.recordCell(`${key}_end`, 'Assumptions', `C${row}`);
+    
+    if (item.growthMethod === 'step') {
+      sheet.getRange(`D${row}`).values = [[Math.max(1, parseFloat(item.reviewYears) || 5)]];
+      this.cellTracker.recordCell(`${key}_review`, 'Assumptions', `D${row}`);
+    }
+  }
+
   // Generate detailed OpenAI prompt for P&L creation
   generateDetailedAIPrompt(modelData) {
     console.log('🤖 Generating AI prompt for P&L creation...');
@@ -482,14 +818,13 @@ class ExcelGenerator {
     }
     
     // Calculate the number of periods
-    const periods = this.calculatePeriods(modelData.projectStartDate, modelData.projectEndDate, modelData.modelPeriods);
+    const periods = this.calculatePeriods(modelData.projectStartDate, modelData.projectEndDate, modelData.modelPeriods, modelData.fiscalYearEnd);
     const maxPeriods = Math.min(periods, 60); // Cap at 60 periods for performance
     
     // Generate period headers
     const periodHeaders = [];
-    const startDate = new Date(modelData.projectStartDate);
     for (let i = 0; i < maxPeriods; i++) {
-      periodHeaders.push(this.formatPeriodHeader(startDate, i, modelData.modelPeriods));
+      periodHeaders.push(this.formatPeriodHeader(modelData.projectStartDate, i, modelData.modelPeriods, modelData.fiscalYearEnd));
     }
     
     const prompt = `You are a senior financial analyst at a top-tier investment bank specializing in M&A financial modeling. You have been provided with a complete set of assumptions stored in an Excel 'Assumptions' sheet with specific cell references.
@@ -685,6 +1020,7 @@ Please provide the complete P&L structure with exact cell addresses and formulas
   async generatePLWithAI(modelData) {
     try {
       console.log('📈 Generating P&L Statement with AI...');
+      await this.restoreCellTrackers();
       
       // Generate comprehensive AI prompt with cell references
       const aiPrompt = this.generateEnhancedPLPrompt(modelData);
@@ -694,7 +1030,11 @@ Please provide the complete P&L structure with exact cell addresses and formulas
       const aiResponse = await this.callOpenAIForPL(aiPrompt);
       
       // Create P&L sheet based on AI response
-      await this.createAIPLSheet(modelData, aiResponse);
+      const sheetResult = await this.buildModelSheet('P&L Statement', () => this.createAIPLSheet(modelData, aiResponse));
+      if (sheetResult && sheetResult.cancelled) {
+        return sheetResult;
+      }
+      await this.generateHistoricalsIfPresent(modelData);
       
       return { success: true, message: 'AI-powered P&L Statement generated successfully!' };
       
@@ -702,11 +1042,25 @@ Please provide the complete P&L structure with exact cell addresses and formulas
       console.error('❌ Error generating AI P&L:', error);
       // Fallback to hardcoded version if AI fails
       console.log('⚠️ Falling back to template-based P&L generation...');
-      await this.createPLSheet(modelData);
+      const fallbackResult = await this.buildModelSheet('P&L Statement', () => this.createPLSheet(modelData));
+      if (fallbackResult && fallbackResult.cancelled) {
+        return fallbackResult;
+      }
+      await this.generateHistoricalsIfPresent(modelData);
       return { success: true, message: 'P&L Statement generated (template mode)' };
     }
   }
   
+  // The Historicals sheet follows the P&L whenever a historical statement was extracted
+  async generateHistoricalsIfPresent(modelData) {
+    if (!modelData.historicals?.length) return;
+    try {
+      await this.generateHistoricalsSheet(modelData);
+    } catch (error) {
+      console.warn('⚠️ Could not create Historicals sheet:', error.message);
+    }
+  }
+  
   // Generate Free Cash Flow with AI
   async generateFCFWithAI(modelData) {
     try {
@@ -726,13 +1080,20 @@ Please provide the complete P&L structure with exact cell addresses and formulas
       console.log('📊 CapEx Structure discovered:', capExStructure);
       console.log('🔍 capExStructure type:', typeof capExStructure);
       
-      // Step 4: Generate comprehensive FCF AI prompt with ACTUAL cell references
+      // Step 4: Read the Debt Financing roll-up rows (tranche totals)
+      const debtStructure = await this.readDebtSheetStructure();
+      
+      // Step 5: Generate comprehensive FCF AI prompt with ACTUAL cell references
       console.log('🔍 About to generate FCF prompt...');
       const fcfPrompt = this.generateRealFCFPrompt(modelData, plStructure, assumptionStructure, capExStructure);
       console.log('🔍 FCF prompt generated successfully');
       
-      // Step 5: Create professional FCF sheet using discovered cell references
-      await this.createAIFCFSheet(modelData, fcfPrompt, plStructure, assumptionStructure, capExStructure);
+      // Step 6: Create professional FCF sheet using discovered cell references
+      const sheetResult = await this.buildModelSheet('FCF', () =>
+        this.createAIFCFSheet(modelData, fcfPrompt, plStructure, assumptionStructure, capExStructure, debtStructure));
+      if (sheetResult && sheetResult.cancelled) {
+        return sheetResult;
+      }
       
       console.log('📋 REAL FCF AI Prompt for OpenAI:');
       console.log('='.repeat(100));
@@ -747,50 +1108,61 @@ Please provide the complete P&L structure with exact cell addresses and formulas
     }
   }
   
-  async generateMultiplesAndIRR(modelData) {
-    console.log('🔥 NEW CLEAN VERSION v5.0 - ZERO FALLBACK LOGIC');
-    console.log('🔥 TIMESTAMP:', new Date().toISOString());
+  async generateMultiplesAndIRR(modelData, options = {}) {
+    console.log('📈 Calculating returns locally from the Cashflows sheet...');
     
     try {
       // Validate inputs
       if (!modelData.dealValue || modelData.dealValue === 0) {
         throw new Error('Deal value is required for IRR/MOIC calculation');
       }
+      if (typeof ReturnsEngine === 'undefined') {
+        throw new Error('ReturnsEngine not loaded');
+      }
       
-      // Read FCF data from existing sheet
+      // Read cash flows from the existing Cashflows sheet
       const fcfData = await this.readFCFSheetData();
-      console.log('📊 FCF data read:', fcfData);
-      
-      // Calculate equity contribution
-      let equityContribution = modelData.equityContribution;
-      if (!equityContribution || equityContribution === 0) {
-        const dealLTV = modelData.dealLTV || 70;
-        equityContribution = modelData.dealValue * (100 - dealLTV) / 100;
+      if (!fcfData.leveredRow || !fcfData.unleveredRow) {
+        throw new Error('Levered/Unlevered Cashflows rows not found - generate the Cashflows sheet first');
       }
       
-      // Call AI API for IRR/MOIC formulas
-      const aiPrompt = `Calculate IRR and MOIC for M&A deal. Return Excel formulas in JSON format.
-      
-Deal Value: ${modelData.dealValue}
-Equity: ${equityContribution}
-FCF Data: ${JSON.stringify(fcfData)}
-
-Required format:
-{
-  "calculations": {
-    "leveredIRR": {"formula": "=IRR formula here"},
-    "leveredMOIC": {"formula": "=MOIC formula here"}
-  }
-}`;
+      // Period end dates from the shared calendar (Period 0 is the day before the project start)
+      const periodType = modelData.modelPeriods || 'monthly';
+      const dates = this.getPeriodCalendar(modelData).getSerialDates(fcfData.cashFlowPeriods.length - 1);
+      
+      const engine = new ReturnsEngine();
+      const discountRate = (parseFloat(modelData.discountRate) || 0) / 100;
+      const exitProceeds = fcfData.exitProceeds || 0;
+      
+      const results = {
+        periodType,
+        dates,
+        discountRate,
+        levered: engine.analyze({
+          cashflows: fcfData.cashFlowPeriods.map(p => p.leveredFCF),
+          dates, periodType, discountRate, exitProceeds
+        }),
+        unlevered: engine.analyze({
+          cashflows: fcfData.cashFlowPeriods.map(p => p.unleveredFCF),
+          dates, periodType, discountRate, exitProceeds
+        })
+      };
+      console.log('📈 Returns calculated:', results);
       
-      console.log('🤖 Calling AI API...');
-      const aiResponse = await this.callOpenAIForMultiples(aiPrompt);
-      console.log('🤖 AI response:', aiResponse);
+      // AI commentary is optional and never feeds the numbers
+      let commentary = null;
+      if (options.includeCommentary) {
+        try {
+          const aiResponse = await this.callOpenAIForMultiples(this.generateReturnsCommentaryPrompt(modelData, results));
+          commentary = typeof aiResponse.response === 'string' ? aiResponse.response.trim() : null;
+        } catch (error) {
+          console.warn('⚠️ Returns commentary unavailable:', error.message);
+        }
+      }
       
-      // Create Excel sheet with AI results
-      await this.createCleanMultiplesSheet(modelData, aiResponse, equityContribution);
+      await this.createCleanMultiplesSheet(modelData, fcfData, results, commentary);
       
-      return { success: true, message: 'IRR & MOIC Analysis created successfully!' };
+      return { success: true, message: 'IRR & MOIC Analysis created successfully!', results };
       
     } catch (error) {
       console.error('❌ IRR/MOIC generation failed:', error);
@@ -823,7 +1195,7 @@ Required format:
       await context.sync();
       
       // Calculate periods and prepare headers
-      const periods = this.calculatePeriods(modelData.projectStartDate, modelData.projectEndDate, modelData.modelPeriods);
+      const periods = this.calculatePeriods(modelData.projectStartDate, modelData.projectEndDate, modelData.modelPeriods, modelData.fiscalYearEnd);
       const periodColumns = periods; // Use full calculated periods
       const totalColumns = periodColumns + 1; // +1 for Period 0 column
       
@@ -862,49 +1234,8 @@ Required format:
       currentRow++;
       
       // DATES ROW - two cells below Revenue Items title (includes Period 0)
-      const dateHeaders = [''];
-      
-      // Add Period 0 date first
-      const prevPeriodDate = new Date(modelData.projectStartDate);
-      switch (modelData.modelPeriods) {
-        case 'daily':
-          prevPeriodDate.setDate(prevPeriodDate.getDate() - 1);
-          break;
-        case 'monthly':
-          prevPeriodDate.setMonth(prevPeriodDate.getMonth() - 1);
-          break;
-        case 'quarterly':
-          prevPeriodDate.setMonth(prevPeriodDate.getMonth() - 3);
-          break;
-        case 'yearly':
-          prevPeriodDate.setFullYear(prevPeriodDate.getFullYear() - 1);
-          break;
-      }
-      dateHeaders.push(this.formatDateAsLastDay(prevPeriodDate, modelData.modelPeriods));
-      
-      // Add regular period dates
-      const startDate = new Date(modelData.projectStartDate);
-      for (let i = 0; i < periodColumns; i++) {
-        const periodDate = new Date(startDate);
-        
-        // Calculate the date for this period
-        switch (modelData.modelPeriods) {
-          case 'daily':
-            periodDate.setDate(periodDate.getDate() + i);
-            break;
-          case 'monthly':
-            periodDate.setMonth(periodDate.getMonth() + i);
-            break;
-          case 'quarterly':
-            periodDate.setMonth(periodDate.getMonth() + (i * 3));
-            break;
-          case 'yearly':
-            periodDate.setFullYear(periodDate.getFullYear() + i);
-            break;
-        }
-        
-        dateHeaders.push(this.formatDateAsLastDay(periodDate, modelData.modelPeriods));
-      }
+      const calendar = this.getPeriodCalendar(modelData);
+      const dateHeaders = ['', ...calendar.getDateLabels(periodColumns)];
       
       const dateRange = plSheet.getRange(`A${currentRow}:${this.getColumnLetter(totalColumns)}${currentRow}`);
       dateRange.values = [dateHeaders];
@@ -922,9 +1253,9 @@ Required format:
       
       // PERIOD ROW - 'Period' followed by 0, 1, 2, 3, etc.
       const periodHeaders = ['Period'];
-      periodHeaders.push('0'); // Period 0
+      periodHeaders.push(0); // Period 0
       for (let i = 1; i <= periodColumns; i++) {
-        periodHeaders.push(i.toString());
+        periodHeaders.push(i); // Numeric so line item formulas can test start/end periods
       }
       
       const periodRange = plSheet.getRange(`A${currentRow}:${this.getColumnLetter(totalColumns)}${currentRow}`);
@@ -933,6 +1264,21 @@ Required format:
       periodRange.format.font.size = 12;
       periodRange.format.font.bold = false; // Remove bold formatting
       currentRow++;
+      const periodRow = currentRow - 1;
+      
+      // Period start/end dates for the tenant rows, which count rent by the day
+      let periodEndRow = null;
+      if (this.usesRentRoll(modelData)) {
+        periodEndRow = this.writePeriodDateRows(plSheet, modelData, currentRow, totalColumns);
+        currentRow += 2;
+      }
+      
+      // Inflation curve for indexed lines (sits above the revenue items)
+      let inflationIndexRow = null;
+      if (this.usesInflationIndex(modelData)) {
+        inflationIndexRow = this.writeInflationIndexRows(plSheet, modelData, currentRow, totalColumns);
+        currentRow += 2;
+      }
       
       // Add each revenue item
       const revenueItemsStartRow = currentRow; // Track where actual revenue items start
@@ -941,6 +1287,7 @@ Required format:
           plSheet.getRange(`A${currentRow}`).values = [[item.name || `Revenue ${index + 1}`]];
           plSheet.getRange(`A${currentRow}`).format.font.name = 'Times New Roman';
           plSheet.getRange(`A${currentRow}`).format.font.size = 12;
+          const lineRefs = this.getLineItemRefs('revenue', index);
           
           // Add formulas for each period (including Period 0)
           for (let col = 1; col <= totalColumns; col++) {
@@ -952,33 +1299,20 @@ Required format:
               dashRange.values = [['-']];
               dashRange.format.horizontalAlignment = 'Right';
               ExcelFormatter.applyNumberFormat(dashRange);
-            } else if (col === 2) {
-              // First actual period - reference from Assumptions
-              const assumptionRef = this.cellTracker.getCellReference(`revenue_${index}`);
-              if (assumptionRef) {
-                plSheet.getRange(`${colLetter}${currentRow}`).formulas = [[`=${assumptionRef}`]];
-              } else {
-                plSheet.getRange(`${colLetter}${currentRow}`).values = [[item.value || 0]];
-              }
-              ExcelFormatter.applyNumberFormat(plSheet.getRange(`${colLetter}${currentRow}`));
             } else {
-              // Growth formula for subsequent periods - reference assumptions sheet
-              const prevCol = this.getColumnLetter(col - 1);
-              const growthRateRef = this.cellTracker.getCellReference(`revenue_${index}_growth_rate`);
-              const periodAdjustment = this.getPeriodAdjustment(modelData.modelPeriods);
-              
-              console.log(`Revenue ${index} growth ref:`, growthRateRef);
-              
-              if (growthRateRef) {
-                // Extract just the cell reference (e.g., "B24" from "Assumptions!B24")
-                const cellRef = growthRateRef.includes('!') ? growthRateRef.split('!')[1] : growthRateRef;
-                plSheet.getRange(`${colLetter}${currentRow}`).formulas = 
-                  [[`=${prevCol}${currentRow}*(1+Assumptions!${cellRef}${periodAdjustment})`]];
-              } else {
-                // No growth rate in assumptions - use flat growth
-                console.log(`No growth rate reference found for revenue ${index}`);
-                plSheet.getRange(`${colLetter}${currentRow}`).formulas = [[`=${prevCol}${currentRow}`]];
-              }
+              // Operating periods: base value in the first live period, then the item's growth method
+              plSheet.getRange(`${colLetter}${currentRow}`).formulas = [[this.getLineItemFormula(item, lineRefs, {
+                colLetter,
+                prevColLetter: this.getColumnLetter(col - 1),
+                period: calendar.getPeriod(col - 1),
+                prevPeriod: calendar.getPeriod(col - 2),
+                row: currentRow,
+                periodRow,
+                indexRow: inflationIndexRow,
+                periodType: modelData.modelPeriods,
+                lastPeriod: periodColumns,
+                sign: 1
+              })]];
               ExcelFormatter.applyNumberFormat(plSheet.getRange(`${colLetter}${currentRow}`));
             }
           }
@@ -986,6 +1320,32 @@ Required format:
         });
       }
       
+      // Tenant-by-tenant rent from the rent roll
+      if (this.usesRentRoll(modelData)) {
+        modelData.rentRoll.tenants.forEach((tenant, index) => {
+          plSheet.getRange(`A${currentRow}`).values = [[tenant.name || `Unit ${index + 1}`]];
+          const tenantRefs = this.getTenantRefs(index);
+          
+          for (let col = 1; col <= totalColumns; col++) {
+            const colLetter = this.getColumnLetter(col);
+            if (col === 1) {
+              // Period 0 - show dash for no revenue
+              const dashRange = plSheet.getRange(`${colLetter}${currentRow}`);
+              dashRange.values = [['-']];
+              dashRange.format.horizontalAlignment = 'Right';
+            } else {
+              plSheet.getRange(`${colLetter}${currentRow}`).formulas = [[this.getTenantRentFormula(tenantRefs, {
+                startRef: `${colLetter}$${periodEndRow - 1}`,
+                endRef: `${colLetter}$${periodEndRow}`
+              })]];
+            }
+            ExcelFormatter.applyNumberFormat(plSheet.getRange(`${colLetter}${currentRow}`));
+          }
+          currentRow++;
+        });
+      }
+      const hasRevenueLines = (modelData.revenueItems && modelData.revenueItems.length > 0) || this.usesRentRoll(modelData);
+      
       // Total Revenue
       plSheet.getRange(`A${currentRow}`).values = [['Total Revenue']];
       const totalRevRange = plSheet.getRange(`A${currentRow}:${this.getColumnLetter(totalColumns)}${currentRow}`);
@@ -1005,7 +1365,7 @@ Required format:
           const dashRange = plSheet.getRange(`${colLetter}${currentRow}`);
           dashRange.values = [['-']];
           dashRange.format.horizontalAlignment = 'Right';
-        } else if (modelData.revenueItems && modelData.revenueItems.length > 0) {
+        } else if (hasRevenueLines) {
           const sumFormula = `=SUM(${colLetter}${revenueItemsStartRow}:${colLetter}${currentRow - 1})`;
           plSheet.getRange(`${colLetter}${currentRow}`).formulas = [[sumFormula]];
         } else {
@@ -1043,6 +1403,7 @@ Required format:
           plSheet.getRange(`A${currentRow}`).values = [[item.name || `OpEx ${index + 1}`]];
           plSheet.getRange(`A${currentRow}`).format.font.name = 'Times New Roman';
           plSheet.getRange(`A${currentRow}`).format.font.size = 12;
+          const lineRefs = this.getLineItemRefs('opex', index);
           
           // Add formulas for each period (including Period 0)
           for (let col = 1; col <= totalColumns; col++) {
@@ -1054,33 +1415,20 @@ Required format:
               dashRange.values = [['-']];
               dashRange.format.horizontalAlignment = 'Right';
               ExcelFormatter.applyNumberFormat(dashRange);
-            } else if (col === 2) {
-              // First actual period - negative value from Assumptions
-              const assumptionRef = this.cellTracker.getCellReference(`opex_${index}`);
-              if (assumptionRef) {
-                plSheet.getRange(`${colLetter}${currentRow}`).formulas = [[`=-${assumptionRef}`]];
-              } else {
-                plSheet.getRange(`${colLetter}${currentRow}`).values = [[-item.value || 0]];
-              }
-              ExcelFormatter.applyNumberFormat(plSheet.getRange(`${colLetter}${currentRow}`));
             } else {
-              // Growth formula for subsequent periods - reference assumptions sheet
-              const prevCol = this.getColumnLetter(col - 1);
-              const growthRateRef = this.cellTracker.getCellReference(`opex_${index}_growth_rate`);
-              const periodAdjustment = this.getPeriodAdjustment(modelData.modelPeriods);
-              
-              console.log(`OpEx ${index} growth ref:`, growthRateRef);
-              
-              if (growthRateRef) {
-                // Extract just the cell reference (e.g., "B24" from "Assumptions!B24")
-                const cellRef = growthRateRef.includes('!') ? growthRateRef.split('!')[1] : growthRateRef;
-                plSheet.getRange(`${colLetter}${currentRow}`).formulas = 
-                  [[`=${prevCol}${currentRow}*(1+Assumptions!${cellRef}${periodAdjustment})`]];
-              } else {
-                // No growth rate in assumptions - use flat growth
-                console.log(`No growth rate reference found for opex ${index}`);
-                plSheet.getRange(`${colLetter}${currentRow}`).formulas = [[`=${prevCol}${currentRow}`]];
-              }
+              // Operating periods: base value in the first live period, then the item's growth method
+              plSheet.getRange(`${colLetter}${currentRow}`).formulas = [[this.getLineItemFormula(item, lineRefs, {
+                colLetter,
+                prevColLetter: this.getColumnLetter(col - 1),
+                period: calendar.getPeriod(col - 1),
+                prevPeriod: calendar.getPeriod(col - 2),
+                row: currentRow,
+                periodRow,
+                indexRow: inflationIndexRow,
+                periodType: modelData.modelPeriods,
+                lastPeriod: periodColumns,
+                sign: -1
+              })]];
               ExcelFormatter.applyNumberFormat(plSheet.getRange(`${colLetter}${currentRow}`));
             }
           }
@@ -1151,12 +1499,22 @@ Required format:
       
       // Real estate model: NOI is the final metric - no interest, tax, or net income calculations needed
       
-      // Track NOI for FCF calculations
+      // Track NOI and totals for FCF calculations (named PL_NOI, PL_Total_Revenue, PL_Total_Opex)
+      this.plCellTracker.recordCell('total_revenue', 'P&L Statement', `B${totalRevenueRow}:${this.getColumnLetter(totalColumns)}${totalRevenueRow}`);
+      this.plCellTracker.recordCell('total_opex', 'P&L Statement', `B${totalOpexRow}:${this.getColumnLetter(totalColumns)}${totalOpexRow}`);
       this.plCellTracker.recordCell('noi', 'P&L Statement', `B${ebitdaRow}:${this.getColumnLetter(totalColumns)}${ebitdaRow}`);
       
       // Apply number formatting with brackets for negatives and dash for zeros
       const dataRange = plSheet.getRange(`B5:${this.getColumnLetter(totalColumns)}${ebitdaRow}`);
       ExcelFormatter.applyNumberFormat(dataRange);
+      if (inflationIndexRow) {
+        this.formatInflationIndexRows(plSheet, inflationIndexRow, totalColumns);
+      }
+      if (periodEndRow) {
+        const lastCol = this.getColumnLetter(totalColumns);
+        plSheet.getRange(`B${periodEndRow - 1}:${lastCol}${periodEndRow}`).numberFormat =
+          [Array(totalColumns).fill('dd-mmm-yy'), Array(totalColumns).fill('dd-mmm-yy')];
+      }
       
       // Apply Times New Roman font to all data cells
       const allDataRange = plSheet.getRange(`A1:${this.getColumnLetter(totalColumns)}${ebitdaRow}`);
@@ -1171,6 +1529,7 @@ Required format:
       plSheet.getRange(`A:${this.getColumnLetter(periodColumns)}`).format.autofitColumns();
       
       await context.sync();
+      await this.defineNamedRanges(context, this.plCellTracker);
       console.log('✅ P&L Statement created successfully with formatting');
       
       // Print tracked P&L cells for debugging
@@ -1179,52 +1538,914 @@ Required format:
     });
   }
   
-  // Read the actual P&L sheet to discover structure
-  async readPLSheetStructure() {
+  // Historicals sheet from the extracted income statement, placed after the P&L
+  async generateHistoricalsSheet(modelData) {
+    return this.buildModelSheet('Historicals', () => this.createHistoricalsSheet(modelData));
+  }
+
+  async createHistoricalsSheet(modelData) {
+    const lines = HistoricalFinancials.normalizeSigns(modelData.historicals || []);
+    const periods = HistoricalFinancials.periodKeys(lines);
+    if (periods.length === 0) return;
+    
     return Excel.run(async (context) => {
-      console.log('🔍 Reading P&L sheet structure...');
+      console.log('📜 Creating Historicals sheet...');
+      const sheets = context.workbook.worksheets;
       
+      // Delete existing Historicals sheet if it exists
       try {
-        const plSheet = context.workbook.worksheets.getItem('P&L Statement');
-        
-        // Get the used range to understand the structure
-        const usedRange = plSheet.getUsedRange();
-        usedRange.load(['values', 'formulas', 'address']);
-        
+        const existingSheet = sheets.getItemOrNullObject('Historicals');
+        existingSheet.load('name');
         await context.sync();
         
-        const values = usedRange.values;
-        const formulas = usedRange.formulas;
-        const address = usedRange.address;
-        
-        console.log('📋 P&L Used Range:', address);
-        console.log('📋 P&L Values sample:', values.slice(0, 5));
-        
-        // Parse the structure to find key line items
-        const structure = {
-          totalColumns: values[0].length,
-          lineItems: {},
-          periodColumns: [],
-          address: address
-        };
-        
-        // Find period headers (typically row 3)
-        if (values.length > 2) {
-          structure.periodColumns = values[2].slice(1); // Skip first column (labels)
+        if (!existingSheet.isNullObject) {
+          console.log('🗑️ Deleting existing Historicals sheet');
+          existingSheet.delete();
+          await context.sync();
+        }
+      } catch (e) {
+        // Sheet doesn't exist, continue
+      }
+      
+      const plSheet = sheets.getItemOrNullObject('P&L Statement');
+      plSheet.load('position');
+      await context.sync();
+      
+      const sheet = sheets.add('Historicals');
+      if (!plSheet.isNullObject) sheet.position = plSheet.position + 1;
+      this.historicalsCellTracker = new CellTracker('Hist');
+      
+      // Columns: label, one per historical period, then TTM, prior TTM and YoY
+      const latest = periods[periods.length - 1];
+      const annual = HistoricalFinancials.periodType(latest) === 'year';
+      const size = annual ? 1 : 12;
+      const latestIndex = annual ? parseInt(latest, 10) : HistoricalFinancials.monthIndex(latest);
+      const offsetOf = (key) => latestIndex - (annual ? parseInt(key, 10) : HistoricalFinancials.monthIndex(key));
+      const periodCol = (position) => this.getColumnLetter(position + 1);
+      const windowRange = (from, to) => {
+        const positions = periods.map((key, position) => ({ offset: offsetOf(key), position }))
+          .filter(entry => entry.offset >= from && entry.offset < to)
+          .map(entry => entry.position);
+        return positions.length === 0 ? null
+          : `${periodCol(Math.min(...positions))}{row}:${periodCol(Math.max(...positions))}{row}`;
+      };
+      const currentWindow = windowRange(0, size);
+      const priorWindow = windowRange(size, size * 2);
+      const ttmCol = this.getColumnLetter(periods.length + 1);
+      const priorCol = this.getColumnLetter(periods.length + 2);
+      const yoyCol = this.getColumnLetter(periods.length + 3);
+      const lastCol = yoyCol;
+      
+      // TITLE
+      sheet.getRange('A1').values = [['Historical Financials']];
+      const titleRange = sheet.getRange(`A1:${lastCol}1`);
+      titleRange.merge();
+      titleRange.format.font.bold = true;
+      titleRange.format.fill.color = ExcelFormatter.colors.backgroundDarker5;
+      titleRange.format.horizontalAlignment = 'Left';
+      let currentRow = 2;
+      
+      // Section header with the period headings two rows below, as on the P&L
+      const writeSectionHeader = (title) => {
+        sheet.getRange(`A${currentRow}`).values = [[title]];
+        const sectionRange = sheet.getRange(`A${currentRow}:${lastCol}${currentRow}`);
+        sectionRange.format.font.bold = true;
+        sectionRange.format.fill.color = ExcelFormatter.colors.darkBlue;
+        sectionRange.format.font.color = ExcelFormatter.colors.white;
+        sectionRange.format.borders.getItem('EdgeBottom').style = 'Continuous';
+        sectionRange.format.borders.getItem('EdgeBottom').weight = 'Thin';
+        sectionRange.format.borders.getItem('EdgeBottom').color = ExcelFormatter.colors.lightGrey;
+        currentRow++;
+      };
+      
+      // TTM annualizes a short monthly window; growth needs a complete TTM and a prior TTM
+      const writeTrailing = (row) => {
+        const current = currentWindow.replace(/\{row\}/g, row);
+        sheet.getRange(`${ttmCol}${row}`).formulas = [[annual
+          ? `=${current.split(':')[0]}`
+          : `=IFERROR(SUM(${current})*12/COUNT(${current}),0)`]];
+        if (priorWindow) {
+          const prior = priorWindow.replace(/\{row\}/g, row);
+          sheet.getRange(`${priorCol}${row}`).formulas = [[annual
+            ? `=${prior.split(':')[0]}`
+            : `=IF(COUNT(${prior})=12,SUM(${prior}),"")`]];
+          sheet.getRange(`${yoyCol}${row}`).formulas =
+            [[`=IFERROR(IF(COUNT(${current})=${size},${ttmCol}${row}/${priorCol}${row}-1,""),"")`]];
         }
+        ExcelFormatter.applyNumberFormat(sheet.getRange(`${ttmCol}${row}:${priorCol}${row}`));
+        sheet.getRange(`${yoyCol}${row}`).numberFormat = [['0.0%']];
+        sheet.getRange(`${yoyCol}${row}`).format.horizontalAlignment = 'Right';
+      };
+      
+      // Statement lines as read (costs negative, as on the P&L), then a SUM total
+      const writeLines = (type, totalLabel) => {
+        const firstRow = currentRow;
+        lines.filter(line => line.type === type).forEach(line => {
+          const sign = type === 'expense' ? -1 : 1;
+          const values = periods.map(key => typeof line.values?.[key] === 'number' ? line.values[key] * sign : '');
+          sheet.getRange(`A${currentRow}:${periodCol(periods.length - 1)}${currentRow}`).values = [[line.name, ...values]];
+          writeTrailing(currentRow);
+          currentRow++;
+        });
+        const lastRow = currentRow - 1;
         
-        // Scan for key line items
-        values.forEach((row, rowIndex) => {
-          const label = row[0];
-          if (typeof label === 'string') {
-            const labelLower = label.toLowerCase();
-            
-            // Map key items to their row positions
-            if (labelLower.includes('total revenue')) {
-              structure.lineItems.totalRevenue = {
-                row: rowIndex + 1, // Excel rows are 1-based
-                range: `B${rowIndex + 1}:${this.getColumnLetter(structure.totalColumns - 1)}${rowIndex + 1}`,
-                label: label
+        sheet.getRange(`A${currentRow}`).values = [[totalLabel]];
+        periods.forEach((key, position) => {
+          const col = periodCol(position);
+          sheet.getRange(`${col}${currentRow}`).formulas =
+            [[lastRow >= firstRow ? `=SUM(${col}${firstRow}:${col}${lastRow})` : '=0']];
+        });
+        writeTrailing(currentRow);
+        const totalRange = sheet.getRange(`A${currentRow}:${lastCol}${currentRow}`);
+        totalRange.format.font.bold = true;
+        totalRange.format.borders.getItem('EdgeTop').style = 'Continuous';
+        totalRange.format.borders.getItem('EdgeTop').weight = 'Thin';
+        totalRange.format.borders.getItem('EdgeTop').color = ExcelFormatter.colors.black;
+        return currentRow++;
+      };
+      
+      writeSectionHeader('Revenue');
+      sheet.getRange(`A${currentRow}:${lastCol}${currentRow}`).format.rowHeight = 8;
+      currentRow++;
+      
+      // PERIOD HEADINGS
+      const headingRange = sheet.getRange(`A${currentRow}:${lastCol}${currentRow}`);
+      headingRange.values = [['', ...periods.map(key => HistoricalFinancials.periodLabel(key)), 'TTM', 'Prior TTM', 'YoY']];
+      headingRange.format.font.bold = true;
+      headingRange.format.horizontalAlignment = 'Right';
+      headingRange.format.borders.getItem('EdgeBottom').style = 'Dash';
+      headingRange.format.borders.getItem('EdgeBottom').weight = 'Thin';
+      headingRange.format.borders.getItem('EdgeBottom').color = ExcelFormatter.colors.black;
+      const firstDataRow = currentRow + 1;
+      currentRow++;
+      
+      const totalRevenueRow = writeLines('revenue', 'Total Revenue');
+      currentRow++;
+      writeSectionHeader('Operating Expenses');
+      const totalOpexRow = writeLines('expense', 'Total Operating Expenses');
+      
+      // NOI
+      sheet.getRange(`A${currentRow}`).values = [['NOI']];
+      [...periods.map((key, position) => periodCol(position)), ttmCol, priorCol].forEach(col => {
+        sheet.getRange(`${col}${currentRow}`).formulas =
+          [[`=IF(${col}${totalRevenueRow}="","",${col}${totalRevenueRow}+${col}${totalOpexRow})`]];
+      });
+      sheet.getRange(`${yoyCol}${currentRow}`).formulas =
+        [[`=IFERROR(${ttmCol}${currentRow}/${priorCol}${currentRow}-1,"")`]];
+      sheet.getRange(`${yoyCol}${currentRow}`).numberFormat = [['0.0%']];
+      const noiRange = sheet.getRange(`A${currentRow}:${lastCol}${currentRow}`);
+      noiRange.format.font.bold = true;
+      noiRange.format.fill.color = ExcelFormatter.colors.backgroundDarker5;
+      noiRange.format.borders.getItem('EdgeTop').style = 'Continuous';
+      noiRange.format.borders.getItem('EdgeTop').weight = 'Thin';
+      noiRange.format.borders.getItem('EdgeTop').color = ExcelFormatter.colors.black;
+      const noiRow = currentRow;
+      
+      ExcelFormatter.applyNumberFormat(sheet.getRange(`B${firstDataRow}:${priorCol}${noiRow}`));
+      const allDataRange = sheet.getRange(`A1:${lastCol}${noiRow}`);
+      allDataRange.format.font.name = 'Times New Roman';
+      allDataRange.format.font.size = 12;
+      
+      // Named as Hist_TTM_Revenue, Hist_Revenue_Growth, ... for the assumptions to point at
+      this.historicalsCellTracker.recordCell('ttm_revenue', 'Historicals', `${ttmCol}${totalRevenueRow}`);
+      this.historicalsCellTracker.recordCell('ttm_opex', 'Historicals', `${ttmCol}${totalOpexRow}`);
+      this.historicalsCellTracker.recordCell('ttm_noi', 'Historicals', `${ttmCol}${noiRow}`);
+      this.historicalsCellTracker.recordCell('revenue_growth', 'Historicals', `${yoyCol}${totalRevenueRow}`);
+      this.historicalsCellTracker.recordCell('opex_growth', 'Historicals', `${yoyCol}${totalOpexRow}`);
+      
+      await context.sync();
+      sheet.showGridlines = false;
+      sheet.getRange(`A:${lastCol}`).format.autofitColumns();
+      
+      await context.sync();
+      await this.defineNamedRanges(context, this.historicalsCellTracker);
+      console.log('✅ Historicals sheet created successfully');
+    });
+  }
+
+  // Sensitivities sheet - two-way grids recalculated through the workbook (see widgets/core/SensitivityGrid.js)
+  async generateSensitivitiesSheet(configs = SensitivityGrid.PRESETS, onProgress = null) {
+    const runner = new ScenarioRunner(this);
+    const baseline = await runner.captureBaseline();
+    // Typed inputs the grids depend on; calculated ones follow from them
+    const snapshotKeys = (await runner.getOverridableInputs())
+      .filter(dataKey => typeof baseline.inputs[dataKey] === 'number');
+
+    const grids = [];
+    const skipped = [];
+    configs.forEach(config => {
+      try {
+        grids.push(SensitivityGrid.resolve(config, baseline.inputs));
+      } catch (error) {
+        skipped.push(error.message);
+        console.warn('⚠️ Skipping sensitivity grid:', error.message);
+      }
+    });
+    if (grids.length === 0) {
+      throw new Error(`No sensitivity grid applies to this model (${skipped.join('; ')})`);
+    }
+
+    // One batch for every grid so the Assumptions inputs are restored once
+    const snapshots = await runner.runBatch(grids.flatMap(grid => SensitivityGrid.scenarios(grid)), onProgress);
+    let offset = 0;
+    grids.forEach(grid => {
+      const count = grid.row.values.length * grid.column.values.length;
+      SensitivityGrid.fill(grid, snapshots.slice(offset, offset + count));
+      offset += count;
+    });
+
+    const result = await this.buildModelSheet('Sensitivities', () => this.createSensitivitiesSheet(grids, baseline, snapshotKeys));
+    if (result && result.cancelled) return result;
+    return { success: true, grids, skipped };
+  }
+
+  // Status line of the Sensitivities sheet (up to date or stale against the Assumptions inputs), null without one
+  async getSensitivitiesStatus() {
+    return Excel.run(async (context) => {
+      const sheet = context.workbook.worksheets.getItemOrNullObject('Sensitivities');
+      await context.sync();
+      if (sheet.isNullObject) return null;
+
+      const statusCell = sheet.getRange(SensitivityGrid.STATUS_CELL);
+      statusCell.load('values');
+      await context.sync();
+      const status = String(statusCell.values[0][0] || '');
+      return { status, stale: status === SensitivityGrid.STALE_STATUS };
+    });
+  }
+
+  // Office.js cannot create Excel data tables (TABLE() is only entered through the What-If dialog), so each
+  // grid holds the recalculated values, with the current model's output linked live beside it. The inputs
+  // the grids were run with are kept below them against live links, and the status cell flags any change.
+  async createSensitivitiesSheet(grids, baseline, snapshotKeys = []) {
+    return Excel.run(async (context) => {
+      console.log('🎯 Creating Sensitivities sheet...');
+      const sheets = context.workbook.worksheets;
+
+      // Delete existing Sensitivities sheet if it exists
+      try {
+        const existingSheet = sheets.getItemOrNullObject('Sensitivities');
+        existingSheet.load('name');
+        await context.sync();
+
+        if (!existingSheet.isNullObject) {
+          console.log('🗑️ Deleting existing Sensitivities sheet');
+          existingSheet.delete();
+          await context.sync();
+        }
+      } catch (e) {
+        // Sheet doesn't exist, continue
+      }
+
+      const sheet = sheets.add('Sensitivities');
+      const widestGrid = Math.max(...grids.map(grid => grid.column.values.length));
+      const lastCol = this.getColumnLetter(Math.max(widestGrid, 4));
+      const periodsPerYear = new ReturnsEngine().periodsPerYear(baseline.outputs.periodType);
+      const resultCells = baseline.outputs.cells || {};
+      const cashflowSheetRef = resultCells.sheetName ? `'${resultCells.sheetName.replace(/'/g, "''")}'` : null;
+      const shiftFormat = '+0.00%;-0.00%;0.00%';
+      const axisFormat = (axis) => (axis.shift ? shiftFormat : '0.00%');
+
+      // Base-case inputs by name (or absolute address) so the highlight follows later edits
+      const inputRef = (dataKey) => {
+        const ref = this.cellTracker.getCellReference(dataKey);
+        return ref ? ref.replace(/!\$?([A-Z]+)\$?(\d+)$/, '!$$$1$$$2') : null;
+      };
+
+      // TITLE
+      sheet.getRange('A1').values = [['Sensitivities']];
+      const titleRange = sheet.getRange(`A1:${lastCol}1`);
+      titleRange.merge();
+      titleRange.format.font.bold = true;
+      titleRange.format.fill.color = ExcelFormatter.colors.backgroundDarker5;
+      titleRange.format.horizontalAlignment = 'Left';
+      sheet.getRange('A2').values = [[`Snapshot - each cell is the model recalculated with the row and column inputs applied, as of ${new Date(baseline.ranAt).toLocaleString()}. The grids do not update when the model changes.`]];
+      sheet.getRange('A2').format.font.italic = true;
+      const statusCell = sheet.getRange(SensitivityGrid.STATUS_CELL);
+      statusCell.format.font.bold = true;
+      let currentRow = 5;
+
+      grids.forEach(grid => {
+        const output = SensitivityGrid.OUTPUTS[grid.output];
+        const gridLastCol = this.getColumnLetter(grid.column.values.length);
+
+        // Grid header
+        sheet.getRange(`A${currentRow}`).values = [[grid.title]];
+        const headerRange = sheet.getRange(`A${currentRow}:${lastCol}${currentRow}`);
+        headerRange.format.font.bold = true;
+        headerRange.format.fill.color = ExcelFormatter.colors.darkBlue;
+        headerRange.format.font.color = ExcelFormatter.colors.white;
+        currentRow++;
+
+        // Current model output - linked to the Cashflows sheet where the result has a cell there
+        sheet.getRange(`A${currentRow}`).values = [['Current model']];
+        const currentCell = sheet.getRange(`B${currentRow}`);
+        const resultAddress = output.cell && resultCells[output.cell];
+        if (cashflowSheetRef && resultAddress) {
+          const ref = `${cashflowSheetRef}!${resultAddress.replace(/^([A-Z]+)(\d+)$/, '$$$1$$$2')}`;
+          currentCell.formulas = [[output.annualise ? `=IFERROR((1+${ref})^${periodsPerYear}-1,"n/a")` : `=${ref}`]];
+        } else {
+          const value = output.read(baseline.outputs);
+          currentCell.values = [[typeof value === 'number' ? value : 'n/a']];
+        }
+        currentCell.numberFormat = [[output.format]];
+        currentCell.format.horizontalAlignment = 'Right';
+        currentRow++;
+
+        // Current shift of each multi-input driver - shared while its inputs have moved by the same amount
+        const currentShift = {};
+        [grid.row, grid.column].filter(axis => axis.shift).forEach(axis => {
+          const moves = axis.dataKeys.map(dataKey => {
+            const ref = inputRef(dataKey);
+            return ref ? `(${ref}-${axis.bases[dataKey]})` : null;
+          });
+          if (moves.some(move => !move)) return;
+          const same = moves.slice(1).map(move => `ROUND(${move}-${moves[0]},9)=0`).join(',');
+          sheet.getRange(`A${currentRow}`).values = [[`Current ${axis.label}`]];
+          const shiftCell = sheet.getRange(`B${currentRow}`);
+          shiftCell.formulas = [[`=IF(AND(${same}),${moves[0]},"mixed")`]];
+          shiftCell.numberFormat = [[shiftFormat]];
+          shiftCell.format.horizontalAlignment = 'Right';
+          currentShift[axis.variable] = `$B$${currentRow}`;
+          currentRow++;
+        });
+
+        // Axis row: row variable down column A, column variable across
+        const axisRow = currentRow;
+        sheet.getRange(`A${axisRow}:${gridLastCol}${axisRow}`).values = [[`${grid.row.label} \\ ${grid.column.label}`, ...grid.column.values]];
+        sheet.getRange(`B${axisRow}:${gridLastCol}${axisRow}`).numberFormat = [grid.column.values.map(() => axisFormat(grid.column))];
+        const axisRange = sheet.getRange(`A${axisRow}:${gridLastCol}${axisRow}`);
+        axisRange.format.font.bold = true;
+        axisRange.format.borders.getItem('EdgeBottom').style = 'Continuous';
+        axisRange.format.borders.getItem('EdgeBottom').color = ExcelFormatter.colors.black;
+        currentRow++;
+
+        const firstDataRow = currentRow;
+        grid.row.values.forEach((rowValue, i) => {
+          const values = grid.values[i].map(value => (value === null ? 'n/a' : value));
+          sheet.getRange(`A${currentRow}:${gridLastCol}${currentRow}`).values = [[rowValue, ...values]];
+          sheet.getRange(`A${currentRow}`).numberFormat = [[axisFormat(grid.row)]];
+          sheet.getRange(`A${currentRow}`).format.font.bold = true;
+          sheet.getRange(`B${currentRow}:${gridLastCol}${currentRow}`).numberFormat = [grid.column.values.map(() => output.format)];
+          currentRow++;
+        });
+        const dataRange = sheet.getRange(`B${firstDataRow}:${gridLastCol}${currentRow - 1}`);
+        dataRange.format.horizontalAlignment = 'Right';
+
+        // Heat map, low red to high green
+        const heatMap = dataRange.conditionalFormats.add(Excel.ConditionalFormatType.colorScale);
+        heatMap.colorScale.criteria = {
+          minimum: { formula: null, type: Excel.ConditionalFormatColorCriterionType.lowestValue, color: '#F8696B' },
+          midpoint: { formula: '50', type: Excel.ConditionalFormatColorCriterionType.percentile, color: '#FFEB84' },
+          maximum: { formula: null, type: Excel.ConditionalFormatColorCriterionType.highestValue, color: '#63BE7B' }
+        };
+
+        // Base case: the cell whose row and column values match the model's current inputs (for a
+        // multi-input driver, the shift its inputs have moved by since the snapshot)
+        const baseRef = (axis) => (axis.shift ? currentShift[axis.variable] : inputRef(axis.dataKeys[0]));
+        const rowRef = baseRef(grid.row);
+        const columnRef = baseRef(grid.column);
+        if (rowRef && columnRef) {
+          const baseCase = dataRange.conditionalFormats.add(Excel.ConditionalFormatType.custom);
+          baseCase.custom.rule.formula = `=AND(ROUND($A${firstDataRow}-${rowRef},9)=0,ROUND(B$${axisRow}-${columnRef},9)=0)`;
+          baseCase.custom.format.font.bold = true;
+          ['EdgeTop', 'EdgeBottom', 'EdgeLeft', 'EdgeRight'].forEach(edge => {
+            baseCase.custom.format.borders.getItem(edge).style = 'Continuous';
+            baseCase.custom.format.borders.getItem(edge).color = ExcelFormatter.colors.darkBlue;
+          });
+        }
+
+        // Multi-input drivers move each input from its own value
+        const notes = [grid.row, grid.column]
+          .filter(axis => axis.shift)
+          .map(axis => `${axis.label} is added to each of the ${axis.dataKeys.length} inputs it covers.`);
+        if (notes.length > 0) {
+          sheet.getRange(`A${currentRow}`).values = [[notes.join(' ')]];
+          sheet.getRange(`A${currentRow}`).format.font.italic = true;
+          currentRow++;
+        }
+        currentRow++;
+      });
+
+      // Inputs at snapshot: value the grids were run with, live link to the input, and whether it differs
+      const snapshotHash = SensitivityGrid.inputHash(baseline.inputs, snapshotKeys);
+      const snapshotRows = snapshotKeys.map(dataKey => ({ dataKey, ref: inputRef(dataKey) })).filter(input => input.ref);
+      sheet.getRange(`A${currentRow}:D${currentRow}`).values = [[`Inputs at snapshot (${snapshotHash})`, 'Snapshot', 'Current', 'Changed']];
+      const snapshotHeader = sheet.getRange(`A${currentRow}:${lastCol}${currentRow}`);
+      snapshotHeader.format.font.bold = true;
+      snapshotHeader.format.fill.color = ExcelFormatter.colors.backgroundDarker5;
+      currentRow++;
+      const firstSnapshotRow = currentRow;
+      snapshotRows.forEach(input => {
+        const value = baseline.inputs[input.dataKey];
+        sheet.getRange(`A${currentRow}:B${currentRow}`).values = [[this.cellTracker.getRangeName(input.dataKey), value]];
+        sheet.getRange(`C${currentRow}:D${currentRow}`).formulas = [[
+          `=${input.ref}`,
+          `=IFERROR(ROUND(C${currentRow}-B${currentRow},9)<>0,TRUE)`
+        ]];
+        const format = value !== 0 && Math.abs(value) < 1 ? '0.00%' : '#,##0.00';
+        sheet.getRange(`B${currentRow}:C${currentRow}`).numberFormat = [[format, format]];
+        currentRow++;
+      });
+      sheet.getRange(`A${firstSnapshotRow}:D${currentRow}`).format.font.italic = true;
+
+      const upToDate = `Up to date - the Assumptions inputs match this snapshot (${snapshotHash})`;
+      statusCell.formulas = [[snapshotRows.length > 0
+        ? `=IF(COUNTIF(D${firstSnapshotRow}:D${currentRow - 1},TRUE)>0,"${SensitivityGrid.STALE_STATUS}","${upToDate}")`
+        : upToDate]];
+      const staleFormat = statusCell.conditionalFormats.add(Excel.ConditionalFormatType.containsText);
+      staleFormat.textComparison.format.font.color = '#C00000';
+      staleFormat.textComparison.rule = { operator: Excel.ConditionalTextOperator.beginsWith, text: 'STALE' };
+
+      const allDataRange = sheet.getRange(`A1:${lastCol}${currentRow}`);
+      allDataRange.format.font.name = 'Times New Roman';
+      allDataRange.format.font.size = 12;
+      sheet.showGridlines = false;
+      sheet.getRange(`B:${lastCol}`).format.columnWidth = 70;
+      sheet.getRange('A:A').format.columnWidth = 220;
+
+      await context.sync();
+      console.log(`✅ Sensitivities sheet created with ${grids.length} grid(s), snapshot ${snapshotHash}`);
+    });
+  }
+
+  // Monte Carlo sheet - seeded simulation over the in-memory model (see widgets/core/MonteCarloSimulator.js)
+  async generateMonteCarloSheet(modelData, config, onProgress = null) {
+    // The evaluator starts from the workbook's current inputs, and its base case is checked against the sheet
+    const baseline = await new ScenarioRunner(this).captureBaseline();
+    const evaluator = new ModelEvaluator(this, modelData, { inputs: baseline.inputs });
+    const results = await new MonteCarloSimulator(evaluator).run(config, onProgress);
+    results.workbook = baseline.outputs;
+
+    const result = await this.buildModelSheet('Monte Carlo', () => this.createMonteCarloSheet(results));
+    if (result && result.cancelled) return result;
+    return { success: true, results };
+  }
+
+  async createMonteCarloSheet(results) {
+    return Excel.run(async (context) => {
+      console.log('🎲 Creating Monte Carlo sheet...');
+      const sheets = context.workbook.worksheets;
+
+      // Delete existing Monte Carlo sheet if it exists
+      try {
+        const existingSheet = sheets.getItemOrNullObject('Monte Carlo');
+        existingSheet.load('name');
+        await context.sync();
+
+        if (!existingSheet.isNullObject) {
+          console.log('🗑️ Deleting existing Monte Carlo sheet');
+          existingSheet.delete();
+          await context.sync();
+        }
+      } catch (e) {
+        // Sheet doesn't exist, continue
+      }
+
+      const sheet = sheets.add('Monte Carlo');
+      const lastCol = 'H';
+      const percentFormat = '0.00%';
+      const cell = (value) => (typeof value === 'number' && isFinite(value) ? value : 'n/a');
+
+      const writeHeader = (row, label) => {
+        sheet.getRange(`A${row}`).values = [[label]];
+        const headerRange = sheet.getRange(`A${row}:${lastCol}${row}`);
+        headerRange.format.font.bold = true;
+        headerRange.format.fill.color = ExcelFormatter.colors.darkBlue;
+        headerRange.format.font.color = ExcelFormatter.colors.white;
+      };
+      const writeColumnHeadings = (row, headings) => {
+        const range = sheet.getRange(`A${row}:${this.getColumnLetter(headings.length - 1)}${row}`);
+        range.values = [headings];
+        range.format.font.bold = true;
+        range.format.borders.getItem('EdgeBottom').style = 'Continuous';
+        range.format.borders.getItem('EdgeBottom').color = ExcelFormatter.colors.black;
+      };
+
+      // TITLE
+      sheet.getRange('A1').values = [['Monte Carlo Simulation']];
+      const titleRange = sheet.getRange(`A1:${lastCol}1`);
+      titleRange.merge();
+      titleRange.format.font.bold = true;
+      titleRange.format.fill.color = ExcelFormatter.colors.backgroundDarker5;
+      titleRange.format.horizontalAlignment = 'Left';
+      sheet.getRange('A2').values = [[`${results.iterations.toLocaleString()} iterations, seed ${results.seed}, run ${new Date(results.ranAt).toLocaleString()}. ` +
+        'Each iteration recalculates the P&L, Debt and Cashflows logic in memory - rerun with the same seed to reproduce it.']];
+      sheet.getRange('A2').format.font.italic = true;
+      let currentRow = 4;
+
+      // Sampled inputs
+      writeHeader(currentRow++, 'Inputs');
+      writeColumnHeadings(currentRow++, ['Input', 'Distribution', 'Mean / Min', 'Std Dev / Mode', 'Max', 'Current model', 'Sampled mean', 'Inputs covered']);
+      results.variables.forEach(variable => {
+        const { params } = variable;
+        const shape = variable.distribution === 'normal'
+          ? [params.mean, params.stdDev, '']
+          : variable.distribution === 'uniform' ? [params.min, '', params.max] : [params.min, params.mode, params.max];
+        sheet.getRange(`A${currentRow}:H${currentRow}`).values = [[
+          variable.label,
+          MonteCarloSimulator.DISTRIBUTIONS[variable.distribution].label,
+          ...shape,
+          cell(variable.base),
+          cell(variable.stats.mean),
+          variable.dataKeys.length
+        ]];
+        // Shifts are signed so they do not read as the inputs' own rates
+        const format = variable.shift ? '+0.00%;-0.00%;0.00%' : percentFormat;
+        sheet.getRange(`C${currentRow}:G${currentRow}`).numberFormat = [[format, variable.distribution === 'normal' ? percentFormat : format, format, format, format]];
+        currentRow++;
+      });
+
+      // Correlations, only when some were given
+      const correlated = results.correlations.some((row, i) => row.some((rho, j) => i !== j && rho !== 0));
+      if (correlated) {
+        currentRow++;
+        writeHeader(currentRow++, 'Correlations');
+        writeColumnHeadings(currentRow++, ['', ...results.variables.map(variable => variable.label)]);
+        results.variables.forEach((variable, i) => {
+          const rowLastCol = this.getColumnLetter(results.variables.length);
+          sheet.getRange(`A${currentRow}:${rowLastCol}${currentRow}`).values = [[variable.label, ...results.correlations[i]]];
+          sheet.getRange(`B${currentRow}:${rowLastCol}${currentRow}`).numberFormat = [results.variables.map(() => '0.00')];
+          currentRow++;
+        });
+      }
+
+      // Distribution of each output
+      currentRow++;
+      const confidence = `${Math.round(results.confidence * 100)}%`;
+      writeHeader(currentRow++, 'Results');
+      writeColumnHeadings(currentRow++, ['Output', 'Base case', 'Mean', 'P10', 'P50', 'P90', `${confidence} low`, `${confidence} high`]);
+      Object.entries(results.outputs).forEach(([key, output]) => {
+        const { stats } = output;
+        sheet.getRange(`A${currentRow}:H${currentRow}`).values = [[
+          output.label,
+          cell(SensitivityGrid.OUTPUTS[key].read(results.base)),
+          cell(stats.mean), cell(stats.p10), cell(stats.p50), cell(stats.p90), cell(stats.lower), cell(stats.upper)
+        ]];
+        sheet.getRange(`B${currentRow}:H${currentRow}`).numberFormat = [Array(7).fill(output.format)];
+        currentRow++;
+      });
+      const failed = results.outputs.leveredIRR.stats.failed;
+      if (failed > 0) {
+        sheet.getRange(`A${currentRow}`).values = [[`${failed} iteration(s) had no levered IRR and are left out of the statistics.`]];
+        sheet.getRange(`A${currentRow}`).format.font.italic = true;
+        currentRow++;
+      }
+
+      if (results.targetIRR !== null) {
+        sheet.getRange(`A${currentRow}:B${currentRow}`).values = [['Target levered IRR', results.targetIRR]];
+        sheet.getRange(`A${currentRow + 1}:B${currentRow + 1}`).values = [['Probability of reaching target', cell(results.probabilityOfTarget)]];
+        sheet.getRange(`B${currentRow}:B${currentRow + 1}`).numberFormat = [[percentFormat], ['0.0%']];
+        sheet.getRange(`A${currentRow + 1}:B${currentRow + 1}`).format.font.bold = true;
+        currentRow += 2;
+      }
+
+      // The evaluator follows the template formulas; a gap means the workbook was edited or built differently
+      const workbookIRR = results.workbook?.levered?.annualIRR;
+      const evaluatorIRR = results.base.levered.annualIRR;
+      if (typeof workbookIRR === 'number') {
+        sheet.getRange(`A${currentRow}:B${currentRow}`).values = [['Levered IRR on the Cashflows sheet', workbookIRR]];
+        sheet.getRange(`B${currentRow}`).numberFormat = [[percentFormat]];
+        currentRow++;
+        if (typeof evaluatorIRR !== 'number' || Math.abs(evaluatorIRR - workbookIRR) > 0.0005) {
+          sheet.getRange(`A${currentRow}`).values = [['⚠️ The simulated base case differs from the Cashflows sheet - results may not reflect manual edits to the model.']];
+          sheet.getRange(`A${currentRow}`).format.font.color = '#9C0006';
+          currentRow++;
+        }
+      }
+
+      // Histograms, each with a column chart beside it
+      const charts = [];
+      ['leveredIRR', 'leveredMOIC'].forEach(key => {
+        const output = results.outputs[key];
+        if (output.histogram.length === 0) return;
+        currentRow++;
+        writeHeader(currentRow++, `${output.label} Distribution`);
+        writeColumnHeadings(currentRow++, ['Bin', 'From', 'To', 'Iterations', 'Share']);
+
+        const firstRow = currentRow;
+        const label = (value) => (output.format.includes('%') ? `${(value * 100).toFixed(1)}%` : `${value.toFixed(2)}x`);
+        sheet.getRange(`A${firstRow}:E${firstRow + output.histogram.length - 1}`).values =
+          output.histogram.map(bin => [`${label(bin.from)} to ${label(bin.to)}`, bin.from, bin.to, bin.count, bin.share]);
+        sheet.getRange(`B${firstRow}:C${firstRow + output.histogram.length - 1}`).numberFormat =
+          output.histogram.map(() => [output.format, output.format]);
+        sheet.getRange(`E${firstRow}:E${firstRow + output.histogram.length - 1}`).numberFormat =
+          output.histogram.map(() => ['0.0%']);
+        currentRow += output.histogram.length;
+
+        charts.push({ title: `${output.label} (${results.iterations.toLocaleString()} iterations)`, firstRow, lastRow: currentRow - 1 });
+      });
+
+      const allDataRange = sheet.getRange(`A1:${lastCol}${currentRow}`);
+      allDataRange.format.font.name = 'Times New Roman';
+      allDataRange.format.font.size = 12;
+      sheet.getRange(`B:${lastCol}`).format.columnWidth = 80;
+      sheet.getRange('A:A').format.columnWidth = 220;
+      sheet.showGridlines = false;
+      await context.sync();
+
+      charts.forEach(({ title, firstRow, lastRow }) => {
+        const chart = sheet.charts.add(Excel.ChartType.columnClustered, sheet.getRange(`D${firstRow}:D${lastRow}`), Excel.ChartSeriesBy.columns);
+        chart.series.getItemAt(0).setXAxisValues(sheet.getRange(`A${firstRow}:A${lastRow}`));
+        chart.title.text = title;
+        chart.legend.visible = false;
+        chart.setPosition(`J${firstRow - 2}`, `Q${Math.max(lastRow, firstRow + 16)}`);
+      });
+
+      await context.sync();
+      console.log(`✅ Monte Carlo sheet created (${results.iterations} iterations)`);
+    });
+  }
+
+  // Scenario Comparison sheet - every saved case recalculated through the workbook (see widgets/core/ScenarioManager.js)
+  async generateScenarioComparisonSheet(onProgress = null) {
+    const book = await new ScenarioManager(this).loadCases();
+    if (!book) {
+      throw new Error('No scenario cases saved yet - save a case first');
+    }
+
+    // Inputs a regenerated model no longer has are left out of the runs
+    const runner = new ScenarioRunner(this);
+    await this.restoreCellTrackers();
+    const tracked = new Set(runner.getTrackedInputs().map(cell => cell.dataKey));
+    const cases = book.cases.map(item => ({ name: item.name, inputs: ScenarioManager.caseInputs(book, item.name) }));
+    const snapshots = await runner.runBatch(cases.map(item => Object.fromEntries(
+      Object.entries(item.inputs).filter(([dataKey]) => tracked.has(dataKey))
+    )), onProgress);
+    cases.forEach((item, i) => {
+      item.outputs = snapshots[i].outputs;
+    });
+
+    const result = await this.buildModelSheet('Scenario Comparison', () => this.createScenarioComparisonSheet(book, cases));
+    if (result && result.cancelled) return result;
+    return { success: true, book, cases };
+  }
+
+  async createScenarioComparisonSheet(book, cases) {
+    return Excel.run(async (context) => {
+      console.log('📊 Creating Scenario Comparison sheet...');
+      const sheets = context.workbook.worksheets;
+
+      // Delete existing Scenario Comparison sheet if it exists
+      try {
+        const existingSheet = sheets.getItemOrNullObject('Scenario Comparison');
+        existingSheet.load('name');
+        await context.sync();
+
+        if (!existingSheet.isNullObject) {
+          console.log('🗑️ Deleting existing Scenario Comparison sheet');
+          existingSheet.delete();
+          await context.sync();
+        }
+      } catch (e) {
+        // Sheet doesn't exist, continue
+      }
+
+      const sheet = sheets.add('Scenario Comparison');
+      const lastCol = this.getColumnLetter(cases.length);
+      const valuesRange = (row) => sheet.getRange(`B${row}:${lastCol}${row}`);
+
+      const writeHeader = (row, label) => {
+        sheet.getRange(`A${row}:${lastCol}${row}`).values = [[label, ...cases.map(item => item.name)]];
+        const headerRange = sheet.getRange(`A${row}:${lastCol}${row}`);
+        headerRange.format.font.bold = true;
+        headerRange.format.fill.color = ExcelFormatter.colors.darkBlue;
+        headerRange.format.font.color = ExcelFormatter.colors.white;
+        valuesRange(row).format.horizontalAlignment = 'Right';
+      };
+
+      // TITLE
+      sheet.getRange('A1').values = [['Scenario Comparison']];
+      const titleRange = sheet.getRange(`A1:${lastCol}1`);
+      titleRange.merge();
+      titleRange.format.font.bold = true;
+      titleRange.format.fill.color = ExcelFormatter.colors.backgroundDarker5;
+      titleRange.format.horizontalAlignment = 'Left';
+      sheet.getRange('A2').values = [[`Each case recalculated through the workbook on ${new Date().toLocaleString()}. ` +
+        `Cases are kept on the hidden ${ScenarioManager.SHEET_NAME} sheet; pick the live one with Active Case on the Assumptions sheet.`]];
+      sheet.getRange('A2').format.font.italic = true;
+      let currentRow = 4;
+
+      // Outputs per case
+      const outputs = Object.values(SensitivityGrid.OUTPUTS);
+      writeHeader(currentRow++, 'Returns');
+      const returnsRow = currentRow;
+      outputs.forEach(output => {
+        sheet.getRange(`A${currentRow}`).values = [[output.label]];
+        valuesRange(currentRow).values = [cases.map(item => {
+          const value = output.read(item.outputs);
+          return typeof value === 'number' && isFinite(value) ? value : 'n/a';
+        })];
+        valuesRange(currentRow).numberFormat = [cases.map(() => output.format)];
+        currentRow++;
+      });
+
+      // Change against the Base case (always the first column)
+      currentRow++;
+      writeHeader(currentRow++, 'Change vs Base');
+      outputs.forEach((output, i) => {
+        const row = returnsRow + i;
+        sheet.getRange(`A${currentRow}`).values = [[output.label]];
+        valuesRange(currentRow).formulas = [cases.map((_, j) => {
+          const column = this.getColumnLetter(j + 1);
+          return `=IFERROR(${column}${row}-$B$${row},"n/a")`;
+        })];
+        valuesRange(currentRow).numberFormat = [cases.map(() => output.format)];
+        currentRow++;
+      });
+
+      // The inputs each case sets; changed ones in bold
+      currentRow++;
+      writeHeader(currentRow++, 'Inputs');
+      book.inputs.forEach(input => {
+        sheet.getRange(`A${currentRow}`).values = [[input.label]];
+        valuesRange(currentRow).values = [cases.map(item => item.inputs[input.dataKey])];
+        valuesRange(currentRow).numberFormat = [cases.map(() => input.format)];
+        cases.forEach((item, j) => {
+          if (item.inputs[input.dataKey] !== book.base[input.dataKey]) {
+            sheet.getRange(`${this.getColumnLetter(j + 1)}${currentRow}`).format.font.bold = true;
+          }
+        });
+        currentRow++;
+      });
+
+      const allDataRange = sheet.getRange(`A1:${lastCol}${currentRow}`);
+      allDataRange.format.font.name = 'Times New Roman';
+      allDataRange.format.font.size = 12;
+      sheet.getRange('A:A').format.columnWidth = 180;
+      sheet.getRange(`B:${lastCol}`).format.columnWidth = 90;
+      sheet.showGridlines = false;
+
+      // Print-ready for File > Export > PDF: landscape, one page wide (page layout needs ExcelApi 1.9)
+      if (Office.context.requirements.isSetSupported('ExcelApi', '1.9')) {
+        sheet.pageLayout.orientation = Excel.PageOrientation.landscape;
+        sheet.pageLayout.setPrintArea(`A1:${lastCol}${currentRow - 1}`);
+        sheet.pageLayout.setPrintTitleRows('$1:$2');
+        sheet.pageLayout.zoom = { horizontalFitToPages: 1, verticalFitToPages: 0 };
+        sheet.pageLayout.centerHorizontally = true;
+        sheet.pageLayout.headersFooters.defaultForAllPages.centerFooter = 'Page &P of &N';
+      }
+      sheet.activate();
+
+      await context.sync();
+      console.log(`✅ Scenario Comparison sheet created with ${cases.length} case(s)`);
+    });
+  }
+
+  // Tornado sheet - one-way sensitivity of every input, recalculated through the workbook (see widgets/core/TornadoAnalysis.js)
+  async generateTornadoSheet(config = {}, onProgress = null) {
+    const runner = new ScenarioRunner(this);
+    const baseline = await runner.captureBaseline();
+    const analysis = TornadoAnalysis.resolve(config, baseline.inputs, await runner.getOverridableInputs());
+
+    const snapshots = await runner.runBatch(TornadoAnalysis.scenarios(analysis), onProgress);
+    TornadoAnalysis.fill(analysis, snapshots, baseline);
+
+    const result = await this.buildModelSheet('Tornado', () => this.createTornadoSheet(analysis));
+    if (result && result.cancelled) return result;
+    return { success: true, analysis };
+  }
+
+  async createTornadoSheet(analysis) {
+    return Excel.run(async (context) => {
+      console.log('🌪️ Creating Tornado sheet...');
+      const sheets = context.workbook.worksheets;
+
+      // Delete existing Tornado sheet if it exists
+      try {
+        const existingSheet = sheets.getItemOrNullObject('Tornado');
+        existingSheet.load('name');
+        await context.sync();
+
+        if (!existingSheet.isNullObject) {
+          console.log('🗑️ Deleting existing Tornado sheet');
+          existingSheet.delete();
+          await context.sync();
+        }
+      } catch (e) {
+        // Sheet doesn't exist, continue
+      }
+
+      const sheet = sheets.add('Tornado');
+      const output = SensitivityGrid.OUTPUTS[analysis.output];
+      const lastCol = 'I';
+      const cell = (value) => (typeof value === 'number' && isFinite(value) ? value : 'n/a');
+      const inputFormat = (driver) => (TornadoAnalysis.RATES.test(driver.dataKey) ? '0.00%' : Number.isInteger(driver.base) ? '#,##0' : '#,##0.00');
+
+      // TITLE
+      sheet.getRange('A1').values = [[`Tornado - ${output.label}`]];
+      const titleRange = sheet.getRange(`A1:${lastCol}1`);
+      titleRange.merge();
+      titleRange.format.font.bold = true;
+      titleRange.format.fill.color = ExcelFormatter.colors.backgroundDarker5;
+      titleRange.format.horizontalAlignment = 'Left';
+      const band = `±${Math.round(analysis.band * 1000) / 10}% of its value` +
+        (analysis.rateBand !== null ? ` (rates ±${Math.round(analysis.rateBand * 10000) / 100} points)` : '');
+      sheet.getRange('A2').values = [[`Each input moved ${band} with everything else held, recalculated through the workbook on ${new Date(analysis.ranAt).toLocaleString()}.`]];
+      sheet.getRange('A2').format.font.italic = true;
+
+      sheet.getRange('A4:B4').values = [[`Base ${output.label}`, cell(analysis.baseOutput)]];
+      sheet.getRange('B4').numberFormat = [[output.format]];
+      sheet.getRange('A4:B4').format.font.bold = true;
+
+      // Ranked table - the chart plots the two change columns
+      const headerRow = 6;
+      sheet.getRange(`A${headerRow}:${lastCol}${headerRow}`).values = [[
+        'Rank', 'Input', 'Base', 'Low', 'High', `${output.label} at Low`, `${output.label} at High`, 'Low', 'High'
+      ]];
+      const headerRange = sheet.getRange(`A${headerRow}:${lastCol}${headerRow}`);
+      headerRange.format.font.bold = true;
+      headerRange.format.fill.color = ExcelFormatter.colors.darkBlue;
+      headerRange.format.font.color = ExcelFormatter.colors.white;
+      sheet.getRange(`H${headerRow - 1}`).values = [['Change vs Base']];
+      sheet.getRange(`H${headerRow - 1}`).format.font.italic = true;
+
+      const firstRow = headerRow + 1;
+      analysis.drivers.forEach((driver, i) => {
+        const row = firstRow + i;
+        sheet.getRange(`A${row}:G${row}`).values = [[
+          i + 1, driver.label, driver.base, driver.low, driver.high, cell(driver.lowOutput), cell(driver.highOutput)
+        ]];
+        sheet.getRange(`H${row}:I${row}`).formulas = [[`=IFERROR(F${row}-$B$4,0)`, `=IFERROR(G${row}-$B$4,0)`]];
+        sheet.getRange(`C${row}:E${row}`).numberFormat = [Array(3).fill(inputFormat(driver))];
+        sheet.getRange(`F${row}:I${row}`).numberFormat = [Array(4).fill(output.format)];
+      });
+      const lastRow = firstRow + analysis.drivers.length - 1;
+
+      const allDataRange = sheet.getRange(`A1:${lastCol}${lastRow}`);
+      allDataRange.format.font.name = 'Times New Roman';
+      allDataRange.format.font.size = 12;
+      sheet.getRange('A:A').format.columnWidth = 60;
+      sheet.getRange('B:B').format.columnWidth = 200;
+      sheet.getRange(`C:${lastCol}`).format.columnWidth = 85;
+      sheet.getRange(`A${firstRow}:A${lastRow}`).format.horizontalAlignment = 'Center';
+      sheet.showGridlines = false;
+      await context.sync();
+
+      // Tornado: overlapping bars of the low and high changes, biggest swing at the top
+      const chart = sheet.charts.add(Excel.ChartType.barClustered, sheet.getRange(`H${headerRow}:I${lastRow}`), Excel.ChartSeriesBy.columns);
+      chart.title.text = `${output.label} - change vs base`;
+      chart.series.getItemAt(0).setXAxisValues(sheet.getRange(`B${firstRow}:B${lastRow}`));
+      chart.series.getItemAt(1).setXAxisValues(sheet.getRange(`B${firstRow}:B${lastRow}`));
+      chart.series.getItemAt(0).overlap = 100;
+      chart.series.getItemAt(0).gapWidth = 40;
+      chart.axes.categoryAxis.reversePlotOrder = true;
+      chart.axes.categoryAxis.tickLabelPosition = Excel.ChartAxisTickLabelPosition.low;
+      chart.axes.valueAxis.numberFormat = output.format;
+      chart.legend.position = Excel.ChartLegendPosition.bottom;
+      chart.setPosition(`K${headerRow}`, `S${Math.max(lastRow, headerRow + 20)}`);
+
+      await context.sync();
+      console.log(`✅ Tornado sheet created with ${analysis.drivers.length} input(s)`);
+    });
+  }
+
+  // Read the actual P&L sheet to discover structure
+  async readPLSheetStructure() {
+    return Excel.run(async (context) => {
+      console.log('🔍 Reading P&L sheet structure...');
+      
+      try {
+        const plSheet = context.workbook.worksheets.getItem('P&L Statement');
+        
+        // Get the used range to understand the structure
+        const usedRange = plSheet.getUsedRange();
+        usedRange.load(['values', 'formulas', 'address']);
+        
+        await context.sync();
+        
+        const values = usedRange.values;
+        const formulas = usedRange.formulas;
+        const address = usedRange.address;
+        
+        console.log('📋 P&L Used Range:', address);
+        console.log('📋 P&L Values sample:', values.slice(0, 5));
+        
+        // Parse the structure to find key line items
+        const structure = {
+          totalColumns: values[0].length,
+          lineItems: {},
+          periodColumns: [],
+          address: address
+        };
+        
+        // Find period headers (typically row 3)
+        if (values.length > 2) {
+          structure.periodColumns = values[2].slice(1); // Skip first column (labels)
+        }
+        
+        // Scan for key line items
+        values.forEach((row, rowIndex) => {
+          const label = row[0];
+          if (typeof label === 'string') {
+            const labelLower = label.toLowerCase();
+            
+            // Map key items to their row positions
+            if (labelLower.includes('total revenue')) {
+              structure.lineItems.totalRevenue = {
+                row: rowIndex + 1, // Excel rows are 1-based
+                range: `B${rowIndex + 1}:${this.getColumnLetter(structure.totalColumns - 1)}${rowIndex + 1}`,
+                label: label
               };
             }
             if (labelLower.includes('total operating expenses')) {
@@ -1348,7 +2569,7 @@ Required format:
     console.log('🤖 Generating FCF AI prompt...');
     
     // Calculate periods
-    const periods = this.calculatePeriods(modelData.projectStartDate, modelData.projectEndDate, modelData.modelPeriods);
+    const periods = this.calculatePeriods(modelData.projectStartDate, modelData.projectEndDate, modelData.modelPeriods, modelData.fiscalYearEnd);
     const maxPeriods = Math.min(periods, 60);
     
     const prompt = `You are a world-class M&A financial modeling expert. You have been provided with a complete Assumptions sheet and a fully generated P&L Statement. Your task is to create a comprehensive Free Cash Flow Statement that references these existing sheets.
@@ -1589,7 +2810,7 @@ Provide the COMPLETE Free Cash Flow model with exact Excel formulas for every ce
       await context.sync();
       
       // Calculate periods
-      const periods = this.calculatePeriods(modelData.projectStartDate, modelData.projectEndDate, modelData.modelPeriods);
+      const periods = this.calculatePeriods(modelData.projectStartDate, modelData.projectEndDate, modelData.modelPeriods, modelData.fiscalYearEnd);
       const periodColumns = periods; // Use full calculated periods
       
       let currentRow = 1;
@@ -1604,11 +2825,10 @@ Provide the COMPLETE Free Cash Flow model with exact Excel formulas for every ce
       
       // TIME PERIOD HEADERS - Include Period 0 for Initial Investment
       const headers = [''];
-      const prevPeriodLabel = this.getPreviousPeriodLabel(modelData.projectStartDate, modelData.modelPeriods);
+      const prevPeriodLabel = this.getPreviousPeriodLabel(modelData.projectStartDate, modelData.modelPeriods, modelData.fiscalYearEnd);
       headers.push(prevPeriodLabel); // Period 0 with actual date label
-      const startDate = new Date(modelData.projectStartDate);
       for (let i = 0; i < periodColumns; i++) {
-        headers.push(this.formatPeriodHeader(startDate, i, modelData.modelPeriods));
+        headers.push(this.formatPeriodHeader(modelData.projectStartDate, i, modelData.modelPeriods, modelData.fiscalYearEnd));
       }
       const totalColumns = periodColumns + 1; // +1 for Initial Investment period
       
@@ -1954,10 +3174,8 @@ Provide the COMPLETE Free Cash Flow model with exact Excel formulas for every ce
           fcfSheet.getRange(`A${currentRow}`).format.font.bold = true;
           fcfSheet.getRange(`A${currentRow}`).format.font.italic = true;
           
-          // MOIC = Total Cash Returned / Initial Investment
-          // Use the same cash flow range as IRR (excluding initial investment) and sum it
-          const cashFlowRangeWithoutInitial = `C${irrCashFlowRow}:${this.getColumnLetter(totalColumns)}${irrCashFlowRow}`;
-          fcfSheet.getRange(`B${currentRow}`).formulas = [[`=SUM(${cashFlowRangeWithoutInitial}) / ${equityContribution}`]];
+          // MOIC = Total Cash Returned / Total Cash Invested over the IRR series (ReturnsEngine.moic)
+          fcfSheet.getRange(`B${currentRow}`).formulas = [[`=IFERROR(SUMIF(${irrCashFlowRange},">0")/-SUMIF(${irrCashFlowRange},"<0"),"n/a")`]];
           fcfSheet.getRange(`B${currentRow}`).format.numberFormat = [['0.00"x"']];
           
         } else {
@@ -2096,7 +3314,7 @@ Provide the COMPLETE Free Cash Flow model with exact Excel formulas for every ce
       let currentRow = 1;
       
       // Calculate number of periods
-      const periods = this.calculatePeriods(modelData.projectStartDate, modelData.projectEndDate, modelData.modelPeriods);
+      const periods = this.calculatePeriods(modelData.projectStartDate, modelData.projectEndDate, modelData.modelPeriods, modelData.fiscalYearEnd);
       const periodColumns = periods; // Use full calculated periods
       
       // HEADER
@@ -2107,9 +3325,8 @@ Provide the COMPLETE Free Cash Flow model with exact Excel formulas for every ce
       
       // TIME PERIOD HEADERS
       const headers = [''];
-      const startDate = new Date(modelData.projectStartDate);
       for (let i = 0; i < periodColumns; i++) {
-        headers.push(this.formatPeriodHeader(startDate, i, modelData.modelPeriods));
+        headers.push(this.formatPeriodHeader(modelData.projectStartDate, i, modelData.modelPeriods, modelData.fiscalYearEnd));
       }
       
       const headerRange = plSheet.getRange(`A${currentRow}:${this.getColumnLetter(periodColumns)}${currentRow}`);
@@ -2145,7 +3362,7 @@ Provide the COMPLETE Free Cash Flow model with exact Excel formulas for every ce
               
               if (col === 1) {
                 // First period - base value
-                plSheet.getRange(`${colLetter}${currentRow}`).formulas = [[`=Assumptions!${valueRef.split('!')[1]}`]];
+                plSheet.getRange(`${colLetter}${currentRow}`).formulas = [[`=${valueRef}`]];
               } else {
                 // Subsequent periods - apply growth
                 const prevCol = this.getColumnLetter(col - 1);
@@ -2211,7 +3428,7 @@ Provide the COMPLETE Free Cash Flow model with exact Excel formulas for every ce
               
               if (col === 1) {
                 // First period - base value (negative for expenses)
-                plSheet.getRange(`${colLetter}${currentRow}`).formulas = [[`=-Assumptions!${valueRef.split('!')[1]}`]];
+                plSheet.getRange(`${colLetter}${currentRow}`).formulas = [[`=-${valueRef}`]];
               } else {
                 // Subsequent periods - apply growth
                 const prevCol = this.getColumnLetter(col - 1);
@@ -2327,161 +3544,405 @@ Provide the COMPLETE Free Cash Flow model with exact Excel formulas for every ce
       'SEK': '[$kr-sv-SE] #,##0;[Red][$kr-sv-SE] -#,##0',
       'NOK': '[$kr-nb-NO] #,##0;[Red][$kr-nb-NO] -#,##0'
     };
-    
-    return currencyFormats[currency] || currencyFormats['USD'];
+    
+    return currencyFormats[currency] || currencyFormats['USD'];
+  }
+  
+  // Calculate number of periods between dates
+  calculatePeriods(startDate, endDate, periodType, fiscalYearEnd) {
+    if (!startDate || !endDate) {
+      return 12; // Default
+    }
+    
+    const calendar = new PeriodCalendar({ startDate, endDate, periodType, fiscalYearEnd });
+    return Math.max(1, calendar.count());
+  }
+  
+  // Format period header based on period type (periodIndex 0 is the first operating period)
+  formatPeriodHeader(startDate, periodIndex, periodType, fiscalYearEnd) {
+    const calendar = new PeriodCalendar({ startDate, periodType, fiscalYearEnd });
+    return calendar.getPeriod(periodIndex + 1)?.label || `Period ${periodIndex + 1}`;
+  }
+  
+  // Excel serial date of the period end for XIRR calculations (periodIndex -1 is Period 0)
+  formatPeriodDate(startDate, periodIndex, periodType, fiscalYearEnd) {
+    const calendar = new PeriodCalendar({ startDate, periodType, fiscalYearEnd });
+    return calendar.getPeriod(periodIndex + 1)?.serial ?? null;
+  }
+  
+  // Convert an annual growth rate (decimal) to a per-period rate. Compounding is the default;
+  // 'simple' keeps the old straight division for models that were built that way.
+  adjustGrowthRateForPeriod(annualRate, periodType, method = 'compound') {
+    const periodsPerYear = this.getPeriodsPerYear(periodType);
+    if (method === 'simple') {
+      return annualRate / periodsPerYear;
+    }
+    return Math.pow(1 + annualRate, 1 / periodsPerYear) - 1;
+  }
+  
+  // Calculate period rate
+  calculatePeriodRate(annualRate, periodType, method = 'compound') {
+    return this.adjustGrowthRateForPeriod(annualRate, periodType, method);
+  }
+  
+  // Formula terms for one period of the timeline: its share of a year ('1/12' for a full month,
+  // '16/31/12' for a 16-day stub month) and, for a stub at either end, the share of a full period
+  // it covers ('16/31') so per-period amounts can be prorated
+  getPeriodTerms(period, periodsPerYear) {
+    if (!period || !period.isStub) {
+      return { yearFraction: `1/${periodsPerYear}`, share: null };
+    }
+    return {
+      yearFraction: `${period.days}/${period.regularDays}/${periodsPerYear}`,
+      share: `${period.days}/${period.regularDays}`
+    };
   }
   
-  // Calculate number of periods between dates
-  calculatePeriods(startDate, endDate, periodType) {
-    if (!startDate || !endDate) {
-      return 12; // Default
+  // Generate growth formula for one period from the previous period's cell.
+  // growthType: 'compound' (default), 'simple', 'step' (reviews every N years), 'indexed' or 'flat'
+  // options.yearFraction overrides the full-period exponent for stub periods (see getPeriodTerms)
+  getGrowthFormula(prevCellRef, growthRateRef, periodType, growthType = 'compound', options = {}) {
+    if (!growthType || growthType === 'none' || growthType === 'flat') {
+      return `=${prevCellRef}`; // No growth
     }
     
-    const start = new Date(startDate);
-    const end = new Date(endDate);
-    const diffTime = Math.abs(end - start);
-    const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+    // Indexation follows the inflation index row rather than the item's own rate
+    if (growthType === 'indexed') {
+      return options.indexRef && options.prevIndexRef
+        ? `=${prevCellRef}*${options.indexRef}/${options.prevIndexRef}`
+        : `=${prevCellRef}`;
+    }
     
-    switch (periodType) {
-      case 'daily':
-        return Math.min(diffDays, 1000); // Increased cap for daily periods
-      case 'monthly':
-        return Math.ceil(diffDays / 30); // Removed cap for monthly periods
-      case 'quarterly':
-        return Math.ceil(diffDays / 90); // Removed cap for quarterly periods
-      case 'yearly':
-        return Math.ceil(diffDays / 365); // Removed cap for yearly periods
+    if (!growthRateRef) {
+      return `=${prevCellRef}`;
+    }
+    
+    const periodsPerYear = this.getPeriodsPerYear(periodType);
+    const yearFraction = options.yearFraction;
+    
+    switch (growthType) {
+      case 'simple':
+        if (yearFraction) return `=${prevCellRef}*(1+${growthRateRef}*${yearFraction})`;
+        return periodsPerYear === 1
+          ? `=${prevCellRef}*(1+${growthRateRef})`
+          : `=${prevCellRef}*(1+${growthRateRef}/${periodsPerYear})`;
+      case 'step': {
+        // Flat between reviews, then uplifted by the growth compounded over the review interval
+        if (!options.periodRef) return `=${prevCellRef}`;
+        const reviewYears = options.reviewRef || 1;
+        const startPeriod = options.startRef || 1;
+        return `=${prevCellRef}*IF(MOD(${options.periodRef}-${startPeriod},${reviewYears}*${periodsPerYear})=0,(1+${growthRateRef})^${reviewYears},1)`;
+      }
+      case 'compound':
       default:
-        return 12;
+        if (yearFraction) return `=${prevCellRef}*(1+${growthRateRef})^(${yearFraction})`;
+        return periodsPerYear === 1
+          ? `=${prevCellRef}*(1+${growthRateRef})`
+          : `=${prevCellRef}*(1+${growthRateRef})^(1/${periodsPerYear})`;
     }
   }
   
-  // Format period header based on period type
-  formatPeriodHeader(startDate, periodIndex, periodType) {
-    const date = new Date(startDate);
+  // Assumptions sheet references for a revenue/opex line (prefix 'revenue' or 'opex')
+  getLineItemRefs(prefix, index) {
+    return {
+      valueRef: this.cellTracker.getCellReference(`${prefix}_${index}`),
+      growthRateRef: this.cellTracker.getCellReference(`${prefix}_${index}_growth_rate`),
+      startRef: this.cellTracker.getCellReference(`${prefix}_${index}_start`),
+      endRef: this.cellTracker.getCellReference(`${prefix}_${index}_end`),
+      reviewRef: this.cellTracker.getCellReference(`${prefix}_${index}_review`)
+    };
+  }
+  
+  // P&L formula for one operating period of a revenue or cost line. The line is live between
+  // its start and end periods, takes its base value in the first live period and grows after that.
+  // Stub periods (cell.period / cell.prevPeriod from the calendar) grow by their own year fraction
+  // and carry a prorated amount, so growth continues from the previous period's full-period rate.
+  getLineItemFormula(item, refs, cell) {
+    const periodRef = `${cell.colLetter}$${cell.periodRow}`;
+    const startRef = refs.startRef || 1;
+    const endRef = refs.endRef || cell.lastPeriod;
+    const periodsPerYear = this.getPeriodsPerYear(cell.periodType);
+    const terms = this.getPeriodTerms(cell.period, periodsPerYear);
+    const prevTerms = this.getPeriodTerms(cell.prevPeriod, periodsPerYear);
+    const prorate = (formula) => terms.share ? `(${formula})*${terms.share}` : formula;
     
-    switch (periodType) {
-      case 'daily':
-        date.setDate(date.getDate() + periodIndex);
-        return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-      case 'monthly':
-        date.setMonth(date.getMonth() + periodIndex);
-        return date.toLocaleDateString('en-US', { year: 'numeric', month: 'short' });
-      case 'quarterly':
-        date.setMonth(date.getMonth() + (periodIndex * 3));
-        const quarter = Math.floor((date.getMonth() / 3)) + 1;
-        return `Q${quarter} ${date.getFullYear()}`;
-      case 'yearly':
-        date.setFullYear(date.getFullYear() + periodIndex);
-        return date.getFullYear().toString();
-      default:
-        date.setMonth(date.getMonth() + periodIndex);
-        return date.toLocaleDateString('en-US', { year: 'numeric', month: 'short' });
-    }
+    const baseValue = refs.valueRef
+      ? `${cell.sign < 0 ? '-' : ''}${refs.valueRef}`
+      : `${(cell.sign < 0 ? -1 : 1) * (item.value || 0)}`;
+    const prevCellRef = prevTerms.share
+      ? `(${cell.prevColLetter}${cell.row}/(${prevTerms.share}))`
+      : `${cell.prevColLetter}${cell.row}`;
+    
+    const growthFormula = this.getGrowthFormula(prevCellRef, refs.growthRateRef, cell.periodType,
+      item.growthMethod || 'compound', {
+        periodRef,
+        startRef,
+        reviewRef: refs.reviewRef,
+        indexRef: cell.indexRow ? `${cell.colLetter}$${cell.indexRow}` : null,
+        prevIndexRef: cell.indexRow ? `${cell.prevColLetter}$${cell.indexRow}` : null,
+        yearFraction: terms.share ? terms.yearFraction : null
+      }).slice(1);
+    
+    return `=IF(AND(${periodRef}>=${startRef},${periodRef}<=${endRef}),IF(${periodRef}=${startRef},${terms.share ? `${baseValue}*${terms.share}` : baseValue},${prorate(growthFormula)}),0)`;
   }
   
-  // Generate actual Excel date for XIRR calculations
-  formatPeriodDate(startDate, periodIndex, periodType) {
-    const date = new Date(startDate);
+  // Inflation rate and cumulative index rows for indexed P&L lines; returns the index row
+  writeInflationIndexRows(sheet, modelData, startRow, totalColumns) {
+    const periodsPerYear = this.getPeriodsPerYear(modelData.modelPeriods);
+    const calendar = this.getPeriodCalendar(modelData);
+    const inflationRef = this.cellTracker.getCellReference('inflationRate') || (parseFloat(modelData.inflationRate) || 0) / 100;
+    const rateRow = startRow;
+    const indexRow = startRow + 1;
+    const lastCol = this.getColumnLetter(totalColumns);
     
-    switch (periodType) {
-      case 'daily':
-        date.setDate(date.getDate() + periodIndex);
-        break;
-      case 'monthly':
-        date.setMonth(date.getMonth() + periodIndex);
-        break;
-      case 'quarterly':
-        date.setMonth(date.getMonth() + (periodIndex * 3));
-        break;
-      case 'yearly':
-        date.setFullYear(date.getFullYear() + periodIndex);
-        break;
-      default:
-        date.setMonth(date.getMonth() + periodIndex);
+    // Rate row defaults to the Assumptions input - overwrite per period to model an inflation curve
+    const rateCells = ['Inflation Rate (annual)', '-'];
+    const indexCells = ['Inflation Index', 1];
+    for (let col = 2; col <= totalColumns; col++) {
+      const colLetter = this.getColumnLetter(col);
+      const prevColLetter = this.getColumnLetter(col - 1);
+      rateCells.push(`=${inflationRef}`);
+      const { yearFraction } = this.getPeriodTerms(calendar.getPeriod(col - 1), periodsPerYear);
+      indexCells.push(`=${prevColLetter}${indexRow}*(1+${colLetter}${rateRow})^(${yearFraction})`);
     }
     
-    // Convert to Excel serial date (days since 1/1/1900)
-    const excelEpoch = new Date(1900, 0, 1);
-    const msPerDay = 24 * 60 * 60 * 1000;
-    const excelDate = Math.floor((date - excelEpoch) / msPerDay) + 2; // +2 for Excel's leap year bug
-    return excelDate; // Return Excel serial date number
+    sheet.getRange(`A${rateRow}:${lastCol}${rateRow}`).formulas = [rateCells];
+    sheet.getRange(`A${indexRow}:${lastCol}${indexRow}`).formulas = [indexCells];
+    sheet.getRange(`A${rateRow}:${lastCol}${indexRow}`).format.font.italic = true;
+    
+    return indexRow;
   }
   
-  // Adjust growth rate for period type  
-  adjustGrowthRateForPeriod(annualRate, periodType) {
-    switch (periodType) {
-      case 'daily':
-        return annualRate / 365;
-      case 'monthly':
-        return annualRate / 12;
-      case 'quarterly':
-        return annualRate / 4;
-      case 'yearly':
-      default:
-        return annualRate;
-    }
+  // Re-apply the inflation row number formats after the sheet-wide number format
+  formatInflationIndexRows(sheet, indexRow, totalColumns) {
+    const lastCol = this.getColumnLetter(totalColumns);
+    sheet.getRange(`B${indexRow - 1}:${lastCol}${indexRow - 1}`).numberFormat = [Array(totalColumns).fill('0.00%')];
+    sheet.getRange(`B${indexRow}:${lastCol}${indexRow}`).numberFormat = [Array(totalColumns).fill('0.0000')];
   }
   
-  // Get period adjustment string for formulas
-  getPeriodAdjustment(periodType) {
-    switch (periodType) {
-      case 'daily':
-        return '/365';
-      case 'monthly':
-        return '/12';
-      case 'quarterly':
-        return '/4';
-      case 'yearly':
-      default:
-        return '';
+  // Period start and end date rows (Excel serials, period 0 included); returns the end row
+  writePeriodDateRows(sheet, modelData, startRow, totalColumns) {
+    const calendar = this.getPeriodCalendar(modelData);
+    const startCells = ['Period Start'];
+    const endCells = ['Period End'];
+    for (let i = 0; i < totalColumns; i++) {
+      const period = calendar.getPeriod(i);
+      startCells.push(period ? PeriodCalendar.toExcelSerial(period.start) : '');
+      endCells.push(period ? period.serial : '');
     }
+    
+    const lastCol = this.getColumnLetter(totalColumns);
+    sheet.getRange(`A${startRow}:${lastCol}${startRow + 1}`).values = [startCells, endCells];
+    sheet.getRange(`A${startRow}:${lastCol}${startRow + 1}`).format.font.italic = true;
+    return startRow + 1;
   }
   
-  // Calculate period rate
-  calculatePeriodRate(annualRate, periodType) {
-    switch (periodType) {
-      case 'daily':
-        return annualRate / 365;
-      case 'monthly':
-        return annualRate / 12;
-      case 'quarterly':
-        return annualRate / 4;
-      case 'yearly':
-      default:
-        return annualRate;
-    }
+  getTenantRefs(index) {
+    const ref = (key) => this.cellTracker.getCellReference(key);
+    return {
+      rentRef: ref(`tenant_${index}`),
+      areaRef: ref(`tenant_${index}_area`),
+      leaseStartRef: ref(`tenant_${index}_start`),
+      leaseEndRef: ref(`tenant_${index}_end`),
+      indexationRef: ref(`tenant_${index}_indexation`),
+      ervRef: ref(`tenant_${index}_erv`),
+      rentRollDateRef: ref('rent_roll_date'),
+      ervPerAreaRef: ref('rent_roll_erv'),
+      ervGrowthRef: ref('rent_roll_erv_growth'),
+      voidRef: ref('rent_roll_void_months'),
+      rentFreeRef: ref('rent_roll_rent_free_months'),
+      renewalRef: ref('rent_roll_renewal')
+    };
   }
   
-  // Generate growth formula based on period type
-  getGrowthFormula(prevCellRef, growthRateRef, periodType, growthType) {
-    if (!growthType || growthType === 'none' || !growthRateRef) {
-      return `=${prevCellRef}`; // No growth
+  // P&L formula for one tenant in one period: passing rent (indexed on each anniversary of the
+  // rent roll date) for the days the lease runs, then market rent (the unit's ERV, or the ERV rate
+  // × area, grown at ERV growth) once re-let. With the renewal probability the tenant renews straight
+  // away; otherwise the unit stands empty for the void plus rent-free months. Vacant units have no
+  // renewal and re-let after the void. Annual amounts are spread by day (/365).
+  getTenantRentFormula(refs, cell) {
+    const S = cell.startRef;
+    const E = cell.endRef;
+    const years = `MAX(0,INT((${S}-${refs.rentRollDateRef})/365.25))`;
+    const leaseDays = `MAX(0,MIN(${E},${refs.leaseEndRef})-MAX(${S},${refs.leaseStartRef})+1)`;
+    const passingRent = `${refs.rentRef}*(1+${refs.indexationRef})^${years}*${leaseDays}`;
+    
+    const ervByArea = `${refs.ervPerAreaRef}*${refs.areaRef}`;
+    const marketRent = `IF(${refs.ervRef}>0,${refs.ervRef},IF(${ervByArea}>0,${ervByArea},${refs.rentRef}))*(1+${refs.ervGrowthRef})^${years}`;
+    const renewal = `IF(${refs.rentRef}>0,${refs.renewalRef},0)`;
+    const downtime = `(${refs.voidRef}+${refs.rentFreeRef})*365/12`;
+    const reletDays = `${renewal}*MAX(0,${E}-MAX(${S},${refs.leaseEndRef}+1)+1)` +
+      `+(1-${renewal})*MAX(0,${E}-MAX(${S},${refs.leaseEndRef}+1+${downtime})+1)`;
+    
+    return `=(${passingRent}+${marketRent}*(${reletDays}))/365`;
+  }
+  
+  // True when the model has a rent roll to build tenant revenue from
+  usesRentRoll(modelData) {
+    return !!(modelData.rentRoll && modelData.rentRoll.tenants && modelData.rentRoll.tenants.length > 0);
+  }
+  
+  // True when any revenue or cost line is indexed to inflation
+  usesInflationIndex(modelData) {
+    return [...(modelData.revenueItems || []), ...(modelData.operatingExpenses || [])]
+      .some(item => item.growthMethod === 'indexed');
+  }
+
+  // Create (or replace) a workbook-scoped name for every tracked cell, e.g. Deal_Value, Revenue_1_Growth.
+  // The data key goes in the name's comment so the tracker can be rebuilt after a reload.
+  // Names this tracker wrote for an earlier generation but no longer tracks are deleted.
+  async defineNamedRanges(context, tracker) {
+    const cells = tracker.getNameableCells();
+    if (cells.length === 0) return 0;
+    
+    try {
+      const names = context.workbook.names;
+      names.load('items/name,items/comment');
+      await context.sync();
+      
+      // A name belongs to this tracker when its comment's data key maps back to it (keeps
+      // Assumptions, PL_ and Hist_ names apart and leaves user-defined names alone)
+      const owned = names.items.filter(item => item.comment && tracker.getRangeName(item.comment) === item.name);
+      const current = new Set(cells.map(cell => cell.name));
+      const stale = owned.filter(item => !current.has(item.name)).map(item => item.name);
+      names.items
+        .filter(item => current.has(item.name) || owned.includes(item))
+        .forEach(item => item.delete());
+      cells.forEach(cell => {
+        const range = context.workbook.worksheets.getItem(cell.sheetName).getRange(cell.address);
+        names.add(cell.name, range, cell.dataKey);
+      });
+      await context.sync();
+      
+      cells.forEach(cell => tracker.useRangeName(cell.dataKey, cell.name));
+      console.log(`🏷️ Defined ${cells.length} named ranges${stale.length > 0 ? `, removed ${stale.length} stale (${stale.join(', ')})` : ''}`);
+      return cells.length;
+    } catch (error) {
+      // Formulas fall back to A1 addresses if names cannot be created
+      console.warn('⚠️ Could not define named ranges:', error.message);
+      return 0;
+    }
+  }
+
+  // Load workbook names as plain objects ({ name, comment, formula, type })
+  async loadWorkbookNames(context) {
+    const names = context.workbook.names;
+    names.load('items/name,items/comment,items/formula,items/type');
+    await context.sync();
+    return names.items.map(item => ({
+      name: item.name,
+      comment: item.comment,
+      formula: item.formula,
+      type: item.type
+    }));
+  }
+
+  // Cell tracker maps saved with the workbook-embedded model state
+  getTrackerState() {
+    return {
+      assumptions: this.cellTracker.serialize(),
+      pl: this.plCellTracker.serialize()
+    };
+  }
+
+  // Seed empty trackers from a saved state (named ranges still take precedence when they exist)
+  restoreTrackerState(state) {
+    if (!state) return;
+    if (this.cellTracker.cellMap.size === 0 && state.assumptions) {
+      this.cellTracker.restoreFromSnapshot(state.assumptions);
     }
+    if (this.plCellTracker.cellMap.size === 0 && state.pl) {
+      this.plCellTracker.restoreFromSnapshot(state.pl);
+    }
+  }
+
+  // Re-read both trackers from the workbook names, keeping the current ones if no names are found
+  async reloadCellTrackers() {
+    try {
+      await Excel.run(async (context) => {
+        const namedItems = await this.loadWorkbookNames(context);
+        const tracker = new CellTracker();
+        const plTracker = new CellTracker('PL');
+        if (tracker.restoreFromNamedItems(namedItems) > 0) this.cellTracker = tracker;
+        if (plTracker.restoreFromNamedItems(namedItems) > 0) this.plCellTracker = plTracker;
+      });
+    } catch (error) {
+      console.warn('⚠️ Could not reload cell references from named ranges:', error.message);
+    }
+  }
+
+  // Rebuild empty cell trackers from the workbook's names (e.g. after the add-in reloads)
+  async restoreCellTrackers() {
+    if (this.cellTracker.cellMap.size > 0 && this.plCellTracker.cellMap.size > 0) return;
     
-    // Adjust growth rate based on period type
-    let periodAdjustment = '';
-    switch (periodType) {
-      case 'daily':
-        periodAdjustment = '/365';
-        break;
-      case 'monthly':
-        periodAdjustment = '/12';
-        break;
-      case 'quarterly':
-        periodAdjustment = '/4';
-        break;
-      case 'yearly':
-      default:
-        periodAdjustment = ''; // Annual rate as-is
+    try {
+      await Excel.run(async (context) => {
+        const namedItems = await this.loadWorkbookNames(context);
+        if (this.cellTracker.cellMap.size === 0) {
+          const restored = this.cellTracker.restoreFromNamedItems(namedItems);
+          if (restored > 0) console.log(`🏷️ Restored ${restored} assumption cells from named ranges`);
+        }
+        if (this.plCellTracker.cellMap.size === 0) {
+          this.plCellTracker.restoreFromNamedItems(namedItems);
+        }
+      });
+    } catch (error) {
+      console.warn('⚠️ Could not restore cell references from named ranges:', error.message);
     }
+  }
+
+  // P&L line item rows from the named ranges restored into a tracker
+  getPLLineItemsFromTracker(tracker) {
+    const lineItems = {};
+    const keys = { total_revenue: 'totalRevenue', total_opex: 'totalOpEx', noi: 'noi' };
+    const sheetData = tracker.getSheetData('P&L Statement');
     
-    // Create growth formula
-    if (growthRateRef) {
-      return `=${prevCellRef}*(1+${growthRateRef}${periodAdjustment})`;
-    } else {
-      return `=${prevCellRef}`;
+    Object.entries(keys).forEach(([dataKey, lineItem]) => {
+      const address = sheetData.get(dataKey);
+      if (!address) return;
+      const row = parseInt(address.match(/\d+/)[0], 10);
+      lineItems[lineItem] = { row, startCol: 'B', cellRef: `B${row}`, name: tracker.getRangeName(dataKey) };
+    });
+    return lineItems;
+  }
+
+  // Fallback for P&L sheets without named ranges: locate line items by their label text
+  findPLLineItemsByLabel(values) {
+    const lineItems = {};
+    
+    // Parse the P&L structure to find key line items
+    for (let row = 0; row < values.length; row++) {
+      for (let col = 0; col < values[row].length; col++) {
+        const cellValue = values[row][col];
+        const cellRef = this.getColumnLetter(col) + (row + 1);
+        
+        // Look for key P&L line items
+        if (typeof cellValue === 'string') {
+          const lowerValue = cellValue.toLowerCase();
+          
+          // Map line items to their row positions
+          if (lowerValue.includes('revenue') && lowerValue.includes('total')) {
+            lineItems.totalRevenue = { row: row + 1, startCol: 'B', cellRef: `B${row + 1}` };
+          }
+          if (lowerValue.includes('noi') || lowerValue.includes('net operating income') || lowerValue.includes('ebitda') || (lowerValue.includes('ebit') && lowerValue.includes('da'))) {
+            lineItems.noi = { row: row + 1, startCol: 'B', cellRef: `B${row + 1}` };
+          }
+          if (lowerValue.includes('net income') || lowerValue.includes('net profit')) {
+            lineItems.netIncome = { row: row + 1, startCol: 'B', cellRef: `B${row + 1}` };
+          }
+          if (lowerValue.includes('interest') && lowerValue.includes('expense')) {
+            lineItems.interestExpense = { row: row + 1, startCol: 'B', cellRef: `B${row + 1}` };
+          }
+          if (lowerValue.includes('operating') && lowerValue.includes('expense') && lowerValue.includes('total')) {
+            lineItems.totalOpEx = { row: row + 1, startCol: 'B', cellRef: `B${row + 1}` };
+          }
+          if (lowerValue.includes('capital') && (lowerValue.includes('expenditure') || lowerValue.includes('expense'))) {
+            lineItems.totalCapEx = { row: row + 1, startCol: 'B', cellRef: `B${row + 1}` };
+          }
+        }
+      }
     }
+    return lineItems;
   }
 
   // Read actual P&L sheet structure to discover cell locations
@@ -2505,37 +3966,16 @@ Provide the COMPLETE Free Cash Flow model with exact Excel formulas for every ce
         const values = usedRange.values;
         const formulas = usedRange.formulas;
         
-        // Parse the P&L structure to find key line items
-        for (let row = 0; row < values.length; row++) {
-          for (let col = 0; col < values[row].length; col++) {
-            const cellValue = values[row][col];
-            const cellRef = this.getColumnLetter(col) + (row + 1);
-            
-            // Look for key P&L line items
-            if (typeof cellValue === 'string') {
-              const lowerValue = cellValue.toLowerCase();
-              
-              // Map line items to their row positions
-              if (lowerValue.includes('revenue') && lowerValue.includes('total')) {
-                structure.lineItems.totalRevenue = { row: row + 1, startCol: 'B', cellRef: `B${row + 1}` };
-              }
-              if (lowerValue.includes('noi') || lowerValue.includes('net operating income') || lowerValue.includes('ebitda') || (lowerValue.includes('ebit') && lowerValue.includes('da'))) {
-                structure.lineItems.noi = { row: row + 1, startCol: 'B', cellRef: `B${row + 1}` };
-              }
-              if (lowerValue.includes('net income') || lowerValue.includes('net profit')) {
-                structure.lineItems.netIncome = { row: row + 1, startCol: 'B', cellRef: `B${row + 1}` };
-              }
-              if (lowerValue.includes('interest') && lowerValue.includes('expense')) {
-                structure.lineItems.interestExpense = { row: row + 1, startCol: 'B', cellRef: `B${row + 1}` };
-              }
-              if (lowerValue.includes('operating') && lowerValue.includes('expense') && lowerValue.includes('total')) {
-                structure.lineItems.totalOpEx = { row: row + 1, startCol: 'B', cellRef: `B${row + 1}` };
-              }
-              if (lowerValue.includes('capital') && (lowerValue.includes('expenditure') || lowerValue.includes('expense'))) {
-                structure.lineItems.totalCapEx = { row: row + 1, startCol: 'B', cellRef: `B${row + 1}` };
-              }
-            }
-          }
+        // Named ranges (PL_NOI, PL_Total_Revenue, PL_Total_Opex) survive inserted rows;
+        // label text is only scanned for workbooks generated before the names existed
+        const plTracker = new CellTracker('PL');
+        if (plTracker.restoreFromNamedItems(await this.loadWorkbookNames(context)) > 0) {
+          this.plCellTracker = plTracker;
+          structure.lineItems = this.getPLLineItemsFromTracker(plTracker);
+          structure.source = 'names';
+        } else {
+          structure.lineItems = this.findPLLineItemsByLabel(values);
+          structure.source = 'labels';
         }
 
         // Determine number of period columns (excluding column A for labels)
@@ -2558,6 +3998,124 @@ Provide the COMPLETE Free Cash Flow model with exact Excel formulas for every ce
     });
   }
 
+  // Assumption values keyed like the label scan, but addressed through the tracker's named ranges
+  getAssumptionsFromTracker(tracker, values) {
+    const assumptions = {};
+    const sheetData = tracker.getSheetData('Assumptions');
+    const valueAt = (address) => {
+      const match = /^([A-Z]+)(\d+)$/.exec(address || '');
+      if (!match) return null;
+      const col = match[1].split('').reduce((total, letter) => total * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+      const row = values[parseInt(match[2], 10) - 1];
+      return row ? row[col] : null;
+    };
+    const lists = { revenue: 'revenueItems', opex: 'operatingExpenses', capex: 'capitalExpenses' };
+    
+    for (const [dataKey, address] of sheetData.entries()) {
+      if (!CellTracker.isCellAddress(address) || address.includes(':')) continue;
+      
+      const item = /^(revenue|opex|capex)_(\d+)$/.exec(dataKey);
+      if (item) {
+        const list = assumptions[lists[item[1]]] || (assumptions[lists[item[1]]] = []);
+        list[parseInt(item[2], 10)] = {
+          name: valueAt(sheetData.get(`${dataKey}_name`)) || tracker.getRangeName(dataKey),
+          cellRef: tracker.getCellReference(dataKey),
+          address,
+          value: valueAt(address),
+          growthRateRef: tracker.getCellReference(`${dataKey}_growth_rate`)
+        };
+      } else if (!/^(revenue|opex|capex)_\d+_/.test(dataKey)) {
+        assumptions[dataKey] = { cellRef: tracker.getCellReference(dataKey), address, value: valueAt(address) };
+      }
+    }
+    
+    Object.values(lists).forEach(list => {
+      if (assumptions[list]) assumptions[list] = assumptions[list].filter(Boolean);
+    });
+    return assumptions;
+  }
+
+  // Fallback for Assumptions sheets without named ranges: locate values by their label text
+  findAssumptionsByLabel(values) {
+    const assumptions = {};
+    
+    // Parse the Assumptions structure to find key data points
+    for (let row = 0; row < values.length; row++) {
+      const labelValue = values[row][0]; // Column A contains labels
+      const dataValue = values[row][1]; // Column B contains data
+      const cellRef = `B${row + 1}`;
+      
+      if (typeof labelValue === 'string') {
+        const lowerLabel = labelValue.toLowerCase();
+        
+        // Map key assumption values to their cell references
+        if (lowerLabel.includes('currency')) {
+          assumptions.currency = { cellRef, value: dataValue };
+        }
+        if (lowerLabel.includes('deal value')) {
+          assumptions.dealValue = { cellRef, value: dataValue };
+        }
+        if (lowerLabel.includes('deal ltv')) {
+          assumptions.dealLTV = { cellRef, value: dataValue };
+        }
+        if (lowerLabel.includes('transaction fee')) {
+          assumptions.transactionFee = { cellRef, value: dataValue };
+        }
+        if (lowerLabel.includes('disposal cost')) {
+          assumptions.disposalCost = { cellRef, value: dataValue };
+        }
+        if (lowerLabel.includes('terminal cap rate')) {
+          assumptions.terminalCapRate = { cellRef, value: dataValue };
+        }
+        if (lowerLabel.includes('discount rate') || lowerLabel.includes('wacc')) {
+          assumptions.discountRate = { cellRef, value: dataValue };
+        }
+        if (lowerLabel.includes('interest rate') && !lowerLabel.includes('type') && !lowerLabel.includes('shift')) {
+          assumptions.interestRate = { cellRef, value: dataValue };
+        }
+        if (lowerLabel.includes('equity contribution')) {
+          assumptions.equityContribution = { cellRef, value: dataValue };
+        }
+        if (lowerLabel.includes('debt financing')) {
+          assumptions.debtFinancing = { cellRef, value: dataValue };
+        }
+        
+        // Track revenue items
+        if (labelValue.includes('Revenue Item') || labelValue.includes('Product Sales') || 
+            labelValue.includes('Service Revenue') || labelValue.includes('Sales')) {
+          if (!assumptions.revenueItems) assumptions.revenueItems = [];
+          assumptions.revenueItems.push({ 
+            name: labelValue, 
+            cellRef, 
+            value: dataValue 
+          });
+        }
+        
+        // Track operating expenses
+        if ((lowerLabel.includes('expense') || lowerLabel.includes('cost')) && 
+            !lowerLabel.includes('capital') && !lowerLabel.includes('disposal')) {
+          if (!assumptions.operatingExpenses) assumptions.operatingExpenses = [];
+          assumptions.operatingExpenses.push({ 
+            name: labelValue, 
+            cellRef, 
+            value: dataValue 
+          });
+        }
+        
+        // Track capital expenses
+        if (lowerLabel.includes('capital') && (lowerLabel.includes('expense') || lowerLabel.includes('expenditure'))) {
+          if (!assumptions.capitalExpenses) assumptions.capitalExpenses = [];
+          assumptions.capitalExpenses.push({ 
+            name: labelValue, 
+            cellRef, 
+            value: dataValue 
+          });
+        }
+      }
+    }
+    return assumptions;
+  }
+
   // Read actual Assumptions sheet structure
   async readAssumptionSheetStructure() {
     return Excel.run(async (context) => {
@@ -2578,79 +4136,16 @@ Provide the COMPLETE Free Cash Flow model with exact Excel formulas for every ce
 
         const values = usedRange.values;
         
-        // Parse the Assumptions structure to find key data points
-        for (let row = 0; row < values.length; row++) {
-          const labelValue = values[row][0]; // Column A contains labels
-          const dataValue = values[row][1]; // Column B contains data
-          const cellRef = `B${row + 1}`;
-          
-          if (typeof labelValue === 'string') {
-            const lowerLabel = labelValue.toLowerCase();
-            
-            // Map key assumption values to their cell references
-            if (lowerLabel.includes('currency')) {
-              structure.assumptions.currency = { cellRef, value: dataValue };
-            }
-            if (lowerLabel.includes('deal value')) {
-              structure.assumptions.dealValue = { cellRef, value: dataValue };
-            }
-            if (lowerLabel.includes('deal ltv')) {
-              structure.assumptions.dealLTV = { cellRef, value: dataValue };
-            }
-            if (lowerLabel.includes('transaction fee')) {
-              structure.assumptions.transactionFee = { cellRef, value: dataValue };
-            }
-            if (lowerLabel.includes('disposal cost')) {
-              structure.assumptions.disposalCost = { cellRef, value: dataValue };
-            }
-            if (lowerLabel.includes('terminal cap rate')) {
-              structure.assumptions.terminalCapRate = { cellRef, value: dataValue };
-            }
-            if (lowerLabel.includes('discount rate') || lowerLabel.includes('wacc')) {
-              structure.assumptions.discountRate = { cellRef, value: dataValue };
-            }
-            if (lowerLabel.includes('interest rate') && !lowerLabel.includes('type')) {
-              structure.assumptions.interestRate = { cellRef, value: dataValue };
-            }
-            if (lowerLabel.includes('equity contribution')) {
-              structure.assumptions.equityContribution = { cellRef, value: dataValue };
-            }
-            if (lowerLabel.includes('debt financing')) {
-              structure.assumptions.debtFinancing = { cellRef, value: dataValue };
-            }
-            
-            // Track revenue items
-            if (labelValue.includes('Revenue Item') || labelValue.includes('Product Sales') || 
-                labelValue.includes('Service Revenue') || labelValue.includes('Sales')) {
-              if (!structure.assumptions.revenueItems) structure.assumptions.revenueItems = [];
-              structure.assumptions.revenueItems.push({ 
-                name: labelValue, 
-                cellRef, 
-                value: dataValue 
-              });
-            }
-            
-            // Track operating expenses
-            if ((lowerLabel.includes('expense') || lowerLabel.includes('cost')) && 
-                !lowerLabel.includes('capital') && !lowerLabel.includes('disposal')) {
-              if (!structure.assumptions.operatingExpenses) structure.assumptions.operatingExpenses = [];
-              structure.assumptions.operatingExpenses.push({ 
-                name: labelValue, 
-                cellRef, 
-                value: dataValue 
-              });
-            }
-            
-            // Track capital expenses
-            if (lowerLabel.includes('capital') && (lowerLabel.includes('expense') || lowerLabel.includes('expenditure'))) {
-              if (!structure.assumptions.capitalExpenses) structure.assumptions.capitalExpenses = [];
-              structure.assumptions.capitalExpenses.push({ 
-                name: labelValue, 
-                cellRef, 
-                value: dataValue 
-              });
-            }
-          }
+        // Rebuild the tracker from the workbook names (Deal_Value, Revenue_1_Growth, ...);
+        // label text is only scanned for workbooks generated before the names existed
+        const tracker = new CellTracker();
+        if (tracker.restoreFromNamedItems(await this.loadWorkbookNames(context)) > 0) {
+          this.cellTracker = tracker;
+          structure.assumptions = this.getAssumptionsFromTracker(tracker, values);
+          structure.source = 'names';
+        } else {
+          structure.assumptions = this.findAssumptionsByLabel(values);
+          structure.source = 'labels';
         }
 
         console.log('📊 Assumptions Structure discovered:', structure);
@@ -2678,14 +4173,13 @@ Provide the COMPLETE Free Cash Flow model with exact Excel formulas for every ce
     const safeCapExStructure = capExStructure || { totalRow: null, sheet: null };
     console.log('🔍 safeCapExStructure:', safeCapExStructure);
     
-    const periods = this.calculatePeriods(modelData.projectStartDate, modelData.projectEndDate, modelData.modelPeriods);
+    const periods = this.calculatePeriods(modelData.projectStartDate, modelData.projectEndDate, modelData.modelPeriods, modelData.fiscalYearEnd);
     const maxPeriods = Math.min(periods, 36);
     
     // Build period headers
     const periodHeaders = [];
-    const startDate = new Date(modelData.projectStartDate);
     for (let i = 0; i < maxPeriods; i++) {
-      periodHeaders.push(this.formatPeriodHeader(startDate, i, modelData.modelPeriods));
+      periodHeaders.push(this.formatPeriodHeader(modelData.projectStartDate, i, modelData.modelPeriods, modelData.fiscalYearEnd));
     }
 
     const prompt = `You are a senior financial analyst specializing in M&A Free Cash Flow modeling. You have been provided with ACTUAL cell references from an existing P&L Statement and Assumptions sheet.
@@ -2877,22 +4371,43 @@ If any critical P&L references are missing, clearly state what assumptions you'r
       });
     }
 
-    output += `\n**REFERENCE FORMAT:** Use 'Assumptions'!B[row] for individual cells\n\n`;
+    output += assumptionStructure.source === 'names'
+      ? `\n**REFERENCE FORMAT:** Use the named ranges above (e.g. Deal_Value) rather than cell addresses\n\n`
+      : `\n**REFERENCE FORMAT:** Use 'Assumptions'!B[row] for individual cells\n\n`;
 
     return output;
   }
   
+  // Locate the cashflow sheet - generated as 'FCF' (titled Cashflows); older workbooks used other names
+  async findCashflowSheet(context) {
+    const candidates = ['FCF', 'Cashflows', 'Free Cash Flow'].map(name => {
+      const sheet = context.workbook.worksheets.getItemOrNullObject(name);
+      sheet.load('name');
+      return sheet;
+    });
+    await context.sync();
+    
+    return candidates.find(sheet => !sheet.isNullObject) || null;
+  }
+  
+  // Classify a cashflow sheet label - unlevered must be tested first since it contains 'levered'
+  getCashflowRowType(label) {
+    const text = label.toString().trim().toLowerCase();
+    if (text.startsWith('unlevered cashflow') || text.startsWith('unlevered free cash flow')) return 'unlevered';
+    if (text.startsWith('levered cashflow') || text.startsWith('levered free cash flow')) return 'levered';
+    if (text === 'sale price') return 'salePrice';
+    if (text === 'disposal costs') return 'disposalCosts';
+    if (text.includes('cumulative free cash flow')) return 'cumulative';
+    return null;
+  }
+  
   // Read FCF sheet structure to get cell references
   async readFCFSheetStructure() {
     return Excel.run(async (context) => {
       try {
-        const sheets = context.workbook.worksheets;
-        const fcfSheet = sheets.getItemOrNullObject('Free Cash Flow');
-        fcfSheet.load('name');
-        await context.sync();
-        
-        if (fcfSheet.isNullObject) {
-          throw new Error('Free Cash Flow sheet not found');
+        const fcfSheet = await this.findCashflowSheet(context);
+        if (!fcfSheet) {
+          throw new Error('Cashflows sheet not found');
         }
         
         // Read the entire sheet to find structure
@@ -2902,32 +4417,31 @@ If any critical P&L references are missing, clearly state what assumptions you'r
         
         const values = range.values;
         const structure = {
-          sheetName: 'Free Cash Flow',
+          sheetName: fcfSheet.name,
           periodColumns: 0,
           leveredFCF: null,
           unleveredFCF: null,
           cumulativeFCF: null,
-          discountedNPV: null,
-          undiscountedNPV: null,
+          salePrice: null,
+          disposalCosts: null,
           cashFlowRange: null
         };
         
+        const rowKeys = {
+          levered: 'leveredFCF',
+          unlevered: 'unleveredFCF',
+          cumulative: 'cumulativeFCF',
+          salePrice: 'salePrice',
+          disposalCosts: 'disposalCosts'
+        };
+        
         // Find key rows and structure
         for (let i = 0; i < values.length; i++) {
           const row = values[i];
           if (row && row[0]) {
-            const cellValue = row[0].toString().toLowerCase();
-            
-            if (cellValue.includes('levered free cash flow')) {
-              structure.leveredFCF = i + 1;
-            } else if (cellValue.includes('unlevered free cash flow')) {
-              structure.unleveredFCF = i + 1;
-            } else if (cellValue.includes('cumulative free cash flow')) {
-              structure.cumulativeFCF = i + 1;
-            } else if (cellValue.includes('discounted npv')) {
-              structure.discountedNPV = i + 1;
-            } else if (cellValue.includes('undiscounted npv')) {
-              structure.undiscountedNPV = i + 1;
+            const rowType = this.getCashflowRowType(row[0]);
+            if (rowType && !structure[rowKeys[rowType]]) {
+              structure[rowKeys[rowType]] = i + 1;
             }
           }
         }
@@ -2956,52 +4470,80 @@ If any critical P&L references are missing, clearly state what assumptions you'r
   async readFCFSheetData() {
     return Excel.run(async (context) => {
       try {
-        const sheets = context.workbook.worksheets;
-        const fcfSheet = sheets.getItemOrNullObject('Free Cash Flow');
-        fcfSheet.load('name');
-        await context.sync();
-        
-        if (fcfSheet.isNullObject) {
-          throw new Error('Free Cash Flow sheet not found');
+        const fcfSheet = await this.findCashflowSheet(context);
+        if (!fcfSheet) {
+          throw new Error('Cashflows sheet not found');
         }
         
         // Read the entire sheet data
         const range = fcfSheet.getUsedRange();
-        range.load('values');
+        range.load('values, rowIndex, columnIndex');
         await context.sync();
         
+        // The used range starts at its first non-empty cell, not necessarily A1
         const values = range.values;
+        const sheetRow = (index) => range.rowIndex + index + 1;
         const fcfData = {
-          sheetName: 'Free Cash Flow',
+          sheetName: fcfSheet.name,
           rawData: values,
           leveredFCFValues: [],
           unleveredFCFValues: [],
           periodHeaders: [],
-          cashFlowPeriods: []
+          cashFlowPeriods: [],
+          leveredRow: null,
+          unleveredRow: null,
+          salePriceRow: null,
+          disposalCostsRow: null,
+          exitProceeds: 0
         };
         
-        // Extract period headers (first row)
-        if (values.length > 0) {
-          fcfData.periodHeaders = values[0].slice(1); // Remove first column (labels)
-        }
-        
-        // Find and extract actual cash flow values
+        // Find and extract actual cash flow values (first match wins)
         for (let i = 0; i < values.length; i++) {
           const row = values[i];
-          if (row && row[0]) {
-            const cellValue = row[0].toString().toLowerCase();
-            
-            if (cellValue.includes('levered free cash flow')) {
-              fcfData.leveredFCFValues = row.slice(1); // Remove first column (label)
-            } else if (cellValue.includes('unlevered free cash flow')) {
-              fcfData.unleveredFCFValues = row.slice(1); // Remove first column (label)
-            }
+          if (!row || !row[0]) continue;
+          
+          const label = row[0].toString().trim().toLowerCase();
+          if (label === 'period' && fcfData.periodHeaders.length === 0) {
+            fcfData.periodHeaders = row.slice(1);
+            continue;
+          }
+          
+          const rowType = this.getCashflowRowType(row[0]);
+          if (rowType === 'levered' && !fcfData.leveredRow) {
+            fcfData.leveredRow = sheetRow(i);
+            fcfData.leveredFCFValues = row.slice(1); // Remove first column (label)
+          } else if (rowType === 'unlevered' && !fcfData.unleveredRow) {
+            fcfData.unleveredRow = sheetRow(i);
+            fcfData.unleveredFCFValues = row.slice(1);
+          } else if (rowType === 'salePrice' && !fcfData.salePriceRow) {
+            fcfData.salePriceRow = sheetRow(i);
+          } else if (rowType === 'disposalCosts' && !fcfData.disposalCostsRow) {
+            fcfData.disposalCostsRow = sheetRow(i);
           }
         }
         
+        // Trim trailing blank columns so the series ends at the final period
+        let periodCount = fcfData.leveredFCFValues.length;
+        while (periodCount > 0 && fcfData.leveredFCFValues[periodCount - 1] === '') {
+          periodCount--;
+        }
+        fcfData.leveredFCFValues = fcfData.leveredFCFValues.slice(0, periodCount);
+        fcfData.unleveredFCFValues = fcfData.unleveredFCFValues.slice(0, periodCount);
+        fcfData.firstColumnIndex = range.columnIndex + 1; // Column after the labels
+        fcfData.firstColumn = this.getColumnLetter(fcfData.firstColumnIndex);
+        fcfData.lastColumn = this.getColumnLetter(fcfData.firstColumnIndex + periodCount - 1);
+        
+        // Exit proceeds (sale less disposal costs) land in the final period
+        const lastIndex = periodCount; // values rows include the label column
+        [fcfData.salePriceRow, fcfData.disposalCostsRow].forEach(rowNumber => {
+          if (rowNumber) {
+            fcfData.exitProceeds += parseFloat(values[rowNumber - 1 - range.rowIndex][lastIndex]) || 0;
+          }
+        });
+        
         // Create cash flow periods for IRR calculation
         fcfData.cashFlowPeriods = fcfData.leveredFCFValues.map((value, index) => ({
-          period: fcfData.periodHeaders[index] || `Period ${index + 1}`,
+          period: fcfData.periodHeaders[index] !== undefined ? fcfData.periodHeaders[index] : index,
           leveredFCF: parseFloat(value) || 0,
           unleveredFCF: parseFloat(fcfData.unleveredFCFValues[index]) || 0
         }));
@@ -3155,109 +4697,28 @@ If any critical P&L references are missing, clearly state what assumptions you'r
     }
   }
   
-  // Generate comprehensive AI prompt with ALL actual data for IRR/MOIC calculations
-  generateMultiplesAndIRRPrompt(modelData, fcfStructure, fcfData, plData, assumptionStructure) {
-    console.log('🤖 Generating comprehensive AI prompt with actual financial data...');
-    
-    // Calculate periods and other key metrics
-    const periods = this.calculatePeriods(modelData.projectStartDate, modelData.projectEndDate, modelData.modelPeriods);
-    const holdingPeriodYears = periods / (modelData.modelPeriods === 'monthly' ? 12 : 
-                                          modelData.modelPeriods === 'quarterly' ? 4 : 
-                                          modelData.modelPeriods === 'yearly' ? 1 : 12);
-    
-    // Get actual FCF values
-    const leveredFCFValues = fcfData.leveredFCFValues || [];
-    const unleveredFCFValues = fcfData.unleveredFCFValues || [];
-    
-    // Calculate equity contribution if missing
-    let equityContribution = modelData.equityContribution;
-    if (!equityContribution || equityContribution === 0) {
-      const dealValue = modelData.dealValue || 0;
-      const dealLTV = modelData.dealLTV || 70;
-      equityContribution = dealValue * (100 - dealLTV) / 100;
-    }
+  // Short prompt asking for narrative commentary on returns that were already calculated locally
+  generateReturnsCommentaryPrompt(modelData, results) {
+    const pct = (value) => (value === null || value === undefined) ? 'n/a' : `${(value * 100).toFixed(2)}%`;
+    const num = (value, digits = 2) => (value === null || value === undefined) ? 'n/a' : value.toFixed(digits);
     
-    const prompt = `You are an expert M&A financial analyst. I need you to calculate IRR and MOIC for this investment and provide Excel formulas.
-
-**INVESTMENT DETAILS:**
-- Deal Value: ${modelData.dealValue} ${modelData.currency}
-- Equity Investment: ${equityContribution} ${modelData.currency}
-- Investment Period: ${holdingPeriodYears} years (${modelData.projectStartDate} to ${modelData.projectEndDate})
-- Model Frequency: ${modelData.modelPeriods}
-
-**ACTUAL CASH FLOW DATA:**
-Levered Free Cash Flow (${leveredFCFValues.length} periods): [${leveredFCFValues.slice(0, 10).join(', ')}${leveredFCFValues.length > 10 ? '...' : ''}]
-Unlevered Free Cash Flow (${unleveredFCFValues.length} periods): [${unleveredFCFValues.slice(0, 10).join(', ')}${unleveredFCFValues.length > 10 ? '...' : ''}]
-
-**EXCEL SHEET STRUCTURE:**
-- FCF Sheet Name: "${fcfStructure.sheetName}"
-- Levered FCF Row: ${fcfStructure.leveredFCF}
-- Unlevered FCF Row: ${fcfStructure.unleveredFCF}
-- Data Columns: B to ${this.getColumnLetter(fcfStructure.periodColumns || 10)}
+    return `You are an M&A investment analyst. The returns below were calculated deterministically and are final - do not recalculate or change them.
+Write 3-5 short bullet points of commentary on the deal's return profile (drivers, leverage effect, risks). Plain text only.
 
-**TASK:**
-Create Excel formulas for:
-1. Levered IRR - Include initial equity investment as Year 0 cash flow
-2. Unlevered IRR - Include initial equity investment as Year 0 cash flow  
-3. Levered MOIC - Total cash returns / Initial investment
-4. Unlevered MOIC - Total unlevered returns / Initial investment
+Deal Value: ${modelData.dealValue} ${modelData.currency}
+Hold: ${modelData.projectStartDate} to ${modelData.projectEndDate} (${modelData.modelPeriods})
+Discount Rate (WACC): ${pct(results.discountRate)}
 
-**CRITICAL REQUIREMENTS:**
-- IRR formulas MUST include the initial investment (-${equityContribution}) as the first cash flow
-- Use proper Excel IRR syntax with cash flow arrays
-- Handle potential #NUM! errors with IFERROR
-- Formulas must reference the actual Excel sheet ranges provided
-
-**RETURN FORMAT:**
-{
-  "calculations": {
-    "leveredIRR": {
-      "formula": "=IFERROR(IRR({initial_investment;cash_flows}), 0)",
-      "description": "Levered IRR including initial investment"
-    },
-    "unleveredIRR": {
-      "formula": "=IFERROR(IRR({initial_investment;cash_flows}), 0)", 
-      "description": "Unlevered IRR including initial investment"
-    },
-    "leveredMOIC": {
-      "formula": "=SUM(range)/${equityContribution}",
-      "description": "Levered MOIC calculation"
-    },
-    "unleveredMOIC": {
-      "formula": "=SUM(range)/${equityContribution}",
-      "description": "Unlevered MOIC calculation"
-    }
-  }
-}
-
-Generate working Excel formulas using the provided data and structure.`;
-
-    return prompt;
+Unlevered IRR: ${pct(results.unlevered.irr)} | XIRR: ${pct(results.unlevered.xirr)} | MOIC: ${num(results.unlevered.moic)}x | NPV: ${num(results.unlevered.npv, 0)}
+Levered IRR: ${pct(results.levered.irr)} | XIRR: ${pct(results.levered.xirr)} | MOIC: ${num(results.levered.moic)}x | NPV: ${num(results.levered.npv, 0)}
+Levered payback: ${num(results.levered.paybackYears)} years | Average cash-on-cash: ${pct(results.levered.cashOnCash)}`;
   }
   
-  // NEW: Clean AI-only sheet creation with NO fallback logic
-  async createCleanMultiplesSheet(modelData, aiResponse, equityContribution) {
+  // Returns sheet: cashflow strip linked to the Cashflows sheet, native Excel formulas,
+  // and the locally calculated values alongside as a cross-check
+  async createCleanMultiplesSheet(modelData, fcfData, results, commentary) {
     return Excel.run(async (context) => {
-      console.log('📊 Creating CLEAN IRR/MOIC sheet (v5.0)...');
-      
-      // Parse AI response
-      let calculations = {};
-      try {
-        if (typeof aiResponse.response === 'string') {
-          const jsonMatch = aiResponse.response.match(/\{[\s\S]*\}/);
-          if (jsonMatch) {
-            const parsed = JSON.parse(jsonMatch[0]);
-            calculations = parsed.calculations || {};
-          }
-        } else if (aiResponse.calculations) {
-          calculations = aiResponse.calculations;
-        } else if (aiResponse.extractedData) {
-          calculations = aiResponse.extractedData.calculations || {};
-        }
-        console.log('🤖 Parsed calculations:', calculations);
-      } catch (error) {
-        throw new Error(`Failed to parse AI response: ${error.message}`);
-      }
+      console.log('📊 Creating IRR & MOIC Analysis sheet...');
       
       // Delete existing sheet if it exists
       const sheets = context.workbook.worksheets;
@@ -3271,60 +4732,152 @@ Generate working Excel formulas using the provided data and structure.`;
         }
       } catch (e) {}
       
-      // Create new sheet with different name
       const sheet = sheets.add('IRR & MOIC Analysis');
+      sheet.showGridlines = false;
       sheet.activate();
       await context.sync();
       
-      // Set title - NO FALLBACK ANYWHERE
-      sheet.getRange('A1').values = [['AI-POWERED IRR & MOIC ANALYSIS']];
-      sheet.getRange('A1').format.font.bold = true;
-      sheet.getRange('A1').format.font.size = 18;
-      sheet.getRange('A1').format.fill.color = '#2E8B57';
-      sheet.getRange('A1').format.font.color = 'white';
+      const engine = new ReturnsEngine();
+      const periodsPerYear = engine.periodsPerYear(results.periodType);
+      const periodCount = fcfData.cashFlowPeriods.length;
+      const lastCol = this.getColumnLetter(periodCount);
+      const prevLastCol = this.getColumnLetter(Math.max(periodCount - 1, 1));
+      const source = `'${fcfData.sheetName}'`;
       
-      let row = 3;
+      // Title
+      const titleRange = sheet.getRange(`A1:${this.getColumnLetter(Math.max(periodCount, 4))}1`);
+      titleRange.merge();
+      sheet.getRange('A1').values = [['IRR & MOIC Analysis']];
+      titleRange.format.font.bold = true;
+      titleRange.format.fill.color = ExcelFormatter.colors.backgroundDarker5;
+      titleRange.format.font.color = ExcelFormatter.colors.black;
+      titleRange.format.horizontalAlignment = 'Left';
+      
+      // Cashflow strip (rows 3-7) - dates from the period calendar so XIRR matches the engine
+      const datesRow = 3;
+      const periodRow = 4;
+      const unleveredRow = 5;
+      const leveredRow = 6;
+      const cumulativeRow = 7;
+      
+      sheet.getRange(`A${datesRow}:${lastCol}${datesRow}`).values = [['Date', ...results.dates]];
+      sheet.getRange(`B${datesRow}:${lastCol}${datesRow}`).numberFormat = [Array(periodCount).fill('dd-mmm-yy')];
+      sheet.getRange(`A${datesRow}:${lastCol}${datesRow}`).format.font.bold = true;
+      sheet.getRange(`A${datesRow}:${lastCol}${datesRow}`).format.borders.getItem('EdgeBottom').style = 'Dash';
+      
+      sheet.getRange(`A${periodRow}:${lastCol}${periodRow}`).values = [['Period', ...fcfData.cashFlowPeriods.map((p, i) => i)]];
+      
+      const unleveredFormulas = ['Unlevered Cashflows'];
+      const leveredFormulas = ['Levered Cashflows'];
+      const cumulativeFormulas = ['Cumulative Levered'];
+      for (let i = 0; i < periodCount; i++) {
+        const col = this.getColumnLetter(i + 1);
+        const sourceCol = this.getColumnLetter(fcfData.firstColumnIndex + i);
+        unleveredFormulas.push(`=N(${source}!${sourceCol}${fcfData.unleveredRow})`);
+        leveredFormulas.push(`=N(${source}!${sourceCol}${fcfData.leveredRow})`);
+        cumulativeFormulas.push(i === 0 ? `=B${leveredRow}` : `=${this.getColumnLetter(i)}${cumulativeRow}+${col}${leveredRow}`);
+      }
+      sheet.getRange(`A${unleveredRow}:${lastCol}${unleveredRow}`).formulas = [unleveredFormulas];
+      sheet.getRange(`A${leveredRow}:${lastCol}${leveredRow}`).formulas = [leveredFormulas];
+      sheet.getRange(`A${cumulativeRow}:${lastCol}${cumulativeRow}`).formulas = [cumulativeFormulas];
+      ExcelFormatter.applyNumberFormat(sheet.getRange(`B${unleveredRow}:${lastCol}${cumulativeRow}`));
+      sheet.getRange(`A${leveredRow}:${lastCol}${leveredRow}`).format.fill.color = ExcelFormatter.colors.backgroundDarker5;
+      
+      const unleveredRange = `B${unleveredRow}:${lastCol}${unleveredRow}`;
+      const leveredRange = `B${leveredRow}:${lastCol}${leveredRow}`;
+      const dateRange = `B${datesRow}:${lastCol}${datesRow}`;
+      
+      // Inputs
+      let row = 9;
+      sheet.getRange(`A${row}`).values = [['Discount Rate (WACC)']];
+      const waccRef = this.cellTracker.getCellReference('discountRate');
+      if (waccRef) {
+        sheet.getRange(`B${row}`).formulas = [[`=${waccRef}`]];
+      } else {
+        sheet.getRange(`B${row}`).values = [[results.discountRate]];
+      }
+      sheet.getRange(`B${row}`).numberFormat = [['0.00%']];
+      const waccRow = row;
+      row++;
       
-      // Deal summary
-      sheet.getRange(`A${row}`).values = [['Deal Value:']];
-      sheet.getRange(`B${row}`).values = [[modelData.dealValue]];
-      sheet.getRange(`B${row}`).format.numberFormat = [['#,##0;[Red]-#,##0']];
+      sheet.getRange(`A${row}`).values = [['Periodic Discount Rate']];
+      sheet.getRange(`B${row}`).formulas = [[`=(1+B${waccRow})^(1/${periodsPerYear})-1`]];
+      sheet.getRange(`B${row}`).numberFormat = [['0.0000%']];
+      const periodicRateRow = row;
       row++;
       
-      sheet.getRange(`A${row}`).values = [['Equity Investment:']];
-      sheet.getRange(`B${row}`).values = [[equityContribution]];
-      sheet.getRange(`B${row}`).format.numberFormat = [['#,##0;[Red]-#,##0']];
+      sheet.getRange(`A${row}`).values = [['Exit Proceeds (final period)']];
+      const exitParts = [fcfData.salePriceRow, fcfData.disposalCostsRow]
+        .filter(Boolean)
+        .map(r => `N(${source}!${fcfData.lastColumn}${r})`);
+      sheet.getRange(`B${row}`).formulas = [[exitParts.length ? `=${exitParts.join('+')}` : '=0']];
+      ExcelFormatter.applyNumberFormat(sheet.getRange(`B${row}`));
+      const exitRow = row;
       row += 2;
       
-      // AI-generated calculations
-      if (calculations.leveredIRR && calculations.leveredIRR.formula) {
-        sheet.getRange(`A${row}`).values = [['Levered IRR:']];
-        try {
-          sheet.getRange(`B${row}`).formulas = [[calculations.leveredIRR.formula]];
-          sheet.getRange(`B${row}`).format.numberFormat = [['0.00%']];
-        } catch (formulaError) {
-          console.error('IRR formula error:', formulaError);
-          sheet.getRange(`B${row}`).values = [['AI Formula Error']];
+      // Results table header
+      const headerRange = sheet.getRange(`A${row}:E${row}`);
+      headerRange.values = [['Metric', 'Excel', 'Engine', 'Difference', 'Check']];
+      headerRange.format.font.bold = true;
+      headerRange.format.fill.color = ExcelFormatter.colors.darkBlue;
+      headerRange.format.font.color = ExcelFormatter.colors.white;
+      row++;
+      
+      // Payback: first period the cumulative turns non-negative, interpolated within that period
+      const paybackMatch = `MATCH(TRUE,INDEX(C${cumulativeRow}:${lastCol}${cumulativeRow}>=0,0),0)`;
+      const paybackFormula = `=IFERROR((${paybackMatch}-1-INDEX(B${cumulativeRow}:${prevLastCol}${cumulativeRow},${paybackMatch})/INDEX(C${leveredRow}:${lastCol}${leveredRow},${paybackMatch}))/${periodsPerYear},"Not reached")`;
+      const operatingYears = (periodCount - 1) / periodsPerYear;
+      
+      const metrics = [
+        { label: 'Unlevered IRR (annualised)', formula: `=IFERROR((1+IRR(${unleveredRange}))^${periodsPerYear}-1,"No Solution")`, value: results.unlevered.irr, format: '0.00%' },
+        { label: 'Unlevered XIRR', formula: `=IFERROR(XIRR(${unleveredRange},${dateRange}),"No Solution")`, value: results.unlevered.xirr, format: '0.00%' },
+        { label: 'Unlevered MOIC', formula: `=IFERROR(SUMIF(${unleveredRange},">0")/-SUMIF(${unleveredRange},"<0"),"n/a")`, value: results.unlevered.moic, format: '0.00"x"' },
+        { label: 'Unlevered NPV @ WACC', formula: `=B${unleveredRow}+NPV(B${periodicRateRow},C${unleveredRow}:${lastCol}${unleveredRow})`, value: results.unlevered.npv, format: null },
+        { label: 'Levered IRR (annualised)', formula: `=IFERROR((1+IRR(${leveredRange}))^${periodsPerYear}-1,"No Solution")`, value: results.levered.irr, format: '0.00%' },
+        { label: 'Levered XIRR', formula: `=IFERROR(XIRR(${leveredRange},${dateRange}),"No Solution")`, value: results.levered.xirr, format: '0.00%' },
+        { label: 'Levered MOIC', formula: `=IFERROR(SUMIF(${leveredRange},">0")/-SUMIF(${leveredRange},"<0"),"n/a")`, value: results.levered.moic, format: '0.00"x"' },
+        { label: 'Levered NPV @ WACC', formula: `=B${leveredRow}+NPV(B${periodicRateRow},C${leveredRow}:${lastCol}${leveredRow})`, value: results.levered.npv, format: null },
+        { label: 'Payback (years)', formula: paybackFormula, value: results.levered.paybackYears, format: '0.00' },
+        { label: 'Cash-on-Cash (avg. annual)', formula: `=IFERROR((SUM(C${leveredRow}:${lastCol}${leveredRow})-B${exitRow})/${operatingYears}/-SUMIF(${leveredRange},"<0"),"n/a")`, value: results.levered.cashOnCash, format: '0.00%' }
+      ];
+      
+      metrics.forEach(metric => {
+        sheet.getRange(`A${row}`).values = [[metric.label]];
+        sheet.getRange(`B${row}`).formulas = [[metric.formula]];
+        sheet.getRange(`C${row}`).values = [[metric.value === null || metric.value === undefined ? 'n/a' : metric.value]];
+        sheet.getRange(`D${row}`).formulas = [[`=IFERROR(B${row}-C${row},"")`]];
+        sheet.getRange(`E${row}`).formulas = [[`=IF(ISNUMBER(D${row}),IF(ABS(D${row})<=MAX(0.0001,ABS(C${row})*0.0001),"OK","Check"),IF(B${row}&""=C${row}&"","OK","Check"))`]];
+        
+        const valueRange = sheet.getRange(`B${row}:D${row}`);
+        if (metric.format) {
+          valueRange.numberFormat = [[metric.format, metric.format, metric.format]];
+        } else {
+          ExcelFormatter.applyNumberFormat(valueRange);
         }
         row++;
-      }
+      });
       
-      if (calculations.leveredMOIC && calculations.leveredMOIC.formula) {
-        sheet.getRange(`A${row}`).values = [['Levered MOIC:']];
-        try {
-          sheet.getRange(`B${row}`).formulas = [[calculations.leveredMOIC.formula]];
-          sheet.getRange(`B${row}`).format.numberFormat = [['0.00"x"']];
-        } catch (formulaError) {
-          console.error('MOIC formula error:', formulaError);
-          sheet.getRange(`B${row}`).values = [['AI Formula Error']];
-        }
+      // Optional AI commentary - narrative only
+      if (commentary) {
+        row++;
+        sheet.getRange(`A${row}`).values = [['Commentary (AI-generated, figures above are calculated locally)']];
+        sheet.getRange(`A${row}`).format.font.bold = true;
         row++;
+        const commentaryRange = sheet.getRange(`A${row}:E${row}`);
+        commentaryRange.merge();
+        commentaryRange.values = [[commentary]];
+        commentaryRange.format.wrapText = true;
+        commentaryRange.format.verticalAlignment = 'Top';
+        commentaryRange.format.rowHeight = 120;
       }
       
-      // Auto-fit columns
-      sheet.getRange('A:B').format.autofitColumns();
+      const usedRange = sheet.getUsedRange();
+      usedRange.format.font.name = 'Times New Roman';
+      usedRange.format.font.size = 12;
+      sheet.getRange(`A:${lastCol}`).format.autofitColumns();
       
-      console.log('✅ Clean IRR/MOIC sheet created successfully - NO FALLBACK MODE');
+      await context.sync();
+      console.log('✅ IRR & MOIC Analysis sheet created');
     });
   }
   
@@ -3332,7 +4885,7 @@ Generate working Excel formulas using the provided data and structure.`;
   generateEnhancedPLPrompt(modelData) {
     console.log('🤖 Generating enhanced P&L prompt with cell references...');
     
-    const periods = this.calculatePeriods(modelData.projectStartDate, modelData.projectEndDate, modelData.modelPeriods);
+    const periods = this.calculatePeriods(modelData.projectStartDate, modelData.projectEndDate, modelData.modelPeriods, modelData.fiscalYearEnd);
     const maxPeriods = Math.min(periods, 60);
     
     let prompt = `You are an Excel financial modeling expert. Create a P&L Statement with EXACT formulas.
@@ -3340,7 +4893,7 @@ Generate working Excel formulas using the provided data and structure.`;
 **CRITICAL REQUIREMENTS:**
 1. Use EXACT cell references provided below
 2. Reference Assumptions sheet for ALL growth rates
-3. Use proper period adjustments for growth calculations
+3. Convert annual growth rates to per-period rates by compounding: (1+rate)^(1/periods per year)
 
 **PROJECT DETAILS:**
 - Currency: ${modelData.currency}
@@ -3360,15 +4913,8 @@ Generate working Excel formulas using the provided data and structure.`;
    - Period 2+: `;
         
         if (growthRateRef && item.growthType === 'annual') {
-          const cellRef = growthRateRef.includes('!') ? growthRateRef.split('!')[1] : growthRateRef;
-          if (modelData.modelPeriods === 'quarterly') {
-            prompt += `=PreviousCell*(1+Assumptions!${cellRef}/4)`;
-          } else if (modelData.modelPeriods === 'monthly') {
-            prompt += `=PreviousCell*(1+Assumptions!${cellRef}/12)`;
-          } else if (modelData.modelPeriods === 'yearly') {
-            prompt += `=PreviousCell*(1+Assumptions!${cellRef})`;
-          }
-          prompt += `\n   - Growth Rate Location: Assumptions!${cellRef}`;
+          prompt += this.getGrowthFormula('PreviousCell', growthRateRef, modelData.modelPeriods);
+          prompt += `\n   - Growth Rate Location: ${growthRateRef}`;
         } else {
           prompt += `=PreviousCell (no growth)`;
         }
@@ -3388,15 +4934,8 @@ Generate working Excel formulas using the provided data and structure.`;
    - Period 2+: `;
         
         if (growthRateRef && item.growthType === 'annual') {
-          const cellRef = growthRateRef.includes('!') ? growthRateRef.split('!')[1] : growthRateRef;
-          if (modelData.modelPeriods === 'quarterly') {
-            prompt += `=PreviousCell*(1+Assumptions!${cellRef}/4)`;
-          } else if (modelData.modelPeriods === 'monthly') {
-            prompt += `=PreviousCell*(1+Assumptions!${cellRef}/12)`;
-          } else if (modelData.modelPeriods === 'yearly') {
-            prompt += `=PreviousCell*(1+Assumptions!${cellRef})`;
-          }
-          prompt += `\n   - Growth Rate Location: Assumptions!${cellRef}`;
+          prompt += this.getGrowthFormula('PreviousCell', growthRateRef, modelData.modelPeriods);
+          prompt += `\n   - Growth Rate Location: ${growthRateRef}`;
         } else {
           prompt += `=PreviousCell (no growth)`;
         }
@@ -3558,7 +5097,7 @@ You MUST create a P&L Statement with this EXACT structure:
       await context.sync();
 
       // Calculate periods
-      const periods = this.calculatePeriods(modelData.projectStartDate, modelData.projectEndDate, modelData.modelPeriods);
+      const periods = this.calculatePeriods(modelData.projectStartDate, modelData.projectEndDate, modelData.modelPeriods, modelData.fiscalYearEnd);
       const periodColumns = periods;
       const totalColumns = periodColumns + 1; // +1 for Initial Investment period
 
@@ -3596,48 +5135,8 @@ You MUST create a P&L Statement with this EXACT structure:
       currentRow++;
       
       // DATES ROW - two cells below Revenue Items title (includes Period 0)
-      const dateHeaders = [''];
-      const prevPeriodDate = new Date(modelData.projectStartDate);
-      
-      // Calculate previous period date
-      switch (modelData.modelPeriods) {
-        case 'daily':
-          prevPeriodDate.setDate(prevPeriodDate.getDate() - 1);
-          break;
-        case 'monthly':
-          prevPeriodDate.setMonth(prevPeriodDate.getMonth() - 1);
-          break;
-        case 'quarterly':
-          prevPeriodDate.setMonth(prevPeriodDate.getMonth() - 3);
-          break;
-        case 'yearly':
-          prevPeriodDate.setFullYear(prevPeriodDate.getFullYear() - 1);
-          break;
-      }
-      
-      dateHeaders.push(this.formatDateAsLastDay(prevPeriodDate, modelData.modelPeriods)); // Period 0 with XX-XXX-XX format
-      const startDate = new Date(modelData.projectStartDate);
-      for (let i = 0; i < periodColumns; i++) {
-        const periodDate = new Date(startDate);
-        
-        // Calculate the date for this period
-        switch (modelData.modelPeriods) {
-          case 'daily':
-            periodDate.setDate(periodDate.getDate() + i);
-            break;
-          case 'monthly':
-            periodDate.setMonth(periodDate.getMonth() + i);
-            break;
-          case 'quarterly':
-            periodDate.setMonth(periodDate.getMonth() + (i * 3));
-            break;
-          case 'yearly':
-            periodDate.setFullYear(periodDate.getFullYear() + i);
-            break;
-        }
-        
-        dateHeaders.push(this.formatDateAsLastDay(periodDate, modelData.modelPeriods));
-      }
+      const calendar = this.getPeriodCalendar(modelData);
+      const dateHeaders = ['', ...calendar.getDateLabels(periodColumns)];
       
       const dateRange = plSheet.getRange(`A${currentRow}:${this.getColumnLetter(totalColumns)}${currentRow}`);
       dateRange.values = [dateHeaders];
@@ -3655,9 +5154,9 @@ You MUST create a P&L Statement with this EXACT structure:
       
       // PERIOD ROW - 'Period' followed by 0, then 1, 2, 3, etc.
       const periodHeaders = ['Period'];
-      periodHeaders.push('0'); // Period 0
+      periodHeaders.push(0); // Period 0
       for (let i = 1; i <= periodColumns; i++) {
-        periodHeaders.push(i.toString());
+        periodHeaders.push(i); // Numeric so line item formulas can test start/end periods
       }
       
       const periodRange = plSheet.getRange(`A${currentRow}:${this.getColumnLetter(totalColumns)}${currentRow}`);
@@ -3666,6 +5165,14 @@ You MUST create a P&L Statement with this EXACT structure:
       periodRange.format.font.size = 12;
       periodRange.format.font.bold = false; // Remove bold formatting
       currentRow++;
+      const periodRow = currentRow - 1;
+      
+      // Inflation curve for indexed lines (sits above the revenue items)
+      let inflationIndexRow = null;
+      if (this.usesInflationIndex(modelData)) {
+        inflationIndexRow = this.writeInflationIndexRows(plSheet, modelData, currentRow, totalColumns);
+        currentRow += 2;
+      }
 
       // Add revenue items with growth
       const actualRevenueItemsStartRow = currentRow; // Track where actual revenue items start
@@ -3675,8 +5182,7 @@ You MUST create a P&L Statement with this EXACT structure:
           plSheet.getRange(`A${currentRow}`).format.font.name = 'Times New Roman';
           plSheet.getRange(`A${currentRow}`).format.font.size = 12;
           
-          const valueRef = this.cellTracker.getCellReference(`revenue_${index}`);
-          const growthRateRef = this.cellTracker.getCellReference(`revenue_${index}_growth_rate`);
+          const lineRefs = this.getLineItemRefs('revenue', index);
           
           for (let col = 1; col <= totalColumns; col++) {
             const colLetter = this.getColumnLetter(col);
@@ -3686,25 +5192,20 @@ You MUST create a P&L Statement with this EXACT structure:
               dashRange.values = [['-']];
               dashRange.format.horizontalAlignment = 'Right';
               ExcelFormatter.applyNumberFormat(dashRange);
-            } else if (col === 2) {
-              // First operating period: base value
-              plSheet.getRange(`${colLetter}${currentRow}`).formulas = [[`=${valueRef}`]];
-              ExcelFormatter.applyNumberFormat(plSheet.getRange(`${colLetter}${currentRow}`));
             } else {
-              // Subsequent periods: apply growth
-              if (growthRateRef) {
-                const prevColLetter = this.getColumnLetter(col - 1);
-                if (modelData.modelPeriods === 'monthly') {
-                  plSheet.getRange(`${colLetter}${currentRow}`).formulas = [[`=${prevColLetter}${currentRow}*(1+${growthRateRef}/12)`]];
-                } else if (modelData.modelPeriods === 'quarterly') {
-                  plSheet.getRange(`${colLetter}${currentRow}`).formulas = [[`=${prevColLetter}${currentRow}*(1+${growthRateRef}/4)`]];
-                } else {
-                  plSheet.getRange(`${colLetter}${currentRow}`).formulas = [[`=${prevColLetter}${currentRow}*(1+${growthRateRef})`]];
-                }
-              } else {
-                const prevColLetter = this.getColumnLetter(col - 1);
-                plSheet.getRange(`${colLetter}${currentRow}`).formulas = [[`=${prevColLetter}${currentRow}`]];
-              }
+              // Operating periods: base value in the first live period, then the item's growth method
+              plSheet.getRange(`${colLetter}${currentRow}`).formulas = [[this.getLineItemFormula(item, lineRefs, {
+                colLetter,
+                prevColLetter: this.getColumnLetter(col - 1),
+                period: calendar.getPeriod(col - 1),
+                prevPeriod: calendar.getPeriod(col - 2),
+                row: currentRow,
+                periodRow,
+                indexRow: inflationIndexRow,
+                periodType: modelData.modelPeriods,
+                lastPeriod: periodColumns,
+                sign: 1
+              })]];
               ExcelFormatter.applyNumberFormat(plSheet.getRange(`${colLetter}${currentRow}`));
             }
           }
@@ -3767,8 +5268,7 @@ You MUST create a P&L Statement with this EXACT structure:
           plSheet.getRange(`A${currentRow}`).format.font.name = 'Times New Roman';
           plSheet.getRange(`A${currentRow}`).format.font.size = 12;
           
-          const valueRef = this.cellTracker.getCellReference(`opex_${index}`);
-          const growthRateRef = this.cellTracker.getCellReference(`opex_${index}_growth_rate`);
+          const lineRefs = this.getLineItemRefs('opex', index);
           
           for (let col = 1; col <= totalColumns; col++) {
             const colLetter = this.getColumnLetter(col);
@@ -3778,25 +5278,20 @@ You MUST create a P&L Statement with this EXACT structure:
               dashRange.values = [['-']];
               dashRange.format.horizontalAlignment = 'Right';
               ExcelFormatter.applyNumberFormat(dashRange);
-            } else if (col === 2) {
-              // First operating period: base value
-              plSheet.getRange(`${colLetter}${currentRow}`).formulas = [[`=-${valueRef}`]];
-              ExcelFormatter.applyNumberFormat(plSheet.getRange(`${colLetter}${currentRow}`));
             } else {
-              // Subsequent periods: apply growth
-              if (growthRateRef) {
-                const prevColLetter = this.getColumnLetter(col - 1);
-                if (modelData.modelPeriods === 'monthly') {
-                  plSheet.getRange(`${colLetter}${currentRow}`).formulas = [[`=${prevColLetter}${currentRow}*(1+${growthRateRef}/12)`]];
-                } else if (modelData.modelPeriods === 'quarterly') {
-                  plSheet.getRange(`${colLetter}${currentRow}`).formulas = [[`=${prevColLetter}${currentRow}*(1+${growthRateRef}/4)`]];
-                } else {
-                  plSheet.getRange(`${colLetter}${currentRow}`).formulas = [[`=${prevColLetter}${currentRow}*(1+${growthRateRef})`]];
-                }
-              } else {
-                const prevColLetter = this.getColumnLetter(col - 1);
-                plSheet.getRange(`${colLetter}${currentRow}`).formulas = [[`=${prevColLetter}${currentRow}`]];
-              }
+              // Operating periods: base value in the first live period, then the item's growth method
+              plSheet.getRange(`${colLetter}${currentRow}`).formulas = [[this.getLineItemFormula(item, lineRefs, {
+                colLetter,
+                prevColLetter: this.getColumnLetter(col - 1),
+                period: calendar.getPeriod(col - 1),
+                prevPeriod: calendar.getPeriod(col - 2),
+                row: currentRow,
+                periodRow,
+                indexRow: inflationIndexRow,
+                periodType: modelData.modelPeriods,
+                lastPeriod: periodColumns,
+                sign: -1
+              })]];
               ExcelFormatter.applyNumberFormat(plSheet.getRange(`${colLetter}${currentRow}`));
             }
           }
@@ -3864,12 +5359,17 @@ You MUST create a P&L Statement with this EXACT structure:
 
       // Real estate model: NOI is the final metric - no interest, tax, or net income calculations needed
       
-      // Track NOI for FCF calculations
+      // Track NOI and totals for FCF calculations (named PL_NOI, PL_Total_Revenue, PL_Total_Opex)
+      this.plCellTracker.recordCell('total_revenue', 'P&L Statement', `B${totalRevenueRow}:${this.getColumnLetter(totalColumns)}${totalRevenueRow}`);
+      this.plCellTracker.recordCell('total_opex', 'P&L Statement', `B${totalOpExRow}:${this.getColumnLetter(totalColumns)}${totalOpExRow}`);
       this.plCellTracker.recordCell('noi', 'P&L Statement', `B${ebitdaRow}:${this.getColumnLetter(totalColumns)}${ebitdaRow}`);
 
       // Apply number formatting with brackets for negatives and dash for zeros
       const dataRange = plSheet.getRange(`B5:${this.getColumnLetter(totalColumns)}${currentRow}`);
       ExcelFormatter.applyNumberFormat(dataRange);
+      if (inflationIndexRow) {
+        this.formatInflationIndexRows(plSheet, inflationIndexRow, totalColumns);
+      }
       
       // Apply Times New Roman font to all data cells
       const allDataRange = plSheet.getRange(`A1:${this.getColumnLetter(totalColumns)}${currentRow}`);
@@ -3884,6 +5384,7 @@ You MUST create a P&L Statement with this EXACT structure:
       plSheet.getRange(`A:${this.getColumnLetter(totalColumns)}`).format.autofitColumns();
       
       await context.sync();
+      await this.defineNamedRanges(context, this.plCellTracker);
       console.log('✅ Enhanced P&L Statement created successfully with formatting');
     });
   }
@@ -3932,6 +5433,12 @@ You MUST create a P&L Statement with this EXACT structure:
 
   // Generate CapEx sheet with P&L-style formatting
   async generateCapExSheet(modelData) {
+    return this.buildModelSheet('Capital Expenses', () => this.createCapExSheet(modelData));
+  }
+
+  async createCapExSheet(modelData) {
+    await this.restoreCellTrackers();
+    
     return Excel.run(async (context) => {
       console.log('📊 Creating CapEx Summary Sheet...');
       
@@ -3961,9 +5468,7 @@ You MUST create a P&L Statement with this EXACT structure:
       capExSheet.showGridlines = false;
       
       // Calculate periods
-      const startDate = new Date(modelData.projectStartDate);
-      const endDate = new Date(modelData.projectEndDate);
-      const periods = this.calculatePeriods(startDate, endDate, modelData.modelPeriods);
+      const periods = this.calculatePeriods(modelData.projectStartDate, modelData.projectEndDate, modelData.modelPeriods, modelData.fiscalYearEnd);
       const periodColumns = periods;
       const totalColumns = periodColumns + 1; // +1 for Period 0
       
@@ -3987,46 +5492,9 @@ You MUST create a P&L Statement with this EXACT structure:
       currentRow++;
       
       // DATES ROW - includes Period 0
-      const dateHeaders = [''];
-      const prevPeriodDate = new Date(modelData.projectStartDate);
-      
-      // Calculate previous period date
-      switch (modelData.modelPeriods) {
-        case 'daily':
-          prevPeriodDate.setDate(prevPeriodDate.getDate() - 1);
-          break;
-        case 'monthly':
-          prevPeriodDate.setMonth(prevPeriodDate.getMonth() - 1);
-          break;
-        case 'quarterly':
-          prevPeriodDate.setMonth(prevPeriodDate.getMonth() - 3);
-          break;
-        case 'yearly':
-          prevPeriodDate.setFullYear(prevPeriodDate.getFullYear() - 1);
-          break;
-      }
-      
-      dateHeaders.push(this.formatDateAsLastDay(prevPeriodDate, modelData.modelPeriods)); // Period 0
-      for (let i = 0; i < periodColumns; i++) {
-        const periodDate = new Date(startDate);
-        
-        switch (modelData.modelPeriods) {
-          case 'daily':
-            periodDate.setDate(periodDate.getDate() + i);
-            break;
-          case 'monthly':
-            periodDate.setMonth(periodDate.getMonth() + i);
-            break;
-          case 'quarterly':
-            periodDate.setMonth(periodDate.getMonth() + (i * 3));
-            break;
-          case 'yearly':
-            periodDate.setFullYear(periodDate.getFullYear() + i);
-            break;
-        }
-        
-        dateHeaders.push(this.formatDateAsLastDay(periodDate, modelData.modelPeriods));
-      }
+      const calendar = this.getPeriodCalendar(modelData);
+      const periodsPerYear = this.getPeriodsPerYear(modelData.modelPeriods);
+      const dateHeaders = ['', ...calendar.getDateLabels(periodColumns)];
       
       const dateRange = capExSheet.getRange(`A${currentRow}:${this.getColumnLetter(totalColumns)}${currentRow}`);
       dateRange.values = [dateHeaders];
@@ -4085,24 +5553,22 @@ You MUST create a P&L Statement with this EXACT structure:
               dashRange.format.horizontalAlignment = 'Right';
               ExcelFormatter.applyNumberFormat(dashRange);
             } else if (col === 2) {
-              // Period 1: Base CapEx value (negative cash flow)
+              // Period 1: Base CapEx value (negative cash flow), prorated for a stub first period
               if (valueRef) {
-                capExSheet.getRange(`${colLetter}${currentRow}`).formulas = [[`=-${valueRef}`]];
+                const { share } = this.getPeriodTerms(calendar.getPeriod(1), periodsPerYear);
+                capExSheet.getRange(`${colLetter}${currentRow}`).formulas = [[share ? `=-${valueRef}*${share}` : `=-${valueRef}`]];
                 ExcelFormatter.applyNumberFormat(capExSheet.getRange(`${colLetter}${currentRow}`));
               }
             } else {
-              // Subsequent periods: Apply growth
+              // Subsequent periods: Apply growth (stub periods grow and prorate by their own length)
               if (valueRef && growthRateRef) {
                 const prevColLetter = this.getColumnLetter(col - 1);
-                if (modelData.modelPeriods === 'monthly') {
-                  capExSheet.getRange(`${colLetter}${currentRow}`).formulas = [[`=${prevColLetter}${currentRow}*(1+${growthRateRef}/12)`]];
-                } else if (modelData.modelPeriods === 'quarterly') {
-                  capExSheet.getRange(`${colLetter}${currentRow}`).formulas = [[`=${prevColLetter}${currentRow}*(1+${growthRateRef}/4)`]];
-                } else if (modelData.modelPeriods === 'daily') {
-                  capExSheet.getRange(`${colLetter}${currentRow}`).formulas = [[`=${prevColLetter}${currentRow}*(1+${growthRateRef}/365)`]];
-                } else {
-                  capExSheet.getRange(`${colLetter}${currentRow}`).formulas = [[`=${prevColLetter}${currentRow}*(1+${growthRateRef})`]];
-                }
+                const terms = this.getPeriodTerms(calendar.getPeriod(col - 1), periodsPerYear);
+                const prevTerms = this.getPeriodTerms(calendar.getPeriod(col - 2), periodsPerYear);
+                const prevCellRef = prevTerms.share ? `(${prevColLetter}${currentRow}/(${prevTerms.share}))` : `${prevColLetter}${currentRow}`;
+                const growthFormula = this.getGrowthFormula(prevCellRef, growthRateRef, modelData.modelPeriods, 'compound',
+                  { yearFraction: terms.share ? terms.yearFraction : null });
+                capExSheet.getRange(`${colLetter}${currentRow}`).formulas = [[terms.share ? `=(${growthFormula.slice(1)})*${terms.share}` : growthFormula]];
                 ExcelFormatter.applyNumberFormat(capExSheet.getRange(`${colLetter}${currentRow}`));
               }
             }
@@ -4173,7 +5639,7 @@ You MUST create a P&L Statement with this EXACT structure:
   }
 
   // Create FCF sheet with the new structure
-  async createAIFCFSheet(modelData, fcfPrompt, plStructure, assumptionStructure, capExStructure) {
+  async createAIFCFSheet(modelData, fcfPrompt, plStructure, assumptionStructure, capExStructure, debtStructure) {
     return Excel.run(async (context) => {
       console.log('💰 Creating Free Cash Flow Sheet...');
       
@@ -4206,9 +5672,7 @@ You MUST create a P&L Statement with this EXACT structure:
       fcfSheet.showGridlines = false;
       
       // Calculate periods
-      const startDate = new Date(modelData.projectStartDate);
-      const endDate = new Date(modelData.projectEndDate);
-      const periods = this.calculatePeriods(startDate, endDate, modelData.modelPeriods);
+      const periods = this.calculatePeriods(modelData.projectStartDate, modelData.projectEndDate, modelData.modelPeriods, modelData.fiscalYearEnd);
       const totalColumns = periods + 1; // +1 for Period 0 (periods is a number, not array)
       
       // TITLE - P&L style formatting
@@ -4229,46 +5693,7 @@ You MUST create a P&L Statement with this EXACT structure:
       currentRow++;
       
       // DATES ROW - includes Period 0
-      const dateHeaders = [''];
-      const prevPeriodDate = new Date(modelData.projectStartDate);
-      
-      // Calculate previous period date
-      switch (modelData.modelPeriods) {
-        case 'daily':
-          prevPeriodDate.setDate(prevPeriodDate.getDate() - 1);
-          break;
-        case 'monthly':
-          prevPeriodDate.setMonth(prevPeriodDate.getMonth() - 1);
-          break;
-        case 'quarterly':
-          prevPeriodDate.setMonth(prevPeriodDate.getMonth() - 3);
-          break;
-        case 'yearly':
-          prevPeriodDate.setFullYear(prevPeriodDate.getFullYear() - 1);
-          break;
-      }
-      
-      dateHeaders.push(this.formatDateAsLastDay(prevPeriodDate, modelData.modelPeriods)); // Period 0
-      for (let i = 0; i < periods; i++) {
-        const periodDate = new Date(startDate);
-        
-        switch (modelData.modelPeriods) {
-          case 'daily':
-            periodDate.setDate(periodDate.getDate() + i);
-            break;
-          case 'monthly':
-            periodDate.setMonth(periodDate.getMonth() + i);
-            break;
-          case 'quarterly':
-            periodDate.setMonth(periodDate.getMonth() + (i * 3));
-            break;
-          case 'yearly':
-            periodDate.setFullYear(periodDate.getFullYear() + i);
-            break;
-        }
-        
-        dateHeaders.push(this.formatDateAsLastDay(periodDate, modelData.modelPeriods));
-      }
+      const dateHeaders = ['', ...this.getPeriodCalendar(modelData).getDateLabels(periods)];
       
       const dateRange = fcfSheet.getRange(`A${currentRow}:${this.getColumnLetter(totalColumns)}${currentRow}`);
       dateRange.values = [dateHeaders];
@@ -4308,7 +5733,7 @@ You MUST create a P&L Statement with this EXACT structure:
       fcfSheet.getRange(`A${currentRow}`).format.font.size = 12;
       fcfSheet.getRange(`A${currentRow}`).format.font.color = ExcelFormatter.colors.black;
       
-      fcfSheet.getRange('B' + currentRow).formulas = [[`=-Assumptions!${this.cellTracker.getCellReference('dealValue')?.split('!')[1] || 'B10'}`]];
+      fcfSheet.getRange('B' + currentRow).formulas = [[`=-${this.cellTracker.getCellReference('dealValue') || 'Assumptions!B10'}`]];
       ExcelFormatter.applyNumberFormat(fcfSheet.getRange('B' + currentRow));
       for (let i = 1; i <= periods; i++) {
         const colLetter = this.getColumnLetter(i + 1);
@@ -4505,82 +5930,40 @@ You MUST create a P&L Statement with this EXACT structure:
       }
       currentRow++;
       
-      // Debt Expense (referenced directly from Debt Model)
-      fcfSheet.getRange(`A${currentRow}`).values = [['Debt Expense']];
-      fcfSheet.getRange(`A${currentRow}`).format.font.name = 'Times New Roman';
-      fcfSheet.getRange(`A${currentRow}`).format.font.size = 12;
-      fcfSheet.getRange(`A${currentRow}`).format.font.color = ExcelFormatter.colors.black;
-      
-      if (modelData.dealLTV && parseFloat(modelData.dealLTV) > 0) {
-        // Reference debt expense directly from the Debt Model sheet row 6
-        for (let i = 0; i <= periods; i++) {
-          const colLetter = this.getColumnLetter(i + 1); // FCF column
-          if (i === 0) {
-            const dashRange = fcfSheet.getRange(colLetter + currentRow);
-            dashRange.values = [['-']];
-            dashRange.format.horizontalAlignment = 'Right';
-            ExcelFormatter.applyNumberFormat(dashRange);
-          } else {
-            // Reference debt expense from Debt Model: Period 1 is column C, Period 2 is column D, etc.
-            const debtModelCol = this.getColumnLetter(i + 1); // FCF Period i maps to Debt Model column (i+1)
-            fcfSheet.getRange(colLetter + currentRow).formulas = [[`=-'Debt Financing'!${debtModelCol}6`]];
-            ExcelFormatter.applyNumberFormat(fcfSheet.getRange(colLetter + currentRow));
-          }
-        }
-      } else {
-        // No debt - all zeros
-        for (let i = 0; i <= periods; i++) {
-          const colLetter = this.getColumnLetter(i + 1);
-          const dashRange = fcfSheet.getRange(colLetter + currentRow);
-          dashRange.values = [['-']];
-          dashRange.format.horizontalAlignment = 'Right';
-          ExcelFormatter.applyNumberFormat(dashRange);
-        }
+      // Interest and principal rolled up from the Debt Financing tranche schedules
+      const hasDebt = modelData.dealLTV && parseFloat(modelData.dealLTV) > 0;
+      const debtRows = [
+        { label: 'Interest Expense', sourceRow: debtStructure?.interestRow, sign: '-' },
+        { label: 'Principal Repayment', sourceRow: debtStructure?.principalRow, sign: '-' },
+        { label: 'Loan proceeds', sourceRow: debtStructure?.drawdownRow, sign: '' }
+      ];
+      
+      if (hasDebt && !debtStructure?.interestRow) {
+        console.warn('⚠️ Debt Financing sheet not found - generate it before the Cashflows sheet');
       }
-      currentRow++;
-      
-      // Loan proceeds (positive cash inflow in Period 0)
-      fcfSheet.getRange(`A${currentRow}`).values = [['Loan proceeds']];
-      fcfSheet.getRange(`A${currentRow}`).format.font.name = 'Times New Roman';
-      fcfSheet.getRange(`A${currentRow}`).format.font.size = 12;
-      fcfSheet.getRange(`A${currentRow}`).format.font.color = ExcelFormatter.colors.black;
       
-      if (modelData.dealLTV && parseFloat(modelData.dealLTV) > 0) {
-        const debtFinancingRef = this.cellTracker.getCellReference('debtFinancing');
+      debtRows.forEach(debtRow => {
+        fcfSheet.getRange(`A${currentRow}`).values = [[debtRow.label]];
+        fcfSheet.getRange(`A${currentRow}`).format.font.name = 'Times New Roman';
+        fcfSheet.getRange(`A${currentRow}`).format.font.size = 12;
+        fcfSheet.getRange(`A${currentRow}`).format.font.color = ExcelFormatter.colors.black;
+        
         for (let i = 0; i <= periods; i++) {
-          const colLetter = this.getColumnLetter(i + 1); // FCF column
-          if (i === 0) {
-            // Initial period - loan proceeds come in
-            if (debtFinancingRef) {
-              fcfSheet.getRange(colLetter + currentRow).formulas = [[`=${debtFinancingRef}`]];
-              ExcelFormatter.applyNumberFormat(fcfSheet.getRange(colLetter + currentRow));
-            } else {
-              // Fallback calculation
-              const dealValue = parseFloat(modelData.dealValue) || 0;
-              const ltvRatio = parseFloat(modelData.dealLTV) / 100 || 0;
-              const loanAmount = dealValue * ltvRatio;
-              fcfSheet.getRange(colLetter + currentRow).values = [[loanAmount]];
-              ExcelFormatter.applyNumberFormat(fcfSheet.getRange(colLetter + currentRow));
-            }
+          const colLetter = this.getColumnLetter(i + 1); // Same column mapping on both sheets
+          const cell = fcfSheet.getRange(colLetter + currentRow);
+          
+          // Drawdowns only happen in Period 0; interest and principal only in operating periods
+          const isActive = debtRow.label === 'Loan proceeds' ? i === 0 : i > 0;
+          if (hasDebt && debtRow.sourceRow && isActive) {
+            cell.formulas = [[`=${debtRow.sign}'Debt Financing'!${colLetter}${debtRow.sourceRow}`]];
           } else {
-            // All other periods - no loan proceeds
-            const dashRange = fcfSheet.getRange(colLetter + currentRow);
-            dashRange.values = [['-']];
-            dashRange.format.horizontalAlignment = 'Right';
-            ExcelFormatter.applyNumberFormat(dashRange);
+            cell.values = [['-']];
+            cell.format.horizontalAlignment = 'Right';
           }
+          ExcelFormatter.applyNumberFormat(cell);
         }
-      } else {
-        // No debt - all zeros
-        for (let i = 0; i <= periods; i++) {
-          const colLetter = this.getColumnLetter(i + 1);
-          const dashRange = fcfSheet.getRange(colLetter + currentRow);
-          dashRange.values = [['-']];
-          dashRange.format.horizontalAlignment = 'Right';
-          ExcelFormatter.applyNumberFormat(dashRange);
-        }
-      }
-      currentRow++;
+        currentRow++;
+      });
       
       // Levered Cashflows
       fcfSheet.getRange(`A${currentRow}`).values = [['Levered Cashflows']];
@@ -4601,27 +5984,19 @@ You MUST create a P&L Statement with this EXACT structure:
       
       const leveredCashflowsRow = currentRow;
       fcfStructure.leveredCashflows = currentRow; // Track this for later reference
-      // Store row numbers for correct formula references (adjusted for empty row)
-      const debtUpfrontCostsRow = currentRow - 3;
-      const debtExpenseRow = currentRow - 2;
       const loanProceedsRow = currentRow - 1;
       
+      // Unlevered cashflows already include the sale price and disposal costs, so every period
+      // is simply unlevered CF plus the debt flows below it
       for (let i = 0; i <= periods; i++) {
         const colLetter = this.getColumnLetter(i + 1);
-        // For final period, include Sale Price and Disposal Costs
-        if (i === periods && fcfStructure.salePrice && fcfStructure.disposalCosts) {
-          // Final period: Include unlevered CF + debt flows + sale price + disposal costs
-          fcfSheet.getRange(colLetter + currentRow).formulas = 
-            [[`=SUM(${colLetter}${unlevereCashflowsRow}:${colLetter}${loanProceedsRow})+${colLetter}${fcfStructure.salePrice}+${colLetter}${fcfStructure.disposalCosts}`]];
-        } else {
-          // Regular periods: SUM of all components from unlevered CF to loan proceeds
-          fcfSheet.getRange(colLetter + currentRow).formulas = [[`=SUM(${colLetter}${unlevereCashflowsRow}:${colLetter}${loanProceedsRow})`]];
-        }
+        fcfSheet.getRange(colLetter + currentRow).formulas = [[`=SUM(${colLetter}${unlevereCashflowsRow}:${colLetter}${loanProceedsRow})`]];
         ExcelFormatter.applyNumberFormat(fcfSheet.getRange(colLetter + currentRow));
       }
       currentRow += 2;
       
-      // Equity Contributions - initial equity investment from levered cash flow
+      // Equity Contributions and distributions split each period's levered cash flow by sign, so
+      // MOIC is cash returned over cash invested (ReturnsEngine.moic)
       fcfSheet.getRange(`A${currentRow}`).values = [['Equity Contributions']];
       const equityContribRange = fcfSheet.getRange(`A${currentRow}`);
       equityContribRange.format.font.name = 'Times New Roman';
@@ -4631,16 +6006,8 @@ You MUST create a P&L Statement with this EXACT structure:
       const equityContributionsRow = currentRow;
       for (let i = 0; i <= periods; i++) {
         const colLetter = this.getColumnLetter(i + 1);
-        if (i === 0) {
-          // Period 0: Show the positive value of initial equity investment (absolute value of negative levered cash flow)
-          fcfSheet.getRange(colLetter + currentRow).formulas = [[`=ABS(${colLetter}${leveredCashflowsRow})`]];
-        } else {
-          // Other periods: Show dash (no additional equity contributions)
-          const dashRange = fcfSheet.getRange(colLetter + currentRow);
-          dashRange.values = [['-']];
-          dashRange.format.horizontalAlignment = 'Right';
-          ExcelFormatter.applyNumberFormat(dashRange);
-        }
+        fcfSheet.getRange(colLetter + currentRow).formulas = [[`=MAX(-${colLetter}${leveredCashflowsRow},0)`]];
+        ExcelFormatter.applyNumberFormat(fcfSheet.getRange(colLetter + currentRow));
       }
       currentRow++;
       
@@ -4654,17 +6021,8 @@ You MUST create a P&L Statement with this EXACT structure:
       const equityDistributionsRow = currentRow;
       for (let i = 0; i <= periods; i++) {
         const colLetter = this.getColumnLetter(i + 1);
-        if (i === 0) {
-          // Period 0: Show dash (no distributions in initial period)
-          const dashRange = fcfSheet.getRange(colLetter + currentRow);
-          dashRange.values = [['-']];
-          dashRange.format.horizontalAlignment = 'Right';
-          ExcelFormatter.applyNumberFormat(dashRange);
-        } else {
-          // Operating periods: Show the levered cash flows (distributions)
-          fcfSheet.getRange(colLetter + currentRow).formulas = [[`=${colLetter}${leveredCashflowsRow}`]];
-          ExcelFormatter.applyNumberFormat(fcfSheet.getRange(colLetter + currentRow));
-        }
+        fcfSheet.getRange(colLetter + currentRow).formulas = [[`=MAX(${colLetter}${leveredCashflowsRow},0)`]];
+        ExcelFormatter.applyNumberFormat(fcfSheet.getRange(colLetter + currentRow));
       }
       currentRow += 2;
       
@@ -4711,7 +6069,7 @@ You MUST create a P&L Statement with this EXACT structure:
       moicLabelRange.format.fill.color = ExcelFormatter.colors.darkBlue;
       
       // MOIC: Sum of equity distributions / Sum of equity contributions
-      fcfSheet.getRange('B' + currentRow).formulas = [[`=SUM(B${equityDistributionsRow}:${finalCol}${equityDistributionsRow})/SUM(B${equityContributionsRow}:${finalCol}${equityContributionsRow})`]];
+      fcfSheet.getRange('B' + currentRow).formulas = [[`=IFERROR(SUM(B${equityDistributionsRow}:${finalCol}${equityDistributionsRow})/SUM(B${equityContributionsRow}:${finalCol}${equityContributionsRow}),"n/a")`]];
       fcfSheet.getRange('B' + currentRow).numberFormat = [['0.0"x"']];
       fcfSheet.getRange('B' + currentRow).format.font.bold = true;
       
@@ -4732,8 +6090,17 @@ You MUST create a P&L Statement with this EXACT structure:
     });
   }
 
-  // Generate simplified Debt Model sheet (Fixed Rate Only)
+  // Generate Debt Model sheet - one balance / interest / principal schedule per tranche, rolled up into totals
   async generateDebtModelSheet(modelData) {
+    return this.buildModelSheet('Debt Financing', () => this.createDebtModelSheet(modelData));
+  }
+
+  async createDebtModelSheet(modelData) {
+    await this.restoreCellTrackers();
+    
+    // NOI drives the cash sweep and covenant tests, so read the P&L before building the schedule
+    const plStructure = await this.readPLSheetStructure();
+    
     return Excel.run(async (context) => {
       console.log('🏦 Creating Debt Model sheet with P&L-style formatting...');
       
@@ -4782,7 +6149,7 @@ You MUST create a P&L Statement with this EXACT structure:
       }
       
       // P&L-style title formatting
-      const periods = this.calculatePeriods(modelData.projectStartDate, modelData.projectEndDate, modelData.modelPeriods);
+      const periods = this.calculatePeriods(modelData.projectStartDate, modelData.projectEndDate, modelData.modelPeriods, modelData.fiscalYearEnd);
       const totalColumns = periods + 1; // +1 for Period 0
       
       debtSheet.getRange('A1').values = [['Debt Model']];
@@ -4800,47 +6167,7 @@ You MUST create a P&L Statement with this EXACT structure:
       debtSheet.getRange('B:B').format.columnWidth = 10;
       
       // DATES ROW - row 2 (includes Period 0)
-      const dateHeaders = [''];
-      const prevPeriodDate = new Date(modelData.projectStartDate);
-      
-      // Calculate previous period date
-      switch (modelData.modelPeriods) {
-        case 'daily':
-          prevPeriodDate.setDate(prevPeriodDate.getDate() - 1);
-          break;
-        case 'monthly':
-          prevPeriodDate.setMonth(prevPeriodDate.getMonth() - 1);
-          break;
-        case 'quarterly':
-          prevPeriodDate.setMonth(prevPeriodDate.getMonth() - 3);
-          break;
-        case 'yearly':
-          prevPeriodDate.setFullYear(prevPeriodDate.getFullYear() - 1);
-          break;
-      }
-      
-      dateHeaders.push(this.formatDateAsLastDay(prevPeriodDate, modelData.modelPeriods)); // Period 0
-      const startDate = new Date(modelData.projectStartDate);
-      for (let i = 0; i < periods; i++) {
-        const periodDate = new Date(startDate);
-        
-        switch (modelData.modelPeriods) {
-          case 'daily':
-            periodDate.setDate(periodDate.getDate() + i);
-            break;
-          case 'monthly':
-            periodDate.setMonth(periodDate.getMonth() + i);
-            break;
-          case 'quarterly':
-            periodDate.setMonth(periodDate.getMonth() + (i * 3));
-            break;
-          case 'yearly':
-            periodDate.setFullYear(periodDate.getFullYear() + i);
-            break;
-        }
-        
-        dateHeaders.push(this.formatDateAsLastDay(periodDate, modelData.modelPeriods));
-      }
+      const dateHeaders = ['', ...this.getPeriodCalendar(modelData).getDateLabels(periods)];
       
       const dateRange = debtSheet.getRange(`A2:${this.getColumnLetter(totalColumns)}2`);
       dateRange.values = [dateHeaders];
@@ -4870,108 +6197,253 @@ You MUST create a P&L Statement with this EXACT structure:
       periodRange.format.font.size = 12;
       periodRange.format.font.bold = false;
       
-      // Calculate debt amount using references to Assumptions sheet
-      const dealValue = parseFloat(modelData.dealValue) || 0;
-      const ltvRatio = parseFloat(modelData.dealLTV) / 100 || 0.7;
-      const debtAmount = dealValue * ltvRatio;
+      const periodsPerYear = this.getPeriodsPerYear(modelData.modelPeriods);
+      const calendar = this.getPeriodCalendar(modelData);
+      const tranches = this.getDebtTranches(modelData);
       
-      // Get cell references to Assumptions sheet for dynamic linking
+      // Total debt comes from the Assumptions sheet so the schedule follows any input change
+      const debtFinancingRef = this.cellTracker.getCellReference('debtFinancing');
       const dealValueRef = this.cellTracker.getCellReference('dealValue') || 'Assumptions!$B$4';
       const dealLTVRef = this.cellTracker.getCellReference('dealLTV') || 'Assumptions!$B$6';
+      const totalDebtFormula = debtFinancingRef || `${dealValueRef}*${dealLTVRef}`;
       
-      console.log('📊 Debt calculations:', { dealValue, ltvRatio, debtAmount, dealValueRef, dealLTVRef });
+      console.log('📊 Debt tranches:', tranches);
       
-      // Set up debt balance row (row 4)
-      debtSheet.getRange('A4').values = [['Outstanding Debt Balance']];
-      debtSheet.getRange('A4').format.font.name = 'Times New Roman';
-      debtSheet.getRange('A4').format.font.size = 12;
+      const lastCol = this.getColumnLetter(totalColumns);
+      const structure = { tranches: [] };
       
-      // Period 0: Show dash for debt balance (no debt issued yet)
-      const dashRange = debtSheet.getRange('B4');
-      dashRange.values = [['-']];
-      dashRange.format.horizontalAlignment = 'Right';
-      ExcelFormatter.applyNumberFormat(dashRange);
+      // Covenant tests and the cash sweep need NOI; without a P&L the schedule is debt-only
+      const noiRow = plStructure?.lineItems?.noi?.row || null;
+      const hasCovenants = !!noiRow;
+      if (!hasCovenants) {
+        console.warn('⚠️ No NOI row found on the P&L - skipping cash sweep and covenant tests');
+      }
       
-      // Debt balance for all periods - Final period shows full loan amount (per Leon's requirements)
-      for (let i = 1; i <= periods; i++) {
-        const colLetter = this.getColumnLetter(i + 1); // C, D, E, etc.
-        if (i === periods) {
-          // Final period: show full loan amount (referencing assumptions tab)
-          debtSheet.getRange(colLetter + '4').formulas = [[`=${dealValueRef}*${dealLTVRef}`]];
-          ExcelFormatter.applyNumberFormat(debtSheet.getRange(colLetter + '4'));
+      // Lay out every row up-front so tranche formulas can reference the roll-up rows below them
+      let layoutRow = 5;
+      const layouts = tranches.map((tranche) => {
+        const rows = { header: layoutRow++ };
+        rows.opening = layoutRow++;
+        rows.drawdown = layoutRow++;
+        rows.baseRate = tranche.rateType === 'floating' ? layoutRow++ : null;
+        rows.rate = layoutRow++;
+        rows.interest = layoutRow++;
+        rows.principal = layoutRow++;
+        rows.sweep = hasCovenants ? layoutRow++ : null;
+        rows.closing = layoutRow++;
+        rows.debtService = layoutRow++;
+        layoutRow++; // Spacer between tranches
+        return rows;
+      });
+      
+      const totals = { header: layoutRow++ };
+      totals.drawdown = layoutRow++;
+      totals.interest = layoutRow++;
+      totals.scheduledPrincipal = hasCovenants ? layoutRow++ : null;
+      totals.sweep = hasCovenants ? layoutRow++ : null;
+      totals.principal = layoutRow++;
+      totals.closing = layoutRow++;
+      totals.debtService = layoutRow++;
+      if (hasCovenants) {
+        layoutRow++; // Spacer before the covenant block
+        totals.covenantHeader = layoutRow++;
+        totals.noi = layoutRow++;
+        totals.sweepAvailable = layoutRow++;
+        totals.dscr = layoutRow++;
+        totals.icr = layoutRow++;
+        totals.propertyValue = layoutRow++;
+        totals.ltv = layoutRow++;
+        totals.covenantTest = layoutRow++;
+      }
+      
+      // Spacer row between the period headers and the first tranche
+      debtSheet.getRange(`A4:${lastCol}4`).format.rowHeight = 8;
+      let currentRow = 5;
+      
+      // Writes a label plus one entry per period column (Period 0 first)
+      const writeRow = (label, cells, options = {}) => {
+        const row = currentRow;
+        const rowRange = debtSheet.getRange(`A${row}:${lastCol}${row}`);
+        rowRange.formulas = [[label, ...cells]];
+        
+        const valueRange = debtSheet.getRange(`B${row}:${lastCol}${row}`);
+        if (options.percent || options.numberFormat) {
+          valueRange.numberFormat = [Array(cells.length).fill(options.numberFormat || '0.00%')];
+          valueRange.format.horizontalAlignment = 'Right';
         } else {
-          // Operating periods: debt balance remains the same (also reference assumptions)
-          debtSheet.getRange(colLetter + '4').formulas = [[`=${dealValueRef}*${dealLTVRef}`]];
-          ExcelFormatter.applyNumberFormat(debtSheet.getRange(colLetter + '4'));
+          ExcelFormatter.applyNumberFormat(valueRange);
         }
-      }
+        if (options.total) {
+          rowRange.format.font.bold = true;
+          rowRange.format.fill.color = ExcelFormatter.colors.backgroundDarker5;
+          rowRange.format.borders.getItem('EdgeTop').style = 'Continuous';
+          rowRange.format.borders.getItem('EdgeTop').weight = 'Thin';
+          rowRange.format.borders.getItem('EdgeTop').color = ExcelFormatter.colors.black;
+        }
+        currentRow++;
+        return row;
+      };
+      
+      const writeHeader = (label, fillColor, fontColor) => {
+        const headerRange = debtSheet.getRange(`A${currentRow}:${lastCol}${currentRow}`);
+        debtSheet.getRange(`A${currentRow}`).values = [[label]];
+        headerRange.format.font.bold = true;
+        headerRange.format.font.color = fontColor;
+        headerRange.format.fill.color = fillColor;
+        return currentRow++;
+      };
       
-      // Set up interest rate row (row 5) - Fixed rate only
-      debtSheet.getRange('A5').values = [['Interest Rate (%)']];
-      debtSheet.getRange('A5').format.font.name = 'Times New Roman';
-      debtSheet.getRange('A5').format.font.size = 12;
+      const col = (i) => this.getColumnLetter(i + 1); // Period i lives in column i+1
+      const periodCells = (fn, period0 = '-') => {
+        const cells = [period0];
+        for (let i = 1; i <= periods; i++) cells.push(fn(i, col(i), col(i - 1)));
+        return cells;
+      };
       
-      // Period 0: Show dash for interest rate
-      const interestDashRange = debtSheet.getRange('B5');
-      interestDashRange.values = [['-']];
-      interestDashRange.format.horizontalAlignment = 'Right';
+      // Thresholds live on the Assumptions sheet; fall back to the form values if it predates them
+      const covenants = modelData.debtSettings?.covenants || {};
+      const assumptionRef = (key, fallback) => {
+        const ref = this.cellTracker.getCellReference(key);
+        return ref ? ref.replace(/!\$?([A-Z]+)\$?(\d+)$/, '!$$$1$$$2') : fallback;
+      };
+      const minDSCRRef = assumptionRef('covenantMinDSCR', covenants.minDSCR || 1.25);
+      const minICRRef = assumptionRef('covenantMinICR', covenants.minICR || 1.5);
+      const maxLTVRef = assumptionRef('covenantMaxLTV', (covenants.maxLTV || 75) / 100);
+      const sweepRef = assumptionRef('cashSweepPercent', (covenants.cashSweepPercent || 0) / 100);
+      const capRateRef = assumptionRef('terminalCapRate', (modelData.terminalCapRate || 8.5) / 100);
+      const rateShiftRef = assumptionRef('interestRateShift', 0);
+      
+      tranches.forEach((tranche, index) => {
+        const rows = layouts[index];
+        writeHeader(`${tranche.name} (${tranche.share}% of debt, ${this.getAmortizationLabel(tranche.amortizationType)})`,
+          ExcelFormatter.colors.darkBlue, ExcelFormatter.colors.white);
+        
+        const amortPeriods = this.getAmortizationPeriods(tranche, periods, periodsPerYear);
+        
+        writeRow('Opening Balance', periodCells((i, c, prev) => `=${prev}${rows.closing}`));
+        writeRow('Drawdown', periodCells(() => '-', `=${totalDebtFormula}*${tranche.share / 100}`));
+        
+        if (rows.baseRate) {
+          // Hard-coded base rate curve - overwrite per period to model a forward curve
+          writeRow('Base Rate (SOFR)', periodCells(() => tranche.baseRate / 100), { percent: true });
+          writeRow('All-in Interest Rate', periodCells((i, c) =>
+            `=MAX(${c}${rows.baseRate},${tranche.floor / 100})+${tranche.margin / 100}+${rateShiftRef}`), { percent: true });
+        } else {
+          writeRow('Interest Rate', periodCells(() => `=${tranche.fixedRate / 100}+${rateShiftRef}`), { percent: true });
+        }
+        
+        // Stub periods accrue interest for their own share of a year
+        writeRow('Interest', periodCells((i, c) => {
+          const { share, yearFraction } = this.getPeriodTerms(calendar.getPeriod(i), periodsPerYear);
+          return share
+            ? `=${c}${rows.opening}*${c}${rows.rate}*${yearFraction}`
+            : `=${c}${rows.opening}*${c}${rows.rate}/${periodsPerYear}`;
+        }));
+        
+        writeRow('Principal Repayment', periodCells((i, c) => {
+          if (i === periods) return `=${c}${rows.opening}`; // Outstanding balance repaid at exit
+          return this.getPrincipalFormula(tranche.amortizationType, c, rows, i, amortPeriods, periodsPerYear);
+        }));
+        
+        let closingFormula = (i, c) => `=${c}${rows.opening}-${c}${rows.principal}`;
+        let debtServiceFormula = (i, c) => `=${c}${rows.interest}+${c}${rows.principal}`;
+        
+        if (rows.sweep) {
+          // Sweep cash is applied senior-first: each tranche takes what earlier tranches left over
+          const earlierSweeps = layouts.slice(0, index).map(earlier => earlier.sweep);
+          writeRow('Cash Sweep', periodCells((i, c) => {
+            if (i === periods) return 0;
+            const remaining = earlierSweeps.length > 0
+              ? `${c}${totals.sweepAvailable}-${earlierSweeps.map(row => `${c}${row}`).join('-')}`
+              : `${c}${totals.sweepAvailable}`;
+            return `=MIN(${c}${rows.opening}-${c}${rows.principal},MAX(0,${remaining}))`;
+          }));
+          closingFormula = (i, c) => `=${c}${rows.opening}-${c}${rows.principal}-${c}${rows.sweep}`;
+          debtServiceFormula = (i, c) => `=${c}${rows.interest}+${c}${rows.principal}+${c}${rows.sweep}`;
+        }
+        
+        writeRow('Closing Balance', periodCells(closingFormula, `=B${rows.drawdown}`));
+        writeRow('Debt Service', periodCells(debtServiceFormula), { total: true });
+        
+        structure.tranches.push({ name: tranche.name, headerRow: rows.header, ...rows });
+        currentRow++; // Spacer between tranches
+      });
       
-      console.log('📊 Using fixed rate:', modelData.debtSettings?.fixedRate || 5.5);
+      // Roll-up across tranches - these rows feed the Cashflows sheet
+      const sumTranches = (key) => (i, c) => '=' + structure.tranches.map(t => `${c}${t[key]}`).join('+');
       
-      const fixedRate = (modelData.debtSettings?.fixedRate || 5.5) / 100;
+      const summaryHeader = debtSheet.getRange(`A${currentRow}:${lastCol}${currentRow}`);
+      debtSheet.getRange(`A${currentRow}`).values = [['Total Debt']];
+      summaryHeader.format.font.bold = true;
+      summaryHeader.format.fill.color = ExcelFormatter.colors.backgroundDarker5;
+      currentRow++;
       
-      for (let i = 1; i <= periods; i++) {
-        const colLetter = this.getColumnLetter(i + 1); // C, D, E, etc.
-        debtSheet.getRange(colLetter + '5').values = [[fixedRate]];
-        debtSheet.getRange(colLetter + '5').numberFormat = [['0.0%']];
+      structure.drawdownRow = writeRow('Total Drawdowns', periodCells(() => '-',
+        '=' + structure.tranches.map(t => `B${t.drawdown}`).join('+')));
+      structure.interestRow = writeRow('Total Interest', periodCells(sumTranches('interest')));
+      if (hasCovenants) {
+        structure.scheduledPrincipalRow = writeRow('Total Scheduled Principal', periodCells(sumTranches('principal')));
+        structure.cashSweepRow = writeRow('Total Cash Sweep', periodCells(sumTranches('sweep')));
+        structure.principalRow = writeRow('Total Principal Repayment', periodCells((i, c) =>
+          `=${c}${structure.scheduledPrincipalRow}+${c}${structure.cashSweepRow}`));
+      } else {
+        structure.principalRow = writeRow('Total Principal Repayment', periodCells(sumTranches('principal')));
       }
+      structure.closingBalanceRow = writeRow('Outstanding Debt Balance', periodCells(sumTranches('closing'),
+        '=' + structure.tranches.map(t => `B${t.closing}`).join('+')));
+      structure.debtServiceRow = writeRow('Debt Expense per Period',
+        periodCells((i, c) => `=${c}${structure.interestRow}+${c}${structure.principalRow}`), { total: true });
       
-      // Set up debt expense row (row 6) - This is what goes to FCF
-      debtSheet.getRange('A6').values = [['Debt Expense per Period']];
-      const debtExpenseRange = debtSheet.getRange(`A6:${this.getColumnLetter(totalColumns)}6`);
-      debtExpenseRange.format.font.name = 'Times New Roman';
-      debtExpenseRange.format.font.size = 12;
-      debtExpenseRange.format.font.bold = true;
-      debtExpenseRange.format.fill.color = ExcelFormatter.colors.backgroundDarker5;
-      
-      // Add thin underline at top of debt expense row
-      debtExpenseRange.format.borders.getItem('EdgeTop').style = 'Continuous';
-      debtExpenseRange.format.borders.getItem('EdgeTop').weight = 'Thin';
-      debtExpenseRange.format.borders.getItem('EdgeTop').color = ExcelFormatter.colors.black;
-      
-      // Period 0: Show dash for debt expense
-      const expenseDashRange = debtSheet.getRange('B6');
-      expenseDashRange.values = [['-']];
-      expenseDashRange.format.horizontalAlignment = 'Right';
-      ExcelFormatter.applyNumberFormat(expenseDashRange);
-      
-      // Calculate debt expense for each period
-      for (let i = 1; i <= periods; i++) {
-        const colLetter = this.getColumnLetter(i + 1); // Current period column (C, D, E...)
-        const currentBalanceCol = colLetter; // Use current period's balance for calculation
-        
-        if (i === periods) {
-          // Final period: interest + principal repayment
-          // Use previous period's balance (Period N-1) for both interest and principal
-          const prevBalanceCol = this.getColumnLetter(i); // Previous period's balance (B for Period 0, C for Period 1, etc.)
-          debtSheet.getRange(colLetter + '6').formulas = [[`=${prevBalanceCol}4*${colLetter}5+${prevBalanceCol}4`]];
-          ExcelFormatter.applyNumberFormat(debtSheet.getRange(colLetter + '6'));
-        } else {
-          // Interest-only periods: just interest
-          // Interest = Current Balance * Rate (rate already in decimal format)
-          debtSheet.getRange(colLetter + '6').formulas = [[`=${currentBalanceCol}4*${currentBalanceCol}5`]];
-          ExcelFormatter.applyNumberFormat(debtSheet.getRange(colLetter + '6'));
-        }
+      if (hasCovenants) {
+        currentRow++; // Spacer before the covenant block
+        writeHeader('Cash Sweep & Covenant Tests', ExcelFormatter.colors.darkBlue, ExcelFormatter.colors.white);
+        
+        structure.noiRow = writeRow('Net Operating Income', periodCells((i, c) => `=N('P&L Statement'!${c}${noiRow})`));
+        
+        // Excess cash after scheduled debt service; the final period is settled by the exit repayment
+        structure.sweepAvailableRow = writeRow('Cash Available for Sweep', periodCells((i, c) => {
+          if (i === periods) return 0;
+          return `=MAX(0,${c}${structure.noiRow}-${c}${structure.interestRow}-${c}${structure.scheduledPrincipalRow})*${sweepRef}`;
+        }));
+        
+        // DSCR excludes the exit balloon, so the final period shows '-'
+        structure.dscrRow = writeRow('DSCR', periodCells((i, c) => {
+          if (i === periods) return '-';
+          return `=IFERROR(${c}${structure.noiRow}/(${c}${structure.interestRow}+${c}${structure.scheduledPrincipalRow}),"-")`;
+        }), { numberFormat: '0.00"x"' });
+        structure.icrRow = writeRow('Interest Cover Ratio', periodCells((i, c) =>
+          `=IFERROR(${c}${structure.noiRow}/${c}${structure.interestRow},"-")`), { numberFormat: '0.00"x"' });
+        
+        // Value each period by capitalising annualised NOI at the terminal cap rate
+        structure.propertyValueRow = writeRow('Property Value (NOI / Cap Rate)', periodCells((i, c) => {
+          const { share, yearFraction } = this.getPeriodTerms(calendar.getPeriod(i), periodsPerYear);
+          return share
+            ? `=${c}${structure.noiRow}/(${yearFraction})/${capRateRef}`
+            : `=${c}${structure.noiRow}*${periodsPerYear}/${capRateRef}`;
+        }));
+        structure.ltvRow = writeRow('LTV', periodCells((i, c) =>
+          `=IFERROR(${c}${structure.closingBalanceRow}/${c}${structure.propertyValueRow},"-")`), { percent: true });
+        
+        structure.covenantTestRow = writeRow('Covenant Test', periodCells((i, c) =>
+          `=IF(OR(${c}${structure.dscrRow}<${minDSCRRef},${c}${structure.icrRow}<${minICRRef},AND(ISNUMBER(${c}${structure.ltvRow}),${c}${structure.ltvRow}>${maxLTVRef})),"Breach","OK")`));
+        debtSheet.getRange(`B${structure.covenantTestRow}:${lastCol}${structure.covenantTestRow}`).format.horizontalAlignment = 'Right';
+        
+        // Highlight breaches against the Assumptions thresholds (operating periods only)
+        const addBreachFormat = (row, operator, threshold) => {
+          const range = debtSheet.getRange(`C${row}:${lastCol}${row}`);
+          const conditionalFormat = range.conditionalFormats.add(Excel.ConditionalFormatType.cellValue);
+          conditionalFormat.cellValue.format.fill.color = '#FFC7CE';
+          conditionalFormat.cellValue.format.font.color = '#9C0006';
+          conditionalFormat.cellValue.rule = { formula1: `=${threshold}`, operator };
+        };
+        addBreachFormat(structure.dscrRow, 'LessThan', minDSCRRef);
+        addBreachFormat(structure.icrRow, 'LessThan', minICRRef);
+        addBreachFormat(structure.ltvRow, 'GreaterThan', maxLTVRef);
+        addBreachFormat(structure.covenantTestRow, 'EqualTo', '"Breach"');
       }
       
       await context.sync();
       
-      // Re-apply percentage formatting to interest rate row
-      for (let i = 1; i <= periods; i++) {
-        const colLetter = this.getColumnLetter(i + 1); // C, D, E, etc.
-        debtSheet.getRange(colLetter + '5').numberFormat = [['0.0%']];
-      }
-      
       // Auto-resize columns
       debtSheet.getUsedRange().format.autofitColumns();
       
@@ -4983,10 +6455,176 @@ You MUST create a P&L Statement with this EXACT structure:
       await context.sync();
       
       // Store for FCF reference
-      this.debtModelInterestRow = 6; // Updated to point to debt expense row
+      this.debtModelStructure = structure;
+      this.debtModelInterestRow = structure.debtServiceRow;
       
-      console.log('✅ Fixed rate debt model sheet created successfully!');
-      return { success: true, message: 'Fixed rate debt model sheet created successfully' };
+      console.log('✅ Debt model sheet created:', structure);
+      return { success: true, message: `Debt model sheet created with ${tranches.length} tranche(s)`, structure };
+    });
+  }
+
+  // Normalise debt settings into a tranche list (older saved data only has a single fixed rate)
+  getDebtTranches(modelData) {
+    const settings = modelData.debtSettings || {};
+    let tranches = Array.isArray(settings.tranches) && settings.tranches.length > 0
+      ? settings.tranches
+      : [{
+          name: 'Senior',
+          share: 100,
+          rateType: settings.rateType || 'fixed',
+          fixedRate: settings.fixedRate || 5.5,
+          baseRate: settings.baseRate || 0,
+          margin: settings.creditMargin || 0,
+          floor: settings.rateFloor || 0,
+          amortizationType: settings.amortizationType || 'interest_only',
+          amortizationYears: settings.amortizationYears || 0
+        }];
+    
+    tranches = tranches.map(tranche => ({
+      name: tranche.name || 'Senior',
+      share: parseFloat(tranche.share) || 0,
+      rateType: tranche.rateType === 'floating' ? 'floating' : 'fixed',
+      fixedRate: parseFloat(tranche.fixedRate) || 0,
+      baseRate: parseFloat(tranche.baseRate) || 0,
+      margin: parseFloat(tranche.margin) || 0,
+      floor: parseFloat(tranche.floor) || 0,
+      amortizationType: tranche.amortizationType || 'interest_only',
+      amortizationYears: parseFloat(tranche.amortizationYears) || 0
+    })).filter(tranche => tranche.share > 0);
+    
+    // Shares must cover exactly the total debt
+    const totalShare = tranches.reduce((sum, tranche) => sum + tranche.share, 0);
+    if (totalShare > 0 && Math.abs(totalShare - 100) > 0.001) {
+      console.warn(`⚠️ Tranche shares sum to ${totalShare}% - scaling to 100%`);
+      tranches.forEach(tranche => {
+        tranche.share = Math.round(tranche.share / totalShare * 100 * 100) / 100;
+      });
+    }
+    
+    return tranches;
+  }
+
+  getPeriodsPerYear(periodType) {
+    switch (periodType) {
+      case 'daily':
+        return 365;
+      case 'quarterly':
+        return 4;
+      case 'yearly':
+        return 1;
+      case 'monthly':
+      default:
+        return 12;
+    }
+  }
+
+  getAmortizationLabel(amortizationType) {
+    switch (amortizationType) {
+      case 'straight_line':
+        return 'straight-line';
+      case 'annuity':
+        return 'mortgage-style';
+      default:
+        return 'interest-only';
+    }
+  }
+
+  // Number of periods the tranche amortizes over (defaults: hold period for straight-line, 25 years for annuity)
+  getAmortizationPeriods(tranche, periods, periodsPerYear) {
+    if (tranche.amortizationYears > 0) {
+      return Math.max(1, Math.round(tranche.amortizationYears * periodsPerYear));
+    }
+    return tranche.amortizationType === 'annuity' ? 25 * periodsPerYear : periods;
+  }
+
+  // Scheduled principal for an operating period (the final period always repays the balance)
+  getPrincipalFormula(amortizationType, colLetter, rows, periodIndex, amortPeriods, periodsPerYear) {
+    const opening = `${colLetter}${rows.opening}`;
+    
+    switch (amortizationType) {
+      case 'straight_line':
+        return `=MIN(${opening},$B${rows.drawdown}/${amortPeriods})`;
+      case 'annuity': {
+        // Level payment on the remaining term, re-priced each period so floating rates flow through
+        const remaining = Math.max(1, amortPeriods - (periodIndex - 1));
+        return `=IF(${opening}<=0,0,MIN(${opening},-PPMT(${colLetter}${rows.rate}/${periodsPerYear},1,${remaining},${opening})))`;
+      }
+      default:
+        return 0;
+    }
+  }
+
+  // Read the Debt Financing sheet roll-up rows by label
+  async readDebtSheetStructure() {
+    return Excel.run(async (context) => {
+      try {
+        const debtSheet = context.workbook.worksheets.getItemOrNullObject('Debt Financing');
+        debtSheet.load('name');
+        await context.sync();
+        
+        if (debtSheet.isNullObject) {
+          console.log('⚠️ No Debt Financing sheet found');
+          return null;
+        }
+        
+        const usedRange = debtSheet.getUsedRange();
+        usedRange.load('values');
+        await context.sync();
+        
+        const labels = {
+          'Total Drawdowns': 'drawdownRow',
+          'Total Interest': 'interestRow',
+          'Total Scheduled Principal': 'scheduledPrincipalRow',
+          'Total Cash Sweep': 'cashSweepRow',
+          'Total Principal Repayment': 'principalRow',
+          'Outstanding Debt Balance': 'closingBalanceRow',
+          'Debt Expense per Period': 'debtServiceRow',
+          'Net Operating Income': 'noiRow',
+          'Cash Available for Sweep': 'sweepAvailableRow',
+          'DSCR': 'dscrRow',
+          'Interest Cover Ratio': 'icrRow',
+          'Property Value (NOI / Cap Rate)': 'propertyValueRow',
+          'LTV': 'ltvRow',
+          'Covenant Test': 'covenantTestRow'
+        };
+        
+        const structure = { tranches: [] };
+        const values = usedRange.values;
+        let tranche = null;
+        
+        for (let row = 0; row < values.length; row++) {
+          const label = (values[row][0] || '').toString().trim();
+          
+          if (labels[label]) {
+            structure[labels[label]] = row + 1;
+            tranche = null;
+          } else if (values[row + 1] && values[row + 1][0] === 'Opening Balance') {
+            tranche = { name: label.replace(/\s*\(.*\)$/, ''), headerRow: row + 1 };
+            structure.tranches.push(tranche);
+          } else if (tranche) {
+            const trancheLabels = {
+              'Opening Balance': 'opening',
+              'Drawdown': 'drawdown',
+              'Base Rate (SOFR)': 'baseRate',
+              'All-in Interest Rate': 'rate',
+              'Interest Rate': 'rate',
+              'Interest': 'interest',
+              'Principal Repayment': 'principal',
+              'Cash Sweep': 'sweep',
+              'Closing Balance': 'closing',
+              'Debt Service': 'debtService'
+            };
+            if (trancheLabels[label]) tranche[trancheLabels[label]] = row + 1;
+          }
+        }
+        
+        console.log('📊 Debt sheet structure discovered:', structure);
+        return structure;
+        
+      } catch (error) {
+        console.error('❌ Error reading Debt Financing sheet structure:', error);
+        return null;
+      }
     });
   }
 
@@ -5032,7 +6670,11 @@ You MUST create a P&L Statement with this EXACT structure:
         let currentRow = acquisitionAssumptionsRow + 1;
         
         // Find the actual rows where IRR and MOIC are located in the FCF sheet
-        const fcfSheet = context.workbook.worksheets.getItem('Cashflows');
+        const fcfSheet = await this.findCashflowSheet(context);
+        if (!fcfSheet) {
+          throw new Error('Cashflows sheet not found');
+        }
+        const fcfRef = `'${fcfSheet.name}'`;
         const fcfUsedRange = fcfSheet.getUsedRange();
         fcfUsedRange.load('values');
         await context.sync();
@@ -5061,7 +6703,7 @@ You MUST create a P&L Statement with this EXACT structure:
         // Unlevered IRR
         assumptionsSheet.getRange(`H${currentRow}`).values = [['Unlevered IRR']];
         if (unleverIRRRow) {
-          assumptionsSheet.getRange(`I${currentRow}`).formulas = [[`=Cashflows!B${unleverIRRRow}`]];
+          assumptionsSheet.getRange(`I${currentRow}`).formulas = [[`=${fcfRef}!B${unleverIRRRow}`]];
         } else {
           assumptionsSheet.getRange(`I${currentRow}`).values = [['N/A']];
         }
@@ -5073,7 +6715,7 @@ You MUST create a P&L Statement with this EXACT structure:
         // Levered IRR  
         assumptionsSheet.getRange(`H${currentRow}`).values = [['Levered IRR']];
         if (leverIRRRow) {
-          assumptionsSheet.getRange(`I${currentRow}`).formulas = [[`=Cashflows!B${leverIRRRow}`]];
+          assumptionsSheet.getRange(`I${currentRow}`).formulas = [[`=${fcfRef}!B${leverIRRRow}`]];
         } else {
           assumptionsSheet.getRange(`I${currentRow}`).values = [['N/A']];
         }
@@ -5085,7 +6727,7 @@ You MUST create a P&L Statement with this EXACT structure:
         // MOIC
         assumptionsSheet.getRange(`H${currentRow}`).values = [['MOIC']];
         if (moicRow) {
-          assumptionsSheet.getRange(`I${currentRow}`).formulas = [[`=Cashflows!B${moicRow}`]];
+          assumptionsSheet.getRange(`I${currentRow}`).formulas = [[`=${fcfRef}!B${moicRow}`]];
         } else {
           assumptionsSheet.getRange(`I${currentRow}`).values = [['N/A']];
         }
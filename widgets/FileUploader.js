@@ -140,11 +140,13 @@ class FileUploader {
   handleFileSelection(files) {
     console.log('Handling file selection:', files.length, 'files');
     
-    // Filter valid files (PDF, CSV, PNG, JPG)
+    // Filter valid files (PDF, CSV, Excel, PNG, JPG)
     const validFiles = files.filter(file => {
       const validTypes = [
         'application/pdf',
         'text/csv',
+        'application/vnd.ms-excel',
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
         'image/png',
         'image/jpeg',
         'image/jpg'
@@ -152,6 +154,7 @@ class FileUploader {
       const isValidType = validTypes.includes(file.type) || 
                          file.name.endsWith('.csv') || 
                          file.name.endsWith('.pdf') ||
+                         this.isSpreadsheetFile(file) ||
                          file.name.endsWith('.png') ||
                          file.name.endsWith('.jpg') ||
                          file.name.endsWith('.jpeg');
@@ -190,7 +193,7 @@ class FileUploader {
       }
     } else {
       console.log('No valid files to upload');
-      this.showUploadMessage('Please upload PDF, CSV, PNG, or JPG files only (max 10MB each).', 'error');
+      this.showUploadMessage('Please upload PDF, CSV, Excel, PNG, or JPG files only (max 10MB each).', 'error');
     }
   }
 
@@ -214,7 +217,7 @@ class FileUploader {
       let iconSVG = '';
       if (file.type.includes('pdf')) {
         iconSVG = `<path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"></path><polyline points="14,2 14,8 20,8"></polyline>`;
-      } else if (file.type.includes('csv') || file.name.endsWith('.csv')) {
+      } else if (file.type.includes('csv') || file.name.endsWith('.csv') || this.isSpreadsheetFile(file)) {
         iconSVG = `<path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"></path><polyline points="14,2 14,8 20,8"></polyline><line x1="16" y1="13" x2="8" y2="13"></line><line x1="16" y1="17" x2="8" y2="17"></line>`;
       } else if (file.type.includes('image')) {
         iconSVG = `<rect x="3" y="3" width="18" height="18" rx="2" ry="2"></rect><circle cx="8.5" cy="8.5" r="1.5"></circle><polyline points="21,15 16,10 5,21"></polyline>`;
@@ -475,15 +478,21 @@ class FileUploader {
       try {
         console.log(`📖 Reading file: ${file.name}`);
         let content = '';
+        let pdf = null;
+        let workbook = null;
+        let ocr = null;
         
         if (file.type === 'text/csv' || file.name.endsWith('.csv')) {
           content = await this.readTextFile(file);
-        } else if (file.type === 'application/pdf') {
-          content = `PDF file: ${file.name} (${this.formatFileSize(file.size)}) - Please upload CSV files for data extraction. PDFs require specialized parsing.`;
-          console.warn(`📖 PDF file uploaded: ${file.name} - Cannot extract data from PDFs without specialized parser`);
+        } else if (this.isSpreadsheetFile(file)) {
+          workbook = await this.getSpreadsheetReader().read(file);
+          content = workbook.text;
+        } else if (file.type === 'application/pdf' || file.name.toLowerCase().endsWith('.pdf')) {
+          pdf = await this.getPdfExtractor().extract(file);
+          content = pdf.text;
         } else if (file.type.startsWith('image/')) {
-          content = `Image file: ${file.name} (${this.formatFileSize(file.size)}) - Please upload CSV files for data extraction. Images require OCR processing.`;
-          console.warn(`📖 Image file uploaded: ${file.name} - Cannot extract data from images without OCR`);
+          ocr = await this.getOcrExtractor().recognize(file, file.name);
+          content = ocr.text;
         } else {
           // Try to read as text file
           try {
@@ -498,7 +507,12 @@ class FileUploader {
           name: file.name,
           type: file.type,
           content: content,
-          size: file.size
+          size: file.size,
+          lastModified: file.lastModified,
+          pages: pdf ? pdf.pages : null,
+          tables: pdf ? pdf.tables : null,
+          workbook: workbook,
+          ocr: ocr
         });
         
         console.log(`📖 Successfully read ${file.name}, content length: ${content.length}`);
@@ -517,6 +531,10 @@ class FileUploader {
       }
     }
 
+    if (this.ocrExtractor) {
+      await this.ocrExtractor.terminate().catch(error => console.warn('📖 Could not stop OCR worker:', error.message));
+    }
+
     console.log(`📖 Total files read: ${fileContents.length}`);
     return fileContents;
   }
@@ -529,6 +547,34 @@ class FileUploader {
     return this.createMockExtractedData(fileContents);
   }
 
+  isSpreadsheetFile(file) {
+    const name = file.name.toLowerCase();
+    return name.endsWith('.xlsx') || name.endsWith('.xls')
+      || file.type === 'application/vnd.ms-excel'
+      || file.type === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+  }
+
+  getSpreadsheetReader() {
+    if (!this.spreadsheetReader) {
+      this.spreadsheetReader = new SpreadsheetReader();
+    }
+    return this.spreadsheetReader;
+  }
+
+  getPdfExtractor() {
+    if (!this.pdfExtractor) {
+      this.pdfExtractor = new PdfTextExtractor(this.getOcrExtractor());
+    }
+    return this.pdfExtractor;
+  }
+
+  getOcrExtractor() {
+    if (!this.ocrExtractor) {
+      this.ocrExtractor = new ImageOcrExtractor();
+    }
+    return this.ocrExtractor;
+  }
+
   async readTextFile(file) {
     return new Promise((resolve, reject) => {
       const reader = new FileReader();
@@ -1,6 +1,7 @@
 class FormHandler {
   constructor() {
     this.isInitialized = false;
+    this.historicals = []; // Extracted historical statement lines (see HistoricalFinancialsExtractor)
   }
 
   initialize() {
@@ -9,6 +10,7 @@ class FormHandler {
     this.initializeHighLevelParameters();
     this.initializeDealAssumptions();
     this.initializeRevenueItems();
+    this.initializeRentRoll();
     this.initializeCostItems();
     this.initializeExitAssumptions();
     this.initializeDebtModel();
@@ -72,14 +74,15 @@ class FormHandler {
       }
     });
     
-    // Check at least one revenue item exists
+    // Check at least one revenue item or tenant exists
     const revenueItems = document.querySelectorAll('.revenue-item');
-    if (revenueItems.length === 0) {
-      errors.push('• At least one Revenue Item');
+    const tenantItems = document.querySelectorAll('.tenant-item');
+    if (revenueItems.length === 0 && tenantItems.length === 0) {
+      errors.push('• At least one Revenue Item or Tenant');
     }
     
     // Check at least one cost item exists
-    const costItems = document.querySelectorAll('.cost-item');
+    const costItems = document.querySelectorAll('.cost-item:not(.tenant-item)');
     if (costItems.length === 0) {
       errors.push('• At least one Cost Item');
     }
@@ -90,6 +93,11 @@ class FormHandler {
     };
   }
 
+  collectFxRates(currency) {
+    const standardizer = window.autoFillIntegrator?.dataStandardizer;
+    return standardizer ? standardizer.getFxTable(currency) : [];
+  }
+
   collectAllModelData() {
     console.log('📊 ====== COLLECTING ALL MODEL DATA ======');
     
@@ -99,6 +107,8 @@ class FormHandler {
       projectStartDate: document.getElementById('projectStartDate')?.value || '',
       projectEndDate: document.getElementById('projectEndDate')?.value || '',
       modelPeriods: document.getElementById('modelPeriods')?.value || 'monthly',
+      fiscalYearEnd: parseInt(document.getElementById('fiscalYearEnd')?.value) || 12,
+      inflationRate: parseFloat(document.getElementById('inflationRate')?.value) || 0,
       holdingPeriodsCalculated: document.getElementById('holdingPeriodsCalculated')?.value || '',
       
       // Deal Assumptions
@@ -112,6 +122,9 @@ class FormHandler {
       // Revenue Items
       revenueItems: this.collectRevenueItems(),
       
+      // Rent Roll
+      rentRoll: this.collectRentRoll(),
+      
       // Operating Expenses
       operatingExpenses: this.collectOperatingExpenses(),
       
@@ -125,7 +138,13 @@ class FormHandler {
       
       // Debt Model
       hasDebt: this.checkDebtEligibility(),
-      debtSettings: this.collectDebtSettings()
+      debtSettings: this.collectDebtSettings(),
+      
+      // Historical statement lines for the Historicals sheet
+      historicals: this.collectHistoricals(),
+      
+      // FX rates used to convert extracted amounts into the model currency
+      fxRates: this.collectFxRates(document.getElementById('currency')?.value || 'USD')
     };
     
     console.log('📊 ====== COMPLETE MODEL DATA COLLECTED ======');
@@ -168,7 +187,8 @@ class FormHandler {
         const item = {
           name: nameInput.value || `Revenue Item ${itemNumber}`,
           value: parseFloat(this.removeCommas(valueInput.value)) || 0,
-          growthRate: growthRateInput ? (parseFloat(growthRateInput.value) || 0) : 0
+          growthRate: growthRateInput ? (parseFloat(growthRateInput.value) || 0) : 0,
+          ...this.collectGrowthFields('revenue', itemNumber)
         };
 
         console.log(`📊 Revenue item ${itemNumber}:`, item);
@@ -179,6 +199,46 @@ class FormHandler {
     return items;
   }
 
+  collectRentRoll() {
+    const number = (id) => parseFloat(this.removeCommas(document.getElementById(id)?.value || '0')) || 0;
+    return {
+      date: document.getElementById('rentRollDate')?.value || '',
+      erv: number('rentRollErv'),
+      ervGrowth: number('rentRollErvGrowth'),
+      voidMonths: number('rentRollVoidMonths'),
+      rentFreeMonths: number('rentRollRentFreeMonths'),
+      renewalProbability: Math.min(100, Math.max(0, number('rentRollRenewalProbability'))),
+      breaksExercised: !!document.getElementById('rentRollBreaksExercised')?.checked,
+      tenants: this.collectTenants()
+    };
+  }
+
+  collectTenants() {
+    const tenants = [];
+    const container = document.getElementById('rentRollContainer');
+    if (!container) return tenants;
+    
+    const items = container.querySelectorAll('.tenant-item');
+    items.forEach((item, index) => {
+      const n = index + 1;
+      const name = document.getElementById(`tenantName_${n}`)?.value?.trim();
+      const number = (id) => parseFloat(this.removeCommas(document.getElementById(id)?.value || '')) || 0;
+      
+      tenants.push({
+        name: name || `Unit ${n}`,
+        area: number(`tenantArea_${n}`),
+        value: number(`tenantRent_${n}`),
+        leaseStart: document.getElementById(`tenantLeaseStart_${n}`)?.value || '',
+        leaseExpiry: document.getElementById(`tenantLeaseExpiry_${n}`)?.value || '',
+        breakDate: document.getElementById(`tenantBreakDate_${n}`)?.value || '',
+        indexation: number(`tenantIndexation_${n}`),
+        erv: number(`tenantErv_${n}`)
+      });
+    });
+    
+    return tenants;
+  }
+
   collectOperatingExpenses() {
     const items = [];
     const opExContainer = document.getElementById('operatingExpensesContainer');
@@ -203,7 +263,8 @@ class FormHandler {
         const item = {
           name: nameInput.value || `Operating Expense ${itemNumber}`,
           value: parseFloat(this.removeCommas(valueInput.value)) || 0,
-          growthRate: growthRateInput ? (parseFloat(growthRateInput.value) || 0) : 0
+          growthRate: growthRateInput ? (parseFloat(growthRateInput.value) || 0) : 0,
+          ...this.collectGrowthFields('opEx', itemNumber)
         };
 
         items.push(item);
@@ -251,16 +312,72 @@ class FormHandler {
 
   collectDebtSettings() {
     const loanIssuanceFees = document.getElementById('loanIssuanceFees')?.value || '0';
+    const rateType = document.querySelector('input[name="rateType"]:checked')?.value || 'fixed';
     
     const settings = {
       loanIssuanceFees: parseFloat(this.removeCommas(loanIssuanceFees)),
-      rateType: 'fixed',
-      fixedRate: parseFloat(this.removeCommas(document.getElementById('fixedRate')?.value || '0'))
+      rateType: rateType,
+      fixedRate: parseFloat(this.removeCommas(document.getElementById('fixedRate')?.value || '0')),
+      baseRate: parseFloat(document.getElementById('baseRate')?.value) || 0,
+      creditMargin: parseFloat(document.getElementById('creditMargin')?.value) || 0,
+      rateFloor: parseFloat(document.getElementById('rateFloor')?.value) || 0,
+      amortizationType: document.getElementById('amortizationType')?.value || 'interest_only',
+      amortizationYears: parseFloat(document.getElementById('amortizationYears')?.value) || 0,
+      covenants: {
+        minDSCR: parseFloat(document.getElementById('minDSCR')?.value) || 1.25,
+        minICR: parseFloat(document.getElementById('minICR')?.value) || 1.5,
+        maxLTV: parseFloat(document.getElementById('maxLTV')?.value) || 75,
+        cashSweepPercent: Math.min(100, Math.max(0, parseFloat(document.getElementById('cashSweepPercent')?.value) || 0))
+      }
     };
 
+    // Senior tranche takes whatever share of the debt the additional tranches leave
+    const additionalTranches = this.collectDebtTranches();
+    const additionalShare = additionalTranches.reduce((sum, tranche) => sum + tranche.share, 0);
+    
+    const seniorTranche = {
+      name: 'Senior',
+      share: Math.max(0, 100 - additionalShare),
+      rateType: settings.rateType,
+      fixedRate: settings.fixedRate,
+      baseRate: settings.baseRate,
+      margin: settings.creditMargin,
+      floor: settings.rateFloor,
+      amortizationType: settings.amortizationType,
+      amortizationYears: settings.amortizationYears
+    };
+    
+    settings.tranches = [seniorTranche, ...additionalTranches].filter(tranche => tranche.share > 0);
+
     return settings;
   }
 
+  collectDebtTranches() {
+    const tranches = [];
+    const container = document.getElementById('debtTranchesContainer');
+    if (!container) return tranches;
+    
+    const items = container.querySelectorAll('.debt-tranche-item');
+    items.forEach((item, index) => {
+      const n = index + 1;
+      const name = document.getElementById(`trancheName_${n}`)?.value?.trim();
+      
+      tranches.push({
+        name: name || `Tranche ${n + 1}`,
+        share: parseFloat(document.getElementById(`trancheShare_${n}`)?.value) || 0,
+        rateType: document.getElementById(`trancheRateType_${n}`)?.value || 'fixed',
+        fixedRate: parseFloat(document.getElementById(`trancheFixedRate_${n}`)?.value) || 0,
+        baseRate: parseFloat(document.getElementById(`trancheBaseRate_${n}`)?.value) || 0,
+        margin: parseFloat(document.getElementById(`trancheMargin_${n}`)?.value) || 0,
+        floor: parseFloat(document.getElementById(`trancheFloor_${n}`)?.value) || 0,
+        amortizationType: document.getElementById(`trancheAmortization_${n}`)?.value || 'interest_only',
+        amortizationYears: parseFloat(document.getElementById(`trancheAmortYears_${n}`)?.value) || 0
+      });
+    });
+    
+    return tranches;
+  }
+
   checkDebtEligibility() {
     const dealLTV = parseFloat(this.removeCommas(document.getElementById('dealLTV')?.value || '0')) || 0;
     return dealLTV > 0;
@@ -285,26 +402,11 @@ class FormHandler {
     return Math.max(1, monthsDiff);
   }
 
-  calculatePeriods(startDate, endDate, periodType) {
+  calculatePeriods(startDate, endDate, periodType, fiscalYearEnd) {
     if (!startDate || !endDate) return 12;
     
-    const start = new Date(startDate);
-    const end = new Date(endDate);
-    const diffTime = Math.abs(end - start);
-    const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-    
-    switch (periodType) {
-      case 'daily':
-        return Math.min(diffDays, 1000); // Increased cap for daily periods
-      case 'monthly':
-        return Math.ceil(diffDays / 30); // Removed cap for monthly periods
-      case 'quarterly':
-        return Math.ceil(diffDays / 90); // Removed cap for quarterly periods
-      case 'yearly':
-        return Math.ceil(diffDays / 365); // Removed cap for yearly periods
-      default:
-        return 12;
-    }
+    const calendar = new PeriodCalendar({ startDate, endDate, periodType, fiscalYearEnd });
+    return Math.max(1, calendar.count());
   }
 
   initializeHighLevelParameters() {
@@ -312,6 +414,7 @@ class FormHandler {
     const projectStartDate = document.getElementById('projectStartDate');
     const projectEndDate = document.getElementById('projectEndDate');
     const modelPeriods = document.getElementById('modelPeriods');
+    const fiscalYearEnd = document.getElementById('fiscalYearEnd');
     const holdingPeriodsCalculated = document.getElementById('holdingPeriodsCalculated');
 
     const updateHoldingPeriods = () => {
@@ -321,7 +424,13 @@ class FormHandler {
         const periodType = modelPeriods.value;
 
         if (startDate && endDate) {
-          const periods = this.calculatePeriods(startDate, endDate, periodType);
+          let periods;
+          try {
+            periods = this.calculatePeriods(startDate, endDate, periodType, fiscalYearEnd?.value);
+          } catch (error) {
+            holdingPeriodsCalculated.value = error.message; // e.g. a daily model over the period limit
+            return;
+          }
           let periodLabel = '';
           
           switch (periodType) {
@@ -340,6 +449,7 @@ class FormHandler {
     if (projectStartDate) projectStartDate.addEventListener('change', updateHoldingPeriods);
     if (projectEndDate) projectEndDate.addEventListener('change', updateHoldingPeriods);
     if (modelPeriods) modelPeriods.addEventListener('change', updateHoldingPeriods);
+    if (fiscalYearEnd) fiscalYearEnd.addEventListener('change', updateHoldingPeriods);
   }
 
   initializeDealAssumptions() {
@@ -376,6 +486,21 @@ class FormHandler {
     }
   }
 
+  initializeRentRoll() {
+    const addTenantBtn = document.getElementById('addTenant');
+    if (addTenantBtn && !addTenantBtn.hasAttribute('data-initialized')) {
+      addTenantBtn.setAttribute('data-initialized', 'true');
+      addTenantBtn.addEventListener('click', () => this.addTenant());
+    }
+    
+    // WAULT and occupancy follow the tenant rows
+    const panel = document.getElementById('rentRoll');
+    if (panel) {
+      panel.addEventListener('input', () => this.updateRentRollMetrics());
+      panel.addEventListener('change', () => this.updateRentRollMetrics());
+    }
+  }
+
   initializeCostItems() {
     const addOpExBtn = document.getElementById('addOperatingExpense');
     const addCapExBtn = document.getElementById('addCapExItem');
@@ -396,8 +521,43 @@ class FormHandler {
   }
 
   initializeDebtModel() {
-    // Initialize debt model with fixed rate only
-    console.log('Debt model initialized with fixed rate option');
+    // Toggle fixed / floating inputs for the senior tranche
+    document.querySelectorAll('input[name="rateType"]').forEach(radio => {
+      radio.addEventListener('change', () => this.updateRateTypeFields());
+    });
+    this.updateRateTypeFields();
+    
+    const addTrancheBtn = document.getElementById('addDebtTranche');
+    if (addTrancheBtn && !addTrancheBtn.hasAttribute('data-initialized')) {
+      addTrancheBtn.setAttribute('data-initialized', 'true');
+      addTrancheBtn.addEventListener('click', () => this.addDebtTranche());
+    }
+    
+    const container = document.getElementById('debtTranchesContainer');
+    if (container) {
+      container.addEventListener('input', () => this.updateSeniorShareNote());
+    }
+  }
+
+  updateRateTypeFields() {
+    const rateType = document.querySelector('input[name="rateType"]:checked')?.value || 'fixed';
+    const fixedFields = document.getElementById('fixedRateFields');
+    const floatingFields = document.getElementById('floatingRateFields');
+    
+    if (fixedFields) fixedFields.style.display = rateType === 'fixed' ? 'block' : 'none';
+    if (floatingFields) floatingFields.style.display = rateType === 'floating' ? 'block' : 'none';
+  }
+
+  updateSeniorShareNote() {
+    const note = document.getElementById('seniorShareNote');
+    if (!note) return;
+    
+    const additionalShare = this.collectDebtTranches().reduce((sum, tranche) => sum + tranche.share, 0);
+    const seniorShare = 100 - additionalShare;
+    
+    note.textContent = seniorShare < 0
+      ? `Additional tranches exceed 100% of debt by ${Math.abs(seniorShare)}%`
+      : `Senior tranche: ${seniorShare}% of debt`;
   }
 
   updateDebtEligibility(ltv) {
@@ -413,6 +573,58 @@ class FormHandler {
     }
   }
 
+  // Growth method, review interval and live periods shared by revenue and operating expense items
+  getGrowthFieldsHTML(prefix, itemCount) {
+    return `
+        <div class="form-group">
+          <label for="${prefix}GrowthMethod_${itemCount}">Growth Method</label>
+          <select id="${prefix}GrowthMethod_${itemCount}">
+            <option value="compound" selected>Compound (annual rate converted per period)</option>
+            <option value="simple">Simple (annual rate divided per period)</option>
+            <option value="step">Step-up at reviews</option>
+            <option value="indexed">Indexed to inflation</option>
+            <option value="flat">Flat</option>
+          </select>
+        </div>
+        
+        <div class="form-group">
+          <label for="${prefix}ReviewYears_${itemCount}">Review Interval (years)</label>
+          <input type="number" id="${prefix}ReviewYears_${itemCount}" placeholder="e.g., 5" step="1" min="1" />
+          <small class="help-text">Step-up only: growth is applied in one step at each review</small>
+        </div>
+        
+        <div class="form-group">
+          <label for="${prefix}StartPeriod_${itemCount}">Start Period</label>
+          <input type="number" id="${prefix}StartPeriod_${itemCount}" placeholder="1" step="1" min="1" />
+        </div>
+        
+        <div class="form-group">
+          <label for="${prefix}EndPeriod_${itemCount}">End Period</label>
+          <input type="number" id="${prefix}EndPeriod_${itemCount}" placeholder="Last period" step="1" min="1" />
+          <small class="help-text">Leave blank to run to the end of the hold</small>
+        </div>`;
+  }
+
+  collectGrowthFields(prefix, itemNumber) {
+    return {
+      growthMethod: document.getElementById(`${prefix}GrowthMethod_${itemNumber}`)?.value || 'compound',
+      reviewYears: parseFloat(document.getElementById(`${prefix}ReviewYears_${itemNumber}`)?.value) || 0,
+      startPeriod: parseInt(document.getElementById(`${prefix}StartPeriod_${itemNumber}`)?.value) || 1,
+      endPeriod: parseInt(document.getElementById(`${prefix}EndPeriod_${itemNumber}`)?.value) || null
+    };
+  }
+
+  renumberGrowthFields(item, prefix, newNumber) {
+    ['GrowthMethod', 'ReviewYears', 'StartPeriod', 'EndPeriod'].forEach(field => {
+      const input = item.querySelector(`[id^="${prefix}${field}_"]`);
+      if (input) {
+        input.id = `${prefix}${field}_${newNumber}`;
+        const label = item.querySelector(`label[for^="${prefix}${field}_"]`);
+        if (label) label.setAttribute('for', `${prefix}${field}_${newNumber}`);
+      }
+    });
+  }
+
   addRevenueItem() {
     const container = document.getElementById('revenueItemsContainer');
     if (!container) return;
@@ -438,10 +650,11 @@ class FormHandler {
         </div>
         
         <div class="form-group">
-          <label for="revenueGrowthRate_${itemCount}">Linear Growth Rate (%)</label>
+          <label for="revenueGrowthRate_${itemCount}">Annual Growth Rate (%)</label>
           <input type="number" id="revenueGrowthRate_${itemCount}" placeholder="e.g., 5" step="0.1" />
           <small class="help-text">Annual growth rate (e.g., 5 for 5% growth)</small>
         </div>
+        ${this.getGrowthFieldsHTML('revenue', itemCount)}
       </div>
     `;
 
@@ -484,10 +697,11 @@ class FormHandler {
         </div>
         
         <div class="form-group">
-          <label for="opExGrowthRate_${itemCount}">Linear Growth Rate (%)</label>
+          <label for="opExGrowthRate_${itemCount}">Annual Growth Rate (%)</label>
           <input type="number" id="opExGrowthRate_${itemCount}" placeholder="e.g., 3" step="0.1" />
           <small class="help-text">Annual growth rate (e.g., 3 for 3% growth)</small>
         </div>
+        ${this.getGrowthFieldsHTML('opEx', itemCount)}
       </div>
     `;
 
@@ -551,6 +765,307 @@ class FormHandler {
     }
   }
 
+  addDebtTranche() {
+    const container = document.getElementById('debtTranchesContainer');
+    if (!container) return;
+
+    const itemCount = container.children.length + 1;
+
+    const itemHTML = `
+      <div class="cost-item debt-tranche-item" id="debtTrancheItem_${itemCount}">
+        <div class="cost-item-header">
+          <span class="cost-item-title">Tranche ${itemCount + 1}</span>
+          <button class="remove-cost-item" onclick="window.formHandler?.removeDebtTranche?.(this.parentElement.parentElement)">Remove</button>
+        </div>
+        
+        <div class="form-group">
+          <label for="trancheName_${itemCount}">Tranche Name</label>
+          <input type="text" id="trancheName_${itemCount}" placeholder="e.g., Mezzanine" />
+        </div>
+        
+        <div class="form-group">
+          <label for="trancheShare_${itemCount}">Share of Total Debt (%)</label>
+          <input type="number" id="trancheShare_${itemCount}" placeholder="e.g., 20" step="0.1" />
+        </div>
+        
+        <div class="form-group">
+          <label for="trancheRateType_${itemCount}">Rate Type</label>
+          <select id="trancheRateType_${itemCount}" onchange="window.formHandler?.updateTrancheRateFields?.(this.closest('.debt-tranche-item'))">
+            <option value="fixed" selected>Fixed</option>
+            <option value="floating">Floating (base rate + margin)</option>
+          </select>
+        </div>
+        
+        <div class="form-group tranche-fixed-fields">
+          <label for="trancheFixedRate_${itemCount}">Interest Rate (%)</label>
+          <input type="number" id="trancheFixedRate_${itemCount}" placeholder="e.g., 9.0" step="0.1" />
+        </div>
+        
+        <div class="tranche-floating-fields" style="display: none;">
+          <div class="form-group">
+            <label for="trancheBaseRate_${itemCount}">Base Rate - SOFR (%)</label>
+            <input type="number" id="trancheBaseRate_${itemCount}" placeholder="e.g., 4.3" step="0.01" />
+          </div>
+          <div class="form-group">
+            <label for="trancheMargin_${itemCount}">Margin (%)</label>
+            <input type="number" id="trancheMargin_${itemCount}" placeholder="e.g., 6.5" step="0.01" />
+          </div>
+          <div class="form-group">
+            <label for="trancheFloor_${itemCount}">Base Rate Floor (%)</label>
+            <input type="number" id="trancheFloor_${itemCount}" placeholder="e.g., 1.0" step="0.01" />
+          </div>
+        </div>
+        
+        <div class="form-group">
+          <label for="trancheAmortization_${itemCount}">Amortization</label>
+          <select id="trancheAmortization_${itemCount}">
+            <option value="interest_only" selected>Interest-only (bullet at exit)</option>
+            <option value="straight_line">Straight-line</option>
+            <option value="annuity">Mortgage-style (annuity)</option>
+          </select>
+        </div>
+        
+        <div class="form-group">
+          <label for="trancheAmortYears_${itemCount}">Amortization Period (years)</label>
+          <input type="number" id="trancheAmortYears_${itemCount}" placeholder="e.g., 25" step="1" />
+        </div>
+      </div>
+    `;
+
+    container.insertAdjacentHTML('beforeend', itemHTML);
+    this.updateSeniorShareNote();
+  }
+
+  addTenant() {
+    const container = document.getElementById('rentRollContainer');
+    if (!container) return;
+
+    const itemCount = container.children.length + 1;
+
+    const itemHTML = `
+      <div class="cost-item tenant-item" id="tenantItem_${itemCount}">
+        <div class="cost-item-header">
+          <span class="cost-item-title">Tenant ${itemCount}</span>
+          <button class="remove-cost-item" onclick="window.formHandler?.removeTenant?.(this.parentElement.parentElement)">Remove</button>
+        </div>
+        
+        <div class="form-group">
+          <label for="tenantName_${itemCount}">Tenant / Unit</label>
+          <input type="text" id="tenantName_${itemCount}" placeholder="e.g., Acme Ltd (Vacant for empty units)" />
+        </div>
+        
+        <div class="form-group">
+          <label for="tenantArea_${itemCount}">Area</label>
+          <input type="number" id="tenantArea_${itemCount}" placeholder="e.g., 12500" step="1" />
+        </div>
+        
+        <div class="form-group">
+          <label for="tenantRent_${itemCount}">Passing Rent (p.a.)</label>
+          <input type="number" id="tenantRent_${itemCount}" placeholder="e.g., 500000" step="1000" />
+          <small class="help-text">Leave blank for a vacant unit</small>
+        </div>
+        
+        <div class="form-group">
+          <label for="tenantLeaseStart_${itemCount}">Lease Start</label>
+          <input type="date" id="tenantLeaseStart_${itemCount}" />
+        </div>
+        
+        <div class="form-group">
+          <label for="tenantLeaseExpiry_${itemCount}">Lease Expiry</label>
+          <input type="date" id="tenantLeaseExpiry_${itemCount}" />
+        </div>
+        
+        <div class="form-group">
+          <label for="tenantBreakDate_${itemCount}">Break Date</label>
+          <input type="date" id="tenantBreakDate_${itemCount}" />
+        </div>
+        
+        <div class="form-group">
+          <label for="tenantIndexation_${itemCount}">Indexation (% p.a.)</label>
+          <input type="number" id="tenantIndexation_${itemCount}" placeholder="e.g., 2.5" step="0.1" />
+        </div>
+        
+        <div class="form-group">
+          <label for="tenantErv_${itemCount}">ERV (p.a.)</label>
+          <input type="number" id="tenantErv_${itemCount}" placeholder="Defaults to ERV rate × area" step="1000" />
+        </div>
+      </div>
+    `;
+
+    container.insertAdjacentHTML('beforeend', itemHTML);
+    this.updateRentRollMetrics();
+  }
+
+  renumberTenants() {
+    const container = document.getElementById('rentRollContainer');
+    if (!container) return;
+    
+    const fieldPrefixes = ['tenantName_', 'tenantArea_', 'tenantRent_', 'tenantLeaseStart_', 'tenantLeaseExpiry_',
+                           'tenantBreakDate_', 'tenantIndexation_', 'tenantErv_'];
+    
+    const items = container.querySelectorAll('.tenant-item');
+    items.forEach((item, index) => {
+      const newNumber = index + 1;
+      
+      item.id = `tenantItem_${newNumber}`;
+      
+      const title = item.querySelector('.cost-item-title');
+      if (title) title.textContent = `Tenant ${newNumber}`;
+      
+      fieldPrefixes.forEach(prefix => {
+        const field = item.querySelector(`[id^="${prefix}"]`);
+        if (field) field.id = `${prefix}${newNumber}`;
+        const label = item.querySelector(`label[for^="${prefix}"]`);
+        if (label) label.setAttribute('for', `${prefix}${newNumber}`);
+      });
+    });
+  }
+
+  removeTenant(item) {
+    if (item && item.parentElement) {
+      item.remove();
+      this.renumberTenants();
+      this.updateRentRollMetrics();
+    }
+  }
+
+  // WAULT and occupancy for the tenants entered so far, measured from the rent roll date
+  updateRentRollMetrics() {
+    const note = document.getElementById('rentRollMetrics');
+    if (!note || typeof RentRoll === 'undefined') return;
+    
+    const tenants = this.collectTenants();
+    if (tenants.length === 0) {
+      note.textContent = 'No tenants';
+      return;
+    }
+    
+    const asOfDate = document.getElementById('rentRollDate')?.value
+      || document.getElementById('projectStartDate')?.value
+      || new Date().toISOString().slice(0, 10);
+    const metrics = RentRoll.metrics(tenants, asOfDate);
+    const years = (value) => value === null ? 'n/a' : `${value.toFixed(1)} yrs`;
+    const occupancy = metrics.occupancyByArea ?? metrics.occupancyByCount;
+    note.textContent = `${metrics.tenantCount} let, ${metrics.vacantCount} vacant · WAULT ${years(metrics.waultToExpiry)} to expiry, ` +
+      `${years(metrics.waultToBreak)} to break · ${occupancy === null ? 'n/a' : `${(occupancy * 100).toFixed(1)}%`} occupied`;
+  }
+
+  // Historical statement lines: kept for the Historicals sheet and offered as suggestions
+  setHistoricals(lines) {
+    this.historicals = Array.isArray(lines) ? lines : [];
+    this.renderHistoricalSuggestions();
+  }
+
+  collectHistoricals() {
+    return this.historicals;
+  }
+
+  // TTM amounts and year-on-year growth from the historicals, shown above the revenue and cost items
+  renderHistoricalSuggestions() {
+    const summary = typeof HistoricalFinancials !== 'undefined' ? HistoricalFinancials.summarize(this.historicals) : null;
+    const sections = [
+      { type: 'revenue', panelId: 'revenueHistoricalSuggestions', totals: summary?.revenue, prefix: 'revenue',
+        containerId: 'revenueItemsContainer', itemClass: 'revenue-item', add: () => this.addRevenueItem() },
+      { type: 'expense', panelId: 'opExHistoricalSuggestions', totals: summary?.opex, prefix: 'opEx',
+        containerId: 'operatingExpensesContainer', itemClass: 'cost-item', add: () => this.addOperatingExpense() }
+    ];
+    const percent = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(1)}%`;
+    const amount = (value) => this.formatNumberWithCommas(Math.round(value));
+    
+    sections.forEach(section => {
+      const panel = document.getElementById(section.panelId);
+      if (!panel) return;
+      
+      const lines = summary ? summary.lines.filter(line => line.type === section.type && line.ttm !== null) : [];
+      if (lines.length === 0) {
+        panel.style.display = 'none';
+        return;
+      }
+      panel.style.display = '';
+      
+      const totals = section.totals;
+      panel.querySelector('.help-text').textContent =
+        `TTM to ${HistoricalFinancials.periodLabel(summary.latest)}: ${amount(totals.ttm)}${totals.annualized ? ' (annualized)' : ''}` +
+        ` · YoY ${totals.yoy === null ? 'n/a' : percent(totals.yoy)}`;
+      
+      const chips = panel.querySelector('.suggestion-chips');
+      chips.innerHTML = '';
+      const addChip = (text, onClick) => {
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = 'chip';
+        chip.textContent = text;
+        chip.addEventListener('click', onClick);
+        chips.appendChild(chip);
+      };
+      
+      // Section growth onto every item already entered
+      if (totals.yoy !== null) {
+        addChip(`Use ${percent(totals.yoy)} growth for all items`, () => {
+          const count = document.getElementById(section.containerId)?.querySelectorAll(`.${section.itemClass}`).length || 0;
+          for (let n = 1; n <= count; n++) {
+            this.setInputValue(`${section.prefix}GrowthRate_${n}`, totals.yoy.toFixed(1));
+          }
+        });
+      }
+      
+      // Each historical line as a new item at its TTM amount and growth
+      lines.forEach(line => {
+        addChip(`Add ${line.name}: ${amount(line.ttm)}${line.yoy === null ? '' : `, ${percent(line.yoy)}`}`, () => {
+          section.add();
+          const n = document.getElementById(section.containerId)?.querySelectorAll(`.${section.itemClass}`).length || 0;
+          this.setInputValue(`${section.prefix}Name_${n}`, line.name);
+          this.setInputValue(`${section.prefix}Value_${n}`, Math.round(line.ttm));
+          if (line.yoy !== null) this.setInputValue(`${section.prefix}GrowthRate_${n}`, line.yoy.toFixed(1));
+        });
+      });
+    });
+  }
+
+  updateTrancheRateFields(item) {
+    if (!item) return;
+    
+    const rateType = item.querySelector('select[id^="trancheRateType_"]')?.value || 'fixed';
+    const fixedFields = item.querySelector('.tranche-fixed-fields');
+    const floatingFields = item.querySelector('.tranche-floating-fields');
+    
+    if (fixedFields) fixedFields.style.display = rateType === 'fixed' ? 'block' : 'none';
+    if (floatingFields) floatingFields.style.display = rateType === 'floating' ? 'block' : 'none';
+  }
+
+  renumberDebtTranches() {
+    const container = document.getElementById('debtTranchesContainer');
+    if (!container) return;
+    
+    const fieldPrefixes = ['trancheName_', 'trancheShare_', 'trancheRateType_', 'trancheFixedRate_', 'trancheBaseRate_',
+                           'trancheMargin_', 'trancheFloor_', 'trancheAmortization_', 'trancheAmortYears_'];
+    
+    const items = container.querySelectorAll('.debt-tranche-item');
+    items.forEach((item, index) => {
+      const newNumber = index + 1;
+      
+      item.id = `debtTrancheItem_${newNumber}`;
+      
+      const title = item.querySelector('.cost-item-title');
+      if (title) title.textContent = `Tranche ${newNumber + 1}`;
+      
+      fieldPrefixes.forEach(prefix => {
+        const field = item.querySelector(`[id^="${prefix}"]`);
+        if (field) field.id = `${prefix}${newNumber}`;
+        const label = item.querySelector(`label[for^="${prefix}"]`);
+        if (label) label.setAttribute('for', `${prefix}${newNumber}`);
+      });
+    });
+  }
+
+  removeDebtTranche(item) {
+    if (item && item.parentElement) {
+      item.remove();
+      this.renumberDebtTranches();
+      this.updateSeniorShareNote();
+    }
+  }
+
   renumberRevenueItems() {
     const container = document.getElementById('revenueItemsContainer');
     if (!container) return;
@@ -588,6 +1103,8 @@ class FormHandler {
         const growthLabel = item.querySelector('label[for^="revenueGrowthRate_"]');
         if (growthLabel) growthLabel.setAttribute('for', `revenueGrowthRate_${newNumber}`);
       }
+      
+      this.renumberGrowthFields(item, 'revenue', newNumber);
     });
   }
 
@@ -628,6 +1145,8 @@ class FormHandler {
         const growthLabel = item.querySelector('label[for^="opExGrowthRate_"]');
         if (growthLabel) growthLabel.setAttribute('for', `opExGrowthRate_${newNumber}`);
       }
+      
+      this.renumberGrowthFields(item, 'opEx', newNumber);
     });
   }
 
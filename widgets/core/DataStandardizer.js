@@ -1,21 +1,24 @@
 /**
  * DataStandardizer.js - Converts extracted data into standardized formats
- * Handles currency conversion, date formatting, number normalization, etc.
+ * Handles currency conversion, date formatting, number normalization, etc. under the documents'
+ * number/date conventions, and reports values that read more than one way.
  */
 
 class DataStandardizer {
-  constructor() {
-    // Currency conversion rates (would be fetched from API in production)
-    this.currencyRates = {
-      USD: 1.0,
-      EUR: 0.85,
-      GBP: 0.73,
-      JPY: 110.0,
-      CAD: 1.25,
-      AUD: 1.35,
-      CHF: 0.92,
-      CNY: 6.45
-    };
+  constructor(options = {}) {
+    // Dated FX rates (see widgets/core/FxRateProvider.js); swap in another provider with setRateProvider
+    this.rateProvider = options.rateProvider || new LocalFxRateProvider();
+    this.targetCurrency = options.targetCurrency || null;
+    this.conversions = [];
+
+    // Number/date conventions (see widgets/core/DocumentLocale.js): an explicit tag wins, else
+    // the form's Document Number Format, else detected from the documents on each standardize call
+    this.localeOverride = options.locale || null;
+    this.activeLocale = new DocumentLocale();
+    this.ambiguities = [];
+
+    // Currency symbols that identify a single ISO code
+    this.currencySymbols = { '$': 'USD', '€': 'EUR', '£': 'GBP', 'C$': 'CAD', 'A$': 'AUD', 'CHF': 'CHF' };
 
     // Common date formats to parse
     this.dateFormats = [
@@ -25,22 +28,64 @@ class DataStandardizer {
       /(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\w*\s+(\d{1,2}),?\s+(\d{4})/i, // Month DD, YYYY
       /(\d{1,2})\s+(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\w*\s+(\d{4})/i // DD Month YYYY
     ];
+  }
 
-    // Number format patterns
-    this.numberFormats = {
-      million: { pattern: /(\d+(?:\.\d+)?)\s*(?:million|mil|m)/i, multiplier: 1000000 },
-      billion: { pattern: /(\d+(?:\.\d+)?)\s*(?:billion|bil|b)/i, multiplier: 1000000000 },
-      thousand: { pattern: /(\d+(?:\.\d+)?)\s*(?:thousand|k)/i, multiplier: 1000 },
-      percentage: { pattern: /(\d+(?:\.\d+)?)\s*%/, divider: 100 }
-    };
+  setRateProvider(provider) {
+    this.rateProvider = provider;
+  }
+
+  /**
+   * Currency amounts are converted into (normally the model currency found by the high-level
+   * extraction, else the form's currency)
+   */
+  setTargetCurrency(currency) {
+    this.targetCurrency = currency ? String(currency).toUpperCase() : null;
+  }
+
+  getTargetCurrency() {
+    if (this.targetCurrency) return this.targetCurrency;
+    const select = typeof document !== 'undefined' ? document.getElementById('currency') : null;
+    return select?.value || 'USD';
+  }
+
+  /**
+   * Force a number/date format ('de-DE', 'en-GB', ...) or pass null to detect it from the documents
+   */
+  setLocale(tag) {
+    if (tag) DocumentLocale.fromTag(tag); // throws on an unknown tag
+    this.localeOverride = tag || null;
+  }
+
+  getLocale(files = [], tag = null) {
+    const select = typeof document !== 'undefined' ? document.getElementById('documentLocale') : null;
+    const override = tag || this.localeOverride || (select && select.value !== 'auto' ? select.value : null);
+    if (override) return DocumentLocale.fromTag(override);
+    return DocumentLocale.detect((files || []).map(file => file.content));
   }
 
   /**
    * Main standardization method
+   * @param {Object} options - { targetCurrency, asOfDate, files, locale } (a string is taken as targetCurrency);
+   *   the as-of date dates FX conversions and is read from the files when not given. Fields whose
+   *   value reads more than one way under the document locale get an `ambiguity` and `needsReview`.
    */
-  standardize(extractedData, targetCurrency = 'USD') {
+  async standardize(extractedData, options = {}) {
     console.log('📊 Standardizing extracted data...');
     
+    if (typeof options === 'string') options = { targetCurrency: options };
+    this.activeLocale = this.getLocale(options.files, options.locale);
+    const targetCurrency = options.targetCurrency || this.getTargetCurrency();
+    const asOfDate = options.asOfDate || this.findAsOfDate(options.files) || new Date().toISOString().slice(0, 10);
+    const documentCurrency = this.findDocumentCurrency(extractedData);
+    const fxConversions = [];
+    const ambiguities = [];
+    const flag = (field, target, input, parsed) => {
+      if (!parsed.alternatives.length) return;
+      target.ambiguity = this.describeAmbiguity(input, parsed);
+      target.needsReview = true;
+      ambiguities.push({ field, ...target.ambiguity });
+    };
+    
     const standardized = {};
     
     for (const [field, data] of Object.entries(extractedData)) {
@@ -54,42 +99,113 @@ class DataStandardizer {
       
       try {
         switch (fieldType) {
-          case 'currency':
+          case 'currency': {
+            const fromCurrency = data.currency || this.detectCurrency(value) || documentCurrency || targetCurrency;
+            const converted = await this.standardizeCurrency(value, fromCurrency, targetCurrency, asOfDate);
             standardized[field] = {
               ...data,
-              value: this.standardizeCurrency(value, data.currency || 'USD', targetCurrency),
-              standardizedCurrency: targetCurrency
+              value: converted.value,
+              standardizedCurrency: targetCurrency,
+              ...(converted.fx && {
+                originalValue: value,
+                originalCurrency: fromCurrency,
+                fx: converted.fx
+              })
             };
+            flag(field, standardized[field], value, converted);
+            if (converted.fx) fxConversions.push({ field, ...converted.fx });
             break;
+          }
             
-          case 'date':
+          case 'date': {
+            const parsed = this.interpretDate(value);
             standardized[field] = {
               ...data,
-              value: this.standardizeDate(value),
+              value: parsed.value,
               originalFormat: value
             };
+            flag(field, standardized[field], value, parsed);
             break;
+          }
             
-          case 'percentage':
+          case 'percentage': {
+            const parsed = this.interpretPercentage(value);
             standardized[field] = {
               ...data,
-              value: this.standardizePercentage(value)
+              value: parsed.value
             };
+            flag(field, standardized[field], value, parsed);
             break;
+          }
             
-          case 'number':
+          case 'number': {
+            const parsed = this.interpretNumber(value);
             standardized[field] = {
               ...data,
-              value: this.standardizeNumber(value)
+              value: parsed.value
             };
+            flag(field, standardized[field], value, parsed);
             break;
+          }
             
           case 'array':
+          case 'tenantSchedule': {
+            const items = fieldType === 'array' ? this.standardizeArray(value, field) : this.standardizeTenants(value);
+            const fromCurrency = data.currency || documentCurrency;
+            if (fromCurrency && fromCurrency !== targetCurrency) {
+              for (const item of items) {
+                const converted = await this.standardizeCurrency(item.value, fromCurrency, targetCurrency, asOfDate);
+                Object.assign(item, { originalValue: item.value, originalCurrency: fromCurrency, value: converted.value, fx: converted.fx });
+                if (item.erv) item.erv *= converted.fx.rate;
+                if (item.ambiguity) {
+                  item.ambiguity.chosen = converted.value;
+                  item.ambiguity.alternatives.forEach(alternative => { alternative.value *= converted.fx.rate; });
+                }
+                fxConversions.push({ field: `${field}.${item.name}`, ...converted.fx });
+              }
+            }
+            standardized[field] = {
+              ...data,
+              value: items
+            };
+            items.filter(item => item.ambiguity).forEach(item => {
+              standardized[field].needsReview = true;
+              ambiguities.push({ field: `${field}.${item.name}`, ...item.ambiguity });
+            });
+            items.forEach(item => (item.dateAmbiguities || []).forEach(({ key, ...ambiguity }) => {
+              standardized[field].needsReview = true;
+              ambiguities.push({ field: `${field}.${item.name}.${key}`, ...ambiguity });
+            }));
+            break;
+          }
+            
+          case 'historicalStatement': {
+            const lines = this.standardizeHistoricals(value);
+            const fromCurrency = data.currency || documentCurrency;
+            if (fromCurrency && fromCurrency !== targetCurrency) {
+              for (const line of lines) {
+                let fx = null;
+                for (const [period, amount] of Object.entries(line.values)) {
+                  // Each period converts at the rate in force when it closed
+                  const periodEnd = HistoricalFinancials.periodEndDate(period);
+                  const converted = await this.standardizeCurrency(amount, fromCurrency, targetCurrency, periodEnd < asOfDate ? periodEnd : asOfDate);
+                  line.values[period] = converted.value;
+                  fx = converted.fx;
+                }
+                line.originalCurrency = fromCurrency;
+                if (fx) fxConversions.push({ field: `${field}.${line.name}`, ...fx });
+              }
+            }
             standardized[field] = {
               ...data,
-              value: this.standardizeArray(value, field)
+              value: lines
             };
+            lines.forEach(line => (line.ambiguities || []).forEach(({ period, ...ambiguity }) => {
+              standardized[field].needsReview = true;
+              ambiguities.push({ field: `${field}.${line.name}.${period}`, ...ambiguity });
+            }));
             break;
+          }
             
           default:
             standardized[field] = data;
@@ -107,9 +223,18 @@ class DataStandardizer {
     standardized._metadata = {
       standardizedAt: new Date().toISOString(),
       targetCurrency: targetCurrency,
+      asOfDate: asOfDate,
+      fxConversions: fxConversions,
+      locale: this.activeLocale.describe(),
+      ambiguities: ambiguities,
       version: '1.0'
     };
     
+    if (ambiguities.length > 0) {
+      console.warn(`🔀 ${ambiguities.length} field(s) read more than one way under ${this.activeLocale.describe()}`);
+    }
+    this.conversions.push(...fxConversions);
+    this.ambiguities.push(...ambiguities);
     return standardized;
   }
 
@@ -145,7 +270,13 @@ class DataStandardizer {
       // Array fields
       revenueItems: 'array',
       operatingExpenses: 'array',
-      capitalExpenses: 'array'
+      capitalExpenses: 'array',
+      
+      // Rent roll
+      tenants: 'tenantSchedule',
+      
+      // Historical income statement
+      historicals: 'historicalStatement'
     };
     
     // Check for array
@@ -157,24 +288,170 @@ class DataStandardizer {
   }
 
   /**
-   * Standardize currency values
+   * Standardize currency values, converting at the rate in force on the as-of date
+   * @returns {Promise<{ value: number, fx: Object|null, alternatives: Array }>} fx records the rate used;
+   *   alternatives are other readings of the amount under the document locale, converted the same way
    */
-  standardizeCurrency(value, fromCurrency, toCurrency) {
-    // Parse the number
-    const numericValue = this.parseNumber(value);
+  async standardizeCurrency(value, fromCurrency, toCurrency, asOfDate) {
+    // Parse the number, magnitudes included ("€12,5 Mio")
+    const parsed = this.interpretNumber(value);
+    const numericValue = parsed.value;
     
     if (isNaN(numericValue)) {
       throw new Error(`Invalid currency value: ${value}`);
     }
     
     // Convert currency if needed
-    if (fromCurrency !== toCurrency) {
-      const fromRate = this.currencyRates[fromCurrency] || 1;
-      const toRate = this.currencyRates[toCurrency] || 1;
-      return numericValue * (toRate / fromRate);
+    if (fromCurrency && toCurrency && fromCurrency !== toCurrency) {
+      const fx = await this.rateProvider.getRate(fromCurrency, toCurrency, asOfDate);
+      if (fx.stale) {
+        console.warn(`💱 ${fromCurrency}/${toCurrency} rate dated ${fx.rateDate} used for ${fx.asOfDate}`);
+      }
+      return {
+        value: numericValue * fx.rate,
+        fx: { ...fx, originalValue: numericValue },
+        alternatives: parsed.alternatives.map(alternative => ({ ...alternative, value: alternative.value * fx.rate }))
+      };
+    }
+    
+    return { value: numericValue, fx: null, alternatives: parsed.alternatives };
+  }
+
+  /**
+   * ISO code from a currency-formatted value ("€5.2m", "GBP 1,200"), or null
+   */
+  detectCurrency(value) {
+    if (typeof value !== 'string') return null;
+    const code = /\b(USD|EUR|GBP|JPY|CAD|AUD|CHF|CNY|SEK|NOK)\b/i.exec(value);
+    if (code) return code[1].toUpperCase();
+    
+    const symbol = Object.keys(this.currencySymbols)
+      .sort((a, b) => b.length - a.length)
+      .find(candidate => value.includes(candidate));
+    return symbol ? this.currencySymbols[symbol] : null;
+  }
+
+  /**
+   * Currency the documents state for this extraction (currency, costCurrency, ...)
+   */
+  findDocumentCurrency(extractedData) {
+    for (const [field, data] of Object.entries(extractedData || {})) {
+      const value = data && typeof data === 'object' ? data.value : data;
+      if ((field === 'currency' || field.endsWith('Currency')) && typeof value === 'string' && /^[A-Za-z]{3}$/.test(value)) {
+        return value.toUpperCase();
+      }
     }
+    return null;
+  }
+
+  /**
+   * The documents' as-of date ("as of 31 December 2024", "as at 30/06/2025"), or null
+   */
+  findAsOfDate(files) {
+    const pattern = /\bas (?:of|at)\s+((?:\d{1,2}(?:st|nd|rd|th)?\s+[A-Za-z]{3,9},?\s+\d{4})|(?:[A-Za-z]{3,9}\s+\d{1,2}(?:st|nd|rd|th)?,?\s+\d{4})|(?:\d{4}-\d{2}-\d{2})|(?:\d{1,2}[\/\-]\d{1,2}[\/\-]\d{4}))/i;
     
-    return numericValue;
+    for (const file of files || []) {
+      const match = pattern.exec(file.content || '');
+      if (!match) continue;
+      try {
+        const date = this.standardizeDate(match[1].replace(/(\d)(st|nd|rd|th)/i, '$1'));
+        if (/^\d{4}-(0[1-9]|1[0-2])-/.test(date)) return date;
+      } catch (error) {
+        // Not a date after all - keep looking
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Rates used by conversions so far, one row per currency (latest conversion wins)
+   * @returns {Array<{ currency: string, toCurrency: string, rate: number, rateDate: string, asOfDate: string, source: string }>}
+   */
+  getFxTable(toCurrency = this.getTargetCurrency()) {
+    const byCurrency = new Map();
+    this.conversions
+      .filter(conversion => conversion.to === toCurrency)
+      .forEach(conversion => byCurrency.set(conversion.from, {
+        currency: conversion.from,
+        toCurrency: conversion.to,
+        rate: conversion.rate,
+        rateDate: conversion.rateDate,
+        asOfDate: conversion.asOfDate,
+        source: conversion.source
+      }));
+    return [...byCurrency.values()];
+  }
+
+  /**
+   * Fields that read more than one way so far, for the review step
+   * @returns {Array<{ field: string, input: *, chosen: *, alternatives: Array<{ value: *, reading: string }>, reason: string }>}
+   */
+  getAmbiguityReport() {
+    return [...this.ambiguities];
+  }
+
+  /**
+   * Forget the FX conversions and ambiguities of the previous extraction run
+   */
+  clearSession() {
+    this.conversions = [];
+    this.ambiguities = [];
+  }
+
+  describeAmbiguity(input, parsed) {
+    const locale = this.activeLocale;
+    return {
+      input,
+      chosen: parsed.value,
+      alternatives: parsed.alternatives,
+      reason: `Read as ${locale.describe()}; the documents do not settle the format`
+    };
+  }
+
+  /**
+   * Number under the active document locale
+   * @returns {{ value: number, alternatives: Array<{ value: number, reading: string }> }}
+   */
+  interpretNumber(value) {
+    if (typeof value === 'number') return { value, alternatives: [] };
+    return this.activeLocale.parseNumber(String(value).replace(/%/g, ''));
+  }
+
+  /**
+   * Percentage as a number of percent (5.5 for "5.5%", "5,5 %" or 0.055)
+   */
+  interpretPercentage(value) {
+    if (typeof value === 'number') {
+      // Already a number - check if it needs conversion
+      return { value: value > 1 ? value : value * 100, alternatives: [] };
+    }
+    
+    const str = String(value);
+    const parsed = this.interpretNumber(str);
+    
+    // Decimal representation (0.025 = 2.5%) unless written with a percent sign
+    const scale = (number) => !str.includes('%') && number < 1 ? number * 100 : number;
+    return {
+      value: scale(parsed.value),
+      alternatives: parsed.alternatives.map(alternative => ({ ...alternative, value: scale(alternative.value) }))
+    };
+  }
+
+  /**
+   * Date as YYYY-MM-DD under the active document locale's day/month order
+   * @returns {{ value: string|null, alternatives: Array<{ value: string, reading: string }> }}
+   */
+  interpretDate(value) {
+    if (!value) return { value: null, alternatives: [] };
+    
+    // Already in correct format?
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      return { value, alternatives: [] };
+    }
+    
+    const parsed = this.activeLocale.parseDate(value);
+    if (parsed.value) return parsed;
+    return { value: this.standardizeDate(value), alternatives: [] };
   }
 
   /**
@@ -188,6 +465,9 @@ class DataStandardizer {
       return value;
     }
     
+    const localized = this.activeLocale.parseDate(value);
+    if (localized.value) return localized.value;
+    
     // Try parsing with various formats
     for (const format of this.dateFormats) {
       const match = value.match(format);
@@ -247,61 +527,21 @@ class DataStandardizer {
    * Standardize percentage values
    */
   standardizePercentage(value) {
-    if (typeof value === 'number') {
-      // Already a number - check if it needs conversion
-      return value > 1 ? value : value * 100;
-    }
-    
-    const str = String(value);
-    
-    // Check for percentage symbol
-    if (str.includes('%')) {
-      return parseFloat(str.replace('%', '').trim());
-    }
-    
-    // Check for decimal representation (0.025 = 2.5%)
-    const num = parseFloat(str);
-    if (!isNaN(num) && num < 1) {
-      return num * 100;
-    }
-    
-    return num;
+    return this.interpretPercentage(value).value;
   }
 
   /**
-   * Standardize number formats (handle M, B, K suffixes)
+   * Standardize number formats (handle M, B, K suffixes and the document's separators)
    */
   standardizeNumber(value) {
-    if (typeof value === 'number') {
-      return value;
-    }
-    
-    const str = String(value).trim();
-    
-    // Check for suffixes
-    for (const [name, format] of Object.entries(this.numberFormats)) {
-      const match = str.match(format.pattern);
-      if (match) {
-        const num = parseFloat(match[1]);
-        return format.multiplier ? num * format.multiplier : num / format.divider;
-      }
-    }
-    
-    // Parse as regular number
-    return this.parseNumber(str);
+    return this.interpretNumber(value).value;
   }
 
   /**
-   * Parse number from string (handle commas, spaces, etc.)
+   * Parse number from string (currency symbols and codes, separators, magnitudes)
    */
   parseNumber(value) {
-    if (typeof value === 'number') return value;
-    
-    const str = String(value)
-      .replace(/[$€£¥,\s]/g, '') // Remove currency symbols, commas, spaces
-      .trim();
-    
-    return parseFloat(str);
+    return this.interpretNumber(value).value;
   }
 
   /**
@@ -311,11 +551,16 @@ class DataStandardizer {
     if (!Array.isArray(items)) return [];
     
     return items.map((item, index) => {
+      const input = item.value || item.initialValue || 0;
+      const parsed = this.interpretNumber(input);
       const standardizedItem = {
         id: `${fieldName}_${index + 1}`,
         name: item.name || `${fieldName} ${index + 1}`,
-        value: this.standardizeNumber(item.value || item.initialValue || 0)
+        value: parsed.value
       };
+      if (parsed.alternatives.length > 0) {
+        standardizedItem.ambiguity = this.describeAmbiguity(input, parsed);
+      }
       
       // Handle growth rates
       if (item.growthRate !== undefined) {
@@ -330,6 +575,91 @@ class DataStandardizer {
     });
   }
 
+  /**
+   * Standardize rent roll rows. value is passing rent per year (area × rent per area unit when
+   * only that is given); dates become YYYY-MM-DD and indexation a number of percent. Dates that
+   * read more than one way are listed in dateAmbiguities.
+   */
+  standardizeTenants(rows) {
+    if (!Array.isArray(rows)) return [];
+    
+    const number = (input) => {
+      if (input === null || input === undefined || input === '') return { value: null, alternatives: [] };
+      const parsed = this.interpretNumber(input);
+      return isNaN(parsed.value) ? { value: null, alternatives: [] } : parsed;
+    };
+    
+    return rows.map((row, index) => {
+      const area = number(row.area).value;
+      const rent = number(row.value);
+      const rentPerArea = number(row.rentPerArea).value;
+      const indexation = row.indexation === null || row.indexation === undefined || row.indexation === ''
+        ? null
+        : this.interpretPercentage(row.indexation).value;
+      
+      const tenant = {
+        id: `tenant_${index + 1}`,
+        name: row.name || `Unit ${index + 1}`,
+        unit: row.unit || '',
+        area,
+        value: rent.value ?? (rentPerArea !== null && area ? rentPerArea * area : 0),
+        erv: number(row.erv).value,
+        indexation: isNaN(indexation) ? null : indexation,
+        dateAmbiguities: [],
+        ...(row.location && { location: row.location })
+      };
+      if (rent.alternatives.length > 0) {
+        tenant.ambiguity = this.describeAmbiguity(row.value, rent);
+      }
+      
+      ['leaseStart', 'leaseExpiry', 'breakDate'].forEach(key => {
+        let parsed = { value: null, alternatives: [] };
+        try {
+          parsed = this.interpretDate(row[key]);
+        } catch (error) {
+          // "Holding over", "N/A" and the like - no date
+        }
+        tenant[key] = parsed.value || '';
+        if (parsed.alternatives.length > 0) {
+          tenant.dateAmbiguities.push({ key, ...this.describeAmbiguity(row[key], parsed) });
+        }
+      });
+      
+      return tenant;
+    });
+  }
+
+  /**
+   * Standardize historical statement lines: each period's amount becomes a number (brackets
+   * are negative); amounts that read more than one way are listed in ambiguities.
+   */
+  standardizeHistoricals(lines) {
+    if (!Array.isArray(lines)) return [];
+    
+    return lines.map((line, index) => {
+      const values = {};
+      const ambiguities = [];
+      Object.entries(line.values || {}).forEach(([period, input]) => {
+        const parsed = this.interpretNumber(input);
+        if (isNaN(parsed.value)) return;
+        values[period] = parsed.value;
+        if (parsed.alternatives.length > 0) {
+          ambiguities.push({ period, ...this.describeAmbiguity(input, parsed) });
+        }
+      });
+      
+      return {
+        id: `historical_${index + 1}`,
+        name: line.name || `Line ${index + 1}`,
+        type: line.type === 'expense' ? 'expense' : 'revenue',
+        category: line.category || 'other',
+        values,
+        ambiguities,
+        ...(line.location && { location: line.location })
+      };
+    });
+  }
+
   /**
    * Standardize growth type values
    */
@@ -416,7 +746,9 @@ class DataStandardizer {
       CAD: 'C$',
       AUD: 'A$',
       CHF: 'CHF',
-      CNY: '¥'
+      CNY: '¥',
+      SEK: 'SEK ',
+      NOK: 'NOK '
     };
     
     const symbol = symbols[currency] || currency;
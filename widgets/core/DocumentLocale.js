@@ -0,0 +1,225 @@
+/**
+ * DocumentLocale.js - Number and date conventions of a set of source documents
+ * Detects whether documents write 1,234,567.89 or 1.234.567,89 and DD/MM or MM/DD dates, parses
+ * amounts with magnitudes (€12,5 Mio, £3.2m, 1.1bn) and reports values that read more than one way.
+ */
+
+class DocumentLocale {
+  constructor(options = {}) {
+    this.tag = options.tag || 'en-US';
+    this.decimal = options.decimal || '.';
+    this.group = options.group || ',';
+    this.dateOrder = options.dateOrder || 'MDY';
+    this.source = options.source || 'default'; // override | detected | default
+    this.numberConfidence = options.numberConfidence ?? (this.source === 'override' ? 1 : 0);
+    this.dateConfidence = options.dateConfidence ?? (this.source === 'override' ? 1 : 0);
+    this.evidence = options.evidence || [];
+  }
+
+  /**
+   * Evidence at or above this confidence settles a reading; below it, values that read two ways
+   * are reported as ambiguous
+   */
+  static get CONFIDENT() {
+    return 0.8;
+  }
+
+  static get PROFILES() {
+    return {
+      'en-US': { decimal: '.', group: ',', dateOrder: 'MDY' },
+      'en-GB': { decimal: '.', group: ',', dateOrder: 'DMY' },
+      'de-DE': { decimal: ',', group: '.', dateOrder: 'DMY' },
+      'fr-FR': { decimal: ',', group: '\u00a0', dateOrder: 'DMY' },
+      'de-CH': { decimal: '.', group: '\'', dateOrder: 'DMY' },
+      'sv-SE': { decimal: ',', group: '\u00a0', dateOrder: 'YMD' }
+    };
+  }
+
+  /**
+   * Magnitude words and abbreviations, longest first so "mn" wins over "m"
+   */
+  static get MAGNITUDES() {
+    return [
+      { pattern: /^(?:billions?|milliarden?|milliards?|mrd|bn|b)$/i, multiplier: 1e9 },
+      { pattern: /^(?:millions?|millionen|mio|mn|mm|m)$/i, multiplier: 1e6 },
+      { pattern: /^(?:thousands?|tausend|tsd|k)$/i, multiplier: 1e3 }
+    ];
+  }
+
+  static fromTag(tag) {
+    const profile = DocumentLocale.PROFILES[tag];
+    if (!profile) throw new Error(`Unknown number format: ${tag}`);
+    return new DocumentLocale({ tag, ...profile, source: 'override' });
+  }
+
+  /**
+   * Infer conventions from document text. Unambiguous numbers (1.234.567,89, 12,5 with two
+   * decimals or fewer, 1,234.5) vote on the decimal mark; dates with a part above 12 vote on
+   * day/month order. Without date evidence the order follows the decimal mark.
+   */
+  static detect(texts) {
+    const votes = { comma: 0, dot: 0, dmy: 0, mdy: 0 };
+    const evidence = [];
+    const note = (key, sample) => {
+      votes[key]++;
+      if (evidence.length < 5) evidence.push(sample);
+    };
+
+    (texts || []).forEach(text => {
+      const content = String(text || '');
+      for (const [compact] of content.matchAll(/\d[\d.,']*\d/g)) {
+        if (/^\d{1,3}(?:\.\d{3})+,\d+$/.test(compact) || /^\d{1,3}(?:\.\d{3}){2,}$/.test(compact) || /^\d+,\d{1,2}$/.test(compact)) {
+          note('comma', compact);
+        } else if (/^\d{1,3}(?:,\d{3})+\.\d+$/.test(compact) || /^\d{1,3}(?:,\d{3}){2,}$/.test(compact) || /^\d+\.\d{1,2}$/.test(compact)) {
+          note('dot', compact);
+        }
+      }
+      for (const [date, first, second] of content.matchAll(/\b(\d{1,2})[/.\-](\d{1,2})[/.\-](\d{4})\b/g)) {
+        if (parseInt(first) > 12 && parseInt(second) <= 12) note('dmy', date);
+        else if (parseInt(second) > 12 && parseInt(first) <= 12) note('mdy', date);
+      }
+      if (/\b(?:Mio|Mrd|Tsd)\b\.?/.test(content)) note('comma', 'Mio/Mrd/Tsd');
+    });
+
+    const numberVotes = votes.comma + votes.dot;
+    const commaDecimal = votes.comma > votes.dot;
+    const numberConfidence = numberVotes === 0 ? 0
+      : Math.max(votes.comma, votes.dot) / numberVotes * Math.min(1, numberVotes / 3);
+
+    const dateVotes = votes.dmy + votes.mdy;
+    let dateOrder;
+    let dateConfidence;
+    if (dateVotes > 0) {
+      dateOrder = votes.dmy >= votes.mdy ? 'DMY' : 'MDY';
+      dateConfidence = Math.max(votes.dmy, votes.mdy) / dateVotes * Math.min(1, dateVotes / 2);
+    } else {
+      dateOrder = commaDecimal || /£|\bGBP\b|€|\bEUR\b/.test((texts || []).join(' ')) ? 'DMY' : 'MDY';
+      dateConfidence = 0;
+    }
+
+    return new DocumentLocale({
+      tag: commaDecimal ? 'de-DE' : (dateOrder === 'DMY' ? 'en-GB' : 'en-US'),
+      decimal: commaDecimal ? ',' : '.',
+      group: commaDecimal ? '.' : ',',
+      dateOrder,
+      source: numberVotes + dateVotes > 0 ? 'detected' : 'default',
+      numberConfidence,
+      dateConfidence,
+      evidence
+    });
+  }
+
+  describe() {
+    const example = this.decimal === ',' ? '1.234.567,89' : '1,234,567.89';
+    return `${example}, ${this.dateOrder.split('').join('/')} (${this.source})`;
+  }
+
+  /**
+   * Parse an amount such as "€12,5 Mio", "(1,234)", "£3.2m" or "1.1bn"
+   * @returns {{ value: number, alternatives: Array<{ value: number, reading: string }> }}
+   *   alternatives lists other plausible readings when the evidence does not settle the format
+   */
+  parseNumber(input) {
+    if (typeof input === 'number') return { value: input, alternatives: [] };
+
+    let text = String(input ?? '').trim();
+    const negative = /^\(.*\)$/.test(text) || /^[-−–]/.test(text.replace(/^[^\d\-−–(]*/, ''));
+    text = text.replace(/[()\-−–]/g, ' ');
+
+    // A word followed by a digit, ² or "sq" is an area unit ("1,200 m²", "2,500 m2"), not a magnitude
+    const match = /(\d(?:[\d.,']|[ \u00a0](?=\d{3}(?!\d)))*)\s*([A-Za-z]+(?![A-Za-z\d²³]|\s*sq))?/i.exec(text);
+    if (!match) return { value: NaN, alternatives: [] };
+
+    const magnitude = match[2]
+      ? DocumentLocale.MAGNITUDES.find(candidate => candidate.pattern.test(match[2]))
+      : null;
+    const multiplier = (magnitude ? magnitude.multiplier : 1) * (negative ? -1 : 1);
+    const digits = match[1].replace(/[ \u00a0']/g, '').replace(/[.,]$/, '');
+
+    const readings = [
+      { decimal: this.decimal, reading: this.decimal === ',' ? 'comma as decimal mark' : 'dot as decimal mark' },
+      { decimal: this.decimal === ',' ? '.' : ',', reading: this.decimal === ',' ? 'dot as decimal mark' : 'comma as decimal mark' }
+    ].map(reading => ({ ...reading, value: DocumentLocale.readDigits(digits, reading.decimal) }));
+
+    const [chosen, other] = readings;
+    const value = chosen.value * multiplier;
+    const alternatives = [];
+    if (!isNaN(other.value) && other.value !== chosen.value && this.numberConfidence < DocumentLocale.CONFIDENT) {
+      alternatives.push({ value: other.value * multiplier, reading: other.reading });
+    }
+    if (isNaN(chosen.value) && !isNaN(other.value)) {
+      return { value: other.value * multiplier, alternatives: [] };
+    }
+    return { value, alternatives };
+  }
+
+  /**
+   * Digits with separators under one decimal-mark convention; NaN when the grouping is invalid
+   * for it (e.g. "1,23,4" or "12,5" read with comma grouping)
+   */
+  static readDigits(digits, decimal) {
+    const group = decimal === ',' ? '.' : ',';
+    const lastDecimal = digits.lastIndexOf(decimal);
+    const integer = lastDecimal === -1 ? digits : digits.slice(0, lastDecimal);
+    const fraction = lastDecimal === -1 ? '' : digits.slice(lastDecimal + 1);
+
+    if (fraction.includes(group) || integer.includes(decimal)) return NaN;
+    if (integer.includes(group) && !new RegExp(`^\\d{1,3}(?:\\${group}\\d{3})+$`).test(integer)) return NaN;
+    return parseFloat(`${integer.split(group).join('')}${fraction ? `.${fraction}` : ''}`);
+  }
+
+  /**
+   * Parse a date into YYYY-MM-DD. Numeric dates use the document's day/month order; when both
+   * parts are 12 or less and the order was not settled, the other reading is returned as well.
+   * @returns {{ value: string|null, alternatives: Array<{ value: string, reading: string }> }}
+   */
+  parseDate(input) {
+    const text = String(input ?? '').trim();
+    const format = (year, month, day) => {
+      const date = new Date(year, month - 1, day);
+      if (isNaN(date.getTime()) || date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+      return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    };
+
+    let match = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/.exec(text);
+    if (match) return { value: format(+match[1], +match[2], +match[3]), alternatives: [] };
+
+    match = /(\d{1,2})[/.\-](\d{1,2})[/.\-](\d{2,4})/.exec(text);
+    if (match) {
+      const first = parseInt(match[1]);
+      const second = parseInt(match[2]);
+      const year = match[3].length === 2 ? 2000 + parseInt(match[3]) : parseInt(match[3]);
+      const dayFirst = format(year, second, first);
+      const monthFirst = format(year, first, second);
+      const preferDayFirst = this.dateOrder !== 'MDY';
+
+      const value = preferDayFirst ? (dayFirst || monthFirst) : (monthFirst || dayFirst);
+      const other = value === dayFirst ? monthFirst : dayFirst;
+      const alternatives = other && other !== value && this.dateConfidence < DocumentLocale.CONFIDENT
+        ? [{ value: other, reading: other === dayFirst ? 'day/month/year' : 'month/day/year' }]
+        : [];
+      return { value, alternatives };
+    }
+
+    const months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+    const germanMonths = { mär: 3, mai: 5, okt: 10, dez: 12 };
+    const monthNumber = (name) => {
+      const key = name.toLowerCase().slice(0, 3);
+      return germanMonths[key] || months.indexOf(key) + 1;
+    };
+
+    match = /(\d{1,2})(?:st|nd|rd|th)?\.?\s+([A-Za-zäé]{3,})\.?,?\s+(\d{4})/.exec(text);
+    if (match && monthNumber(match[2]) > 0) {
+      return { value: format(+match[3], monthNumber(match[2]), +match[1]), alternatives: [] };
+    }
+    match = /([A-Za-zäé]{3,})\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})/.exec(text);
+    if (match && monthNumber(match[1]) > 0) {
+      return { value: format(+match[3], monthNumber(match[1]), +match[2]), alternatives: [] };
+    }
+
+    return { value: null, alternatives: [] };
+  }
+}
+
+// Export for use
+window.DocumentLocale = DocumentLocale;
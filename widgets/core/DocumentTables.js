@@ -0,0 +1,103 @@
+/**
+ * DocumentTables.js - Tables found in uploaded files, as rows of cells
+ * Workbook sheets (value grids from SpreadsheetReader), PDF tables (from PdfTextExtractor) and CSV
+ * files come back in one shape for the extractors that read schedules and statements.
+ */
+
+class DocumentTables {
+  /**
+   * @returns {Array<{ file: Object, rows: Array<Array>, location: Object, cellAddress: Function|null }>}
+   *   cellAddress(rowIndex, colIndex) gives 'Sheet!B4' for workbook sheets
+   */
+  static collect(files) {
+    const tables = [];
+
+    (files || []).forEach(file => {
+      if (file.workbook) {
+        file.workbook.sheets.filter(sheet => sheet.grid).forEach(sheet => {
+          tables.push({
+            file,
+            rows: sheet.grid,
+            location: { file: file.name, sheet: sheet.name },
+            cellAddress: (row, col) => `${sheet.name}!${SpreadsheetReader.toAddress(row + 1, col + 1)}`
+          });
+        });
+      } else if (Array.isArray(file.tables) && file.tables.length > 0) {
+        file.tables.forEach(table => {
+          tables.push({
+            file,
+            rows: [table.header, ...table.rows],
+            location: { file: file.name, page: table.page, table: table.id },
+            cellAddress: null
+          });
+        });
+      } else if (/\.csv$/i.test(file.name || '') || file.type === 'text/csv') {
+        tables.push({
+          file,
+          rows: DocumentTables.parseCsv(file.content),
+          location: { file: file.name },
+          cellAddress: null
+        });
+      }
+    });
+
+    return tables;
+  }
+
+  static cellText(value) {
+    if (value === null || value === undefined) return '';
+    return String(value).replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Split CSV text into rows. The delimiter (comma, semicolon or tab) is the one the heading
+   * line uses most; quoted fields may hold delimiters and doubled quotes.
+   */
+  static parseCsv(text) {
+    const content = String(text || '');
+    const firstLine = content.split(/\r?\n/).find(line => line.trim() !== '') || '';
+    const delimiter = [',', ';', '\t']
+      .map(candidate => ({ candidate, count: firstLine.split(candidate).length }))
+      .sort((a, b) => b.count - a.count)[0].candidate;
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i];
+      if (quoted) {
+        if (char === '"' && content[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && content[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    return rows.map(cells => cells.map(cell => cell.trim()));
+  }
+}
+
+// Export for use
+window.DocumentTables = DocumentTables;
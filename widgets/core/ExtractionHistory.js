@@ -35,6 +35,8 @@ class ExtractionHistory {
       extractedData: sessionData.extractedData,
       appliedData: sessionData.appliedData || null,
       extractionResults: sessionData.extractionResults || null,
+      provenance: this.collectProvenance(sessionData.extractedData),
+      resolutions: sessionData.resolutions || [],
       metadata: {
         userAgent: navigator.userAgent,
         timestamp: Date.now(),
@@ -67,6 +69,61 @@ class ExtractionHistory {
     return session.id;
   }
 
+  /**
+   * Where each extracted field came from: { field: { value, source, confidence, location } }.
+   * Kept separately from extractedData so an audit can replay the citations even after
+   * values were edited in review.
+   */
+  collectProvenance(extractedData) {
+    const provenance = {};
+    Object.entries(extractedData || {}).forEach(([field, entry]) => {
+      if (entry && typeof entry === 'object' && 'value' in entry) {
+        provenance[field] = {
+          value: entry.value,
+          source: entry.source || null,
+          confidence: entry.confidence ?? null,
+          location: entry.location || null
+        };
+      }
+    });
+    return provenance;
+  }
+
+  /**
+   * Provenance of a session (sessions saved before provenance was recorded are rebuilt from
+   * their extracted fields)
+   */
+  getProvenance(sessionId = this.sessionId) {
+    const session = this.history.find(s => s.id === sessionId);
+    if (!session) return null;
+    return session.provenance || this.collectProvenance(session.extractedData);
+  }
+
+  /**
+   * Record how conflicting values were settled: { field, chosen, rejected, resolvedBy, resolvedAt }.
+   * A later resolution of the same field replaces the earlier one, so the rejected alternatives
+   * stay on record next to the value that was finally used.
+   */
+  recordResolutions(resolutions, sessionId = this.sessionId) {
+    const session = this.history.find(s => s.id === sessionId);
+    if (!session || !resolutions || resolutions.length === 0) return;
+    
+    const fields = new Set(resolutions.map(resolution => resolution.field));
+    session.resolutions = [
+      ...(session.resolutions || []).filter(resolution => !fields.has(resolution.field)),
+      ...resolutions
+    ];
+    
+    this.persistHistory();
+    this.notifyHistoryChange();
+    console.log(`⚖️ Recorded ${resolutions.length} conflict resolution(s) for`, sessionId);
+  }
+
+  getResolutions(sessionId = this.sessionId) {
+    const session = this.history.find(s => s.id === sessionId);
+    return session ? session.resolutions || [] : [];
+  }
+
   /**
    * Get current extraction session
    */
@@ -308,17 +365,16 @@ class ExtractionHistory {
     const exportData = {
       metadata: {
         exportDate: new Date().toISOString(),
-        version: '1.0',
+        schemaVersion: ModelDataSchema.HISTORY_VERSION,
         totalSessions: sessions.length,
         includeFileContents
       },
       sessions: sessions.map(session => {
-        const exportSession = { ...session };
+        const exportSession = { ...session, provenance: session.provenance || this.collectProvenance(session.extractedData) };
         
         if (!includeFileContents) {
-          // Remove file content data to reduce size
-          delete exportSession.files;
-          exportSession.fileMetadata = session.files.map(f => ({
+          // Keep only the file details, not any content
+          exportSession.files = (session.files || []).map(f => ({
             name: f.name,
             type: f.type,
             size: f.size
@@ -355,13 +411,14 @@ class ExtractionHistory {
         data = importData;
       }
 
-      if (!data.sessions || !Array.isArray(data.sessions)) {
-        throw new Error('Invalid import data format');
+      // Upgrade older exports, then validate each session and report why any were rejected
+      const { sessions: validSessions, rejected, fromVersion, applied, unvalidated } = ModelDataSchema.parseHistory(data);
+      if (applied.length > 0) {
+        console.log(`📦 Upgraded extraction history from schema v${fromVersion}:`, applied);
       }
-
-      const validSessions = data.sessions.filter(session => 
-        session.id && session.timestamp && session.extractedData
-      );
+      rejected.forEach(({ index, id, errors }) => {
+        console.warn(`⚠️ Skipped extraction session ${id || `#${index + 1}`}:`, ModelDataSchema.formatErrors(errors));
+      });
 
       if (replaceExisting) {
         this.history = validSessions;
@@ -388,7 +445,9 @@ class ExtractionHistory {
       console.log('📥 Imported', validSessions.length, 'extraction sessions');
       return {
         imported: validSessions.length,
-        total: this.history.length
+        total: this.history.length,
+        rejected,
+        unvalidated: Boolean(unvalidated)
       };
 
     } catch (error) {
@@ -504,6 +563,8 @@ class ExtractionHistory {
       'Extraction Method',
       'Average Confidence',
       'Fields Extracted',
+      'Cited Fields',
+      'Resolved Conflicts',
       'Duration (ms)'
     ];
 
@@ -517,6 +578,10 @@ class ExtractionHistory {
       const fieldsExtracted = Object.keys(session.extractedData || {})
         .filter(key => !key.startsWith('_'))
         .length;
+      
+      const citedFields = Object.values(session.provenance || {})
+        .filter(entry => entry.location)
+        .length;
 
       return [
         session.id,
@@ -526,6 +591,8 @@ class ExtractionHistory {
         session.metadata?.extractionMethod || 'unknown',
         (avgConfidence * 100).toFixed(1) + '%',
         fieldsExtracted,
+        citedFields,
+        (session.resolutions || []).length,
         session.metadata?.sessionDuration || 0
       ];
     });
@@ -97,6 +97,29 @@ class FieldMappingEngine {
         type: 'number',
         section: 'debtModel',
         condition: { field: 'interestRateType', value: 'floating' }
+      },
+      rateFloor: {
+        elementId: 'rateFloor',
+        type: 'number',
+        section: 'debtModel',
+        condition: { field: 'interestRateType', value: 'floating' }
+      },
+      amortizationType: {
+        elementId: 'amortizationType',
+        type: 'select',
+        section: 'debtModel',
+        valueMap: {
+          'bullet': 'interest_only',
+          'interest_only': 'interest_only',
+          'linear': 'straight_line',
+          'straight_line': 'straight_line',
+          'annuity': 'annuity'
+        }
+      },
+      amortizationYears: {
+        elementId: 'amortizationYears',
+        type: 'number',
+        section: 'debtModel'
       }
     };
 
@@ -132,18 +155,13 @@ class FieldMappingEngine {
           
           if (!start || !end) return null;
           
-          const startDate = new Date(start);
-          const endDate = new Date(end);
-          const diffMs = endDate - startDate;
-          
-          const calculations = {
-            daily: Math.ceil(diffMs / (1000 * 60 * 60 * 24)),
-            monthly: Math.ceil(diffMs / (1000 * 60 * 60 * 24 * 30.44)),
-            quarterly: Math.ceil(diffMs / (1000 * 60 * 60 * 24 * 30.44 * 3)),
-            yearly: Math.ceil(diffMs / (1000 * 60 * 60 * 24 * 365.25))
-          };
-          
-          return calculations[periods] || 0;
+          const fiscalYearEnd = document.getElementById('fiscalYearEnd')?.value;
+          try {
+            return new PeriodCalendar({ startDate: start, endDate: end, periodType: periods, fiscalYearEnd }).count();
+          } catch (error) {
+            console.warn('⚠️ Holding periods not calculated:', error.message);
+            return null;
+          }
         },
         dependencies: ['projectStartDate', 'projectEndDate', 'modelPeriods']
       }
@@ -412,6 +430,16 @@ class FieldMappingEngine {
         results
       );
     }
+    
+    // Additional debt tranches (senior terms use the direct field mappings)
+    if (standardizedData.debtTranches?.value) {
+      await this.applyItemsArray(
+        standardizedData.debtTranches.value,
+        'debtTranche',
+        'addDebtTranche',
+        results
+      );
+    }
   }
 
   /**
@@ -428,6 +456,8 @@ class FieldMappingEngine {
       container = document.getElementById('operatingExpensesContainer');
     } else if (prefix === 'capEx') {
       container = document.getElementById('capitalExpensesContainer');
+    } else if (prefix === 'debtTranche') {
+      container = document.getElementById('debtTranchesContainer');
     }
     
     if (container) {
@@ -485,6 +515,17 @@ class FieldMappingEngine {
           if (item.growthType === 'annual' && item.growthRate !== null && item.growthRate !== undefined) {
             fields[`annualGrowth_capEx_${i + 1}`] = item.growthRate;
           }
+        } else if (prefix === 'debtTranche') {
+          const amortizationMap = this.fieldMappings.amortizationType.valueMap;
+          fields[`trancheName_${i + 1}`] = item.name;
+          fields[`trancheShare_${i + 1}`] = item.share;
+          fields[`trancheRateType_${i + 1}`] = item.rateType || 'fixed';
+          fields[`trancheFixedRate_${i + 1}`] = item.fixedRate;
+          fields[`trancheBaseRate_${i + 1}`] = item.baseRate;
+          fields[`trancheMargin_${i + 1}`] = item.margin;
+          fields[`trancheFloor_${i + 1}`] = item.floor;
+          fields[`trancheAmortization_${i + 1}`] = amortizationMap[item.amortizationType] || 'interest_only';
+          fields[`trancheAmortYears_${i + 1}`] = item.amortizationYears;
         }
         
         for (const [fieldId, value] of Object.entries(fields)) {
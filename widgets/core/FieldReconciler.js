@@ -0,0 +1,207 @@
+/**
+ * FieldReconciler.js - Reconcile field values extracted from several documents
+ * Each file is extracted on its own; the candidates for a field are grouped by value and ranked by
+ * the kind of document they came from, how recent it is and extraction confidence. Fields where
+ * documents disagree (an OM at 6.5% against a broker email at 6.25%) are marked as conflicts.
+ */
+
+class FieldReconciler {
+  constructor(options = {}) {
+    this.standardizer = options.standardizer || null; // reads as-of dates from document text
+    this.tolerance = options.tolerance ?? 0.005; // relative difference still treated as the same number
+    this.weights = { sourceType: 0.5, recency: 0.2, confidence: 0.3, ...(options.weights || {}) };
+  }
+
+  /**
+   * Document kinds, most authoritative first. Names are checked before content.
+   */
+  static get SOURCE_TYPES() {
+    return [
+      { type: 'agreement', label: 'Agreement / term sheet', rank: 1.0,
+        pattern: /\b(?:spa|purchase agreement|term ?sheet|loi|letter of intent|heads of terms|facility agreement|loan agreement)\b/i },
+      { type: 'financials', label: 'Financials / rent roll', rank: 0.85,
+        pattern: /\b(?:financial statements?|accounts|p ?& ?l|income statement|balance sheet|rent ?roll|t ?12|budget)\b/i },
+      { type: 'valuation', label: 'Valuation report', rank: 0.8, pattern: /\b(?:valuation|appraisal)\b/i },
+      { type: 'memorandum', label: 'Offering memorandum', rank: 0.65,
+        pattern: /\b(?:om|offering memorandum|information memorandum|cim|teaser|brochure|flyer)\b/i },
+      { type: 'correspondence', label: 'Email / correspondence', rank: 0.45,
+        pattern: /\b(?:e-?mail|broker|memo)\b|^(?:from|subject|sent|to):/im }
+    ];
+  }
+
+  static get OTHER_SOURCE() {
+    return { type: 'other', label: 'Other document', rank: 0.55 };
+  }
+
+  /**
+   * Sources that are derived or guessed rather than read from the document; they never count
+   * as evidence for a value
+   */
+  static get DERIVED_SOURCES() {
+    return ['calculated', 'inferred', 'inferred_earliest', 'inferred_latest', 'not_found', 'filename'];
+  }
+
+  classifySource(file) {
+    const name = String(file.name || file.metadata?.filename || '').replace(/[_\-.]+/g, ' ');
+    const head = String(file.content || '').slice(0, 600);
+    const types = FieldReconciler.SOURCE_TYPES;
+    return types.find(type => type.pattern.test(name))
+      || types.find(type => type.pattern.test(head))
+      || FieldReconciler.OTHER_SOURCE;
+  }
+
+  /**
+   * The document's as-of date when it states one, else the file's modified date
+   */
+  documentDate(file) {
+    const stated = this.standardizer ? this.standardizer.findAsOfDate([file]) : null;
+    if (stated) return stated;
+    return file.lastModified ? new Date(file.lastModified).toISOString().slice(0, 10) : null;
+  }
+
+  static isEvidence(fieldData) {
+    return !!fieldData && typeof fieldData === 'object'
+      && fieldData.value !== null && fieldData.value !== undefined && fieldData.value !== ''
+      && !FieldReconciler.DERIVED_SOURCES.includes(fieldData.source);
+  }
+
+  sameValue(a, b) {
+    if (typeof a === 'number' && typeof b === 'number') {
+      const scale = Math.max(Math.abs(a), Math.abs(b));
+      return scale === 0 || Math.abs(a - b) / scale <= this.tolerance;
+    }
+    if (typeof a === 'string' && typeof b === 'string') {
+      return a.trim().toLowerCase() === b.trim().toLowerCase();
+    }
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  /**
+   * Merge per-file section results into one
+   * @param {Array<{ file: Object, data: Object }>} perFile - a section extractor's result for each file
+   * @returns {{ data: Object, conflicts: Array<{ field: string, candidates: Array }> }} data carries
+   *   the top-ranked value per field; conflicting fields get `conflict` and `needsReview`
+   */
+  reconcile(perFile) {
+    const documents = perFile
+      .filter(({ data }) => data && typeof data === 'object')
+      .map(({ file, data }) => ({
+        file: file.name || file.metadata?.filename,
+        data,
+        source: this.classifySource(file),
+        date: this.documentDate(file)
+      }));
+
+    const dates = documents.map(doc => doc.date).filter(Boolean).map(date => Date.parse(date));
+    const earliest = Math.min(...dates);
+    const latest = Math.max(...dates);
+    const recency = (date) => !date || latest === earliest ? 0.5 : (Date.parse(date) - earliest) / (latest - earliest);
+    const byRank = [...documents].sort((a, b) => b.source.rank - a.source.rank);
+
+    const fields = new Set(documents.flatMap(doc => Object.keys(doc.data).filter(field => !field.startsWith('_'))));
+    const data = {};
+    const conflicts = [];
+
+    fields.forEach(field => {
+      const candidates = documents
+        .filter(doc => FieldReconciler.isEvidence(doc.data[field]))
+        .map(doc => {
+          const fieldData = doc.data[field];
+          const confidence = typeof fieldData.confidence === 'number' ? fieldData.confidence : 0.5;
+          return {
+            fieldData,
+            file: doc.file,
+            source: doc.source,
+            documentDate: doc.date,
+            score: this.weights.sourceType * doc.source.rank + this.weights.recency * recency(doc.date) +
+              this.weights.confidence * confidence
+          };
+        });
+
+      if (candidates.length === 0) {
+        // Derived or missing everywhere: take it from the most authoritative document that has it
+        const doc = byRank.find(candidate => candidate.data[field]?.value != null) || byRank.find(candidate => field in candidate.data);
+        data[field] = doc.data[field];
+        return;
+      }
+
+      // Lists (revenue items, expenses) differ between documents as a matter of course: take the
+      // top-ranked document's list rather than flagging every difference
+      const groups = Array.isArray(candidates[0].fieldData.value)
+        ? candidates.map(candidate => ({ members: [candidate] }))
+        : this.groupCandidates(candidates);
+      groups.forEach(group => {
+        group.members.sort((a, b) => b.score - a.score);
+        group.score = group.members[0].score + 0.05 * (group.members.length - 1); // agreement counts
+      });
+      groups.sort((a, b) => b.score - a.score);
+
+      const best = groups[0].members[0];
+      data[field] = { ...best.fieldData, sources: groups[0].members.map(member => member.file) };
+
+      if (groups.length > 1 && !Array.isArray(best.fieldData.value)) {
+        const summaries = groups.map(group => FieldReconciler.summarize(group));
+        data[field].conflict = { candidates: summaries, chosenIndex: 0, resolvedBy: 'ranking' };
+        data[field].needsReview = true;
+        conflicts.push({ field, candidates: summaries });
+      }
+    });
+
+    data._metadata = {
+      ...(documents[0]?.data._metadata || {}),
+      reconciledFrom: documents.map(doc => ({ file: doc.file, sourceType: doc.source.type, documentDate: doc.date })),
+      conflicts: conflicts.map(conflict => conflict.field)
+    };
+    return { data, conflicts };
+  }
+
+  groupCandidates(candidates) {
+    const groups = [];
+    candidates.forEach(candidate => {
+      const group = groups.find(existing => this.sameValue(existing.members[0].fieldData.value, candidate.fieldData.value));
+      if (group) group.members.push(candidate);
+      else groups.push({ members: [candidate] });
+    });
+    return groups;
+  }
+
+  /**
+   * Plain summary of a candidate value for the review control and the history
+   */
+  static summarize(group) {
+    const best = group.members[0];
+    return {
+      value: best.fieldData.value,
+      files: group.members.map(member => member.file),
+      sourceType: best.source.type,
+      sourceLabel: best.source.label,
+      documentDate: best.documentDate,
+      confidence: best.fieldData.confidence ?? null,
+      score: Math.round(group.score * 1000) / 1000,
+      source: best.fieldData.source || null,
+      location: best.fieldData.location || null
+    };
+  }
+
+  /**
+   * History records for every conflicting field: the value kept (a typed value when the user
+   * entered one instead of a candidate) and the alternatives rejected
+   */
+  static collectResolutions(extractedData) {
+    return Object.entries(extractedData || {})
+      .filter(([, fieldData]) => fieldData && typeof fieldData === 'object' && fieldData.conflict)
+      .map(([field, fieldData]) => {
+        const { candidates, chosenIndex, resolvedBy } = fieldData.conflict;
+        return {
+          field,
+          chosen: chosenIndex === null ? { value: fieldData.value, source: fieldData.source || null } : candidates[chosenIndex],
+          rejected: candidates.filter((candidate, index) => index !== chosenIndex),
+          resolvedBy,
+          resolvedAt: new Date().toISOString()
+        };
+      });
+  }
+}
+
+// Export for use
+window.FieldReconciler = FieldReconciler;
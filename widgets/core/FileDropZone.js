@@ -20,6 +20,9 @@ class FileDropZone {
     this.uploadedFiles = [];
     this.onFilesProcessed = null;
     this.isProcessing = false;
+    this.ocrExtractor = new ImageOcrExtractor();
+    this.pdfExtractor = new PdfTextExtractor(this.ocrExtractor);
+    this.spreadsheetReader = new SpreadsheetReader();
   }
 
   initialize() {
@@ -170,12 +173,19 @@ class FileDropZone {
 
         try {
           // Read file content based on type
-          if (fileData.processor === 'csv' || fileData.processor === 'excel') {
+          if (fileData.processor === 'csv') {
             fileData.content = await this.readTextFile(file);
+          } else if (fileData.processor === 'excel') {
+            fileData.workbook = await this.processSpreadsheetFile(file);
+            fileData.content = fileData.workbook.text;
           } else if (fileData.processor === 'pdf') {
-            fileData.content = await this.processPDFFile(file);
+            const pdf = await this.processPDFFile(file);
+            fileData.content = pdf.text;
+            fileData.pages = pdf.pages;
+            fileData.tables = pdf.tables;
           } else if (fileData.processor === 'ocr') {
-            fileData.content = await this.processImageFile(file);
+            fileData.ocr = await this.processImageFile(file);
+            fileData.content = fileData.ocr.text;
           }
           
           fileData.processingStatus = 'ready';
@@ -206,6 +216,7 @@ class FileDropZone {
     } finally {
       this.isProcessing = false;
       this.showProcessingIndicator(false);
+      this.ocrExtractor.terminate().catch(error => console.warn('⚠️ Could not stop OCR worker:', error.message));
     }
   }
 
@@ -263,16 +274,34 @@ class FileDropZone {
     });
   }
 
+  /**
+   * Extract page-anchored text and tables from a PDF
+   * @returns {Promise<{ text: string, pages: Array, tables: Array, pageCount: number }>}
+   */
   async processPDFFile(file) {
-    // For now, return placeholder - will integrate PDF.js
-    console.log('📑 PDF processing will be implemented with PDF.js');
-    return `PDF: ${file.name} - PDF parsing will extract text content here`;
+    console.log(`📑 Extracting text from ${file.name}`);
+    return this.pdfExtractor.extract(file);
   }
 
+  /**
+   * Read sheets, cell values and formulas from an .xlsx/.xls workbook
+   */
+  async processSpreadsheetFile(file) {
+    console.log(`📊 Reading workbook ${file.name}`);
+    return this.spreadsheetReader.read(file);
+  }
+
+  /**
+   * OCR a scanned image into lines with bounding boxes and confidence
+   * @returns {Promise<{ text: string, confidence: number, lines: Array, lowConfidenceLines: number }>}
+   */
   async processImageFile(file) {
-    // For now, return placeholder - will integrate OCR
-    console.log('🖼️ Image OCR will be implemented with Tesseract.js or API');
-    return `Image: ${file.name} - OCR will extract text from image here`;
+    console.log(`🖼️ Running OCR on ${file.name}`);
+    const ocr = await this.ocrExtractor.recognize(file, file.name);
+    if (!ocr.text) {
+      throw new Error(`No readable text found in ${file.name}`);
+    }
+    return ocr;
   }
 
   updateFileDisplay() {
@@ -0,0 +1,204 @@
+/**
+ * FxRateProvider.js - Dated exchange rates for currency conversion
+ * FxRateProvider defines the interface DataStandardizer converts through; LocalFxRateProvider
+ * reads a JSON or CSV rates file (bundled or user-supplied) so conversions work offline.
+ */
+
+class FxRateProvider {
+  /**
+   * Rate to convert 1 unit of `from` into `to` as of a date
+   * @returns {Promise<{ from: string, to: string, rate: number, rateDate: string|null, asOfDate: string, source: string, stale: boolean }>}
+   */
+  async getRate(from, to, asOfDate) {
+    throw new Error(`${this.constructor.name} does not implement getRate`);
+  }
+
+  /**
+   * Currency codes the provider can convert between
+   */
+  async getCurrencies() {
+    return [];
+  }
+}
+
+class LocalFxRateProvider extends FxRateProvider {
+  constructor(options = {}) {
+    super();
+    this.url = options.url || 'assets/fx-rates.json';
+    this.staleAfterDays = options.staleAfterDays || 45;
+    this.base = null;
+    this.source = null;
+    this.series = []; // [{ date: 'YYYY-MM-DD', rates: { EUR: 0.92, ... } }] sorted by date
+    this.loadPromise = null;
+
+    if (options.data) {
+      this.loadText(options.data, options.format, options.source || 'supplied rates');
+      this.loadPromise = Promise.resolve();
+    }
+  }
+
+  /**
+   * Fetch the rates file once
+   */
+  load() {
+    if (!this.loadPromise) {
+      this.loadPromise = fetch(this.url)
+        .then(response => {
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          return response.text();
+        })
+        .then(text => this.loadText(text, this.url.toLowerCase().endsWith('.csv') ? 'csv' : 'json'))
+        .catch(error => {
+          this.loadPromise = null;
+          throw new Error(`Could not load FX rates from ${this.url}: ${error.message}`);
+        });
+    }
+    return this.loadPromise;
+  }
+
+  /**
+   * Replace the rates with a user-supplied .json or .csv file
+   */
+  async loadFile(file) {
+    const text = await file.text();
+    this.loadText(text, file.name.toLowerCase().endsWith('.csv') ? 'csv' : 'json', file.name);
+    this.loadPromise = Promise.resolve();
+  }
+
+  loadText(text, format = 'json', source = this.url) {
+    const parsed = format === 'csv'
+      ? LocalFxRateProvider.parseCsv(text)
+      : LocalFxRateProvider.parseJson(typeof text === 'string' ? JSON.parse(text) : text);
+
+    this.base = parsed.base;
+    this.source = parsed.source || source;
+    this.series = parsed.series;
+    console.log(`💱 Loaded ${this.series.length} FX rate date(s) (${this.base} base) from ${this.source}`);
+  }
+
+  /**
+   * { base, source, rates: { 'YYYY-MM-DD': { EUR: 0.92, ... } } }, rates in units per 1 base
+   */
+  static parseJson(data) {
+    if (!data || typeof data.rates !== 'object') {
+      throw new Error('FX rates file needs a "rates" object keyed by date');
+    }
+
+    const base = String(data.base || 'USD').toUpperCase();
+    const series = Object.entries(data.rates).map(([date, rates]) => ({
+      date: LocalFxRateProvider.normalizeDate(date),
+      rates: LocalFxRateProvider.normalizeRates(rates, base)
+    }));
+    return { base, source: data.source || null, series: LocalFxRateProvider.sortSeries(series) };
+  }
+
+  /**
+   * Long format (date,currency,rate[,base]) or wide format (date,EUR,GBP,...) with USD base
+   * unless a base column says otherwise
+   */
+  static parseCsv(text) {
+    const rows = String(text).split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => line !== '' && !line.startsWith('#'))
+      .map(line => line.split(',').map(cell => cell.trim()));
+    if (rows.length < 2) throw new Error('FX rates CSV has no data rows');
+
+    const header = rows[0].map(cell => cell.toLowerCase());
+    const dateColumn = header.indexOf('date');
+    if (dateColumn === -1) throw new Error('FX rates CSV needs a "date" column');
+
+    const baseColumn = header.indexOf('base');
+    const base = baseColumn !== -1 && rows[1][baseColumn] ? rows[1][baseColumn].toUpperCase() : 'USD';
+    const byDate = new Map();
+    const ratesFor = (date) => {
+      if (!byDate.has(date)) byDate.set(date, {});
+      return byDate.get(date);
+    };
+
+    const currencyColumn = header.indexOf('currency');
+    const rateColumn = header.indexOf('rate');
+    rows.slice(1).forEach(row => {
+      const date = LocalFxRateProvider.normalizeDate(row[dateColumn]);
+      if (currencyColumn !== -1 && rateColumn !== -1) {
+        ratesFor(date)[row[currencyColumn].toUpperCase()] = parseFloat(row[rateColumn]);
+      } else {
+        header.forEach((column, index) => {
+          if (index !== dateColumn && index !== baseColumn && row[index] !== undefined && row[index] !== '') {
+            ratesFor(date)[column.toUpperCase()] = parseFloat(row[index]);
+          }
+        });
+      }
+    });
+
+    const series = [...byDate.entries()].map(([date, rates]) => ({
+      date,
+      rates: LocalFxRateProvider.normalizeRates(rates, base)
+    }));
+    return { base, source: null, series: LocalFxRateProvider.sortSeries(series) };
+  }
+
+  static normalizeRates(rates, base) {
+    const normalized = { [base]: 1 };
+    Object.entries(rates || {}).forEach(([currency, rate]) => {
+      const value = Number(rate);
+      if (!Number.isFinite(value) || value <= 0) {
+        throw new Error(`Invalid FX rate for ${currency}: ${rate}`);
+      }
+      normalized[currency.toUpperCase()] = value;
+    });
+    return normalized;
+  }
+
+  static normalizeDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value || '').trim());
+    if (!match) throw new Error(`FX rate dates must be YYYY-MM-DD, got "${value}"`);
+    return `${match[1]}-${match[2]}-${match[3]}`;
+  }
+
+  static sortSeries(series) {
+    return series.sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  async getCurrencies() {
+    await this.load();
+    return [...new Set(this.series.flatMap(entry => Object.keys(entry.rates)))].sort();
+  }
+
+  /**
+   * Latest rate on or before the as-of date that covers both currencies. When the as-of date
+   * predates the file, the earliest rate is used and flagged stale.
+   */
+  async getRate(from, to, asOfDate = new Date().toISOString().slice(0, 10)) {
+    await this.load();
+    from = from.toUpperCase();
+    to = to.toUpperCase();
+    const asOf = LocalFxRateProvider.normalizeDate(asOfDate);
+
+    if (from === to) {
+      return { from, to, rate: 1, rateDate: null, asOfDate: asOf, source: this.source, stale: false };
+    }
+
+    const covering = this.series.filter(entry => entry.rates[from] && entry.rates[to]);
+    if (covering.length === 0) {
+      throw new Error(`No ${from}/${to} rate in ${this.source}`);
+    }
+
+    const onOrBefore = covering.filter(entry => entry.date <= asOf);
+    const entry = onOrBefore.length > 0 ? onOrBefore[onOrBefore.length - 1] : covering[0];
+    const ageDays = Math.abs(Date.parse(asOf) - Date.parse(entry.date)) / 86400000;
+
+    return {
+      from,
+      to,
+      rate: entry.rates[to] / entry.rates[from],
+      rateDate: entry.date,
+      asOfDate: asOf,
+      source: this.source,
+      stale: onOrBefore.length === 0 || ageDays > this.staleAfterDays
+    };
+  }
+}
+
+// Export for use
+window.FxRateProvider = FxRateProvider;
+window.LocalFxRateProvider = LocalFxRateProvider;
@@ -0,0 +1,214 @@
+/**
+ * HistoricalFinancials.js - Historical income statement periods and trailing metrics
+ * Reads statement column headings as periods (financial years or months), and works out
+ * trailing-twelve-month (TTM) totals and year-on-year growth for statement lines. The
+ * Historicals sheet recalculates the same figures with formulas; this is the JS side used by
+ * the extractor and the form suggestions.
+ */
+
+class HistoricalFinancials {
+  static get MONTHS() {
+    return ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+  }
+
+  /**
+   * Period named by a column heading
+   * @returns {{ key: string, kind: 'year'|'month'|'date', forecast: boolean }|null} key is 'YYYY' for a
+   *   year or 'YYYY-MM' for a month; 'date' is a full date whose spacing from its neighbours decides
+   *   between the two (see resolvePeriods)
+   */
+  static parsePeriod(heading) {
+    const year = (digits) => {
+      const value = digits.length === 2 ? 2000 + parseInt(digits, 10) : parseInt(digits, 10);
+      return value >= 1990 && value <= 2100 ? String(value) : null;
+    };
+    const month = (y, m) => y && m >= 1 && m <= 12 ? `${y}-${String(m).padStart(2, '0')}` : null;
+    const result = (key, kind, forecast) => key ? { key, kind, forecast } : null;
+
+    if (typeof heading === 'number') {
+      return Number.isInteger(heading) ? result(year(String(heading)), 'year', false) : null;
+    }
+
+    const text = String(heading ?? '').replace(/\s+/g, ' ').trim();
+    if (!text || text.length > 40) return null;
+    const forecast = /\b(?:budget|bud|forecast|fcst|projected|projection|plan|estimated?)\b|\d\s*[EFBP]$/i.test(text);
+
+    // Workbook date cells (already YYYY-MM-DD)
+    let match = /^(\d{4})-(\d{2})-\d{2}$/.exec(text);
+    if (match) return result(month(year(match[1]), parseInt(match[2], 10)), 'date', forecast);
+
+    // 2023-06, 06/2023
+    match = /^(\d{4})[-/.](\d{1,2})$/.exec(text);
+    if (match) return result(month(year(match[1]), parseInt(match[2], 10)), 'month', forecast);
+    match = /^(\d{1,2})[-/.](\d{4})$/.exec(text);
+    if (match) return result(month(year(match[2]), parseInt(match[1], 10)), 'month', forecast);
+
+    // Jun-23, June 2023, Jun '23
+    match = /^([a-z]{3})[a-z]*\.?[\s\-/']*(\d{4}|\d{2})\s*[A-Z]?$/i.exec(text);
+    const monthNumber = match ? HistoricalFinancials.MONTHS.indexOf(match[1].toLowerCase()) + 1 : 0;
+    if (monthNumber > 0) return result(month(year(match[2]), monthNumber), 'month', forecast);
+
+    // 2023, 2023A, FY23, FY 2023E, CY2023
+    match = /^(?:(?:FY|CY|YE)\s*[-']?\s*(\d{4}|\d{2})|(\d{4}))\s*(?:[AEFBP]|act(?:ual)?s?|bud(?:get)?|fcst|forecast)?$/i.exec(text);
+    if (match) return result(year(match[1] || match[2]), 'year', forecast);
+
+    // Year ended 31 December 2023, 12 months to June 2023
+    match = /\b(?:year|ye|fy|12 months)\b.*\b((?:19|20)\d{2})\b/i.exec(text);
+    if (match) return result(year(match[1]), 'year', forecast);
+
+    return null;
+  }
+
+  /**
+   * Settle the period kind for a heading row: full dates a year apart are financial years (named
+   * by the year they end in), otherwise months. Headings of another kind than most are dropped.
+   * @param {Array<{ index: number, key: string, kind: string }>} periods
+   * @returns {{ kind: 'year'|'month', periods: Array<{ index: number, key: string }> }|null}
+   */
+  static resolvePeriods(periods) {
+    if (periods.length === 0) return null;
+
+    const dates = periods.filter(period => period.kind === 'date');
+    let resolved = periods;
+    if (dates.length > 0) {
+      const months = dates.map(period => HistoricalFinancials.monthIndex(period.key)).sort((a, b) => a - b);
+      const gaps = months.slice(1).map((value, index) => value - months[index]).sort((a, b) => a - b);
+      const annual = gaps.length > 0 && gaps[Math.floor(gaps.length / 2)] >= 11;
+      resolved = periods.map(period => period.kind !== 'date' ? period
+        : { ...period, kind: annual ? 'year' : 'month', key: annual ? period.key.slice(0, 4) : period.key });
+    }
+
+    const yearCount = resolved.filter(period => period.kind === 'year').length;
+    const kind = yearCount * 2 >= resolved.length ? 'year' : 'month';
+    return { kind, periods: resolved.filter(period => period.kind === kind).map(({ index, key }) => ({ index, key })) };
+  }
+
+  static monthIndex(key) {
+    return parseInt(key.slice(0, 4), 10) * 12 + (key.length > 4 ? parseInt(key.slice(5, 7), 10) - 1 : 0);
+  }
+
+  static periodType(key) {
+    return key && key.length === 4 ? 'year' : 'month';
+  }
+
+  /**
+   * Last day of a period as YYYY-MM-DD (31 December for a year)
+   */
+  static periodEndDate(key) {
+    if (HistoricalFinancials.periodType(key) === 'year') return `${key}-12-31`;
+    const year = parseInt(key.slice(0, 4), 10);
+    const month = parseInt(key.slice(5, 7), 10);
+    return `${key}-${String(new Date(Date.UTC(year, month, 0)).getUTCDate()).padStart(2, '0')}`;
+  }
+
+  /**
+   * Column heading for a period key: FY2023, Jun-23
+   */
+  static periodLabel(key) {
+    if (HistoricalFinancials.periodType(key) === 'year') return `FY${key}`;
+    const name = HistoricalFinancials.MONTHS[parseInt(key.slice(5, 7), 10) - 1];
+    return `${name.charAt(0).toUpperCase()}${name.slice(1)}-${key.slice(2, 4)}`;
+  }
+
+  /**
+   * Every period any line has a value for, oldest first
+   */
+  static periodKeys(lines) {
+    const keys = new Set();
+    (lines || []).forEach(line => Object.keys(line.values || {}).forEach(key => keys.add(key)));
+    return [...keys].sort((a, b) => HistoricalFinancials.monthIndex(a) - HistoricalFinancials.monthIndex(b));
+  }
+
+  /**
+   * Costs shown as negatives (brackets) are stored as positive amounts, like the form's cost items
+   */
+  static normalizeSigns(lines) {
+    return (lines || []).map(line => {
+      const total = Object.values(line.values || {}).reduce((sum, value) => sum + (Number(value) || 0), 0);
+      if (line.type !== 'expense' || total >= 0) return line;
+      const values = Object.fromEntries(Object.entries(line.values).map(([key, value]) => [key, -value]));
+      return { ...line, values };
+    });
+  }
+
+  /**
+   * TTM and the twelve months before it, ending at the latest period. Monthly data short of a
+   * full year is annualized from the months present; growth needs two complete years.
+   * @param {Object} values - amount by period key
+   * @returns {{ ttm: number|null, priorTtm: number|null, yoy: number|null, annualized: boolean }} yoy in percent
+   */
+  static trailing(values, latest) {
+    const empty = { ttm: null, priorTtm: null, yoy: null, annualized: false };
+    if (!latest) return empty;
+
+    const span = (end, length) => {
+      const amounts = [];
+      for (let offset = 0; offset < length; offset++) {
+        const key = HistoricalFinancials.periodType(latest) === 'year'
+          ? String(end - offset)
+          : HistoricalFinancials.monthKey(end - offset);
+        if (typeof values[key] === 'number' && !isNaN(values[key])) amounts.push(values[key]);
+      }
+      return { sum: amounts.reduce((sum, value) => sum + value, 0), count: amounts.length, length };
+    };
+
+    const annual = HistoricalFinancials.periodType(latest) === 'year';
+    const end = annual ? parseInt(latest, 10) : HistoricalFinancials.monthIndex(latest);
+    const size = annual ? 1 : 12;
+    const current = span(end, size);
+    const prior = span(end - size, size);
+    if (current.count === 0) return empty;
+
+    const complete = (part) => part.count === part.length;
+    const ttm = complete(current) ? current.sum : current.sum * size / current.count;
+    const priorTtm = complete(prior) ? prior.sum : null;
+    return {
+      ttm,
+      priorTtm,
+      yoy: complete(current) && priorTtm ? (ttm / priorTtm - 1) * 100 : null,
+      annualized: !complete(current)
+    };
+  }
+
+  static monthKey(index) {
+    return `${Math.floor(index / 12)}-${String(index % 12 + 1).padStart(2, '0')}`;
+  }
+
+  /**
+   * @param {Array<{ name: string, type: 'revenue'|'expense', category: string, values: Object }>} lines
+   * @returns {{ periodType: string, periods: string[], latest: string, revenue: Object, opex: Object,
+   *   lines: Array }|null} revenue, opex and each line carry trailing() figures
+   */
+  static summarize(lines) {
+    const periods = HistoricalFinancials.periodKeys(lines);
+    if (periods.length === 0) return null;
+
+    const latest = periods[periods.length - 1];
+    const sumOf = (type) => {
+      const values = {};
+      lines.filter(line => line.type === type).forEach(line => {
+        Object.entries(line.values || {}).forEach(([key, value]) => {
+          if (typeof value === 'number' && !isNaN(value)) values[key] = (values[key] || 0) + value;
+        });
+      });
+      return values;
+    };
+
+    return {
+      periodType: HistoricalFinancials.periodType(latest),
+      periods,
+      latest,
+      revenue: HistoricalFinancials.trailing(sumOf('revenue'), latest),
+      opex: HistoricalFinancials.trailing(sumOf('expense'), latest),
+      lines: lines.map(line => ({
+        name: line.name,
+        type: line.type,
+        category: line.category,
+        ...HistoricalFinancials.trailing(line.values || {}, latest)
+      }))
+    };
+  }
+}
+
+// Export for use
+window.HistoricalFinancials = HistoricalFinancials;
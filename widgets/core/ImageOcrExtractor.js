@@ -0,0 +1,174 @@
+/**
+ * ImageOcrExtractor.js - In-browser OCR for scanned term sheets, flyers and image-only PDF pages
+ * Runs Tesseract.js locally (no document leaves the taskpane) and returns line text with
+ * bounding boxes and confidence, so values read from weak regions can be flagged for review.
+ */
+
+class ImageOcrExtractor {
+  constructor() {
+    this.language = 'eng';
+    this.worker = null;
+    this.workerPromise = null;
+  }
+
+  /**
+   * Lines read below this confidence lower the confidence of fields taken from them
+   */
+  static get LOW_CONFIDENCE() {
+    return 0.8;
+  }
+
+  static isAvailable() {
+    return typeof window !== 'undefined' && !!window.Tesseract;
+  }
+
+  async getWorker() {
+    if (this.worker) return this.worker;
+    if (!ImageOcrExtractor.isAvailable()) {
+      throw new Error('OCR engine (Tesseract.js) is not loaded - cannot read images');
+    }
+
+    if (!this.workerPromise) {
+      this.workerPromise = window.Tesseract.createWorker(this.language).then(worker => {
+        this.worker = worker;
+        return worker;
+      }).catch(error => {
+        this.workerPromise = null;
+        throw error;
+      });
+    }
+    return this.workerPromise;
+  }
+
+  /**
+   * OCR an image File/Blob or canvas
+   * @returns {Promise<{ text: string, confidence: number, lines: Array, lowConfidenceLines: number }>}
+   */
+  async recognize(image, label = 'image') {
+    const worker = await this.getWorker();
+    const { data } = await worker.recognize(image);
+    const result = ImageOcrExtractor.fromTesseract(data);
+
+    console.log(`🔎 OCR read ${result.lines.length} line(s) from ${label} at ${Math.round(result.confidence * 100)}% confidence` +
+      (result.lowConfidenceLines ? `, ${result.lowConfidenceLines} low-confidence line(s)` : ''));
+    return result;
+  }
+
+  /**
+   * Release the OCR worker (its language data takes tens of MB)
+   */
+  async terminate() {
+    const worker = this.worker;
+    this.worker = null;
+    this.workerPromise = null;
+    if (worker) await worker.terminate();
+  }
+
+  /**
+   * Normalise Tesseract output: confidences to 0-1, digit look-alikes fixed inside numbers
+   */
+  static fromTesseract(data) {
+    const toBox = (bbox) => bbox ? { x0: bbox.x0, y0: bbox.y0, x1: bbox.x1, y1: bbox.y1 } : null;
+
+    const lines = (data.lines || [])
+      .map(line => ({
+        text: ImageOcrExtractor.normalizeText(line.text || '').trim(),
+        confidence: (line.confidence ?? 0) / 100,
+        bbox: toBox(line.bbox),
+        words: (line.words || []).map(word => ({
+          text: ImageOcrExtractor.normalizeText(word.text || ''),
+          confidence: (word.confidence ?? 0) / 100,
+          bbox: toBox(word.bbox)
+        }))
+      }))
+      .filter(line => line.text !== '');
+
+    return {
+      text: lines.map(line => line.text).join('\n'),
+      confidence: (data.confidence ?? 0) / 100,
+      lines,
+      lowConfidenceLines: lines.filter(line => line.confidence < ImageOcrExtractor.LOW_CONFIDENCE).length
+    };
+  }
+
+  /**
+   * Fix the usual OCR digit confusions when they sit inside a number: O/o → 0, l/I → 1
+   */
+  static normalizeText(text) {
+    return text
+      .replace(/(?<=\d[.,]?)[Oo](?![A-Za-z])|(?<![A-Za-z])[Oo](?=[.,]?\d)/g, '0')
+      .replace(/(?<=\d[.,]?)[lI](?![A-Za-z])|(?<![A-Za-z])[lI](?=[.,]?\d)/g, '1');
+  }
+
+  static searchTerms(value) {
+    if (value === null || value === undefined || value === '' || typeof value === 'object') return [];
+
+    const terms = [String(value)];
+    if (typeof value === 'number' && Math.abs(value) >= 1000) {
+      terms.push(value.toLocaleString('en-US', { maximumFractionDigits: 2 }));
+    }
+    return terms.map(term => term.toLowerCase());
+  }
+
+  /**
+   * OCR lines (from images and OCR'd PDF pages) that contain a value
+   */
+  static findLines(value, files) {
+    const terms = ImageOcrExtractor.searchTerms(value);
+    const matches = [];
+
+    (files || []).forEach(file => {
+      const sources = [];
+      if (file.ocr) sources.push({ page: null, ocr: file.ocr });
+      (file.pages || []).forEach(page => {
+        if (page.ocr) sources.push({ page: page.number, ocr: page.ocr });
+      });
+
+      sources.forEach(({ page, ocr }) => {
+        ocr.lines.forEach(line => {
+          const text = line.text.toLowerCase();
+          if (terms.some(term => text.includes(term))) {
+            matches.push({ file: file.name || file.metadata?.filename, page, ...line });
+          }
+        });
+      });
+    });
+    return matches;
+  }
+
+  /**
+   * Whether a value also appears in text that was not OCR'd (text PDF pages, CSV, workbooks)
+   */
+  static foundOutsideOcr(value, files) {
+    const terms = ImageOcrExtractor.searchTerms(value);
+    const contains = (text) => terms.some(term => String(text || '').toLowerCase().includes(term));
+
+    return (files || []).some(file => {
+      if (file.ocr) return false;
+      if (file.pages) return file.pages.some(page => !page.ocr && contains(page.text));
+      return contains(file.content);
+    });
+  }
+
+  /**
+   * Scale a field's confidence by the OCR confidence of the line it was read from.
+   * Values that also appear in real text or workbook cells are left as they are.
+   */
+  static adjustFieldConfidence(fieldData, files) {
+    if (!fieldData || typeof fieldData !== 'object' || !('value' in fieldData)) return fieldData;
+
+    const lines = ImageOcrExtractor.findLines(fieldData.value, files);
+    if (lines.length === 0 || ImageOcrExtractor.foundOutsideOcr(fieldData.value, files)) return fieldData;
+
+    const best = lines.reduce((top, line) => line.confidence > top.confidence ? line : top);
+    fieldData.ocrConfidence = best.confidence;
+    fieldData.ocrRegion = { file: best.file, page: best.page, bbox: best.bbox, text: best.text };
+    if (best.confidence < ImageOcrExtractor.LOW_CONFIDENCE && typeof fieldData.confidence === 'number') {
+      fieldData.confidence = Math.round(fieldData.confidence * best.confidence * 100) / 100;
+    }
+    return fieldData;
+  }
+}
+
+// Export for use
+window.ImageOcrExtractor = ImageOcrExtractor;
@@ -0,0 +1,537 @@
+/**
+ * ModelDataSchema.js - Versioned schema and forward migrations for saved model data
+ * Every export, import, autosave and workbook copy of the taskpane inputs goes through here so
+ * files written by older versions of the add-in are upgraded field by field instead of silently
+ * dropping whatever no longer matches the form. Validation uses zod (loaded as window.z); when
+ * zod fails to load, loads fall back to a structural check and are flagged as unvalidated.
+ */
+
+class ModelDataValidationError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'ModelDataValidationError';
+    this.errors = errors;
+  }
+}
+
+class ModelDataSchema {
+  /**
+   * Model payload versions:
+   *   1 - original form dump ({ version: '1.0' }): every input by element id plus revenue, operating
+   *       and capital expense item lists, single fixed-rate loan
+   *   2 - schemaVersion stamp, debt tranches, floating rates, amortization and covenants, fiscal
+   *       calendar, inflation and per-item growth method/timing
+   */
+  static get CURRENT_VERSION() {
+    return 2;
+  }
+
+  /**
+   * Extraction history export versions:
+   *   1 - { metadata: { version: '1.0' }, sessions } with file details moved to fileMetadata
+   *   2 - sessions keep their file list under files, metadata.schemaVersion
+   *   3 - sessions carry per-field provenance (source, confidence and located span)
+   */
+  static get HISTORY_VERSION() {
+    return 3;
+  }
+
+  static get GROWTH_METHODS() {
+    return ['compound', 'simple', 'step', 'indexed', 'flat'];
+  }
+
+  /**
+   * Form fields by section, used to label validation errors
+   */
+  static get SECTIONS() {
+    return {
+      'High-Level Parameters': ['currency', 'projectStartDate', 'modelPeriods', 'fiscalYearEnd', 'inflationRate', 'projectEndDate'],
+      'Deal Assumptions': ['dealName', 'dealValue', 'transactionFee', 'dealLTV', 'equityContribution', 'debtFinancing'],
+      'Revenue Items': ['revenueItems'],
+      'Rent Roll': ['rentRollDate', 'rentRollErv', 'rentRollErvGrowth', 'rentRollVoidMonths', 'rentRollRentFreeMonths',
+        'rentRollRenewalProbability', 'rentRollBreaksExercised', 'tenants'],
+      'Operating Expenses': ['operatingExpenses'],
+      'Historicals': ['historicals'],
+      'Capital Expenses': ['capitalExpenses'],
+      'Exit Assumptions': ['disposalCost', 'terminalCapRate', 'discountRate'],
+      'Debt Model': ['loanIssuanceFees', 'rateTypeFixed', 'rateTypeFloating', 'fixedRate', 'baseRate', 'creditMargin',
+        'rateFloor', 'amortizationType', 'amortizationYears', 'debtTranches', 'minDSCR', 'minICR', 'maxLTV', 'cashSweepPercent']
+    };
+  }
+
+  /**
+   * Forward migrations, applied in order from the payload's version
+   */
+  static get MIGRATIONS() {
+    return [
+      {
+        from: 1,
+        to: 2,
+        description: 'Rebuild items from the form dump and add debt, calendar and growth defaults',
+        migrate: (data) => {
+          const migrated = { ...data };
+          migrated.revenueItems = ModelDataSchema.legacyItems(data, 'revenue', data.revenueItems)
+            .map(item => ModelDataSchema.migrateGrowthItem(item));
+          migrated.operatingExpenses = ModelDataSchema.legacyItems(data, 'opEx', data.operatingExpenses)
+            .map(item => ModelDataSchema.migrateGrowthItem(item));
+          migrated.capitalExpenses = ModelDataSchema.legacyItems(data, 'capEx', data.capitalExpenses);
+
+          if (!Array.isArray(migrated.debtTranches)) migrated.debtTranches = [];
+          if (migrated.rateTypeFixed === undefined && migrated.rateTypeFloating === undefined) {
+            migrated.rateTypeFixed = true;
+            migrated.rateTypeFloating = false;
+          }
+          const defaults = { fiscalYearEnd: '12', inflationRate: '', amortizationType: 'interest_only', amortizationYears: '',
+            baseRate: '', creditMargin: '', rateFloor: '', minDSCR: '1.25', minICR: '1.5', maxLTV: '75', cashSweepPercent: '0' };
+          Object.entries(defaults).forEach(([key, value]) => {
+            if (migrated[key] === undefined) migrated[key] = value;
+          });
+          delete migrated.version;
+          return migrated;
+        }
+      }
+    ];
+  }
+
+  static get HISTORY_MIGRATIONS() {
+    return [
+      {
+        from: 1,
+        to: 2,
+        description: 'Restore session file lists from fileMetadata',
+        migrate: (data) => ({
+          ...data,
+          sessions: (data.sessions || []).map(session => {
+            if (!session || typeof session !== 'object') return session;
+            const { fileMetadata, ...rest } = session;
+            return { ...rest, files: rest.files || fileMetadata || [] };
+          })
+        })
+      },
+      {
+        from: 2,
+        to: 3,
+        description: 'Build session provenance from the extracted fields',
+        migrate: (data) => ({
+          ...data,
+          sessions: (data.sessions || []).map(session => {
+            if (!session || typeof session !== 'object' || session.provenance) return session;
+            const provenance = {};
+            Object.entries(session.extractedData || {}).forEach(([field, entry]) => {
+              if (entry && typeof entry === 'object' && 'value' in entry) {
+                provenance[field] = {
+                  value: entry.value,
+                  source: entry.source || null,
+                  confidence: entry.confidence ?? null,
+                  location: entry.location || null
+                };
+              }
+            });
+            return { ...session, provenance };
+          })
+        })
+      }
+    ];
+  }
+
+  /**
+   * Items from a v1 dump. The numbered inputs (revenueName_1, revenueValue_1, revenueGrowthRate_1...)
+   * are preferred: the v1 item lists came from whichever collector ran, which kept blank rows and
+   * sometimes dropped the growth rate, and JSON turned unparsed values into null.
+   */
+  static legacyItems(data, prefix, list) {
+    const numbers = Object.keys(data)
+      .map(key => new RegExp(`^${prefix}Name_(\\d+)$`).exec(key))
+      .filter(Boolean)
+      .map(match => parseInt(match[1]))
+      .sort((a, b) => a - b);
+
+    const items = numbers.length > 0
+      ? numbers.map(number => ({
+        name: data[`${prefix}Name_${number}`],
+        value: data[`${prefix}Value_${number}`],
+        growthRate: data[`${prefix}GrowthRate_${number}`]
+      }))
+      : (Array.isArray(list) ? list : []);
+
+    return items
+      .filter(item => item && typeof item.name === 'string' && item.name.trim() !== '')
+      .map(item => ({
+        ...item,
+        value: ModelDataSchema.toNumber(item.value),
+        growthRate: ModelDataSchema.toNumber(item.growthRate)
+      }));
+  }
+
+  static migrateGrowthItem(item) {
+    return {
+      ...item,
+      growthMethod: item.growthMethod || 'compound',
+      reviewYears: ModelDataSchema.toNumber(item.reviewYears),
+      startPeriod: parseInt(item.startPeriod) || 1,
+      endPeriod: parseInt(item.endPeriod) || null
+    };
+  }
+
+  static toNumber(value) {
+    if (typeof value === 'number') return value;
+    return parseFloat(String(value ?? '').replace(/,/g, '')) || 0;
+  }
+
+  /**
+   * Version of a model payload; files without schemaVersion are the original '1.0' dump
+   */
+  static detectVersion(data) {
+    if (Number.isInteger(data.schemaVersion)) return data.schemaVersion;
+    return 1;
+  }
+
+  /**
+   * Upgrade a model payload to CURRENT_VERSION
+   * @returns {{ data: Object, fromVersion: number, applied: string[] }}
+   */
+  static migrate(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new ModelDataValidationError('Saved model data must be a JSON object');
+    }
+    return ModelDataSchema.runMigrations(data, ModelDataSchema.detectVersion(data),
+      ModelDataSchema.CURRENT_VERSION, ModelDataSchema.MIGRATIONS, (migrated, version) => ({ ...migrated, schemaVersion: version }));
+  }
+
+  static migrateHistory(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new ModelDataValidationError('Extraction history must be a JSON object');
+    }
+    const metadata = data.metadata || {};
+    const fromVersion = Number.isInteger(metadata.schemaVersion) ? metadata.schemaVersion : 1;
+    return ModelDataSchema.runMigrations(data, fromVersion, ModelDataSchema.HISTORY_VERSION, ModelDataSchema.HISTORY_MIGRATIONS,
+      (migrated, version) => ({ ...migrated, metadata: { ...(migrated.metadata || {}), schemaVersion: version } }));
+  }
+
+  static runMigrations(data, fromVersion, toVersion, migrations, stamp) {
+    if (fromVersion > toVersion) {
+      throw new ModelDataValidationError(
+        `This file was saved by a newer version of the add-in (schema v${fromVersion}); this version reads up to v${toVersion}`);
+    }
+
+    let migrated = data;
+    const applied = [];
+    for (let version = fromVersion; version < toVersion; version++) {
+      const step = migrations.find(migration => migration.from === version);
+      if (!step) throw new ModelDataValidationError(`No migration from schema v${version}`);
+      migrated = step.migrate(migrated);
+      applied.push(`v${step.from} → v${step.to}: ${step.description}`);
+    }
+
+    return { data: stamp(migrated, toVersion), fromVersion, applied };
+  }
+
+  static getZod() {
+    return typeof window !== 'undefined' && window.z ? window.z : null;
+  }
+
+  static get VALIDATOR_UNAVAILABLE() {
+    return 'The zod library did not load, so only the structure of the data was checked. Reload the add-in to validate every field.';
+  }
+
+  /**
+   * zod schema for the current model payload, built on first use (zod loads as a module script)
+   */
+  static getModelSchema() {
+    if (ModelDataSchema.modelSchema) return ModelDataSchema.modelSchema;
+    const z = ModelDataSchema.getZod();
+    if (!z) return null;
+
+    const number = (options) => ModelDataSchema.numericField(z, options);
+    const percent = number({ min: 0, max: 100 });
+    const date = z.string().regex(/^(\d{4}-\d{2}-\d{2})?$/, 'Expected a date (YYYY-MM-DD)');
+    const optional = (shape) => Object.fromEntries(Object.entries(shape).map(([key, field]) => [key, field.optional()]));
+
+    const growthItem = z.object({
+      name: z.string().trim().min(1, 'Name is required'),
+      value: z.number({ invalid_type_error: 'Expected a number' }).finite(),
+      growthRate: z.number({ invalid_type_error: 'Expected a number' }).finite().optional(),
+      growthMethod: z.enum(ModelDataSchema.GROWTH_METHODS).optional(),
+      reviewYears: z.number({ invalid_type_error: 'Expected a number' }).min(0, 'Must be at least 0').optional(),
+      startPeriod: z.number({ invalid_type_error: 'Expected a whole number' }).int('Expected a whole number').min(1, 'Must be at least 1').optional(),
+      endPeriod: z.number({ invalid_type_error: 'Expected a whole number' }).int('Expected a whole number').min(1, 'Must be at least 1').nullable().optional()
+    }).passthrough().superRefine((item, ctx) => {
+      if (item.endPeriod && item.startPeriod && item.endPeriod < item.startPeriod) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['endPeriod'], message: 'End period must not be before the start period' });
+      }
+    });
+
+    const capExItem = z.object({
+      name: z.string().trim().min(1, 'Name is required'),
+      value: z.number({ invalid_type_error: 'Expected a number' }).finite(),
+      growthRate: z.number({ invalid_type_error: 'Expected a number' }).finite().optional()
+    }).passthrough();
+
+    const tenant = z.object({
+      name: z.string().trim().min(1, 'Name is required'),
+      area: z.number({ invalid_type_error: 'Expected a number' }).min(0, 'Must be at least 0'),
+      value: z.number({ invalid_type_error: 'Expected a number' }).min(0, 'Must be at least 0'),
+      leaseStart: date,
+      leaseExpiry: date,
+      breakDate: date,
+      indexation: z.number({ invalid_type_error: 'Expected a number' }).finite(),
+      erv: z.number({ invalid_type_error: 'Expected a number' }).min(0, 'Must be at least 0')
+    }).passthrough();
+
+    const historicalLine = z.object({
+      name: z.string().trim().min(1, 'Name is required'),
+      type: z.enum(['revenue', 'expense']),
+      values: z.record(z.number({ invalid_type_error: 'Expected a number' }).finite())
+    }).passthrough();
+
+    const debtTranche = z.object({
+      name: z.string(),
+      share: z.number({ invalid_type_error: 'Expected a number' }).min(0, 'Must be at least 0').max(100, 'Must be at most 100'),
+      rateType: z.enum(['fixed', 'floating']),
+      fixedRate: z.number({ invalid_type_error: 'Expected a number' }),
+      baseRate: z.number({ invalid_type_error: 'Expected a number' }),
+      margin: z.number({ invalid_type_error: 'Expected a number' }),
+      floor: z.number({ invalid_type_error: 'Expected a number' }),
+      amortizationType: z.enum(['interest_only', 'straight_line', 'annuity']),
+      amortizationYears: z.number({ invalid_type_error: 'Expected a number' }).min(0, 'Must be at least 0')
+    }).passthrough();
+
+    ModelDataSchema.modelSchema = z.object({
+      schemaVersion: z.literal(ModelDataSchema.CURRENT_VERSION),
+      savedAt: z.string().optional(),
+      ...optional({
+        currency: z.string().regex(/^([A-Z]{3})?$/, 'Expected a 3-letter currency code'),
+        projectStartDate: date,
+        modelPeriods: z.enum(['daily', 'monthly', 'quarterly', 'yearly', '']),
+        fiscalYearEnd: number({ min: 1, max: 12 }),
+        inflationRate: number(),
+        projectEndDate: date,
+        dealName: z.string(),
+        dealValue: number({ min: 0 }),
+        transactionFee: percent,
+        dealLTV: percent,
+        equityContribution: number(),
+        debtFinancing: number(),
+        disposalCost: percent,
+        terminalCapRate: percent,
+        discountRate: percent,
+        loanIssuanceFees: percent,
+        rateTypeFixed: z.boolean(),
+        rateTypeFloating: z.boolean(),
+        fixedRate: number(),
+        baseRate: number(),
+        creditMargin: number(),
+        rateFloor: number(),
+        amortizationType: z.enum(['interest_only', 'straight_line', 'annuity', '']),
+        amortizationYears: number({ min: 0 }),
+        minDSCR: number({ min: 0 }),
+        minICR: number({ min: 0 }),
+        maxLTV: percent,
+        cashSweepPercent: percent,
+        debtTranches: z.array(debtTranche),
+        rentRollDate: date,
+        rentRollErv: number({ min: 0 }),
+        rentRollErvGrowth: number(),
+        rentRollVoidMonths: number({ min: 0 }),
+        rentRollRentFreeMonths: number({ min: 0 }),
+        rentRollRenewalProbability: percent,
+        rentRollBreaksExercised: z.boolean(),
+        tenants: z.array(tenant),
+        historicals: z.array(historicalLine)
+      }),
+      revenueItems: z.array(growthItem),
+      operatingExpenses: z.array(growthItem),
+      capitalExpenses: z.array(capExItem)
+    }).passthrough();
+
+    return ModelDataSchema.modelSchema;
+  }
+
+  static getHistorySchema() {
+    if (ModelDataSchema.historySchema) return ModelDataSchema.historySchema;
+    const z = ModelDataSchema.getZod();
+    if (!z) return null;
+
+    ModelDataSchema.historySchema = {
+      envelope: z.object({
+        metadata: z.object({ schemaVersion: z.literal(ModelDataSchema.HISTORY_VERSION) }).passthrough(),
+        sessions: z.array(z.unknown())
+      }).passthrough(),
+      session: z.object({
+        id: z.string().min(1, 'Session id is required'),
+        timestamp: z.string().refine(value => !isNaN(Date.parse(value)), 'Expected an ISO timestamp'),
+        files: z.array(z.object({ name: z.string() }).passthrough()),
+        extractedData: z.record(z.unknown()),
+        appliedData: z.record(z.unknown()).nullable().optional(),
+        provenance: z.record(z.object({
+          source: z.string().nullable(),
+          confidence: z.number().nullable(),
+          location: z.object({}).passthrough().nullable()
+        }).passthrough()),
+        resolutions: z.array(z.object({
+          field: z.string(),
+          chosen: z.object({}).passthrough().nullable(),
+          rejected: z.array(z.object({}).passthrough())
+        }).passthrough()).optional(),
+        metadata: z.object({}).passthrough().optional()
+      }).passthrough()
+    };
+
+    return ModelDataSchema.historySchema;
+  }
+
+  /**
+   * A form input value: a number, or a numeric string (thousands separators allowed) or blank
+   */
+  static numericField(z, { min = -Infinity, max = Infinity } = {}) {
+    return z.union([z.number(), z.string()], { errorMap: () => ({ message: 'Expected a number' }) })
+      .superRefine((value, ctx) => {
+        if (typeof value === 'string' && value.trim() === '') return;
+        const number = typeof value === 'number' ? value : Number(value.replace(/,/g, '').trim());
+        if (!Number.isFinite(number)) {
+          ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'Expected a number' });
+        } else if (number < min || number > max) {
+          const message = max === Infinity ? `Must be at least ${min}` : `Must be between ${min} and ${max}`;
+          ctx.addIssue({ code: z.ZodIssueCode.custom, message });
+        }
+      });
+  }
+
+  /**
+   * Validate a current-version payload (structural check only, with unavailable: true, when zod is not loaded)
+   * @returns {{ success: boolean, errors: Array<{ path: string, section: string, message: string }>, unavailable?: boolean }}
+   */
+  static validate(data) {
+    const schema = ModelDataSchema.getModelSchema();
+    if (!schema) {
+      console.warn('⚠️ zod is not loaded - model data gets a structural check only');
+      const errors = ModelDataSchema.checkStructure(data);
+      return { success: errors.length === 0, errors, unavailable: true };
+    }
+
+    const result = schema.safeParse(data);
+    return {
+      success: result.success,
+      errors: result.success ? [] : ModelDataSchema.toFieldErrors(result.error)
+    };
+  }
+
+  /**
+   * Fallback check without zod: the item lists the form rebuilds from must be lists of named,
+   * numeric items. Field values are left to the form's own input handling.
+   */
+  static checkStructure(data) {
+    const errors = [];
+    const addError = (path, message) => errors.push({
+      path: ModelDataSchema.formatPath(path),
+      section: ModelDataSchema.sectionFor(path[0]),
+      message
+    });
+
+    ['revenueItems', 'operatingExpenses', 'capitalExpenses', 'debtTranches', 'tenants', 'historicals'].forEach(field => {
+      const list = data[field];
+      if (list === undefined) return;
+      if (!Array.isArray(list)) {
+        addError([field], 'Expected a list');
+        return;
+      }
+      list.forEach((item, index) => {
+        if (!item || typeof item !== 'object') {
+          addError([field, index], 'Expected an object');
+        } else if (typeof item.name !== 'string') {
+          addError([field, index, 'name'], 'Expected a name');
+        } else if ('value' in item && typeof item.value !== 'number') {
+          addError([field, index, 'value'], 'Expected a number');
+        }
+      });
+    });
+    return errors;
+  }
+
+  /**
+   * Migrate then validate; throws ModelDataValidationError listing every invalid field.
+   * unvalidated is true when zod did not load and only the structural check ran.
+   */
+  static parse(data) {
+    const migration = ModelDataSchema.migrate(data);
+    const validation = ModelDataSchema.validate(migration.data);
+    if (!validation.success) {
+      throw new ModelDataValidationError(
+        `${validation.errors.length} field(s) are invalid: ${ModelDataSchema.formatErrors(validation.errors)}`,
+        validation.errors);
+    }
+    return { ...migration, unvalidated: Boolean(validation.unavailable) };
+  }
+
+  /**
+   * Migrate then validate an extraction history export. Sessions that fail validation are
+   * returned in rejected with their field errors rather than dropped silently.
+   */
+  static parseHistory(data) {
+    const migration = ModelDataSchema.migrateHistory(data);
+    const schema = ModelDataSchema.getHistorySchema();
+    const sessions = Array.isArray(migration.data.sessions) ? migration.data.sessions : null;
+
+    if (!schema) {
+      if (!sessions) throw new ModelDataValidationError('Extraction history has no sessions list');
+      console.warn('⚠️ zod is not loaded - extraction history sessions get a structural check only');
+      const valid = [];
+      const rejected = [];
+      sessions.forEach((session, index) => {
+        if (session && typeof session === 'object' && typeof session.id === 'string' && session.id) {
+          valid.push(session);
+        } else {
+          rejected.push({ index, id: null, errors: [{ path: 'id', section: null, message: 'Session id is required' }] });
+        }
+      });
+      return { ...migration, sessions: valid, rejected, unvalidated: true };
+    }
+
+    const envelope = schema.envelope.safeParse(migration.data);
+    if (!envelope.success) {
+      const errors = ModelDataSchema.toFieldErrors(envelope.error);
+      throw new ModelDataValidationError(`Invalid extraction history: ${ModelDataSchema.formatErrors(errors)}`, errors);
+    }
+
+    const valid = [];
+    const rejected = [];
+    sessions.forEach((session, index) => {
+      const result = schema.session.safeParse(session);
+      if (result.success) {
+        valid.push(session);
+      } else {
+        rejected.push({ index, id: session?.id || null, errors: ModelDataSchema.toFieldErrors(result.error) });
+      }
+    });
+
+    return { ...migration, sessions: valid, rejected };
+  }
+
+  static toFieldErrors(zodError) {
+    return zodError.issues.map(issue => ({
+      path: ModelDataSchema.formatPath(issue.path),
+      section: ModelDataSchema.sectionFor(issue.path[0]),
+      message: issue.message
+    }));
+  }
+
+  static formatPath(path) {
+    return path.reduce((text, key) => typeof key === 'number' ? `${text}[${key}]` : (text ? `${text}.${key}` : String(key)), '');
+  }
+
+  static sectionFor(field) {
+    const entry = Object.entries(ModelDataSchema.SECTIONS).find(([, fields]) => fields.includes(field));
+    return entry ? entry[0] : null;
+  }
+
+  static formatErrors(errors, limit = 5) {
+    const listed = errors.slice(0, limit).map(error =>
+      `${error.section ? `${error.section} › ` : ''}${error.path || '(root)'}: ${error.message}`);
+    if (errors.length > limit) listed.push(`…and ${errors.length - limit} more`);
+    return listed.join('; ');
+  }
+}
+
+// Export for use
+window.ModelDataSchema = ModelDataSchema;
+window.ModelDataValidationError = ModelDataValidationError;
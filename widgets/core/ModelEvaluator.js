@@ -0,0 +1,414 @@
+/**
+ * ModelEvaluator.js - In-memory evaluation of the generated model
+ * Recomputes the P&L, Capital Expenses, Debt Financing and Cashflows sheets in JS, formula for
+ * formula as ExcelGenerator writes them, so thousands of input sets can be run without touching
+ * the workbook. Inputs are keyed like the Assumptions CellTracker (dealLTV, revenue_0_growth_rate,
+ * ...) and default to the workbook's current values when a baseline snapshot is given.
+ */
+
+class ModelEvaluator {
+  /**
+   * @param {ExcelGenerator} excelGenerator - supplies the period, tranche and amortization rules
+   * @param {Object} modelData - the form data the model was generated from
+   * @param {Object} options - { inputs: tracked Assumptions inputs (e.g. a ScenarioRunner baseline's) }
+   */
+  constructor(excelGenerator, modelData, options = {}) {
+    if (!excelGenerator) {
+      throw new Error('Model evaluation needs the Excel generator');
+    }
+    if (!modelData) {
+      throw new Error('Model evaluation needs the model data');
+    }
+    this.excelGenerator = excelGenerator;
+    this.modelData = modelData;
+    this.returnsEngine = new ReturnsEngine();
+
+    this.periodType = modelData.modelPeriods || 'monthly';
+    this.periodsPerYear = excelGenerator.getPeriodsPerYear(this.periodType);
+    this.periods = excelGenerator.calculatePeriods(modelData.projectStartDate, modelData.projectEndDate, modelData.modelPeriods, modelData.fiscalYearEnd);
+
+    // Debt sheet and Cashflows debt rows only exist when the form has an LTV
+    this.hasDebt = !!(modelData.dealLTV && parseFloat(modelData.dealLTV) > 0);
+    this.tranches = this.hasDebt
+      ? excelGenerator.getDebtTranches(modelData).map(tranche => ({
+          ...tranche,
+          amortPeriods: excelGenerator.getAmortizationPeriods(tranche, this.periods, this.periodsPerYear)
+        }))
+      : [];
+
+    // Year fraction and share of a full period for each period 0..n - stub periods at either end
+    // of the timeline are shorter (see ExcelGenerator.getPeriodTerms)
+    const calendar = excelGenerator.getPeriodCalendar(modelData);
+    this.yearFractions = new Array(this.periods + 1).fill(1 / this.periodsPerYear);
+    this.shares = new Array(this.periods + 1).fill(1);
+    for (let i = 1; i <= this.periods; i++) {
+      const period = calendar.getPeriod(i);
+      if (period && period.isStub) {
+        this.shares[i] = period.days / period.regularDays;
+        this.yearFractions[i] = this.shares[i] / this.periodsPerYear;
+      }
+    }
+
+    // Period start/end serials for the tenant rows (period 0 included)
+    this.periodDates = null;
+    if (excelGenerator.usesRentRoll(modelData)) {
+      this.periodDates = Array.from({ length: this.periods + 1 }, (_, i) => {
+        const period = calendar.getPeriod(i);
+        return period ? { start: PeriodCalendar.toExcelSerial(period.start), end: period.serial } : { start: 0, end: 0 };
+      });
+    }
+
+    this.baseInputs = ModelEvaluator.inputsFromModelData(modelData, this.periods, excelGenerator);
+    Object.entries(options.inputs || {}).forEach(([key, value]) => {
+      if (key in this.baseInputs && typeof value === 'number' && isFinite(value)) {
+        this.baseInputs[key] = value;
+      }
+    });
+  }
+
+  /**
+   * Assumptions inputs as populateAssumptionsSheet writes them (rates as fractions, timing in periods)
+   */
+  static inputsFromModelData(data, totalPeriods, excelGenerator) {
+    const inputs = {
+      dealValue: data.dealValue || 0,
+      transactionFee: (data.transactionFee || 2.5) / 100,
+      dealLTV: (data.dealLTV || 70) / 100,
+      disposalCost: (data.disposalCost || 2.5) / 100,
+      terminalCapRate: (data.terminalCapRate || 8.5) / 100,
+      discountRate: (data.discountRate || 10.0) / 100
+    };
+
+    if (data.dealLTV && parseFloat(data.dealLTV) > 0) {
+      const covenants = data.debtSettings?.covenants || {};
+      inputs.loanIssuanceFees = (data.debtSettings?.loanIssuanceFees || 1.5) / 100;
+      inputs.cashSweepPercent = (covenants.cashSweepPercent || 0) / 100;
+      inputs.interestRateShift = 0;
+    }
+    if (excelGenerator.usesInflationIndex(data)) {
+      inputs.inflationRate = (parseFloat(data.inflationRate) || 0) / 100;
+    }
+
+    const lineItems = (prefix, items) => (items || []).forEach((item, index) => {
+      const key = `${prefix}_${index}`;
+      const startPeriod = Math.max(1, parseInt(item.startPeriod) || 1);
+      inputs[key] = item.value || 0;
+      inputs[`${key}_growth_rate`] = (parseFloat(item.growthRate) || 0) / 100;
+      inputs[`${key}_start`] = startPeriod;
+      inputs[`${key}_end`] = Math.max(startPeriod, parseInt(item.endPeriod) || totalPeriods);
+      if (item.growthMethod === 'step') {
+        inputs[`${key}_review`] = Math.max(1, parseFloat(item.reviewYears) || 5);
+      }
+    });
+    lineItems('revenue', data.revenueItems);
+    lineItems('opex', data.operatingExpenses);
+
+    (data.capEx || []).forEach((item, index) => {
+      inputs[`capex_${index}`] = item.value || 0;
+      inputs[`capex_${index}_growth_rate`] = (parseFloat(item.growthRate) || 0) / 100;
+    });
+
+    if (excelGenerator.usesRentRoll(data)) {
+      const rentRoll = data.rentRoll;
+      const toSerial = (date) => (date ? PeriodCalendar.toExcelSerial(date) || 0 : 0);
+      Object.assign(inputs, {
+        rent_roll_date: toSerial(rentRoll.date || data.projectStartDate),
+        rent_roll_erv: rentRoll.erv || 0,
+        rent_roll_erv_growth: (rentRoll.ervGrowth || 0) / 100,
+        rent_roll_void_months: rentRoll.voidMonths || 0,
+        rent_roll_rent_free_months: rentRoll.rentFreeMonths || 0,
+        rent_roll_renewal: (rentRoll.renewalProbability || 0) / 100,
+        rent_roll_breaks: rentRoll.breaksExercised ? 1 : 0
+      });
+      rentRoll.tenants.forEach((tenant, index) => {
+        Object.assign(inputs, {
+          [`tenant_${index}`]: tenant.value || 0,
+          [`tenant_${index}_area`]: tenant.area || 0,
+          [`tenant_${index}_start`]: toSerial(tenant.leaseStart),
+          [`tenant_${index}_expiry`]: toSerial(tenant.leaseExpiry),
+          [`tenant_${index}_indexation`]: (tenant.indexation || 0) / 100,
+          [`tenant_${index}_break`]: toSerial(tenant.breakDate),
+          [`tenant_${index}_erv`]: tenant.erv || 0
+        });
+      });
+    }
+
+    return inputs;
+  }
+
+  /**
+   * Expand driver keys (see ScenarioRunner.DRIVERS) into the input keys they cover
+   */
+  expandOverrides(overrides) {
+    const keys = Object.keys(this.baseInputs);
+    const expanded = {};
+
+    Object.entries(overrides || {}).forEach(([key, value]) => {
+      if (value === null || value === undefined || value === '') return;
+      const driver = ScenarioRunner.DRIVERS[key];
+      const matches = driver ? keys.filter(dataKey => driver.pattern.test(dataKey)) : keys.filter(dataKey => dataKey === key);
+      if (matches.length === 0) {
+        throw new Error(`No model input for ${key}`);
+      }
+      matches.forEach(dataKey => {
+        expanded[dataKey] = value;
+      });
+    });
+
+    return expanded;
+  }
+
+  /**
+   * Evaluate the model with some inputs overridden
+   * @param {Object} overrides - { inputKey: value } (expand driver keys first with expandOverrides)
+   * @returns {Object} outputs in the ScenarioRunner shape: { periodType, unlevered, levered, cashflows }
+   */
+  evaluate(overrides = {}) {
+    const inputs = { ...this.baseInputs, ...overrides };
+    const noi = this.evaluateNOI(inputs);
+    const capex = this.evaluateCapEx(inputs);
+    const debt = this.evaluateDebt(inputs, noi);
+    const n = this.periods;
+
+    // Cashflows sheet: purchase and transaction costs in period 0, NOI and CapEx after, the sale at exit
+    const unlevered = new Array(n + 1);
+    unlevered[0] = -inputs.dealValue - inputs.dealValue * inputs.transactionFee;
+    for (let i = 1; i <= n; i++) {
+      unlevered[i] = noi[i] + capex[i];
+    }
+    const salePrice = noi[n] / inputs.terminalCapRate;
+    unlevered[n] += salePrice - salePrice * inputs.disposalCost;
+
+    // Upfront debt costs are charged on the debt amount even without a Debt sheet, as the Cashflows sheet does
+    const debtFinancing = inputs.dealValue * inputs.dealLTV;
+    const levered = unlevered.slice();
+    levered[0] -= debtFinancing * (inputs.loanIssuanceFees ?? 0.015);
+    if (this.hasDebt) {
+      levered[0] += debt.drawdown;
+      for (let i = 1; i <= n; i++) {
+        levered[i] -= debt.interest[i] + debt.principal[i];
+      }
+    }
+
+    return this.buildOutputs(unlevered, levered, inputs);
+  }
+
+  /**
+   * P&L NOI per period (index 0 is period 0): revenue lines, tenant rent and cost lines
+   */
+  evaluateNOI(inputs) {
+    const n = this.periods;
+    const noi = new Array(n + 1).fill(0);
+
+    let index = null;
+    if ('inflationRate' in inputs) {
+      index = new Array(n + 1);
+      index[0] = 1;
+      for (let i = 1; i <= n; i++) {
+        index[i] = index[i - 1] * Math.pow(1 + inputs.inflationRate, this.yearFractions[i]);
+      }
+    }
+
+    const addLines = (prefix, items, sign) => (items || []).forEach((item, itemIndex) => {
+      const line = this.evaluateLineItem(item, `${prefix}_${itemIndex}`, inputs, sign, index);
+      for (let i = 1; i <= n; i++) noi[i] += line[i];
+    });
+    addLines('revenue', this.modelData.revenueItems, 1);
+    if (this.periodDates) {
+      this.modelData.rentRoll.tenants.forEach((tenant, tenantIndex) => {
+        for (let i = 1; i <= n; i++) {
+          noi[i] += this.evaluateTenantRent(inputs, tenantIndex, this.periodDates[i]);
+        }
+      });
+    }
+    addLines('opex', this.modelData.operatingExpenses, -1);
+
+    return noi;
+  }
+
+  /**
+   * One revenue or cost line (see ExcelGenerator.getLineItemFormula and getGrowthFormula).
+   * Growth runs on the full-period amount; stub periods carry their prorated share of it.
+   */
+  evaluateLineItem(item, key, inputs, sign, index) {
+    const n = this.periods;
+    const ppy = this.periodsPerYear;
+    const start = inputs[`${key}_start`] ?? 1;
+    const end = inputs[`${key}_end`] ?? n;
+    const rate = inputs[`${key}_growth_rate`] ?? 0;
+    const review = inputs[`${key}_review`] || 1;
+    const method = item.growthMethod || 'compound';
+    const line = new Array(n + 1).fill(0);
+
+    for (let i = 1; i <= n; i++) {
+      if (i < start || i > end) continue;
+      if (i === start) {
+        line[i] = sign * (inputs[key] ?? 0) * this.shares[i];
+        continue;
+      }
+      const previous = line[i - 1] / this.shares[i - 1];
+      let value;
+      switch (method) {
+        case 'none':
+        case 'flat':
+          value = previous;
+          break;
+        case 'indexed':
+          value = index ? previous * index[i] / index[i - 1] : previous;
+          break;
+        case 'simple':
+          value = previous * (1 + rate * this.yearFractions[i]);
+          break;
+        case 'step': {
+          const interval = review * ppy;
+          value = ((i - start) % interval + interval) % interval === 0 ? previous * Math.pow(1 + rate, review) : previous;
+          break;
+        }
+        default:
+          value = previous * Math.pow(1 + rate, this.yearFractions[i]);
+      }
+      line[i] = value * this.shares[i];
+    }
+    return line;
+  }
+
+  /**
+   * One tenant's rent for one period (see ExcelGenerator.getTenantRentFormula)
+   */
+  evaluateTenantRent(inputs, index, period) {
+    const S = period.start;
+    const E = period.end;
+    const rent = inputs[`tenant_${index}`];
+    const rentRollDate = inputs.rent_roll_date;
+
+    // Modelled end: expiry, or the break when breaks are exercised; vacant units end before the rent roll date
+    const expiry = inputs[`tenant_${index}_expiry`] || 2958465;
+    const breakDate = inputs[`tenant_${index}_break`];
+    const leaseEnd = rent <= 0
+      ? rentRollDate - 1
+      : Math.min(expiry, inputs.rent_roll_breaks === 1 && breakDate > rentRollDate ? breakDate : 2958465);
+
+    const years = Math.max(0, Math.floor((S - rentRollDate) / 365.25));
+    const leaseDays = Math.max(0, Math.min(E, leaseEnd) - Math.max(S, inputs[`tenant_${index}_start`]) + 1);
+    const passingRent = rent * Math.pow(1 + inputs[`tenant_${index}_indexation`], years) * leaseDays;
+
+    const erv = inputs[`tenant_${index}_erv`];
+    const ervByArea = inputs.rent_roll_erv * inputs[`tenant_${index}_area`];
+    const marketRent = (erv > 0 ? erv : ervByArea > 0 ? ervByArea : rent) * Math.pow(1 + inputs.rent_roll_erv_growth, years);
+    const renewal = rent > 0 ? inputs.rent_roll_renewal : 0;
+    const downtime = (inputs.rent_roll_void_months + inputs.rent_roll_rent_free_months) * 365 / 12;
+    const reletDays = renewal * Math.max(0, E - Math.max(S, leaseEnd + 1) + 1) +
+      (1 - renewal) * Math.max(0, E - Math.max(S, leaseEnd + 1 + downtime) + 1);
+
+    return (passingRent + marketRent * reletDays) / 365;
+  }
+
+  /**
+   * Total CapEx per period (negative): the base amount in period 1, compounded after (stub periods prorated)
+   */
+  evaluateCapEx(inputs) {
+    const n = this.periods;
+    const total = new Array(n + 1).fill(0);
+    (this.modelData.capEx || []).forEach((item, index) => {
+      const rate = inputs[`capex_${index}_growth_rate`] ?? 0;
+      let value = -(inputs[`capex_${index}`] ?? 0);
+      for (let i = 1; i <= n; i++) {
+        if (i > 1) value *= Math.pow(1 + rate, this.yearFractions[i]);
+        total[i] += value * this.shares[i];
+      }
+    });
+    return total;
+  }
+
+  /**
+   * Debt Financing roll-up: tranche schedules with scheduled amortization, a senior-first cash sweep
+   * from NOI and the outstanding balance repaid at exit
+   */
+  evaluateDebt(inputs, noi) {
+    const n = this.periods;
+    const ppy = this.periodsPerYear;
+    const interest = new Array(n + 1).fill(0);
+    const principal = new Array(n + 1).fill(0);
+    if (!this.hasDebt) return { drawdown: 0, interest, principal };
+
+    const debtFinancing = inputs.dealValue * inputs.dealLTV;
+    const shift = inputs.interestRateShift || 0;
+    const sweepPercent = inputs.cashSweepPercent || 0;
+    const states = this.tranches.map(tranche => {
+      const drawdown = debtFinancing * tranche.share / 100;
+      const rate = (tranche.rateType === 'floating'
+        ? Math.max(tranche.baseRate / 100, tranche.floor / 100) + tranche.margin / 100
+        : tranche.fixedRate / 100) + shift;
+      return { tranche, drawdown, rate, balance: drawdown };
+    });
+
+    for (let i = 1; i <= n; i++) {
+      let scheduled = 0;
+      states.forEach(state => {
+        const { tranche, rate } = state;
+        state.opening = state.balance;
+        state.interest = state.opening * rate * this.yearFractions[i];
+        if (i === n) {
+          state.principal = state.opening;
+        } else if (tranche.amortizationType === 'straight_line') {
+          state.principal = Math.min(state.opening, state.drawdown / tranche.amortPeriods);
+        } else if (tranche.amortizationType === 'annuity') {
+          state.principal = state.opening <= 0 ? 0 : Math.min(state.opening,
+            ModelEvaluator.firstPrincipalPayment(rate / ppy, Math.max(1, tranche.amortPeriods - (i - 1)), state.opening));
+        } else {
+          state.principal = 0;
+        }
+        interest[i] += state.interest;
+        scheduled += state.principal;
+      });
+
+      const available = i === n ? 0 : Math.max(0, noi[i] - interest[i] - scheduled) * sweepPercent;
+      let swept = 0;
+      states.forEach(state => {
+        const sweep = i === n ? 0 : Math.min(state.opening - state.principal, Math.max(0, available - swept));
+        swept += sweep;
+        state.balance = state.opening - state.principal - sweep;
+      });
+      principal[i] = scheduled + swept;
+    }
+
+    return { drawdown: states.reduce((sum, state) => sum + state.drawdown, 0), interest, principal };
+  }
+
+  /**
+   * Principal part of the first level payment on a loan (Excel's -PPMT(rate, 1, periods, balance))
+   */
+  static firstPrincipalPayment(rate, periods, balance) {
+    if (rate === 0) return balance / periods;
+    const payment = balance * rate / (1 - Math.pow(1 + rate, -periods));
+    return payment - balance * rate;
+  }
+
+  /**
+   * IRRs per model period and annualised, MOIC and NPV for both cashflow strips
+   */
+  buildOutputs(unlevered, levered, inputs) {
+    const periodicRate = this.returnsEngine.toPeriodicRate(inputs.discountRate, this.periodType);
+    const finite = (flows) => flows.every(value => isFinite(value));
+
+    const summarize = (flows) => {
+      const irr = finite(flows) ? this.returnsEngine.irr(flows) : null;
+      return {
+        irr,
+        annualIRR: irr === null ? null : this.returnsEngine.toAnnualRate(irr, this.periodType),
+        moic: finite(flows) ? this.returnsEngine.moic(flows) : null,
+        npv: finite(flows) ? this.returnsEngine.npv(periodicRate, flows) : null
+      };
+    };
+
+    return {
+      periodType: this.periodType,
+      unlevered: summarize(unlevered),
+      levered: summarize(levered),
+      cashflows: { unlevered, levered }
+    };
+  }
+}
+
+// Export for use
+window.ModelEvaluator = ModelEvaluator;
@@ -0,0 +1,593 @@
+/**
+ * ModelSheetUpdater.js - Non-destructive regeneration of generated model sheets
+ * Builds a fresh copy of a sheet next to the existing one, diffs the two by row label and
+ * applies only the differences: new line-item rows are inserted, rows the generator no longer
+ * produces are removed, and values/formulas are refreshed in generator-owned cells. Rows,
+ * columns, notes, charts and links added by the user stay where they are.
+ *
+ * Ownership is tracked in a per-sheet manifest (row keys and column width written by the
+ * generator) stored in the document settings so it travels with the workbook.
+ */
+
+class ModelSheetUpdater {
+  /**
+   * @param {Object} options - { confirmChanges: async (preview) => boolean }
+   */
+  constructor(options = {}) {
+    this.confirmChanges = options.confirmChanges || null;
+    this.manifestKey = 'modelSheetManifest';
+    this.manifest = null; // Used when document settings are unavailable
+  }
+
+  /**
+   * Run a sheet builder in update mode. The builder must create the sheet under sheetName
+   * (as it does for a fresh workbook); the result is merged into the existing sheet.
+   * @returns {Object} { result, mode: 'created' | 'updated' | 'unchanged' | 'cancelled', preview }
+   */
+  async update(sheetName, build) {
+    const workingName = ModelSheetUpdater.getWorkingName(sheetName);
+    const prepared = await Excel.run(async (context) => {
+      const sheets = context.workbook.worksheets;
+      const existing = sheets.getItemOrNullObject(sheetName);
+      const leftover = sheets.getItemOrNullObject(workingName);
+      existing.load('name');
+      leftover.load('name');
+      await context.sync();
+
+      if (existing.isNullObject) return null;
+      if (!leftover.isNullObject) {
+        throw new Error(`Cannot update '${sheetName}': a previous update left '${workingName}' in the workbook`);
+      }
+
+      // Renaming keeps every link into the existing sheet pointing at it while the fresh copy is built
+      const names = await this.loadNames(context);
+      await this.linkReferencesToNames(context, sheetName, names);
+      existing.name = workingName;
+      await context.sync();
+      return { names };
+    });
+
+    // Nothing to preserve - build normally
+    if (!prepared) {
+      const result = await build();
+      await this.recordSheet(sheetName);
+      return { result, mode: 'created' };
+    }
+
+    let result;
+    try {
+      result = await build();
+    } catch (error) {
+      await this.discardFreshSheet(sheetName, workingName, prepared.names);
+      throw error;
+    }
+
+    const { plan, fresh } = await this.planUpdate(sheetName, workingName);
+    const preview = ModelSheetUpdater.buildPreview(sheetName, plan);
+
+    if (!preview.hasChanges) {
+      await this.finishUpdate(sheetName, workingName, plan, fresh);
+      return { result, mode: 'unchanged', preview };
+    }
+
+    const approved = this.confirmChanges ? await this.confirmChanges(preview) : true;
+    if (!approved) {
+      await this.discardFreshSheet(sheetName, workingName, prepared.names);
+      return { result, mode: 'cancelled', preview };
+    }
+
+    await this.applyPlan(workingName, sheetName, plan);
+    await this.finishUpdate(sheetName, workingName, plan, fresh);
+    return { result, mode: 'updated', preview };
+  }
+
+  static getWorkingName(sheetName) {
+    return `~${sheetName}`.slice(0, 31);
+  }
+
+  /**
+   * Read both sheets and diff them
+   */
+  async planUpdate(sheetName, workingName) {
+    return Excel.run(async (context) => {
+      const sheets = context.workbook.worksheets;
+      const fresh = await this.readFormulas(context, sheets.getItem(sheetName));
+      const existing = await this.readFormulas(context, sheets.getItem(workingName));
+      const manifest = await this.getSheetManifest(sheetName);
+
+      const plan = ModelSheetUpdater.diff({
+        sheetName,
+        existing: existing.formulas,
+        fresh: fresh.formulas,
+        manifest
+      });
+      return { plan, fresh: { keys: plan.freshKeys, width: plan.freshWidth } };
+    });
+  }
+
+  async readFormulas(context, sheet) {
+    const used = sheet.getUsedRangeOrNullObject(true);
+    used.load('rowIndex,columnIndex,rowCount,columnCount');
+    await context.sync();
+    if (used.isNullObject) return { formulas: [] };
+
+    // Always read from A1 so array positions are sheet rows/columns
+    const range = sheet.getRangeByIndexes(0, 0, used.rowIndex + used.rowCount, used.columnIndex + used.columnCount);
+    range.load('formulas');
+    await context.sync();
+    return { formulas: range.formulas };
+  }
+
+  /**
+   * Row keys: the column A label, or '<previous label>›<offset>' for unlabelled rows
+   * (period/date headers, spacers). Repeated keys get '#2', '#3'...
+   */
+  static getRowKeys(formulas) {
+    const keys = [];
+    const seen = {};
+    let lastLabel = '';
+    let offset = 0;
+
+    formulas.forEach(row => {
+      const label = row && row[0] !== undefined && row[0] !== null ? String(row[0]).trim() : '';
+      let key;
+      if (label) {
+        lastLabel = label;
+        offset = 0;
+        key = label;
+      } else {
+        offset++;
+        key = `${lastLabel}›${offset}`;
+      }
+      seen[key] = (seen[key] || 0) + 1;
+      keys.push(seen[key] > 1 ? `${key}#${seen[key]}` : key);
+    });
+    return keys;
+  }
+
+  static rowWidth(row) {
+    if (!row) return 0;
+    for (let col = row.length - 1; col >= 0; col--) {
+      if (row[col] !== '' && row[col] !== null && row[col] !== undefined) return col + 1;
+    }
+    return 0;
+  }
+
+  /**
+   * Diff the existing sheet against a fresh build.
+   * @param {Object} input - { sheetName, existing: formulas[][], fresh: formulas[][], manifest: { rows, width } | null }
+   * @returns {Object} plan - { layout, rowMap, removals, clears, updates, freshKeys, freshWidth, ownedWidth }
+   */
+  static diff({ sheetName, existing, fresh, manifest }) {
+    const existingKeys = ModelSheetUpdater.getRowKeys(existing);
+    const freshKeys = ModelSheetUpdater.getRowKeys(fresh);
+    const freshKeySet = new Set(freshKeys);
+    const freshWidth = Math.max(0, ...fresh.map(ModelSheetUpdater.rowWidth));
+    // Without a manifest only the columns the fresh build writes are treated as generator-owned
+    const ownedWidth = Math.max(freshWidth, manifest?.width || 0);
+    const manifestRows = new Set(manifest?.rows || []);
+
+    // Rows the generator wrote last time but no longer produces
+    const removals = [];
+    const clears = [];
+    let layout = [];
+    existingKeys.forEach((key, index) => {
+      const row = index + 1;
+      if (!freshKeySet.has(key) && manifestRows.has(key)) {
+        // Keep the row (and clear only our cells) if the user has content beyond the generated columns
+        const userWidth = ModelSheetUpdater.rowWidth(existing[index]);
+        if (userWidth > ownedWidth) {
+          clears.push({ row, key });
+          layout.push({ type: 'existing', key, originalRow: row, cleared: true });
+        } else {
+          removals.push({ row, key });
+        }
+        return;
+      }
+      layout.push({ type: 'existing', key, originalRow: row });
+    });
+
+    // Walk the fresh rows in order, matching existing rows by key and inserting the rest
+    let cursor = -1;
+    freshKeys.forEach((key, index) => {
+      const freshRow = index + 1;
+      const matchIndex = layout.findIndex(entry => entry.type === 'existing' && !entry.freshRow && !entry.cleared && entry.key === key);
+      if (matchIndex >= 0) {
+        layout[matchIndex].freshRow = freshRow;
+        cursor = matchIndex;
+      } else {
+        layout.splice(cursor + 1, 0, { type: 'new', key, freshRow });
+        cursor++;
+      }
+    });
+
+    const rowMap = {};
+    layout.forEach((entry, index) => {
+      entry.targetRow = index + 1;
+      if (entry.freshRow) rowMap[entry.freshRow] = entry.targetRow;
+    });
+
+    // Cell-level changes in generator-owned columns
+    const updates = [];
+    layout.forEach(entry => {
+      if (!entry.freshRow) return;
+      const freshRow = fresh[entry.freshRow - 1] || [];
+      const currentRow = entry.type === 'existing' ? (existing[entry.originalRow - 1] || []) : [];
+      const cells = [];
+
+      for (let col = 0; col < ownedWidth; col++) {
+        const desired = col < freshWidth
+          ? ModelSheetUpdater.translateFormula(freshRow[col], rowMap, sheetName)
+          : '';
+        const current = currentRow[col] === undefined || currentRow[col] === null ? '' : currentRow[col];
+        const target = desired === undefined || desired === null ? '' : desired;
+        if (String(current) !== String(target)) {
+          cells.push({ col, from: current, to: target });
+        }
+      }
+      if (cells.length > 0 || entry.type === 'new') {
+        updates.push({ key: entry.key, type: entry.type, freshRow: entry.freshRow, targetRow: entry.targetRow, cells });
+      }
+    });
+
+    // Columns the existing sheet already had formatted by the generator
+    const previousWidth = manifest?.width || Math.max(0, ...layout
+      .filter(entry => entry.type === 'existing' && entry.freshRow)
+      .map(entry => ModelSheetUpdater.rowWidth(existing[entry.originalRow - 1])));
+
+    const keptRows = layout
+      .filter(entry => entry.type === 'existing' && !entry.freshRow && !entry.cleared)
+      .map(entry => entry.key);
+
+    return { layout, rowMap, removals, clears, updates, keptRows, freshKeys, freshWidth, ownedWidth, previousWidth };
+  }
+
+  /**
+   * Re-point same-sheet references in a formula from fresh-sheet rows to their target rows.
+   * References to other sheets, named ranges and text inside quotes are left alone.
+   */
+  static translateFormula(formula, rowMap, sheetName) {
+    const mapRow = (row) => rowMap[row] || row;
+    return ModelSheetUpdater.replaceReferences(formula, (ref) => {
+      if (ref.prefix && !ModelSheetUpdater.isSheetPrefix(ref.prefix, sheetName)) return ref.match;
+
+      let result = `${ref.prefix || ''}${ref.c1}${ref.col1}${ref.r1}${mapRow(parseInt(ref.row1, 10))}`;
+      if (ref.col2) result += `:${ref.c2}${ref.col2}${ref.r2}${mapRow(parseInt(ref.row2, 10))}`;
+      return result;
+    });
+  }
+
+  /**
+   * Rewrite references to named cells of a sheet as the names: "=Assumptions!$E$12*2" ->
+   * "=Revenue_1*2" when Revenue_1 covers Assumptions!E12
+   * @param {Map} namesByAddress - 'E12' -> 'Revenue_1' for names into sheetName
+   */
+  static linkFormula(formula, sheetName, namesByAddress) {
+    return ModelSheetUpdater.replaceReferences(formula, (ref) => {
+      if (!ref.prefix || !ModelSheetUpdater.isSheetPrefix(ref.prefix, sheetName)) return ref.match;
+      const address = `${ref.col1}${ref.row1}${ref.col2 ? `:${ref.col2}${ref.row2}` : ''}`;
+      return namesByAddress.get(address) || ref.match;
+    });
+  }
+
+  /**
+   * Run a replacer over every A1 reference in a formula, skipping string literals and names
+   * such as Revenue_1 that merely look like references
+   */
+  static replaceReferences(formula, replacer) {
+    if (typeof formula !== 'string' || formula.charAt(0) !== '=') return formula;
+
+    const reference = /((?:'(?:[^']|'')+'|[A-Za-z0-9_.]+)!)?(\$?)([A-Z]{1,3})(\$?)(\d+)(?::(\$?)([A-Z]{1,3})(\$?)(\d+))?(?![A-Za-z0-9_(!])/g;
+
+    return formula
+      .split('"')
+      .map((segment, index) => {
+        if (index % 2 === 1) return segment; // Inside a string literal
+        return segment.replace(reference, (match, prefix, c1, col1, r1, row1, c2, col2, r2, row2, offset, whole) => {
+          const before = offset > 0 ? whole.charAt(offset - 1) : '';
+          if (/[A-Za-z0-9_.]/.test(before)) return match; // Part of a name such as Revenue_1
+          return replacer({ match, prefix, c1, col1, r1, row1, c2, col2, r2, row2 });
+        });
+      })
+      .join('"');
+  }
+
+  // 'Assumptions!' or "'P&L Statement'!" for the given sheet
+  static isSheetPrefix(prefix, sheetName) {
+    return prefix === `${sheetName}!` || prefix === `'${sheetName.replace(/'/g, "''")}'!`;
+  }
+
+  /**
+   * Before an update, rewrite A1 references from other sheets into this sheet as the workbook
+   * names covering the same cells. finishUpdate re-points the names at the updated rows, so
+   * those formulas follow a line item even when its row is removed and re-inserted (Excel only
+   * shifts plain A1 references for inserted and deleted rows, and a deleted row becomes #REF!).
+   * @returns {number} formulas rewritten
+   */
+  async linkReferencesToNames(context, sheetName, names) {
+    const namesByAddress = new Map();
+    names.forEach(item => {
+      const parsed = ModelSheetUpdater.parseReference(item.formula);
+      if (parsed && parsed.sheetName === sheetName && !namesByAddress.has(parsed.address)) {
+        namesByAddress.set(parsed.address, item.name);
+      }
+    });
+    if (namesByAddress.size === 0) return 0;
+
+    const sheets = context.workbook.worksheets;
+    sheets.load('items/name');
+    await context.sync();
+
+    const used = sheets.items
+      .filter(sheet => sheet.name !== sheetName)
+      .map(sheet => {
+        const range = sheet.getUsedRangeOrNullObject(true);
+        range.load('formulas,rowIndex,columnIndex');
+        return { sheet, range };
+      });
+    await context.sync();
+
+    let rewritten = 0;
+    used.forEach(({ sheet, range }) => {
+      if (range.isNullObject) return;
+      range.formulas.forEach((row, r) => row.forEach((formula, c) => {
+        const linked = ModelSheetUpdater.linkFormula(formula, sheetName, namesByAddress);
+        if (linked === formula) return;
+        sheet.getCell(range.rowIndex + r, range.columnIndex + c).formulas = [[linked]];
+        rewritten++;
+      }));
+    });
+    await context.sync();
+
+    if (rewritten > 0) console.log(`🏷️ Linked ${rewritten} references into ${sheetName} to named ranges`);
+    return rewritten;
+  }
+
+  /**
+   * Summary shown to the user before anything is applied
+   */
+  static buildPreview(sheetName, plan) {
+    const label = (key) => key.replace(/#\d+$/, '').replace(/^(.*)›\d+$/, (match, previous) => previous ? `Row below ${previous}` : 'Header row');
+    const columnLetter = ModelSheetUpdater.columnLetter;
+
+    const inserted = plan.updates.filter(update => update.type === 'new').map(update => label(update.key));
+    const updated = plan.updates
+      .filter(update => update.type === 'existing')
+      .map(update => ({
+        label: label(update.key),
+        row: update.targetRow,
+        cells: update.cells.map(cell => ({
+          address: `${columnLetter(cell.col)}${update.targetRow}`,
+          from: cell.from,
+          to: cell.to
+        }))
+      }));
+
+    return {
+      sheetName,
+      inserted,
+      removed: plan.removals.map(removal => label(removal.key)),
+      cleared: plan.clears.map(clear => label(clear.key)),
+      updated,
+      keptRows: plan.keptRows.map(label),
+      cellChanges: updated.reduce((total, row) => total + row.cells.length, 0),
+      hasChanges: inserted.length > 0 || updated.length > 0 || plan.removals.length > 0 || plan.clears.length > 0
+    };
+  }
+
+  /**
+   * Apply the plan to the (renamed) existing sheet
+   */
+  async applyPlan(workingName, sheetName, plan) {
+    return Excel.run(async (context) => {
+      const sheets = context.workbook.worksheets;
+      const sheet = sheets.getItem(workingName);
+      const freshSheet = sheets.getItem(sheetName);
+      const columnLetter = ModelSheetUpdater.columnLetter;
+      const lastOwnedColumn = columnLetter(Math.max(plan.ownedWidth, 1) - 1);
+
+      // 1. Remove obsolete generator rows bottom-up so row numbers stay valid
+      [...plan.removals].sort((a, b) => b.row - a.row).forEach(removal => {
+        sheet.getRange(`${removal.row}:${removal.row}`).delete(Excel.DeleteShiftDirection.up);
+      });
+
+      // 2. Clear generator cells on obsolete rows that also hold user content
+      plan.clears.forEach(clear => {
+        const shift = plan.removals.filter(removal => removal.row < clear.row).length;
+        const row = clear.row - shift;
+        sheet.getRange(`A${row}:${lastOwnedColumn}${row}`).clear(Excel.ClearApplyTo.contents);
+      });
+
+      // 3. Insert new rows top-down at their final positions, formatted like the fresh build
+      plan.layout.forEach(entry => {
+        if (entry.type !== 'new') return;
+        sheet.getRange(`${entry.targetRow}:${entry.targetRow}`).insert(Excel.InsertShiftDirection.down);
+      });
+      await context.sync();
+
+      // New rows take the fresh row's formats; existing rows only get formats for newly added columns
+      plan.layout.forEach(entry => {
+        if (!entry.freshRow) return;
+        const firstColumn = entry.type === 'new' ? 0 : plan.previousWidth;
+        if (firstColumn >= plan.freshWidth) return;
+        const columns = `${columnLetter(firstColumn)}{row}:${columnLetter(plan.freshWidth - 1)}{row}`;
+        const target = sheet.getRange(columns.replace(/\{row\}/g, entry.targetRow));
+        const source = freshSheet.getRange(columns.replace(/\{row\}/g, entry.freshRow));
+        target.copyFrom(source, Excel.RangeCopyType.formats);
+      });
+
+      // 4. Write changed cells, grouped into contiguous runs per row
+      plan.updates.forEach(update => {
+        ModelSheetUpdater.groupRuns(update.cells).forEach(run => {
+          const start = columnLetter(run[0].col);
+          const end = columnLetter(run[run.length - 1].col);
+          const range = sheet.getRange(`${start}${update.targetRow}:${end}${update.targetRow}`);
+          range.formulas = [run.map(cell => cell.to)];
+        });
+      });
+
+      await context.sync();
+    });
+  }
+
+  static groupRuns(cells) {
+    const runs = [];
+    cells.forEach(cell => {
+      const run = runs[runs.length - 1];
+      if (run && run[run.length - 1].col === cell.col - 1) {
+        run.push(cell);
+      } else {
+        runs.push([cell]);
+      }
+    });
+    return runs;
+  }
+
+  static columnLetter(index) {
+    let letter = '';
+    let n = index + 1;
+    while (n > 0) {
+      const remainder = (n - 1) % 26;
+      letter = String.fromCharCode(65 + remainder) + letter;
+      n = Math.floor((n - 1) / 26);
+    }
+    return letter;
+  }
+
+  /**
+   * Move names the builder pointed at the fresh sheet onto the updated sheet, drop the
+   * fresh sheet and restore the original sheet name
+   */
+  async finishUpdate(sheetName, workingName, plan, fresh) {
+    await Excel.run(async (context) => {
+      const sheets = context.workbook.worksheets;
+      const sheet = sheets.getItem(workingName);
+      const names = context.workbook.names;
+      names.load('items/name,items/formula,items/comment');
+      await context.sync();
+
+      names.items.forEach(item => {
+        const parsed = ModelSheetUpdater.parseReference(item.formula);
+        if (!parsed || parsed.sheetName !== sheetName) return;
+        const address = ModelSheetUpdater.remapAddress(parsed.address, plan.rowMap);
+        const comment = item.comment;
+        const name = item.name;
+        item.delete();
+        names.add(name, sheet.getRange(address), comment || undefined);
+      });
+      await context.sync();
+
+      sheets.getItem(sheetName).delete();
+      sheet.name = sheetName;
+      sheet.activate();
+      await context.sync();
+    });
+
+    await this.setSheetManifest(sheetName, { rows: fresh.keys, width: fresh.width });
+  }
+
+  /**
+   * Cancelled or failed update: drop the fresh sheet, restore the original and its names
+   */
+  async discardFreshSheet(sheetName, workingName, originalNames) {
+    await Excel.run(async (context) => {
+      const sheets = context.workbook.worksheets;
+      const freshSheet = sheets.getItemOrNullObject(sheetName);
+      freshSheet.load('name');
+      await context.sync();
+
+      if (!freshSheet.isNullObject) freshSheet.delete();
+      sheets.getItem(workingName).name = sheetName;
+      await context.sync();
+
+      // The builder may have redefined names against the fresh sheet - put the originals back
+      const names = context.workbook.names;
+      names.load('items/name,items/formula');
+      await context.sync();
+
+      const original = new Map(originalNames.map(item => [item.name, item]));
+      const current = new Map(names.items.map(item => [item.name, item.formula]));
+      names.items.forEach(item => {
+        const before = original.get(item.name);
+        if (!before || before.formula !== item.formula) item.delete();
+      });
+      originalNames.forEach(item => {
+        if (current.get(item.name) !== item.formula) names.add(item.name, item.formula, item.comment || undefined);
+      });
+      await context.sync();
+    });
+  }
+
+  async loadNames(context) {
+    const names = context.workbook.names;
+    names.load('items/name,items/formula,items/comment');
+    await context.sync();
+    return names.items.map(item => ({ name: item.name, formula: item.formula, comment: item.comment }));
+  }
+
+  /**
+   * "='P&L Statement'!$B$15:$Z$15" -> { sheetName: 'P&L Statement', address: 'B15:Z15' }
+   */
+  static parseReference(formula) {
+    const match = /^=?(?:'((?:[^']|'')+)'|([^!'=]+))!(\$?[A-Z]{1,3}\$?\d+(?::\$?[A-Z]{1,3}\$?\d+)?)$/.exec(formula || '');
+    if (!match) return null;
+    return {
+      sheetName: match[1] ? match[1].replace(/''/g, "'") : match[2],
+      address: match[3].replace(/\$/g, '')
+    };
+  }
+
+  static remapAddress(address, rowMap) {
+    return address.replace(/([A-Z]{1,3})(\d+)/g, (match, col, row) => `${col}${rowMap[row] || row}`);
+  }
+
+  /**
+   * Record ownership after a normal (delete and re-add) build
+   */
+  async recordSheet(sheetName) {
+    try {
+      const formulas = await Excel.run(async (context) => {
+        const sheet = context.workbook.worksheets.getItemOrNullObject(sheetName);
+        await context.sync();
+        if (sheet.isNullObject) return null;
+        return (await this.readFormulas(context, sheet)).formulas;
+      });
+      if (!formulas) return;
+
+      await this.setSheetManifest(sheetName, {
+        rows: ModelSheetUpdater.getRowKeys(formulas),
+        width: Math.max(0, ...formulas.map(ModelSheetUpdater.rowWidth))
+      });
+    } catch (error) {
+      console.warn(`⚠️ Could not record generated rows for ${sheetName}:`, error.message);
+    }
+  }
+
+  getSettings() {
+    return typeof Office !== 'undefined' && Office.context && Office.context.document
+      ? Office.context.document.settings
+      : null;
+  }
+
+  async getSheetManifest(sheetName) {
+    const settings = this.getSettings();
+    const manifest = settings ? settings.get(this.manifestKey) : this.manifest;
+    return manifest && manifest[sheetName] ? manifest[sheetName] : null;
+  }
+
+  async setSheetManifest(sheetName, entry) {
+    const settings = this.getSettings();
+    const manifest = { ...((settings ? settings.get(this.manifestKey) : this.manifest) || {}) };
+    manifest[sheetName] = { ...entry, updatedAt: new Date().toISOString() };
+
+    if (!settings) {
+      this.manifest = manifest;
+      return;
+    }
+    settings.set(this.manifestKey, manifest);
+    await new Promise(resolve => settings.saveAsync(() => resolve()));
+  }
+}
+
+// Export for use
+window.ModelSheetUpdater = ModelSheetUpdater;
@@ -0,0 +1,360 @@
+/**
+ * MonteCarloSimulator.js - Seeded Monte Carlo runs over the in-memory model
+ * Scenario drivers (see ScenarioRunner.DRIVERS) are drawn from normal, uniform or triangular
+ * distributions, correlated through a Gaussian copula (Cholesky factor of the correlation matrix),
+ * and each draw is evaluated with ModelEvaluator. The same seed and settings give the same results.
+ */
+
+class MonteCarloSimulator {
+  static DEFAULT_ITERATIONS = 5000;
+  static MAX_ITERATIONS = 50000;
+  static HISTOGRAM_BINS = 20;
+  static CHUNK_SIZE = 250; // Iterations between progress callbacks (and UI yields)
+
+  // Parameter names per distribution; optional ones default to the model's current input
+  static DISTRIBUTIONS = {
+    normal: { label: 'Normal', params: ['mean', 'stdDev'], optional: ['mean'] },
+    uniform: { label: 'Uniform', params: ['min', 'max'], optional: [] },
+    triangular: { label: 'Triangular', params: ['min', 'mode', 'max'], optional: ['mode'] }
+  };
+
+  // Outputs summarised for every run (definitions shared with the Sensitivities sheet)
+  static OUTPUTS = ['leveredIRR', 'unleveredIRR', 'leveredMOIC', 'unleveredMOIC'];
+
+  /**
+   * @param {ModelEvaluator} evaluator - the model the draws are applied to
+   */
+  constructor(evaluator) {
+    if (!evaluator) {
+      throw new Error('Monte Carlo runs need a model evaluator');
+    }
+    this.evaluator = evaluator;
+  }
+
+  /**
+   * 32-bit seed from a number or any text
+   */
+  static normalizeSeed(seed) {
+    if (typeof seed === 'number' && isFinite(seed)) return Math.floor(Math.abs(seed)) >>> 0;
+    const text = String(seed ?? '');
+    let hash = 2166136261; // FNV-1a
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Seeded uniform generator on [0, 1) (mulberry32)
+   */
+  static createRandom(seed) {
+    let state = MonteCarloSimulator.normalizeSeed(seed);
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Standard normal draws from a uniform generator (Box-Muller, both values used)
+   */
+  static createNormal(random) {
+    let spare = null;
+    return () => {
+      if (spare !== null) {
+        const value = spare;
+        spare = null;
+        return value;
+      }
+      const u = 1 - random(); // (0, 1] keeps the log finite
+      const v = random();
+      const radius = Math.sqrt(-2 * Math.log(u));
+      spare = radius * Math.sin(2 * Math.PI * v);
+      return radius * Math.cos(2 * Math.PI * v);
+    };
+  }
+
+  /**
+   * Standard normal CDF (Abramowitz & Stegun 7.1.26, error below 1.5e-7)
+   */
+  static normalCdf(z) {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const erf = 1 - ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+  }
+
+  /**
+   * Check a variable's distribution and fill optional parameters from the base value
+   * @param {Object} variable - { variable, distribution, params }
+   * @param {number} base - the model's current value of the driver
+   */
+  static resolveVariable(variable, base) {
+    const spec = MonteCarloSimulator.DISTRIBUTIONS[variable.distribution];
+    const driver = ScenarioRunner.DRIVERS[variable.variable];
+    if (!spec) throw new Error(`Unknown distribution: ${variable.distribution}`);
+    const label = driver ? driver.label : variable.variable;
+
+    const params = {};
+    spec.params.forEach(name => {
+      const value = variable.params?.[name];
+      if (typeof value === 'number' && isFinite(value)) {
+        params[name] = value;
+      } else if (spec.optional.includes(name) && typeof base === 'number') {
+        params[name] = base;
+      } else {
+        throw new Error(`${label}: ${name} is required for a ${spec.label.toLowerCase()} distribution`);
+      }
+    });
+
+    if (variable.distribution === 'normal' && !(params.stdDev > 0)) {
+      throw new Error(`${label}: standard deviation must be above zero`);
+    }
+    if (variable.distribution !== 'normal' && !(params.max > params.min)) {
+      throw new Error(`${label}: max must be above min`);
+    }
+    if (variable.distribution === 'triangular' && (params.mode < params.min || params.mode > params.max)) {
+      throw new Error(`${label}: mode must lie between min and max`);
+    }
+    return { variable: variable.variable, label, distribution: variable.distribution, params, base };
+  }
+
+  /**
+   * Driver value for a correlated standard normal draw
+   */
+  static sample(variable, z) {
+    const { params } = variable;
+    if (variable.distribution === 'normal') {
+      return params.mean + params.stdDev * z;
+    }
+
+    const u = Math.min(1 - 1e-12, Math.max(1e-12, MonteCarloSimulator.normalCdf(z)));
+    if (variable.distribution === 'uniform') {
+      return params.min + (params.max - params.min) * u;
+    }
+
+    // Triangular inverse CDF
+    const { min, mode, max } = params;
+    const split = (mode - min) / (max - min);
+    return u < split
+      ? min + Math.sqrt(u * (max - min) * (mode - min))
+      : max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+  }
+
+  /**
+   * Correlation matrix for the variables from pairwise entries; unlisted pairs are uncorrelated
+   * @param {Array<Object>} variables - resolved variables, in draw order
+   * @param {Array<{ a: string, b: string, rho: number }>} correlations - driver pairs
+   */
+  static buildCorrelationMatrix(variables, correlations = []) {
+    const size = variables.length;
+    const matrix = Array.from({ length: size }, (_, i) => Array.from({ length: size }, (_, j) => (i === j ? 1 : 0)));
+    const position = (key) => variables.findIndex(variable => variable.variable === key);
+
+    correlations.forEach(({ a, b, rho }) => {
+      const i = position(a);
+      const j = position(b);
+      if (i < 0 || j < 0) {
+        throw new Error(`Correlation ${a} / ${b} needs both variables to have a distribution`);
+      }
+      if (i === j) throw new Error(`${a} cannot be correlated with itself`);
+      if (!(typeof rho === 'number' && rho >= -1 && rho <= 1)) {
+        throw new Error(`Correlation ${a} / ${b} must be between -1 and 1`);
+      }
+      matrix[i][j] = rho;
+      matrix[j][i] = rho;
+    });
+    return matrix;
+  }
+
+  /**
+   * Lower-triangular Cholesky factor (throws for a ±1 correlation or an inconsistent set)
+   */
+  static cholesky(matrix) {
+    const size = matrix.length;
+    const lower = Array.from({ length: size }, () => new Array(size).fill(0));
+    for (let i = 0; i < size; i++) {
+      for (let j = 0; j <= i; j++) {
+        let sum = matrix[i][j];
+        for (let k = 0; k < j; k++) sum -= lower[i][k] * lower[j][k];
+        if (i === j) {
+          if (sum <= 1e-10) {
+            throw new Error('Correlations must be inside -1 to 1 and consistent with each other (the matrix is not positive definite)');
+          }
+          lower[i][j] = Math.sqrt(sum);
+        } else {
+          lower[i][j] = sum / lower[j][j];
+        }
+      }
+    }
+    return lower;
+  }
+
+  /**
+   * Percentile of sorted values, interpolated like Excel's PERCENTILE.INC
+   */
+  static percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    const position = (sorted.length - 1) * p;
+    const lower = Math.floor(position);
+    const upper = Math.min(sorted.length - 1, lower + 1);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+  }
+
+  /**
+   * Mean, spread and percentiles of the values that came out finite
+   * @param {Array<number|null>} values - one per iteration
+   * @param {number} confidence - two-sided interval, e.g. 0.95
+   */
+  static summarize(values, confidence = 0.95) {
+    const sorted = values.filter(value => typeof value === 'number' && isFinite(value)).sort((a, b) => a - b);
+    const count = sorted.length;
+    const mean = count > 0 ? sorted.reduce((sum, value) => sum + value, 0) / count : null;
+    const variance = count > 1 ? sorted.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (count - 1) : null;
+    const tail = (1 - confidence) / 2;
+
+    return {
+      count,
+      failed: values.length - count,
+      mean,
+      stdDev: variance === null ? null : Math.sqrt(variance),
+      min: count > 0 ? sorted[0] : null,
+      max: count > 0 ? sorted[count - 1] : null,
+      p10: MonteCarloSimulator.percentile(sorted, 0.1),
+      p50: MonteCarloSimulator.percentile(sorted, 0.5),
+      p90: MonteCarloSimulator.percentile(sorted, 0.9),
+      confidence,
+      lower: MonteCarloSimulator.percentile(sorted, tail),
+      upper: MonteCarloSimulator.percentile(sorted, 1 - tail)
+    };
+  }
+
+  /**
+   * Equal-width bins from the lowest to the highest finite value
+   */
+  static histogram(values, bins = MonteCarloSimulator.HISTOGRAM_BINS) {
+    const finite = values.filter(value => typeof value === 'number' && isFinite(value));
+    if (finite.length === 0) return [];
+    const min = finite.reduce((low, value) => Math.min(low, value), Infinity);
+    const max = finite.reduce((high, value) => Math.max(high, value), -Infinity);
+    const width = max > min ? (max - min) / bins : 1;
+    const counts = new Array(bins).fill(0);
+    finite.forEach(value => {
+      counts[Math.min(bins - 1, Math.floor((value - min) / width))]++;
+    });
+    return counts.map((count, i) => ({
+      from: min + i * width,
+      to: min + (i + 1) * width,
+      count,
+      share: count / finite.length
+    }));
+  }
+
+  /**
+   * Run the simulation
+   * @param {Object} config - { variables: [{ variable, distribution, params }], correlations: [{ a, b, rho }],
+   *   iterations, seed, confidence, targetIRR (annual, levered), bins }
+   * @param {Function} onProgress - optional (completed, total) callback
+   * @returns {Object} { seed, iterations, variables, correlations, base, outputs: { key: { label, format,
+   *   values, stats, histogram } }, targetIRR, probabilityOfTarget, ranAt, durationMs }
+   */
+  async run(config = {}, onProgress = null) {
+    const iterations = parseInt(config.iterations, 10) || MonteCarloSimulator.DEFAULT_ITERATIONS;
+    if (iterations < 1 || iterations > MonteCarloSimulator.MAX_ITERATIONS) {
+      throw new Error(`Iterations must be between 1 and ${MonteCarloSimulator.MAX_ITERATIONS}`);
+    }
+    if (!config.variables || config.variables.length === 0) {
+      throw new Error('Give at least one input a distribution');
+    }
+    const seed = MonteCarloSimulator.normalizeSeed(config.seed ?? 1);
+    const confidence = config.confidence || 0.95;
+    const startedAt = Date.now();
+
+    // A driver covering several inputs (every revenue line's growth rate) is drawn as a shift from each
+    // input's own value, so its base is 0; a single-input driver is drawn as the input's value
+    const baseInputs = this.evaluator.baseInputs;
+    const variables = config.variables.map(variable => {
+      const dataKeys = Object.keys(this.evaluator.expandOverrides({ [variable.variable]: 0 }));
+      const shift = dataKeys.length > 1;
+      const resolved = MonteCarloSimulator.resolveVariable(variable, shift ? 0 : baseInputs[dataKeys[0]]);
+      return { ...resolved, label: shift ? `${resolved.label} (shift)` : resolved.label, dataKeys, shift };
+    });
+    const correlation = MonteCarloSimulator.buildCorrelationMatrix(variables, config.correlations);
+    const lower = MonteCarloSimulator.cholesky(correlation);
+
+    const normal = MonteCarloSimulator.createNormal(MonteCarloSimulator.createRandom(seed));
+    const outputKeys = MonteCarloSimulator.OUTPUTS;
+    const readers = outputKeys.map(key => [key, SensitivityGrid.OUTPUTS[key].read]);
+    const values = Object.fromEntries(outputKeys.map(key => [key, new Array(iterations)]));
+    const draws = variables.map(() => new Array(iterations));
+    const independent = new Array(variables.length);
+
+    for (let run = 0; run < iterations; run++) {
+      for (let i = 0; i < variables.length; i++) independent[i] = normal();
+
+      const overrides = {};
+      variables.forEach((variable, i) => {
+        let z = 0;
+        for (let k = 0; k <= i; k++) z += lower[i][k] * independent[k];
+        const value = MonteCarloSimulator.sample(variable, z);
+        draws[i][run] = value;
+        variable.dataKeys.forEach(dataKey => {
+          overrides[dataKey] = variable.shift ? baseInputs[dataKey] + value : value;
+        });
+      });
+
+      const outputs = this.evaluator.evaluate(overrides);
+      readers.forEach(([key, read]) => {
+        const value = read(outputs);
+        values[key][run] = typeof value === 'number' && isFinite(value) ? value : null;
+      });
+
+      if ((run + 1) % MonteCarloSimulator.CHUNK_SIZE === 0 || run + 1 === iterations) {
+        if (onProgress) onProgress(run + 1, iterations);
+        await new Promise(resolve => setTimeout(resolve, 0)); // Keep the task pane responsive
+      }
+    }
+
+    const outputs = {};
+    outputKeys.forEach(key => {
+      const output = SensitivityGrid.OUTPUTS[key];
+      outputs[key] = {
+        label: output.label,
+        format: output.format,
+        values: values[key],
+        stats: MonteCarloSimulator.summarize(values[key], confidence),
+        histogram: MonteCarloSimulator.histogram(values[key], config.bins)
+      };
+    });
+
+    // Iterations with no IRR (e.g. the equity is never returned) count as missing the target
+    const targetIRR = typeof config.targetIRR === 'number' ? config.targetIRR : null;
+    const probabilityOfTarget = targetIRR === null
+      ? null
+      : values.leveredIRR.filter(value => value !== null && value >= targetIRR).length / iterations;
+
+    return {
+      seed,
+      iterations,
+      confidence,
+      variables: variables.map((variable, i) => ({
+        ...variable,
+        stats: MonteCarloSimulator.summarize(draws[i], confidence)
+      })),
+      correlations: correlation,
+      base: this.evaluator.evaluate({}),
+      outputs,
+      targetIRR,
+      probabilityOfTarget,
+      ranAt: new Date(startedAt).toISOString(),
+      durationMs: Date.now() - startedAt
+    };
+  }
+}
+
+// Export for use
+window.MonteCarloSimulator = MonteCarloSimulator;
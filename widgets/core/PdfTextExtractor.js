@@ -0,0 +1,294 @@
+/**
+ * PdfTextExtractor.js - Text and layout extraction from PDFs with PDF.js
+ * Rebuilds reading-order lines from positioned text runs, detects column-aligned tables and
+ * marks every page with a [[Page N]] anchor so extracted values can be cited back to their page.
+ * Pages without a text layer (scans) are rendered and OCR'd when an OCR extractor is supplied.
+ */
+
+class PdfTextExtractor {
+  constructor(ocrExtractor = null) {
+    this.maxPages = 200;
+    this.ocrExtractor = ocrExtractor;
+    this.ocrScale = 2;
+    this.configureWorker();
+  }
+
+  static get WORKER_SRC() {
+    return 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
+  }
+
+  static get PAGE_ANCHOR() {
+    return /^\[\[Page (\d+)\]\]$/gm;
+  }
+
+  static pageAnchor(pageNumber) {
+    return `[[Page ${pageNumber}]]`;
+  }
+
+  getPdfJs() {
+    return typeof window !== 'undefined' ? window.pdfjsLib || null : null;
+  }
+
+  configureWorker() {
+    const pdfjs = this.getPdfJs();
+    if (pdfjs && !pdfjs.GlobalWorkerOptions.workerSrc) {
+      pdfjs.GlobalWorkerOptions.workerSrc = PdfTextExtractor.WORKER_SRC;
+    }
+  }
+
+  /**
+   * Extract a PDF File/Blob
+   * @returns {Promise<{ text: string, pages: Array, tables: Array, pageCount: number }>}
+   */
+  async extract(file) {
+    const pdfjs = this.getPdfJs();
+    if (!pdfjs) {
+      throw new Error('PDF.js is not loaded - cannot read PDF files');
+    }
+    this.configureWorker();
+
+    const data = new Uint8Array(await file.arrayBuffer());
+    const pdf = await pdfjs.getDocument({ data }).promise;
+    const pageCount = Math.min(pdf.numPages, this.maxPages);
+    if (pdf.numPages > this.maxPages) {
+      console.warn(`📑 ${file.name} has ${pdf.numPages} pages; reading the first ${this.maxPages}`);
+    }
+
+    const pages = [];
+    try {
+      for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+        const page = await pdf.getPage(pageNumber);
+        const textContent = await page.getTextContent();
+        let layout = PdfTextExtractor.layoutPage(textContent.items, pageNumber);
+        if (layout.lines.length === 0 && this.canOcr()) {
+          layout = await this.ocrPage(page, pageNumber, file.name);
+        }
+        pages.push(layout);
+        page.cleanup();
+      }
+    } finally {
+      await pdf.destroy();
+    }
+
+    if (!pages.some(page => page.lines.length > 0)) {
+      const reason = this.canOcr() ? 'OCR found no readable text' : 'it may be a scanned document';
+      throw new Error(`${file.name} has no selectable text (${reason})`);
+    }
+
+    const tables = pages.flatMap(page => page.tables);
+    const ocrPages = pages.filter(page => page.ocr).length;
+    console.log(`📑 Extracted ${pageCount} page(s) and ${tables.length} table(s) from ${file.name}` +
+      (ocrPages ? ` (${ocrPages} page(s) via OCR)` : ''));
+
+    return {
+      text: pages.map(page => page.text).join('\n\n'),
+      pages,
+      tables,
+      pageCount: pdf.numPages
+    };
+  }
+
+  canOcr() {
+    return !!this.ocrExtractor && typeof document !== 'undefined' && ImageOcrExtractor.isAvailable();
+  }
+
+  /**
+   * Render an image-only page to a canvas and OCR it. OCR lines become the page's lines;
+   * no tables are detected since OCR does not give reliable cell positions.
+   */
+  async ocrPage(page, pageNumber, fileName) {
+    const viewport = page.getViewport({ scale: this.ocrScale });
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.ceil(viewport.width);
+    canvas.height = Math.ceil(viewport.height);
+
+    try {
+      await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+      const ocr = await this.ocrExtractor.recognize(canvas, `${fileName} page ${pageNumber}`);
+      const lines = ocr.lines.map(line => ({
+        y: line.bbox ? -line.bbox.y0 : 0,
+        fontSize: line.bbox ? (line.bbox.y1 - line.bbox.y0) / this.ocrScale : 10,
+        cells: [{ text: line.text, x: line.bbox ? line.bbox.x0 : 0, xEnd: line.bbox ? line.bbox.x1 : 0 }],
+        text: line.text
+      }));
+
+      return {
+        number: pageNumber,
+        text: [PdfTextExtractor.pageAnchor(pageNumber), ...lines.map(line => line.text)].join('\n'),
+        lines,
+        tables: [],
+        ocr
+      };
+    } catch (error) {
+      console.warn(`⚠️ OCR failed for ${fileName} page ${pageNumber}:`, error.message);
+      return PdfTextExtractor.layoutPage([], pageNumber);
+    } finally {
+      canvas.width = 0;
+      canvas.height = 0;
+    }
+  }
+
+  /**
+   * Turn one page's PDF.js text items into lines, tables and anchored text
+   */
+  static layoutPage(items, pageNumber) {
+    const lines = PdfTextExtractor.buildLines(items);
+    const tables = PdfTextExtractor.detectTables(lines, pageNumber);
+
+    const output = [PdfTextExtractor.pageAnchor(pageNumber)];
+    let index = 0;
+    while (index < lines.length) {
+      const table = tables.find(candidate => candidate.startLine === index);
+      if (table) {
+        output.push(`[[Table ${table.id}]]`, table.text, '[[/Table]]');
+        index = table.endLine + 1;
+      } else {
+        output.push(lines[index].text);
+        index++;
+      }
+    }
+
+    return {
+      number: pageNumber,
+      text: output.join('\n'),
+      lines,
+      tables
+    };
+  }
+
+  /**
+   * Group positioned text runs into lines (top to bottom) made of cells (left to right).
+   * A gap wider than ~1.5 characters at the run's font size starts a new cell.
+   */
+  static buildLines(items) {
+    const runs = (items || [])
+      .filter(item => item.str && item.str.trim() !== '')
+      .map(item => {
+        const [, , c, d, x, y] = item.transform;
+        const fontSize = Math.hypot(c, d) || item.height || 10;
+        return { text: item.str, x, y, width: item.width || 0, fontSize };
+      })
+      .sort((a, b) => (b.y - a.y) || (a.x - b.x));
+
+    const rows = [];
+    runs.forEach(run => {
+      const row = rows.find(candidate => Math.abs(candidate.y - run.y) <= Math.max(2, candidate.fontSize * 0.5));
+      if (row) {
+        row.runs.push(run);
+      } else {
+        rows.push({ y: run.y, fontSize: run.fontSize, runs: [run] });
+      }
+    });
+
+    return rows
+      .sort((a, b) => b.y - a.y)
+      .map(row => {
+        const cells = [];
+        row.runs.sort((a, b) => a.x - b.x).forEach(run => {
+          const cell = cells[cells.length - 1];
+          const gap = cell ? run.x - cell.xEnd : Infinity;
+          if (cell && gap <= run.fontSize * 1.5) {
+            const joiner = gap > run.fontSize * 0.15 && !/\s$/.test(cell.text) && !/^\s/.test(run.text) ? ' ' : '';
+            cell.text += joiner + run.text;
+            cell.xEnd = Math.max(cell.xEnd, run.x + run.width);
+          } else {
+            cells.push({ text: run.text, x: run.x, xEnd: run.x + run.width });
+          }
+        });
+        cells.forEach(cell => { cell.text = cell.text.replace(/\s+/g, ' ').trim(); });
+
+        return {
+          y: row.y,
+          fontSize: row.fontSize,
+          cells,
+          text: cells.map(cell => cell.text).join('   ')
+        };
+      });
+  }
+
+  /**
+   * Tables are runs of at least three consecutive lines with three or more cells, similar cell
+   * counts and regular line spacing. Cells are assigned to columns by overlapping x ranges.
+   */
+  static detectTables(lines, pageNumber) {
+    const tables = [];
+    let start = null;
+
+    const isRow = (line) => line.cells.length >= 3;
+    const continuesBlock = (previous, line) => {
+      const spacing = previous.y - line.y;
+      return isRow(line) && spacing > 0 && spacing <= previous.fontSize * 3
+        && Math.abs(line.cells.length - previous.cells.length) <= 1;
+    };
+
+    const closeBlock = (end) => {
+      if (start !== null && end - start + 1 >= 3) {
+        tables.push(PdfTextExtractor.buildTable(lines.slice(start, end + 1), start, end, `${pageNumber}.${tables.length + 1}`, pageNumber));
+      }
+      start = null;
+    };
+
+    lines.forEach((line, index) => {
+      if (start !== null && !continuesBlock(lines[index - 1], line)) {
+        closeBlock(index - 1);
+      }
+      if (start === null && isRow(line)) {
+        start = index;
+      }
+    });
+    closeBlock(lines.length - 1);
+
+    return tables;
+  }
+
+  static buildTable(lines, startLine, endLine, id, pageNumber) {
+    // Merge overlapping cell ranges into column bands
+    const bands = [];
+    lines.flatMap(line => line.cells)
+      .sort((a, b) => a.x - b.x)
+      .forEach(cell => {
+        const band = bands[bands.length - 1];
+        if (band && cell.x <= band.xEnd) {
+          band.xEnd = Math.max(band.xEnd, cell.xEnd);
+        } else {
+          bands.push({ x: cell.x, xEnd: cell.xEnd });
+        }
+      });
+
+    const rows = lines.map(line => {
+      const row = bands.map(() => '');
+      line.cells.forEach(cell => {
+        const column = bands.findIndex(band => cell.x >= band.x && cell.x <= band.xEnd);
+        row[column] = row[column] ? `${row[column]} ${cell.text}` : cell.text;
+      });
+      return row;
+    });
+
+    return {
+      id,
+      page: pageNumber,
+      startLine,
+      endLine,
+      header: rows[0],
+      rows: rows.slice(1),
+      text: rows.map(row => `| ${row.join(' | ')} |`).join('\n')
+    };
+  }
+
+  /**
+   * Split anchored text back into pages (for callers that only kept the text)
+   * @returns {Array<{ number: number|null, text: string }>}
+   */
+  static splitPages(text) {
+    const anchors = [...String(text || '').matchAll(PdfTextExtractor.PAGE_ANCHOR)];
+    if (anchors.length === 0) return [{ number: null, text: text || '' }];
+
+    return anchors.map((anchor, index) => ({
+      number: parseInt(anchor[1]),
+      text: text.slice(anchor.index, index + 1 < anchors.length ? anchors[index + 1].index : text.length)
+    }));
+  }
+}
+
+// Export for use
+window.PdfTextExtractor = PdfTextExtractor;
@@ -0,0 +1,291 @@
+/**
+ * PeriodCalendar.js - Shared period calendar for model timelines
+ * Produces exact period start/end dates, labels and Excel serial dates for
+ * daily, monthly, quarterly and yearly models. Months, quarters and years are
+ * calendar-aligned (quarters and years follow the fiscal year end), so a start
+ * or end date inside a period creates a stub period rather than drifting dates.
+ * All arithmetic is done on UTC day numbers to stay clear of DST shifts.
+ */
+
+class PeriodCalendar {
+  /**
+   * @param {Object} options - { startDate, endDate, periodType, fiscalYearEnd (month 1-12, default 12) }
+   */
+  constructor(options = {}) {
+    this.periodType = options.periodType || 'monthly';
+    this.fiscalYearEnd = PeriodCalendar.normalizeMonth(options.fiscalYearEnd);
+    this.start = PeriodCalendar.parseDate(options.startDate);
+    this.end = PeriodCalendar.parseDate(options.endDate);
+    this.maxDailyPeriods = options.maxDailyPeriods || 1000;
+    this.periods = null;
+  }
+
+  static fromModelData(modelData = {}) {
+    return new PeriodCalendar({
+      startDate: modelData.projectStartDate,
+      endDate: modelData.projectEndDate,
+      periodType: modelData.modelPeriods,
+      fiscalYearEnd: modelData.fiscalYearEnd
+    });
+  }
+
+  static get MS_PER_DAY() {
+    return 24 * 60 * 60 * 1000;
+  }
+
+  static get MONTH_NAMES() {
+    return ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+  }
+
+  /**
+   * Parse 'YYYY-MM-DD' strings and Date objects to a UTC midnight Date (null if invalid)
+   */
+  static parseDate(value) {
+    if (!value) return null;
+    if (value instanceof Date) {
+      return isNaN(value) ? null : new Date(Date.UTC(value.getFullYear(), value.getMonth(), value.getDate()));
+    }
+    const match = /^(\d{4})-(\d{1,2})-(\d{1,2})/.exec(String(value));
+    if (match) {
+      return new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+    }
+    const parsed = new Date(value);
+    return isNaN(parsed) ? null : PeriodCalendar.parseDate(parsed);
+  }
+
+  static normalizeMonth(month) {
+    const value = parseInt(month, 10);
+    return value >= 1 && value <= 12 ? value : 12;
+  }
+
+  static addDays(date, days) {
+    return new Date(date.getTime() + days * PeriodCalendar.MS_PER_DAY);
+  }
+
+  static lastDayOfMonth(year, monthIndex) {
+    return new Date(Date.UTC(year, monthIndex + 1, 0));
+  }
+
+  /**
+   * Excel serial date (1900 date system) for a date
+   */
+  static toExcelSerial(date) {
+    const utc = PeriodCalendar.parseDate(date);
+    if (!utc) return null;
+    return Math.round((utc.getTime() - Date.UTC(1899, 11, 30)) / PeriodCalendar.MS_PER_DAY);
+  }
+
+  /**
+   * Format as dd-Mmm-yy (the date row style used across the model sheets)
+   */
+  static formatShortDate(date) {
+    const day = date.getUTCDate().toString().padStart(2, '0');
+    const year = date.getUTCFullYear().toString().slice(-2);
+    return `${day}-${PeriodCalendar.MONTH_NAMES[date.getUTCMonth()]}-${year}`;
+  }
+
+  /**
+   * Months per period for calendar-aligned period types (0 for daily)
+   */
+  monthsPerPeriod() {
+    switch (this.periodType) {
+      case 'daily':
+        return 0;
+      case 'quarterly':
+        return 3;
+      case 'yearly':
+        return 12;
+      case 'monthly':
+      default:
+        return 1;
+    }
+  }
+
+  periodsPerYear() {
+    return this.periodType === 'daily' ? 365 : 12 / this.monthsPerPeriod();
+  }
+
+  /**
+   * Last day of the regular (full-length) period containing a date
+   */
+  regularPeriodEnd(date) {
+    const months = this.monthsPerPeriod();
+    if (months === 0) return date;
+
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth();
+    if (months === 1) return PeriodCalendar.lastDayOfMonth(year, month);
+
+    // Quarter and year ends are anchored on the fiscal year end month
+    const anchor = this.fiscalYearEnd - 1;
+    const offset = ((anchor - month) % months + months) % months;
+    return PeriodCalendar.lastDayOfMonth(year, month + offset);
+  }
+
+  /**
+   * First day of the regular period containing a date
+   */
+  regularPeriodStart(date) {
+    const months = this.monthsPerPeriod();
+    if (months === 0) return date;
+    const end = this.regularPeriodEnd(date);
+    return new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth() - months + 1, 1));
+  }
+
+  /**
+   * Operating periods (Period 1..n). Without an end date the timeline is open-ended
+   * and periods are generated on demand by getPeriod().
+   */
+  getPeriods() {
+    if (this.periods) return this.periods;
+    if (!this.start || !this.end || this.end < this.start) return [];
+
+    // An end date on the first day of a period closes the previous period
+    let finalDay = this.end;
+    if (this.periodType !== 'daily' && this.regularPeriodStart(this.end).getTime() === this.end.getTime()
+        && this.end > this.start) {
+      finalDay = PeriodCalendar.addDays(this.end, -1);
+    }
+
+    const periods = [];
+    let cursor = this.start;
+    while (cursor <= finalDay) {
+      const regularEnd = this.regularPeriodEnd(cursor);
+      const end = regularEnd > finalDay ? finalDay : regularEnd;
+      periods.push(this.buildPeriod(periods.length + 1, cursor, end));
+      cursor = PeriodCalendar.addDays(end, 1);
+
+      if (this.periodType === 'daily' && periods.length >= this.maxDailyPeriods && cursor <= finalDay) {
+        throw new Error(`Daily models are limited to ${this.maxDailyPeriods} periods - shorten the date range or use monthly periods`);
+      }
+    }
+
+    this.periods = periods;
+    return periods;
+  }
+
+  /**
+   * Period by index: 0 is the day-before-start closing period, 1..n are operating periods
+   */
+  getPeriod(index) {
+    if (!this.start) return null;
+    if (index === 0) return this.getOpeningPeriod();
+
+    const periods = this.getPeriods();
+    if (periods[index - 1]) return periods[index - 1];
+
+    // Beyond the end date (or no end date): extend with regular periods
+    let previous = periods.length > 0 ? periods[periods.length - 1] : null;
+    let position = periods.length;
+    if (!previous) {
+      previous = this.buildPeriod(1, this.start, this.regularPeriodEnd(this.start));
+      position = 1;
+      if (index === 1) return previous;
+    }
+    while (position < index) {
+      const start = PeriodCalendar.addDays(previous.end, 1);
+      previous = this.buildPeriod(position + 1, start, this.regularPeriodEnd(start));
+      position++;
+    }
+    return previous;
+  }
+
+  /**
+   * Period 0 - the acquisition date, i.e. the regular period ending the day before the start.
+   * It is labelled as the regular period before Period 1's, so a mid-period start date does not
+   * give two header columns the same label.
+   */
+  getOpeningPeriod() {
+    const end = PeriodCalendar.addDays(this.start, -1);
+    const start = this.regularPeriodStart(end);
+    const previousEnd = PeriodCalendar.addDays(this.regularPeriodStart(this.start), -1);
+    return {
+      ...this.buildPeriod(0, start, end),
+      isStub: false,
+      label: this.formatLabel(this.regularPeriodStart(previousEnd), previousEnd)
+    };
+  }
+
+  buildPeriod(index, start, end) {
+    const regularStart = this.regularPeriodStart(start);
+    const regularEnd = this.regularPeriodEnd(start);
+    const days = Math.round((end - start) / PeriodCalendar.MS_PER_DAY) + 1;
+    const regularDays = Math.round((regularEnd - regularStart) / PeriodCalendar.MS_PER_DAY) + 1;
+
+    return {
+      index,
+      start,
+      end,
+      days,
+      regularDays,
+      yearFraction: this.periodType === 'daily' ? 1 / 365 : (days / regularDays) / this.periodsPerYear(),
+      isStub: days < regularDays,
+      label: this.formatLabel(start, end),
+      dateLabel: PeriodCalendar.formatShortDate(end),
+      serial: PeriodCalendar.toExcelSerial(end)
+    };
+  }
+
+  /**
+   * Header label: 'Jan 5' (daily), 'Jan 2025' (monthly), 'Q1 2025' / 'FY2026' style for
+   * quarters and years (fiscal years are named after the calendar year they end in)
+   */
+  formatLabel(start, end) {
+    const regularEnd = this.regularPeriodEnd(start);
+    const fiscal = this.fiscalYearEnd !== 12;
+
+    switch (this.periodType) {
+      case 'daily':
+        return `${PeriodCalendar.MONTH_NAMES[start.getUTCMonth()]} ${start.getUTCDate()}`;
+      case 'quarterly': {
+        const fiscalYearEnd = this.fiscalYearEndFor(regularEnd);
+        const monthsToYearEnd = (fiscalYearEnd.getUTCFullYear() - regularEnd.getUTCFullYear()) * 12
+          + fiscalYearEnd.getUTCMonth() - regularEnd.getUTCMonth();
+        const quarter = 4 - monthsToYearEnd / 3;
+        return fiscal ? `Q${quarter} FY${fiscalYearEnd.getUTCFullYear()}` : `Q${quarter} ${fiscalYearEnd.getUTCFullYear()}`;
+      }
+      case 'yearly':
+        return fiscal ? `FY${regularEnd.getUTCFullYear()}` : regularEnd.getUTCFullYear().toString();
+      case 'monthly':
+      default:
+        return `${PeriodCalendar.MONTH_NAMES[start.getUTCMonth()]} ${start.getUTCFullYear()}`;
+    }
+  }
+
+  fiscalYearEndFor(date) {
+    const month = date.getUTCMonth();
+    const year = month > this.fiscalYearEnd - 1 ? date.getUTCFullYear() + 1 : date.getUTCFullYear();
+    return PeriodCalendar.lastDayOfMonth(year, this.fiscalYearEnd - 1);
+  }
+
+  count() {
+    return this.getPeriods().length;
+  }
+
+  /**
+   * Date row values for Period 0..n (dd-Mmm-yy period end dates)
+   */
+  getDateLabels(count = this.count()) {
+    const labels = [];
+    for (let i = 0; i <= count; i++) {
+      const period = this.getPeriod(i);
+      labels.push(period ? period.dateLabel : '');
+    }
+    return labels;
+  }
+
+  /**
+   * Excel serial period end dates for Period 0..n
+   */
+  getSerialDates(count = this.count()) {
+    const serials = [];
+    for (let i = 0; i <= count; i++) {
+      const period = this.getPeriod(i);
+      serials.push(period ? period.serial : null);
+    }
+    return serials;
+  }
+}
+
+// Export for use
+window.PeriodCalendar = PeriodCalendar;
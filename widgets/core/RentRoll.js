@@ -0,0 +1,70 @@
+/**
+ * RentRoll.js - Tenant schedule metrics
+ * WAULT (rent-weighted average unexpired lease term, to expiry and to first break) and occupancy
+ * for a list of tenancies. The Assumptions sheet recalculates the same metrics with formulas;
+ * this is the JS side used by the extractor and the form preview.
+ */
+
+class RentRoll {
+  /**
+   * Years per day count used for lease terms (matches the sheet formulas)
+   */
+  static get DAYS_PER_YEAR() {
+    return 365.25;
+  }
+
+  /**
+   * Units with no passing rent, or named as vacant, are treated as void
+   */
+  static isVacant(tenant) {
+    return !tenant || !(Number(tenant.value) > 0) || /\b(?:vacant|void|unlet|available)\b/i.test(tenant.name || '');
+  }
+
+  /**
+   * Fractional years (actual days / 365.25) between two YYYY-MM-DD dates; 0 when the end is
+   * missing or already past. WAULT weights these unrounded terms.
+   */
+  static yearsBetween(from, to) {
+    const start = Date.parse(from);
+    const end = Date.parse(to);
+    if (isNaN(start) || isNaN(end) || end <= start) return 0;
+    return (end - start) / 86400000 / RentRoll.DAYS_PER_YEAR;
+  }
+
+  /**
+   * @param {Array<{ name: string, area: number, value: number, leaseExpiry: string, breakDate: string }>} tenants
+   *   value is passing rent per year
+   * @param {string} asOfDate - YYYY-MM-DD the unexpired terms are measured from
+   * @returns {{ tenantCount: number, vacantCount: number, passingRent: number, totalArea: number, lettedArea: number,
+   *   waultToExpiry: number|null, waultToBreak: number|null, occupancyByArea: number|null, occupancyByCount: number|null }}
+   */
+  static metrics(tenants, asOfDate) {
+    const units = (tenants || []).filter(Boolean);
+    const letUnits = units.filter(tenant => !RentRoll.isVacant(tenant));
+    const area = (tenant) => Number(tenant.area) > 0 ? Number(tenant.area) : 0;
+
+    const passingRent = letUnits.reduce((sum, tenant) => sum + Number(tenant.value), 0);
+    const weighted = (endOf) => passingRent > 0
+      ? letUnits.reduce((sum, tenant) => sum + Number(tenant.value) * RentRoll.yearsBetween(asOfDate, endOf(tenant)), 0) / passingRent
+      : null;
+
+    const totalArea = units.reduce((sum, tenant) => sum + area(tenant), 0);
+    const lettedArea = letUnits.reduce((sum, tenant) => sum + area(tenant), 0);
+
+    return {
+      tenantCount: letUnits.length,
+      vacantCount: units.length - letUnits.length,
+      passingRent,
+      totalArea,
+      lettedArea,
+      waultToExpiry: weighted(tenant => tenant.leaseExpiry),
+      // A break date already passed has lapsed, so the lease runs to expiry
+      waultToBreak: weighted(tenant => RentRoll.yearsBetween(asOfDate, tenant.breakDate) > 0 ? tenant.breakDate : tenant.leaseExpiry),
+      occupancyByArea: totalArea > 0 ? lettedArea / totalArea : null,
+      occupancyByCount: units.length > 0 ? letUnits.length / units.length : null
+    };
+  }
+}
+
+// Export for use
+window.RentRoll = RentRoll;
@@ -0,0 +1,242 @@
+/**
+ * ReturnsEngine.js - Deterministic investment returns calculations
+ * IRR, XIRR, MOIC, NPV, payback and cash-on-cash computed in the browser so
+ * results are reproducible and available offline. Conventions follow Excel's
+ * IRR / XIRR / NPV functions so values can be cross-checked against the sheet.
+ */
+
+class ReturnsEngine {
+  constructor(options = {}) {
+    this.maxIterations = options.maxIterations || 100;
+    this.tolerance = options.tolerance || 1e-7;
+    this.minRate = -0.999999; // Rates at or below -100% are undefined
+  }
+
+  /**
+   * Number of model periods in one year for a period type
+   */
+  periodsPerYear(periodType) {
+    switch (periodType) {
+      case 'daily':
+        return 365;
+      case 'monthly':
+        return 12;
+      case 'quarterly':
+        return 4;
+      case 'yearly':
+        return 1;
+      default:
+        return 12;
+    }
+  }
+
+  /**
+   * Convert an annual rate to the equivalent compounded per-period rate
+   */
+  toPeriodicRate(annualRate, periodType) {
+    return Math.pow(1 + annualRate, 1 / this.periodsPerYear(periodType)) - 1;
+  }
+
+  /**
+   * Convert a per-period rate to the equivalent compounded annual rate
+   */
+  toAnnualRate(periodicRate, periodType) {
+    if (periodicRate === null || !isFinite(periodicRate)) return null;
+    return Math.pow(1 + periodicRate, this.periodsPerYear(periodType)) - 1;
+  }
+
+  /**
+   * Net present value with the first cash flow at t = 0 (undiscounted)
+   */
+  npv(rate, cashflows) {
+    return cashflows.reduce((sum, cf, t) => sum + cf / Math.pow(1 + rate, t), 0);
+  }
+
+  /**
+   * Internal rate of return for evenly spaced cash flows (per-period rate).
+   * Newton-Raphson from the guess, falling back to bisection when Newton
+   * diverges or stalls. Returns null when the flows have no sign change.
+   */
+  irr(cashflows, guess = 0.1) {
+    const flows = this.cleanCashflows(cashflows);
+    if (!this.hasSignChange(flows)) return null;
+
+    const f = (rate) => this.npv(rate, flows);
+    const df = (rate) => flows.reduce((sum, cf, t) => sum - t * cf / Math.pow(1 + rate, t + 1), 0);
+
+    return this.solveRate(f, df, guess);
+  }
+
+  /**
+   * Net present value for irregular dates (Excel serial numbers), Actual/365
+   */
+  xnpv(rate, cashflows, dates) {
+    const d0 = dates[0];
+    return cashflows.reduce((sum, cf, i) => sum + cf / Math.pow(1 + rate, (dates[i] - d0) / 365), 0);
+  }
+
+  /**
+   * Annualised internal rate of return for dated cash flows (Excel XIRR)
+   */
+  xirr(cashflows, dates, guess = 0.1) {
+    const flows = this.cleanCashflows(cashflows);
+    if (!dates || dates.length !== flows.length) {
+      throw new Error('XIRR requires one date per cash flow');
+    }
+    if (!this.hasSignChange(flows)) return null;
+
+    const d0 = dates[0];
+    const f = (rate) => this.xnpv(rate, flows, dates);
+    const df = (rate) => flows.reduce((sum, cf, i) => {
+      const years = (dates[i] - d0) / 365;
+      return sum - years * cf / Math.pow(1 + rate, years + 1);
+    }, 0);
+
+    return this.solveRate(f, df, guess);
+  }
+
+  /**
+   * Shared root finder: Newton-Raphson first, bisection as a fallback
+   */
+  solveRate(f, df, guess) {
+    let rate = guess;
+    for (let i = 0; i < this.maxIterations; i++) {
+      const value = f(rate);
+      if (Math.abs(value) < this.tolerance) return rate;
+
+      const slope = df(rate);
+      if (!isFinite(slope) || slope === 0) break;
+
+      const next = rate - value / slope;
+      if (!isFinite(next) || next <= this.minRate) break;
+      if (Math.abs(next - rate) < this.tolerance) return next;
+      rate = next;
+    }
+
+    return this.bisect(f);
+  }
+
+  /**
+   * Bisection over an expanding bracket; returns null when no root is bracketed
+   */
+  bisect(f) {
+    let low = this.minRate;
+    let high = 1;
+    let fLow = f(low);
+    let fHigh = f(high);
+
+    // Widen the upper bound for very high returns
+    while (fLow * fHigh > 0 && high < 1e6) {
+      high *= 2;
+      fHigh = f(high);
+    }
+    if (fLow * fHigh > 0) return null;
+
+    for (let i = 0; i < this.maxIterations * 10; i++) {
+      const mid = (low + high) / 2;
+      const fMid = f(mid);
+      if (Math.abs(fMid) < this.tolerance || (high - low) / 2 < this.tolerance) {
+        return mid;
+      }
+      if (fLow * fMid < 0) {
+        high = mid;
+      } else {
+        low = mid;
+        fLow = fMid;
+      }
+    }
+    return (low + high) / 2;
+  }
+
+  /**
+   * Multiple on invested capital: total inflows / total outflows (the MOIC every sheet reports)
+   */
+  moic(cashflows) {
+    const flows = this.cleanCashflows(cashflows);
+    const invested = flows.filter(cf => cf < 0).reduce((sum, cf) => sum - cf, 0);
+    const returned = flows.filter(cf => cf > 0).reduce((sum, cf) => sum + cf, 0);
+    return invested > 0 ? returned / invested : null;
+  }
+
+  /**
+   * Payback in periods (interpolated within the period the cumulative turns positive)
+   */
+  paybackPeriod(cashflows) {
+    const flows = this.cleanCashflows(cashflows);
+    let cumulative = 0;
+    for (let t = 0; t < flows.length; t++) {
+      const previous = cumulative;
+      cumulative += flows[t];
+      if (t > 0 && previous < 0 && cumulative >= 0) {
+        return (t - 1) + (-previous / flows[t]);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Average annual cash-on-cash yield: operating distributions per year / equity
+   */
+  cashOnCash(equity, distributions, periodType) {
+    if (!equity || !distributions || distributions.length === 0) return null;
+    const flows = this.cleanCashflows(distributions);
+    const years = flows.length / this.periodsPerYear(periodType);
+    const total = flows.reduce((sum, cf) => sum + cf, 0);
+    return years > 0 ? (total / years) / equity : null;
+  }
+
+  /**
+   * Full returns summary for one cash flow series
+   * @param {Object} input - { cashflows, dates, periodType, discountRate (annual), exitProceeds }
+   */
+  analyze(input) {
+    const flows = this.cleanCashflows(input.cashflows);
+    const periodType = input.periodType || 'monthly';
+    const equity = flows.filter(cf => cf < 0).reduce((sum, cf) => sum - cf, 0);
+
+    const periodicIRR = this.irr(flows);
+    const payback = this.paybackPeriod(flows);
+
+    // Operating distributions exclude the exit proceeds booked in the final period
+    const distributions = flows.slice(1);
+    if (distributions.length > 0 && input.exitProceeds) {
+      distributions[distributions.length - 1] -= input.exitProceeds;
+    }
+
+    const result = {
+      periodicIRR,
+      irr: this.toAnnualRate(periodicIRR, periodType),
+      xirr: input.dates ? this.xirr(flows, input.dates) : null,
+      moic: this.moic(flows),
+      npv: null,
+      paybackPeriods: payback,
+      paybackYears: payback === null ? null : payback / this.periodsPerYear(periodType),
+      cashOnCash: this.cashOnCash(equity, distributions, periodType),
+      equity,
+      totalDistributions: flows.filter(cf => cf > 0).reduce((sum, cf) => sum + cf, 0)
+    };
+
+    if (typeof input.discountRate === 'number' && isFinite(input.discountRate)) {
+      result.npv = this.npv(this.toPeriodicRate(input.discountRate, periodType), flows);
+    }
+
+    return result;
+  }
+
+  /**
+   * Coerce sheet values ('-', blanks, text) to numbers
+   */
+  cleanCashflows(cashflows) {
+    return (cashflows || []).map(cf => {
+      const value = typeof cf === 'number' ? cf : parseFloat(cf);
+      return isFinite(value) ? value : 0;
+    });
+  }
+
+  hasSignChange(flows) {
+    return flows.some(cf => cf > 0) && flows.some(cf => cf < 0);
+  }
+}
+
+// Export for use
+window.ReturnsEngine = ReturnsEngine;
@@ -0,0 +1,326 @@
+/**
+ * ScenarioManager.js - Named cases stored in the workbook
+ * Cases live on a hidden "Scenario Cases" sheet: one row per managed Assumptions input, one column
+ * per case, Base first. A case only holds the inputs it changes - its other cells link to the Base
+ * column. The Assumptions sheet gets an Active Case selector, and every managed input becomes an
+ * INDEX formula into its row, so picking a case in the dropdown switches the live model.
+ */
+
+class ScenarioManager {
+  static SHEET_NAME = 'Scenario Cases';
+  static BASE_CASE = 'Base';
+  static MAX_CASES = 20;
+
+  // Workbook names of the selector cell and the case number it resolves to
+  static SELECTOR_NAME = 'Active_Case';
+  static INDEX_NAME = 'Active_Case_Index';
+  static SELECTOR_ADDRESS = 'I2'; // Right of the high-level parameters, clear of the rent roll columns
+
+  // Standard cases, as shifts from the Base inputs (drivers the model lacks are skipped)
+  static DEFAULT_CASES = [
+    { name: 'Upside', shifts: { revenueGrowth: 0.01, costGrowth: -0.005, terminalCapRate: -0.0025 } },
+    { name: 'Downside', shifts: { revenueGrowth: -0.01, costGrowth: 0.01, terminalCapRate: 0.005, interestRateShift: 0.01 } }
+  ];
+
+  /**
+   * @param {ExcelGenerator} excelGenerator - holds the Assumptions cell tracker
+   */
+  constructor(excelGenerator) {
+    if (!excelGenerator) {
+      throw new Error('Scenario cases need the Excel generator');
+    }
+    this.excelGenerator = excelGenerator;
+    this.runner = new ScenarioRunner(excelGenerator);
+  }
+
+  /**
+   * Whether an input's formula is the case selector's INDEX (scenario runs may override it)
+   */
+  static isCaseFormula(formula) {
+    return typeof formula === 'string' && formula.includes(`'${ScenarioManager.SHEET_NAME}'!`);
+  }
+
+  /**
+   * Full input values of a case - its overrides over the Base values
+   */
+  static caseInputs(book, name) {
+    const found = book.cases.find(item => item.name === name);
+    if (!found) throw new Error(`No scenario case named ${name}`);
+    return { ...book.base, ...found.values };
+  }
+
+  /**
+   * Read the saved cases, or null if the workbook has none
+   * @returns {Object} { inputs: [{ dataKey, label, format }], base: { dataKey: value },
+   *   cases: [{ name, values }] (Base first, values only the inputs the case changes), active }
+   */
+  async loadCases() {
+    return Excel.run(async (context) => {
+      const sheet = context.workbook.worksheets.getItemOrNullObject(ScenarioManager.SHEET_NAME);
+      await context.sync();
+      if (sheet.isNullObject) return null;
+
+      const used = sheet.getUsedRange();
+      used.load('values,formulas,numberFormat');
+      const selector = context.workbook.names.getItemOrNullObject(ScenarioManager.SELECTOR_NAME);
+      await context.sync();
+
+      let active = null;
+      if (!selector.isNullObject) {
+        const selectorRange = selector.getRangeOrNullObject();
+        selectorRange.load('values');
+        await context.sync();
+        if (!selectorRange.isNullObject) active = selectorRange.values[0][0] || null;
+      }
+      return ScenarioManager.parseSheet(used.values, used.formulas, used.numberFormat, active);
+    });
+  }
+
+  /**
+   * Cases from the sheet grid: row 1 is Input | Data Key | case names, then one row per input.
+   * A formula pointing at the Base column means the case leaves that input alone.
+   */
+  static parseSheet(values, formulas, formats, active = null) {
+    const header = values[0] || [];
+    const names = header.slice(2).map(name => String(name).trim()).filter(Boolean);
+    const book = {
+      inputs: [],
+      base: {},
+      cases: names.map(name => ({ name, values: {} })),
+      active
+    };
+
+    values.slice(1).forEach((row, offset) => {
+      const dataKey = String(row[1] || '').trim();
+      if (!dataKey) return;
+      const r = offset + 1;
+      book.inputs.push({ dataKey, label: row[0] || dataKey, format: formats?.[r]?.[2] || 'General' });
+      book.base[dataKey] = row[2];
+      book.cases.slice(1).forEach((item, i) => {
+        const formula = formulas?.[r]?.[i + 3];
+        const followsBase = typeof formula === 'string' && /^=\$?C\$?\d+$/i.test(formula);
+        if (!followsBase && row[i + 3] !== '') item.values[dataKey] = row[i + 3];
+      });
+    });
+    return book;
+  }
+
+  /**
+   * Save a case from scenario overrides (drivers or data keys, see ScenarioRunner.DRIVERS).
+   * Saving over an existing name replaces it; saving Base changes the Base values.
+   */
+  async saveCase(name, overrides) {
+    const caseName = String(name || '').trim();
+    if (!caseName) throw new Error('Give the case a name');
+    await this.excelGenerator.restoreCellTrackers();
+    const values = this.runner.expandOverrides(overrides);
+    if (Object.keys(values).length === 0 && caseName !== ScenarioManager.BASE_CASE) {
+      throw new Error('Change at least one input before saving a case');
+    }
+
+    const book = await this.loadOrCreate(Object.keys(values));
+    const existing = book.cases.find(item => item.name.toLowerCase() === caseName.toLowerCase());
+    if (existing && existing.name === ScenarioManager.BASE_CASE) {
+      Object.assign(book.base, values);
+    } else if (existing) {
+      existing.values = values;
+    } else {
+      if (book.cases.length >= ScenarioManager.MAX_CASES) {
+        throw new Error(`A workbook holds up to ${ScenarioManager.MAX_CASES} cases`);
+      }
+      book.cases.push({ name: caseName, values });
+    }
+
+    await this.writeCases(book);
+    console.log(`💾 Saved scenario case ${caseName} (${Object.keys(values).length} input(s))`);
+    return book;
+  }
+
+  /**
+   * Add the standard Upside and Downside cases around the Base values
+   */
+  async createDefaultCases() {
+    await this.excelGenerator.restoreCellTrackers();
+    const inputs = this.runner.getTrackedInputs().map(input => input.dataKey);
+    const driverKeys = (driver) => inputs.filter(dataKey => ScenarioRunner.DRIVERS[driver].pattern.test(dataKey));
+
+    const shifted = [...new Set(ScenarioManager.DEFAULT_CASES.flatMap(item => Object.keys(item.shifts).flatMap(driverKeys)))];
+    const book = await this.loadOrCreate(shifted);
+    ScenarioManager.DEFAULT_CASES.forEach(preset => {
+      const values = {};
+      Object.entries(preset.shifts).forEach(([driver, shift]) => {
+        driverKeys(driver).forEach(dataKey => {
+          if (typeof book.base[dataKey] === 'number') {
+            values[dataKey] = Math.round((book.base[dataKey] + shift) * 1e10) / 1e10;
+          }
+        });
+      });
+      const existing = book.cases.find(item => item.name === preset.name);
+      if (existing) {
+        existing.values = values;
+      } else {
+        book.cases.push({ name: preset.name, values });
+      }
+    });
+
+    await this.writeCases(book);
+    return book;
+  }
+
+  /**
+   * Remove a case (Base stays); the live model falls back to Base if it was showing it
+   */
+  async deleteCase(name) {
+    if (name === ScenarioManager.BASE_CASE) throw new Error('The Base case cannot be deleted');
+    const book = await this.loadCases();
+    if (!book || !book.cases.some(item => item.name === name)) throw new Error(`No scenario case named ${name}`);
+
+    book.cases = book.cases.filter(item => item.name !== name);
+    if (book.active === name) book.active = ScenarioManager.BASE_CASE;
+    await this.writeCases(book);
+    return book;
+  }
+
+  /**
+   * Point the live model at a case through the selector cell
+   */
+  async switchCase(name) {
+    const book = await this.loadCases();
+    if (!book || !book.cases.some(item => item.name === name)) throw new Error(`No scenario case named ${name}`);
+
+    await Excel.run(async (context) => {
+      const selector = context.workbook.names.getItemOrNullObject(ScenarioManager.SELECTOR_NAME);
+      await context.sync();
+      if (selector.isNullObject) throw new Error('The Active Case selector is missing - save a case to restore it');
+      selector.getRange().values = [[name]];
+      context.workbook.application.calculate(Excel.CalculationType.full);
+      await context.sync();
+    });
+    console.log(`🔀 Switched the model to the ${name} case`);
+    return { ...book, active: name };
+  }
+
+  /**
+   * Saved cases, or a new Base-only book from the live values - with rows added for new inputs
+   */
+  async loadOrCreate(dataKeys) {
+    const book = (await this.loadCases()) || {
+      inputs: [],
+      base: {},
+      cases: [{ name: ScenarioManager.BASE_CASE, values: {} }],
+      active: ScenarioManager.BASE_CASE
+    };
+    const added = dataKeys.filter(dataKey => !(dataKey in book.base));
+    if (added.length === 0) return book;
+
+    // A new input's Base value is whatever the Assumptions sheet shows now
+    const cells = this.runner.getTrackedInputs().filter(cell => added.includes(cell.dataKey));
+    await Excel.run(async (context) => {
+      const ranges = cells.map(cell => {
+        const range = this.runner.getInputRange(context, cell);
+        range.load('values,numberFormat');
+        return range;
+      });
+      await context.sync();
+      cells.forEach((cell, i) => {
+        book.inputs.push({
+          dataKey: cell.dataKey,
+          label: CellTracker.toRangeName(cell.dataKey).replace(/_/g, ' '),
+          format: ranges[i].numberFormat[0][0] || 'General'
+        });
+        book.base[cell.dataKey] = ranges[i].values[0][0];
+      });
+    });
+    return book;
+  }
+
+  /**
+   * Rewrite the hidden sheet and relink the Assumptions inputs to it
+   */
+  async writeCases(book) {
+    const caseCount = book.cases.length;
+    const lastCol = this.excelGenerator.getColumnLetter(caseCount + 1);
+    const active = book.cases.some(item => item.name === book.active) ? book.active : ScenarioManager.BASE_CASE;
+
+    await Excel.run(async (context) => {
+      const sheets = context.workbook.worksheets;
+      let sheet = sheets.getItemOrNullObject(ScenarioManager.SHEET_NAME);
+      await context.sync();
+      if (sheet.isNullObject) {
+        sheet = sheets.add(ScenarioManager.SHEET_NAME);
+      } else {
+        sheet.getRange().clear();
+      }
+
+      // Row 1: case names; then each input's Base value and, per case, its own value or a link to Base
+      const rows = [['Input', 'Data Key', ...book.cases.map(item => item.name)]];
+      book.inputs.forEach((input, i) => {
+        const row = i + 2;
+        rows.push([
+          input.label,
+          input.dataKey,
+          book.base[input.dataKey],
+          ...book.cases.slice(1).map(item => (input.dataKey in item.values ? item.values[input.dataKey] : `=C${row}`))
+        ]);
+      });
+      sheet.getRange(`A1:${lastCol}${rows.length}`).formulas = rows;
+      book.inputs.forEach((input, i) => {
+        sheet.getRange(`C${i + 2}:${lastCol}${i + 2}`).numberFormat = [Array(caseCount).fill(input.format)];
+      });
+      sheet.getRange(`A1:${lastCol}1`).format.font.bold = true;
+      sheet.getRange(`A:${lastCol}`).format.autofitColumns();
+      sheet.visibility = Excel.SheetVisibility.hidden;
+      await context.sync();
+
+      await this.linkAssumptions(context, book, lastCol, active);
+    });
+  }
+
+  /**
+   * Active Case dropdown on the Assumptions sheet, and INDEX formulas in every managed input
+   */
+  async linkAssumptions(context, book, lastCol, active) {
+    const assumptions = context.workbook.worksheets.getItemOrNullObject('Assumptions');
+    const names = context.workbook.names;
+    const existing = [ScenarioManager.SELECTOR_NAME, ScenarioManager.INDEX_NAME].map(name => names.getItemOrNullObject(name));
+    await context.sync();
+    if (assumptions.isNullObject) throw new Error('Assumptions sheet not found - generate the model first');
+    existing.forEach(item => {
+      if (!item.isNullObject) item.delete();
+    });
+
+    const caseNames = `'${ScenarioManager.SHEET_NAME}'!$C$1:$${lastCol}$1`;
+    const selector = assumptions.getRange(ScenarioManager.SELECTOR_ADDRESS);
+    const indexCell = selector.getOffsetRange(1, 0);
+    selector.getOffsetRange(0, -1).values = [['Active Case']];
+    indexCell.getOffsetRange(0, -1).values = [['Case Number']];
+    selector.values = [[active]];
+    selector.dataValidation.clear();
+    selector.dataValidation.rule = { list: { inCellDropDown: true, source: `=${caseNames}` } };
+    selector.format.fill.color = '#FFF2CC'; // Input cell shading
+    indexCell.formulas = [[`=MATCH(${ScenarioManager.SELECTOR_NAME},${caseNames},0)`]];
+    names.add(ScenarioManager.SELECTOR_NAME, selector);
+    names.add(ScenarioManager.INDEX_NAME, indexCell);
+    await context.sync();
+
+    // Inputs dropped by a regenerated model keep their rows but have nothing to drive
+    const cells = new Map(this.runner.getTrackedInputs().map(cell => [cell.dataKey, cell]));
+    book.inputs.forEach((input, i) => {
+      const cell = cells.get(input.dataKey);
+      if (!cell) {
+        console.warn(`⚠️ ${input.dataKey} is no longer on the Assumptions sheet`);
+        return;
+      }
+      const row = i + 2;
+      this.runner.getInputRange(context, cell).formulas = [[
+        `=INDEX('${ScenarioManager.SHEET_NAME}'!$C$${row}:$${lastCol}$${row},${ScenarioManager.INDEX_NAME})`
+      ]];
+    });
+    context.workbook.application.calculate(Excel.CalculationType.full);
+    await context.sync();
+    console.log(`🔗 Linked ${book.inputs.length} Assumptions input(s) to ${book.cases.length} scenario case(s)`);
+  }
+}
+
+// Export for use
+window.ScenarioManager = ScenarioManager;
@@ -0,0 +1,288 @@
+/**
+ * ScenarioRunner.js - Runs scenarios through the generated workbook
+ * A scenario is a set of overrides for Assumptions inputs, located through the ExcelGenerator's
+ * CellTracker (the workbook name where one exists, so inserted rows are followed). The overrides
+ * are written, the workbook is recalculated, the returns are read back from the Cashflows sheet
+ * and the original inputs are put back - whether or not the run succeeded.
+ */
+
+class ScenarioRunner {
+  /**
+   * Scenario drivers that stand for several tracked inputs at once. Any other override key is
+   * taken as a CellTracker data key (e.g. dealLTV, revenue_0_growth_rate).
+   */
+  static DRIVERS = {
+    revenueGrowth: { label: 'Revenue Growth', pattern: /^revenue_\d+_growth_rate$/ },
+    costGrowth: { label: 'Cost Growth', pattern: /^opex_\d+_growth_rate$/ },
+    dealLTV: { label: 'Deal LTV', pattern: /^dealLTV$/ },
+    terminalCapRate: { label: 'Terminal Cap Rate', pattern: /^terminalCapRate$/ },
+    discountRate: { label: 'Discount Rate', pattern: /^discountRate$/ },
+    disposalCost: { label: 'Disposal Cost', pattern: /^disposalCost$/ },
+    interestRateShift: { label: 'Interest Rate Shift', pattern: /^interestRateShift$/ }
+  };
+
+  /**
+   * @param {ExcelGenerator} excelGenerator - holds the Assumptions cell tracker
+   */
+  constructor(excelGenerator) {
+    if (!excelGenerator) {
+      throw new Error('Scenario runs need the Excel generator');
+    }
+    this.excelGenerator = excelGenerator;
+    this.returnsEngine = new ReturnsEngine();
+  }
+
+  get tracker() {
+    return this.excelGenerator.cellTracker;
+  }
+
+  /**
+   * Single-cell inputs tracked on the Assumptions sheet (ranges are skipped)
+   */
+  getTrackedInputs() {
+    return this.tracker.getNameableCells()
+      .filter(cell => cell.sheetName === 'Assumptions' && !cell.address.includes(':'));
+  }
+
+  /**
+   * Expand driver keys into the data keys they cover: { revenueGrowth: 0.03 } ->
+   * { revenue_0_growth_rate: 0.03, revenue_1_growth_rate: 0.03 }
+   */
+  expandOverrides(overrides) {
+    const inputs = this.getTrackedInputs();
+    const expanded = {};
+
+    Object.entries(overrides || {}).forEach(([key, value]) => {
+      if (value === null || value === undefined || value === '') return;
+      const driver = ScenarioRunner.DRIVERS[key];
+      const matches = driver
+        ? inputs.filter(input => driver.pattern.test(input.dataKey))
+        : inputs.filter(input => input.dataKey === key);
+
+      if (matches.length === 0) {
+        throw new Error(`No tracked Assumptions input for ${key}`);
+      }
+      matches.forEach(input => {
+        expanded[input.dataKey] = value;
+      });
+    });
+
+    return expanded;
+  }
+
+  // The tracked cell, through its workbook name when it has one
+  getInputRange(context, cell) {
+    const name = this.tracker.rangeNames.get(cell.dataKey);
+    if (name) {
+      return context.workbook.names.getItem(name).getRange();
+    }
+    return context.workbook.worksheets.getItem(cell.sheetName).getRange(cell.address);
+  }
+
+  /**
+   * Whether a scenario may override an input cell: typed values, and inputs driven by the
+   * Active Case selector (see ScenarioManager) - not calculated ones
+   */
+  static isOverridable(formula) {
+    return !(typeof formula === 'string' && formula.startsWith('=')) || ScenarioManager.isCaseFormula(formula);
+  }
+
+  /**
+   * Data keys of the tracked inputs a scenario may override
+   */
+  async getOverridableInputs() {
+    await this.excelGenerator.restoreCellTrackers();
+    return Excel.run(async (context) => {
+      const cells = this.getTrackedInputs();
+      const ranges = cells.map(cell => {
+        const range = this.getInputRange(context, cell);
+        range.load('formulas');
+        return range;
+      });
+      await context.sync();
+      return cells.filter((cell, i) => ScenarioRunner.isOverridable(ranges[i].formulas[0][0])).map(cell => cell.dataKey);
+    });
+  }
+
+  /**
+   * Current inputs and returns, without changing anything
+   */
+  async captureBaseline() {
+    return this.run({});
+  }
+
+  /**
+   * Apply overrides, recalculate, read the returns and restore the original inputs
+   * @param {Object} overrides - { dataKey or driver: value }, rates as fractions (0.05 = 5%)
+   * @returns {Object} { overrides, inputs, outputs, ranAt } - inputs are every tracked Assumptions
+   *   input as calculated in the scenario, outputs the Cashflows sheet returns
+   */
+  async run(overrides = {}) {
+    const [snapshot] = await this.runBatch([overrides]);
+    return snapshot;
+  }
+
+  /**
+   * Run several scenarios in one pass - inputs are restored once, after the last run
+   * @param {Array<Object>} overridesList - one overrides object per scenario
+   * @param {Function} onProgress - optional (completed, total) callback
+   * @returns {Array<Object>} one snapshot per scenario (see run)
+   */
+  async runBatch(overridesList, onProgress = null) {
+    await this.excelGenerator.restoreCellTrackers();
+    if (this.getTrackedInputs().length === 0) {
+      throw new Error('No Assumptions inputs are tracked - generate the model first');
+    }
+    const appliedList = overridesList.map(overrides => this.expandOverrides(overrides));
+    const touched = [...new Set(appliedList.flatMap(applied => Object.keys(applied)))];
+
+    return Excel.run(async (context) => {
+      const cells = this.getTrackedInputs();
+      const ranges = new Map();
+      cells.forEach(cell => {
+        const range = this.getInputRange(context, cell);
+        range.load('formulas,values');
+        ranges.set(cell.dataKey, range);
+      });
+      await context.sync();
+
+      // Calculated inputs (equity, debt) follow from the ones they reference
+      touched.forEach(dataKey => {
+        if (!ScenarioRunner.isOverridable(ranges.get(dataKey).formulas[0][0])) {
+          throw new Error(`${dataKey} is calculated on the Assumptions sheet - override its inputs instead`);
+        }
+      });
+
+      const originals = new Map();
+      touched.forEach(dataKey => {
+        originals.set(dataKey, ranges.get(dataKey).formulas);
+      });
+
+      try {
+        const snapshots = [];
+        for (let i = 0; i < appliedList.length; i++) {
+          const applied = appliedList[i];
+          // Inputs an earlier scenario changed go back to their original value first
+          touched.forEach(dataKey => {
+            if (dataKey in applied) {
+              ranges.get(dataKey).values = [[applied[dataKey]]];
+            } else {
+              ranges.get(dataKey).formulas = originals.get(dataKey);
+            }
+          });
+          context.workbook.application.calculate(Excel.CalculationType.full);
+          await context.sync();
+
+          cells.forEach(cell => ranges.get(cell.dataKey).load('values'));
+          const returns = await this.readReturns(context);
+
+          const inputs = {};
+          cells.forEach(cell => {
+            inputs[cell.dataKey] = ranges.get(cell.dataKey).values[0][0];
+          });
+
+          snapshots.push({
+            overrides: { ...overridesList[i] },
+            inputs,
+            outputs: this.buildOutputs(returns, inputs),
+            ranAt: new Date().toISOString()
+          });
+          if (onProgress) onProgress(i + 1, appliedList.length);
+        }
+        return snapshots;
+      } finally {
+        if (originals.size > 0) {
+          originals.forEach((formulas, dataKey) => {
+            ranges.get(dataKey).formulas = formulas;
+          });
+          context.workbook.application.calculate(Excel.CalculationType.full);
+          await context.sync();
+          console.log(`↩️ Restored ${originals.size} Assumptions input(s) after ${appliedList.length} scenario run(s)`);
+        }
+      }
+    });
+  }
+
+  /**
+   * IRR and MOIC cells and the cashflow rows of the Cashflows sheet, located by their labels
+   */
+  async readReturns(context) {
+    const sheet = await this.excelGenerator.findCashflowSheet(context);
+    if (!sheet) {
+      throw new Error('Cashflows sheet not found - generate the FCF sheet first');
+    }
+
+    const usedRange = sheet.getUsedRange();
+    usedRange.load('values, rowIndex, columnIndex');
+    await context.sync();
+    // The used range starts at its first non-empty cell, not necessarily A1
+    const valueColumn = this.excelGenerator.getColumnLetter(usedRange.columnIndex + 1);
+
+    const returns = {
+      unleveredIRR: null,
+      leveredIRR: null,
+      moic: null,
+      unleveredCashflows: [],
+      leveredCashflows: [],
+      cells: { sheetName: sheet.name } // Addresses of the result cells, for formulas that link to them
+    };
+    const resultLabels = { 'unlevered irr': 'unleveredIRR', 'levered irr': 'leveredIRR', 'moic': 'moic' };
+    usedRange.values.forEach((row, index) => {
+      if (!row || !row[0]) return;
+      const label = row[0].toString().trim().toLowerCase();
+
+      const resultKey = resultLabels[label];
+      if (resultKey) {
+        returns[resultKey] = typeof row[1] === 'number' ? row[1] : null;
+        returns.cells[resultKey] = `${valueColumn}${usedRange.rowIndex + index + 1}`;
+      }
+
+      const rowType = this.excelGenerator.getCashflowRowType(row[0]);
+      if (rowType === 'unlevered' && returns.unleveredCashflows.length === 0) {
+        returns.unleveredCashflows = ScenarioRunner.toCashflows(row.slice(1));
+      } else if (rowType === 'levered' && returns.leveredCashflows.length === 0) {
+        returns.leveredCashflows = ScenarioRunner.toCashflows(row.slice(1));
+      }
+    });
+
+    return returns;
+  }
+
+  // Row values to numbers, dropping trailing blank columns ('-' placeholders count as zero)
+  static toCashflows(values) {
+    let count = values.length;
+    while (count > 0 && values[count - 1] === '') count--;
+    return values.slice(0, count).map(value => (typeof value === 'number' ? value : 0));
+  }
+
+  /**
+   * IRRs as read from the sheet (per model period) plus annualised, MOIC and NPV at the scenario's
+   * discount rate for both cashflow strips
+   */
+  buildOutputs(returns, inputs) {
+    const periodType = String(inputs.modelPeriods || 'monthly').toLowerCase();
+    const discountRate = typeof inputs.discountRate === 'number' ? inputs.discountRate : null;
+    const periodicRate = discountRate === null ? null : this.returnsEngine.toPeriodicRate(discountRate, periodType);
+
+    const summarize = (irr, cashflows, moic) => ({
+      irr,
+      annualIRR: irr === null ? null : this.returnsEngine.toAnnualRate(irr, periodType),
+      moic: moic ?? this.returnsEngine.moic(cashflows),
+      npv: periodicRate === null || cashflows.length === 0 ? null : this.returnsEngine.npv(periodicRate, cashflows)
+    });
+
+    return {
+      periodType,
+      cells: returns.cells,
+      unlevered: summarize(returns.unleveredIRR, returns.unleveredCashflows, null),
+      levered: summarize(returns.leveredIRR, returns.leveredCashflows, returns.moic),
+      cashflows: {
+        unlevered: returns.unleveredCashflows,
+        levered: returns.leveredCashflows
+      }
+    };
+  }
+}
+
+// Export for use
+window.ScenarioRunner = ScenarioRunner;
@@ -0,0 +1,153 @@
+/**
+ * SensitivityGrid.js - Two-way sensitivity grids over the generated model
+ * A grid flexes two scenario drivers (see ScenarioRunner.DRIVERS) over a range of values and
+ * records one output for every pair. Axes are centred on the model's current inputs unless an
+ * explicit min/max is given, so the base case sits in the grid; a driver covering several inputs is
+ * flexed as a shift added to each of them. The grids are a snapshot: the sheet keeps the inputs they
+ * were calculated from and flags itself stale once an Assumptions input differs.
+ */
+
+class SensitivityGrid {
+  static DEFAULT_STEPS = 5;
+  static MAX_STEPS = 11;
+
+  // Outputs a grid can show. `cell` names the Cashflows sheet result the live base-case figure links to.
+  static OUTPUTS = {
+    leveredIRR: { label: 'Levered IRR', format: '0.0%', cell: 'leveredIRR', annualise: true, read: outputs => outputs.levered.annualIRR },
+    unleveredIRR: { label: 'Unlevered IRR', format: '0.0%', cell: 'unleveredIRR', annualise: true, read: outputs => outputs.unlevered.annualIRR },
+    leveredMOIC: { label: 'Levered MOIC', format: '0.00"x"', cell: 'moic', read: outputs => outputs.levered.moic },
+    unleveredMOIC: { label: 'Unlevered MOIC', format: '0.00"x"', cell: null, read: outputs => outputs.unlevered.moic },
+    leveredNPV: { label: 'Levered NPV', format: '#,##0;[Red](#,##0);"-"', cell: null, read: outputs => outputs.levered.npv }
+  };
+
+  // Standard grids for the Sensitivities sheet
+  static PRESETS = [
+    { rowVariable: 'terminalCapRate', rowStep: 0.0025, columnVariable: 'revenueGrowth', columnStep: 0.005, output: 'leveredIRR' },
+    { rowVariable: 'dealLTV', rowStep: 0.05, columnVariable: 'interestRateShift', columnStep: 0.005, output: 'leveredIRR' },
+    { rowVariable: 'terminalCapRate', rowStep: 0.0025, columnVariable: 'discountRate', columnStep: 0.01, output: 'leveredNPV' }
+  ];
+
+  // Status the Sensitivities sheet shows (in STATUS_CELL) once an input differs from the snapshot
+  static STALE_STATUS = 'STALE - rerun: Assumptions inputs have changed since these grids were calculated';
+  static STATUS_CELL = 'A3';
+
+  /**
+   * Axis values: `steps` values from min to max, or centred on the base value `step` apart
+   * (an even step count puts the extra value above the base)
+   */
+  static buildAxis(base, { steps, step, min, max }) {
+    const count = Math.max(2, Math.min(SensitivityGrid.MAX_STEPS, parseInt(steps, 10) || SensitivityGrid.DEFAULT_STEPS));
+    const round = value => Math.round(value * 1e10) / 1e10;
+
+    if (typeof min === 'number' && typeof max === 'number') {
+      if (max <= min) throw new Error(`Sensitivity range must run upwards (${min} to ${max})`);
+      return Array.from({ length: count }, (_, i) => round(min + (max - min) * i / (count - 1)));
+    }
+
+    if (!(step > 0)) throw new Error('Sensitivity step must be above zero');
+    const below = Math.floor((count - 1) / 2);
+    return Array.from({ length: count }, (_, i) => round(base + (i - below) * step));
+  }
+
+  /**
+   * Resolve a grid config against the model's current inputs
+   * @param {Object} config - { rowVariable, columnVariable, output, rowSteps, columnSteps,
+   *   rowStep, columnStep, rowMin, rowMax, columnMin, columnMax }
+   * @param {Object} inputs - tracked Assumptions inputs from a ScenarioRunner snapshot
+   */
+  static resolve(config, inputs) {
+    const output = SensitivityGrid.OUTPUTS[config.output];
+    if (!output) throw new Error(`Unknown sensitivity output: ${config.output}`);
+    if (config.rowVariable === config.columnVariable) {
+      throw new Error('A sensitivity grid needs two different variables');
+    }
+
+    const axis = (variable, prefix) => {
+      const driver = ScenarioRunner.DRIVERS[variable];
+      if (!driver) throw new Error(`Unknown sensitivity variable: ${variable}`);
+      const dataKeys = Object.keys(inputs).filter(key => driver.pattern.test(key));
+      if (dataKeys.length === 0 || dataKeys.some(key => typeof inputs[key] !== 'number')) {
+        throw new Error(`${driver.label} is not an input of this model`);
+      }
+      // A driver covering several inputs (every revenue line's growth rate) flexes them together as a
+      // shift from each input's own value, so its axis runs around 0 and a range is read as shifts
+      const shift = dataKeys.length > 1;
+      const base = shift ? 0 : inputs[dataKeys[0]];
+      return {
+        variable,
+        label: shift ? `${driver.label} (shift)` : driver.label,
+        dataKeys,
+        bases: Object.fromEntries(dataKeys.map(key => [key, inputs[key]])),
+        shift,
+        base,
+        values: SensitivityGrid.buildAxis(base, {
+          steps: config[`${prefix}Steps`],
+          step: config[`${prefix}Step`],
+          min: config[`${prefix}Min`],
+          max: config[`${prefix}Max`]
+        })
+      };
+    };
+
+    const row = axis(config.rowVariable, 'row');
+    const column = axis(config.columnVariable, 'column');
+    return {
+      config: { ...config },
+      output: config.output,
+      title: `${output.label}: ${row.label} vs ${column.label}`,
+      row,
+      column,
+      values: null
+    };
+  }
+
+  /**
+   * Overrides for one axis value: the driver itself, or each covered input's own value plus the shift
+   */
+  static axisOverrides(axis, value) {
+    if (!axis.shift) return { [axis.variable]: value };
+    return Object.fromEntries(axis.dataKeys.map(key => [key, Math.round((axis.bases[key] + value) * 1e10) / 1e10]));
+  }
+
+  /**
+   * One overrides object per grid cell, row by row
+   */
+  static scenarios(grid) {
+    return grid.row.values.flatMap(rowValue => grid.column.values.map(columnValue => ({
+      ...SensitivityGrid.axisOverrides(grid.row, rowValue),
+      ...SensitivityGrid.axisOverrides(grid.column, columnValue)
+    })));
+  }
+
+  /**
+   * Fill the grid from the snapshots of its scenarios (same order as scenarios())
+   */
+  static fill(grid, snapshots) {
+    const read = SensitivityGrid.OUTPUTS[grid.output].read;
+    const columns = grid.column.values.length;
+    grid.values = grid.row.values.map((_, i) => grid.column.values.map((_, j) => {
+      const value = read(snapshots[i * columns + j].outputs);
+      return typeof value === 'number' && isFinite(value) ? value : null;
+    }));
+    return grid;
+  }
+
+  /**
+   * Fingerprint of the inputs a set of grids was calculated from (FNV-1a over the sorted
+   * key=value pairs), recorded on the sheet to identify the snapshot
+   */
+  static inputHash(inputs, dataKeys) {
+    let hash = 0x811c9dc5;
+    const text = [...dataKeys].sort()
+      .map(key => `${key}=${typeof inputs[key] === 'number' ? Math.round(inputs[key] * 1e9) / 1e9 : inputs[key]}`)
+      .join(';');
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(16).padStart(8, '0');
+  }
+}
+
+// Export for use
+window.SensitivityGrid = SensitivityGrid;
@@ -0,0 +1,801 @@
+/**
+ * SpreadsheetReader.js - Read uploaded .xlsx/.xls workbooks into cell grids
+ * .xlsx packages are unzipped and their sheet XML parsed; legacy .xls files are read from the
+ * BIFF8 records inside the compound file. Each sheet comes back with addressed cells (cached
+ * value, formula, type) and a value grid, plus a CSV-style text rendering with [[Sheet Name]]
+ * anchors for the text-based extractors.
+ */
+
+class SpreadsheetReader {
+  constructor() {
+    this.maxCellsPerSheet = 250000;
+    this.maxTextRowsPerSheet = 2000;
+  }
+
+  static get SHEET_ANCHOR() {
+    return /^\[\[Sheet (.+)\]\]$/gm;
+  }
+
+  static sheetAnchor(name) {
+    return `[[Sheet ${name}]]`;
+  }
+
+  /**
+   * Read a File/Blob
+   * @returns {Promise<{ type: 'spreadsheet', format: string, sheets: Array, text: string }>}
+   */
+  async read(file) {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    return this.readBytes(bytes, file.name);
+  }
+
+  async readBytes(bytes, fileName = 'workbook') {
+    let workbook;
+    if (bytes[0] === 0x50 && bytes[1] === 0x4B) {
+      workbook = await this.readXlsx(bytes);
+    } else if (bytes[0] === 0xD0 && bytes[1] === 0xCF && bytes[2] === 0x11 && bytes[3] === 0xE0) {
+      workbook = this.readXls(bytes);
+    } else {
+      throw new Error(`${fileName} is not an Excel workbook (.xlsx or .xls)`);
+    }
+
+    workbook.text = this.toText(workbook);
+    const cellCount = workbook.sheets.reduce((sum, sheet) => sum + sheet.cells.length, 0);
+    console.log(`📊 Read ${workbook.sheets.length} sheet(s), ${cellCount} cell(s) from ${fileName}`);
+    return workbook;
+  }
+
+  // ---------------------------------------------------------------------------
+  // .xlsx (Office Open XML)
+  // ---------------------------------------------------------------------------
+
+  async readXlsx(bytes) {
+    const entries = SpreadsheetReader.readZipDirectory(bytes);
+    const readPart = async (path) => {
+      const entry = entries.get(path.replace(/^\//, ''));
+      return entry ? new TextDecoder('utf-8').decode(await SpreadsheetReader.inflateEntry(bytes, entry)) : null;
+    };
+
+    const workbookXml = await readPart('xl/workbook.xml');
+    if (!workbookXml) throw new Error('Workbook package has no xl/workbook.xml');
+
+    const relationships = SpreadsheetReader.parseRelationships(await readPart('xl/_rels/workbook.xml.rels') || '');
+    const sharedStrings = SpreadsheetReader.parseSharedStrings(await readPart('xl/sharedStrings.xml') || '');
+    const dateStyles = SpreadsheetReader.parseDateStyles(await readPart('xl/styles.xml') || '');
+    const date1904 = /<workbookPr\b[^>]*\bdate1904="(?:1|true)"/.test(workbookXml);
+
+    const sheets = [];
+    const sheetTags = workbookXml.match(/<sheet\b[^>]*\/?>/g) || [];
+    for (const tag of sheetTags) {
+      const attributes = SpreadsheetReader.parseAttributes(tag);
+      const target = relationships[attributes['r:id']];
+      if (!target) continue;
+
+      const path = target.startsWith('/') ? target.slice(1) : `xl/${target.replace(/^\.\//, '')}`;
+      const sheetXml = await readPart(path);
+      if (sheetXml === null) continue; // chart sheets and dialog sheets have no cell data
+
+      const cells = this.parseSheetCells(sheetXml, sharedStrings, dateStyles, date1904);
+      sheets.push(this.buildSheet(SpreadsheetReader.decodeXml(attributes.name || `Sheet${sheets.length + 1}`),
+        sheets.length, attributes.state === 'hidden' || attributes.state === 'veryHidden', cells));
+    }
+
+    return { type: 'spreadsheet', format: 'xlsx', sheets };
+  }
+
+  parseSheetCells(xml, sharedStrings, dateStyles, date1904) {
+    const cells = [];
+    const sharedFormulas = {};
+    const cellPattern = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+    let match;
+    let nextRow = 1;
+    let nextCol = 1;
+
+    // Rows without r attributes are numbered in order
+    const rowStarts = [];
+    const rowPattern = /<row\b([^>]*)>/g;
+    while ((match = rowPattern.exec(xml)) !== null) {
+      const rowNumber = parseInt(SpreadsheetReader.parseAttributes(match[1]).r) || (rowStarts.length ? rowStarts[rowStarts.length - 1].row + 1 : 1);
+      rowStarts.push({ index: match.index, row: rowNumber });
+    }
+
+    let rowIndex = -1;
+    while ((match = cellPattern.exec(xml)) !== null) {
+      while (rowIndex + 1 < rowStarts.length && rowStarts[rowIndex + 1].index < match.index) {
+        rowIndex++;
+        nextRow = rowStarts[rowIndex].row;
+        nextCol = 1;
+      }
+
+      const attributes = SpreadsheetReader.parseAttributes(match[1]);
+      const body = match[2] || '';
+      const position = attributes.r ? SpreadsheetReader.parseAddress(attributes.r) : { row: nextRow, col: nextCol };
+      nextCol = position.col + 1;
+
+      const formula = this.readCellFormula(body, position, sharedFormulas);
+      const rawValue = /<v>([\s\S]*?)<\/v>/.exec(body);
+      let value = null;
+      let type = 'number';
+
+      switch (attributes.t) {
+        case 's':
+          value = rawValue ? sharedStrings[parseInt(rawValue[1])] ?? null : null;
+          type = 'string';
+          break;
+        case 'inlineStr':
+          value = SpreadsheetReader.readRichText(body);
+          type = 'string';
+          break;
+        case 'str':
+          value = rawValue ? SpreadsheetReader.decodeXml(rawValue[1]) : '';
+          type = 'string';
+          break;
+        case 'b':
+          value = rawValue ? rawValue[1] === '1' : null;
+          type = 'boolean';
+          break;
+        case 'e':
+          value = rawValue ? SpreadsheetReader.decodeXml(rawValue[1]) : null;
+          type = 'error';
+          break;
+        case 'd':
+          value = rawValue ? rawValue[1].slice(0, 10) : null;
+          type = 'date';
+          break;
+        default:
+          value = rawValue ? parseFloat(rawValue[1]) : null;
+          if (value !== null && dateStyles.has(parseInt(attributes.s))) {
+            value = SpreadsheetReader.serialToDate(value, date1904);
+            type = 'date';
+          }
+      }
+
+      if (value === null && !formula) continue;
+      cells.push({
+        address: SpreadsheetReader.toAddress(position.row, position.col),
+        row: position.row,
+        col: position.col,
+        value,
+        type: value === null ? 'empty' : type,
+        formula,
+        hasFormula: !!formula
+      });
+    }
+
+    return cells;
+  }
+
+  /**
+   * Formula text for a cell, expanding shared formulas from their anchor cell
+   */
+  readCellFormula(body, position, sharedFormulas) {
+    const match = /<f\b([^>]*?)(?:\/>|>([\s\S]*?)<\/f>)/.exec(body);
+    if (!match) return null;
+
+    const attributes = SpreadsheetReader.parseAttributes(match[1]);
+    const text = match[2] ? SpreadsheetReader.decodeXml(match[2]) : '';
+
+    if (attributes.t === 'shared' && attributes.si !== undefined) {
+      if (text) {
+        sharedFormulas[attributes.si] = { formula: text, row: position.row, col: position.col };
+        return `=${text}`;
+      }
+      const anchor = sharedFormulas[attributes.si];
+      return anchor
+        ? `=${SpreadsheetReader.shiftFormula(anchor.formula, position.row - anchor.row, position.col - anchor.col)}`
+        : null;
+    }
+
+    return text ? `=${text}` : null;
+  }
+
+  /**
+   * Move the relative references in a formula by rows/cols ($-anchored parts stay put)
+   */
+  static shiftFormula(formula, rowOffset, colOffset) {
+    return formula.replace(/("[^"]*")|(?<![A-Za-z0-9_.])(\$?)([A-Z]{1,3})(\$?)(\d+)(?![\d(A-Za-z_])/g,
+      (whole, quoted, colAbs, col, rowAbs, row) => {
+        if (quoted) return quoted;
+        const newCol = colAbs ? col : SpreadsheetReader.columnName(SpreadsheetReader.columnNumber(col) + colOffset);
+        const newRow = rowAbs ? row : String(parseInt(row) + rowOffset);
+        return `${colAbs}${newCol}${rowAbs}${newRow}`;
+      });
+  }
+
+  static parseRelationships(xml) {
+    const relationships = {};
+    (xml.match(/<Relationship\b[^>]*\/?>/g) || []).forEach(tag => {
+      const attributes = SpreadsheetReader.parseAttributes(tag);
+      relationships[attributes.Id] = attributes.Target;
+    });
+    return relationships;
+  }
+
+  static parseSharedStrings(xml) {
+    return (xml.match(/<si>[\s\S]*?<\/si>/g) || []).map(item => SpreadsheetReader.readRichText(item));
+  }
+
+  /**
+   * Text of a string item: all <t> runs, skipping phonetic (<rPh>) hints
+   */
+  static readRichText(xml) {
+    const withoutPhonetics = xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '');
+    const runs = withoutPhonetics.match(/<t\b[^>]*>[\s\S]*?<\/t>/g) || [];
+    return runs.map(run => SpreadsheetReader.decodeXml(run.replace(/^<t\b[^>]*>|<\/t>$/g, ''))).join('');
+  }
+
+  /**
+   * Style indexes (cellXfs positions) whose number format is a date or time
+   */
+  static parseDateStyles(xml) {
+    const customFormats = {};
+    (xml.match(/<numFmt\b[^>]*\/?>/g) || []).forEach(tag => {
+      const attributes = SpreadsheetReader.parseAttributes(tag);
+      customFormats[attributes.numFmtId] = SpreadsheetReader.decodeXml(attributes.formatCode || '');
+    });
+
+    const dateStyles = new Set();
+    const cellXfs = /<cellXfs\b[^>]*>([\s\S]*?)<\/cellXfs>/.exec(xml);
+    if (!cellXfs) return dateStyles;
+
+    (cellXfs[1].match(/<xf\b[^>]*\/?>/g) || []).forEach((tag, index) => {
+      const formatId = parseInt(SpreadsheetReader.parseAttributes(tag).numFmtId) || 0;
+      if (SpreadsheetReader.isDateFormat(formatId, customFormats[formatId])) {
+        dateStyles.add(index);
+      }
+    });
+    return dateStyles;
+  }
+
+  static isDateFormat(formatId, formatCode) {
+    if ((formatId >= 14 && formatId <= 22) || (formatId >= 45 && formatId <= 47)) return true;
+    if (!formatCode) return false;
+    const stripped = formatCode.replace(/"[^"]*"|\[[^\]]*\]|\\./g, '');
+    return /[dmyhs]/i.test(stripped) && !/^[#0.,%\s]*$/.test(stripped);
+  }
+
+  // ---------------------------------------------------------------------------
+  // ZIP container
+  // ---------------------------------------------------------------------------
+
+  static readZipDirectory(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let end = -1;
+    for (let offset = bytes.length - 22; offset >= Math.max(0, bytes.length - 65557); offset--) {
+      if (view.getUint32(offset, true) === 0x06054b50) {
+        end = offset;
+        break;
+      }
+    }
+    if (end < 0) throw new Error('Workbook package is not a valid ZIP archive');
+
+    const entryCount = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+    const entries = new Map();
+    const decoder = new TextDecoder('utf-8');
+
+    for (let i = 0; i < entryCount; i++) {
+      if (view.getUint32(offset, true) !== 0x02014b50) break;
+      const method = view.getUint16(offset + 10, true);
+      const compressedSize = view.getUint32(offset + 20, true);
+      const nameLength = view.getUint16(offset + 28, true);
+      const extraLength = view.getUint16(offset + 30, true);
+      const commentLength = view.getUint16(offset + 32, true);
+      const localOffset = view.getUint32(offset + 42, true);
+      const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+      entries.set(name, { name, method, compressedSize, localOffset });
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+  }
+
+  static async inflateEntry(bytes, entry) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const start = entry.localOffset + 30 + view.getUint16(entry.localOffset + 26, true) + view.getUint16(entry.localOffset + 28, true);
+    const data = bytes.subarray(start, start + entry.compressedSize);
+
+    if (entry.method === 0) return data;
+    if (entry.method !== 8) throw new Error(`Unsupported ZIP compression method ${entry.method} for ${entry.name}`);
+    if (typeof DecompressionStream === 'undefined') {
+      throw new Error('This browser cannot decompress .xlsx files (DecompressionStream is unavailable)');
+    }
+
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  // ---------------------------------------------------------------------------
+  // .xls (BIFF8 inside a compound file)
+  // ---------------------------------------------------------------------------
+
+  readXls(bytes) {
+    const stream = SpreadsheetReader.readCompoundStream(bytes, ['Workbook', 'Book']);
+    if (!stream) throw new Error('.xls file has no Workbook stream');
+    const records = SpreadsheetReader.readBiffRecords(stream);
+
+    const bof = records[0];
+    if (!bof || bof.type !== 0x0809 || bof.view.getUint16(0, true) !== 0x0600) {
+      throw new Error('Only Excel 97-2003 (BIFF8) .xls files are supported - please save the file as .xlsx');
+    }
+
+    // Workbook globals: sheet list, shared strings, formats and date mode
+    const boundSheets = [];
+    const formats = {};
+    const xfFormats = [];
+    let sharedStrings = [];
+    let date1904 = false;
+    let index = 1;
+    for (; index < records.length && records[index].type !== 0x000A; index++) {
+      const record = records[index];
+      switch (record.type) {
+        case 0x002F:
+          throw new Error('.xls file is password protected');
+        case 0x0085: {
+          const nameReader = new BiffStringReader([record.data.subarray(6)]);
+          boundSheets.push({
+            offset: record.view.getUint32(0, true),
+            hidden: record.data[4] !== 0,
+            kind: record.data[5],
+            name: nameReader.readString(nameReader.readUint8())
+          });
+          break;
+        }
+        case 0x00FC:
+          sharedStrings = SpreadsheetReader.readBiffSharedStrings(records, index);
+          break;
+        case 0x041E: {
+          const reader = new BiffStringReader([record.data.subarray(2)]);
+          formats[record.view.getUint16(0, true)] = reader.readString(reader.readUint16());
+          break;
+        }
+        case 0x00E0:
+          xfFormats.push(record.view.getUint16(2, true));
+          break;
+        case 0x0022:
+          date1904 = record.view.getUint16(0, true) === 1;
+          break;
+      }
+    }
+
+    const isDateXf = (xf) => {
+      const formatId = xfFormats[xf];
+      return formatId !== undefined && SpreadsheetReader.isDateFormat(formatId, formats[formatId]);
+    };
+
+    const sheets = boundSheets
+      .filter(sheet => sheet.kind === 0)
+      .map((sheet, sheetIndex) => {
+        const start = records.findIndex(record => record.offset === sheet.offset);
+        const cells = start >= 0 ? this.readBiffSheetCells(records, start, sharedStrings, isDateXf, date1904) : [];
+        return this.buildSheet(sheet.name, sheetIndex, sheet.hidden, cells);
+      });
+
+    return { type: 'spreadsheet', format: 'xls', sheets };
+  }
+
+  readBiffSheetCells(records, start, sharedStrings, isDateXf, date1904) {
+    const cells = [];
+    const numeric = (row, col, xf, number, hasFormula = false) => {
+      const isDate = isDateXf(xf);
+      cells.push({ row, col, value: isDate ? SpreadsheetReader.serialToDate(number, date1904) : number,
+        type: isDate ? 'date' : 'number', hasFormula });
+    };
+
+    let pendingFormula = null;
+    for (let i = start + 1; i < records.length && records[i].type !== 0x000A; i++) {
+      const { type, view, data } = records[i];
+      if (type === 0x0809) break;
+
+      switch (type) {
+        case 0x00FD: // LABELSST
+          cells.push({ row: view.getUint16(0, true), col: view.getUint16(2, true),
+            value: sharedStrings[view.getUint32(6, true)] ?? '', type: 'string', hasFormula: false });
+          break;
+        case 0x0204: { // LABEL
+          const reader = new BiffStringReader([data.subarray(6)]);
+          cells.push({ row: view.getUint16(0, true), col: view.getUint16(2, true),
+            value: reader.readString(reader.readUint16()), type: 'string', hasFormula: false });
+          break;
+        }
+        case 0x0203: // NUMBER
+          numeric(view.getUint16(0, true), view.getUint16(2, true), view.getUint16(4, true), view.getFloat64(6, true));
+          break;
+        case 0x027E: // RK
+          numeric(view.getUint16(0, true), view.getUint16(2, true), view.getUint16(4, true), SpreadsheetReader.decodeRk(view.getUint32(6, true)));
+          break;
+        case 0x00BD: { // MULRK
+          const row = view.getUint16(0, true);
+          const firstCol = view.getUint16(2, true);
+          const count = (data.length - 6) / 6;
+          for (let n = 0; n < count; n++) {
+            numeric(row, firstCol + n, view.getUint16(4 + n * 6, true), SpreadsheetReader.decodeRk(view.getUint32(6 + n * 6, true)));
+          }
+          break;
+        }
+        case 0x0205: { // BOOLERR
+          const isError = data[7] === 1;
+          cells.push({ row: view.getUint16(0, true), col: view.getUint16(2, true),
+            value: isError ? SpreadsheetReader.biffErrorText(data[6]) : data[6] === 1,
+            type: isError ? 'error' : 'boolean', hasFormula: false });
+          break;
+        }
+        case 0x0006: { // FORMULA (cached result; the parsed expression is not decoded)
+          const row = view.getUint16(0, true);
+          const col = view.getUint16(2, true);
+          if (view.getUint16(12, true) !== 0xFFFF) {
+            numeric(row, col, view.getUint16(4, true), view.getFloat64(6, true), true);
+          } else if (data[6] === 0) {
+            pendingFormula = { row, col, type: 'string', hasFormula: true };
+            cells.push(pendingFormula);
+          } else if (data[6] === 1) {
+            cells.push({ row, col, value: data[8] === 1, type: 'boolean', hasFormula: true });
+          } else if (data[6] === 2) {
+            cells.push({ row, col, value: SpreadsheetReader.biffErrorText(data[8]), type: 'error', hasFormula: true });
+          } else {
+            cells.push({ row, col, value: '', type: 'string', hasFormula: true });
+          }
+          break;
+        }
+        case 0x0207: // STRING result of the preceding string formula
+          if (pendingFormula) {
+            const reader = new BiffStringReader([data]);
+            pendingFormula.value = reader.readString(reader.readUint16());
+            pendingFormula = null;
+          }
+          break;
+      }
+    }
+
+    // BIFF rows and columns are zero-based
+    return cells.map(cell => ({
+      address: SpreadsheetReader.toAddress(cell.row + 1, cell.col + 1),
+      row: cell.row + 1,
+      col: cell.col + 1,
+      value: cell.value ?? null,
+      type: cell.type,
+      formula: null,
+      hasFormula: cell.hasFormula
+    }));
+  }
+
+  static readBiffSharedStrings(records, index) {
+    // The SST continues across CONTINUE records; strings may split between them
+    const segments = [records[index].data];
+    for (let i = index + 1; i < records.length && records[i].type === 0x003C; i++) {
+      segments.push(records[i].data);
+    }
+
+    const reader = new BiffStringReader(segments);
+    reader.skip(4);
+    const count = reader.readUint32();
+    const strings = [];
+    for (let n = 0; n < count && !reader.isAtEnd(); n++) {
+      strings.push(reader.readString(reader.readUint16(), true));
+    }
+    return strings;
+  }
+
+  static readBiffRecords(stream) {
+    const view = new DataView(stream.buffer, stream.byteOffset, stream.byteLength);
+    const records = [];
+    let offset = 0;
+    while (offset + 4 <= stream.length) {
+      const type = view.getUint16(offset, true);
+      const length = view.getUint16(offset + 2, true);
+      const data = stream.subarray(offset + 4, offset + 4 + length);
+      records.push({ type, offset, data, view: new DataView(data.buffer, data.byteOffset, data.byteLength) });
+      offset += 4 + length;
+    }
+    return records;
+  }
+
+  static decodeRk(rk) {
+    let value;
+    if (rk & 0x02) {
+      value = rk >> 2;
+    } else {
+      const buffer = new DataView(new ArrayBuffer(8));
+      buffer.setUint32(0, 0, true);
+      buffer.setUint32(4, rk & 0xFFFFFFFC, true);
+      value = buffer.getFloat64(0, true);
+    }
+    return rk & 0x01 ? value / 100 : value;
+  }
+
+  static biffErrorText(code) {
+    return { 0x00: '#NULL!', 0x07: '#DIV/0!', 0x0F: '#VALUE!', 0x17: '#REF!', 0x1D: '#NAME?', 0x24: '#NUM!', 0x2A: '#N/A' }[code] || '#ERROR!';
+  }
+
+  /**
+   * Read a named stream from an OLE compound file
+   */
+  static readCompoundStream(bytes, names) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const sectorSize = 1 << view.getUint16(30, true);
+    const miniSectorSize = 1 << view.getUint16(32, true);
+    const firstDirectorySector = view.getInt32(48, true);
+    const miniStreamCutoff = view.getUint32(56, true);
+    const firstMiniFatSector = view.getInt32(60, true);
+    let difatSector = view.getInt32(68, true);
+    const sectorOffset = (sector) => (sector + 1) * sectorSize;
+
+    // Sector allocation table, located through the header DIFAT and any DIFAT sectors
+    const fatSectors = [];
+    for (let i = 0; i < 109; i++) {
+      const sector = view.getInt32(76 + i * 4, true);
+      if (sector >= 0) fatSectors.push(sector);
+    }
+    while (difatSector >= 0 && sectorOffset(difatSector) < bytes.length) {
+      const base = sectorOffset(difatSector);
+      for (let i = 0; i < sectorSize / 4 - 1; i++) {
+        const sector = view.getInt32(base + i * 4, true);
+        if (sector >= 0) fatSectors.push(sector);
+      }
+      difatSector = view.getInt32(base + sectorSize - 4, true);
+    }
+    const fat = [];
+    fatSectors.forEach(sector => {
+      const base = sectorOffset(sector);
+      for (let i = 0; i < sectorSize / 4; i++) fat.push(view.getInt32(base + i * 4, true));
+    });
+
+    const readChain = (start, table, read, size) => {
+      const parts = [];
+      const seen = new Set();
+      for (let sector = start; sector >= 0 && !seen.has(sector) && sector < table.length; sector = table[sector]) {
+        seen.add(sector);
+        parts.push(read(sector));
+      }
+      const joined = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+      let offset = 0;
+      parts.forEach(part => { joined.set(part, offset); offset += part.length; });
+      return size === undefined ? joined : joined.subarray(0, size);
+    };
+    const readSector = (sector) => bytes.subarray(sectorOffset(sector), sectorOffset(sector) + sectorSize);
+
+    const directory = readChain(firstDirectorySector, fat, readSector);
+    const directoryView = new DataView(directory.buffer, directory.byteOffset, directory.byteLength);
+    const entries = [];
+    for (let offset = 0; offset + 128 <= directory.length; offset += 128) {
+      const nameLength = directoryView.getUint16(offset + 64, true);
+      let name = '';
+      for (let i = 0; i + 2 < nameLength; i += 2) name += String.fromCharCode(directoryView.getUint16(offset + i, true));
+      entries.push({
+        name,
+        type: directory[offset + 66],
+        start: directoryView.getInt32(offset + 116, true),
+        size: directoryView.getUint32(offset + 120, true)
+      });
+    }
+
+    const entry = entries.find(candidate => candidate.type === 2 && names.includes(candidate.name));
+    if (!entry) return null;
+    if (entry.size >= miniStreamCutoff) return readChain(entry.start, fat, readSector, entry.size);
+
+    // Small streams live in the mini stream, held by the root entry
+    const root = entries.find(candidate => candidate.type === 5);
+    const miniStream = readChain(root.start, fat, readSector, root.size);
+    const miniFatBytes = readChain(firstMiniFatSector, fat, readSector);
+    const miniFatView = new DataView(miniFatBytes.buffer, miniFatBytes.byteOffset, miniFatBytes.byteLength);
+    const miniFat = [];
+    for (let i = 0; i + 4 <= miniFatBytes.length; i += 4) miniFat.push(miniFatView.getInt32(i, true));
+    return readChain(entry.start, miniFat,
+      (sector) => miniStream.subarray(sector * miniSectorSize, (sector + 1) * miniSectorSize), entry.size);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Output
+  // ---------------------------------------------------------------------------
+
+  buildSheet(name, index, hidden, cells) {
+    cells.sort((a, b) => (a.row - b.row) || (a.col - b.col));
+    const rowCount = cells.reduce((max, cell) => Math.max(max, cell.row), 0);
+    const columnCount = cells.reduce((max, cell) => Math.max(max, cell.col), 0);
+
+    let grid = null;
+    if (rowCount * columnCount <= this.maxCellsPerSheet) {
+      grid = Array.from({ length: rowCount }, () => new Array(columnCount).fill(null));
+      cells.forEach(cell => { grid[cell.row - 1][cell.col - 1] = cell.value; });
+    } else {
+      console.warn(`📊 Sheet ${name} spans ${rowCount}×${columnCount} cells; skipping the value grid`);
+    }
+
+    return {
+      name,
+      index,
+      hidden,
+      dimension: rowCount ? `A1:${SpreadsheetReader.toAddress(rowCount, columnCount)}` : null,
+      rowCount,
+      columnCount,
+      cells,
+      grid
+    };
+  }
+
+  /**
+   * CSV-style rendering: a [[Sheet Name]] anchor, then one line per row with raw values
+   */
+  toText(workbook) {
+    return workbook.sheets.map(sheet => {
+      const rows = new Map();
+      sheet.cells.forEach(cell => {
+        if (cell.value === null || cell.value === '') return;
+        if (!rows.has(cell.row)) rows.set(cell.row, []);
+        rows.get(cell.row)[cell.col - 1] = cell.value;
+      });
+
+      const lines = [SpreadsheetReader.sheetAnchor(sheet.name)];
+      [...rows.keys()].slice(0, this.maxTextRowsPerSheet).forEach(row => {
+        const values = Array.from(rows.get(row), value => SpreadsheetReader.toCsvValue(value));
+        lines.push(values.join(','));
+      });
+      if (rows.size > this.maxTextRowsPerSheet) {
+        lines.push(`(${rows.size - this.maxTextRowsPerSheet} more rows not shown)`);
+      }
+      return lines.join('\n');
+    }).join('\n\n');
+  }
+
+  static toCsvValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Rows whose first text cell matches labelPattern, with the first number to its right
+   * @returns {Array<{ sheet: string, label: string, value: number, address: string }>}
+   */
+  static findLabelledValues(workbook, labelPattern) {
+    const results = [];
+    (workbook?.sheets || []).forEach(sheet => {
+      const rows = new Map();
+      sheet.cells.forEach(cell => {
+        if (!rows.has(cell.row)) rows.set(cell.row, []);
+        rows.get(cell.row).push(cell);
+      });
+
+      rows.forEach(cells => {
+        const labelCell = cells.find(cell => cell.type === 'string' && String(cell.value).trim() !== '');
+        if (!labelCell || !labelPattern.test(labelCell.value)) return;
+        const valueCell = cells.find(cell => cell.col > labelCell.col && cell.type === 'number');
+        if (!valueCell) return;
+        results.push({
+          sheet: sheet.name,
+          label: String(labelCell.value).trim(),
+          value: valueCell.value,
+          address: `${sheet.name}!${valueCell.address}`
+        });
+      });
+    });
+    return results;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Helpers
+  // ---------------------------------------------------------------------------
+
+  static parseAttributes(tag) {
+    const attributes = {};
+    const pattern = /([\w:]+)="([^"]*)"/g;
+    let match;
+    while ((match = pattern.exec(tag)) !== null) {
+      attributes[match[1]] = match[2];
+    }
+    return attributes;
+  }
+
+  static decodeXml(text) {
+    return String(text)
+      .replace(/_x([0-9A-Fa-f]{4})_/g, (m, hex) => String.fromCharCode(parseInt(hex, 16)))
+      .replace(/&#x([0-9A-Fa-f]+);/g, (m, hex) => String.fromCodePoint(parseInt(hex, 16)))
+      .replace(/&#(\d+);/g, (m, code) => String.fromCodePoint(parseInt(code, 10)))
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, '&');
+  }
+
+  static parseAddress(address) {
+    const match = /^\$?([A-Z]+)\$?(\d+)$/.exec(address);
+    return match ? { col: SpreadsheetReader.columnNumber(match[1]), row: parseInt(match[2]) } : { col: 1, row: 1 };
+  }
+
+  static columnNumber(name) {
+    return name.split('').reduce((number, letter) => number * 26 + letter.charCodeAt(0) - 64, 0);
+  }
+
+  static columnName(number) {
+    let name = '';
+    for (let n = number; n > 0; n = Math.floor((n - 1) / 26)) {
+      name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+  }
+
+  static toAddress(row, col) {
+    return `${SpreadsheetReader.columnName(col)}${row}`;
+  }
+
+  /**
+   * Excel serial date → 'YYYY-MM-DD' (or ISO date-time when the serial has a time part)
+   */
+  static serialToDate(serial, date1904 = false) {
+    const epoch = date1904 ? Date.UTC(1904, 0, 1) : Date.UTC(1899, 11, 30);
+    const date = new Date(epoch + Math.round(serial * 86400000));
+    const iso = date.toISOString();
+    return serial % 1 === 0 ? iso.slice(0, 10) : iso.slice(0, 19);
+  }
+}
+
+/**
+ * Sequential reader over BIFF record data split across CONTINUE records. Unicode strings that
+ * cross a record boundary restart with a fresh option byte, per the BIFF8 spec.
+ */
+class BiffStringReader {
+  constructor(segments) {
+    this.segments = segments;
+    this.segment = 0;
+    this.offset = 0;
+  }
+
+  isAtEnd() {
+    return this.segment >= this.segments.length
+      || (this.segment === this.segments.length - 1 && this.offset >= this.segments[this.segment].length);
+  }
+
+  ensureData() {
+    while (this.segment < this.segments.length && this.offset >= this.segments[this.segment].length) {
+      this.segment++;
+      this.offset = 0;
+    }
+    if (this.segment >= this.segments.length) throw new Error('Unexpected end of .xls record data');
+  }
+
+  readUint8() {
+    this.ensureData();
+    return this.segments[this.segment][this.offset++];
+  }
+
+  readUint16() {
+    return this.readUint8() | (this.readUint8() << 8);
+  }
+
+  readUint32() {
+    return (this.readUint16() | (this.readUint16() << 16)) >>> 0;
+  }
+
+  skip(count) {
+    for (let i = 0; i < count; i++) this.readUint8();
+  }
+
+  /**
+   * XLUnicodeString body after its character count: option flags, then characters.
+   * Rich-text runs and East Asian extension data (SST strings) are skipped.
+   */
+  readString(charCount, allowExtensions = false) {
+    const flags = this.readUint8();
+    let highByte = (flags & 0x01) !== 0;
+    const runCount = allowExtensions && (flags & 0x08) ? this.readUint16() : 0;
+    const extensionSize = allowExtensions && (flags & 0x04) ? this.readUint32() : 0;
+
+    let text = '';
+    for (let n = 0; n < charCount; n++) {
+      if (this.offset >= this.segments[this.segment].length && this.segment + 1 < this.segments.length) {
+        // Continued in the next record: a new option byte says whether the rest is 8- or 16-bit
+        this.segment++;
+        this.offset = 0;
+        highByte = (this.readUint8() & 0x01) !== 0;
+      }
+      text += String.fromCharCode(highByte ? this.readUint16() : this.readUint8());
+    }
+
+    this.skip(runCount * 4 + extensionSize);
+    return text;
+  }
+}
+
+// Export for use
+window.SpreadsheetReader = SpreadsheetReader;
@@ -0,0 +1,104 @@
+/**
+ * TornadoAnalysis.js - One-way sensitivity of every Assumptions input
+ * Each input is moved down and up by a band around its current value with everything else held,
+ * the workbook is recalculated for both, and the inputs are ranked by how far the output swings.
+ */
+
+class TornadoAnalysis {
+  static DEFAULT_BAND = 0.1; // ±10% of each input's value
+
+  // Inputs that are timing, labels, flags or covenant tests rather than value drivers
+  static EXCLUDED = /^(projectStartDate|projectEndDate|modelPeriods|currency|rent_roll_date|rent_roll_breaks)$|_(name|start|end|review|expiry|break|area)$|^covenant|^fx_/;
+
+  // Rate inputs (fractions), which an absolute band moves by points instead
+  static RATES = /_growth_rate$|_indexation$|^rent_roll_erv_growth$|^rent_roll_renewal$|^(transactionFee|dealLTV|loanIssuanceFees|cashSweepPercent|interestRateShift|inflationRate|disposalCost|terminalCapRate|discountRate)$/;
+
+  /**
+   * Readable name for an input, using the line item's own name where it has one
+   * (revenue_0_growth_rate -> "Rental Income Growth")
+   */
+  static label(dataKey, inputs = {}) {
+    const item = /^(revenue|opex|capex|tenant)_(\d+)(?:_(.+))?$/.exec(dataKey);
+    const itemName = item && inputs[`${item[1]}_${item[2]}_name`];
+    if (itemName) {
+      const suffixes = { growth_rate: 'Growth', indexation: 'Indexation', erv: 'ERV' };
+      const suffix = item[3] ? suffixes[item[3]] || item[3].replace(/_/g, ' ') : item[1] === 'tenant' ? 'Rent' : '';
+      return suffix ? `${itemName} ${suffix}` : String(itemName);
+    }
+    return CellTracker.toRangeName(dataKey).replace(/_/g, ' ');
+  }
+
+  /**
+   * Flexed values for every eligible input
+   * @param {Object} config - { output, band (fraction of each value), rateBand (optional absolute
+   *   move for rate inputs, e.g. 0.01 = ±1 point) }
+   * @param {Object} inputs - tracked Assumptions inputs from a ScenarioRunner snapshot
+   * @param {Array<string>} overridable - data keys holding typed values (ScenarioRunner.getOverridableInputs)
+   */
+  static resolve(config, inputs, overridable) {
+    const outputKey = config.output || 'leveredIRR';
+    if (!SensitivityGrid.OUTPUTS[outputKey]) throw new Error(`Unknown tornado output: ${outputKey}`);
+    const band = config.band ?? TornadoAnalysis.DEFAULT_BAND;
+    if (!(band > 0 && band < 1)) throw new Error('The tornado band must be between 0% and 100%');
+    const rateBand = typeof config.rateBand === 'number' && config.rateBand > 0 ? config.rateBand : null;
+    const round = value => Math.round(value * 1e10) / 1e10;
+
+    const drivers = [];
+    overridable.forEach(dataKey => {
+      const base = inputs[dataKey];
+      if (TornadoAnalysis.EXCLUDED.test(dataKey) || typeof base !== 'number' || !isFinite(base)) return;
+
+      const absolute = rateBand !== null && TornadoAnalysis.RATES.test(dataKey);
+      const move = absolute ? rateBand : Math.abs(base) * band;
+      if (move === 0) return; // A zero input has no relative band
+
+      drivers.push({
+        dataKey,
+        label: TornadoAnalysis.label(dataKey, inputs),
+        base,
+        low: round(base - move),
+        high: round(base + move),
+        absolute
+      });
+    });
+    if (drivers.length === 0) throw new Error('No Assumptions inputs can be flexed - generate the model first');
+
+    return { output: outputKey, band, rateBand, drivers, baseOutput: null, ranAt: null };
+  }
+
+  /**
+   * Two overrides objects per driver - low, then high
+   */
+  static scenarios(analysis) {
+    return analysis.drivers.flatMap(driver => [{ [driver.dataKey]: driver.low }, { [driver.dataKey]: driver.high }]);
+  }
+
+  /**
+   * Outputs from the snapshots of its scenarios (same order as scenarios()), ranked by swing
+   */
+  static fill(analysis, snapshots, baseline) {
+    const read = SensitivityGrid.OUTPUTS[analysis.output].read;
+    const value = outputs => {
+      const result = read(outputs);
+      return typeof result === 'number' && isFinite(result) ? result : null;
+    };
+
+    analysis.baseOutput = value(baseline.outputs);
+    analysis.drivers.forEach((driver, i) => {
+      driver.lowOutput = value(snapshots[2 * i].outputs);
+      driver.highOutput = value(snapshots[2 * i + 1].outputs);
+      const change = output => (output === null || analysis.baseOutput === null ? null : output - analysis.baseOutput);
+      driver.lowChange = change(driver.lowOutput);
+      driver.highChange = change(driver.highOutput);
+      driver.swing = driver.lowOutput === null || driver.highOutput === null ? null : Math.abs(driver.highOutput - driver.lowOutput);
+    });
+
+    // Largest swing first; inputs whose output could not be calculated go last
+    analysis.drivers.sort((a, b) => (b.swing ?? -1) - (a.swing ?? -1));
+    analysis.ranAt = new Date().toISOString();
+    return analysis;
+  }
+}
+
+// Export for use
+window.TornadoAnalysis = TornadoAnalysis;
@@ -0,0 +1,152 @@
+/**
+ * WorkbookStateStore.js - Model state embedded in the workbook
+ * Stores the taskpane inputs, the model data passed to ExcelGenerator, the cell tracker map
+ * and extraction provenance inside the .xlsx (a custom XML part, or the document settings on
+ * hosts without ExcelApi 1.5) so the model can be audited and regenerated on another machine.
+ */
+
+class WorkbookStateStore {
+  constructor() {
+    this.namespace = 'urn:ma-modeling:model-state';
+    this.settingsKey = 'maModelState';
+  }
+
+  static get SCHEMA_VERSION() {
+    return 1;
+  }
+
+  isXmlPartSupported() {
+    return typeof Office !== 'undefined'
+      && Office.context && Office.context.requirements
+      && Office.context.requirements.isSetSupported('ExcelApi', '1.5');
+  }
+
+  getSettings() {
+    return typeof Office !== 'undefined' && Office.context && Office.context.document
+      ? Office.context.document.settings
+      : null;
+  }
+
+  /**
+   * Save the state payload ({ formData, modelData, cellTrackers, provenance })
+   */
+  async save(state) {
+    const payload = {
+      ...state,
+      schemaVersion: WorkbookStateStore.SCHEMA_VERSION,
+      savedAt: new Date().toISOString()
+    };
+
+    if (this.isXmlPartSupported()) {
+      const xml = WorkbookStateStore.toXml(payload, this.namespace);
+      await Excel.run(async (context) => {
+        const part = context.workbook.customXmlParts.getByNamespace(this.namespace).getOnlyItemOrNullObject();
+        await context.sync();
+
+        if (part.isNullObject) {
+          context.workbook.customXmlParts.add(xml);
+        } else {
+          part.setXml(xml);
+        }
+        await context.sync();
+      });
+      return payload;
+    }
+
+    const settings = this.getSettings();
+    if (!settings) throw new Error('Workbook storage is not available');
+    settings.set(this.settingsKey, payload);
+    await new Promise((resolve, reject) => {
+      settings.saveAsync(result => {
+        if (result && result.status === Office.AsyncResultStatus.Failed) {
+          reject(new Error(result.error.message));
+        } else {
+          resolve();
+        }
+      });
+    });
+    return payload;
+  }
+
+  /**
+   * Load the saved payload, or null if the workbook has none
+   */
+  async load() {
+    let payload = null;
+
+    if (this.isXmlPartSupported()) {
+      payload = await Excel.run(async (context) => {
+        const part = context.workbook.customXmlParts.getByNamespace(this.namespace).getOnlyItemOrNullObject();
+        await context.sync();
+        if (part.isNullObject) return null;
+
+        const xml = part.getXml();
+        await context.sync();
+        return WorkbookStateStore.fromXml(xml.value);
+      });
+    } else {
+      const settings = this.getSettings();
+      payload = settings ? settings.get(this.settingsKey) : null;
+    }
+
+    if (payload && payload.schemaVersion > WorkbookStateStore.SCHEMA_VERSION) {
+      console.warn(`⚠️ Workbook model state uses schema v${payload.schemaVersion}; this add-in supports v${WorkbookStateStore.SCHEMA_VERSION}`);
+    }
+    return payload || null;
+  }
+
+  async clear() {
+    if (this.isXmlPartSupported()) {
+      await Excel.run(async (context) => {
+        const part = context.workbook.customXmlParts.getByNamespace(this.namespace).getOnlyItemOrNullObject();
+        await context.sync();
+        if (!part.isNullObject) part.delete();
+        await context.sync();
+      });
+      return;
+    }
+
+    const settings = this.getSettings();
+    if (settings) {
+      settings.remove(this.settingsKey);
+      await new Promise(resolve => settings.saveAsync(() => resolve()));
+    }
+  }
+
+  static toXml(payload, namespace) {
+    const escaped = JSON.stringify(payload)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+    return `<modelState xmlns="${namespace}" schemaVersion="${payload.schemaVersion}">${escaped}</modelState>`;
+  }
+
+  static fromXml(xml) {
+    const match = /<modelState[^>]*>([\s\S]*)<\/modelState>/.exec(xml || '');
+    if (!match) return null;
+    const json = match[1]
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&amp;/g, '&');
+    try {
+      return JSON.parse(json);
+    } catch (error) {
+      console.warn('⚠️ Workbook model state could not be parsed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Form fields whose values differ between two saved form snapshots (metadata ignored)
+   */
+  static diffFormData(a = {}, b = {}) {
+    const ignored = ['savedAt', 'version', 'schemaVersion'];
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return [...keys]
+      .filter(key => !ignored.includes(key))
+      .filter(key => JSON.stringify(a[key] ?? '') !== JSON.stringify(b[key] ?? ''));
+  }
+}
+
+// Export for use
+window.WorkbookStateStore = WorkbookStateStore;
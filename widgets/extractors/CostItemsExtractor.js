@@ -45,7 +45,7 @@ class CostItemsExtractor {
       const scoredData = this.scoreConfidence(enrichedData, files);
       
       // Step 6: Standardize the data
-      const standardized = await this.standardizer.standardize(scoredData);
+      const standardized = await this.standardizer.standardize(scoredData, { files });
       
       console.log('💸 Cost items extraction complete:', standardized);
       return standardized;
@@ -136,6 +136,9 @@ Return ONLY this structure with actual values found or null:
    */
   enhanceWithParsing(aiData, files) {
     const enhanced = { ...aiData };
+    ['operatingExpenses', 'capitalExpenses'].forEach(field => {
+      if (enhanced[field] !== undefined) enhanced[field] = CostItemsExtractor.toExpenseList(enhanced[field]);
+    });
     
     // Combine all file contents
     const allContent = files
@@ -185,13 +188,10 @@ Return ONLY this structure with actual values found or null:
   }
 
   /**
-   * Extract operating expenses using pattern matching
+   * Common operating expense categories and the keywords that identify them
    */
-  extractOperatingExpenses(text) {
-    const expenses = [];
-    
-    // Common operating expense categories
-    const opExCategories = {
+  static get OPEX_CATEGORIES() {
+    return {
       'personnel': ['salaries', 'wages', 'benefits', 'bonuses', 'payroll', 'staff costs', 'employee costs'],
       'office': ['rent', 'utilities', 'office expenses', 'facilities', 'insurance', 'office space'],
       'marketing': ['marketing', 'advertising', 'promotion', 'sales expense', 'customer acquisition'],
@@ -199,6 +199,15 @@ Return ONLY this structure with actual values found or null:
       'technology': ['software', 'IT services', 'cloud costs', 'technology expenses', 'software licenses'],
       'other': ['travel', 'entertainment', 'general administrative', 'miscellaneous', 'other expenses']
     };
+  }
+
+  /**
+   * Extract operating expenses using pattern matching
+   */
+  extractOperatingExpenses(text) {
+    const expenses = [];
+    
+    const opExCategories = CostItemsExtractor.OPEX_CATEGORIES;
     
     // Pattern 1: Direct expense mentions
     const expensePatterns = [
@@ -601,6 +610,19 @@ Return ONLY this structure with actual values found or null:
     return unique.sort((a, b) => b.value - a.value);
   }
 
+  /**
+   * Expense items as an array, whatever shape the AI returned them in: an array, a scored
+   * { value: [...] } field, or a { name: value } map. Anything else gives no items.
+   */
+  static toExpenseList(value) {
+    if (Array.isArray(value)) return value;
+    if (!value || typeof value !== 'object') return [];
+    if ('value' in value) return Array.isArray(value.value) ? value.value : [];
+    return Object.entries(value).map(([name, item]) => (
+      item && typeof item === 'object' ? { name, ...item } : { name, value: item }
+    ));
+  }
+
   /**
    * Classify and validate expense items
    */
@@ -609,7 +631,7 @@ Return ONLY this structure with actual values found or null:
     
     // Validate operating expenses
     if (validated.operatingExpenses) {
-      validated.operatingExpenses = validated.operatingExpenses.filter(expense => {
+      validated.operatingExpenses = CostItemsExtractor.toExpenseList(validated.operatingExpenses).filter(expense => {
         if (!expense.name || !expense.value || expense.value <= 0) {
           return false;
         }
@@ -628,7 +650,7 @@ Return ONLY this structure with actual values found or null:
     
     // Validate capital expenses
     if (validated.capitalExpenses) {
-      validated.capitalExpenses = validated.capitalExpenses.filter(expense => {
+      validated.capitalExpenses = CostItemsExtractor.toExpenseList(validated.capitalExpenses).filter(expense => {
         if (!expense.name || !expense.value || expense.value <= 0) {
           return false;
         }
@@ -45,7 +45,7 @@ class DealAssumptionsExtractor {
       const scoredData = this.scoreConfidence(completeData, files);
       
       // Step 6: Standardize the data
-      const standardized = await this.standardizer.standardize(scoredData);
+      const standardized = await this.standardizer.standardize(scoredData, { files });
       
       console.log('💼 Deal assumptions extraction complete:', standardized);
       return standardized;
@@ -511,9 +511,11 @@ Return ONLY these fields with actual values found or null:
    */
   calculateDerivedValues(data) {
     const derived = { ...data };
+    // Amounts still in the documents' format ("18.750.000,00") are left to the standardizer
+    const isNumber = (field) => typeof field?.value === 'number' && isFinite(field.value) && field.value !== 0;
     
     // Calculate missing equity/debt from deal value and LTV
-    if (derived.dealValue?.value && derived.dealLTV?.value) {
+    if (isNumber(derived.dealValue) && isNumber(derived.dealLTV)) {
       const dealValue = derived.dealValue.value;
       const ltvPercent = derived.dealLTV.value;
       
@@ -535,7 +537,7 @@ Return ONLY these fields with actual values found or null:
     }
     
     // Calculate missing deal value from equity + debt
-    if (!derived.dealValue?.value && derived.equityContribution?.value && derived.debtFinancing?.value) {
+    if (!derived.dealValue?.value && isNumber(derived.equityContribution) && isNumber(derived.debtFinancing)) {
       derived.dealValue = {
         value: derived.equityContribution.value + derived.debtFinancing.value,
         confidence: Math.min(derived.equityContribution.confidence, derived.debtFinancing.confidence),
@@ -544,7 +546,7 @@ Return ONLY these fields with actual values found or null:
     }
     
     // Calculate missing LTV from debt and deal value
-    if (!derived.dealLTV?.value && derived.debtFinancing?.value && derived.dealValue?.value) {
+    if (!derived.dealLTV?.value && isNumber(derived.debtFinancing) && isNumber(derived.dealValue)) {
       derived.dealLTV = {
         value: (derived.debtFinancing.value / derived.dealValue.value) * 100,
         confidence: Math.min(derived.debtFinancing.confidence, derived.dealValue.confidence),
@@ -45,7 +45,7 @@ class DebtModelExtractor {
       const scoredData = this.scoreConfidence(enrichedData, files);
       
       // Step 6: Standardize the data
-      const standardized = await this.standardizer.standardize(scoredData);
+      const standardized = await this.standardizer.standardize(scoredData, { files });
       
       console.log('🏦 Debt model extraction complete:', standardized);
       return standardized;
@@ -60,57 +60,6 @@ class DebtModelExtractor {
    * Use AI service to extract debt parameters
    */
   async extractWithAI(files) {
-    const prompt = `Extract debt financing and loan parameters from these financial documents.
-
-Focus on identifying:
-
-1. INTEREST RATE STRUCTURE:
-   - Fixed interest rates (%)
-   - Floating/Variable rates
-   - Base rates (LIBOR, SOFR, Prime, etc.)
-   - Credit spreads/margins (%)
-   - Rate adjustment mechanisms
-
-2. LOAN FEES:
-   - Loan issuance/arrangement fees (%)
-   - Origination fees
-   - Commitment fees
-   - Agency fees
-   - Legal and due diligence costs
-
-3. LOAN TERMS:
-   - Loan amount/facility size
-   - Loan term/maturity (years)
-   - Amortization schedule
-   - Prepayment penalties
-   - Financial covenants
-
-4. DEBT STRUCTURE:
-   - Senior debt vs. subordinated
-   - Term loans vs. revolving credit
-   - Secured vs. unsecured
-   - Currency of borrowing
-   - Draw-down schedule
-
-Look for loan agreements, term sheets, and financing proposals.
-Extract actual values only - do not estimate or assume.
-
-Return ONLY this structure with actual values found or null:
-{
-  "loanIssuanceFees": percentage_as_number_or_null,
-  "interestRateType": "fixed|floating|null",
-  "interestRate": percentage_as_number_or_null,
-  "baseRate": percentage_as_number_or_null,
-  "creditMargin": percentage_as_number_or_null,
-  "loanTerm": numeric_years_or_null,
-  "loanAmount": numeric_amount_or_null,
-  "commitmentFee": percentage_as_number_or_null,
-  "prepaymentPenalty": percentage_as_number_or_null,
-  "debtType": "senior|subordinated|revolving|term|null",
-  "debtCurrency": "USD|EUR|GBP|etc or null",
-  "amortizationType": "bullet|linear|custom|null"
-}`;
-
     try {
       const extraction = await this.extractionService.extractFromDocuments(
         files,
@@ -184,7 +133,165 @@ Return ONLY this structure with actual values found or null:
       }
     }
     
-    return enhanced;
+    // Extract base rate floor
+    if (!enhanced.rateFloor) {
+      const floor = this.extractRateFloor(allContent);
+      if (floor) {
+        enhanced.rateFloor = floor;
+      }
+    }
+    
+    // Extract amortization profile
+    if (!enhanced.amortizationType || !enhanced.amortizationYears) {
+      const amortization = this.extractAmortization(allContent);
+      if (amortization.type && !enhanced.amortizationType) {
+        enhanced.amortizationType = amortization.type;
+      }
+      if (amortization.years && !enhanced.amortizationYears) {
+        enhanced.amortizationYears = amortization.years;
+      }
+    }
+    
+    // Extract separate tranches (senior / mezzanine / junior)
+    if (!enhanced.tranches) {
+      const tranches = this.extractTranches(allContent);
+      if (tranches.length > 0) {
+        enhanced.tranches = { value: tranches, confidence: 0.6, source: 'pattern_matching' };
+      }
+    }
+    
+    return this.splitTranches(enhanced);
+  }
+
+  /**
+   * Extract base rate floor (e.g. "SOFR floor of 0.50%")
+   */
+  extractRateFloor(text) {
+    const floorPatterns = [
+      /(?:SOFR|LIBOR|base\s+rate|EURIBOR|SONIA)\s+floor\s*(?:of|:)?\s*([0-9.]+)\s*%/i,
+      /floor\s*(?:of|:)?\s*([0-9.]+)\s*%/i
+    ];
+    
+    for (const pattern of floorPatterns) {
+      const match = text.match(pattern);
+      if (match) {
+        const floor = parseFloat(match[1]);
+        if (floor >= 0 && floor <= 5) {
+          return { value: floor, confidence: 0.8, source: 'pattern_matching' };
+        }
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Extract amortization type and period
+   */
+  extractAmortization(text) {
+    const result = { type: null, years: null };
+    
+    const typePatterns = [
+      { regex: /interest[\s-]+only|bullet\s+repayment/i, type: 'bullet' },
+      { regex: /straight[\s-]+line\s+amorti[sz]ation|linear\s+amorti[sz]ation|equal\s+principal/i, type: 'linear' },
+      { regex: /mortgage[\s-]+style|annuity|level\s+(?:debt\s+service|payments?)/i, type: 'annuity' }
+    ];
+    
+    for (const pattern of typePatterns) {
+      if (pattern.regex.test(text)) {
+        result.type = { value: pattern.type, confidence: 0.8, source: 'pattern_matching' };
+        break;
+      }
+    }
+    
+    const yearsMatch = text.match(/([0-9]{1,2})[\s-]*years?\s+amorti[sz]ation|amorti[sz]ation\s+(?:period|profile|schedule)?\s*(?:of|:)?\s*([0-9]{1,2})\s*years?/i);
+    if (yearsMatch) {
+      const years = parseInt(yearsMatch[1] || yearsMatch[2]);
+      if (years >= 1 && years <= 40) {
+        result.years = { value: years, confidence: 0.8, source: 'pattern_matching' };
+      }
+    }
+    
+    return result;
+  }
+
+  /**
+   * Extract tranche-level terms from sentences naming a tranche
+   */
+  extractTranches(text) {
+    const trancheNames = [
+      { regex: /senior/i, name: 'Senior' },
+      { regex: /mezzanine|mezz\b/i, name: 'Mezzanine' },
+      { regex: /junior|subordinated/i, name: 'Junior' }
+    ];
+    const sentences = text.split(/(?<=[.;\n])\s+/);
+    const tranches = [];
+    
+    trancheNames.forEach(({ regex, name }) => {
+      const sentence = sentences.find(s => regex.test(s) && /%/.test(s));
+      if (!sentence) return;
+      
+      const tranche = { name, rateType: 'fixed' };
+      
+      const share = sentence.match(/([0-9.]+)\s*%\s*of\s+(?:the\s+)?(?:total\s+)?(?:debt|financing|facility)/i);
+      if (share) tranche.share = parseFloat(share[1]);
+      
+      const floating = sentence.match(/(?:SOFR|LIBOR|EURIBOR|SONIA|base\s+rate)\s*\+\s*([0-9.]+)\s*%/i);
+      if (floating) {
+        tranche.rateType = 'floating';
+        tranche.margin = parseFloat(floating[1]);
+      } else {
+        const fixed = sentence.match(/(?:coupon|interest(?:\s+rate)?|fixed(?:\s+rate)?)\s*(?:of|at|:)?\s*([0-9.]+)\s*%/i);
+        if (fixed) tranche.fixedRate = parseFloat(fixed[1]);
+      }
+      
+      if (tranche.share || tranche.margin || tranche.fixedRate) {
+        tranches.push(tranche);
+      }
+    });
+    
+    // Only meaningful when more than one tranche is described
+    return tranches.length > 1 ? tranches : [];
+  }
+
+  /**
+   * A tranche named Senior populates the main debt fields; the others become debtTranches.
+   * The AI prompt puts the senior loan in the top-level fields and only the additional tranches
+   * in the array, while the pattern matcher lists every tranche it finds - both end up the same.
+   */
+  splitTranches(data) {
+    const tranches = data.tranches?.value || (Array.isArray(data.tranches) ? data.tranches : null);
+    if (!tranches || tranches.length === 0) return data;
+    
+    const confidence = data.tranches?.confidence || 0.6;
+    const source = data.tranches?.source || 'ai_extraction';
+    const senior = tranches.find(tranche => /senior/i.test(tranche?.name || ''));
+    const additional = tranches.filter(tranche => tranche && tranche !== senior);
+    const split = { ...data };
+    delete split.tranches;
+    
+    if (additional.length > 0) {
+      split.debtTranches = { value: additional, confidence, source };
+    }
+    if (!senior) return split;
+    
+    const seniorFields = {
+      interestRateType: senior.rateType,
+      interestRate: senior.fixedRate,
+      baseRate: senior.baseRate,
+      creditMargin: senior.margin,
+      rateFloor: senior.floor,
+      amortizationType: senior.amortizationType,
+      amortizationYears: senior.amortizationYears
+    };
+    
+    for (const [field, value] of Object.entries(seniorFields)) {
+      if (value !== null && value !== undefined && !split[field]?.value) {
+        split[field] = { value, confidence, source };
+      }
+    }
+    
+    return split;
   }
 
   /**
@@ -614,6 +721,8 @@ Return ONLY this structure with actual values found or null:
       loanTerm: (v) => v >= 1 && v <= 25, // 1 to 25 years
       loanAmount: (v) => v >= 100000 && v <= 100000000000, // $100K to $100B
       commitmentFee: (v) => v >= 0.1 && v <= 2, // 0.1% to 2%
+      rateFloor: (v) => v >= 0 && v <= 5, // 0% to 5%
+      amortizationYears: (v) => v >= 1 && v <= 40, // 1 to 40 years
       prepaymentPenalty: (v) => v >= 0.1 && v <= 5 // 0.1% to 5%
     };
     
@@ -672,6 +781,26 @@ Return ONLY this structure with actual values found or null:
         value: null,
         confidence: 0,
         source: 'not_found'
+      },
+      rateFloor: {
+        value: null,
+        confidence: 0,
+        source: 'not_found'
+      },
+      amortizationType: {
+        value: null,
+        confidence: 0,
+        source: 'not_found'
+      },
+      amortizationYears: {
+        value: null,
+        confidence: 0,
+        source: 'not_found'
+      },
+      debtTranches: {
+        value: null,
+        confidence: 0,
+        source: 'not_found'
       }
     };
   }
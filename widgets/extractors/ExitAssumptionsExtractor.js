@@ -45,7 +45,7 @@ class ExitAssumptionsExtractor {
       const scoredData = this.scoreConfidence(enrichedData, files);
       
       // Step 6: Standardize the data
-      const standardized = await this.standardizer.standardize(scoredData);
+      const standardized = await this.standardizer.standardize(scoredData, { files });
       
       console.log('🚪 Exit assumptions extraction complete:', standardized);
       return standardized;
@@ -39,7 +39,7 @@ class HighLevelParametersExtractor {
       const scoredData = this.scoreConfidence(enhancedData, files);
       
       // Step 4: Standardize the data
-      const standardized = await this.standardizer.standardize(scoredData);
+      const standardized = await this.standardizer.standardize(scoredData, { files });
       
       console.log('🎯 High-level parameters extraction complete:', standardized);
       return standardized;
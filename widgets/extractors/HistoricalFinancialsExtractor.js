@@ -0,0 +1,296 @@
+/**
+ * HistoricalFinancialsExtractor.js - Extract historical income statements from tables
+ * Handles: multi-year or monthly P&L statements in CSV files, workbook sheets and PDF tables.
+ * Rows are mapped to the revenue and cost categories the form uses, with TTM totals and
+ * year-on-year growth offered as suggestions for the revenue and cost sections.
+ */
+
+class HistoricalFinancialsExtractor {
+  constructor() {
+    this.extractionService = null;
+    this.standardizer = null;
+    this.mappingEngine = null;
+    this.revenueItemsExtractor = null;
+    this.costItemsExtractor = null;
+    this.confidence = {
+      high: 0.8,
+      medium: 0.5,
+      low: 0.3
+    };
+  }
+
+  initialize(services) {
+    this.extractionService = services.extractionService;
+    this.standardizer = services.standardizer;
+    this.mappingEngine = services.mappingEngine;
+    // Lines are categorized the same way as the revenue and cost items found elsewhere
+    this.revenueItemsExtractor = services.revenueItemsExtractor || null;
+    this.costItemsExtractor = services.costItemsExtractor || null;
+    console.log('✅ HistoricalFinancialsExtractor initialized');
+  }
+
+  /**
+   * Row labels that steer the reading: section headings, subtotals and where the operating lines end
+   */
+  static get PATTERNS() {
+    return {
+      revenueHeading: /\b(?:revenues?|income|sales|turnover)\b/i,
+      expenseHeading: /\b(?:expenses?|costs?|expenditure|overheads?|outgoings)\b/i,
+      // Subtotals are recalculated on the Historicals sheet rather than read
+      total: /^total\b|\btotals?$|\bsub-?total\b|gross (?:profit|margin)|\bmargin\b/i,
+      // Below NOI / EBITDA come financing, depreciation and tax, which the model does not take from here
+      end: /^(?:total\s+)?(?:net operating income|noi|ebitda|ebit|operating (?:profit|income|loss)|net (?:income|profit|loss)|profit (?:before|after)|balance sheet|cash ?flow)\b/i,
+      expense: /\b(?:expenses?|costs?|expenditure|salar(?:y|ies)|wages|payroll|utilities|insurance|repairs?|maintenance|marketing|advertising|admin\w*|professional|legal|audit|management fees?|rates|property tax(?:es)?|service charges?|cleaning|security|travel|rent expense)\b/i,
+      revenue: /\b(?:revenues?|sales|turnover|income|rent(?:al)?s?|fees|recoveries|receipts)\b/i
+    };
+  }
+
+  /**
+   * Extract the historical statement from documents
+   */
+  async extract(files) {
+    console.log('📜 Extracting historical financials from', files.length, 'files');
+
+    try {
+      // Step 1: Find the table that reads as an income statement
+      const statement = this.findStatement(files);
+      if (!statement) {
+        console.log('📜 No historical statement found');
+        return this.getIntelligentDefaults(files);
+      }
+
+      // Step 2: Standardize amounts under the document locale and currency
+      const scoredData = {
+        historicals: {
+          value: statement.lines,
+          confidence: this.scoreStatement(statement),
+          source: 'historical_statement',
+          location: statement.location
+        },
+        ...(statement.currency && {
+          historicalsCurrency: { value: statement.currency, confidence: this.confidence.medium, source: 'historical_statement' }
+        })
+      };
+      const standardized = await this.standardizer.standardize(scoredData, { files });
+
+      // Step 3: TTM and year-on-year growth from the standardized lines
+      const enriched = this.enrichWithMetrics(standardized);
+
+      console.log(`📜 Historical financials extraction complete: ${statement.lines.length} lines over ${statement.periods.length} periods`, enriched);
+      return enriched;
+
+    } catch (error) {
+      console.error('📜 Error extracting historical financials:', error);
+      return this.getIntelligentDefaults(files);
+    }
+  }
+
+  /**
+   * The table with the most values (lines × periods)
+   */
+  findStatement(files) {
+    let best = null;
+    const size = (statement) => statement.lines.length * statement.periods.length;
+
+    DocumentTables.collect(files).forEach(table => {
+      const statement = this.readTable(table);
+      if (statement && (!best || size(statement) > size(best))) {
+        best = statement;
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Read an income statement from table rows: a heading row of at least two historical periods,
+   * then one row per line. Section headings ("Revenue", "Operating Expenses") and the revenue
+   * subtotal decide whether a line is revenue or a cost; reading stops at NOI / EBITDA.
+   */
+  readTable(table) {
+    const headerIndex = table.rows.slice(0, 20).findIndex(row => HistoricalFinancialsExtractor.mapPeriods(row) !== null);
+    if (headerIndex === -1) return null;
+
+    const header = table.rows[headerIndex];
+    const periods = HistoricalFinancialsExtractor.mapPeriods(header);
+    const firstPeriodColumn = Math.min(...periods.map(period => period.index));
+    const patterns = HistoricalFinancialsExtractor.PATTERNS;
+    const lines = [];
+    let section = null;
+    let blankRun = 0;
+
+    for (let index = headerIndex + 1; index < table.rows.length; index++) {
+      const row = table.rows[index] || [];
+      const label = row.slice(0, firstPeriodColumn).map(DocumentTables.cellText).find(text => text && !/^[\d.,\s%()-]+$/.test(text)) || '';
+      const cells = periods.map(period => ({ key: period.key, text: DocumentTables.cellText(row[period.index]), raw: row[period.index] }));
+      const hasNumbers = cells.some(cell => typeof cell.raw === 'number' || /\d/.test(cell.text));
+
+      if (!label && !hasNumbers) {
+        if (++blankRun >= 3) break;
+        continue;
+      }
+      blankRun = 0;
+      if (!label) continue;
+
+      if (patterns.end.test(label)) break;
+      if (patterns.total.test(label)) {
+        // Lines after the revenue subtotal are costs
+        if (section !== 'expense' && (patterns.revenueHeading.test(label) || /gross/i.test(label))) section = 'expense';
+        continue;
+      }
+      if (!hasNumbers) {
+        if (patterns.expenseHeading.test(label)) section = 'expense';
+        else if (patterns.revenueHeading.test(label)) section = 'revenue';
+        continue;
+      }
+
+      const type = this.classifyLine(label, section);
+      if (!type) continue;
+
+      const values = {};
+      cells.forEach(cell => {
+        // A lone dash is a nil amount in accounts
+        if (/^[-–—]$/.test(cell.text)) values[cell.key] = 0;
+        else if (cell.text !== '') values[cell.key] = cell.raw;
+      });
+
+      const line = { name: label, type, category: this.categorizeLine(label, type), values };
+      if (table.cellAddress) {
+        line.location = { ...table.location, cell: table.cellAddress(index, row.findIndex(cell => DocumentTables.cellText(cell) === label)) };
+      }
+      lines.push(line);
+    }
+
+    if (lines.length === 0) return null;
+
+    const headingText = header.map(DocumentTables.cellText).join(' ');
+    return {
+      lines,
+      periods,
+      file: table.file,
+      location: table.cellAddress
+        ? { ...table.location, cell: table.cellAddress(headerIndex, firstPeriodColumn) }
+        : table.location,
+      currency: this.standardizer?.detectCurrency(headingText) || null
+    };
+  }
+
+  /**
+   * Historical period columns for a heading row, or null unless it names at least two.
+   * Budget and forecast columns are left out.
+   * @returns {Array<{ index: number, key: string }>|null}
+   */
+  static mapPeriods(row) {
+    if (!Array.isArray(row)) return null;
+
+    const found = [];
+    row.forEach((heading, index) => {
+      const period = HistoricalFinancials.parsePeriod(heading);
+      if (period && !period.forecast) found.push({ index, ...period });
+    });
+
+    const resolved = HistoricalFinancials.resolvePeriods(found);
+    if (!resolved) return null;
+
+    // One column per period (the first, where a sheet repeats a heading)
+    const periods = resolved.periods.filter((period, position, all) => all.findIndex(other => other.key === period.key) === position);
+    return periods.length >= 2 ? periods : null;
+  }
+
+  /**
+   * 'revenue' or 'expense' for a statement line: cost words win, then the section it sits in,
+   * then revenue words
+   */
+  classifyLine(label, section) {
+    const patterns = HistoricalFinancialsExtractor.PATTERNS;
+    if (/\b(?:expenses?|costs?|expenditure)\b/i.test(label)) return 'expense';
+    if (section) return section;
+    if (patterns.expense.test(label)) return 'expense';
+    if (patterns.revenue.test(label)) return 'revenue';
+    return null;
+  }
+
+  categorizeLine(label, type) {
+    if (type === 'revenue') {
+      return this.revenueItemsExtractor ? this.revenueItemsExtractor.categorizeRevenue(label) : 'other';
+    }
+    return this.costItemsExtractor
+      ? this.costItemsExtractor.categorizeExpense(label, CostItemsExtractor.OPEX_CATEGORIES)
+      : 'other';
+  }
+
+  /**
+   * Confidence in the statement: revenue and cost lines both present and more periods score higher
+   */
+  scoreStatement(statement) {
+    const types = new Set(statement.lines.map(line => line.type));
+    let confidence = this.confidence.medium;
+    if (types.has('revenue')) confidence += 0.1;
+    if (types.has('expense')) confidence += 0.1;
+    confidence += Math.min(statement.periods.length, 12) / 12 * 0.1;
+    return Math.min(Math.round(confidence * 100) / 100, 1.0);
+  }
+
+  /**
+   * Add TTM totals and year-on-year growth. Each line's value is its TTM amount and its
+   * growthRate its year-on-year growth, so lines read like revenue and cost items.
+   */
+  enrichWithMetrics(data) {
+    const lines = data.historicals?.value;
+    if (!Array.isArray(lines) || lines.length === 0) return data;
+
+    const normalized = HistoricalFinancials.normalizeSigns(lines);
+    const summary = HistoricalFinancials.summarize(normalized);
+    if (!summary) return data;
+
+    const round = (value, places = 0) => value === null ? null : Math.round(value * 10 ** places) / 10 ** places;
+    const calculated = (value) => ({ value, confidence: data.historicals.confidence, source: 'calculated' });
+
+    const enrichedLines = normalized.map((line, index) => ({
+      ...line,
+      value: round(summary.lines[index].ttm),
+      growthRate: round(summary.lines[index].yoy, 1)
+    }));
+
+    return {
+      ...data,
+      historicals: { ...data.historicals, value: enrichedLines },
+      historicalPeriodEnd: calculated(summary.latest),
+      ttmRevenue: calculated(round(summary.revenue.ttm)),
+      ttmOpex: calculated(round(summary.opex.ttm)),
+      historicalRevenueGrowth: calculated(round(summary.revenue.yoy, 1)),
+      historicalOpexGrowth: calculated(round(summary.opex.yoy, 1))
+    };
+  }
+
+  /**
+   * Get intelligent defaults
+   */
+  getIntelligentDefaults(files) {
+    console.log('📜 Using intelligent defaults for historical financials');
+
+    return {
+      historicals: {
+        value: null,
+        confidence: 0,
+        source: 'not_found'
+      }
+    };
+  }
+
+  /**
+   * Apply extracted historicals to form
+   */
+  async applyToForm(extractedData) {
+    console.log('📜 Applying historical financials to form');
+
+    return await this.mappingEngine.applyDataToForm(extractedData, {
+      section: 'historicals',
+      showConfidence: true,
+      animateChanges: true
+    });
+  }
+}
+
+// Export for use
+window.HistoricalFinancialsExtractor = HistoricalFinancialsExtractor;
@@ -0,0 +1,243 @@
+/**
+ * RentRollExtractor.js - Extract tenant schedules (rent rolls) from tables
+ * Handles: CSV files, workbook sheets and PDF tables listing tenant, area, passing rent,
+ * lease start/expiry, break dates and indexation, plus WAULT and occupancy for the schedule
+ */
+
+class RentRollExtractor {
+  constructor() {
+    this.extractionService = null;
+    this.standardizer = null;
+    this.mappingEngine = null;
+    this.confidence = {
+      high: 0.8,
+      medium: 0.5,
+      low: 0.3
+    };
+  }
+
+  initialize(services) {
+    this.extractionService = services.extractionService;
+    this.standardizer = services.standardizer;
+    this.mappingEngine = services.mappingEngine;
+    console.log('✅ RentRollExtractor initialized');
+  }
+
+  /**
+   * Column headings, most specific first: a heading is claimed by the first column it matches
+   */
+  static get COLUMNS() {
+    return [
+      { key: 'erv', pattern: /\berv\b|market rent|estimated rental value/i },
+      { key: 'rentPerArea', pattern: /\brent\b.*(?:\bper\s+(?:sq|m\b|m²|ft|unit area)|\/\s*(?:sq|m\b|m²|ft)|psf|psm)|\b(?:psf|psm)\b|(?:£|\$|€)\s*\/\s*(?:sq|m)/i },
+      { key: 'rentFree', pattern: /rent[- ]?free|incentive/i },
+      { key: 'review', pattern: /\breview\b/i },
+      { key: 'breakDate', pattern: /\bbreak\b/i },
+      { key: 'leaseExpiry', pattern: /\b(?:expiry|expiration|expires|lease end|end date|termination)\b/i },
+      { key: 'leaseStart', pattern: /\b(?:start|commencement|commences|lease date|from)\b/i },
+      { key: 'indexation', pattern: /\b(?:indexation|index(?:ed)?|cpi|rpi|hicp|escalat\w*|uplift|bumps?)\b/i },
+      { key: 'value', pattern: /\b(?:passing|contracted|current|annual|base|headline)?\s*rent\b|\brent\s*(?:p\.?a\.?|pa|per annum)\b/i },
+      { key: 'area', pattern: /\b(?:area|nia|gia|nla|gla|sq\.?\s?ft|sq\.?\s?m|sqft|sqm|size)\b|m²/i },
+      { key: 'name', pattern: /\b(?:tenant|lessee|occupier|occupant|company)\b/i },
+      { key: 'unit', pattern: /\b(?:unit|suite|floor|demise|premises|space)\b/i }
+    ];
+  }
+
+  /**
+   * Extract the rent roll from documents
+   */
+  async extract(files) {
+    console.log('🏢 Extracting rent roll from', files.length, 'files');
+
+    try {
+      // Step 1: Find the table that reads as a tenant schedule
+      const schedule = this.findSchedule(files);
+      if (!schedule) {
+        console.log('🏢 No tenant schedule found');
+        return this.getIntelligentDefaults(files);
+      }
+
+      // Step 2: Standardize amounts and dates under the document locale and currency
+      const scoredData = {
+        tenants: {
+          value: schedule.tenants,
+          confidence: this.scoreSchedule(schedule),
+          source: 'rent_roll_table',
+          location: schedule.location
+        },
+        ...(schedule.currency && {
+          rentRollCurrency: { value: schedule.currency, confidence: this.confidence.medium, source: 'rent_roll_table' }
+        })
+      };
+      const standardized = await this.standardizer.standardize(scoredData, { files });
+
+      // Step 3: WAULT and occupancy from the standardized schedule
+      const enriched = this.enrichWithMetrics(standardized, files);
+
+      console.log(`🏢 Rent roll extraction complete: ${schedule.tenants.length} units`, enriched);
+      return enriched;
+
+    } catch (error) {
+      console.error('🏢 Error extracting rent roll:', error);
+      return this.getIntelligentDefaults(files);
+    }
+  }
+
+  /**
+   * The table with the most tenant rows
+   */
+  findSchedule(files) {
+    let best = null;
+
+    DocumentTables.collect(files).forEach(table => {
+      const schedule = this.readTable(table);
+      if (schedule && (!best || schedule.tenants.length > best.tenants.length)) {
+        best = schedule;
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Read a tenant schedule from table rows: a heading row naming tenants (or units) and rents,
+   * then one row per unit until a total or a run of blank rows
+   */
+  readTable(table) {
+    const headerIndex = table.rows.slice(0, 15).findIndex(row => RentRollExtractor.mapColumns(row) !== null);
+    if (headerIndex === -1) return null;
+
+    const header = table.rows[headerIndex];
+    const columns = RentRollExtractor.mapColumns(header);
+    const tenants = [];
+    let blankRun = 0;
+
+    for (let index = headerIndex + 1; index < table.rows.length; index++) {
+      const row = table.rows[index] || [];
+      const cell = (key) => columns[key] === undefined ? null : DocumentTables.cellText(row[columns[key]]);
+      const name = cell('name');
+      const unit = cell('unit');
+
+      if (!name && !unit && !cell('area') && !cell('value')) {
+        if (++blankRun >= 2) break;
+        continue;
+      }
+      blankRun = 0;
+      if (/^(?:sub-?)?totals?\b/i.test(name || unit || '')) break;
+
+      const tenant = {
+        name: name || (cell('value') ? `Unit ${unit || tenants.length + 1}` : 'Vacant'),
+        unit: unit || '',
+        area: row[columns.area] ?? null,
+        value: row[columns.value] ?? null,
+        rentPerArea: row[columns.rentPerArea] ?? null,
+        erv: row[columns.erv] ?? null,
+        leaseStart: row[columns.leaseStart] ?? null,
+        leaseExpiry: row[columns.leaseExpiry] ?? null,
+        breakDate: row[columns.breakDate] ?? null,
+        indexation: row[columns.indexation] ?? null
+      };
+      if (table.cellAddress) {
+        tenant.location = { ...table.location, cell: table.cellAddress(index, columns.name ?? columns.unit) };
+      }
+      tenants.push(tenant);
+    }
+
+    if (tenants.length === 0) return null;
+
+    const headingText = header.map(DocumentTables.cellText).join(' ');
+    return {
+      tenants,
+      columns,
+      file: table.file,
+      location: table.cellAddress
+        ? { ...table.location, cell: table.cellAddress(headerIndex, columns.name ?? columns.unit) }
+        : table.location,
+      currency: this.standardizer?.detectCurrency(headingText) || null
+    };
+  }
+
+  /**
+   * Column index per field for a heading row, or null unless it names tenants or units and rents
+   */
+  static mapColumns(row) {
+    if (!Array.isArray(row)) return null;
+
+    const columns = {};
+    row.forEach((heading, index) => {
+      const text = DocumentTables.cellText(heading);
+      if (!text || text.length > 60) return;
+      const column = RentRollExtractor.COLUMNS.find(candidate => columns[candidate.key] === undefined && candidate.pattern.test(text));
+      if (column) columns[column.key] = index;
+    });
+
+    const namesUnits = columns.name !== undefined || columns.unit !== undefined;
+    const hasRent = columns.value !== undefined || columns.rentPerArea !== undefined;
+    return namesUnits && hasRent && Object.keys(columns).length >= 3 ? columns : null;
+  }
+
+  /**
+   * Confidence in the schedule: more of the expected columns present scores higher
+   */
+  scoreSchedule(schedule) {
+    const expected = ['name', 'area', 'value', 'leaseExpiry', 'breakDate', 'indexation'];
+    const found = expected.filter(key => schedule.columns[key] !== undefined).length;
+    const confidence = this.confidence.medium + (found / expected.length) * (this.confidence.high - this.confidence.medium + 0.1);
+    return Math.min(Math.round(confidence * 100) / 100, 1.0);
+  }
+
+  /**
+   * Add WAULT and occupancy, measured from the documents' as-of date (today when none is stated)
+   */
+  enrichWithMetrics(data, files) {
+    const tenants = data.tenants?.value;
+    if (!Array.isArray(tenants) || tenants.length === 0) return data;
+
+    const asOfDate = this.standardizer.findAsOfDate(files) || new Date().toISOString().slice(0, 10);
+    const metrics = RentRoll.metrics(tenants, asOfDate);
+    const calculated = (value) => ({
+      value: value === null ? null : Math.round(value * 100) / 100,
+      confidence: data.tenants.confidence,
+      source: 'calculated'
+    });
+
+    return {
+      ...data,
+      rentRollDate: { value: asOfDate, confidence: data.tenants.confidence, source: 'calculated' },
+      waultToExpiry: calculated(metrics.waultToExpiry),
+      waultToBreak: calculated(metrics.waultToBreak),
+      occupancy: calculated(metrics.occupancyByArea ?? metrics.occupancyByCount)
+    };
+  }
+
+  /**
+   * Get intelligent defaults
+   */
+  getIntelligentDefaults(files) {
+    console.log('🏢 Using intelligent defaults for rent roll');
+
+    return {
+      tenants: {
+        value: null,
+        confidence: 0,
+        source: 'not_found'
+      }
+    };
+  }
+
+  /**
+   * Apply extracted rent roll to form
+   */
+  async applyToForm(extractedData) {
+    console.log('🏢 Applying rent roll to form');
+
+    return await this.mappingEngine.applyDataToForm(extractedData, {
+      section: 'rentRoll',
+      showConfidence: true,
+      animateChanges: true
+    });
+  }
+}
+
+// Export for use
+window.RentRollExtractor = RentRollExtractor;
@@ -45,7 +45,7 @@ class RevenueItemsExtractor {
       const scoredData = this.scoreConfidence(enrichedData, files);
       
       // Step 6: Standardize the data
-      const standardized = await this.standardizer.standardize(scoredData);
+      const standardized = await this.standardizer.standardize(scoredData, { files });
       
       console.log('💰 Revenue items extraction complete:', standardized);
       return standardized;
@@ -138,9 +138,12 @@ Return ONLY this structure with actual values found or null:
       .map(f => f.content || '')
       .join('\n');
     
-    // Extract revenue items if not found
+    // Extract revenue items if not found - labelled rows in uploaded workbooks first, then text patterns
     if (!enhanced.revenueItems?.length) {
-      const revenueItems = this.extractRevenueItems(allContent);
+      const revenueItems = this.deduplicateRevenueItems([
+        ...this.extractSheetRevenue(files),
+        ...this.extractRevenueItems(allContent)
+      ]);
       if (revenueItems.length > 0) {
         enhanced.revenueItems = revenueItems;
       }
@@ -227,6 +230,32 @@ Return ONLY this structure with actual values found or null:
     return this.deduplicateRevenueItems(revenueItems);
   }
 
+  /**
+   * Extract revenue rows from parsed workbooks (label cell followed by a number)
+   */
+  extractSheetRevenue(files) {
+    const items = [];
+    
+    files.filter(file => file.workbook).forEach(file => {
+      SpreadsheetReader.findLabelledValues(file.workbook, /revenue|sales|income/i)
+        .filter(row => !/^total\b/i.test(row.label) && row.value >= 10000)
+        .forEach(row => {
+          items.push({
+            name: row.label,
+            value: row.value,
+            growthType: 'linear',
+            growthRate: null,
+            category: this.categorizeRevenue(row.label),
+            source: 'sheet_grid',
+            location: { file: file.name, cell: row.address },
+            confidence: 0.75
+          });
+        });
+    });
+    
+    return items;
+  }
+
   /**
    * Extract CSV-style revenue data
    */
@@ -7,16 +7,24 @@ class ScenarioAnalysisEngine {
   constructor() {
     this.scenarios = [];
     this.sensitivityTests = [];
+    this.monteCarloResults = null;
+    this.tornadoAnalysis = null;
+    this.cases = null; // Named cases saved in the workbook (see ScenarioManager)
+    this.caseManager = null;
     this.currentAnalysis = null;
     this.baselineModel = null;
+    this.baseline = null; // ScenarioRunner snapshot of the workbook as it stands
+    this.runner = null;
     
-    // Analysis parameters
+    // Analysis parameters - Assumptions inputs (see ScenarioRunner.DRIVERS), as fractions
     this.parameters = {
-      revenueGrowth: { min: -0.1, max: 0.3, step: 0.05 },
-      exitMultiple: { min: 5, max: 15, step: 1 },
-      ebitdaMargin: { min: 0.1, max: 0.4, step: 0.05 },
-      debtRatio: { min: 0.3, max: 0.8, step: 0.1 },
-      interestRate: { min: 0.03, max: 0.08, step: 0.005 }
+      revenueGrowth: { min: -0.05, max: 0.1, step: 0.0025 },
+      costGrowth: { min: -0.05, max: 0.1, step: 0.0025 },
+      dealLTV: { min: 0, max: 0.8, step: 0.05 },
+      terminalCapRate: { min: 0.03, max: 0.12, step: 0.0025 },
+      discountRate: { min: 0.04, max: 0.15, step: 0.0025 },
+      disposalCost: { min: 0, max: 0.05, step: 0.0025 },
+      interestRateShift: { min: -0.02, max: 0.03, step: 0.0025 }
     };
     
     this.initializeEngine();
@@ -71,10 +79,23 @@ class ScenarioAnalysisEngine {
               </div>
               <div class="scenario-actions">
                 <button class="btn btn-primary" id="runScenarioBtn">Run Scenario</button>
-                <button class="btn" id="saveScenarioBtn">Save Scenario</button>
+                <input type="text" id="scenarioNameInput" placeholder="Case name, e.g. Upside">
+                <button class="btn" id="saveScenarioBtn">Save as Case</button>
               </div>
             </div>
             
+            <div class="workbook-cases">
+              <h4>🗂️ Workbook Cases</h4>
+              <div class="case-controls">
+                <label for="activeCaseSelect">Active Case:</label>
+                <select id="activeCaseSelect"></select>
+                <button class="btn" id="defaultCasesBtn">Add Upside / Downside</button>
+                <button class="btn" id="compareCasesBtn">Comparison Sheet</button>
+              </div>
+              <div class="cases-list" id="casesList"></div>
+              <div class="scenario-status" id="scenarioStatus"></div>
+            </div>
+            
             <div class="scenarios-list">
               <h4>💼 Saved Scenarios</h4>
               <div class="scenarios-grid" id="scenariosGrid">
@@ -97,33 +118,58 @@ class ScenarioAnalysisEngine {
               <h4>📊 Sensitivity Analysis Setup</h4>
               <div class="sensitivity-variables">
                 <div class="variable-selector">
-                  <label>Primary Variable (X-axis):</label>
-                  <select id="primaryVariable">
-                    <option value="revenueGrowth">Revenue Growth</option>
-                    <option value="exitMultiple">Exit Multiple</option>
-                    <option value="ebitdaMargin">EBITDA Margin</option>
-                    <option value="debtRatio">Debt Ratio</option>
-                  </select>
+                  <label>Rows:</label>
+                  <select id="primaryVariable"></select>
                 </div>
                 <div class="variable-selector">
-                  <label>Secondary Variable (Y-axis):</label>
-                  <select id="secondaryVariable">
-                    <option value="exitMultiple">Exit Multiple</option>
-                    <option value="revenueGrowth">Revenue Growth</option>
-                    <option value="ebitdaMargin">EBITDA Margin</option>
-                    <option value="interestRate">Interest Rate</option>
-                  </select>
+                  <label>Columns:</label>
+                  <select id="secondaryVariable"></select>
                 </div>
                 <div class="variable-selector">
                   <label>Output Metric:</label>
-                  <select id="outputMetric">
-                    <option value="irr">IRR</option>
-                    <option value="moic">MOIC</option>
-                    <option value="npv">NPV</option>
-                  </select>
+                  <select id="outputMetric"></select>
+                </div>
+              </div>
+              <div class="sensitivity-variables">
+                <div class="variable-selector">
+                  <label>Row steps / step (%):</label>
+                  <input type="number" id="primarySteps" min="2" max="11" value="5">
+                  <input type="number" id="primaryStep" step="0.05" value="0.25">
+                </div>
+                <div class="variable-selector">
+                  <label>Column steps / step (%):</label>
+                  <input type="number" id="secondarySteps" min="2" max="11" value="5">
+                  <input type="number" id="secondaryStep" step="0.05" value="0.5">
+                </div>
+                <div class="variable-selector">
+                  <label>Range override (%, optional):</label>
+                  <input type="text" id="primaryRange" placeholder="Rows, e.g. 5-8">
+                  <input type="text" id="secondaryRange" placeholder="Columns, e.g. 0-4">
+                </div>
+              </div>
+              <p class="sensitivity-note">Grids are a snapshot of the model when they are run - they do not update when inputs change. The Sensitivities sheet flags itself stale once an Assumptions input differs; rerun the grids then. Revenue and cost growth over several line items are flexed as a shift from each item's own rate (a range of -1 to 1 is &plusmn;1%).</p>
+              <button class="btn btn-primary" id="runSensitivityBtn">Add Grid to Sensitivities Sheet</button>
+              <button class="btn" id="presetSensitivityBtn">Standard Grids</button>
+              
+              <div class="tornado-setup">
+                <h5>🌪️ Tornado - every input, one at a time</h5>
+                <div class="sensitivity-variables">
+                  <div class="variable-selector">
+                    <label>Band (± % of each input):</label>
+                    <input type="number" id="tornadoBand" min="1" max="50" step="1" value="10">
+                  </div>
+                  <div class="variable-selector">
+                    <label>Rates by (± points, optional):</label>
+                    <input type="number" id="tornadoRateBand" step="0.25" placeholder="e.g. 1">
+                  </div>
+                  <div class="variable-selector">
+                    <label>Output Metric:</label>
+                    <select id="tornadoOutput"></select>
+                  </div>
                 </div>
+                <button class="btn btn-primary" id="runTornadoBtn">Write Tornado Sheet</button>
               </div>
-              <button class="btn btn-primary" id="runSensitivityBtn">Run Sensitivity Analysis</button>
+              <div class="sensitivity-status" id="sensitivityStatus"></div>
             </div>
             
             <div class="sensitivity-results" id="sensitivityResults">
@@ -156,16 +202,31 @@ class ScenarioAnalysisEngine {
                     <option value="0.99">99%</option>
                   </select>
                 </div>
+                <div class="param-group">
+                  <label>Random Seed:</label>
+                  <input type="text" id="mcSeed" value="1">
+                </div>
+                <div class="param-group">
+                  <label>Target Levered IRR (%):</label>
+                  <input type="number" id="mcTargetIRR" placeholder="e.g. 15" step="0.5">
+                </div>
               </div>
-              
+
               <div class="distribution-setup">
                 <h5>Variable Distributions</h5>
+                <p class="distribution-hint">Values in %. Inputs left blank are held at the model's current value; a blank mean or mode uses it too. Revenue and cost growth over several line items are drawn as a shift from each item's own rate, so their values are shifts (e.g. mean 0, std dev 1).</p>
                 <div class="distributions-grid" id="distributionsGrid">
                   <!-- Will be populated with distribution controls -->
                 </div>
               </div>
-              
+
+              <div class="param-group">
+                <label>Correlations (one pair per line, e.g. revenueGrowth, terminalCapRate = -0.4):</label>
+                <textarea id="mcCorrelations" rows="3"></textarea>
+              </div>
+
               <button class="btn btn-primary" id="runMonteCarloBtn">Run Monte Carlo Simulation</button>
+              <div class="monte-carlo-status" id="monteCarloStatus"></div>
             </div>
             
             <div class="monte-carlo-results" id="monteCarloResults">
@@ -209,6 +270,7 @@ class ScenarioAnalysisEngine {
     
     this.setupTabNavigation();
     this.populateScenarioParameters();
+    this.populateSensitivityOptions();
     this.populateDistributions();
   }
 
@@ -237,6 +299,8 @@ class ScenarioAnalysisEngine {
     document.querySelectorAll('.scenario-tab-content').forEach(content => {
       content.classList.toggle('active', content.id === `${tabName}Tab`);
     });
+    
+    if (tabName === 'sensitivity') this.checkSensitivitiesSnapshot();
   }
 
   /**
@@ -246,13 +310,9 @@ class ScenarioAnalysisEngine {
     const parametersContainer = document.getElementById('scenarioParameters');
     if (!parametersContainer) return;
     
-    const parameterNames = {
-      revenueGrowth: 'Revenue Growth (%)',
-      exitMultiple: 'Exit Multiple (x)',
-      ebitdaMargin: 'EBITDA Margin (%)',
-      debtRatio: 'Debt Ratio (%)',
-      interestRate: 'Interest Rate (%)'
-    };
+    const parameterNames = Object.fromEntries(
+      Object.entries(ScenarioRunner.DRIVERS).map(([key, driver]) => [key, `${driver.label} (%)`])
+    );
     
     const parametersHTML = Object.entries(this.parameters).map(([key, config]) => `
       <div class="parameter-control">
@@ -265,7 +325,7 @@ class ScenarioAnalysisEngine {
                  step="${config.step}" 
                  value="${(config.min + config.max) / 2}">
           <span class="parameter-value" id="${key}Value">
-            ${((config.min + config.max) / 2 * 100).toFixed(1)}%
+            ${this.formatParameterValue(key, (config.min + config.max) / 2)}
           </span>
         </div>
       </div>
@@ -282,26 +342,43 @@ class ScenarioAnalysisEngine {
         input.addEventListener('input', (e) => {
           const value = parseFloat(e.target.value);
           valueSpan.textContent = this.formatParameterValue(key, value);
+          // Only inputs the user moved are overridden
+          e.target.dataset.changed = 'true';
         });
       }
     });
   }
 
+  /**
+   * Sensitivity variable and output choices
+   */
+  populateSensitivityOptions() {
+    const options = (entries) => entries.map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+    const variables = Object.keys(this.parameters).map(key => [key, ScenarioRunner.DRIVERS[key].label]);
+    const outputs = Object.entries(SensitivityGrid.OUTPUTS).map(([key, output]) => [key, output.label]);
+    
+    const primary = document.getElementById('primaryVariable');
+    const secondary = document.getElementById('secondaryVariable');
+    const output = document.getElementById('outputMetric');
+    const tornadoOutput = document.getElementById('tornadoOutput');
+    if (primary) {
+      primary.innerHTML = options(variables);
+      primary.value = 'terminalCapRate';
+    }
+    if (secondary) {
+      secondary.innerHTML = options(variables);
+      secondary.value = 'revenueGrowth';
+    }
+    if (output) output.innerHTML = options(outputs);
+    if (tornadoOutput) tornadoOutput.innerHTML = options(outputs);
+  }
+
   /**
    * Format parameter value for display
    */
   formatParameterValue(parameterKey, value) {
-    switch (parameterKey) {
-      case 'revenueGrowth':
-      case 'ebitdaMargin':
-      case 'debtRatio':
-      case 'interestRate':
-        return `${(value * 100).toFixed(1)}%`;
-      case 'exitMultiple':
-        return `${value.toFixed(1)}x`;
-      default:
-        return value.toString();
-    }
+    if (typeof value !== 'number' || isNaN(value)) return '--';
+    return this.parameters[parameterKey] ? `${(value * 100).toFixed(2)}%` : value.toString();
   }
 
   /**
@@ -313,7 +390,7 @@ class ScenarioAnalysisEngine {
     
     const distributionsHTML = Object.keys(this.parameters).map(key => `
       <div class="distribution-control">
-        <h6>${key.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase())}</h6>
+        <h6>${ScenarioRunner.DRIVERS[key].label}</h6>
         <div class="distribution-inputs">
           <select class="distribution-type" data-param="${key}">
             <option value="normal">Normal</option>
@@ -321,8 +398,8 @@ class ScenarioAnalysisEngine {
             <option value="triangular">Triangular</option>
           </select>
           <div class="distribution-params" id="${key}DistParams">
-            <input type="number" placeholder="Mean" step="0.001">
-            <input type="number" placeholder="Std Dev" step="0.001">
+            <input type="number" data-name="mean" placeholder="Mean" step="0.1">
+            <input type="number" data-name="stdDev" placeholder="Std Dev" step="0.1">
           </div>
         </div>
       </div>
@@ -350,21 +427,21 @@ class ScenarioAnalysisEngine {
     switch (distType) {
       case 'normal':
         paramsHTML = `
-          <input type="number" placeholder="Mean" step="0.001">
-          <input type="number" placeholder="Std Dev" step="0.001">
+          <input type="number" data-name="mean" placeholder="Mean" step="0.1">
+          <input type="number" data-name="stdDev" placeholder="Std Dev" step="0.1">
         `;
         break;
       case 'uniform':
         paramsHTML = `
-          <input type="number" placeholder="Min" step="0.001">
-          <input type="number" placeholder="Max" step="0.001">
+          <input type="number" data-name="min" placeholder="Min" step="0.1">
+          <input type="number" data-name="max" placeholder="Max" step="0.1">
         `;
         break;
       case 'triangular':
         paramsHTML = `
-          <input type="number" placeholder="Min" step="0.001">
-          <input type="number" placeholder="Mode" step="0.001">
-          <input type="number" placeholder="Max" step="0.001">
+          <input type="number" data-name="min" placeholder="Min" step="0.1">
+          <input type="number" data-name="mode" placeholder="Mode" step="0.1">
+          <input type="number" data-name="max" placeholder="Max" step="0.1">
         `;
         break;
     }
@@ -398,6 +475,35 @@ class ScenarioAnalysisEngine {
       this.runSensitivityAnalysis();
     });
     
+    document.getElementById('presetSensitivityBtn')?.addEventListener('click', () => {
+      this.sensitivityTests = SensitivityGrid.PRESETS.map(preset => ({ ...preset }));
+      this.generateSensitivitiesSheet();
+    });
+    
+    document.getElementById('runTornadoBtn')?.addEventListener('click', () => {
+      this.runTornadoAnalysis();
+    });
+    
+    // Workbook cases
+    document.getElementById('activeCaseSelect')?.addEventListener('change', (e) => {
+      this.switchCase(e.target.value);
+    });
+    
+    document.getElementById('defaultCasesBtn')?.addEventListener('click', () => {
+      this.updateCases(manager => manager.createDefaultCases(), 'Upside and Downside cases saved');
+    });
+    
+    document.getElementById('compareCasesBtn')?.addEventListener('click', () => {
+      this.generateComparisonSheet();
+    });
+    
+    document.getElementById('casesList')?.addEventListener('click', (e) => {
+      const caseName = e.target.dataset?.deleteCase;
+      if (caseName) {
+        this.updateCases(manager => manager.deleteCase(caseName), `${caseName} case deleted`);
+      }
+    });
+    
     // Monte Carlo simulation
     document.getElementById('runMonteCarloBtn')?.addEventListener('click', () => {
       this.runMonteCarloSimulation();
@@ -446,34 +552,82 @@ class ScenarioAnalysisEngine {
       if (window.excelStructureFetcher) {
         const structureJson = await window.excelStructureFetcher.fetchWorkbookStructure('baseline model');
         this.baselineModel = JSON.parse(structureJson);
-        
-        // Update baseline metrics display
-        this.updateBaselineDisplay();
       }
     } catch (error) {
       console.error('Failed to load baseline model:', error);
     }
+    
+    // Inputs and returns as the workbook stands - the reference every scenario is compared to
+    try {
+      this.baseline = await this.getRunner().captureBaseline();
+      this.resetParameterInputs();
+      this.updateBaselineDisplay();
+    } catch (error) {
+      console.warn('⚠️ Baseline scenario not available:', error.message);
+    }
+    
+    try {
+      this.cases = await this.getCaseManager().loadCases();
+      this.updateCasesDisplay();
+    } catch (error) {
+      console.warn('⚠️ Workbook cases not available:', error.message);
+    }
+  }
+
+  /**
+   * Scenario runner over the generated workbook
+   */
+  getRunner() {
+    if (!this.runner) {
+      this.runner = new ScenarioRunner(window.excelGenerator);
+    }
+    return this.runner;
+  }
+
+  /**
+   * Named cases saved in the workbook
+   */
+  getCaseManager() {
+    if (!this.caseManager) {
+      this.caseManager = new ScenarioManager(window.excelGenerator);
+    }
+    return this.caseManager;
+  }
+
+  /**
+   * Move the parameter sliders to the baseline inputs (the first tracked cell for multi-cell drivers)
+   */
+  resetParameterInputs() {
+    if (!this.baseline) return;
+    
+    Object.keys(this.parameters).forEach(key => {
+      const input = document.getElementById(`${key}Input`);
+      const valueSpan = document.getElementById(`${key}Value`);
+      const dataKey = Object.keys(this.baseline.inputs).find(k => ScenarioRunner.DRIVERS[key].pattern.test(k));
+      const value = dataKey ? this.baseline.inputs[dataKey] : null;
+      if (!input || typeof value !== 'number') return;
+      
+      input.value = value;
+      delete input.dataset.changed;
+      if (valueSpan) valueSpan.textContent = this.formatParameterValue(key, value);
+    });
   }
 
   /**
    * Update baseline metrics display
    */
   updateBaselineDisplay() {
-    if (!this.baselineModel) return;
-    
-    const allMetrics = Object.values(this.baselineModel.keyMetrics || {}).flat();
-    const irrMetric = allMetrics.find(m => m.type === 'irr');
-    const moicMetric = allMetrics.find(m => m.type === 'moic');
+    if (!this.baseline) return;
     
     const irrElement = document.getElementById('baselineIRR');
     const moicElement = document.getElementById('baselineMOIC');
     
-    if (irrElement && irrMetric) {
-      irrElement.textContent = `${(irrMetric.value * 100).toFixed(1)}%`;
+    if (irrElement) {
+      irrElement.textContent = this.formatMetricValue(this.getMetricValue(this.baseline.outputs, 'irr'), 'irr');
     }
     
-    if (moicElement && moicMetric) {
-      moicElement.textContent = `${moicMetric.value.toFixed(1)}x`;
+    if (moicElement) {
+      moicElement.textContent = this.formatMetricValue(this.getMetricValue(this.baseline.outputs, 'moic'), 'moic');
     }
   }
 
@@ -487,32 +641,33 @@ class ScenarioAnalysisEngine {
       // Show loading state
       this.showScenarioLoading();
       
+      // Apply the overrides to the Assumptions sheet, recalculate and read the Cashflows sheet
+      const snapshot = await this.getRunner().run(parameters);
+      
       // Create scenario description
       const scenarioDescription = this.generateScenarioDescription(parameters);
       
       // Run analysis using multi-agent system
-      const analysisQuery = `Run scenario analysis with the following parameters: ${scenarioDescription}. 
-                           Compare results to baseline and provide detailed insights.`;
+      const analysisQuery = `Comment on this scenario. Changed inputs: ${scenarioDescription || 'none'}. 
+                           ${this.describeOutputs('Scenario', snapshot.outputs)} ${this.baseline ? this.describeOutputs('Baseline', this.baseline.outputs) : ''}
+                           These figures were recalculated in the workbook - do not recalculate them.`;
       
       let result;
       if (window.multiAgentProcessor) {
         result = await window.multiAgentProcessor.processQuery(analysisQuery);
       } else {
-        result = { response: 'Scenario analysis completed with simulated results.' };
+        result = { response: 'Scenario recalculated in the workbook.' };
       }
       
-      // Create scenario object
+      // Create scenario object - the full input/output snapshot of the run
       const scenario = {
         id: `scenario_${Date.now()}`,
         name: `Scenario ${this.scenarios.length + 1}`,
         parameters: parameters,
-        results: {
-          irr: this.calculateScenarioIRR(parameters),
-          moic: this.calculateScenarioMOIC(parameters),
-          npv: this.calculateScenarioNPV(parameters)
-        },
+        inputs: snapshot.inputs,
+        outputs: snapshot.outputs,
         analysis: result.response,
-        createdAt: new Date().toISOString()
+        createdAt: snapshot.ranAt
       };
       
       this.scenarios.push(scenario);
@@ -535,7 +690,7 @@ class ScenarioAnalysisEngine {
     
     Object.keys(this.parameters).forEach(key => {
       const input = document.getElementById(`${key}Input`);
-      if (input) {
+      if (input && input.dataset.changed === 'true') {
         parameters[key] = parseFloat(input.value);
       }
     });
@@ -557,169 +712,267 @@ class ScenarioAnalysisEngine {
   }
 
   /**
-   * Calculate scenario IRR (simplified calculation)
+   * Returns summary for the analysis prompt
    */
-  calculateScenarioIRR(parameters) {
-    // Simplified IRR calculation based on parameters
-    const baseIRR = 0.25; // 25% baseline
-    
-    let adjustedIRR = baseIRR;
-    adjustedIRR += (parameters.revenueGrowth - 0.1) * 0.5;
-    adjustedIRR += (parameters.exitMultiple - 10) * 0.02;
-    adjustedIRR += (parameters.ebitdaMargin - 0.25) * 0.3;
-    adjustedIRR -= (parameters.debtRatio - 0.6) * 0.1;
-    adjustedIRR -= (parameters.interestRate - 0.05) * 0.8;
-    
-    return Math.max(0, adjustedIRR);
+  describeOutputs(label, outputs) {
+    const { unlevered, levered } = outputs;
+    return `${label}: unlevered IRR ${this.formatMetricValue(unlevered.annualIRR, 'irr')}, ` +
+      `levered IRR ${this.formatMetricValue(levered.annualIRR, 'irr')}, ` +
+      `levered MOIC ${this.formatMetricValue(levered.moic, 'moic')}, levered NPV ${this.formatMetricValue(levered.npv, 'npv')}.`;
   }
 
   /**
-   * Calculate scenario MOIC (simplified calculation)
+   * Output metric from a scenario snapshot - IRRs annualised from the Cashflows sheet's per-period IRR
    */
-  calculateScenarioMOIC(parameters) {
-    const baseMOIC = 3.5;
+  getMetricValue(outputs, metric) {
+    switch (metric) {
+      case 'irr':
+        return outputs.levered.annualIRR;
+      case 'moic':
+        return outputs.levered.moic;
+      case 'npv':
+        return outputs.levered.npv;
+      case 'unleveredIrr':
+        return outputs.unlevered.annualIRR;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Run sensitivity analysis - adds the configured grid to the Sensitivities sheet
+   */
+  async runSensitivityAnalysis() {
+    let config;
+    try {
+      config = this.collectSensitivityConfig();
+    } catch (error) {
+      this.setSensitivityStatus(error.message);
+      return;
+    }
     
-    let adjustedMOIC = baseMOIC;
-    adjustedMOIC += (parameters.revenueGrowth - 0.1) * 5;
-    adjustedMOIC += (parameters.exitMultiple - 10) * 0.2;
-    adjustedMOIC += (parameters.ebitdaMargin - 0.25) * 2;
-    adjustedMOIC -= (parameters.debtRatio - 0.6) * 0.5;
+    // Same variables and output replace the earlier grid
+    this.sensitivityTests = this.sensitivityTests.filter(test =>
+      !(test.rowVariable === config.rowVariable && test.columnVariable === config.columnVariable && test.output === config.output));
+    this.sensitivityTests.push(config);
     
-    return Math.max(1, adjustedMOIC);
+    await this.generateSensitivitiesSheet();
   }
 
   /**
-   * Calculate scenario NPV (simplified calculation)
+   * Grid config from the sensitivity setup (percent inputs converted to fractions)
    */
-  calculateScenarioNPV(parameters) {
-    const baseNPV = 100; // $100M baseline
+  collectSensitivityConfig() {
+    const value = (id) => document.getElementById(id)?.value;
+    const config = {
+      rowVariable: value('primaryVariable'),
+      columnVariable: value('secondaryVariable'),
+      output: value('outputMetric'),
+      rowSteps: parseInt(value('primarySteps'), 10),
+      columnSteps: parseInt(value('secondarySteps'), 10),
+      rowStep: parseFloat(value('primaryStep')) / 100,
+      columnStep: parseFloat(value('secondaryStep')) / 100
+    };
     
-    let adjustedNPV = baseNPV;
-    adjustedNPV += (parameters.revenueGrowth - 0.1) * 200;
-    adjustedNPV += (parameters.exitMultiple - 10) * 20;
-    adjustedNPV += (parameters.ebitdaMargin - 0.25) * 150;
-    adjustedNPV -= (parameters.debtRatio - 0.6) * 30;
+    if (!config.rowVariable || !config.columnVariable || !config.output) {
+      throw new Error('Choose the row and column variables and an output');
+    }
+    if (config.rowVariable === config.columnVariable) {
+      throw new Error('Rows and columns need different variables');
+    }
     
-    return adjustedNPV;
+    // Optional "5-8" style ranges replace the centred steps
+    [['row', 'primaryRange'], ['column', 'secondaryRange']].forEach(([prefix, id]) => {
+      const text = (value(id) || '').trim();
+      if (!text) return;
+      const match = /^(-?\d+(?:\.\d+)?)\s*(?:-|to)\s*(-?\d+(?:\.\d+)?)$/.exec(text);
+      if (!match) throw new Error(`Range "${text}" should look like 5-8`);
+      config[`${prefix}Min`] = parseFloat(match[1]) / 100;
+      config[`${prefix}Max`] = parseFloat(match[2]) / 100;
+    });
+    
+    return config;
   }
 
   /**
-   * Run sensitivity analysis
+   * Recalculate every configured grid through the workbook and write the Sensitivities sheet
    */
-  async runSensitivityAnalysis() {
-    const primaryVar = document.getElementById('primaryVariable')?.value;
-    const secondaryVar = document.getElementById('secondaryVariable')?.value;
-    const outputMetric = document.getElementById('outputMetric')?.value;
-    
-    if (!primaryVar || !secondaryVar || !outputMetric) {
-      console.error('Missing sensitivity analysis parameters');
+  async generateSensitivitiesSheet() {
+    if (!window.excelGenerator) {
+      this.setSensitivityStatus('Excel is not ready yet');
       return;
     }
     
-    // Generate sensitivity matrix
-    const sensitivityData = this.generateSensitivityMatrix(primaryVar, secondaryVar, outputMetric);
+    const button = document.getElementById('runSensitivityBtn');
+    if (button) button.disabled = true;
     
-    // Display sensitivity chart
-    this.displaySensitivityChart(sensitivityData, primaryVar, secondaryVar, outputMetric);
-    
-    console.log('Sensitivity analysis completed');
+    try {
+      const total = this.sensitivityTests.reduce((sum, test) =>
+        sum + (test.rowSteps || SensitivityGrid.DEFAULT_STEPS) * (test.columnSteps || SensitivityGrid.DEFAULT_STEPS), 0);
+      this.setSensitivityStatus(`Recalculating ${total} scenarios...`);
+      
+      const result = await window.excelGenerator.generateSensitivitiesSheet(this.sensitivityTests, (done, count) => {
+        this.setSensitivityStatus(`Recalculating scenarios: ${done} of ${count}`);
+      });
+      if (result.cancelled) {
+        this.setSensitivityStatus(result.message);
+        return;
+      }
+      
+      const skipped = result.skipped.length > 0 ? ` Skipped: ${result.skipped.join('; ')}` : '';
+      this.setSensitivityStatus(`Sensitivities sheet updated with ${result.grids.length} grid(s).${skipped}`);
+      this.displaySensitivityChart(result.grids[result.grids.length - 1]);
+      console.log('Sensitivity analysis completed');
+    } catch (error) {
+      console.error('Sensitivity analysis failed:', error);
+      this.setSensitivityStatus(`Sensitivity analysis failed: ${error.message}`);
+    } finally {
+      if (button) button.disabled = false;
+    }
   }
 
   /**
-   * Generate sensitivity matrix
+   * Warn when the Sensitivities sheet was calculated from inputs that have since changed
    */
-  generateSensitivityMatrix(primaryVar, secondaryVar, outputMetric) {
-    const primaryConfig = this.parameters[primaryVar];
-    const secondaryConfig = this.parameters[secondaryVar];
+  async checkSensitivitiesSnapshot() {
+    if (!window.excelGenerator) return;
+    try {
+      const result = await window.excelGenerator.getSensitivitiesStatus();
+      if (result && result.stale) {
+        this.setSensitivityStatus('The Sensitivities sheet is stale - Assumptions inputs have changed since the grids were run. Rerun them to refresh.');
+      }
+    } catch (error) {
+      console.warn('⚠️ Could not check the Sensitivities sheet:', error.message);
+    }
+  }
+
+  /**
+   * Flex every Assumptions input by the band, rank by output swing and write the Tornado sheet
+   */
+  async runTornadoAnalysis() {
+    if (!window.excelGenerator) {
+      this.setSensitivityStatus('Excel is not ready yet');
+      return;
+    }
     
-    const matrix = [];
-    const primarySteps = 5;
-    const secondarySteps = 5;
+    const value = (id) => document.getElementById(id)?.value;
+    const rateBand = parseFloat(value('tornadoRateBand'));
+    const config = {
+      output: value('tornadoOutput') || 'leveredIRR',
+      band: (parseFloat(value('tornadoBand')) || TornadoAnalysis.DEFAULT_BAND * 100) / 100,
+      rateBand: rateBand > 0 ? rateBand / 100 : null
+    };
     
-    for (let i = 0; i < primarySteps; i++) {
-      const primaryValue = primaryConfig.min + (i / (primarySteps - 1)) * (primaryConfig.max - primaryConfig.min);
-      const row = [];
-      
-      for (let j = 0; j < secondarySteps; j++) {
-        const secondaryValue = secondaryConfig.min + (j / (secondarySteps - 1)) * (secondaryConfig.max - secondaryConfig.min);
-        
-        // Create scenario parameters
-        const parameters = { ...this.collectScenarioParameters() };
-        parameters[primaryVar] = primaryValue;
-        parameters[secondaryVar] = secondaryValue;
-        
-        // Calculate output metric
-        let outputValue;
-        switch (outputMetric) {
-          case 'irr':
-            outputValue = this.calculateScenarioIRR(parameters);
-            break;
-          case 'moic':
-            outputValue = this.calculateScenarioMOIC(parameters);
-            break;
-          case 'npv':
-            outputValue = this.calculateScenarioNPV(parameters);
-            break;
-          default:
-            outputValue = 0;
-        }
-        
-        row.push(outputValue);
+    const button = document.getElementById('runTornadoBtn');
+    if (button) button.disabled = true;
+    
+    try {
+      this.setSensitivityStatus('Flexing inputs...');
+      const result = await window.excelGenerator.generateTornadoSheet(config, (done, count) => {
+        this.setSensitivityStatus(`Recalculating scenarios: ${done} of ${count}`);
+      });
+      if (result.cancelled) {
+        this.setSensitivityStatus(result.message);
+        return;
       }
-      matrix.push(row);
+      
+      this.tornadoAnalysis = result.analysis;
+      this.setSensitivityStatus(`Tornado sheet updated - ${result.analysis.drivers.length} inputs ranked.`);
+      this.displayTornadoChart(result.analysis);
+    } catch (error) {
+      console.error('Tornado analysis failed:', error);
+      this.setSensitivityStatus(`Tornado analysis failed: ${error.message}`);
+    } finally {
+      if (button) button.disabled = false;
     }
+  }
+
+  /**
+   * Tornado preview - the ten inputs with the biggest swing, bars scaled to the largest change
+   */
+  displayTornadoChart(analysis) {
+    const chartContainer = document.getElementById('sensitivityChart');
+    if (!chartContainer || !analysis) return;
     
-    return {
-      matrix,
-      primaryVar,
-      secondaryVar,
-      outputMetric,
-      primaryRange: [primaryConfig.min, primaryConfig.max],
-      secondaryRange: [secondaryConfig.min, secondaryConfig.max]
+    const metric = this.metricForOutput(analysis.output);
+    const drivers = analysis.drivers.slice(0, 10);
+    const largest = drivers.reduce((most, driver) =>
+      Math.max(most, Math.abs(driver.lowChange || 0), Math.abs(driver.highChange || 0)), 0) || 1;
+    const bar = (change) => {
+      if (typeof change !== 'number') return '';
+      const width = Math.abs(change) / largest * 50;
+      const side = change < 0 ? `right: 50%` : `left: 50%`;
+      return `<span class="tornado-bar ${change < 0 ? 'negative' : 'positive'}" style="${side}; width: ${width}%"></span>`;
     };
+    
+    chartContainer.innerHTML = `
+      <div class="sensitivity-chart-header">
+        <h5>${SensitivityGrid.OUTPUTS[analysis.output].label}: base ${this.formatMetricValue(analysis.baseOutput, metric)}</h5>
+      </div>
+      <div class="tornado-chart">
+        ${drivers.map(driver => `
+          <div class="tornado-row">
+            <span class="tornado-label">${this.escapeHtml(driver.label)}</span>
+            <span class="tornado-track">${bar(driver.lowChange)}${bar(driver.highChange)}</span>
+            <span class="tornado-range">${this.formatMetricValue(driver.lowOutput, metric)} / ${this.formatMetricValue(driver.highOutput, metric)}</span>
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  setSensitivityStatus(message) {
+    const status = document.getElementById('sensitivityStatus');
+    if (status) status.textContent = message;
+  }
+
+  /**
+   * Metric used for formatting and colouring a grid output
+   */
+  metricForOutput(output) {
+    if (/IRR$/.test(output)) return 'irr';
+    if (/MOIC$/.test(output)) return 'moic';
+    return 'npv';
   }
 
   /**
-   * Display sensitivity chart
+   * Display sensitivity chart - preview of a grid written to the Sensitivities sheet
    */
-  displaySensitivityChart(data, primaryVar, secondaryVar, outputMetric) {
+  displaySensitivityChart(grid) {
     const chartContainer = document.getElementById('sensitivityChart');
-    if (!chartContainer) return;
+    if (!chartContainer || !grid) return;
     
-    // Create simple HTML table representation (could be enhanced with charting library)
-    const { matrix, primaryRange, secondaryRange } = data;
+    const metric = this.metricForOutput(grid.output);
+    const percent = (value) => `${(value * 100).toFixed(2)}%`;
+    const axisValue = (axis, value) => (axis.shift && value > 0 ? `+${percent(value)}` : percent(value));
     
     let chartHTML = `
       <div class="sensitivity-chart-header">
-        <h5>Sensitivity Analysis: ${outputMetric.toUpperCase()} vs ${primaryVar} & ${secondaryVar}</h5>
+        <h5>${grid.title}</h5>
       </div>
       <div class="sensitivity-table">
         <table>
           <thead>
             <tr>
-              <th></th>
+              <th>${grid.row.label} \\ ${grid.column.label}</th>
     `;
     
-    // Column headers (secondary variable)
-    for (let j = 0; j < matrix[0].length; j++) {
-      const value = secondaryRange[0] + (j / (matrix[0].length - 1)) * (secondaryRange[1] - secondaryRange[0]);
-      chartHTML += `<th>${this.formatParameterValue(secondaryVar, value)}</th>`;
-    }
+    // Column headers
+    grid.column.values.forEach(value => {
+      chartHTML += `<th>${axisValue(grid.column, value)}</th>`;
+    });
     chartHTML += `</tr></thead><tbody>`;
     
-    // Rows (primary variable)
-    for (let i = 0; i < matrix.length; i++) {
-      const primaryValue = primaryRange[0] + (i / (matrix.length - 1)) * (primaryRange[1] - primaryRange[0]);
-      chartHTML += `<tr><th>${this.formatParameterValue(primaryVar, primaryValue)}</th>`;
-      
-      for (let j = 0; j < matrix[i].length; j++) {
-        const cellValue = matrix[i][j];
-        const formattedValue = this.formatMetricValue(cellValue, outputMetric);
-        const cellClass = this.getSensitivityCellClass(cellValue, outputMetric);
+    // Rows
+    grid.row.values.forEach((rowValue, i) => {
+      chartHTML += `<tr><th>${axisValue(grid.row, rowValue)}</th>`;
+      grid.values[i].forEach(cellValue => {
+        const formattedValue = this.formatMetricValue(cellValue, metric);
+        const cellClass = this.getSensitivityCellClass(cellValue, metric);
         chartHTML += `<td class="${cellClass}">${formattedValue}</td>`;
-      }
+      });
       chartHTML += `</tr>`;
-    }
+    });
     
     chartHTML += `</tbody></table></div>`;
     
@@ -730,13 +983,15 @@ class ScenarioAnalysisEngine {
    * Format metric value for sensitivity display
    */
   formatMetricValue(value, metric) {
+    if (typeof value !== 'number' || !isFinite(value)) return 'n/a';
     switch (metric) {
       case 'irr':
+      case 'unleveredIrr':
         return `${(value * 100).toFixed(1)}%`;
       case 'moic':
-        return `${value.toFixed(1)}x`;
+        return `${value.toFixed(2)}x`;
       case 'npv':
-        return `$${(value).toFixed(0)}M`;
+        return Math.round(value).toLocaleString();
       default:
         return value.toFixed(2);
     }
@@ -746,9 +1001,10 @@ class ScenarioAnalysisEngine {
    * Get CSS class for sensitivity cell based on value
    */
   getSensitivityCellClass(value, metric) {
-    let threshold;
+    if (typeof value !== 'number' || !isFinite(value)) return 'sens-neutral';
     switch (metric) {
       case 'irr':
+      case 'unleveredIrr':
         if (value >= 0.3) return 'sens-excellent';
         if (value >= 0.2) return 'sens-good';
         if (value >= 0.15) return 'sens-average';
@@ -759,15 +1015,150 @@ class ScenarioAnalysisEngine {
         if (value >= 2) return 'sens-average';
         return 'sens-poor';
       case 'npv':
-        if (value >= 150) return 'sens-excellent';
-        if (value >= 100) return 'sens-good';
-        if (value >= 50) return 'sens-average';
-        return 'sens-poor';
+        // NPV is in model currency, so only its sign says anything without a scale
+        return value >= 0 ? 'sens-good' : 'sens-poor';
       default:
         return 'sens-neutral';
     }
   }
 
+  /**
+   * Run Monte Carlo simulation - samples the distributions through the in-memory model
+   * and writes the Monte Carlo sheet
+   */
+  async runMonteCarloSimulation() {
+    if (!window.excelGenerator || !window.formHandler) {
+      this.setMonteCarloStatus('Excel is not ready yet');
+      return;
+    }
+
+    let config;
+    try {
+      config = this.collectMonteCarloConfig();
+    } catch (error) {
+      this.setMonteCarloStatus(error.message);
+      return;
+    }
+
+    const button = document.getElementById('runMonteCarloBtn');
+    if (button) button.disabled = true;
+
+    try {
+      this.setMonteCarloStatus(`Running ${config.iterations.toLocaleString()} iterations...`);
+      const modelData = window.formHandler.collectAllModelData();
+      const result = await window.excelGenerator.generateMonteCarloSheet(modelData, config, (done, total) => {
+        this.setMonteCarloStatus(`Simulating: ${done.toLocaleString()} of ${total.toLocaleString()}`);
+      });
+      if (result.cancelled) {
+        this.setMonteCarloStatus(result.message);
+        return;
+      }
+
+      this.monteCarloResults = result.results;
+      const seconds = (result.results.durationMs / 1000).toFixed(1);
+      this.setMonteCarloStatus(`Monte Carlo sheet updated (${result.results.iterations.toLocaleString()} iterations in ${seconds}s, seed ${result.results.seed}).`);
+      this.displayMonteCarloResults(result.results);
+      console.log('Monte Carlo simulation completed');
+    } catch (error) {
+      console.error('Monte Carlo simulation failed:', error);
+      this.setMonteCarloStatus(`Monte Carlo simulation failed: ${error.message}`);
+    } finally {
+      if (button) button.disabled = false;
+    }
+  }
+
+  /**
+   * Simulation config from the Monte Carlo setup (percent inputs converted to fractions)
+   */
+  collectMonteCarloConfig() {
+    const value = (id) => document.getElementById(id)?.value;
+
+    // Only inputs with their required parameters filled in are simulated
+    const variables = [];
+    document.querySelectorAll('.distribution-type').forEach(select => {
+      const distribution = select.value;
+      const spec = MonteCarloSimulator.DISTRIBUTIONS[distribution];
+      const params = {};
+      document.querySelectorAll(`#${select.dataset.param}DistParams input`).forEach(input => {
+        if (input.value.trim() !== '') params[input.dataset.name] = parseFloat(input.value) / 100;
+      });
+      const required = spec.params.filter(name => !spec.optional.includes(name));
+      if (Object.keys(params).length === 0) return;
+      if (required.some(name => !(name in params))) {
+        throw new Error(`${ScenarioRunner.DRIVERS[select.dataset.param].label}: fill in ${required.join(' and ')}`);
+      }
+      variables.push({ variable: select.dataset.param, distribution, params });
+    });
+    if (variables.length === 0) {
+      throw new Error('Give at least one input a distribution');
+    }
+
+    // "revenueGrowth, terminalCapRate = -0.4" - one pair per line
+    const correlations = (value('mcCorrelations') || '').split('\n').map(line => line.trim()).filter(Boolean).map(line => {
+      const match = /^(\w+)\s*[,/]\s*(\w+)\s*[=:]\s*(-?\d*\.?\d+)$/.exec(line);
+      if (!match) throw new Error(`Correlation "${line}" should look like revenueGrowth, terminalCapRate = -0.4`);
+      return { a: match[1], b: match[2], rho: parseFloat(match[3]) };
+    });
+
+    const target = parseFloat(value('mcTargetIRR'));
+    return {
+      variables,
+      correlations,
+      iterations: parseInt(value('numSimulations'), 10) || MonteCarloSimulator.DEFAULT_ITERATIONS,
+      confidence: parseFloat(value('confidenceInterval')) || 0.95,
+      seed: (value('mcSeed') || '').trim() || 1,
+      targetIRR: isFinite(target) ? target / 100 : null
+    };
+  }
+
+  setMonteCarloStatus(message) {
+    const status = document.getElementById('monteCarloStatus');
+    if (status) status.textContent = message;
+  }
+
+  /**
+   * Display Monte Carlo results - percentiles and a levered IRR histogram
+   */
+  displayMonteCarloResults(results) {
+    const container = document.getElementById('monteCarloResults');
+    if (!container || !results) return;
+
+    const metrics = { leveredIRR: 'irr', unleveredIRR: 'irr', leveredMOIC: 'moic', unleveredMOIC: 'moic' };
+    let resultsHTML = `
+      <div class="monte-carlo-summary">
+        <table>
+          <thead>
+            <tr><th>Output</th><th>Mean</th><th>P10</th><th>P50</th><th>P90</th></tr>
+          </thead>
+          <tbody>
+    `;
+    Object.entries(results.outputs).forEach(([key, output]) => {
+      const format = (value) => this.formatMetricValue(value, metrics[key]);
+      resultsHTML += `<tr><th>${output.label}</th><td>${format(output.stats.mean)}</td><td>${format(output.stats.p10)}</td>` +
+        `<td>${format(output.stats.p50)}</td><td>${format(output.stats.p90)}</td></tr>`;
+    });
+    resultsHTML += `</tbody></table></div>`;
+
+    if (results.targetIRR !== null) {
+      resultsHTML += `<div class="metric">Probability of a ${(results.targetIRR * 100).toFixed(1)}% levered IRR: ` +
+        `<strong>${(results.probabilityOfTarget * 100).toFixed(1)}%</strong></div>`;
+    }
+
+    // Bars scaled to the fullest bin
+    const histogram = results.outputs.leveredIRR.histogram;
+    const tallest = histogram.reduce((most, bin) => Math.max(most, bin.count), 0);
+    if (tallest > 0) {
+      resultsHTML += `<div class="monte-carlo-histogram">`;
+      histogram.forEach(bin => {
+        const height = Math.round(bin.count / tallest * 100);
+        resultsHTML += `<div class="histogram-bar" style="height: ${height}%" title="${(bin.from * 100).toFixed(1)}% to ${(bin.to * 100).toFixed(1)}%: ${bin.count}"></div>`;
+      });
+      resultsHTML += `</div>`;
+    }
+
+    container.innerHTML = resultsHTML;
+  }
+
   /**
    * Show scenario loading state
    */
@@ -803,8 +1194,8 @@ class ScenarioAnalysisEngine {
       <div class="scenario-card" data-scenario-id="${scenario.id}">
         <h5>📊 ${scenario.name}</h5>
         <div class="scenario-metrics">
-          <div class="metric">IRR: <span>${(scenario.results.irr * 100).toFixed(1)}%</span></div>
-          <div class="metric">MOIC: <span>${scenario.results.moic.toFixed(1)}x</span></div>
+          <div class="metric">IRR: <span>${this.formatMetricValue(this.getMetricValue(scenario.outputs, 'irr'), 'irr')}</span></div>
+          <div class="metric">MOIC: <span>${this.formatMetricValue(this.getMetricValue(scenario.outputs, 'moic'), 'moic')}</span></div>
         </div>
         <div class="scenario-actions">
           <button class="scenario-action-btn" onclick="scenarioAnalysisEngine.viewScenario('${scenario.id}')">View</button>
@@ -836,18 +1227,27 @@ class ScenarioAnalysisEngine {
     const insightsContent = document.getElementById('insightsContent');
     
     if (summaryCards) {
+      const { unlevered, levered } = scenario.outputs;
       summaryCards.innerHTML = `
         <div class="summary-card">
-          <h5>📈 IRR</h5>
-          <div class="summary-value">${(scenario.results.irr * 100).toFixed(1)}%</div>
+          <h5>📈 Levered IRR</h5>
+          <div class="summary-value">${this.formatMetricValue(levered.annualIRR, 'irr')}</div>
+        </div>
+        <div class="summary-card">
+          <h5>📈 Unlevered IRR</h5>
+          <div class="summary-value">${this.formatMetricValue(unlevered.annualIRR, 'irr')}</div>
         </div>
         <div class="summary-card">
-          <h5>💰 MOIC</h5>
-          <div class="summary-value">${scenario.results.moic.toFixed(1)}x</div>
+          <h5>💰 Levered MOIC</h5>
+          <div class="summary-value">${this.formatMetricValue(levered.moic, 'moic')}</div>
         </div>
         <div class="summary-card">
-          <h5>💎 NPV</h5>
-          <div class="summary-value">$${scenario.results.npv.toFixed(0)}M</div>
+          <h5>💰 Unlevered MOIC</h5>
+          <div class="summary-value">${this.formatMetricValue(unlevered.moic, 'moic')}</div>
+        </div>
+        <div class="summary-card">
+          <h5>💎 Levered NPV</h5>
+          <div class="summary-value">${this.formatMetricValue(levered.npv, 'npv')}</div>
         </div>
       `;
     }
@@ -868,21 +1268,143 @@ class ScenarioAnalysisEngine {
   }
 
   /**
-   * Export to Excel
+   * Save the moved parameter sliders as a named case in the workbook
+   */
+  async saveCurrentScenario() {
+    const name = (document.getElementById('scenarioNameInput')?.value || '').trim();
+    const parameters = this.collectScenarioParameters();
+    const saved = await this.updateCases(manager => manager.saveCase(name, parameters), `${name} case saved to the workbook`);
+    if (saved) {
+      const input = document.getElementById('scenarioNameInput');
+      if (input) input.value = '';
+    }
+  }
+
+  /**
+   * Run a case manager change, then refresh the case list and the baseline (the live inputs may have moved)
+   */
+  async updateCases(change, message) {
+    if (!window.excelGenerator) {
+      this.setScenarioStatus('Excel is not ready yet');
+      return false;
+    }
+
+    try {
+      this.cases = await change(this.getCaseManager());
+      this.updateCasesDisplay();
+      this.setScenarioStatus(message);
+      
+      this.baseline = await this.getRunner().captureBaseline();
+      this.resetParameterInputs();
+      this.updateBaselineDisplay();
+      return true;
+    } catch (error) {
+      console.error('Scenario case update failed:', error);
+      this.setScenarioStatus(error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Point the live model at a case through the Active Case selector
+   */
+  async switchCase(name) {
+    await this.updateCases(manager => manager.switchCase(name), `Model switched to the ${name} case`);
+  }
+
+  /**
+   * Write the Scenario Comparison sheet - every case recalculated through the workbook
+   */
+  async generateComparisonSheet() {
+    if (!window.excelGenerator) {
+      this.setScenarioStatus('Excel is not ready yet');
+      return;
+    }
+
+    const button = document.getElementById('compareCasesBtn');
+    if (button) button.disabled = true;
+
+    try {
+      const result = await window.excelGenerator.generateScenarioComparisonSheet((done, count) => {
+        this.setScenarioStatus(`Recalculating cases: ${done} of ${count}`);
+      });
+      if (result.cancelled) {
+        this.setScenarioStatus(result.message);
+        return;
+      }
+      this.setScenarioStatus(`Scenario Comparison sheet updated with ${result.cases.length} case(s).`);
+      return result;
+    } catch (error) {
+      console.error('Scenario comparison failed:', error);
+      this.setScenarioStatus(`Scenario comparison failed: ${error.message}`);
+      return null;
+    } finally {
+      if (button) button.disabled = false;
+    }
+  }
+
+  /**
+   * Case selector and list of the workbook cases
+   */
+  updateCasesDisplay() {
+    const select = document.getElementById('activeCaseSelect');
+    const list = document.getElementById('casesList');
+    const cases = this.cases ? this.cases.cases : [];
+
+    if (select) {
+      select.innerHTML = cases.map(item =>
+        `<option value="${this.escapeHtml(item.name)}">${this.escapeHtml(item.name)}</option>`).join('');
+      if (this.cases?.active) select.value = this.cases.active;
+    }
+
+    if (list) {
+      list.innerHTML = cases.length === 0
+        ? '<div class="case-empty">No cases saved yet - save the current sliders as a case, or add Upside / Downside.</div>'
+        : cases.map(item => {
+          const changed = item.name === ScenarioManager.BASE_CASE
+            ? `${this.cases.inputs.length} managed input(s)`
+            : `${Object.keys(item.values).length} input(s) changed`;
+          const active = item.name === this.cases.active ? ' active' : '';
+          const remove = item.name === ScenarioManager.BASE_CASE
+            ? ''
+            : `<button class="scenario-action-btn" data-delete-case="${this.escapeHtml(item.name)}">Delete</button>`;
+          return `<div class="case-row${active}"><span>${this.escapeHtml(item.name)}</span><span>${changed}</span>${remove}</div>`;
+        }).join('');
+    }
+  }
+
+  setScenarioStatus(message) {
+    const status = document.getElementById('scenarioStatus');
+    if (status) status.textContent = message;
+  }
+
+  /**
+   * Escape user-entered text (case names) for the panel HTML
+   */
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Export to Excel - the side-by-side Scenario Comparison sheet of the workbook cases
    */
   exportToExcel() {
-    // Implementation would create Excel file with scenario results
-    console.log('Exporting scenarios to Excel...');
-    alert('Excel export functionality would be implemented here');
+    this.switchTab('scenarios');
+    this.generateComparisonSheet();
   }
 
   /**
-   * Export to PDF
+   * Export to PDF - Office.js cannot write PDFs, so the Scenario Comparison sheet is laid out for
+   * printing and Excel's own PDF export does the rest
    */
-  exportToPdf() {
-    // Implementation would create PDF report
-    console.log('Exporting scenarios to PDF...');
-    alert('PDF export functionality would be implemented here');
+  async exportToPdf() {
+    this.switchTab('scenarios');
+    const result = await this.generateComparisonSheet();
+    if (result && result.success) {
+      this.setScenarioStatus('Scenario Comparison sheet is print-ready - save it with File > Export > PDF (or Print > Save as PDF).');
+    }
   }
 
   /**
@@ -890,8 +1412,12 @@ class ScenarioAnalysisEngine {
    */
   exportToJson() {
     const exportData = {
+      baseline: this.baseline,
       scenarios: this.scenarios,
       sensitivityTests: this.sensitivityTests,
+      cases: this.cases,
+      monteCarloResults: this.monteCarloResults,
+      tornadoAnalysis: this.tornadoAnalysis,
       baselineModel: this.baselineModel,
       exportDate: new Date().toISOString()
     };
@@ -9,7 +9,7 @@ class AIExtractionService {
     this.maxRetries = 3;
     this.retryDelay = 1000;
     this.confidenceThreshold = 0.5;
-    this.extractionCache = new Map();
+    this.extractionCache = new ExtractionCache();
   }
 
   getAPIEndpoint() {
@@ -24,10 +24,11 @@ class AIExtractionService {
     console.log(`🤖 AI Extraction Service: Processing ${files.length} files for ${extractionType} extraction`);
     
     // Check cache first
-    const cacheKey = this.generateCacheKey(files, extractionType);
-    if (this.extractionCache.has(cacheKey)) {
-      console.log('🤖 Returning cached extraction results');
-      return this.extractionCache.get(cacheKey);
+    const cacheKey = await this.generateCacheKey(files, extractionType);
+    const cached = await this.extractionCache.get(cacheKey);
+    if (cached) {
+      console.log(`🤖 Returning cached ${extractionType} extraction results`);
+      return cached;
     }
 
     try {
@@ -47,7 +48,7 @@ class AIExtractionService {
       const dataWithConfidence = this.calculateConfidenceScores(extractedData, fileContents);
       
       // Cache successful extraction
-      this.extractionCache.set(cacheKey, dataWithConfidence);
+      await this.extractionCache.set(cacheKey, extractionType, dataWithConfidence);
       
       return dataWithConfidence;
       
@@ -79,6 +80,9 @@ class AIExtractionService {
       return {
         metadata: metadata,
         content: file.content || '',
+        pages: file.pages || null,
+        workbook: file.workbook || null,
+        ocr: file.ocr || null,
         extractedText: file.extractedData || null
       };
     });
@@ -254,14 +258,20 @@ class AIExtractionService {
       // Factor 3: Reasonable value range
       if (this.isReasonableValue(field, value)) confidence += 0.1;
       
-      // Find source document
-      const source = this.findValueSource(value, fileContents);
+      // Find source document and page
+      const location = this.locateValue(value, fileContents);
       
       scoredData[field] = {
         value: value,
         confidence: Math.min(confidence, 1.0),
-        source: source
+        source: this.findValueSource(value, fileContents, location),
+        location: location
       };
+      
+      // Factor 4: values read by OCR from weak regions need review
+      if (typeof ImageOcrExtractor !== 'undefined') {
+        ImageOcrExtractor.adjustFieldConfidence(scoredData[field], fileContents);
+      }
     }
     
     return scoredData;
@@ -293,11 +303,8 @@ class AIExtractionService {
    */
   
   countValueOccurrences(value, fileContents) {
-    if (!value) return 0;
-    const valueStr = String(value).toLowerCase();
-    return fileContents.filter(f => 
-      f.content && f.content.toLowerCase().includes(valueStr)
-    ).length;
+    const terms = this.getValueSearchTerms(value);
+    return fileContents.filter(f => this.findTerm(f.content, terms)).length;
   }
 
   validateFieldFormat(field, value) {
@@ -327,22 +334,179 @@ class AIExtractionService {
     return validator ? validator(value) : true;
   }
 
-  findValueSource(value, fileContents) {
+  /**
+   * Citation for a value: "file.pdf, p. 4" for paged documents, "file.xlsx, Sheet!C7" for
+   * workbooks, the file name otherwise
+   */
+  findValueSource(value, fileContents, location = this.locateValue(value, fileContents)) {
     if (!value) return 'not_found';
+    if (!location) return 'inferred';
+    
+    if (location.cell) return `${location.file}, ${location.cell}`;
+    return location.page ? `${location.file}, p. ${location.page}` : location.file;
+  }
+
+  /**
+   * First place a value appears, or null. Text sources give
+   * { file, page, table, start, end, match, excerpt, highlight } where start/end are character
+   * offsets into the file's text and highlight marks the match inside the excerpt. Workbooks give
+   * { file, sheet, cell, formula, match, excerpt, highlight }. Values read by OCR also carry the
+   * line's bounding box and OCR confidence.
+   */
+  locateValue(value, fileContents) {
+    const terms = this.getValueSearchTerms(value);
+    if (terms.length === 0) return null;
     
-    const valueStr = String(value).toLowerCase();
     for (const file of fileContents) {
-      if (file.content && file.content.toLowerCase().includes(valueStr)) {
-        return file.metadata.filename;
+      const fileName = file.metadata?.filename || file.name;
+      if (file.workbook) {
+        const cellLocation = this.locateValueInWorkbook(value, terms, file, fileName);
+        if (cellLocation) return cellLocation;
+        continue;
+      }
+      
+      const content = file.content || '';
+      const pages = file.pages
+        || (typeof PdfTextExtractor !== 'undefined' ? PdfTextExtractor.splitPages(content) : [{ number: null, text: content }]);
+      
+      let cursor = 0;
+      for (const page of pages) {
+        const text = page.text || '';
+        const pageOffset = content.indexOf(text, cursor);
+        if (pageOffset !== -1) cursor = pageOffset + text.length;
+        
+        const found = this.findTerm(text, terms);
+        if (!found) continue;
+        
+        const match = text.slice(found.index, found.index + found.length);
+        const lowerMatch = match.toLowerCase();
+        const table = (page.tables || []).find(candidate => this.findTerm(candidate.text, [lowerMatch]));
+        const ocr = page.ocr || file.ocr;
+        const ocrLine = ocr ? ocr.lines.find(candidate => candidate.text.toLowerCase().includes(lowerMatch)) : null;
+        return {
+          file: fileName,
+          page: page.number,
+          table: table ? table.id : null,
+          start: pageOffset === -1 ? null : pageOffset + found.index,
+          end: pageOffset === -1 ? null : pageOffset + found.index + found.length,
+          match,
+          ...this.buildSnippet(text, found.index, found.length),
+          ...(ocrLine && { bbox: ocrLine.bbox, ocrConfidence: ocrLine.confidence })
+        };
       }
     }
     
-    return 'inferred';
+    return null;
+  }
+
+  /**
+   * Cell holding a value in a parsed workbook: numbers match exactly, text as a whole word
+   */
+  locateValueInWorkbook(value, terms, file, fileName = file.metadata?.filename || file.name) {
+    for (const sheet of file.workbook.sheets) {
+      const cell = sheet.cells.find(candidate => typeof value === 'number'
+        ? candidate.value === value
+        : typeof candidate.value === 'string' && this.findTerm(candidate.value, terms));
+      if (!cell) continue;
+      
+      // Quote the row, with the cell's own text highlighted
+      const rowCells = sheet.cells
+        .filter(candidate => candidate.row === cell.row && candidate.value !== null && candidate.value !== '')
+        .sort((a, b) => a.col - b.col);
+      let rowText = '';
+      let highlight = null;
+      rowCells.forEach(candidate => {
+        if (rowText) rowText += ' | ';
+        if (candidate === cell) highlight = { start: rowText.length, end: rowText.length + String(candidate.value).length };
+        rowText += String(candidate.value);
+      });
+      
+      return {
+        file: fileName,
+        sheet: sheet.name,
+        cell: `${sheet.name}!${cell.address}`,
+        formula: cell.formula || null,
+        match: String(cell.value),
+        ...this.buildSnippet(rowText, highlight.start, highlight.end - highlight.start)
+      };
+    }
+    return null;
   }
 
+  /**
+   * Earliest whole-token occurrence of any search term, so 5 does not match inside 2025 or 5.25
+   * @returns {{ index: number, length: number }|null}
+   */
+  findTerm(text, terms) {
+    const lower = String(text || '').toLowerCase();
+    const isWordChar = (char) => !!char && /[a-z0-9]/.test(char);
+    const isDigit = (char) => !!char && /[0-9]/.test(char);
+    let best = null;
+    
+    terms.forEach(term => {
+      if (!term) return;
+      let index = lower.indexOf(term);
+      while (index !== -1 && (!best || index < best.index)) {
+        const before = lower[index - 1];
+        const after = lower[index + term.length];
+        const joinedBefore = isWordChar(before) || ((before === '.' || before === ',') && isDigit(lower[index - 2]));
+        const joinedAfter = isWordChar(after) || ((after === '.' || after === ',') && isDigit(lower[index + term.length + 1]));
+        if (!joinedBefore && !joinedAfter) {
+          best = { index, length: term.length };
+          break;
+        }
+        index = lower.indexOf(term, index + 1);
+      }
+    });
+    return best;
+  }
+
+  /**
+   * Up to ~70 characters either side of a match, kept within its line
+   * @returns {{ excerpt: string, highlight: { start: number, end: number } }}
+   */
+  buildSnippet(text, index, length, radius = 70) {
+    const lineStart = text.lastIndexOf('\n', index) + 1;
+    const newline = text.indexOf('\n', index + length);
+    const lineEnd = newline === -1 ? text.length : newline;
+    const from = Math.max(lineStart, index - radius);
+    const to = Math.min(lineEnd, index + length + radius);
+    
+    const before = (from > lineStart ? '…' : '') + text.slice(from, index).replace(/\s+/g, ' ').trimStart();
+    const match = text.slice(index, index + length);
+    const after = text.slice(index + length, to).replace(/\s+/g, ' ').trimEnd() + (to < lineEnd ? '…' : '');
+    return {
+      excerpt: before + match + after,
+      highlight: { start: before.length, end: before.length + match.length }
+    };
+  }
+
+  /**
+   * Lower-case spellings of a value as it may appear in a document (1500000 → "1,500,000")
+   */
+  getValueSearchTerms(value) {
+    if (value === null || value === undefined || value === '' || typeof value === 'object') return [];
+    
+    const terms = [String(value)];
+    if (typeof value === 'number' && Math.abs(value) >= 1000) {
+      terms.push(value.toLocaleString('en-US', { maximumFractionDigits: 2 }));
+    }
+    return [...new Set(terms.map(term => term.toLowerCase()))];
+  }
+
+  /**
+   * Cache key from the extraction type, its system prompt and a content hash of each file
+   */
   generateCacheKey(files, type) {
-    const fileNames = files.map(f => f.name).sort().join('|');
-    return `${type}:${fileNames}`;
+    return this.extractionCache.generateKey(files, type, this.getExtractionStrategy(type).systemPrompt);
+  }
+
+  /**
+   * Forget cached results for one extraction type (e.g. 'costs') so only that section is re-run,
+   * or for every type when none is given
+   */
+  invalidateCache(type = null) {
+    return this.extractionCache.invalidate(type);
   }
 
   sleep(ms) {
@@ -461,9 +625,14 @@ Look for:
 - Interest rates (fixed or floating)
 - Base rates (LIBOR, SOFR, etc.)
 - Credit spreads/margins
+- Base rate floors
+- Amortization (interest-only/bullet, straight-line, mortgage-style annuity) and amortization period
 - Loan terms
+- Separate tranches (senior, mezzanine, junior) with their share of total debt and pricing
 
-Return all debt-related parameters.`;
+Return all debt-related parameters. Put the senior loan in the top-level fields and any
+additional tranches in a "tranches" array of {name, share, rateType, fixedRate, baseRate,
+margin, floor, amortizationType, amortizationYears}.`;
   }
 
   getExitAssumptionsPrompt() {
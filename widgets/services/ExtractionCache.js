@@ -0,0 +1,223 @@
+/**
+ * ExtractionCache.js - Persistent cache of AI extraction results
+ * Entries are keyed on the extraction type, the cache version, a hash of the system prompt and a
+ * SHA-256 hash of each file's name and content, so an edited file with the same name or a changed
+ * prompt misses the cache. Results live in IndexedDB across reloads, bounded by entry count,
+ * total size and age (least recently used entries go first).
+ */
+
+class ExtractionCache {
+  // Bump when response parsing or confidence scoring changes the shape or meaning of cached results
+  static VERSION = 1;
+
+  constructor(options = {}) {
+    this.dbName = options.dbName || 'ma-model-extraction-cache';
+    this.storeName = 'extractions';
+    this.maxEntries = options.maxEntries || 100;
+    this.maxBytes = options.maxBytes || 20 * 1024 * 1024; // 20MB
+    this.maxAgeMs = options.maxAgeMs || 30 * 24 * 60 * 60 * 1000; // 30 days
+    this.memory = new Map();
+    this.dbPromise = null;
+  }
+
+  /**
+   * Cache key for a set of files, an extraction type and its system prompt:
+   * "costs:v1:<prompt hash>:<hash>|<hash>"
+   */
+  async generateKey(files, type, systemPrompt = '') {
+    const hashes = await Promise.all(files.map(file => ExtractionCache.hashFile(file)));
+    const promptHash = await ExtractionCache.sha256(systemPrompt);
+    return `${type}:v${ExtractionCache.VERSION}:${promptHash}:${hashes.sort().join('|')}`;
+  }
+
+  /**
+   * SHA-256 of a file's name and extracted text (the text is what the AI is sent, so it decides
+   * whether a cached result is still valid)
+   */
+  static hashFile(file) {
+    const name = file.metadata?.filename || file.name || '';
+    return ExtractionCache.sha256(`${name}\u0000${file.content || ''}`);
+  }
+
+  static async sha256(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  static isPersistent() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  openDatabase() {
+    if (!ExtractionCache.isPersistent()) return Promise.resolve(null);
+
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(this.storeName, { keyPath: 'key' });
+          store.createIndex('type', 'type');
+          store.createIndex('lastAccessed', 'lastAccessed');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('Extraction cache database is blocked by another tab'));
+      }).catch(error => {
+        console.warn('⚠️ Extraction cache is memory-only:', error.message);
+        return null;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Run fn(store) in a transaction and resolve with its request's result once committed
+   */
+  async withStore(mode, fn) {
+    const db = await this.openDatabase();
+    if (!db) return null;
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = fn(transaction.objectStore(this.storeName));
+      transaction.oncomplete = () => resolve(request ? request.result : null);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Extraction cache transaction aborted'));
+    });
+  }
+
+  /**
+   * Cached result for a key, or null
+   */
+  async get(key) {
+    const now = Date.now();
+    let entry = this.memory.get(key) || null;
+
+    if (!entry) {
+      try {
+        entry = await this.withStore('readonly', store => store.get(key));
+      } catch (error) {
+        console.warn('⚠️ Could not read extraction cache:', error.message);
+      }
+    }
+    if (!entry) return null;
+
+    if (now - entry.createdAt > this.maxAgeMs) {
+      await this.delete(key);
+      return null;
+    }
+
+    entry.lastAccessed = now;
+    this.memory.set(key, entry);
+    this.withStore('readwrite', store => store.put(entry))
+      .catch(error => console.warn('⚠️ Could not update extraction cache:', error.message));
+    return entry.value;
+  }
+
+  async set(key, type, value) {
+    const size = JSON.stringify(value).length * 2; // UTF-16, as the browser accounts it
+    if (size > this.maxBytes) {
+      console.warn(`⚠️ ${type} extraction (${Math.round(size / 1024)}KB) is too large to cache`);
+      return;
+    }
+
+    const now = Date.now();
+    const entry = { key, type, value, size, createdAt: now, lastAccessed: now };
+    this.memory.set(key, entry);
+
+    try {
+      await this.withStore('readwrite', store => store.put(entry));
+      await this.evict();
+    } catch (error) {
+      console.warn('⚠️ Could not write extraction cache:', error.message);
+    }
+  }
+
+  async delete(key) {
+    this.memory.delete(key);
+    try {
+      await this.withStore('readwrite', store => store.delete(key));
+    } catch (error) {
+      console.warn('⚠️ Could not delete from extraction cache:', error.message);
+    }
+  }
+
+  /**
+   * Drop cached results for one extraction type (e.g. 'costs'), or everything when no type is given
+   * @returns {Promise<number>} entries removed
+   */
+  async invalidate(type = null) {
+    const keys = await this.keys(type);
+    [...this.memory.values()]
+      .filter(entry => !type || entry.type === type)
+      .forEach(entry => { if (!keys.includes(entry.key)) keys.push(entry.key); });
+
+    keys.forEach(key => this.memory.delete(key));
+    try {
+      await this.withStore('readwrite', store => {
+        keys.forEach(key => store.delete(key));
+        return null;
+      });
+    } catch (error) {
+      console.warn('⚠️ Could not invalidate extraction cache:', error.message);
+    }
+
+    console.log(`🗑️ Invalidated ${keys.length} cached ${type || 'extraction'} result(s)`);
+    return keys.length;
+  }
+
+  async keys(type = null) {
+    try {
+      const keys = await this.withStore('readonly', store => type
+        ? store.index('type').getAllKeys(IDBKeyRange.only(type))
+        : store.getAllKeys());
+      return keys || [];
+    } catch (error) {
+      console.warn('⚠️ Could not list extraction cache:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Remove expired entries, then least recently used ones until within the count and size limits
+   */
+  async evict() {
+    const entries = (await this.withStore('readonly', store => store.index('lastAccessed').getAll()))
+      || [...this.memory.values()].sort((a, b) => a.lastAccessed - b.lastAccessed);
+
+    const now = Date.now();
+    const expired = entries.filter(entry => now - entry.createdAt > this.maxAgeMs);
+    const live = entries.filter(entry => now - entry.createdAt <= this.maxAgeMs); // oldest access first
+    let totalBytes = live.reduce((sum, entry) => sum + entry.size, 0);
+
+    const removed = [...expired];
+    while (live.length > 0 && (live.length > this.maxEntries || totalBytes > this.maxBytes)) {
+      const entry = live.shift();
+      totalBytes -= entry.size;
+      removed.push(entry);
+    }
+    if (removed.length === 0) return;
+
+    removed.forEach(entry => this.memory.delete(entry.key));
+    await this.withStore('readwrite', store => {
+      removed.forEach(entry => store.delete(entry.key));
+      return null;
+    });
+    console.log(`🗑️ Evicted ${removed.length} cached extraction result(s)`);
+  }
+
+  async getStats() {
+    const entries = (await this.withStore('readonly', store => store.getAll())) || [...this.memory.values()];
+    const byType = {};
+    entries.forEach(entry => { byType[entry.type] = (byType[entry.type] || 0) + 1; });
+    return {
+      entries: entries.length,
+      bytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+      byType,
+      persistent: ExtractionCache.isPersistent()
+    };
+  }
+}
+
+// Export for use
+window.ExtractionCache = ExtractionCache;
@@ -301,9 +301,23 @@ class ExtractionConfidenceIndicator {
       const source = document.createElement('div');
       source.className = 'confidence-source';
       source.textContent = `Source: ${this.formatSource(data.source)}`;
+      if (data.location?.excerpt) {
+        source.title = `“${data.location.excerpt}”`;
+      }
       details.appendChild(source);
     }
     
+    // OCR read quality for values taken from scanned images
+    if (typeof data.ocrConfidence === 'number') {
+      const ocr = document.createElement('div');
+      ocr.className = 'confidence-source';
+      ocr.textContent = `Read by OCR at ${Math.round(data.ocrConfidence * 100)}% confidence`;
+      if (data.ocrRegion?.text) {
+        ocr.title = `“${data.ocrRegion.text}”`;
+      }
+      details.appendChild(ocr);
+    }
+    
     // Description
     const description = document.createElement('div');
     description.textContent = config.description;
@@ -426,13 +440,17 @@ class ExtractionConfidenceIndicator {
       'filename': 'File Name',
       'content_pattern': 'Document Content',
       'csv_pattern': 'CSV Data',
+      'sheet_grid': 'Spreadsheet Cell',
       'category_pattern': 'Category Match',
       'context_matching': 'Context Analysis',
       'inferred_earliest': 'Earliest Date',
       'inferred_latest': 'Latest Date'
     };
     
-    return sourceLabels[source] || source.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+    if (sourceLabels[source]) return sourceLabels[source];
+    // File citations ("memo.pdf, p. 4") are shown as-is
+    if (/\.\w{2,4}\b/.test(source)) return source;
+    return source.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
   }
 
   /**
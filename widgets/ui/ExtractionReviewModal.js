@@ -9,8 +9,12 @@ class ExtractionReviewModal {
     this.currentData = null;
     this.onApprove = null;
     this.onReject = null;
+    this.onCancel = null;
+    this.settled = false;
     this.confidenceIndicator = null;
+    this.sources = [];
     this.editedValues = new Map();
+    this.conflictChoices = new Map(); // field -> index of the picked candidate
     
     this.init();
   }
@@ -174,6 +178,134 @@ class ExtractionReviewModal {
         font-style: italic;
       }
       
+      .extraction-field-snippet {
+        margin-top: 4px;
+        padding: 4px 8px;
+        font-size: 12px;
+        color: #374151;
+        background: #f9fafb;
+        border-left: 3px solid #d1d5db;
+        border-radius: 4px;
+      }
+      
+      .extraction-field-ambiguity {
+        margin-top: 4px;
+        padding: 4px 8px;
+        font-size: 12px;
+        color: #92400e;
+        background: #fffbeb;
+        border-left: 3px solid #f59e0b;
+        border-radius: 4px;
+      }
+      
+      .extraction-field-conflict {
+        margin-top: 4px;
+        padding: 6px 8px;
+        font-size: 12px;
+        color: #1e3a8a;
+        background: #eff6ff;
+        border-left: 3px solid #3b82f6;
+        border-radius: 4px;
+      }
+      
+      .extraction-conflict-option {
+        display: flex;
+        align-items: baseline;
+        gap: 6px;
+        margin-top: 4px;
+        cursor: pointer;
+      }
+      
+      .extraction-conflict-option small {
+        color: #6b7280;
+      }
+      
+      .extraction-alternative-btn {
+        margin-left: 4px;
+        padding: 1px 6px;
+        font-size: 11px;
+        color: #92400e;
+        background: white;
+        border: 1px solid #fcd34d;
+        border-radius: 4px;
+        cursor: pointer;
+      }
+      
+      .extraction-alternative-btn:hover,
+      .extraction-alternative-btn.selected {
+        background: #fde68a;
+      }
+      
+      .extraction-field-snippet.clickable {
+        cursor: pointer;
+      }
+      
+      .extraction-field-snippet.clickable:hover {
+        border-left-color: #3b82f6;
+        background: #eff6ff;
+      }
+      
+      .extraction-field-snippet mark,
+      .extraction-source-viewer mark {
+        background: #fde68a;
+        color: inherit;
+        padding: 0 1px;
+        border-radius: 2px;
+      }
+      
+      .extraction-source-viewer {
+        display: none;
+        flex-direction: column;
+        border-top: 1px solid #e5e7eb;
+        max-height: 240px;
+      }
+      
+      .extraction-source-viewer.active {
+        display: flex;
+      }
+      
+      .extraction-source-viewer-header {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        padding: 8px 16px;
+        font-size: 13px;
+        font-weight: 600;
+        background: #f9fafb;
+      }
+      
+      .extraction-source-viewer-body {
+        overflow: auto;
+        padding: 8px 16px;
+        font-size: 12px;
+      }
+      
+      .extraction-source-viewer-body pre {
+        margin: 0;
+        white-space: pre-wrap;
+        font-family: inherit;
+      }
+      
+      .extraction-source-viewer-body table {
+        border-collapse: collapse;
+      }
+      
+      .extraction-source-viewer-body td,
+      .extraction-source-viewer-body th {
+        border: 1px solid #e5e7eb;
+        padding: 2px 6px;
+        white-space: nowrap;
+      }
+      
+      .extraction-source-viewer-body th {
+        background: #f3f4f6;
+        font-weight: 500;
+      }
+      
+      .extraction-source-viewer-body td.highlight {
+        background: #fde68a;
+      }
+      
       .extraction-field-actions {
         display: flex;
         gap: 4px;
@@ -416,8 +548,21 @@ class ExtractionReviewModal {
       </div>
     `;
     
+    // Source viewer (opened from a field's snippet)
+    const viewer = document.createElement('div');
+    viewer.className = 'extraction-source-viewer';
+    viewer.id = 'extraction-source-viewer';
+    viewer.innerHTML = `
+      <div class="extraction-source-viewer-header">
+        <span id="extraction-source-viewer-title"></span>
+        <button class="extraction-review-btn secondary" id="extraction-source-viewer-close">Close</button>
+      </div>
+      <div class="extraction-source-viewer-body" id="extraction-source-viewer-body"></div>
+    `;
+    
     modal.appendChild(header);
     modal.appendChild(body);
+    modal.appendChild(viewer);
     modal.appendChild(footer);
     overlay.appendChild(modal);
     
@@ -448,6 +593,10 @@ class ExtractionReviewModal {
       this.approve();
     });
     
+    document.getElementById('extraction-source-viewer-close').addEventListener('click', () => {
+      this.closeSource();
+    });
+    
     // Escape key handler
     document.addEventListener('keydown', (e) => {
       if (e.key === 'Escape' && this.isOpen) {
@@ -465,14 +614,21 @@ class ExtractionReviewModal {
       subtitle = 'Review and edit the extracted data before applying to your model',
       onApprove = null,
       onReject = null,
-      confidenceIndicator = null
+      onCancel = null,
+      confidenceIndicator = null,
+      sources = []
     } = options;
     
     this.currentData = extractionData;
     this.onApprove = onApprove;
     this.onReject = onReject;
+    this.onCancel = onCancel;
+    this.settled = false;
     this.confidenceIndicator = confidenceIndicator;
+    this.sources = sources || [];
     this.editedValues.clear();
+    this.conflictChoices.clear();
+    this.closeSource();
     
     // Update header
     document.querySelector('.extraction-review-title').textContent = title;
@@ -550,6 +706,23 @@ class ExtractionReviewModal {
       revenueGrowthRate: 'Revenue Items',
       revenueCurrency: 'Revenue Items',
       
+      // Rent Roll
+      tenants: 'Rent Roll',
+      rentRollDate: 'Rent Roll',
+      rentRollCurrency: 'Rent Roll',
+      waultToExpiry: 'Rent Roll',
+      waultToBreak: 'Rent Roll',
+      occupancy: 'Rent Roll',
+      
+      // Historicals
+      historicals: 'Historicals',
+      historicalsCurrency: 'Historicals',
+      historicalPeriodEnd: 'Historicals',
+      ttmRevenue: 'Historicals',
+      ttmOpex: 'Historicals',
+      historicalRevenueGrowth: 'Historicals',
+      historicalOpexGrowth: 'Historicals',
+      
       // Cost Items
       operatingExpenses: 'Cost Items',
       capitalExpenses: 'Cost Items',
@@ -563,6 +736,10 @@ class ExtractionReviewModal {
       interestRate: 'Debt Model',
       baseRate: 'Debt Model',
       creditMargin: 'Debt Model',
+      rateFloor: 'Debt Model',
+      amortizationType: 'Debt Model',
+      amortizationYears: 'Debt Model',
+      debtTranches: 'Debt Model',
       loanTerm: 'Debt Model',
       loanAmount: 'Debt Model',
       debtType: 'Debt Model',
@@ -737,11 +914,248 @@ class ExtractionReviewModal {
       original.className = 'extraction-field-original';
       original.textContent = `Source: ${this.formatSource(fieldData.source)}`;
       container.appendChild(original);
+      
+      if (fieldData.location?.excerpt) {
+        container.appendChild(this.createSnippet(fieldData.location));
+      }
+    }
+    
+    if (fieldData?.fx) {
+      container.appendChild(this.createFxNote(fieldData));
+    }
+    
+    if (fieldData?.conflict) {
+      container.appendChild(this.createConflictPicker(fieldName, fieldData.conflict, input));
+    }
+    
+    if (fieldData?.ambiguity) {
+      const note = document.createElement('div');
+      note.className = 'extraction-field-ambiguity';
+      note.textContent = 'Reads more than one way:';
+      note.title = fieldData.ambiguity.reason;
+      note.appendChild(this.createAlternativeButtons(fieldData.ambiguity, input));
+      container.appendChild(note);
     }
     
     return container;
   }
 
+  /**
+   * Pick-one control for a value the documents disagree on: one option per candidate with the
+   * files that state it, ranked best first. Typing a different value clears the pick.
+   */
+  createConflictPicker(fieldName, conflict, input) {
+    const picker = document.createElement('div');
+    picker.className = 'extraction-field-conflict';
+    picker.textContent = `Documents disagree - ${conflict.candidates.length} values found:`;
+    
+    const options = conflict.candidates.map((candidate, index) => {
+      const option = document.createElement('label');
+      option.className = 'extraction-conflict-option';
+      
+      const radio = document.createElement('input');
+      radio.type = 'radio';
+      radio.name = `conflict-${fieldName}`;
+      radio.checked = index === conflict.chosenIndex;
+      radio.addEventListener('change', () => {
+        input.value = candidate.value;
+        input.dispatchEvent(new Event('input', { bubbles: true }));
+        this.conflictChoices.set(fieldName, index);
+      });
+      
+      const value = document.createElement('strong');
+      value.textContent = typeof candidate.value === 'number'
+        ? candidate.value.toLocaleString('en-US', { maximumFractionDigits: 4 })
+        : String(candidate.value);
+      
+      const detail = document.createElement('small');
+      detail.textContent = `${candidate.files.join(', ')} - ${candidate.sourceLabel}` +
+        (candidate.documentDate ? `, ${candidate.documentDate}` : '') +
+        (index === 0 ? ' (ranked first)' : '');
+      if (candidate.location?.excerpt) detail.title = `“${candidate.location.excerpt}”`;
+      
+      option.appendChild(radio);
+      option.appendChild(value);
+      option.appendChild(detail);
+      picker.appendChild(option);
+      return radio;
+    });
+    
+    input.addEventListener('input', () => {
+      const index = conflict.candidates.findIndex(candidate => String(candidate.value) === String(input.value));
+      options.forEach((radio, optionIndex) => { radio.checked = optionIndex === index; });
+      if (index === -1) this.conflictChoices.delete(fieldName);
+      else this.conflictChoices.set(fieldName, index);
+    });
+    return picker;
+  }
+
+  /**
+   * One button per reading of an ambiguous value (the chosen one first); clicking puts that
+   * reading in the input as if typed
+   */
+  createAlternativeButtons(ambiguity, input) {
+    const buttons = document.createElement('span');
+    const readings = [{ value: ambiguity.chosen, reading: 'as read' }, ...ambiguity.alternatives];
+    
+    readings.forEach(({ value, reading }) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'extraction-alternative-btn';
+      button.textContent = typeof value === 'number'
+        ? value.toLocaleString('en-US', { maximumFractionDigits: 4 })
+        : String(value);
+      button.title = `${reading} (from "${ambiguity.input}")`;
+      button.classList.toggle('selected', String(input.value) === String(value));
+      button.addEventListener('click', () => {
+        input.value = value;
+        input.dispatchEvent(new Event('input', { bubbles: true }));
+        buttons.querySelectorAll('.extraction-alternative-btn').forEach(other => other.classList.toggle('selected', other === button));
+      });
+      buttons.appendChild(button);
+    });
+    return buttons;
+  }
+
+  /**
+   * Audit line for a converted amount: original amount, rate and the date the rate is from
+   */
+  createFxNote(fieldData) {
+    const { fx } = fieldData;
+    const note = document.createElement('div');
+    note.className = 'extraction-field-original';
+    const original = Number(fx.originalValue ?? fieldData.originalValue).toLocaleString('en-US', { maximumFractionDigits: 2 });
+    note.textContent = `Converted from ${fieldData.originalCurrency || fx.from} ${original} at ${fx.rate.toFixed(4)} ` +
+      `(${fx.rateDate ? `rate of ${fx.rateDate}` : 'same currency'}, as of ${fx.asOfDate})` +
+      (fx.stale ? ' - rate is not from the as-of date, check it' : '');
+    note.title = `Source: ${fx.source || 'FX rates file'}`;
+    return note;
+  }
+
+  /**
+   * Quoted source snippet with the matched text highlighted; opens the source when available
+   */
+  createSnippet(location) {
+    const snippet = document.createElement('div');
+    snippet.className = 'extraction-field-snippet';
+    this.appendHighlighted(snippet, location.excerpt, location.highlight);
+    
+    if (this.findSourceFile(location)) {
+      snippet.classList.add('clickable');
+      snippet.tabIndex = 0;
+      snippet.title = 'Show in source';
+      snippet.addEventListener('click', () => this.openSource(location));
+      snippet.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') this.openSource(location);
+      });
+    }
+    return snippet;
+  }
+
+  /**
+   * Append text to an element with [start, end) wrapped in <mark>
+   */
+  appendHighlighted(element, text, highlight) {
+    if (!highlight || highlight.start < 0 || highlight.end > text.length || highlight.start >= highlight.end) {
+      element.appendChild(document.createTextNode(text));
+      return null;
+    }
+    
+    const mark = document.createElement('mark');
+    mark.textContent = text.slice(highlight.start, highlight.end);
+    element.appendChild(document.createTextNode(text.slice(0, highlight.start)));
+    element.appendChild(mark);
+    element.appendChild(document.createTextNode(text.slice(highlight.end)));
+    return mark;
+  }
+
+  findSourceFile(location) {
+    if (!location?.file) return null;
+    const file = this.sources.find(source => (source.metadata?.filename || source.name) === location.file);
+    if (!file) return null;
+    if (location.cell) return file.workbook ? file : null;
+    return typeof location.start === 'number' && file.content ? file : null;
+  }
+
+  /**
+   * Show a value in its source: the page text with the match highlighted, or the rows around
+   * a workbook cell
+   */
+  openSource(location) {
+    const file = this.findSourceFile(location);
+    if (!file) return;
+    
+    const body = document.getElementById('extraction-source-viewer-body');
+    body.innerHTML = '';
+    document.getElementById('extraction-source-viewer-title').textContent = location.cell
+      ? `${location.file}, ${location.cell}`
+      : (location.page ? `${location.file}, p. ${location.page}` : location.file);
+    
+    const target = location.cell
+      ? this.renderSheetSource(body, file, location)
+      : this.renderTextSource(body, file, location);
+    
+    document.getElementById('extraction-source-viewer').classList.add('active');
+    if (target) target.scrollIntoView({ block: 'center' });
+  }
+
+  renderTextSource(container, file, location) {
+    const content = file.content;
+    const page = (file.pages || []).find(candidate => candidate.number === location.page);
+    const pageOffset = page ? content.indexOf(page.text) : -1;
+    const [text, offset] = pageOffset === -1 ? [content, 0] : [page.text, pageOffset];
+    
+    const pre = document.createElement('pre');
+    container.appendChild(pre);
+    return this.appendHighlighted(pre, text, { start: location.start - offset, end: location.end - offset });
+  }
+
+  renderSheetSource(container, file, location, context = 10) {
+    const sheet = file.workbook.sheets.find(candidate => candidate.name === location.sheet);
+    const address = location.cell.slice(location.cell.lastIndexOf('!') + 1);
+    const cell = sheet ? sheet.cells.find(candidate => candidate.address === address) : null;
+    if (!cell) return null;
+    
+    const fromRow = Math.max(1, cell.row - context);
+    const toRow = cell.row + context;
+    const rows = new Map();
+    let maxCol = 1;
+    sheet.cells.forEach(candidate => {
+      if (candidate.row < fromRow || candidate.row > toRow) return;
+      if (!rows.has(candidate.row)) rows.set(candidate.row, new Map());
+      rows.get(candidate.row).set(candidate.col, candidate);
+      maxCol = Math.max(maxCol, candidate.col);
+    });
+    
+    const table = document.createElement('table');
+    let target = null;
+    for (let row = fromRow; row <= Math.min(toRow, sheet.rowCount || toRow); row++) {
+      const tr = document.createElement('tr');
+      const th = document.createElement('th');
+      th.textContent = row;
+      tr.appendChild(th);
+      for (let col = 1; col <= maxCol; col++) {
+        const td = document.createElement('td');
+        const entry = rows.get(row)?.get(col);
+        td.textContent = entry && entry.value !== null ? String(entry.value) : '';
+        if (entry?.formula) td.title = entry.formula;
+        if (entry === cell) {
+          td.className = 'highlight';
+          target = td;
+        }
+        tr.appendChild(td);
+      }
+      table.appendChild(tr);
+    }
+    container.appendChild(table);
+    return target;
+  }
+
+  closeSource() {
+    const viewer = document.getElementById('extraction-source-viewer');
+    if (viewer) viewer.classList.remove('active');
+  }
+
   /**
    * Create input for array field
    */
@@ -783,6 +1197,7 @@ class ExtractionReviewModal {
   createArrayItem(fieldName, item, index) {
     const itemDiv = document.createElement('div');
     itemDiv.className = 'extraction-array-item';
+    itemDiv.item = item; // keeps fields the inputs don't show (tenant dates, growth settings)
     
     // Name input
     const nameInput = document.createElement('input');
@@ -817,6 +1232,10 @@ class ExtractionReviewModal {
       });
     });
     
+    if (item.ambiguity) {
+      valueInput.title = item.ambiguity.reason;
+      actions.appendChild(this.createAlternativeButtons(item.ambiguity, valueInput));
+    }
     actions.appendChild(removeBtn);
     
     itemDiv.appendChild(nameInput);
@@ -877,6 +1296,8 @@ class ExtractionReviewModal {
       interestRate: 'number',
       baseRate: 'number',
       creditMargin: 'number',
+      rateFloor: 'number',
+      amortizationYears: 'number',
       loanIssuanceFees: 'number',
       disposalCost: 'number',
       terminalCapRate: 'number',
@@ -907,6 +1328,17 @@ class ExtractionReviewModal {
       revenueItems: 'Revenue Items',
       totalRevenue: 'Total Revenue',
       revenueGrowthRate: 'Revenue Growth Rate (%)',
+      tenants: 'Tenants',
+      rentRollDate: 'Rent Roll Date',
+      waultToExpiry: 'WAULT to Expiry (years)',
+      waultToBreak: 'WAULT to Break (years)',
+      occupancy: 'Occupancy',
+      historicals: 'Historical Statement',
+      historicalPeriodEnd: 'Latest Historical Period',
+      ttmRevenue: 'TTM Revenue',
+      ttmOpex: 'TTM OpEx',
+      historicalRevenueGrowth: 'Historical Revenue Growth (%)',
+      historicalOpexGrowth: 'Historical OpEx Growth (%)',
       operatingExpenses: 'Operating Expenses',
       capitalExpenses: 'Capital Expenses',
       totalOpEx: 'Total OpEx',
@@ -917,6 +1349,10 @@ class ExtractionReviewModal {
       interestRate: 'Interest Rate (%)',
       baseRate: 'Base Rate (%)',
       creditMargin: 'Credit Margin (%)',
+      rateFloor: 'Base Rate Floor (%)',
+      amortizationType: 'Amortization',
+      amortizationYears: 'Amortization Period (years)',
+      debtTranches: 'Additional Debt Tranches',
       loanTerm: 'Loan Term (years)',
       loanAmount: 'Loan Amount',
       debtType: 'Debt Type',
@@ -944,7 +1380,10 @@ class ExtractionReviewModal {
       'not_found': 'Not Found'
     };
     
-    return sourceMap[source] || source.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+    if (sourceMap[source]) return sourceMap[source];
+    // File citations ("memo.pdf, p. 4") are shown as-is
+    if (/\.\w{2,4}\b/.test(source)) return source;
+    return source.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
   }
 
   /**
@@ -981,6 +1420,7 @@ class ExtractionReviewModal {
     const items = Array.from(container.children).map(itemDiv => {
       const inputs = itemDiv.querySelectorAll('.extraction-array-item-input');
       return {
+        ...itemDiv.item,
         name: inputs[0]?.value || '',
         value: parseFloat(inputs[1]?.value) || 0
       };
@@ -997,7 +1437,9 @@ class ExtractionReviewModal {
     const defaults = {
       revenueItems: { name: 'New Revenue Stream', value: 0, growthType: 'linear', growthRate: 0 },
       operatingExpenses: { name: 'New Operating Expense', value: 0, category: 'other' },
-      capitalExpenses: { name: 'New Capital Expense', value: 0, category: 'other' }
+      capitalExpenses: { name: 'New Capital Expense', value: 0, category: 'other' },
+      tenants: { name: 'New Tenant', value: 0, area: 0, leaseStart: '', leaseExpiry: '', breakDate: '', indexation: null, erv: null },
+      historicals: { name: 'New Line', type: 'revenue', category: 'other', values: {}, value: 0, growthRate: null }
     };
     
     return defaults[fieldName] || { name: 'New Item', value: 0 };
@@ -1070,6 +1512,7 @@ class ExtractionReviewModal {
    */
   approve() {
     const finalData = this.getFinalData();
+    this.settled = true;
     
     if (this.onApprove) {
       this.onApprove(finalData);
@@ -1082,6 +1525,7 @@ class ExtractionReviewModal {
    * Reject all changes and close modal
    */
   reject() {
+    this.settled = true;
     if (this.onReject) {
       this.onReject();
     }
@@ -1097,7 +1541,20 @@ class ExtractionReviewModal {
     
     // Apply edited values
     for (const [fieldName, editedValue] of this.editedValues) {
-      if (finalData[fieldName]) {
+      const conflict = finalData[fieldName]?.conflict;
+      if (conflict) {
+        // A picked candidate keeps its document's citation; a typed value replaces them all
+        const chosenIndex = this.conflictChoices.has(fieldName) ? this.conflictChoices.get(fieldName) : null;
+        const candidate = chosenIndex === null ? null : conflict.candidates[chosenIndex];
+        finalData[fieldName] = {
+          ...finalData[fieldName],
+          value: candidate ? candidate.value : editedValue,
+          source: candidate ? candidate.source : 'user_edited',
+          confidence: candidate ? candidate.confidence : 1.0,
+          location: candidate ? candidate.location : null,
+          conflict: { ...conflict, chosenIndex, resolvedBy: 'user' }
+        };
+      } else if (finalData[fieldName]) {
         finalData[fieldName] = {
           ...finalData[fieldName],
           value: editedValue,
@@ -1117,14 +1574,22 @@ class ExtractionReviewModal {
   }
 
   /**
-   * Close the modal
+   * Close the modal; closing without approving or rejecting calls onCancel
    */
   close() {
+    if (this.isOpen && !this.settled && this.onCancel) {
+      this.settled = true;
+      this.onCancel();
+    }
+    
     const overlay = document.getElementById('extraction-review-overlay');
     overlay.classList.remove('active');
     this.isOpen = false;
     this.currentData = null;
+    this.sources = [];
     this.editedValues.clear();
+    this.conflictChoices.clear();
+    this.closeSource();
   }
 
   /**
@@ -0,0 +1,272 @@
+/**
+ * RegenerationPreviewModal.js - Preview of in-place sheet updates
+ * Lists the rows to insert, remove and refresh before ModelSheetUpdater applies anything
+ */
+
+class RegenerationPreviewModal {
+  constructor() {
+    this.isOpen = false;
+    this.resolve = null;
+    this.maxCellsPerRow = 6;
+
+    this.init();
+  }
+
+  init() {
+    this.injectStyles();
+    this.createModalStructure();
+    this.bindEvents();
+    console.log('✅ RegenerationPreviewModal initialized');
+  }
+
+  /**
+   * Inject CSS styles for the modal
+   */
+  injectStyles() {
+    if (document.getElementById('regeneration-preview-modal-styles')) return;
+
+    const styles = document.createElement('style');
+    styles.id = 'regeneration-preview-modal-styles';
+    styles.textContent = `
+      .regeneration-preview-overlay {
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        background: rgba(0, 0, 0, 0.5);
+        display: none;
+        align-items: center;
+        justify-content: center;
+        z-index: 10000;
+      }
+
+      .regeneration-preview-overlay.active {
+        display: flex;
+      }
+
+      .regeneration-preview-modal {
+        background: white;
+        border-radius: 12px;
+        box-shadow: 0 20px 25px -5px rgba(0, 0, 0, 0.1), 0 10px 10px -5px rgba(0, 0, 0, 0.04);
+        max-width: 640px;
+        width: 90%;
+        max-height: 80vh;
+        overflow: hidden;
+      }
+
+      .regeneration-preview-header {
+        padding: 20px 24px;
+        border-bottom: 1px solid #e5e7eb;
+        background: #f8fafc;
+      }
+
+      .regeneration-preview-title {
+        font-size: 18px;
+        font-weight: 600;
+        color: #111827;
+        margin: 0;
+      }
+
+      .regeneration-preview-subtitle {
+        font-size: 14px;
+        color: #6b7280;
+        margin: 4px 0 0 0;
+      }
+
+      .regeneration-preview-body {
+        padding: 16px 24px;
+        overflow-y: auto;
+        max-height: calc(80vh - 160px);
+        font-size: 13px;
+        color: #374151;
+      }
+
+      .regeneration-preview-group {
+        margin-bottom: 16px;
+      }
+
+      .regeneration-preview-group h4 {
+        font-size: 13px;
+        font-weight: 600;
+        margin: 0 0 6px 0;
+      }
+
+      .regeneration-preview-group ul {
+        margin: 0;
+        padding-left: 18px;
+      }
+
+      .regeneration-preview-group.inserted h4 { color: #047857; }
+      .regeneration-preview-group.removed h4 { color: #b91c1c; }
+      .regeneration-preview-group.updated h4 { color: #1d4ed8; }
+      .regeneration-preview-group.kept h4 { color: #6b7280; }
+
+      .regeneration-preview-cell {
+        font-family: Consolas, monospace;
+        font-size: 12px;
+        color: #6b7280;
+      }
+
+      .regeneration-preview-footer {
+        padding: 16px 24px;
+        border-top: 1px solid #e5e7eb;
+        background: #f8fafc;
+        display: flex;
+        justify-content: flex-end;
+        gap: 12px;
+      }
+
+      .regeneration-preview-btn {
+        padding: 10px 20px;
+        border-radius: 6px;
+        font-size: 14px;
+        font-weight: 500;
+        cursor: pointer;
+        border: 1px solid;
+      }
+
+      .regeneration-preview-btn.secondary {
+        background: white;
+        color: #374151;
+        border-color: #d1d5db;
+      }
+
+      .regeneration-preview-btn.primary {
+        background: #3b82f6;
+        color: white;
+        border-color: #3b82f6;
+      }
+    `;
+
+    document.head.appendChild(styles);
+  }
+
+  /**
+   * Create modal DOM structure
+   */
+  createModalStructure() {
+    const overlay = document.createElement('div');
+    overlay.className = 'regeneration-preview-overlay';
+    overlay.id = 'regeneration-preview-overlay';
+    overlay.innerHTML = `
+      <div class="regeneration-preview-modal">
+        <div class="regeneration-preview-header">
+          <h2 class="regeneration-preview-title">Review Sheet Update</h2>
+          <p class="regeneration-preview-subtitle" id="regeneration-preview-subtitle"></p>
+        </div>
+        <div class="regeneration-preview-body" id="regeneration-preview-content"></div>
+        <div class="regeneration-preview-footer">
+          <button class="regeneration-preview-btn secondary" id="regeneration-preview-cancel">Keep Current Sheet</button>
+          <button class="regeneration-preview-btn primary" id="regeneration-preview-apply">Apply Changes</button>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(overlay);
+  }
+
+  /**
+   * Bind event handlers
+   */
+  bindEvents() {
+    document.getElementById('regeneration-preview-cancel').addEventListener('click', () => {
+      this.close(false);
+    });
+
+    document.getElementById('regeneration-preview-apply').addEventListener('click', () => {
+      this.close(true);
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.isOpen) {
+        this.close(false);
+      }
+    });
+  }
+
+  /**
+   * Show the preview built by ModelSheetUpdater.buildPreview
+   * @returns {Promise<boolean>} true when the user applies the changes
+   */
+  show(preview) {
+    if (this.isOpen) this.close(false);
+
+    document.getElementById('regeneration-preview-subtitle').textContent =
+      `${preview.sheetName}: ${preview.inserted.length} row(s) added, ${preview.removed.length} removed, ` +
+      `${preview.cellChanges} cell(s) refreshed. Your own rows and columns are kept.`;
+
+    const content = document.getElementById('regeneration-preview-content');
+    content.innerHTML = '';
+    this.appendGroup(content, 'inserted', 'Rows to add', preview.inserted);
+    this.appendGroup(content, 'removed', 'Rows to remove', preview.removed);
+    this.appendGroup(content, 'removed', 'Rows to clear (they also hold your notes)', preview.cleared);
+    this.appendGroup(content, 'updated', 'Rows to refresh', preview.updated.map(row => this.describeUpdate(row)));
+    this.appendGroup(content, 'kept', 'Rows left untouched (not generated)', preview.keptRows);
+
+    document.getElementById('regeneration-preview-overlay').classList.add('active');
+    this.isOpen = true;
+
+    return new Promise(resolve => {
+      this.resolve = resolve;
+    });
+  }
+
+  appendGroup(container, type, title, items) {
+    if (!items || items.length === 0) return;
+
+    const group = document.createElement('div');
+    group.className = `regeneration-preview-group ${type}`;
+
+    const heading = document.createElement('h4');
+    heading.textContent = `${title} (${items.length})`;
+    group.appendChild(heading);
+
+    const list = document.createElement('ul');
+    items.forEach(item => {
+      const entry = document.createElement('li');
+      if (typeof item === 'string') {
+        entry.textContent = item;
+      } else {
+        entry.textContent = item.text;
+        item.cells.forEach(cell => {
+          const detail = document.createElement('div');
+          detail.className = 'regeneration-preview-cell';
+          detail.textContent = cell;
+          entry.appendChild(detail);
+        });
+      }
+      list.appendChild(entry);
+    });
+    group.appendChild(list);
+    container.appendChild(group);
+  }
+
+  describeUpdate(row) {
+    const cells = row.cells.slice(0, this.maxCellsPerRow).map(cell =>
+      `${cell.address}: ${this.formatValue(cell.from)} → ${this.formatValue(cell.to)}`);
+    if (row.cells.length > this.maxCellsPerRow) {
+      cells.push(`…and ${row.cells.length - this.maxCellsPerRow} more`);
+    }
+    return { text: `${row.label} (row ${row.row})`, cells };
+  }
+
+  formatValue(value) {
+    if (value === '' || value === null || value === undefined) return '(blank)';
+    return String(value);
+  }
+
+  close(approved) {
+    document.getElementById('regeneration-preview-overlay').classList.remove('active');
+    this.isOpen = false;
+
+    if (this.resolve) {
+      const resolve = this.resolve;
+      this.resolve = null;
+      resolve(approved);
+    }
+  }
+}
+
+// Export for use
+window.RegenerationPreviewModal = RegenerationPreviewModal;
@@ -0,0 +1,208 @@
+/**
+ * StateConflictModal.js - Choose between the workbook's saved inputs and this device's autosave
+ * Shown when both exist and differ, so neither silently overwrites the other
+ */
+
+class StateConflictModal {
+  constructor() {
+    this.isOpen = false;
+    this.resolve = null;
+    this.maxFieldsListed = 10;
+
+    this.init();
+  }
+
+  init() {
+    this.injectStyles();
+    this.createModalStructure();
+    this.bindEvents();
+    console.log('✅ StateConflictModal initialized');
+  }
+
+  /**
+   * Inject CSS styles for the modal
+   */
+  injectStyles() {
+    if (document.getElementById('state-conflict-modal-styles')) return;
+
+    const styles = document.createElement('style');
+    styles.id = 'state-conflict-modal-styles';
+    styles.textContent = `
+      .state-conflict-overlay {
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        background: rgba(0, 0, 0, 0.5);
+        display: none;
+        align-items: center;
+        justify-content: center;
+        z-index: 10000;
+      }
+
+      .state-conflict-overlay.active {
+        display: flex;
+      }
+
+      .state-conflict-modal {
+        background: white;
+        border-radius: 12px;
+        box-shadow: 0 20px 25px -5px rgba(0, 0, 0, 0.1), 0 10px 10px -5px rgba(0, 0, 0, 0.04);
+        max-width: 520px;
+        width: 90%;
+        overflow: hidden;
+      }
+
+      .state-conflict-header {
+        padding: 20px 24px;
+        border-bottom: 1px solid #e5e7eb;
+        background: #f8fafc;
+      }
+
+      .state-conflict-title {
+        font-size: 18px;
+        font-weight: 600;
+        color: #111827;
+        margin: 0;
+      }
+
+      .state-conflict-body {
+        padding: 16px 24px;
+        font-size: 13px;
+        color: #374151;
+      }
+
+      .state-conflict-body ul {
+        margin: 8px 0 0 0;
+        padding-left: 18px;
+        color: #6b7280;
+      }
+
+      .state-conflict-footer {
+        padding: 16px 24px;
+        border-top: 1px solid #e5e7eb;
+        background: #f8fafc;
+        display: flex;
+        justify-content: flex-end;
+        gap: 12px;
+      }
+
+      .state-conflict-btn {
+        padding: 10px 20px;
+        border-radius: 6px;
+        font-size: 14px;
+        font-weight: 500;
+        cursor: pointer;
+        border: 1px solid;
+      }
+
+      .state-conflict-btn.secondary {
+        background: white;
+        color: #374151;
+        border-color: #d1d5db;
+      }
+
+      .state-conflict-btn.primary {
+        background: #3b82f6;
+        color: white;
+        border-color: #3b82f6;
+      }
+    `;
+
+    document.head.appendChild(styles);
+  }
+
+  /**
+   * Create modal DOM structure
+   */
+  createModalStructure() {
+    const overlay = document.createElement('div');
+    overlay.className = 'state-conflict-overlay';
+    overlay.id = 'state-conflict-overlay';
+    overlay.innerHTML = `
+      <div class="state-conflict-modal">
+        <div class="state-conflict-header">
+          <h2 class="state-conflict-title">Which inputs should be loaded?</h2>
+        </div>
+        <div class="state-conflict-body" id="state-conflict-content"></div>
+        <div class="state-conflict-footer">
+          <button class="state-conflict-btn secondary" id="state-conflict-local">Use This Device's Autosave</button>
+          <button class="state-conflict-btn primary" id="state-conflict-workbook">Use Workbook</button>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(overlay);
+  }
+
+  /**
+   * Bind event handlers
+   */
+  bindEvents() {
+    document.getElementById('state-conflict-local').addEventListener('click', () => {
+      this.close('local');
+    });
+
+    document.getElementById('state-conflict-workbook').addEventListener('click', () => {
+      this.close('workbook');
+    });
+  }
+
+  /**
+   * @param {Object} details - { workbookSavedAt, localSavedAt, fields: [field ids that differ] }
+   * @returns {Promise<'workbook'|'local'>}
+   */
+  show(details) {
+    const content = document.getElementById('state-conflict-content');
+    const formatDate = (value) => value ? new Date(value).toLocaleString() : 'unknown time';
+
+    content.innerHTML = '';
+    const intro = document.createElement('p');
+    intro.textContent = `This workbook has model inputs saved ${formatDate(details.workbookSavedAt)}. ` +
+      `This device autosaved different inputs ${formatDate(details.localSavedAt)}. ` +
+      `The inputs you don't choose will be replaced the next time the model is saved.`;
+    content.appendChild(intro);
+
+    const fields = details.fields || [];
+    if (fields.length > 0) {
+      const label = document.createElement('p');
+      label.textContent = `${fields.length} field(s) differ:`;
+      content.appendChild(label);
+
+      const list = document.createElement('ul');
+      fields.slice(0, this.maxFieldsListed).forEach(field => {
+        const item = document.createElement('li');
+        item.textContent = field;
+        list.appendChild(item);
+      });
+      if (fields.length > this.maxFieldsListed) {
+        const more = document.createElement('li');
+        more.textContent = `…and ${fields.length - this.maxFieldsListed} more`;
+        list.appendChild(more);
+      }
+      content.appendChild(list);
+    }
+
+    document.getElementById('state-conflict-overlay').classList.add('active');
+    this.isOpen = true;
+
+    return new Promise(resolve => {
+      this.resolve = resolve;
+    });
+  }
+
+  close(choice) {
+    document.getElementById('state-conflict-overlay').classList.remove('active');
+    this.isOpen = false;
+
+    if (this.resolve) {
+      const resolve = this.resolve;
+      this.resolve = null;
+      resolve(choice);
+    }
+  }
+}
+
+// Export for use
+window.StateConflictModal = StateConflictModal;